@@ -10,6 +10,7 @@ export class TonePlayer {
     this.droneGainNode = null;
     this.droneLFO = null;
     this.droneFilterLFO = null;
+    this.activeTones = []; // { oscillator, gainNode } started by playTone
   }
 
   /**
@@ -91,7 +92,34 @@ export class TonePlayer {
     oscillator.start(start);
     oscillator.stop(end);
 
-    return { oscillator, gainNode };
+    const tone = { oscillator, gainNode };
+    this.activeTones.push(tone);
+    oscillator.onended = () => {
+      this.activeTones = this.activeTones.filter((t) => t !== tone);
+    };
+
+    return tone;
+  }
+
+  /**
+   * Cut off every tone started by playTone / playSequence, including ones
+   * scheduled but not yet sounding. Drones are left alone.
+   */
+  stopTones() {
+    const ctx = this.audioContext;
+    if (!ctx) return;
+    const t = ctx.currentTime;
+    for (const { oscillator, gainNode } of this.activeTones) {
+      try {
+        gainNode.gain.cancelScheduledValues(t);
+        gainNode.gain.setValueAtTime(gainNode.gain.value, t);
+        gainNode.gain.linearRampToValueAtTime(0, t + 0.03);
+        oscillator.stop(t + 0.04);
+      } catch {
+        // Oscillator may already be stopped
+      }
+    }
+    this.activeTones = [];
   }
 
   /**
@@ -302,22 +330,38 @@ export class TonePlayer {
     }
   }
 
+  /**
+   * Third and fifth above a root. Equal-tempered unless the caller passes
+   * the temperament's own intervals.
+   * @param {number} rootFrequency
+   * @param {string} chordType - 'major' or 'minor'
+   * @param {{third: number, fifth: number}|null} intervals - Cents above the root
+   */
+  _chordTones(rootFrequency, chordType, intervals) {
+    const thirdOffset = chordType === 'minor' ? 3 : 4; // Minor third = 3, Major third = 4 semitones
+    const third = intervals?.third ?? thirdOffset * 100;
+    const fifth = intervals?.fifth ?? 700; // Perfect fifth = 7 semitones
+    return {
+      thirdFrequency: rootFrequency * Math.pow(2, third / 1200),
+      fifthFrequency: rootFrequency * Math.pow(2, fifth / 1200),
+    };
+  }
+
   /**
    * Start playing a chord drone (root, third, fifth)
    * @param {number} rootFrequency - Root note frequency in Hz
    * @param {string} chordType - 'major' or 'minor'
+   * @param {{third: number, fifth: number}|null} intervals - Cents above the
+   *   root (default equal temperament)
    */
-  startChordDrone(rootFrequency, chordType = 'major') {
+  startChordDrone(rootFrequency, chordType = 'major', intervals = null) {
     this.stopChordDrone(); // Stop any existing chord drone
     this.initialize();
 
     const ctx = this.audioContext;
     const now = ctx.currentTime;
 
-    // Calculate chord tones
-    const thirdOffset = chordType === 'minor' ? 3 : 4; // Minor third = 3, Major third = 4 semitones
-    const thirdFrequency = rootFrequency * Math.pow(2, thirdOffset / 12);
-    const fifthFrequency = rootFrequency * Math.pow(2, 7 / 12); // Perfect fifth = 7 semitones
+    const { thirdFrequency, fifthFrequency } = this._chordTones(rootFrequency, chordType, intervals);
 
     // Create main gain node for the chord drone
     this.chordDroneGainNode = ctx.createGain();
@@ -428,15 +472,13 @@ export class TonePlayer {
    * Update chord drone frequency and type
    * @param {number} rootFrequency - New root frequency
    * @param {string} chordType - 'major' or 'minor'
+   * @param {{third: number, fifth: number}|null} intervals - Cents above the root
    */
-  updateChordDroneFrequency(rootFrequency, chordType = 'major') {
+  updateChordDroneFrequency(rootFrequency, chordType = 'major', intervals = null) {
     if (this.chordDroneOscillators && this.audioContext) {
       const now = this.audioContext.currentTime;
 
-      // Calculate new chord tones
-      const thirdOffset = chordType === 'minor' ? 3 : 4;
-      const thirdFrequency = rootFrequency * Math.pow(2, thirdOffset / 12);
-      const fifthFrequency = rootFrequency * Math.pow(2, 7 / 12);
+      const { thirdFrequency, fifthFrequency } = this._chordTones(rootFrequency, chordType, intervals);
 
       // Update oscillators (order matches creation order)
       // Root: 0, 1, 2
@@ -469,6 +511,7 @@ export class TonePlayer {
    * Stop all sounds
    */
   async stop() {
+    this.stopTones();
     await Promise.all([
       this.stopDrone(),
       this.stopChordDrone(),
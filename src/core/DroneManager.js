@@ -12,6 +12,7 @@ export class DroneManager {
     this.isDronePlaying = false;
     this.isChordMode = false;
     this.currentChordType = null;
+    this.currentChordIntervals = null;
   }
 
   /**
@@ -40,6 +41,13 @@ export class DroneManager {
     return this.tonePlayer.playSequence(sequence);
   }
 
+  /**
+   * Cut off reference tones from playTone / playSequence, leaving the drone
+   */
+  stopTones() {
+    this.tonePlayer.stopTones();
+  }
+
   /**
    * Start the root drone
    * @param {number} frequency - Root note frequency
@@ -102,13 +110,16 @@ export class DroneManager {
    * Start playing a chord drone (root, third, fifth)
    * @param {number} rootFrequency - Root note frequency
    * @param {string} chordType - 'major' or 'minor'
+   * @param {{third: number, fifth: number}|null} intervals - Cents above the
+   *   root in the current temperament (default equal temperament)
    */
-  startChordDrone(rootFrequency, chordType = 'major') {
-    this.tonePlayer.startChordDrone(rootFrequency, chordType);
+  startChordDrone(rootFrequency, chordType = 'major', intervals = null) {
+    this.tonePlayer.startChordDrone(rootFrequency, chordType, intervals);
     this.currentDroneFrequency = rootFrequency;
     this.isDronePlaying = true;
     this.isChordMode = true;
     this.currentChordType = chordType;
+    this.currentChordIntervals = intervals;
   }
 
   /**
@@ -128,16 +139,18 @@ export class DroneManager {
     this._isChordStopping = false;
     this.currentDroneFrequency = null;
     this.currentChordType = null;
+    this.currentChordIntervals = null;
   }
 
   /**
    * Switch from root drone to chord drone (async, waits for stop)
    * @param {number} rootFrequency - Root note frequency
    * @param {string} chordType - 'major' or 'minor'
+   * @param {{third: number, fifth: number}|null} intervals - Cents above the root
    */
-  async switchToChordDrone(rootFrequency, chordType = 'major') {
+  async switchToChordDrone(rootFrequency, chordType = 'major', intervals = null) {
     await this.stopDrone();
-    this.startChordDrone(rootFrequency, chordType);
+    this.startChordDrone(rootFrequency, chordType, intervals);
   }
 
   /**
@@ -153,12 +166,14 @@ export class DroneManager {
    * Update chord drone frequency and type
    * @param {number} rootFrequency - New root frequency
    * @param {string} chordType - 'major' or 'minor'
+   * @param {{third: number, fifth: number}|null} intervals - Cents above the root
    */
-  updateChordDroneFrequency(rootFrequency, chordType = 'major') {
+  updateChordDroneFrequency(rootFrequency, chordType = 'major', intervals = null) {
     if (this.isDronePlaying && this.isChordMode) {
-      this.tonePlayer.updateChordDroneFrequency(rootFrequency, chordType);
+      this.tonePlayer.updateChordDroneFrequency(rootFrequency, chordType, intervals);
       this.currentDroneFrequency = rootFrequency;
       this.currentChordType = chordType;
+      this.currentChordIntervals = intervals;
     }
   }
 
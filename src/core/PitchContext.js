@@ -1,6 +1,11 @@
 /**
  * PitchContext - Shared pitch detection with subscription pattern
  * Wraps PitchDetector and allows multiple tools to subscribe to pitch updates
+ *
+ * Chord frames (MultiPitchEstimator) have their own subscription; the
+ * estimator only runs while at least one chord subscriber is attached.
+ * Signal frames (the raw analysed windows) work the same way: windows are
+ * only copied off the audio thread while someone is listening.
  */
 
 import { PitchDetector, DetectorType } from '../pitch-engine/index.js';
@@ -20,6 +25,9 @@ export class PitchContext {
     this.pitchDetector = null;
     this.subscribers = new Set();
     this.currentPitch = null;
+    this.chordSubscribers = new Set();
+    this.currentChord = null;
+    this.signalSubscribers = new Set();
     this.isRunning = false;
 
     // Model loading callbacks
@@ -43,7 +51,12 @@ export class PitchContext {
       maxFrequency: this.options.maxFrequency,
       highPassFreq: this.options.highPassFreq,
       enableVocalAnalysis: this.options.enableVocalAnalysis,
+      enableMultiPitch: this.chordSubscribers.size > 0,
+      multiPitch: this.options.multiPitch,
       onPitchDetected: (pitchData) => this.handlePitchDetected(pitchData),
+      onChordDetected: (chordData) => this.handleChordDetected(chordData),
+      enableSignal: this.signalSubscribers.size > 0,
+      onSignal: (frame) => this.handleSignal(frame),
       onModelLoading: this.onModelLoading,
       onModelReady: this.onModelReady,
       onModelError: this.onModelError,
@@ -76,6 +89,7 @@ export class PitchContext {
     }
     this.isRunning = false;
     this.currentPitch = null;
+    this.currentChord = null;
   }
 
   /**
@@ -119,6 +133,106 @@ export class PitchContext {
     return this.currentPitch;
   }
 
+  /**
+   * Handle chord frame from detector
+   * @param {object|null} chordData
+   */
+  handleChordDetected(chordData) {
+    this.currentChord = chordData;
+    this.chordSubscribers.forEach(callback => {
+      try {
+        callback(chordData);
+      } catch (error) {
+        console.error('PitchContext chord subscriber error:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to chord frames. The first subscriber turns multi-pitch
+   * estimation on and the last one to leave turns it off again.
+   * @param {function} callback - Called with { notes, pitchClasses, confidence, rms, timestamp } or null
+   * @returns {function} Unsubscribe function
+   */
+  subscribeChords(callback) {
+    this.chordSubscribers.add(callback);
+    if (this.chordSubscribers.size === 1) {
+      this.pitchDetector?.setMultiPitchEnabled(true);
+    }
+
+    return () => {
+      if (!this.chordSubscribers.delete(callback)) return;
+      if (this.chordSubscribers.size === 0) {
+        this.pitchDetector?.setMultiPitchEnabled(false);
+        this.currentChord = null;
+      }
+    };
+  }
+
+  /**
+   * Get the latest chord frame
+   * @returns {object|null}
+   */
+  getCurrentChord() {
+    return this.currentChord;
+  }
+
+  /**
+   * Handle a raw window from the detector
+   * @param {object} frame
+   */
+  handleSignal(frame) {
+    this.signalSubscribers.forEach(callback => {
+      try {
+        callback(frame);
+      } catch (error) {
+        console.error('PitchContext signal subscriber error:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to the raw analysed windows. The first subscriber turns
+   * them on and the last one to leave turns them off again. Subscribers
+   * share the buffer and must not modify it.
+   * @param {function} callback - Called with { buffer, sampleRate, endSample, frequency, rms };
+   *   endSample is the sample clock just past the window (null if unknown)
+   * @returns {function} Unsubscribe function
+   */
+  subscribeSignal(callback) {
+    this.signalSubscribers.add(callback);
+    if (this.signalSubscribers.size === 1) {
+      this.pitchDetector?.setSignalEnabled(true);
+    }
+
+    return () => {
+      if (!this.signalSubscribers.delete(callback)) return;
+      if (this.signalSubscribers.size === 0) {
+        this.pitchDetector?.setSignalEnabled(false);
+      }
+    };
+  }
+
+  /**
+   * Switch the detection algorithm; takes effect immediately if running
+   * @param {string} type - Detector type from DetectorType
+   * @returns {Promise<void>}
+   */
+  async setDetectorType(type) {
+    this.options.detector = type;
+    if (this.pitchDetector) {
+      await this.pitchDetector.setDetectorType(type);
+    }
+  }
+
+  /**
+   * Get the live microphone stream (for session recording)
+   * @returns {MediaStream|null}
+   */
+  getMediaStream() {
+    return this.pitchDetector?.getMediaStream() ?? null;
+  }
+
   /**
    * Enable drone noise cancellation
    * @param {number} frequency - Drone frequency to cancel
@@ -178,5 +292,7 @@ export class PitchContext {
       this.pitchDetector = null;
     }
     this.subscribers.clear();
+    this.chordSubscribers.clear();
+    this.signalSubscribers.clear();
   }
 }
@@ -0,0 +1,127 @@
+/**
+ * PracticeLog - Long-term practice history persisted in IndexedDB
+ *
+ * Tools append one entry per session (a metronome run, a vocal exercise
+ * run, a tuner session); the Practice Log tool reads them back for streaks,
+ * totals and trends. Entries are plain objects:
+ *
+ *   { id, tool, startedAt, durationMs, ...tool-specific metrics }
+ *
+ * When IndexedDB is unavailable (private browsing, tests) the log keeps
+ * entries in memory for the lifetime of the instance, so callers never
+ * have to check.
+ */
+
+import { openDatabase, request } from './idb.js';
+
+const DB_NAME = 'vocal-trainer-practice';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+export class PracticeLog {
+  /**
+   * @param {object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] - Defaults to the global one
+   */
+  constructor({ indexedDB = globalThis.indexedDB ?? null } = {}) {
+    this._factory = indexedDB;
+    this._db = null;       // Promise<IDBDatabase|null>, opened lazily
+    this._memory = [];     // fallback store
+    this._nextId = 1;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record a session
+   * @param {object} entry - Must carry `tool`; `startedAt` defaults to now
+   * @returns {Promise<object>} The stored entry, with its id
+   */
+  async add(entry) {
+    if (!entry?.tool) throw new Error('Practice log entries need a tool');
+    const record = {
+      startedAt: Date.now(),
+      durationMs: 0,
+      ...entry,
+    };
+    delete record.id;
+
+    const db = await this._open();
+    if (db) {
+      record.id = await request(db.transaction(STORE, 'readwrite').objectStore(STORE).add(record));
+    } else {
+      record.id = this._nextId++;
+      this._memory.push(record);
+    }
+    this.notifyListeners('add', record);
+    return record;
+  }
+
+  /**
+   * Read sessions, oldest first
+   * @param {object} [filter]
+   * @param {string} [filter.tool] - Only this tool's sessions
+   * @param {number} [filter.since] - Only sessions started at or after (ms)
+   * @returns {Promise<Array<object>>}
+   */
+  async list({ tool, since } = {}) {
+    const db = await this._open();
+    let entries;
+    if (db) {
+      const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+      const range = since != null ? IDBKeyRange.lowerBound(since) : undefined;
+      entries = await request(store.index('startedAt').getAll(range));
+    } else {
+      entries = this._memory
+        .filter((e) => since == null || e.startedAt >= since)
+        .map((e) => ({ ...e }));
+    }
+    return entries
+      .filter((e) => !tool || e.tool === tool)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Delete the whole history
+   */
+  async clear() {
+    const db = await this._open();
+    if (db) {
+      await request(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+    } else {
+      this._memory = [];
+    }
+    this.notifyListeners('clear', null);
+  }
+
+  /**
+   * Subscribe to changes made through this instance
+   * @param {function} callback - Called with (type, payload)
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(type, payload) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(type, payload);
+      } catch (error) {
+        console.error('Practice log listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Open the database lazily. Resolves null when IndexedDB is missing or
+   * refuses to open; the log then stays in memory.
+   */
+  _open() {
+    this._db ??= openDatabase(this._factory, DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('startedAt', 'startedAt');
+    }, 'Practice log');
+    return this._db;
+  }
+}
@@ -10,6 +10,7 @@ export class ScaleManager {
   constructor(rootNote = 'C4', scaleType = DEFAULT_SCALE) {
     this.rootNote = rootNote;
     this.scaleType = scaleType;
+    this.temperament = null; // null = equal temperament (see Temperament.js)
     this.updateScale();
   }
 
@@ -27,9 +28,21 @@ export class ScaleManager {
    */
   calculateFrequencies() {
     const rootMidi = FrequencyConverter.noteNameToMidi(this.rootNote);
-    this.frequencies = this.currentScale.intervals.map(interval => {
-      return FrequencyConverter.midiToFrequency(rootMidi + interval);
-    });
+    this.frequencies = this.currentScale.intervals.map(interval => this._noteFrequency(rootMidi + interval));
+  }
+
+  /** Frequency of a MIDI note in the current temperament */
+  _noteFrequency(midi) {
+    return this.temperament ? this.temperament.pitchOf(midi) : FrequencyConverter.midiToFrequency(midi);
+  }
+
+  /**
+   * Set the temperament scale frequencies are tuned to
+   * @param {import('./Temperament.js').Temperament|null} temperament - null for equal temperament
+   */
+  setTemperament(temperament) {
+    this.temperament = temperament;
+    this.calculateFrequencies();
   }
 
   /**
@@ -134,7 +147,7 @@ export class ScaleManager {
     const degrees = scale.intervals.map((interval, index) => ({
       degree: index,
       interval,
-      frequency: FrequencyConverter.midiToFrequency(rootMidi + interval),
+      frequency: this._noteFrequency(rootMidi + interval),
       label: scale.degrees[index],
     }));
 
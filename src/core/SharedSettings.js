@@ -16,6 +16,15 @@ const DEFAULT_SETTINGS = {
   pitchRangeMin: 36, // C2
   pitchRangeMax: 84, // C6
 
+  // Pitch detection algorithm (shared by vocal monitor and tuner)
+  pitchDetector: 'hybrid',      // 'hybrid' | 'pyin' | 'cepstrum' | 'mpm'
+
+  // Temperament (shared by tuner, piano roll and drone; see core/Temperament.js)
+  temperament: 'equal',         // 'equal' | 'just' | 'pythagorean' | 'meantone' | 'werckmeister3' | 'vallotti' | 'custom' | 'scala'
+  temperamentTonic: 'C',        // note the 12-note systems are built on
+  temperamentOffsets: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // 'custom': cents from equal per note, C first
+  temperamentScala: null,       // 'scala': { name, scl, kbm } raw file text; kbm may be null
+
   // UI preferences
   lastTool: null,
   sidebarOpen: false,
@@ -25,6 +34,8 @@ const DEFAULT_SETTINGS = {
   exerciseEnabled: false,
   exerciseType: 'ascendingMajorLadder', // ascendingMajorLadder, ascendingMinorLadder, descendingMajorLadder, descendingMinorLadder
   exerciseShowLyrics: true,             // Show solfege on targets
+  customExercises: [],                  // Exercise Builder definitions, registered as 'custom:<id>'
+  importedMelodies: [],                 // Songs imported from MusicXML / MIDI, registered as 'imported:<id>'
 
   // Rolling key settings
   rollingKeyEnabled: false,
@@ -44,12 +55,16 @@ const DEFAULT_SETTINGS = {
   // Metronome
   metronomeBpm: 120,
   metronomeTimeSig: '4/4',
+  metronomeGrouping: null,       // e.g. '2+2+3'; null = the meter's default grouping
   metronomeAccentPattern: ['accent', 'regular', 'regular', 'regular'],
   metronomeTimbre: 'woodblock',
   metronomeVolume: 0.8,
   metronomeSkipPlay: 4,
   metronomeSkipSkip: 0,
   metronomeSubdivision: 1,
+  metronomeSwing: 50,             // 50 straight … 67 triplet shuffle … 75 hard (metronome/swing.js)
+  metronomeCountIn: 0,            // spoken count-in bars before the first beat (0..2)
+  metronomeAnnounce: 'off',       // 'off' | 'bars' | 'sections' (metronome/voiceCues.js)
   metronomeListenBack: false,
   metronomeListenSensitivity: 50, // 1..100 (high = more sensitive)
   metronomeGridTriplets: false,   // overlay 8th-note triplet grid in panel
@@ -60,13 +75,39 @@ const DEFAULT_SETTINGS = {
   metronomePracticeEnabled: false,
   metronomePracticeSessionMinutes: 10,
   metronomePracticeIntervalMinutes: 1,
+  metronomePracticeVoice: false,  // also say "next interval", "two minutes left"
+
+  // Setlist: songs built from tempo-map sections (see metronome/tempoMap.js).
+  // metronomeSongId null = free tempo from the settings above.
+  metronomeSongs: [],
+  metronomeSongId: null,
+
+  // Tempo trainer: raise the free tempo while playing (see metronome/TempoTrainer.js)
+  metronomeTrainerEnabled: false,
+  metronomeTrainerMode: 'steps',       // 'steps' | 'ladder' (ladder needs listen-back)
+  metronomeTrainerStepBpm: 5,
+  metronomeTrainerEveryBars: 4,
+  metronomeTrainerMaxBpm: 180,
+  metronomeTrainerThreshold: 80,       // ladder: on-grid % needed to climb
+
+  // Polyrhythm / polymeter click layers (see metronome/polyrhythm.js)
+  metronomeLayers: [],                 // [{ id, mode, beats, timbre, volume }]
+  metronomeScoreLayer: null,           // layer id listen-back scores against; null = main click
+
+  // MIDI clock (see metronome/MidiClock.js)
+  metronomeMidiClock: 'off',           // 'off' | 'send' | 'follow'
+  metronomeMidiPort: null,             // MIDI port id; null = every port
 
   // Tuner
-  tunerInstrument: 'guitar',           // 'guitar' | 'bass' | 'bass5' | 'ukulele' | 'violin' | 'chromatic'
+  tunerInstrument: 'guitar',           // 'guitar' | 'bass' | 'bass5' | 'ukulele' | 'violin' | 'chromatic' | 'custom:<id>'
   tunerTuning: 'standard',             // tuning id within the chosen instrument
   tunerReferenceA4: 440,               // Hz; common alternates 441/442/432/415
   tunerAutoDetect: true,               // when true, snap to closest open string
   tunerSelectedString: 0,              // index into the current tuning's strings (manual mode)
+  tunerCustomInstruments: [],          // user-built instruments, registered as 'custom:<id>' (see tuner/tunings.js)
+  tunerDisplay: 'strip',               // 'strip' (cents strip) | 'strobe' (phase bands, see tuner/strobe.js)
+  tunerSteadyReading: true,            // skip pluck attacks + show the settled reading (see tuner/SustainTracker.js)
+  tunerIntonationReports: [],          // saved intonation checks, newest first (see tuner/IntonationCheck.js)
 
   // Circle of Fifths
   circleSelectedPos: 0,             // 0..11 wheel position (0 = C / Am)
@@ -77,6 +118,16 @@ const DEFAULT_SETTINGS = {
   circleShowSecondaryDoms: false,   // overlay: V/X labels
   circleShowTritoneSubs: false,     // overlay: ♭II tritone substitutions
   circleShowParallel: false,        // overlay: link to parallel-mode tonic
+  circlePracticeSource: 'chords',   // play-it-back targets: 'chords' | 'progressions'
+  circlePracticeStats: {},          // { 'C major': { attempts, correct }, … }
+
+  // Ear Trainer
+  earCategory: 'intervals',         // 'intervals' | 'chords' | 'cadences'
+  earDifficulty: 'beginner',        // 'beginner' | 'intermediate' | 'advanced'
+  earStats: {},                     // { 'interval:P5': { attempts, correct, box, due }, … }
+
+  // Practice Log dashboard (sessions themselves live in IndexedDB, see core/PracticeLog.js)
+  practiceLogRangeDays: 30,         // 7 | 30 | 90
 };
 
 export class SharedSettings {
@@ -0,0 +1,345 @@
+/**
+ * Temperament - which frequency each MIDI key sounds at.
+ *
+ * Everything that turns a note into Hz outside the exercises goes through
+ * one of these: the tuner's string targets and chromatic snapping, the
+ * Vocal Monitor's piano-roll rows and the drone. The default is 12-tone
+ * equal temperament, which reproduces FrequencyConverter exactly.
+ *
+ * Every system is compiled to the Scala model (see scala.js) — a scale of
+ * N degrees in cents plus a keyboard mapping — so built-ins, cent-offset
+ * tables and imported .scl / .kbm files share one code path:
+ *
+ *   key ──kbm──▶ degree ──scl──▶ cents ──reference──▶ Hz
+ *
+ * The 12-note systems map degree 0 to the chosen tonic and keep A4 at the
+ * reference pitch, so switching temperament never moves the A you tuned
+ * to. An imported .kbm brings its own reference key and frequency.
+ */
+
+import { FrequencyConverter } from '../pitch-engine/index.js';
+import { parseKbm, parseScl } from './scala.js';
+
+export const TemperamentType = {
+  EQUAL: 'equal',
+  JUST: 'just',
+  PYTHAGOREAN: 'pythagorean',
+  MEANTONE: 'meantone',
+  WERCKMEISTER3: 'werckmeister3',
+  VALLOTTI: 'vallotti',
+  CUSTOM: 'custom',
+  SCALA: 'scala',
+};
+
+const NOTE_NAMES = FrequencyConverter.NOTE_NAMES;
+const PURE_FIFTH = 1200 * Math.log2(3 / 2);
+const PYTHAGOREAN_COMMA = 1200 * Math.log2(3 ** 12 / 2 ** 19);
+const SYNTONIC_COMMA = 1200 * Math.log2(81 / 80);
+
+/**
+ * Degrees 0..11 above the tonic, in cents, from the 12 fifths of a closed
+ * circle starting on the tonic (0 = 1→5, 1 = 5→2, … 11 = 4→1). Fifths 0-7
+ * are stacked upwards to the #5 and 9-11 downwards to the ♭3, so fifth 8
+ * (#5→♭3, G#–E♭ from C) is the one left to close the circle — the wolf,
+ * in systems that have one.
+ */
+function fromFifths(fifths) {
+  const cents = [0];
+  let up = 0;
+  for (let i = 0; i < 8; i++) {
+    up += fifths[i];
+    cents[(7 * (i + 1)) % 12] = up % 1200;
+  }
+  let down = 0;
+  for (let i = 11; i > 8; i--) {
+    down -= fifths[i];
+    cents[(7 * i) % 12] = ((down % 1200) + 1200) % 1200;
+  }
+  return cents;
+}
+
+function fifthsCircle(size, changes = {}) {
+  return Array.from({ length: 12 }, (_, i) => changes[i] ?? size);
+}
+
+const ratioCents = (r) => 1200 * Math.log2(r);
+
+/** Built-in systems, as cents of degrees 0..11 above the tonic */
+export const TEMPERAMENTS = {
+  [TemperamentType.EQUAL]: {
+    label: 'Equal temperament',
+    description: 'Every semitone 100¢ — the modern default.',
+    cents: Array.from({ length: 12 }, (_, i) => i * 100),
+  },
+  [TemperamentType.JUST]: {
+    label: 'Just intonation',
+    description: 'Pure 5-limit ratios from the tonic: beatless thirds and fifths in its key.',
+    cents: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioCents),
+  },
+  [TemperamentType.PYTHAGOREAN]: {
+    label: 'Pythagorean',
+    description: 'Pure fifths all round but one wolf; wide thirds.',
+    cents: fromFifths(fifthsCircle(PURE_FIFTH)),
+  },
+  [TemperamentType.MEANTONE]: {
+    label: 'Quarter-comma meantone',
+    description: 'Pure major thirds, fifths narrowed by ¼ syntonic comma; one wolf fifth.',
+    cents: fromFifths(fifthsCircle(PURE_FIFTH - SYNTONIC_COMMA / 4)),
+  },
+  [TemperamentType.WERCKMEISTER3]: {
+    label: 'Werckmeister III',
+    description: 'Four fifths narrowed by ¼ Pythagorean comma; every key usable, each with its own colour.',
+    cents: fromFifths(
+      fifthsCircle(PURE_FIFTH, Object.fromEntries([0, 1, 2, 5].map((i) => [i, PURE_FIFTH - PYTHAGOREAN_COMMA / 4])))
+    ),
+  },
+  [TemperamentType.VALLOTTI]: {
+    label: 'Vallotti',
+    description: 'Six fifths narrowed by ⅙ Pythagorean comma; a gentle well temperament.',
+    cents: fromFifths(
+      fifthsCircle(PURE_FIFTH, Object.fromEntries([0, 1, 2, 3, 4, 11].map((i) => [i, PURE_FIFTH - PYTHAGOREAN_COMMA / 6])))
+    ),
+  },
+};
+
+/** Scala-style scale (degrees 1..N, octave last) from 12 degrees above degree 0 */
+function octaveScale(degrees) {
+  return [...degrees.slice(1).map((c) => c - degrees[0]), 1200];
+}
+
+/** One key per degree, degree 0 on `middleNote`, A4 at the reference */
+function linearMapping(middleNote, referenceFrequency) {
+  return {
+    size: 0,
+    firstNote: -128,
+    lastNote: 255,
+    middleNote,
+    referenceNote: 69,
+    referenceFrequency,
+    octaveDegree: 0,
+    map: [],
+  };
+}
+
+export class Temperament {
+  /**
+   * @param {object} options
+   * @param {string} [options.name]
+   * @param {number[]} options.cents - Scale degrees 1..N in cents; the last is the period
+   * @param {import('./scala.js').KeyboardMapping} options.mapping
+   * @param {number} [options.referenceA4] - The equal-tempered A4 that
+   *   pitchOf() and offsetCents() measure against
+   */
+  constructor({ name = '', cents, mapping, referenceA4 = 440 }) {
+    this.name = name;
+    this.referenceA4 = referenceA4;
+    this.cents = cents;
+    this.mapping = mapping;
+    this.steps = cents.length;
+    this.period = cents[cents.length - 1];
+    // One note name per octave only makes sense for 12 keys to 1200¢
+    this.isTwelveTone = this.steps === 12 && Math.abs(this.period - 1200) < 1e-6
+      && (mapping.size === 0 || (mapping.size === 12 && mapping.octaveDegree === 12));
+    this._refCents = this._keyCents(mapping.referenceNote);
+    // Every sounding key, for nearest(); a linear mapping of a fine scale
+    // (31-EDO…) needs keys beyond 0..127 to cover the vocal range
+    this._table = [];
+    for (let key = Math.max(mapping.firstNote, -128); key <= Math.min(mapping.lastNote, 255); key++) {
+      const frequency = this.frequencyOf(key);
+      if (frequency) this._table.push({ key, frequency });
+    }
+  }
+
+  /** Plain 12-tone equal temperament at `referenceA4` */
+  static equal(referenceA4 = 440) {
+    return Temperament.fromDegrees(TEMPERAMENTS.equal.cents, { referenceA4 });
+  }
+
+  /**
+   * A 12-note system from the cents of its degrees above the tonic
+   * @param {number[]} degrees - 12 values, degree 0 first
+   * @param {object} [options]
+   * @param {number} [options.tonic] - Pitch class of degree 0 (0 = C)
+   * @param {number} [options.referenceA4]
+   * @param {string} [options.name]
+   */
+  static fromDegrees(degrees, { tonic = 0, referenceA4 = 440, name = '' } = {}) {
+    const mapping = linearMapping(60 + tonic, referenceA4);
+    return new Temperament({ name, cents: octaveScale(degrees), mapping, referenceA4 });
+  }
+
+  /**
+   * A table of cent offsets from equal temperament per note name, C first.
+   * Offsets are applied as given: A4 sounds at the reference only if A's
+   * offset is 0.
+   */
+  static fromOffsets(offsets, { referenceA4 = 440, name = 'Custom' } = {}) {
+    const degrees = Array.from({ length: 12 }, (_, i) => i * 100 + (offsets[i] ?? 0));
+    const mapping = linearMapping(60, referenceA4 * 2 ** ((offsets[9] ?? 0) / 1200));
+    return new Temperament({ name, cents: octaveScale(degrees), mapping, referenceA4 });
+  }
+
+  /**
+   * An imported Scala scale, with its keyboard mapping when one was given.
+   * Without a .kbm, degree 0 sits on the tonic nearest middle C and A4
+   * sounds at the reference.
+   * @param {string} scl - .scl file contents
+   * @param {string|null} [kbm] - .kbm file contents
+   */
+  static fromScala(scl, kbm = null, { tonic = 0, referenceA4 = 440 } = {}) {
+    const scale = parseScl(scl);
+    const mapping = kbm ? parseKbm(kbm) : linearMapping(60 + tonic, referenceA4);
+    return new Temperament({ name: scale.description, cents: scale.cents, mapping, referenceA4 });
+  }
+
+  /** Cents of any degree, counting whole periods (degree N = the period) */
+  _degreeCents(degree) {
+    const periods = Math.floor(degree / this.steps);
+    const index = degree - periods * this.steps;
+    return periods * this.period + (index === 0 ? 0 : this.cents[index - 1]);
+  }
+
+  /** Cents of a key above degree 0, or null for an unmapped key */
+  _keyCents(key) {
+    const { size, firstNote, lastNote, middleNote, octaveDegree, map } = this.mapping;
+    if (key < firstNote || key > lastNote) return null;
+    const offset = key - middleNote;
+    if (size === 0) return this._degreeCents(offset);
+    const repeats = Math.floor(offset / size);
+    const degree = map[offset - repeats * size];
+    if (degree == null) return null;
+    const repeatCents = octaveDegree > 0 ? this._degreeCents(octaveDegree) : this.period;
+    return this._degreeCents(degree) + repeats * repeatCents;
+  }
+
+  /**
+   * Frequency of a MIDI key
+   * @param {number} key
+   * @returns {number|null} Hz, or null if the mapping leaves the key silent
+   */
+  frequencyOf(key) {
+    const cents = this._keyCents(key);
+    if (cents == null || this._refCents == null) return null;
+    return this.mapping.referenceFrequency * 2 ** ((cents - this._refCents) / 1200);
+  }
+
+  /** Equal-tempered pitch of a key at this temperament's A4 */
+  _equalPitch(key) {
+    return this.referenceA4 * 2 ** ((key - 69) / 12);
+  }
+
+  /**
+   * What a note (by its 12-TET MIDI number) sounds at in this temperament.
+   * In 12-tone systems that is the key's own pitch; in any other scale —
+   * or for a key the mapping leaves silent — the scale pitch nearest the
+   * equal-tempered note, so "E2" still means roughly E2 in 19-EDO.
+   * @param {number} midi
+   * @returns {number} Hz
+   */
+  pitchOf(midi) {
+    const own = this.isTwelveTone ? this.frequencyOf(midi) : null;
+    return own ?? this.nearest(this._equalPitch(midi))?.target ?? this._equalPitch(midi);
+  }
+
+  /**
+   * How far a note sits from equal temperament
+   * @returns {number} cents
+   */
+  offsetCents(midi) {
+    return 1200 * Math.log2(this.pitchOf(midi) / this._equalPitch(midi));
+  }
+
+  /**
+   * Interval from a note to the one `semitones` above it, as this
+   * temperament plays them
+   * @returns {number} cents
+   */
+  intervalCents(midi, semitones) {
+    return 1200 * Math.log2(this.pitchOf(midi + semitones) / this.pitchOf(midi));
+  }
+
+  /**
+   * Name of a key: a note name for 12-tone systems, otherwise its scale
+   * degree ("°5")
+   */
+  noteName(key) {
+    if (this.isTwelveTone) return FrequencyConverter.midiToNoteName(key);
+    const { size, middleNote, map } = this.mapping;
+    const offset = key - middleNote;
+    const degree = size === 0 ? offset : map[offset - Math.floor(offset / size) * size];
+    if (degree == null) return '—';
+    return `°${degree - Math.floor(degree / this.steps) * this.steps}`;
+  }
+
+  /**
+   * Every pitch the temperament sounds between two frequencies, low to high
+   * @param {number} low - Hz
+   * @param {number} high - Hz
+   * @returns {Array<{ key: number, frequency: number, noteName: string }>}
+   */
+  pitchesBetween(low, high) {
+    return this._table
+      .filter(({ frequency }) => frequency >= low && frequency <= high)
+      .map(({ key, frequency }) => ({ key, frequency, noteName: this.noteName(key) }))
+      .sort((a, b) => a.frequency - b.frequency);
+  }
+
+  /**
+   * The mapped key closest to a frequency, and how far off it is
+   * @param {number} frequency - Hz
+   * @returns {{ midi: number, noteName: string, target: number, cents: number }|null}
+   */
+  nearest(frequency) {
+    if (!frequency) return null;
+    let best = null;
+    for (const { key, frequency: target } of this._table) {
+      const cents = 1200 * Math.log2(frequency / target);
+      if (best === null || Math.abs(cents) < Math.abs(best.cents)) {
+        best = { midi: key, target, cents };
+      }
+    }
+    return best && { ...best, noteName: this.noteName(best.midi) };
+  }
+}
+
+/**
+ * A built-in system as a cent-offset table (C first), e.g. to start a
+ * custom table from. Normalised so A is 0, like the built-ins themselves.
+ * @param {string} type - TemperamentType of a built-in
+ * @param {number} [tonic] - Pitch class the system is built on (0 = C)
+ * @returns {number[]} 12 offsets from equal temperament in cents, to 0.1¢
+ */
+export function presetOffsets(type, tonic = 0) {
+  const preset = TEMPERAMENTS[type] ?? TEMPERAMENTS.equal;
+  const raw = Array.from({ length: 12 }, (_, pc) => {
+    const degree = (pc - tonic + 12) % 12;
+    return preset.cents[degree] - degree * 100;
+  });
+  return raw.map((c) => Math.round((c - raw[9]) * 10) / 10 || 0);
+}
+
+/**
+ * The temperament the settings describe. A Scala file that no longer
+ * parses falls back to equal temperament rather than breaking the page.
+ * @param {object} values - SharedSettings values (temperament* keys)
+ * @param {number} [referenceA4]
+ * @returns {Temperament}
+ */
+export function temperamentFromSettings(values, referenceA4 = 440) {
+  const type = values.temperament ?? TemperamentType.EQUAL;
+  const tonic = Math.max(0, NOTE_NAMES.indexOf(values.temperamentTonic ?? 'C'));
+  if (type === TemperamentType.CUSTOM) {
+    return Temperament.fromOffsets(values.temperamentOffsets ?? [], { referenceA4 });
+  }
+  if (type === TemperamentType.SCALA && values.temperamentScala?.scl) {
+    try {
+      const { scl, kbm } = values.temperamentScala;
+      return Temperament.fromScala(scl, kbm, { tonic, referenceA4 });
+    } catch (e) {
+      console.warn('Ignoring unreadable Scala tuning:', e);
+      return Temperament.equal(referenceA4);
+    }
+  }
+  const preset = TEMPERAMENTS[type] ?? TEMPERAMENTS.equal;
+  return Temperament.fromDegrees(preset.cents, { tonic, referenceA4, name: preset.label });
+}
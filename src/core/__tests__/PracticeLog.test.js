@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { PracticeLog } from '../PracticeLog.js';
+import { FakeIDBFactory, FakeIDBKeyRange } from './fakeIndexedDB.js';
+import { NOW, daysAgo, session } from './practiceFixtures.js';
+
+describe('PracticeLog in IndexedDB', () => {
+  beforeEach(() => vi.stubGlobal('IDBKeyRange', FakeIDBKeyRange));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('appends sessions with database-assigned ids that outlive the instance', async () => {
+    const factory = new FakeIDBFactory();
+    const log = new PracticeLog({ indexedDB: factory });
+    const events = [];
+    log.subscribe((type, payload) => events.push([type, payload?.id]));
+
+    const first = await log.add(session(2));
+    const second = await log.add({ tool: 'tuner', startedAt: daysAgo(1), id: 99 });
+    expect([first.id, second.id]).toEqual([1, 2]); // a caller's id is ignored
+    expect(second.durationMs).toBe(0);
+    expect(events).toEqual([['add', 1], ['add', 2]]);
+    expect(factory.databases.get('vocal-trainer-practice').stores.get('sessions').records.size).toBe(2);
+
+    // A new page load reads the same history
+    const reopened = new PracticeLog({ indexedDB: factory });
+    expect((await reopened.list()).map((e) => [e.id, e.tool])).toEqual([[1, 'metronome'], [2, 'tuner']]);
+    expect(await reopened.add(session(0))).toMatchObject({ id: 3 });
+  });
+
+  it('queries by start date and tool, oldest first', async () => {
+    const log = new PracticeLog({ indexedDB: new FakeIDBFactory() });
+    // Added out of order: the startedAt index sorts them
+    for (const n of [3, 10, 0, 1]) await log.add(session(n));
+    await log.add({ tool: 'tuner', startedAt: daysAgo(1, 20) });
+
+    const since = await log.list({ since: daysAgo(1) });
+    expect(since.map((e) => e.startedAt)).toEqual([daysAgo(1), daysAgo(1, 20), daysAgo(0)]);
+    // The bound is inclusive
+    expect(await log.list({ since: daysAgo(3) })).toHaveLength(4);
+    expect((await log.list({ tool: 'tuner' })).map((e) => e.tool)).toEqual(['tuner']);
+    expect(await log.list({ tool: 'metronome', since: daysAgo(2) })).toHaveLength(2);
+    expect((await log.list()).map((e) => e.startedAt)).toEqual(
+      [daysAgo(10), daysAgo(3), daysAgo(1), daysAgo(1, 20), daysAgo(0)]
+    );
+
+    await log.clear();
+    expect(await log.list()).toEqual([]);
+  });
+});
+
+describe('PracticeLog fallback', () => {
+  it('keeps sessions in memory when IndexedDB refuses to open', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const log = new PracticeLog({ indexedDB: new FakeIDBFactory({ fail: true }) });
+
+    await log.add(session(0));
+    await log.add(session(4));
+    expect(warn).toHaveBeenCalledTimes(1); // opened (and failed) once
+    expect((await log.list()).map((e) => e.id)).toEqual([2, 1]);
+    expect(await log.list({ since: daysAgo(1) })).toHaveLength(1);
+
+    // Copies, so a caller can't edit the stored history
+    const [entry] = await log.list();
+    entry.tool = 'edited';
+    expect((await log.list())[0].tool).toBe('metronome');
+    warn.mockRestore();
+  });
+
+  it('stays in memory without IndexedDB and notifies subscribers', async () => {
+    const log = new PracticeLog({ indexedDB: null });
+    const events = [];
+    log.subscribe((type) => events.push(type));
+
+    await log.add(session(1));
+    const added = await log.add({ tool: 'tuner', startedAt: daysAgo(3), durationMs: 20000, id: 99 });
+    expect(added.id).toBe(2); // ids are assigned by the log
+
+    expect((await log.list()).map((e) => e.tool)).toEqual(['tuner', 'metronome']);
+    expect(await log.list({ tool: 'tuner' })).toHaveLength(1);
+    expect(await log.list({ since: daysAgo(2) })).toHaveLength(1);
+
+    await expect(log.add({ startedAt: NOW })).rejects.toThrow(/tool/);
+
+    await log.clear();
+    expect(await log.list()).toEqual([]);
+    expect(events).toEqual(['add', 'add', 'clear']);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  TEMPERAMENTS,
+  Temperament,
+  TemperamentType,
+  presetOffsets,
+  temperamentFromSettings,
+} from '../Temperament.js';
+import { parseKbm, parsePitch, parseScl } from '../scala.js';
+
+const EDO19 = [
+  '! 19edo.scl',
+  '!',
+  '19 equal divisions of the octave',
+  ' 19',
+  '!',
+  ...Array.from({ length: 18 }, (_, i) => ` ${(((i + 1) * 1200) / 19).toFixed(5)}`),
+  ' 2/1',
+].join('\n');
+
+describe('built-in temperaments', () => {
+  const cents = (type) => TEMPERAMENTS[type].cents;
+
+  it('builds Pythagorean from pure fifths, wolf between G# and E♭', () => {
+    const p = cents(TemperamentType.PYTHAGOREAN);
+    expect(p[7]).toBeCloseTo(701.955, 3); // G
+    expect(p[4]).toBeCloseTo(407.82, 2); // E: a ditone
+    expect(p[3]).toBeCloseTo(294.135, 2); // E♭ from the flat side
+    expect(p[3] + 1200 - p[8]).toBeCloseTo(678.49, 2); // the wolf
+  });
+
+  it('gives quarter-comma meantone pure major thirds', () => {
+    const m = cents(TemperamentType.MEANTONE);
+    expect(m[4]).toBeCloseTo(386.314, 3);
+    expect(m[5]).toBeCloseTo(503.42, 2);
+  });
+
+  it('matches the published well temperaments', () => {
+    const w = cents(TemperamentType.WERCKMEISTER3);
+    expect(w.map((c) => Math.round(c * 10) / 10)).toEqual(
+      [0, 90.2, 192.2, 294.1, 390.2, 498, 588.3, 696.1, 792.2, 888.3, 996.1, 1092.2]
+    );
+    const v = cents(TemperamentType.VALLOTTI);
+    expect(v[5]).toBeCloseTo(501.955, 3);
+    expect(v[11]).toBeCloseTo(1090.225, 3);
+  });
+
+  it('uses 5-limit ratios for just intonation', () => {
+    const j = cents(TemperamentType.JUST);
+    expect(j[4]).toBeCloseTo(1200 * Math.log2(5 / 4), 9);
+    expect(j[9]).toBeCloseTo(1200 * Math.log2(5 / 3), 9);
+  });
+});
+
+describe('Temperament', () => {
+  it('reproduces equal temperament exactly', () => {
+    const t = Temperament.equal(440);
+    for (const midi of [21, 40, 60, 69, 108]) {
+      expect(t.frequencyOf(midi)).toBeCloseTo(440 * 2 ** ((midi - 69) / 12), 9);
+      expect(t.offsetCents(midi)).toBeCloseTo(0, 9);
+    }
+    expect(t.isTwelveTone).toBe(true);
+  });
+
+  it('keeps A4 at the reference whatever the tonic', () => {
+    for (const tonic of ['C', 'D', 'F#', 'A']) {
+      const t = temperamentFromSettings({ temperament: 'just', temperamentTonic: tonic }, 415);
+      expect(t.frequencyOf(69)).toBeCloseTo(415, 9);
+      expect(t.frequencyOf(57)).toBeCloseTo(207.5, 9);
+    }
+  });
+
+  it('tunes intervals from the chosen tonic', () => {
+    const inD = temperamentFromSettings({ temperament: 'just', temperamentTonic: 'D' });
+    expect(inD.intervalCents(62, 4)).toBeCloseTo(386.314, 3); // D–F# pure
+    expect(inD.intervalCents(62, 7)).toBeCloseTo(701.955, 3); // D–A pure
+    expect(inD.intervalCents(64, 3)).not.toBeCloseTo(315.641, 1); // E–G isn't
+  });
+
+  it('applies a custom offset table', () => {
+    const t = temperamentFromSettings({
+      temperament: 'custom',
+      temperamentOffsets: [0, 0, 0, 0, -14, 0, 0, 2, 0, 0, 0, 0],
+    });
+    expect(t.offsetCents(64)).toBeCloseTo(-14, 9);
+    expect(t.offsetCents(67)).toBeCloseTo(2, 9);
+    expect(t.frequencyOf(69)).toBeCloseTo(440, 9);
+  });
+
+  it('turns a built-in into the equivalent offset table', () => {
+    const offsets = presetOffsets(TemperamentType.WERCKMEISTER3, 2);
+    expect(offsets[9]).toBe(0);
+    const table = Temperament.fromOffsets(offsets);
+    const preset = temperamentFromSettings({ temperament: 'werckmeister3', temperamentTonic: 'D' });
+    for (let midi = 60; midi < 72; midi++) {
+      expect(table.frequencyOf(midi)).toBeCloseTo(preset.frequencyOf(midi), 1);
+    }
+  });
+
+  it('finds the nearest tempered note', () => {
+    const t = temperamentFromSettings({ temperament: 'meantone' });
+    const e4 = t.frequencyOf(64);
+    const r = t.nearest(e4 * 2 ** (5 / 1200));
+    expect(r.midi).toBe(64);
+    expect(r.noteName).toBe('E4');
+    expect(r.cents).toBeCloseTo(5, 6);
+  });
+
+  it('falls back to equal temperament for an unreadable Scala file', () => {
+    const t = temperamentFromSettings({ temperament: 'scala', temperamentScala: { scl: 'nonsense' } });
+    expect(t.offsetCents(64)).toBeCloseTo(0, 9);
+  });
+});
+
+describe('non-12-note scales', () => {
+  const t = Temperament.fromScala(EDO19);
+
+  it('plays one scale step per key, A4 at the reference', () => {
+    expect(t.isTwelveTone).toBe(false);
+    expect(t.steps).toBe(19);
+    expect(t.frequencyOf(69)).toBeCloseTo(440, 9);
+    expect(1200 * Math.log2(t.frequencyOf(70) / t.frequencyOf(69))).toBeCloseTo(1200 / 19, 4);
+    expect(t.frequencyOf(60 + 19) / t.frequencyOf(60)).toBeCloseTo(2, 9);
+  });
+
+  it('names pitches by degree and snaps notes to the nearest step', () => {
+    expect(t.noteName(62)).toBe('°2');
+    expect(t.noteName(60 - 1)).toBe('°18');
+    // E4 in 19-EDO is 6 steps (378.9¢) above C4
+    const e4 = t.pitchOf(64);
+    expect(1200 * Math.log2(e4 / t.pitchOf(60))).toBeCloseTo((6 * 1200) / 19, 4);
+    expect(Math.abs(t.offsetCents(64))).toBeLessThan(1200 / 38);
+  });
+
+  it('lists its pitches within a range', () => {
+    const steps = t.pitchesBetween(261.6, 523.3);
+    expect(steps.length).toBeGreaterThanOrEqual(19);
+    steps.slice(1).forEach((s, i) => expect(s.frequency).toBeGreaterThan(steps[i].frequency));
+  });
+});
+
+describe('keyboard mappings', () => {
+  // White keys only play a 7-note scale; A4 = 432 Hz
+  const SCL = ['Pythagorean diatonic', '7', '9/8', '81/64', '4/3', '3/2', '27/16', '243/128', '2/1'].join('\n');
+  const KBM = [
+    '! white keys',
+    '12', '0', '127', '60', '69', '432.0', '7',
+    '0', 'x', '1', 'x', '2', '3', 'x', '4', 'x', '5', 'x', '6',
+  ].join('\n');
+  const t = Temperament.fromScala(SCL, KBM);
+
+  it('maps keys to degrees and silences unmapped keys', () => {
+    expect(t.frequencyOf(69)).toBeCloseTo(432, 9);
+    expect(t.frequencyOf(61)).toBeNull();
+    expect(t.frequencyOf(67) / t.frequencyOf(60)).toBeCloseTo(3 / 2, 9);
+    expect(t.frequencyOf(72) / t.frequencyOf(60)).toBeCloseTo(2, 9);
+    expect(t.frequencyOf(59) / t.frequencyOf(60)).toBeCloseTo(243 / 256, 9);
+  });
+
+  it('sounds a silent key at the nearest mapped pitch', () => {
+    const cSharp = t.pitchOf(61);
+    expect([t.frequencyOf(60), t.frequencyOf(62)]).toContain(cSharp);
+  });
+});
+
+describe('Scala parsing', () => {
+  it('reads cents and ratios', () => {
+    expect(parsePitch('701.955 fifth')).toBeCloseTo(701.955, 9);
+    expect(parsePitch('3/2')).toBeCloseTo(701.955, 3);
+    expect(parsePitch('2')).toBeCloseTo(1200, 9);
+    expect(parsePitch('-5.0')).toBe(-5);
+    expect(parsePitch('abc')).toBeNull();
+  });
+
+  it('reads a .scl file', () => {
+    const scale = parseScl(EDO19);
+    expect(scale.description).toBe('19 equal divisions of the octave');
+    expect(scale.cents).toHaveLength(19);
+    expect(scale.cents.at(-1)).toBeCloseTo(1200, 9);
+  });
+
+  it('explains what is wrong with a bad file', () => {
+    expect(() => parseScl('')).toThrow(/isn't a Scala/);
+    expect(() => parseScl('name\nmany\n100.0')).toThrow(/how many notes/);
+    expect(() => parseScl('name\n3\n100.0\n200.0')).toThrow(/2 of its 3/);
+    expect(() => parseScl('name\n2\n100.0\nfoo')).toThrow(/note 2/);
+    expect(() => parseKbm('12\n0\n127')).toThrow(/isn't a Scala .kbm/);
+  });
+
+  it('reads a .kbm file, padding a short map with silent keys', () => {
+    const kbm = parseKbm('! comment\n4\n0\n127\n60\n69\n440.0\n4\n0\nx\n2');
+    expect(kbm).toMatchObject({ size: 4, middleNote: 60, referenceFrequency: 440, octaveDegree: 4 });
+    expect(kbm.map).toEqual([0, null, 2, null]);
+  });
+});
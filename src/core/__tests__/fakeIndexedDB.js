@@ -0,0 +1,116 @@
+/**
+ * Just enough IndexedDB for the local-store tests: databases that live as
+ * long as the factory, auto-increment object stores, single-key indexes
+ * and lower-bound key ranges. Requests complete on a microtask, after the
+ * caller has attached its handlers, like the real thing.
+ */
+export class FakeIDBFactory {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.fail] - Every open() errors (blocked storage)
+   */
+  constructor({ fail = false } = {}) {
+    this.fail = fail;
+    this.databases = new Map();
+  }
+
+  open(name, version) {
+    const req = {};
+    queueMicrotask(() => {
+      if (this.fail) {
+        req.error = new Error('The operation failed for reasons unrelated to the database itself');
+        req.onerror?.();
+        return;
+      }
+      let db = this.databases.get(name);
+      req.result = db;
+      if (!db || db.version < version) {
+        db ??= new FakeDatabase();
+        db.version = version;
+        this.databases.set(name, db);
+        req.result = db;
+        req.onupgradeneeded?.();
+      }
+      req.onsuccess?.();
+    });
+    return req;
+  }
+}
+
+export const FakeIDBKeyRange = {
+  lowerBound: (lower) => ({ includes: (key) => key >= lower }),
+};
+
+class FakeDatabase {
+  constructor() {
+    this.version = 0;
+    this.stores = new Map();
+  }
+
+  createObjectStore(name, options) {
+    const store = new FakeObjectStore(options);
+    this.stores.set(name, store);
+    return store;
+  }
+
+  transaction(name) {
+    return { objectStore: () => this.stores.get(name) };
+  }
+}
+
+class FakeObjectStore {
+  constructor({ keyPath, autoIncrement = false } = {}) {
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.records = new Map();
+    this.indexes = new Map();
+    this._nextKey = 1;
+  }
+
+  createIndex(name, keyPath) {
+    this.indexes.set(name, keyPath);
+  }
+
+  add(value) {
+    return settle(() => {
+      const record = structuredClone(value);
+      if (this.autoIncrement && record[this.keyPath] == null) record[this.keyPath] = this._nextKey++;
+      const key = record[this.keyPath];
+      if (this.records.has(key)) throw new Error('Key already exists in the object store');
+      this.records.set(key, record);
+      return key;
+    });
+  }
+
+  clear() {
+    return settle(() => {
+      this.records.clear();
+      return undefined;
+    });
+  }
+
+  index(name) {
+    const keyPath = this.indexes.get(name);
+    return {
+      getAll: (range) => settle(() => [...this.records.values()]
+        .filter((r) => !range || range.includes(r[keyPath]))
+        .sort((a, b) => a[keyPath] - b[keyPath])
+        .map((r) => structuredClone(r))),
+    };
+  }
+}
+
+/** A request that succeeds with run()'s result or fails with its error */
+function settle(run) {
+  const req = {};
+  queueMicrotask(() => {
+    try {
+      req.result = run();
+      req.onsuccess?.();
+    } catch (error) {
+      req.error = error;
+      req.onerror?.();
+    }
+  });
+  return req;
+}
@@ -0,0 +1,10 @@
+/**
+ * Practice-log entries on a fixed calendar, shared by the PracticeLog and
+ * practice-stats tests: noon on 2024-03-15 local time, and sessions N days
+ * before it.
+ */
+export const NOW = new Date(2024, 2, 15, 12, 0).getTime();
+
+export const daysAgo = (n, hour = 9) => new Date(2024, 2, 15 - n, hour, 0).getTime();
+
+export const session = (n, extra = {}) => ({ tool: 'metronome', startedAt: daysAgo(n), durationMs: 60000, ...extra });
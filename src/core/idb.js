@@ -0,0 +1,43 @@
+/**
+ * idb - The two IndexedDB chores every local store needs: opening a
+ * database that may not exist (private browsing, tests, blocked storage)
+ * and turning an IDBRequest into a promise.
+ */
+
+/**
+ * Open (and on first run create) a database.
+ * @param {IDBFactory|null} factory - Usually globalThis.indexedDB
+ * @param {string} name
+ * @param {number} version
+ * @param {function(IDBDatabase): void} upgrade - Creates the object stores
+ * @param {string} label - For the console warning, e.g. 'Practice log'
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is missing or
+ *   refuses to open; callers fall back to memory
+ */
+export function openDatabase(factory, name, version, upgrade, label) {
+  if (!factory) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    let req;
+    try {
+      req = factory.open(name, version);
+    } catch (error) {
+      console.warn(`${label} unavailable, keeping data in memory:`, error);
+      resolve(null);
+      return;
+    }
+    req.onupgradeneeded = () => upgrade(req.result);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn(`${label} unavailable, keeping data in memory:`, req.error);
+      resolve(null);
+    };
+  });
+}
+
+/** Resolve with an IDBRequest's result, reject with its error */
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -6,3 +6,6 @@ export { SharedSettings } from './SharedSettings.js';
 export { PitchContext } from './PitchContext.js';
 export { DroneManager } from './DroneManager.js';
 export { ScaleManager } from './ScaleManager.js';
+export { PracticeLog } from './PracticeLog.js';
+export { Temperament, TemperamentType, TEMPERAMENTS, presetOffsets, temperamentFromSettings } from './Temperament.js';
+export { parseScl, parseKbm } from './scala.js';
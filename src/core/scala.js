@@ -0,0 +1,103 @@
+/**
+ * Scala tuning files (https://www.huygens-fokker.org/scala/scl_format.html)
+ *
+ *   .scl — a scale: description, note count, then one pitch per line,
+ *          either cents (contains a '.') or a ratio (3/2, or a bare 2).
+ *          Degree 0 (1/1) is implied; the last pitch is the period,
+ *          usually the octave.
+ *   .kbm — a keyboard mapping: which MIDI key plays which scale degree,
+ *          and which key sounds at which frequency.
+ *
+ * Both parsers throw an Error whose message can be shown to the user.
+ */
+
+/**
+ * @typedef {object} ScalaScale
+ * @property {string} description
+ * @property {number[]} cents - Degrees 1..N in cents above degree 0; the
+ *   last one is the period
+ */
+
+/**
+ * @typedef {object} KeyboardMapping
+ * @property {number} size - Keys per repeat of the pattern (0 = linear)
+ * @property {number} firstNote - Lowest key mapped
+ * @property {number} lastNote - Highest key mapped
+ * @property {number} middleNote - Key that plays degree 0
+ * @property {number} referenceNote - Key tuned to referenceFrequency
+ * @property {number} referenceFrequency - Hz
+ * @property {number} octaveDegree - Degree the pattern repeats at
+ * @property {Array<number|null>} map - Degree per key of the pattern (null = silent)
+ */
+
+/** Data lines of a Scala file: comments dropped, trimmed */
+function dataLines(text) {
+  return String(text ?? '')
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith('!'))
+    .map((line) => line.trim());
+}
+
+/**
+ * Read one .scl pitch as cents
+ * @param {string} line
+ * @returns {number|null}
+ */
+export function parsePitch(line) {
+  const token = line.trim().split(/\s+/)[0] ?? '';
+  if (token.includes('.')) {
+    const cents = Number(token);
+    return Number.isFinite(cents) ? cents : null;
+  }
+  const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+  if (!match) return null;
+  const ratio = Number(match[1]) / Number(match[2] ?? 1);
+  return ratio > 0 ? 1200 * Math.log2(ratio) : null;
+}
+
+/**
+ * @param {string} text - Contents of a .scl file
+ * @returns {ScalaScale}
+ */
+export function parseScl(text) {
+  const lines = dataLines(text);
+  if (lines.length < 2) throw new Error('This isn\'t a Scala .scl file.');
+  const [description, countLine, ...rest] = lines;
+  const count = Number(countLine.split(/\s+/)[0]);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('The .scl file doesn\'t say how many notes the scale has.');
+  }
+  const pitches = rest.filter((line) => line !== '').slice(0, count);
+  if (pitches.length < count) {
+    throw new Error(`The .scl file lists ${pitches.length} of its ${count} notes.`);
+  }
+  const cents = pitches.map(parsePitch);
+  const bad = cents.findIndex((c) => c == null);
+  if (bad >= 0) throw new Error(`Can't read note ${bad + 1} of the .scl file ("${pitches[bad]}").`);
+  if (!(cents[cents.length - 1] > 0)) throw new Error('The scale has to repeat at an interval above 1/1.');
+  return { description, cents };
+}
+
+/**
+ * @param {string} text - Contents of a .kbm file
+ * @returns {KeyboardMapping}
+ */
+export function parseKbm(text) {
+  const lines = dataLines(text).filter((line) => line !== '');
+  const fields = ['size', 'firstNote', 'lastNote', 'middleNote', 'referenceNote', 'referenceFrequency', 'octaveDegree'];
+  if (lines.length < fields.length) throw new Error('This isn\'t a Scala .kbm file.');
+  const values = fields.map((_, i) => Number(lines[i].split(/\s+/)[0]));
+  if (values.some((v) => !Number.isFinite(v)) || values[5] <= 0) {
+    throw new Error('Can\'t read the header of the .kbm file.');
+  }
+  const [size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = values;
+  const map = lines.slice(fields.length, fields.length + size).map((line) => {
+    const token = line.split(/\s+/)[0];
+    return token === 'x' ? null : Number(token);
+  });
+  while (map.length < size) map.push(null);
+  if (map.some((d) => d != null && !Number.isInteger(d))) {
+    throw new Error('Can\'t read the key mapping of the .kbm file.');
+  }
+  return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map };
+}
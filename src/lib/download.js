@@ -0,0 +1,16 @@
+/**
+ * Save generated data as a file via a temporary object URL + <a download>.
+ */
+
+export function downloadFile(filename, data, mimeType = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick — some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
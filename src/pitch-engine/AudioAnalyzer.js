@@ -1,10 +1,19 @@
 /**
  * AudioAnalyzer - Handles audio input and frequency analysis
  * Uses Pitchy (MPM algorithm) for improved pitch detection with harmonics-rich voices
+ *
+ * Two capture modes:
+ *   worklet  — mic → [drone notches] → PitchWorkletProcessor → analyser. High-pass,
+ *              AGC and detection run on the audio thread; frames arrive via onFrame.
+ *   fallback — mic → high-pass → [drone notches] → gain → analyser, polled by
+ *              PitchDetector on a timer (no AudioWorklet support, or useWorklet: false).
  */
 
 import Pitchfinder from 'pitchfinder';
 import {PitchDetector as PitchyDetector} from 'pitchy';
+import pitchProcessorUrl from './worklet/PitchWorkletProcessor.js?worker&url';
+
+const PITCH_PROCESSOR_NAME = 'pitch-processor'; // as registered in PitchWorkletProcessor.js
 
 export class AudioAnalyzer {
   constructor(options = {}) {
@@ -17,6 +26,13 @@ export class AudioAnalyzer {
     // (guitar low E = 82Hz, bass low E = 41Hz).
     this.highPassFreq = options.highPassFreq ?? 180;
 
+    // Worklet capture: detector type and hop (ms) for the audio-thread pipeline
+    this.useWorklet = options.useWorklet !== false;
+    this.detectorType = options.detector;
+    this.updateInterval = options.updateInterval || 50;
+    this.includeBuffer = options.includeBuffer !== false; // frames carry their window (vocal analysis)
+    this.onFrame = null; // set by PitchDetector; receives worklet frames
+
     // AGC (Automatic Gain Control) settings
     this.targetRMS = options.targetRMS || 0.12; // Target RMS level for normalization
     this.minGain = options.minGain || 1.0; // Minimum gain (no reduction)
@@ -44,7 +60,12 @@ export class AudioAnalyzer {
     this.microphone = null;
     this.gainNode = null;
     this.highPassFilter = null; // High-pass filter to remove low frequencies
-    this.scriptProcessor = null;
+    this.workletNode = null;
+    this.usesWorklet = false;
+
+    // Drone notches are inserted between these two nodes
+    this._chainStart = null;
+    this._chainEnd = null;
 
     this.isActive = false;
 
@@ -85,6 +106,18 @@ export class AudioAnalyzer {
 
       this.microphone = this.audioContext.createMediaStreamSource(stream);
 
+      this.workletNode = this.useWorklet ? await this._createWorkletNode() : null;
+      this.usesWorklet = !!this.workletNode;
+      if (this.usesWorklet) {
+        // Connect: microphone → worklet (high-pass, AGC, detect) → analyser
+        this.microphone.connect(this.workletNode);
+        this.workletNode.connect(this.analyser);
+        this._chainStart = this.microphone;
+        this._chainEnd = this.workletNode;
+        this.isActive = true;
+        return;
+      }
+
       // Create high-pass filter at 180Hz to remove low frequencies
       // This helps eliminate rumble and reduces drone interference
       this.highPassFilter = this.audioContext.createBiquadFilter();
@@ -100,6 +133,8 @@ export class AudioAnalyzer {
       this.microphone.connect(this.highPassFilter);
       this.highPassFilter.connect(this.gainNode);
       this.gainNode.connect(this.analyser);
+      this._chainStart = this.highPassFilter;
+      this._chainEnd = this.gainNode;
 
       // Initialize pitch detectors
       // Pitchy (MPM) - primary detector, better at handling harmonics
@@ -120,6 +155,81 @@ export class AudioAnalyzer {
     }
   }
 
+  /**
+   * Load the pitch processor and create its node
+   * @private
+   * @returns {Promise<AudioWorkletNode|null>} null when AudioWorklet is unavailable
+   */
+  async _createWorkletNode() {
+    if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      return null;
+    }
+
+    try {
+      await this.audioContext.audioWorklet.addModule(pitchProcessorUrl);
+      const sampleRate = this.audioContext.sampleRate;
+      const node = new AudioWorkletNode(this.audioContext, PITCH_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: {
+          detector: this.detectorType,
+          bufferSize: this.bufferSize,
+          hopSize: Math.max(128, Math.round((this.updateInterval / 1000) * sampleRate)),
+          minFrequency: this.minFrequency,
+          maxFrequency: this.maxFrequency,
+          threshold: this.threshold,
+          highPassFreq: this.highPassFreq,
+          targetRMS: this.targetRMS,
+          minGain: this.minGain,
+          maxGain: this.maxGain,
+          agcSpeed: this.agcSpeed,
+          initialGain: this.currentGain,
+          includeBuffer: this.includeBuffer,
+        },
+      });
+      node.port.onmessage = (event) => this._onWorkletMessage(event.data);
+      return node;
+    } catch (error) {
+      console.warn('AudioWorklet pitch capture unavailable, using main-thread detection:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onWorkletMessage(message) {
+    if (message?.type !== 'frame') return;
+    this.lastRMS = message.rms;
+    this.currentGain = message.gain;
+    this.rawFrequency = message.frequency;
+    this.lastClarity = message.confidence;
+    this.onFrame?.(message);
+  }
+
+  /**
+   * Switch the audio-thread detector (worklet mode only; the fallback path
+   * runs PitchDetector's own detector)
+   * @param {string} type - Detector type from DetectorType
+   */
+  setDetectorType(type) {
+    this.detectorType = type;
+    this.workletNode?.port.postMessage({ type: 'detector', detector: type });
+  }
+
+  /**
+   * Choose whether worklet frames carry their analysis window (needed by
+   * vocal, chord and signal subscribers; skipping it saves a copy per hop)
+   * @param {boolean} include
+   */
+  setIncludeBuffer(include) {
+    this.includeBuffer = include;
+    this.workletNode?.port.postMessage({ type: 'includeBuffer', include });
+  }
+
   /**
    * Stop audio capture and clean up resources
    */
@@ -128,6 +238,12 @@ export class AudioAnalyzer {
       this.microphone.disconnect();
       this.microphone.mediaStream.getTracks().forEach(track => track.stop());
     }
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: 'stop' });
+      this.workletNode.port.onmessage = null;
+      this.workletNode.disconnect();
+      this.workletNode = null;
+    }
     if (this.highPassFilter) {
       this.highPassFilter.disconnect();
     }
@@ -141,6 +257,9 @@ export class AudioAnalyzer {
       this.audioContext.close();
     }
     this.isActive = false;
+    this.usesWorklet = false;
+    this._chainStart = null;
+    this._chainEnd = null;
 
     // Clear pitch history and stable pitch tracking
     this.pitchHistory = [];
@@ -431,6 +550,14 @@ export class AudioAnalyzer {
     return this.audioContext ? this.audioContext.sampleRate : 44100;
   }
 
+  /**
+   * Get the raw microphone MediaStream (e.g. for MediaRecorder capture)
+   * @returns {MediaStream|null}
+   */
+  getMediaStream() {
+    return this.microphone?.mediaStream ?? null;
+  }
+
   /**
    * Get the Web Audio AnalyserNode for FFT analysis
    * @returns {AnalyserNode|null}
@@ -457,7 +584,7 @@ export class AudioAnalyzer {
    * @param {number} rootFrequency - Root frequency of the drone
    */
   enableDroneCancellation(rootFrequency) {
-    if (!this.audioContext || !this.highPassFilter || !this.gainNode) return;
+    if (!this.audioContext || !this._chainStart || !this._chainEnd) return;
 
     // First, disable any existing drone cancellation
     this.disableDroneCancellation();
@@ -472,8 +599,7 @@ export class AudioAnalyzer {
     ];
 
     // Create notch filters for each drone frequency
-    const lastNode = this.highPassFilter; // Start from high-pass filter
-    let currentNode = lastNode;
+    let currentNode = this._chainStart; // high-pass filter, or the mic in worklet mode
 
     this.droneFrequencies.forEach((freq, index) => {
       const notchFilter = this.audioContext.createBiquadFilter();
@@ -486,14 +612,17 @@ export class AudioAnalyzer {
       currentNode.connect(notchFilter);
 
       if (index === this.droneFrequencies.length - 1) {
-        // Last filter connects to gain node
-        notchFilter.connect(this.gainNode);
+        // Last filter connects to gain node (or the worklet)
+        notchFilter.connect(this._chainEnd);
       }
 
       currentNode = notchFilter;
       this.droneNotchFilters.push(notchFilter);
     });
 
+    // The processor's window still holds audio from before the notches
+    this.workletNode?.port.postMessage({ type: 'reset' });
+
     console.log(`Drone cancellation enabled at ${rootFrequency.toFixed(1)}Hz and harmonics (${this.droneFrequencies.length} notches)`);
   }
 
@@ -516,14 +645,15 @@ export class AudioAnalyzer {
       }
     });
 
-    // Reconnect high-pass filter directly to gain node (only if context is still open)
-    if (!contextClosed && this.highPassFilter && this.gainNode) {
+    // Reconnect the chain directly (only if context is still open)
+    if (!contextClosed && this._chainStart && this._chainEnd) {
       try {
-        this.highPassFilter.disconnect();
-        this.highPassFilter.connect(this.gainNode);
+        this._chainStart.disconnect();
+        this._chainStart.connect(this._chainEnd);
       } catch (e) {
         // May already be connected
       }
+      this.workletNode?.port.postMessage({ type: 'reset' });
     }
 
     this.droneNotchFilters = [];
@@ -541,6 +671,7 @@ export class AudioAnalyzer {
       threshold: this.threshold,
       sampleRate: this.getSampleRate(),
       isActive: this.isActive,
+      worklet: this.usesWorklet,
       currentGain: this.currentGain,
       targetRMS: this.targetRMS,
       rawFrequency: this.rawFrequency,
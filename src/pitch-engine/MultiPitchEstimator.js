@@ -0,0 +1,271 @@
+/**
+ * MultiPitchEstimator - Polyphonic pitch estimation for chords
+ *
+ * The single-f0 detectors assume one fundamental; this finds several at once
+ * by iterative estimation and cancellation (after Klapuri, "Multiple
+ * fundamental frequency estimation by summing harmonic amplitudes", 2006):
+ *
+ * 1. Hann-windowed, zero-padded spectrum → interpolated peaks
+ * 2. Every peak in range is an f0 candidate; its salience is the weighted sum
+ *    of the residual peak amplitudes at its harmonics
+ * 3. The most salient candidate is taken as a note and its partials are
+ *    removed from the residual (spectrally smoothed, so a partial shared with
+ *    another note — C3's 2nd harmonic vs a played C4 — keeps its remainder)
+ * 4. Repeat until salience falls below stopRatio × the first note's, or
+ *    maxPolyphony notes are found
+ *
+ * Frequency resolution comes from the window: 4096 samples at 44.1kHz
+ * separates chord tones from about 100Hz up; use 8192 for bass chords.
+ *
+ * A tone doubled an octave up (C3 + C4, the open E chord's three E strings)
+ * is indistinguishable from the lower tone's harmonics and is usually folded
+ * into it, so match chords on `pitchClasses` rather than exact notes.
+ */
+
+import { FrequencyConverter } from './FrequencyConverter.js';
+import { fft, hannWindow, nextPowerOfTwo } from './fft.js';
+
+// Klapuri's harmonic weighting g(h, f0) = (f0 + ALPHA) / (h·f0 + BETA)
+const ALPHA = 52;
+const BETA = 320;
+
+export class MultiPitchEstimator {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Sample rate in Hz (default: 44100)
+   * @param {number} options.minFrequency - Lowest chord tone to report (default: 60)
+   * @param {number} options.maxFrequency - Highest chord tone to report (default: 1200)
+   * @param {number} options.threshold - RMS threshold for silence (default: 0.005)
+   * @param {number} options.maxPolyphony - Most notes reported per frame (default: 6)
+   * @param {number} options.maxHarmonics - Partials summed per candidate (default: 16)
+   * @param {number} options.stopRatio - Stop when salience < stopRatio × first note's (default: 0.25)
+   * @param {number} options.minHarmonicity - Share of peak energy notes must explain (default: 0.5)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.minFrequency = options.minFrequency || 60;
+    this.maxFrequency = options.maxFrequency || 1200;
+    this.threshold = options.threshold ?? 0.005;
+    this.maxPolyphony = options.maxPolyphony || 6;
+    this.maxHarmonics = options.maxHarmonics || 16;
+    this.stopRatio = options.stopRatio ?? 0.25;
+    this.minHarmonicity = options.minHarmonicity ?? 0.5;
+
+    this._window = null;
+    this._re = null;
+    this._im = null;
+  }
+
+  /**
+   * Estimate the notes sounding in one window
+   * @param {Float32Array} buffer - Time-domain samples
+   * @returns {object|null} { notes, pitchClasses, confidence, rms } or null for silence / no harmonic content.
+   *   notes: [{ frequency, noteName, midiNote, centsOff, confidence }] sorted low to high;
+   *   confidence: share of the frame's peak energy the notes explain
+   */
+  detect(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+
+    const rms = calculateRMS(buffer);
+    if (rms < this.threshold) return null;
+
+    const peaks = this._findPeaks(buffer);
+    if (peaks.length === 0) return null;
+
+    const residual = peaks.map((p) => p.amplitude);
+    const totalEnergy = residual.reduce((sum, a) => sum + a * a, 0);
+    const found = [];
+    let explained = 0;
+    let firstSalience = 0;
+
+    while (found.length < this.maxPolyphony) {
+      const best = this._bestCandidate(peaks, residual);
+      if (!best) break;
+      if (found.length === 0) firstSalience = best.salience;
+      else if (best.salience < this.stopRatio * firstSalience) break;
+
+      explained += this._cancel(best, residual);
+
+      // A second pick on the same semitone is the leftover of a note we have
+      const { midiNote } = FrequencyConverter.frequencyToNote(best.frequency);
+      if (found.some((n) => n.midiNote === midiNote)) continue;
+      found.push({ ...best, midiNote });
+    }
+
+    const harmonicity = totalEnergy > 0 ? Math.min(1, explained / totalEnergy) : 0;
+    if (found.length === 0 || harmonicity < this.minHarmonicity) return null;
+
+    const notes = found
+      .map(({ frequency, salience }) => ({
+        ...FrequencyConverter.frequencyToNote(frequency),
+        confidence: harmonicity * Math.min(1, salience / firstSalience),
+      }))
+      .sort((a, b) => a.frequency - b.frequency);
+    const pitchClasses = [...new Set(notes.map((n) => ((n.midiNote % 12) + 12) % 12))].sort(
+      (a, b) => a - b
+    );
+
+    return { notes, pitchClasses, confidence: harmonicity, rms };
+  }
+
+  /**
+   * Magnitude-spectrum peaks with parabolic interpolation, sorted by frequency
+   * @private
+   */
+  _findPeaks(buffer) {
+    const size = nextPowerOfTwo(buffer.length) * 4; // zero-pad for finer peak positions
+    if (!this._window || this._window.length !== buffer.length) {
+      this._window = hannWindow(buffer.length);
+    }
+    if (!this._re || this._re.length !== size) {
+      this._re = new Float64Array(size);
+      this._im = new Float64Array(size);
+    }
+    const re = this._re;
+    const im = this._im;
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < buffer.length; i++) re[i] = buffer[i] * this._window[i];
+    fft(re, im);
+
+    const binHz = this.sampleRate / size;
+    const maxBin = Math.min(
+      size / 2 - 1,
+      Math.ceil((this.maxFrequency * this.maxHarmonics) / binHz)
+    );
+    const mag = new Float64Array(maxBin + 2);
+    let peakMag = 0;
+    for (let k = 1; k <= maxBin + 1; k++) {
+      mag[k] = Math.hypot(re[k], im[k]);
+      if (mag[k] > peakMag) peakMag = mag[k];
+    }
+
+    // Hann sidelobes sit ≥31dB under their main lobe a few bins away, so a
+    // peak must reach 5% of the strongest magnitude nearby to count
+    const neighbourhood = 4 * (size / nextPowerOfTwo(buffer.length));
+    const floor = peakMag * 1e-3;
+    const minBin = Math.max(2, Math.floor((this.minFrequency * 0.9) / binHz));
+    const peaks = [];
+    for (let k = minBin; k <= maxBin; k++) {
+      const m = mag[k];
+      if (m < floor || m < mag[k - 1] || m <= mag[k + 1]) continue;
+
+      let local = 0;
+      for (let j = Math.max(1, k - neighbourhood); j <= Math.min(maxBin + 1, k + neighbourhood); j++) {
+        if (mag[j] > local) local = mag[j];
+      }
+      if (m < local * 0.05) continue;
+
+      const a = Math.log(mag[k - 1] + 1e-12);
+      const b = Math.log(m);
+      const c = Math.log(mag[k + 1] + 1e-12);
+      const denom = a - 2 * b + c;
+      const offset = denom !== 0 ? (0.5 * (a - c)) / denom : 0;
+      peaks.push({
+        frequency: (k + offset) * binHz,
+        // Square-root compression keeps one loud string from drowning the rest
+        amplitude: Math.sqrt(Math.exp(b - 0.25 * (a - c) * offset) / peakMag),
+      });
+    }
+    return peaks;
+  }
+
+  /**
+   * Most salient f0 among the peaks that still have most of their energy
+   * @private
+   */
+  _bestCandidate(peaks, residual) {
+    let best = null;
+    for (let i = 0; i < peaks.length; i++) {
+      const f0 = peaks[i].frequency;
+      if (f0 < this.minFrequency || f0 > this.maxFrequency) continue;
+      if (residual[i] < peaks[i].amplitude * 0.3) continue; // already explained
+
+      const partials = this._matchHarmonics(f0, peaks);
+      let salience = 0;
+      for (const { h, index } of partials) {
+        salience += ((f0 + ALPHA) / (h * f0 + BETA)) * residual[index];
+      }
+      if (!best || salience > best.salience) best = { frequency: f0, salience, partials };
+    }
+    if (!best || best.salience <= 0) return null;
+
+    // Refine f0 from the low partials (each one's frequency / harmonic number)
+    let sum = 0;
+    let weight = 0;
+    for (const { h, index } of best.partials) {
+      if (h > 6) break;
+      const w = peaks[index].amplitude;
+      sum += (peaks[index].frequency / h) * w;
+      weight += w;
+    }
+    if (weight > 0) best.frequency = sum / weight;
+    return best;
+  }
+
+  /**
+   * Nearest peak within ±3% (about half a semitone) of each harmonic
+   * @private
+   */
+  _matchHarmonics(f0, peaks) {
+    const partials = [];
+    const nyquist = this.sampleRate / 2;
+    for (let h = 1; h <= this.maxHarmonics && h * f0 < nyquist; h++) {
+      const target = h * f0;
+      const index = nearestPeak(peaks, target);
+      if (index >= 0 && Math.abs(peaks[index].frequency - target) <= target * 0.03) {
+        partials.push({ h, index });
+      }
+    }
+    return partials;
+  }
+
+  /**
+   * Remove a note's partials from the residual, smoothed across neighbouring
+   * harmonics so shared partials keep what the smooth envelope doesn't claim
+   * @private
+   * @returns {number} Energy removed
+   */
+  _cancel(note, residual) {
+    const amps = note.partials.map(({ index }) => residual[index]);
+    let removed = 0;
+    note.partials.forEach(({ index }, i) => {
+      const lo = Math.max(0, i - 1);
+      const hi = Math.min(amps.length - 1, i + 1);
+      let sum = 0;
+      for (let j = lo; j <= hi; j++) sum += amps[j];
+      const smoothed = sum / (hi - lo + 1);
+      // The fundamental (first matched partial) is always removed outright
+      const take = i === 0 ? residual[index] : Math.min(residual[index], smoothed);
+      const before = residual[index];
+      residual[index] -= take;
+      removed += before * before - residual[index] * residual[index];
+    });
+    return removed;
+  }
+}
+
+/**
+ * Binary search for the peak closest to a frequency
+ * @returns {number} Index, or -1 when there are no peaks
+ */
+function nearestPeak(peaks, frequency) {
+  let lo = 0;
+  let hi = peaks.length - 1;
+  if (hi < 0) return -1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (peaks[mid].frequency < frequency) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && frequency - peaks[lo - 1].frequency < peaks[lo].frequency - frequency) {
+    return lo - 1;
+  }
+  return lo;
+}
+
+function calculateRMS(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / buffer.length);
+}
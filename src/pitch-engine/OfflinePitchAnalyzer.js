@@ -0,0 +1,234 @@
+/**
+ * OfflinePitchAnalyzer - Runs the live detection pipeline over a decoded file
+ *
+ * Steps through a mono sample buffer at the live update interval and, for
+ * each hop, does what PitchDetector does on its timer: the selected detector
+ * on the latest `bufferSize` samples, then VocalAnalyzer. Frames come back in
+ * the same shape as PitchDetector's onPitchDetected payload, stamped with
+ * their position in the file, so consumers can ingest them like live input.
+ *
+ * VocalAnalyzer wants an AnalyserNode for its spectrum; OfflineSpectrum
+ * stands in for it with a Blackman-windowed FFT over the same window size the
+ * live analyser uses (2 × bufferSize).
+ */
+
+import { createDetector, resolveDetectorType } from './detectors/index.js';
+import { VocalAnalyzer } from './VocalAnalyzer.js';
+import { FrequencyConverter } from './FrequencyConverter.js';
+import { fft } from './fft.js';
+
+// Hand control back to the event loop this often so the UI stays responsive
+const FRAMES_PER_CHUNK = 200;
+
+// Files taken by extension when the browser reports no (or a generic) MIME type
+const AUDIO_EXTENSIONS = ['wav', 'mp3', 'ogg', 'm4a', 'flac'];
+
+/**
+ * File picker `accept` list for recordings
+ */
+export const AUDIO_FILE_ACCEPT = ['audio/*', ...AUDIO_EXTENSIONS.map((ext) => `.${ext}`)].join(',');
+
+export class OfflinePitchAnalyzer {
+  /**
+   * @param {object} options
+   * @param {string} options.detector - Detector type from DetectorType (default: 'hybrid')
+   * @param {number} options.sampleRate - Sample rate of the buffer (default: 44100)
+   * @param {number} options.bufferSize - Detection window (default: 4096, as the vocal monitor)
+   * @param {number} options.hopMs - Step between frames in ms (default: 30, the live update interval)
+   * @param {number} options.minFrequency - Minimum frequency to detect (default: 60)
+   * @param {number} options.maxFrequency - Maximum frequency to detect (default: 1200)
+   * @param {number} options.threshold - RMS threshold for silence (default: 0.005)
+   * @param {boolean} options.enableVocalAnalysis - Run VocalAnalyzer per frame (default: true)
+   */
+  constructor(options = {}) {
+    this.detector = resolveDetectorType(options.detector);
+    this.sampleRate = options.sampleRate || 44100;
+    this.bufferSize = options.bufferSize || 4096;
+    this.hopMs = options.hopMs || 30;
+    this.minFrequency = options.minFrequency || 60;
+    this.maxFrequency = options.maxFrequency || 1200;
+    this.threshold = options.threshold ?? 0.005;
+    this.enableVocalAnalysis = options.enableVocalAnalysis !== false;
+  }
+
+  /**
+   * Analyze a mono buffer frame by frame
+   * @param {Float32Array} samples - Mono audio at this.sampleRate
+   * @param {object} [options]
+   * @param {function} [options.onProgress] - Called with 0..1 between chunks
+   * @param {AbortSignal} [options.signal] - Abort to stop early (rejects with AbortError)
+   * @returns {Promise<Array<{time: number, pitch: object|null}>>} time in ms from file start
+   */
+  async analyze(samples, { onProgress, signal } = {}) {
+    const detector = createDetector(this.detector, {
+      sampleRate: this.sampleRate,
+      bufferSize: this.bufferSize,
+      minFrequency: this.minFrequency,
+      maxFrequency: this.maxFrequency,
+      threshold: this.threshold,
+    });
+    await detector.initialize();
+    const vocalAnalyzer = new VocalAnalyzer();
+    const spectrum = new OfflineSpectrum(samples, this.bufferSize * 2);
+
+    const hop = Math.max(1, Math.round((this.hopMs / 1000) * this.sampleRate));
+    const frames = [];
+
+    // Each frame covers [end - bufferSize, end); it's stamped at its centre
+    for (let end = this.bufferSize, n = 0; end <= samples.length; end += hop, n++) {
+      if (n > 0 && n % FRAMES_PER_CHUNK === 0) {
+        onProgress?.(end / samples.length);
+        await yieldToEventLoop();
+      }
+      if (signal?.aborted) throw new DOMException('Analysis aborted', 'AbortError');
+
+      const buffer = samples.subarray(end - this.bufferSize, end);
+      const time = ((end - this.bufferSize / 2) / this.sampleRate) * 1000;
+      const result = detector.detect(buffer);
+      const frequency = result?.frequency ?? null;
+
+      if (!frequency) {
+        if (this.enableVocalAnalysis) vocalAnalyzer.reset();
+        frames.push({ time, pitch: null });
+        continue;
+      }
+
+      const pitch = {
+        frequency,
+        confidence: result.confidence ?? 0,
+        rms: rms(buffer),
+        ...FrequencyConverter.frequencyToNote(frequency),
+        timestamp: time,
+        detector: detector.name,
+      };
+      if (this.enableVocalAnalysis) {
+        spectrum.setEnd(end);
+        pitch.vocalAnalysis = vocalAnalyzer.analyze(
+          buffer,
+          frequency,
+          this.sampleRate,
+          spectrum,
+          time
+        );
+      }
+      frames.push({ time, pitch });
+    }
+
+    detector.dispose();
+    onProgress?.(1);
+    return frames;
+  }
+
+  /**
+   * Whether a dropped or picked file looks like a recording: an audio MIME
+   * type, or one of the usual extensions (drag and drop often has no type)
+   * @param {File} file
+   * @returns {boolean}
+   */
+  static isAudioFile(file) {
+    if (file?.type?.startsWith('audio/')) return true;
+    const ext = /\.([^.]+)$/.exec(file?.name ?? '')?.[1].toLowerCase();
+    return AUDIO_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Decode an audio file (WAV/MP3/OGG — whatever the browser supports), mix
+   * it down to mono and apply the same high-pass the live input chain uses
+   * @param {ArrayBuffer} data - Encoded file contents
+   * @param {object} [options]
+   * @param {number} [options.sampleRate] - Target rate (default: 44100)
+   * @param {number} [options.highPassFreq] - High-pass cutoff, 0 to skip (default: 180, as AudioAnalyzer)
+   * @returns {Promise<{samples: Float32Array, sampleRate: number, duration: number}>}
+   */
+  static async decode(data, { sampleRate = 44100, highPassFreq = 180 } = {}) {
+    const OfflineCtx = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+    if (!OfflineCtx) throw new Error('Audio decoding is unavailable in this browser.');
+
+    // decodeAudioData resamples to the context's rate
+    let decoded;
+    try {
+      decoded = await new OfflineCtx(1, 1, sampleRate).decodeAudioData(data);
+    } catch (error) {
+      // An EncodingError, or null from older Safari
+      throw new Error(error?.message || 'The browser could not decode this audio format.');
+    }
+
+    // Render through a mono graph: the destination does the down-mix
+    const ctx = new OfflineCtx(1, decoded.length, sampleRate);
+    const source = ctx.createBufferSource();
+    source.buffer = decoded;
+    let node = source;
+    if (highPassFreq > 0) {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'highpass';
+      filter.frequency.value = highPassFreq;
+      filter.Q.value = 0.7;
+      node.connect(filter);
+      node = filter;
+    }
+    node.connect(ctx.destination);
+    source.start();
+    const rendered = await ctx.startRendering();
+
+    return {
+      samples: rendered.getChannelData(0),
+      sampleRate,
+      duration: decoded.duration,
+    };
+  }
+}
+
+/**
+ * AnalyserNode stand-in over a fixed buffer: getFloatFrequencyData() returns
+ * the dB spectrum of the `fftSize` samples ending at the current position.
+ */
+class OfflineSpectrum {
+  constructor(samples, fftSize) {
+    this.samples = samples;
+    this.fftSize = fftSize;
+    this.frequencyBinCount = fftSize / 2;
+    this._end = fftSize;
+    this._window = blackmanWindow(fftSize);
+    this._re = new Float32Array(fftSize);
+    this._im = new Float32Array(fftSize);
+  }
+
+  setEnd(end) {
+    this._end = end;
+  }
+
+  getFloatFrequencyData(out) {
+    const { fftSize, samples } = this;
+    const start = this._end - fftSize;
+    for (let i = 0; i < fftSize; i++) {
+      const s = start + i;
+      this._re[i] = s >= 0 ? samples[s] * this._window[i] : 0;
+      this._im[i] = 0;
+    }
+    fft(this._re, this._im);
+    for (let i = 0; i < out.length; i++) {
+      const magnitude = Math.hypot(this._re[i], this._im[i]) / fftSize;
+      out[i] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+    }
+  }
+}
+
+function rms(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / buffer.length);
+}
+
+function blackmanWindow(size) {
+  // Same window the Web Audio AnalyserNode applies
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const x = (2 * Math.PI * i) / size;
+    w[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+  }
+  return w;
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
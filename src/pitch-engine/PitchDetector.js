@@ -1,39 +1,50 @@
 /**
  * PitchDetector - Main pitch detection module
  * Combines AudioAnalyzer and FrequencyConverter for complete pitch detection
- * Detection algorithm: hybrid MPM (pitchy) with YIN (pitchfinder) fallback
+ * Detection algorithm: any registered detector (see detectors/index.js),
+ * hybrid MPM + YIN by default; switchable at runtime with setDetectorType()
+ *
+ * Where AudioWorklet is available, detection runs on the audio thread
+ * (PitchWorkletProcessor) and each posted frame is turned into an
+ * onPitchDetected call here. Otherwise the analyser is polled every
+ * updateInterval ms. Either way onPitchDetected receives the same payload.
+ *
+ * With multi-pitch enabled, each window also goes through
+ * MultiPitchEstimator and onChordDetected receives the notes sounding.
+ * With signal frames enabled, onSignal receives each raw window and its
+ * position on the sample clock (for phase-based displays such as the
+ * strobe tuner).
  */
 
 import { AudioAnalyzer } from './AudioAnalyzer.js';
 import { FrequencyConverter } from './FrequencyConverter.js';
-import { HybridPitchDetector } from './detectors/HybridPitchDetector.js';
+import { createDetector, resolveDetectorType } from './detectors/index.js';
 import { VocalAnalyzer } from './VocalAnalyzer.js';
+import { MultiPitchEstimator } from './MultiPitchEstimator.js';
 
-/**
- * Available detector types. 'crepe' was removed — it was never a real CREPE
- * model (a plain autocorrelation stub gated on a TensorFlow.js CDN load) and
- * the hybrid detector outperforms it; the constant stays so stored options
- * resolve to the hybrid path.
- */
-export const DetectorType = {
-  HYBRID: 'hybrid',
-};
+export { DetectorType } from './detectors/index.js';
 
 export class PitchDetector {
   /**
    * @param {object} options
-   * @param {string} options.detector - Detector type (only 'hybrid' is supported)
+   * @param {string} options.detector - Detector type from DetectorType (default: 'hybrid')
    * @param {function} options.onModelReady - Callback when the detector is ready
    * @param {number} options.bufferSize - Buffer size for detection (default: 2048)
    * @param {number} options.minFrequency - Minimum frequency to detect (default: 60)
    * @param {number} options.maxFrequency - Maximum frequency to detect (default: 1200)
    * @param {number} options.threshold - RMS threshold for silence, 0..1 (default: 0.005)
    * @param {number} options.updateInterval - Detection interval in ms (default: 50)
+   * @param {boolean} options.useWorklet - Detect on the audio thread when supported (default: true)
    * @param {function} options.onPitchDetected - Callback for pitch detection results
+   * @param {boolean} options.enableMultiPitch - Also estimate chords (default: false)
+   * @param {object} options.multiPitch - MultiPitchEstimator options (maxPolyphony, stopRatio, …)
+   * @param {function} options.onChordDetected - Callback for chord frames (or null)
+   * @param {boolean} options.enableSignal - Also pass raw windows to onSignal (default: false)
+   * @param {function} options.onSignal - Callback for signal frames (or null)
    */
   constructor(options = {}) {
-    // Detector configuration (any stored legacy value resolves to hybrid)
-    this.detectorType = DetectorType.HYBRID;
+    // Detector configuration (unknown or legacy values resolve to hybrid)
+    this.detectorType = resolveDetectorType(options.detector);
     this.fallbackEnabled = options.fallbackEnabled !== false;
 
     // Callbacks
@@ -41,6 +52,8 @@ export class PitchDetector {
     this.onModelReady = options.onModelReady || null;
     this.onModelError = options.onModelError || null;
     this.onPitchDetected = options.onPitchDetected || null;
+    this.onChordDetected = options.onChordDetected || null;
+    this.onSignal = options.onSignal || null;
 
     // Common options
     this.bufferSize = options.bufferSize || 2048;
@@ -49,6 +62,19 @@ export class PitchDetector {
     this.threshold = options.threshold ?? 0.005;
     this.updateInterval = options.updateInterval || 50;
 
+    // Vocal analysis (vibrato, stability, brightness, breathiness)
+    this.vocalAnalyzer = new VocalAnalyzer();
+    this.enableVocalAnalysis = options.enableVocalAnalysis !== false; // Enabled by default
+
+    // Polyphonic estimation (created on first use, at the live sample rate)
+    this.enableMultiPitch = !!options.enableMultiPitch;
+    this.multiPitchOptions = options.multiPitch || {};
+    this.multiPitchEstimator = null;
+    this.currentChord = null;
+
+    // Raw windows for phase-based displays
+    this.enableSignal = !!options.enableSignal;
+
     // AudioAnalyzer for audio input (always used)
     this.analyzer = new AudioAnalyzer({
       bufferSize: this.bufferSize,
@@ -56,10 +82,14 @@ export class PitchDetector {
       maxFrequency: this.maxFrequency,
       threshold: this.threshold,
       highPassFreq: options.highPassFreq,
+      useWorklet: options.useWorklet,
+      detector: this.detectorType,
+      updateInterval: this.updateInterval,
+      // Vocal, chord and signal consumers need the window itself
+      includeBuffer: this.enableVocalAnalysis || this.enableMultiPitch || this.enableSignal,
     });
 
-    // Detector instances
-    this.hybridDetector = null;
+    // Detector instance
     this.activeDetector = null;
 
     // State
@@ -67,10 +97,6 @@ export class PitchDetector {
     this.intervalId = null;
     this.currentPitch = null;
     this.detectorReady = false;
-
-    // Vocal analysis (vibrato, stability, brightness, breathiness)
-    this.vocalAnalyzer = new VocalAnalyzer();
-    this.enableVocalAnalysis = options.enableVocalAnalysis !== false; // Enabled by default
   }
 
   /**
@@ -79,7 +105,7 @@ export class PitchDetector {
    */
   async _initializeDetector() {
     const sampleRate = this.analyzer.getSampleRate();
-    await this._initializeHybridDetector(sampleRate);
+    this.activeDetector = await this._createDetector(this.detectorType, sampleRate);
     this.detectorReady = true;
 
     if (this.onModelReady) {
@@ -88,11 +114,11 @@ export class PitchDetector {
   }
 
   /**
-   * Initialize hybrid detector
+   * Create and initialize a detector from the registry
    * @private
    */
-  async _initializeHybridDetector(sampleRate) {
-    this.hybridDetector = new HybridPitchDetector({
+  async _createDetector(type, sampleRate) {
+    const detector = createDetector(type, {
       sampleRate,
       bufferSize: this.bufferSize,
       minFrequency: this.minFrequency,
@@ -100,8 +126,65 @@ export class PitchDetector {
       threshold: this.threshold, // same RMS semantics as AudioAnalyzer
     });
 
-    await this.hybridDetector.initialize();
-    this.activeDetector = this.hybridDetector;
+    await detector.initialize();
+    return detector;
+  }
+
+  /**
+   * Switch the detection algorithm. While running, the new detector is
+   * initialized first and swapped in between frames, so detection never
+   * pauses; otherwise it's created on the next start().
+   * @param {string} type - Detector type from DetectorType
+   * @returns {Promise<void>}
+   */
+  async setDetectorType(type) {
+    const resolved = resolveDetectorType(type);
+    if (resolved === this.detectorType) return;
+    this.detectorType = resolved;
+    this.analyzer.setDetectorType(resolved);
+
+    if (this.analyzer.usesWorklet) {
+      // The processor swaps its own detector once the new one is ready
+      this.vocalAnalyzer.reset();
+      return;
+    }
+    if (!this.isRunning) {
+      this._disposeDetector();
+      return;
+    }
+
+    const detector = await this._createDetector(resolved, this.analyzer.getSampleRate());
+    if (this.detectorType !== resolved) {
+      // Superseded by another switch while initializing
+      detector.dispose();
+      return;
+    }
+    const previous = this.activeDetector;
+    this.activeDetector = detector;
+    this.detectorReady = true;
+    previous?.dispose();
+    this.vocalAnalyzer.reset();
+  }
+
+  /**
+   * Turn chord estimation on or off (e.g. as chord subscribers come and go)
+   * @param {boolean} enabled
+   */
+  setMultiPitchEnabled(enabled) {
+    this.enableMultiPitch = enabled;
+    this.analyzer.setIncludeBuffer(this.enableVocalAnalysis || enabled || this.enableSignal);
+    if (!enabled) {
+      this.currentChord = null;
+    }
+  }
+
+  /**
+   * Turn signal frames on or off (e.g. as signal subscribers come and go)
+   * @param {boolean} enabled
+   */
+  setSignalEnabled(enabled) {
+    this.enableSignal = enabled;
+    this.analyzer.setIncludeBuffer(this.enableVocalAnalysis || this.enableMultiPitch || enabled);
   }
 
   /**
@@ -113,8 +196,20 @@ export class PitchDetector {
 
     await this.analyzer.start();
 
+    if (this.analyzer.usesWorklet) {
+      // The processor owns the detector; frames arrive as it posts them
+      this._disposeDetector();
+      this.analyzer.onFrame = (frame) => this._onWorkletFrame(frame);
+      this.detectorReady = true;
+      if (this.onModelReady) {
+        this.onModelReady();
+      }
+      this.isRunning = true;
+      return;
+    }
+
     // Initialize detector if not done
-    if (!this.detectorReady) {
+    if (!this.activeDetector) {
       await this._initializeDetector();
     }
 
@@ -136,13 +231,15 @@ export class PitchDetector {
       this.intervalId = null;
     }
 
+    this.analyzer.onFrame = null;
     this.analyzer.stop();
     this.isRunning = false;
     this.currentPitch = null;
+    this.currentChord = null;
   }
 
   /**
-   * Detect pitch and notify callback
+   * Detect pitch and notify callback (timer-driven fallback path)
    * @private
    */
   _detectAndNotify() {
@@ -163,21 +260,73 @@ export class PitchDetector {
       confidence = this.analyzer.lastClarity || 0;
     }
 
+    // Calculate RMS from buffer (volume level for visualization)
+    const rms = frequency ? this.analyzer.calculateRMS(buffer) : 0;
+    this._notify(
+      frequency,
+      confidence,
+      rms,
+      buffer,
+      this.activeDetector?.name || 'analyzer',
+      null // no sample-accurate clock off the main-thread analyser
+    );
+  }
+
+  /**
+   * Handle a frame posted by the audio-thread processor
+   * @private
+   */
+  _onWorkletFrame(frame) {
+    if (!this.isRunning) return;
+    this._notify(
+      frame.frequency,
+      frame.confidence,
+      frame.rms,
+      frame.buffer,
+      frame.detector,
+      frame.endSample ?? null
+    );
+  }
+
+  /**
+   * Build the pitch payload and notify the callback
+   * @private
+   * @param {number|null} frequency
+   * @param {number} confidence
+   * @param {number} rms
+   * @param {Float32Array|null} buffer - Analysed window (for vocal analysis)
+   * @param {string} detectorName
+   * @param {number|null} endSample - Sample clock just past the window
+   */
+  _notify(frequency, confidence, rms, buffer, detectorName, endSample = null) {
+    if (this.enableSignal && buffer && this.onSignal) {
+      this.onSignal({
+        buffer,
+        sampleRate: this.analyzer.getSampleRate(),
+        endSample,
+        frequency,
+        rms,
+      });
+    }
+
+    // A chord can defeat the single-f0 detector, so this runs either way
+    if (this.enableMultiPitch && buffer) {
+      this._detectChord(buffer);
+    }
+
     if (frequency) {
       const noteInfo = FrequencyConverter.frequencyToNote(frequency);
-      // Calculate RMS from buffer (volume level for visualization)
-      const rms = this.analyzer.calculateRMS(buffer);
       this.currentPitch = {
         frequency,
         confidence,
         rms, // Volume level for visualization
         ...noteInfo,
         timestamp: Date.now(),
-        detector: this.activeDetector?.name || 'analyzer',
+        detector: detectorName,
       };
 
       // Run vocal analysis if enabled
-      if (this.enableVocalAnalysis) {
+      if (this.enableVocalAnalysis && buffer) {
         const analyserNode = this.analyzer.getAnalyserNode();
         const sampleRate = this.analyzer.getSampleRate();
         const vocalAnalysis = this.vocalAnalyzer.analyze(buffer, frequency, sampleRate, analyserNode);
@@ -201,6 +350,31 @@ export class PitchDetector {
     }
   }
 
+  /**
+   * Estimate the notes in a window and notify the chord callback
+   * @private
+   * @param {Float32Array} buffer
+   */
+  _detectChord(buffer) {
+    const sampleRate = this.analyzer.getSampleRate();
+    if (!this.multiPitchEstimator || this.multiPitchEstimator.sampleRate !== sampleRate) {
+      this.multiPitchEstimator = new MultiPitchEstimator({
+        sampleRate,
+        minFrequency: this.minFrequency,
+        maxFrequency: this.maxFrequency,
+        threshold: this.threshold,
+        ...this.multiPitchOptions,
+      });
+    }
+
+    const chord = this.multiPitchEstimator.detect(buffer);
+    this.currentChord = chord ? { ...chord, timestamp: Date.now() } : null;
+
+    if (this.onChordDetected) {
+      this.onChordDetected(this.currentChord);
+    }
+  }
+
   /**
    * Get current detected pitch
    * @returns {object|null} Current pitch info or null
@@ -209,6 +383,22 @@ export class PitchDetector {
     return this.currentPitch;
   }
 
+  /**
+   * Get the latest chord frame (multi-pitch mode)
+   * @returns {object|null} { notes, pitchClasses, confidence, rms, timestamp } or null
+   */
+  getCurrentChord() {
+    return this.currentChord;
+  }
+
+  /**
+   * Get the live microphone stream while running
+   * @returns {MediaStream|null}
+   */
+  getMediaStream() {
+    return this.isRunning ? this.analyzer.getMediaStream() : null;
+  }
+
   /**
    * Get information about the current detector
    * @returns {object} Detector info
@@ -216,9 +406,10 @@ export class PitchDetector {
   getDetectorInfo() {
     return {
       type: this.detectorType,
-      active: this.activeDetector?.name || 'none',
+      active: this.activeDetector?.name || (this.analyzer.usesWorklet ? this.detectorType : 'none'),
       ready: this.detectorReady,
-      hybridReady: this.hybridDetector?.isReady ?? false,
+      worklet: this.analyzer.usesWorklet,
+      detector: this.activeDetector?.getInfo() ?? null,
     };
   }
 
@@ -306,13 +497,17 @@ export class PitchDetector {
    */
   dispose() {
     this.stop();
+    this._disposeDetector();
+  }
 
-    if (this.hybridDetector) {
-      this.hybridDetector.dispose();
-      this.hybridDetector = null;
+  /**
+   * @private
+   */
+  _disposeDetector() {
+    if (this.activeDetector) {
+      this.activeDetector.dispose();
+      this.activeDetector = null;
     }
-
-    this.activeDetector = null;
     this.detectorReady = false;
   }
 }
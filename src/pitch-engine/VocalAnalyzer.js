@@ -34,14 +34,15 @@ export class VocalAnalyzer {
    * @param {number} frequency - Detected pitch frequency
    * @param {number} sampleRate - Audio sample rate
    * @param {AnalyserNode} analyser - Web Audio AnalyserNode for FFT
+   * @param {number} timestamp - Frame time in ms (default: now; offline analysis passes file time)
    * @returns {object} Analysis results
    */
-  analyze(audioBuffer, frequency, sampleRate, analyser) {
+  analyze(audioBuffer, frequency, sampleRate, analyser, timestamp = Date.now()) {
     // Update pitch history for vibrato detection
     if (frequency) {
       this.pitchHistory.push({
         frequency,
-        timestamp: Date.now()
+        timestamp
       });
 
       // Trim history
@@ -0,0 +1,335 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { CapturePipeline, createHighPass } from '../worklet/CapturePipeline.js';
+import { PitchDetector } from '../PitchDetector.js';
+import { AudioAnalyzer } from '../AudioAnalyzer.js';
+import { TestSignalGenerator } from '../evaluation/TestSignalGenerator.js';
+
+const SAMPLE_RATE = 44100;
+const QUANTUM = 128; // Web Audio render quantum
+
+/** Feed a signal through the pipeline one render quantum at a time */
+function run(pipeline, signal) {
+  const frames = [];
+  const output = new Float32Array(signal.length);
+  for (let i = 0; i + QUANTUM <= signal.length; i += QUANTUM) {
+    frames.push(
+      ...pipeline.process(signal.subarray(i, i + QUANTUM), output.subarray(i, i + QUANTUM))
+    );
+  }
+  return { frames, output };
+}
+
+function rms(buffer) {
+  let sum = 0;
+  for (const x of buffer) sum += x * x;
+  return Math.sqrt(sum / buffer.length);
+}
+
+async function makePipeline(overrides = {}) {
+  const pipeline = new CapturePipeline({
+    sampleRate: SAMPLE_RATE,
+    bufferSize: 4096,
+    hopSize: 1323, // 30ms
+    ...overrides,
+  });
+  await pipeline.ready;
+  return pipeline;
+}
+
+describe('CapturePipeline', () => {
+  const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+
+  it('emits one frame per hop once the window is full', async () => {
+    const pipeline = await makePipeline();
+    const { buffer } = generator.generateWithHarmonics(220, 1.0, [1, 0.5, 0.25], 0.1);
+    const { frames } = run(pipeline, buffer);
+
+    const expected = Math.floor((buffer.length - 4096) / 1323) + 1;
+    expect(Math.abs(frames.length - expected)).toBeLessThanOrEqual(1);
+    expect(frames[0]).toMatchObject({ detector: 'hybrid', buffer: null });
+  });
+
+  it('detects a voice-like tone through the high-pass and gain stages', async () => {
+    const pipeline = await makePipeline();
+    const { buffer } = generator.generateWithHarmonics(220, 1.0, [1, 0.5, 0.25], 0.05);
+    const { frames } = run(pipeline, buffer);
+    const settled = frames.slice(3);
+
+    expect(settled.every((f) => Math.abs(f.frequency - 220) < 3)).toBe(true);
+    expect(settled.every((f) => f.confidence > 0.5)).toBe(true);
+  });
+
+  it('attaches the analysed window in time order when asked', async () => {
+    const pipeline = await makePipeline({ includeBuffer: true, highPassFreq: 0, initialGain: 1 });
+    // A ramp makes ordering visible: each sample is larger than the last
+    const ramp = Float32Array.from({ length: 4096 + 1323 * 2 }, (_, i) => i / 1e5);
+    const { frames } = run(pipeline, ramp);
+    const window = frames[frames.length - 1].buffer;
+
+    expect(window).toHaveLength(4096);
+    for (let i = 1; i < window.length; i++) expect(window[i]).toBeGreaterThan(window[i - 1]);
+  });
+
+  it('stamps each frame with its position on the sample clock', async () => {
+    const pipeline = await makePipeline();
+    const { buffer } = generator.generateSineWave(220, 0.5);
+    const { frames } = run(pipeline, buffer);
+
+    expect(frames[0].endSample).toBe(Math.ceil(4096 / 1323) * 1323);
+    frames.slice(1).forEach((f, i) => expect(f.endSample - frames[i].endSample).toBe(1323));
+
+    // A reset empties the window but the clock runs on
+    pipeline.reset();
+    const after = run(pipeline, buffer).frames;
+    expect(after[0].endSample).toBeGreaterThan(buffer.length - QUANTUM);
+  });
+
+  it('raises the gain on quiet input up to maxGain and holds it through silence', async () => {
+    const pipeline = await makePipeline({ maxGain: 8 });
+    const quiet = generator.generateSineWave(330, 3.0, 0.002).buffer;
+    run(pipeline, quiet);
+    expect(pipeline.gain).toBeGreaterThan(3.5);
+    expect(pipeline.gain).toBeLessThanOrEqual(8);
+
+    const gain = pipeline.gain;
+    run(pipeline, new Float32Array(SAMPLE_RATE));
+    expect(pipeline.gain).toBeCloseTo(gain, 5);
+  });
+
+  it('lowers the gain on loud input toward the target level', async () => {
+    const pipeline = await makePipeline();
+    // 0.25 RMS after the initial 3.5× gain — about twice the target
+    const loud = generator.generateSineWave(330, 3.0, 0.1).buffer;
+    const { output } = run(pipeline, loud);
+
+    const tail = output.subarray(output.length - 4096);
+    expect(rms(tail)).toBeGreaterThan(0.1);
+    expect(rms(tail)).toBeLessThan(0.14);
+    expect(pipeline.gain).toBeLessThan(3.5);
+    expect(pipeline.gain).toBeGreaterThanOrEqual(1);
+  });
+
+  it('swaps detectors at runtime', async () => {
+    const pipeline = await makePipeline();
+    const { buffer } = generator.generateWithHarmonics(220, 0.5, [1, 0.5, 0.25], 0.1);
+    await pipeline.setDetectorType('pyin');
+    const { frames } = run(pipeline, buffer);
+
+    expect(frames.length).toBeGreaterThan(0);
+    expect(frames.every((f) => f.detector === 'pyin')).toBe(true);
+  });
+});
+
+describe('createHighPass', () => {
+  const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+
+  function gainAt(frequency, cutoff) {
+    const filter = createHighPass(cutoff, SAMPLE_RATE);
+    const { buffer } = generator.generateSineWave(frequency, 0.5, 1);
+    const out = buffer.map((x) => filter(x));
+    // Skip the filter's settling time
+    return rms(out.subarray(4096)) / rms(buffer.subarray(4096));
+  }
+
+  it('passes the voice band and cuts rumble below the cutoff', () => {
+    expect(gainAt(1000, 180)).toBeGreaterThan(0.95);
+    expect(gainAt(50, 180)).toBeLessThan(0.1);
+  });
+
+  it('sits near -3dB at the cutoff like a Q=0.7 BiquadFilterNode', () => {
+    const gain = gainAt(180, 180);
+    expect(gain).toBeGreaterThan(0.9);
+    expect(gain).toBeLessThan(1.2);
+  });
+
+  it('bypasses when the cutoff is 0', () => {
+    const filter = createHighPass(0, SAMPLE_RATE);
+    expect(filter(0.3)).toBe(0.3);
+  });
+});
+
+describe('PitchWorkletProcessor', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.resetModules();
+  });
+
+  async function loadProcessor() {
+    let registered = null;
+    vi.stubGlobal('sampleRate', SAMPLE_RATE);
+    vi.stubGlobal('currentTime', 1.5);
+    vi.stubGlobal(
+      'AudioWorkletProcessor',
+      class {
+        constructor() {
+          this.port = { postMessage: vi.fn(), onmessage: null };
+        }
+      }
+    );
+    vi.stubGlobal('registerProcessor', (name, ctor) => {
+      registered = { name, ctor };
+    });
+    await import('../worklet/PitchWorkletProcessor.js');
+    return registered;
+  }
+
+  it('registers under the name AudioAnalyzer loads', async () => {
+    const { name } = await loadProcessor();
+    expect(name).toBe('pitch-processor');
+  });
+
+  it('posts pitch frames and transfers the window buffer', async () => {
+    const { ctor } = await loadProcessor();
+    const processor = new ctor({
+      processorOptions: { bufferSize: 2048, hopSize: 1024, includeBuffer: true },
+    });
+    await processor.pipeline.ready;
+
+    const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+    const { buffer } = generator.generateWithHarmonics(330, 0.2, [1, 0.5], 0.1);
+    const output = new Float32Array(QUANTUM);
+    for (let i = 0; i + QUANTUM <= buffer.length; i += QUANTUM) {
+      expect(processor.process([[buffer.subarray(i, i + QUANTUM)]], [[output]])).toBe(true);
+    }
+
+    const frames = processor.port.postMessage.mock.calls.filter(([m]) => m.type === 'frame');
+    expect(frames.length).toBeGreaterThan(3);
+    const [message, transfer] = frames[frames.length - 1];
+    expect(message).toMatchObject({ detector: 'hybrid', time: 1.5 });
+    expect(message.frequency).toBeCloseTo(330, 0);
+    expect(transfer).toEqual([message.buffer.buffer]);
+  });
+
+  it('switches detector and stops on request', async () => {
+    const { ctor } = await loadProcessor();
+    const processor = new ctor({ processorOptions: { bufferSize: 2048 } });
+    await processor.pipeline.ready;
+
+    processor.port.onmessage({ data: { type: 'detector', detector: 'mpm' } });
+    await vi.waitFor(() => expect(processor.pipeline.detector.name).toBe('mpm'));
+    expect(processor.port.postMessage).toHaveBeenCalledWith({ type: 'ready', detector: 'mpm' });
+
+    processor.port.onmessage({ data: { type: 'stop' } });
+    expect(processor.process([[new Float32Array(QUANTUM)]], [[new Float32Array(QUANTUM)]])).toBe(
+      false
+    );
+  });
+});
+
+describe('PitchDetector worklet path', () => {
+  function makeDetector(options = {}) {
+    const onPitchDetected = vi.fn();
+    const pd = new PitchDetector({ onPitchDetected, ...options });
+    pd.analyzer.start = async () => {
+      pd.analyzer.usesWorklet = true;
+    };
+    pd.analyzer.stop = () => {
+      pd.analyzer.usesWorklet = false;
+    };
+    return { pd, onPitchDetected };
+  }
+
+  it('turns posted frames into the usual onPitchDetected payload', async () => {
+    const { pd, onPitchDetected } = makeDetector({ enableVocalAnalysis: false });
+    await pd.start();
+    expect(pd.intervalId).toBeNull();
+
+    pd.analyzer.onFrame({ frequency: 440, confidence: 0.95, rms: 0.1, detector: 'hybrid' });
+    const pitch = onPitchDetected.mock.calls[0][0];
+    expect(pitch).toMatchObject({ frequency: 440, confidence: 0.95, rms: 0.1, detector: 'hybrid' });
+    expect(pitch.noteName).toBe('A4');
+    expect(typeof pitch.timestamp).toBe('number');
+
+    pd.analyzer.onFrame({ frequency: null, confidence: 0, rms: 0, detector: 'hybrid' });
+    expect(onPitchDetected).toHaveBeenLastCalledWith(null);
+    expect(pd.getDetectorInfo()).toMatchObject({ worklet: true, ready: true, active: 'hybrid' });
+
+    pd.stop();
+    expect(pd.analyzer.onFrame).toBeNull();
+  });
+
+  it('runs vocal analysis on the window the processor sends', async () => {
+    const { pd, onPitchDetected } = makeDetector();
+    await pd.start();
+    const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+    const { buffer } = generator.generateSineWave(220, 0.1);
+
+    pd.analyzer.onFrame({
+      frequency: 220,
+      confidence: 0.9,
+      rms: 0.5,
+      detector: 'hybrid',
+      buffer: buffer.slice(0, 2048),
+    });
+    expect(onPitchDetected.mock.calls[0][0].vocalAnalysis).toBeTruthy();
+    pd.stop();
+  });
+
+  it('passes windows and their sample clock to onSignal while enabled', async () => {
+    const onSignal = vi.fn();
+    const { pd } = makeDetector({ enableVocalAnalysis: false, onSignal });
+    await pd.start();
+    const post = vi.fn();
+    pd.analyzer.workletNode = { port: { postMessage: post } };
+    const buffer = new Float32Array(2048).fill(0.1);
+
+    pd.analyzer.onFrame({ frequency: 220, confidence: 0.9, rms: 0.1, detector: 'hybrid', buffer, endSample: 8192 });
+    expect(onSignal).not.toHaveBeenCalled();
+
+    pd.setSignalEnabled(true);
+    expect(post).toHaveBeenLastCalledWith({ type: 'includeBuffer', include: true });
+    pd.analyzer.onFrame({ frequency: null, confidence: 0, rms: 0.1, detector: 'hybrid', buffer, endSample: 10240 });
+    expect(onSignal).toHaveBeenCalledWith(
+      expect.objectContaining({ buffer, endSample: 10240, frequency: null, sampleRate: pd.analyzer.getSampleRate() })
+    );
+
+    pd.setSignalEnabled(false);
+    expect(post).toHaveBeenLastCalledWith({ type: 'includeBuffer', include: false });
+    pd.analyzer.workletNode = null;
+    pd.stop();
+  });
+
+  it('forwards detector switches to the processor', async () => {
+    const { pd } = makeDetector();
+    await pd.start();
+    const post = vi.fn();
+    pd.analyzer.workletNode = { port: { postMessage: post } };
+
+    await pd.setDetectorType('cepstrum');
+    expect(post).toHaveBeenCalledWith({ type: 'detector', detector: 'cepstrum' });
+    expect(pd.getDetectorInfo().type).toBe('cepstrum');
+    pd.analyzer.workletNode = null;
+    pd.stop();
+  });
+});
+
+describe('AudioAnalyzer drone cancellation in worklet mode', () => {
+  it('tells the processor to drop its window when the notches go in or out', () => {
+    const node = () => ({ connect: vi.fn(), disconnect: vi.fn() });
+    const analyzer = new AudioAnalyzer();
+    analyzer.audioContext = {
+      state: 'running',
+      createBiquadFilter: () => ({ ...node(), frequency: {}, Q: {} }),
+    };
+    analyzer._chainStart = node();
+    analyzer._chainEnd = node();
+    const post = vi.fn();
+    analyzer.workletNode = { port: { postMessage: post } };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    analyzer.enableDroneCancellation(110);
+    expect(analyzer.droneNotchFilters).toHaveLength(4);
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post).toHaveBeenLastCalledWith({ type: 'reset' });
+
+    analyzer.disableDroneCancellation();
+    expect(analyzer._chainStart.connect).toHaveBeenLastCalledWith(analyzer._chainEnd);
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(post).toHaveBeenLastCalledWith({ type: 'reset' });
+
+    // Nothing to undo: the processor keeps its window
+    analyzer.disableDroneCancellation();
+    expect(post).toHaveBeenCalledTimes(2);
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BasePitchDetector,
+  DetectorType,
+  createDetector,
+  getAvailableDetectors,
+  getDetectorClass,
+  registerDetectorType,
+  resolveDetectorType,
+} from '../detectors/index.js';
+import { PitchDetector } from '../PitchDetector.js';
+import { OfflinePitchAnalyzer } from '../OfflinePitchAnalyzer.js';
+import { EvaluationRunner } from '../evaluation/EvaluationRunner.js';
+import { TestSignalGenerator } from '../evaluation/TestSignalGenerator.js';
+
+describe('detector registry', () => {
+  it('lists every built-in detector with a display name', () => {
+    const types = getAvailableDetectors().map((d) => d.type);
+    expect(types).toEqual(expect.arrayContaining(Object.values(DetectorType)));
+    for (const d of getAvailableDetectors()) {
+      expect(d.name).toBeTruthy();
+      expect(d.description).toBeTruthy();
+    }
+  });
+
+  it('creates detectors whose name matches their type', () => {
+    for (const type of Object.values(DetectorType)) {
+      const detector = createDetector(type);
+      expect(detector).toBeInstanceOf(BasePitchDetector);
+      expect(detector.name).toBe(type);
+    }
+  });
+
+  it('resolves unknown and legacy types to hybrid', () => {
+    expect(resolveDetectorType('crepe')).toBe(DetectorType.HYBRID);
+    expect(resolveDetectorType(undefined)).toBe(DetectorType.HYBRID);
+    expect(resolveDetectorType(DetectorType.PYIN)).toBe(DetectorType.PYIN);
+    expect(createDetector('crepe').name).toBe(DetectorType.HYBRID);
+    expect(getDetectorClass('crepe')).toBeNull();
+  });
+
+  it('accepts third-party detectors', () => {
+    class FixedDetector extends BasePitchDetector {
+      constructor(options) {
+        super(options);
+        this._name = 'fixed';
+      }
+
+      detect() {
+        return { frequency: 440, confidence: 1, timestamp: 0 };
+      }
+    }
+    registerDetectorType('fixed', FixedDetector, { name: 'Fixed', description: 'Always A4' });
+
+    expect(resolveDetectorType('fixed')).toBe('fixed');
+    expect(createDetector('fixed')).toBeInstanceOf(FixedDetector);
+    expect(getAvailableDetectors().find((d) => d.type === 'fixed')?.name).toBe('Fixed');
+  });
+});
+
+describe('PitchDetector detector selection', () => {
+  it('takes the detector type from options', () => {
+    expect(new PitchDetector({ detector: 'cepstrum' }).getDetectorInfo().type).toBe('cepstrum');
+    expect(new PitchDetector({ detector: 'crepe' }).getDetectorInfo().type).toBe('hybrid');
+  });
+
+  it('switches type while stopped and recreates the detector on next start', async () => {
+    const pd = new PitchDetector({ detector: 'hybrid', bufferSize: 2048 });
+    await pd._initializeDetector();
+    const hybrid = pd.activeDetector;
+    expect(hybrid.name).toBe('hybrid');
+
+    await pd.setDetectorType('pyin');
+    expect(pd.getDetectorInfo()).toMatchObject({ type: 'pyin', ready: false });
+    expect(hybrid.isReady).toBe(false);
+
+    await pd._initializeDetector();
+    expect(pd.getDetectorInfo()).toMatchObject({ type: 'pyin', active: 'pyin', ready: true });
+    pd.dispose();
+  });
+
+  it('swaps the running detector in place', async () => {
+    const pd = new PitchDetector({ detector: 'hybrid', bufferSize: 2048 });
+    await pd._initializeDetector();
+    pd.isRunning = true; // skip the microphone; only the swap path matters here
+    const hybrid = pd.activeDetector;
+
+    await pd.setDetectorType('mpm');
+    expect(pd.activeDetector.name).toBe('mpm');
+    expect(pd.activeDetector.isReady).toBe(true);
+    expect(pd.detectorReady).toBe(true);
+    expect(hybrid.isReady).toBe(false);
+
+    pd.isRunning = false;
+    pd.dispose();
+  });
+});
+
+describe('detector registry consumers', () => {
+  const generator = new TestSignalGenerator({ sampleRate: 44100 });
+
+  it('OfflinePitchAnalyzer runs the selected detector', async () => {
+    const { buffer } = generator.generateWithHarmonics(220, 0.5, [1, 0.5, 0.25]);
+    const analyzer = new OfflinePitchAnalyzer({ detector: 'pyin', enableVocalAnalysis: false });
+    const frames = await analyzer.analyze(buffer);
+    const voiced = frames.filter((f) => f.pitch);
+
+    expect(voiced.length).toBeGreaterThan(0);
+    expect(voiced.every((f) => f.pitch.detector === 'pyin')).toBe(true);
+    expect(voiced[voiced.length - 1].pitch.frequency).toBeCloseTo(220, 0);
+  });
+
+  it('EvaluationRunner registers and benchmarks registry detectors', async () => {
+    const runner = new EvaluationRunner({ frameSize: 2048, hopSize: 2048 });
+    const names = await runner.registerDetectorTypes(['mpm', 'cepstrum']);
+    expect(names).toEqual(['mpm', 'cepstrum']);
+
+    const { buffer, groundTruth } = generator.generateWithHarmonics(330, 0.5, [1, 0.5, 0.25]);
+    const comparison = runner.compareDetectors('mpm', 'cepstrum', buffer, groundTruth);
+    expect(comparison).toBeTruthy();
+    expect(runner.detectors.get('cepstrum').isReady).toBe(true);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi } from 'vitest';
+import { MultiPitchEstimator } from '../MultiPitchEstimator.js';
+import { PitchDetector } from '../PitchDetector.js';
+import { FrequencyConverter } from '../FrequencyConverter.js';
+import { TestSignalGenerator } from '../evaluation/TestSignalGenerator.js';
+import { PitchContext } from '../../core/PitchContext.js';
+
+const SAMPLE_RATE = 44100;
+const WINDOW = 4096;
+
+const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+const hz = (midi) => FrequencyConverter.midiToFrequency(midi);
+
+/** One analysis window from the middle of a synthetic chord */
+function chordWindow(midiNotes, size = WINDOW) {
+  const { buffer } = generator.generateChord(midiNotes.map(hz), 0.4);
+  return buffer.slice(2000, 2000 + size);
+}
+
+/** Deterministic white noise (LCG) */
+function noise(length, amplitude, seed = 1) {
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    out[i] = (seed / 2 ** 32 - 0.5) * 2 * amplitude;
+  }
+  return out;
+}
+
+describe('MultiPitchEstimator', () => {
+  const estimator = new MultiPitchEstimator({ sampleRate: SAMPLE_RATE });
+
+  it.each([
+    ['C major', [60, 64, 67]],
+    ['A minor', [57, 60, 64]],
+    ['G7', [55, 59, 62, 65]],
+    ['Cmaj7 spread', [48, 55, 59, 64]],
+    ['D major, high voicing', [74, 78, 81]],
+    ['open fifth', [50, 57]],
+  ])('finds every note of %s', (_, midiNotes) => {
+    const result = estimator.detect(chordWindow(midiNotes));
+    expect(result.notes.map((n) => n.midiNote)).toEqual(midiNotes);
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  it('reports each note with its own tuning', () => {
+    const frequencies = [hz(60) * 2 ** (20 / 1200), hz(64) * 2 ** (-30 / 1200), hz(67)];
+    const { buffer } = generator.generateChord(frequencies, 0.4);
+    const { notes } = estimator.detect(buffer.slice(2000, 2000 + WINDOW));
+
+    expect(notes.map((n) => n.noteName)).toEqual(['C4', 'E4', 'G4']);
+    expect(notes[0].centsOff).toBeCloseTo(20, -1);
+    expect(notes[1].centsOff).toBeCloseTo(-30, -1);
+    expect(Math.abs(notes[2].centsOff)).toBeLessThan(5);
+  });
+
+  it('gets pitch classes right when tones are doubled at the octave', () => {
+    // Open E: E2 B2 E3 G#3 B3 E4 — the upper Es and B fold into E2 and B2
+    const result = estimator.detect(chordWindow([40, 47, 52, 56, 59, 64], 8192));
+    expect(result.pitchClasses).toEqual([4, 8, 11]);
+    expect(result.notes[0].noteName).toBe('E2');
+  });
+
+  it.each([
+    [[1, 0.5, 0.33, 0.25, 0.2]],
+    [[1, 0.8, 0.6, 0.4, 0.3, 0.2]],
+    [[0.3, 1, 0.6, 0.4, 0.2]],
+    [[1, 0.2, 0.6, 0.1, 0.3]],
+  ])('reports a single harmonic tone as one note (%j)', (harmonics) => {
+    for (const midi of [45, 57, 64, 69]) {
+      const { buffer } = generator.generateWithHarmonics(hz(midi), 0.3, harmonics);
+      const { notes } = estimator.detect(buffer.slice(2000, 2000 + WINDOW));
+      expect(notes.map((n) => n.midiNote)).toEqual([midi]);
+    }
+  });
+
+  it('keeps the chord as the most confident notes at 20dB SNR', () => {
+    const clean = chordWindow([57, 60, 64]);
+    const power = clean.reduce((sum, x) => sum + x * x, 0) / clean.length;
+    // Uniform noise in ±a has power a²/3
+    const n = noise(clean.length, Math.sqrt((3 * power) / 100));
+    const result = estimator.detect(clean.map((x, i) => x + n[i]));
+
+    const top = [...result.notes].sort((a, b) => b.confidence - a.confidence).slice(0, 3);
+    expect(top.map((note) => note.midiNote).sort((a, b) => a - b)).toEqual([57, 60, 64]);
+  });
+
+  it('returns null for silence and for noise', () => {
+    expect(estimator.detect(new Float32Array(WINDOW))).toBeNull();
+    expect(estimator.detect(noise(WINDOW, 0.3))).toBeNull();
+  });
+
+  it('stops at maxPolyphony', () => {
+    const limited = new MultiPitchEstimator({ sampleRate: SAMPLE_RATE, maxPolyphony: 2 });
+    expect(limited.detect(chordWindow([55, 59, 62, 65])).notes).toHaveLength(2);
+  });
+});
+
+describe('PitchDetector multi-pitch mode', () => {
+  function startedDetector(options) {
+    const onPitchDetected = vi.fn();
+    const onChordDetected = vi.fn();
+    const pd = new PitchDetector({
+      onPitchDetected,
+      onChordDetected,
+      enableVocalAnalysis: false,
+      ...options,
+    });
+    pd.analyzer.start = async () => {
+      pd.analyzer.usesWorklet = true;
+    };
+    pd.analyzer.stop = () => {
+      pd.analyzer.usesWorklet = false;
+    };
+    return { pd, onPitchDetected, onChordDetected };
+  }
+
+  it('estimates chords from posted windows even when no single pitch is found', async () => {
+    const { pd, onPitchDetected, onChordDetected } = startedDetector({ enableMultiPitch: true });
+    expect(pd.analyzer.includeBuffer).toBe(true);
+    await pd.start();
+
+    pd.analyzer.onFrame({
+      frequency: null,
+      confidence: 0,
+      rms: 0.2,
+      detector: 'hybrid',
+      buffer: chordWindow([60, 64, 67]),
+    });
+
+    expect(onPitchDetected).toHaveBeenCalledWith(null);
+    const chord = onChordDetected.mock.calls[0][0];
+    expect(chord.notes.map((n) => n.noteName)).toEqual(['C4', 'E4', 'G4']);
+    expect(chord.pitchClasses).toEqual([0, 4, 7]);
+    expect(typeof chord.timestamp).toBe('number');
+    expect(pd.getCurrentChord()).toBe(chord);
+
+    pd.stop();
+    expect(pd.getCurrentChord()).toBeNull();
+  });
+
+  it('asks the processor for windows only while chords are wanted', async () => {
+    const { pd, onChordDetected } = startedDetector();
+    expect(pd.analyzer.includeBuffer).toBe(false);
+    await pd.start();
+    const post = vi.fn();
+    pd.analyzer.workletNode = { port: { postMessage: post } };
+
+    pd.analyzer.onFrame({ frequency: null, confidence: 0, rms: 0.2, detector: 'hybrid', buffer: null });
+    expect(onChordDetected).not.toHaveBeenCalled();
+
+    pd.setMultiPitchEnabled(true);
+    expect(post).toHaveBeenLastCalledWith({ type: 'includeBuffer', include: true });
+    pd.setMultiPitchEnabled(false);
+    expect(post).toHaveBeenLastCalledWith({ type: 'includeBuffer', include: false });
+
+    pd.analyzer.workletNode = null;
+    pd.stop();
+  });
+});
+
+describe('PitchContext chord subscriptions', () => {
+  it('enables multi-pitch while chord subscribers are attached', () => {
+    const context = new PitchContext();
+    const unsubscribe = context.subscribeChords(() => {});
+    context.initialize();
+    expect(context.pitchDetector.enableMultiPitch).toBe(true);
+
+    unsubscribe();
+    expect(context.pitchDetector.enableMultiPitch).toBe(false);
+
+    const again = context.subscribeChords(() => {});
+    expect(context.pitchDetector.enableMultiPitch).toBe(true);
+    again();
+    context.dispose();
+  });
+
+  it('fans chord frames out to every subscriber and isolates their errors', () => {
+    const context = new PitchContext();
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const received = vi.fn();
+    context.subscribeChords(() => {
+      throw new Error('boom');
+    });
+    context.subscribeChords(received);
+
+    const frame = { notes: [], pitchClasses: [0, 4, 7], confidence: 1, rms: 0.1, timestamp: 0 };
+    context.handleChordDetected(frame);
+
+    expect(received).toHaveBeenCalledWith(frame);
+    expect(context.getCurrentChord()).toBe(frame);
+    expect(errors).toHaveBeenCalled();
+    errors.mockRestore();
+    context.dispose();
+  });
+
+  it('keeps pitch subscribers unaffected', () => {
+    const context = new PitchContext();
+    context.initialize();
+    expect(context.pitchDetector.enableMultiPitch).toBe(false);
+    context.dispose();
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { OfflinePitchAnalyzer } from '../OfflinePitchAnalyzer.js';
+import { TestSignalGenerator } from '../evaluation/TestSignalGenerator.js';
+import { FrequencyConverter } from '../FrequencyConverter.js';
+
+const SAMPLE_RATE = 44100;
+const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+
+function concat(...buffers) {
+  const out = new Float32Array(buffers.reduce((n, b) => n + b.length, 0));
+  let offset = 0;
+  for (const b of buffers) {
+    out.set(b, offset);
+    offset += b.length;
+  }
+  return out;
+}
+
+describe('OfflinePitchAnalyzer', () => {
+  const analyzer = new OfflinePitchAnalyzer({ sampleRate: SAMPLE_RATE });
+
+  it('should emit a frame every hop, stamped in ms', async () => {
+    const { buffer } = generator.generateWithHarmonics(220, 1.0);
+    const frames = await analyzer.analyze(buffer);
+
+    expect(frames.length).toBeGreaterThan(20);
+    expect(frames[1].time - frames[0].time).toBeCloseTo(30, 0);
+    // First frame is centred on the first detection window
+    expect(frames[0].time).toBeCloseTo((4096 / 2 / SAMPLE_RATE) * 1000, 3);
+  });
+
+  it('should detect the sung pitch in the live payload shape', async () => {
+    const { buffer } = generator.generateWithHarmonics(220, 1.0);
+    const frames = await analyzer.analyze(buffer);
+    const voiced = frames.filter((f) => f.pitch);
+
+    expect(voiced.length).toBeGreaterThan(frames.length * 0.8);
+    const pitch = voiced[voiced.length - 1].pitch;
+    expect(Math.abs(FrequencyConverter.getCentsDifference(220, pitch.frequency))).toBeLessThan(20);
+    expect(pitch.noteName).toBe('A3');
+    expect(pitch.rms).toBeGreaterThan(0);
+    expect(pitch.vocalAnalysis.hnr).toBeGreaterThan(0.5);
+  });
+
+  it('should report silence as null frames', async () => {
+    const { buffer: tone } = generator.generateWithHarmonics(330, 0.5);
+    const frames = await analyzer.analyze(concat(tone, new Float32Array(SAMPLE_RATE / 2)));
+    const tail = frames.filter((f) => f.time > 700);
+
+    expect(tail.length).toBeGreaterThan(0);
+    expect(tail.every((f) => f.pitch === null)).toBe(true);
+  });
+
+  it('should use file time for vibrato analysis', async () => {
+    // 5.5Hz vibrato, ±50 cents around A3
+    const seconds = 2;
+    const buffer = new Float32Array(SAMPLE_RATE * seconds);
+    let phase = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const t = i / SAMPLE_RATE;
+      const freq = 220 * 2 ** ((50 * Math.sin(2 * Math.PI * 5.5 * t)) / 1200);
+      phase += (2 * Math.PI * freq) / SAMPLE_RATE;
+      buffer[i] = 0.5 * Math.sin(phase) + 0.25 * Math.sin(2 * phase);
+    }
+
+    const frames = await analyzer.analyze(buffer);
+    const detected = frames.filter((f) => f.pitch?.vocalAnalysis.vibrato.detected);
+    expect(detected.length).toBeGreaterThan(0);
+  });
+
+  it('should reject when aborted', async () => {
+    const { buffer } = generator.generateWithHarmonics(220, 0.5);
+    const controller = new AbortController();
+    controller.abort();
+    await expect(analyzer.analyze(buffer, { signal: controller.signal })).rejects.toThrow('aborted');
+  });
+
+  it('should report progress up to 1', async () => {
+    const { buffer } = generator.generateWithHarmonics(220, 0.5);
+    const progress = [];
+    await analyzer.analyze(buffer, { onProgress: (p) => progress.push(p) });
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+});
+
+describe('OfflinePitchAnalyzer files', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('takes recordings by MIME type or extension', () => {
+    const file = (name, type = '') => ({ name, type });
+    expect(OfflinePitchAnalyzer.isAudioFile(file('take.webm', 'audio/webm'))).toBe(true);
+    // Dropped files often come without a type
+    expect(OfflinePitchAnalyzer.isAudioFile(file('Take 1.M4A'))).toBe(true);
+    expect(OfflinePitchAnalyzer.isAudioFile(file('take.flac', 'application/octet-stream'))).toBe(true);
+    expect(OfflinePitchAnalyzer.isAudioFile(file('score.musicxml'))).toBe(false);
+    expect(OfflinePitchAnalyzer.isAudioFile(file('wav'))).toBe(false);
+  });
+
+  it('passes on why decoding failed', async () => {
+    const failWith = (error) => vi.stubGlobal('OfflineAudioContext', class {
+      decodeAudioData() { return Promise.reject(error); }
+    });
+    failWith(new DOMException('Unable to decode audio data', 'EncodingError'));
+    await expect(OfflinePitchAnalyzer.decode(new ArrayBuffer(8))).rejects.toThrow('Unable to decode audio data');
+    failWith(null);
+    await expect(OfflinePitchAnalyzer.decode(new ArrayBuffer(8))).rejects.toThrow(/could not decode/);
+  });
+});
@@ -1,12 +1,14 @@
 import { describe, it, expect } from 'vitest';
 import { HybridPitchDetector } from '../../detectors/HybridPitchDetector.js';
+import { createDetector, DetectorType } from '../../detectors/index.js';
 import { TestSignalGenerator } from '../../evaluation/TestSignalGenerator.js';
 import { PitchEvaluator } from '../../evaluation/PitchEvaluator.js';
 
 /**
- * Accuracy benchmark for the production pitch detector (hybrid MPM+YIN).
- * Runs synthesized vocal-like signals through the real detector and asserts
- * minimum accuracy so pitch-quality regressions fail loudly in CI.
+ * Accuracy benchmark for the production pitch detector (hybrid MPM+YIN) and
+ * the alternative detectors in the registry. Runs synthesized vocal-like
+ * signals through the real detectors and asserts minimum accuracy so
+ * pitch-quality regressions fail loudly in CI.
  */
 
 const SAMPLE_RATE = 44100;
@@ -145,3 +147,88 @@ describe('HybridPitchDetector accuracy benchmark', () => {
     expect(firstDetectionDelay).toBeLessThanOrEqual(3);
   });
 });
+
+describe.each([DetectorType.PYIN, DetectorType.CEPSTRUM, DetectorType.MPM])(
+  '%s detector accuracy benchmark',
+  (type) => {
+    const generator = new TestSignalGenerator({ sampleRate: SAMPLE_RATE });
+
+    async function makeRegistryDetector() {
+      const detector = createDetector(type, {
+        sampleRate: SAMPLE_RATE,
+        bufferSize: BUFFER_SIZE,
+        minFrequency: 60,
+        maxFrequency: 1200,
+        threshold: 0.005,
+      });
+      await detector.initialize();
+      return detector;
+    }
+
+    it('detects pure sine waves across the vocal range within 50 cents', async () => {
+      for (const freq of [110, 220, 440, 880]) {
+        const detector = await makeRegistryDetector();
+        const { buffer, groundTruth } = generator.generateSineWave(freq, 0.6);
+        const stats = accuracy(runDetector(detector, buffer, groundTruth));
+
+        expect(stats.detectionRate, `${freq}Hz detection rate`).toBeGreaterThan(0.9);
+        expect(stats.correctRate, `${freq}Hz accuracy`).toBeGreaterThan(0.95);
+      }
+    });
+
+    it('detects harmonic-rich tones, including a weak fundamental, without octave errors', async () => {
+      const cases = [
+        [110, [1, 0.6, 0.3, 0.15, 0.08]],
+        [440, [1, 0.6, 0.3, 0.15, 0.08]],
+        [220, [0.05, 1, 0.8, 0.6, 0.4]],
+      ];
+      for (const [freq, harmonics] of cases) {
+        const detector = await makeRegistryDetector();
+        const { buffer, groundTruth } = generator.generateWithHarmonics(freq, 0.6, harmonics);
+        const stats = accuracy(runDetector(detector, buffer, groundTruth));
+
+        expect(stats.correctRate, `${freq}Hz accuracy`).toBeGreaterThan(0.95);
+        expect(stats.grossErrorRate, `${freq}Hz gross errors`).toBeLessThan(0.02);
+      }
+    });
+
+    it('stays accurate with added noise (20dB SNR)', async () => {
+      const detector = await makeRegistryDetector();
+      const { buffer, groundTruth } = generator.generateWithHarmonics(
+        220, 1.0, [1, 0.6, 0.3, 0.15, 0.08]
+      );
+      const stats = accuracy(runDetector(detector, generator.addNoise(buffer, 20), groundTruth));
+
+      expect(stats.correctRate).toBeGreaterThan(0.85);
+      expect(stats.grossErrorRate).toBeLessThan(0.1);
+    });
+
+    it('tracks note changes in a scale', async () => {
+      const detector = await makeRegistryDetector();
+      const { buffer, groundTruth } = generator.generateScale('major', 261.63, 0.4);
+      const stats = accuracy(runDetector(detector, buffer, groundTruth), { toleranceCents: 60 });
+
+      // Ground truth is stamped at the window start, so a detector that
+      // follows the new note as soon as it dominates the window scores its
+      // boundary frames as gross errors (the median-smoothed hybrid lags instead)
+      expect(stats.correctRate).toBeGreaterThan(0.8);
+      expect(stats.grossErrorRate).toBeLessThan(0.15);
+    });
+
+    it('reports white noise as unvoiced', async () => {
+      const detector = await makeRegistryDetector();
+      let voiced = 0;
+      let seed = 1;
+      for (let n = 0; n < 20; n++) {
+        const frame = new Float32Array(BUFFER_SIZE);
+        for (let i = 0; i < frame.length; i++) {
+          // Deterministic LCG noise so the test can't flake
+          seed = (seed * 1664525 + 1013904223) >>> 0;
+          frame[i] = (seed / 2 ** 32 - 0.5) * 0.4;
+        }
+        if (detector.detect(frame).frequency != null) voiced++;
+      }
+      expect(voiced).toBeLessThanOrEqual(1);
+    });
+  }
+);
@@ -0,0 +1,221 @@
+/**
+ * CepstrumPitchDetector - Real-cepstrum pitch detection
+ *
+ * The log-magnitude spectrum of a voiced sound is a comb with teeth every f0;
+ * transforming it again turns that comb into a peak at the period (the
+ * "quefrency"). Works on the harmonic pattern as a whole, so it stays robust
+ * when the fundamental itself is weak (telephone-band audio, some belted
+ * notes) where time-domain methods jump an octave up.
+ */
+
+import { BasePitchDetector } from './BasePitchDetector.js';
+import { fft, hannWindow, nextPowerOfTwo } from '../fft.js';
+
+// Spectral floor relative to the peak (-60dB)
+const DYNAMIC_RANGE = 1e-3;
+
+// Half the winning quefrency wins instead if its peak is at least this strong
+const RAHMONIC_RATIO = 0.7;
+
+// Period refinement searches ±this fraction around the cepstral peak
+const REFINE_SPAN = 0.06;
+
+export class CepstrumPitchDetector extends BasePitchDetector {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Sample rate in Hz (default: 44100)
+   * @param {number} options.bufferSize - Buffer size for detection (default: 2048)
+   * @param {number} options.minFrequency - Minimum frequency to detect (default: 60)
+   * @param {number} options.maxFrequency - Maximum frequency to detect (default: 1200)
+   * @param {number} options.threshold - RMS threshold for silence detection (default: 0.005)
+   * @param {number} options.periodicityThreshold - Minimum normalized autocorrelation at the period (default: 0.6)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this._name = 'cepstrum';
+    this.bufferSize = options.bufferSize || 2048;
+    this.threshold = options.threshold || 0.005;
+    this.periodicityThreshold = options.periodicityThreshold || 0.6;
+
+    this.fftSize = 0;
+    this._window = null;
+    this._re = null;
+    this._im = null;
+    this.lastPeriodicity = 0;
+  }
+
+  /**
+   * Initialize the detector
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this._allocate(this.bufferSize);
+    this._initialized = true;
+  }
+
+  /**
+   * Detect pitch from audio buffer
+   * @param {Float32Array} buffer - Audio buffer
+   * @returns {{frequency: number|null, confidence: number, timestamp: number}}
+   */
+  detect(buffer) {
+    if (!this._initialized) {
+      throw new Error('Detector not initialized. Call initialize() first.');
+    }
+
+    const timestamp = Date.now();
+    this.lastPeriodicity = 0;
+
+    if (this._calculateRMS(buffer) < this.threshold) {
+      return { frequency: null, confidence: 0, timestamp };
+    }
+    if (buffer.length !== this._window.length) this._allocate(buffer.length);
+
+    const cepstrum = this._cepstrum(buffer);
+
+    const qMin = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+    const qMax = Math.min(
+      Math.ceil(this.sampleRate / this.minFrequency),
+      Math.floor(buffer.length / 2)
+    );
+    if (qMax <= qMin) return { frequency: null, confidence: 0, timestamp };
+
+    // Highest local maximum: the low-quefrency end slopes down from the
+    // spectral envelope and would otherwise win at the range edge
+    let peak = -1;
+    let sum = 0;
+    for (let q = qMin; q <= qMax; q++) {
+      const c = cepstrum[q];
+      sum += c;
+      const isLocalMax = c > cepstrum[q - 1] && c >= cepstrum[q + 1];
+      if (isLocalMax && (peak < 0 || c > cepstrum[peak])) peak = q;
+    }
+    if (peak < 0) return { frequency: null, confidence: 0, timestamp };
+    const mean = sum / (qMax - qMin + 1);
+
+    // Rahmonics: a true period q also peaks at 2q, 3q… If half the winning
+    // quefrency holds a comparable peak, the winner was the second rahmonic
+    const half = Math.round(peak / 2);
+    if (half - 1 >= qMin) {
+      let halfPeak = half;
+      for (let q = half - 1; q <= half + 1; q++) {
+        if (cepstrum[q] > cepstrum[halfPeak]) halfPeak = q;
+      }
+      if (cepstrum[halfPeak] - mean > RAHMONIC_RATIO * (cepstrum[peak] - mean)) {
+        peak = halfPeak;
+      }
+    }
+
+    // The cepstral peak is broad; refine the period and judge voicing on the
+    // waveform itself, searching only near the chosen quefrency so the
+    // cepstrum's octave decision stands
+    const lo = Math.max(qMin, Math.floor(peak * (1 - REFINE_SPAN)));
+    const hi = Math.min(qMax, Math.ceil(peak * (1 + REFINE_SPAN)));
+    const nacf = new Float64Array(hi - lo + 3);
+    let best = lo;
+    for (let tau = lo - 1; tau <= hi + 1; tau++) {
+      nacf[tau - lo + 1] = normalizedAutocorrelation(buffer, tau);
+      if (tau >= lo && tau <= hi && nacf[tau - lo + 1] > nacf[best - lo + 1]) best = tau;
+    }
+    const periodicity = nacf[best - lo + 1];
+    this.lastPeriodicity = periodicity;
+    if (periodicity < this.periodicityThreshold) {
+      return { frequency: null, confidence: periodicity, timestamp };
+    }
+
+    const period = best + parabolicOffset(nacf, best - lo + 1);
+    const frequency = this._validateFrequency(this.sampleRate / period);
+    return { frequency, confidence: frequency ? periodicity : 0, timestamp };
+  }
+
+  /**
+   * Get detector info
+   * @returns {object} Detector info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      bufferSize: this.bufferSize,
+      fftSize: this.fftSize,
+      threshold: this.threshold,
+      periodicityThreshold: this.periodicityThreshold,
+      lastPeriodicity: this.lastPeriodicity,
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this._window = null;
+    this._re = null;
+    this._im = null;
+    super.dispose();
+  }
+
+  /**
+   * @private
+   */
+  _allocate(length) {
+    this.fftSize = nextPowerOfTwo(length);
+    this._window = hannWindow(length);
+    this._re = new Float64Array(this.fftSize);
+    this._im = new Float64Array(this.fftSize);
+  }
+
+  /**
+   * Real cepstrum: IFFT(log|FFT(x)|). The log spectrum is real and even, so
+   * a forward FFT gives the same result up to scale.
+   * @private
+   */
+  _cepstrum(buffer) {
+    const re = this._re;
+    const im = this._im;
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < buffer.length; i++) re[i] = buffer[i] * this._window[i];
+    fft(re, im);
+
+    // Floor the spectrum DYNAMIC_RANGE below its peak: otherwise near-empty
+    // bins (synthetic or gated input) swing the log by hundreds of dB and
+    // swamp the harmonic comb
+    let peak = 0;
+    for (let i = 0; i < this.fftSize; i++) {
+      re[i] = Math.hypot(re[i], im[i]);
+      if (re[i] > peak) peak = re[i];
+    }
+    const floor = peak * DYNAMIC_RANGE + 1e-12;
+    for (let i = 0; i < this.fftSize; i++) {
+      re[i] = Math.log(Math.max(re[i], floor));
+      im[i] = 0;
+    }
+    fft(re, im);
+    return re;
+  }
+}
+
+function normalizedAutocorrelation(buffer, tau) {
+  const n = buffer.length - tau;
+  let cross = 0;
+  let energyA = 0;
+  let energyB = 0;
+  for (let i = 0; i < n; i++) {
+    const a = buffer[i];
+    const b = buffer[i + tau];
+    cross += a * b;
+    energyA += a * a;
+    energyB += b * b;
+  }
+  const norm = Math.sqrt(energyA * energyB);
+  return norm > 0 ? cross / norm : 0;
+}
+
+function parabolicOffset(values, index) {
+  const a = values[index - 1];
+  const b = values[index];
+  const c = values[index + 1];
+  const denominator = a - 2 * b + c;
+  if (denominator === 0) return 0;
+  return (0.5 * (a - c)) / denominator;
+}
@@ -0,0 +1,96 @@
+/**
+ * MPMPitchDetector - McLeod Pitch Method only (pitchy), no fallback
+ *
+ * The hybrid detector without the YIN fallback, octave correction or median
+ * smoothing: each frame stands on its own. Useful as a baseline when
+ * benchmarking, and the lowest-latency option for clean input.
+ */
+
+import { PitchDetector as PitchyDetector } from 'pitchy';
+import { BasePitchDetector } from './BasePitchDetector.js';
+
+export class MPMPitchDetector extends BasePitchDetector {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Sample rate in Hz (default: 44100)
+   * @param {number} options.bufferSize - Buffer size for detection (default: 2048)
+   * @param {number} options.minFrequency - Minimum frequency to detect (default: 60)
+   * @param {number} options.maxFrequency - Maximum frequency to detect (default: 1200)
+   * @param {number} options.threshold - RMS threshold for silence detection (default: 0.005)
+   * @param {number} options.clarityThreshold - Minimum MPM clarity (default: 0.8)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this._name = 'mpm';
+    this.bufferSize = options.bufferSize || 2048;
+    this.threshold = options.threshold || 0.005;
+    this.clarityThreshold = options.clarityThreshold || 0.8;
+
+    this.detectPitchMPM = null;
+    this.lastClarity = 0;
+  }
+
+  /**
+   * Initialize the detector
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.detectPitchMPM = PitchyDetector.forFloat32Array(this.bufferSize);
+    this._initialized = true;
+  }
+
+  /**
+   * Detect pitch from audio buffer
+   * @param {Float32Array} buffer - Audio buffer
+   * @returns {{frequency: number|null, confidence: number, timestamp: number}}
+   */
+  detect(buffer) {
+    if (!this._initialized) {
+      throw new Error('Detector not initialized. Call initialize() first.');
+    }
+
+    const timestamp = Date.now();
+    this.lastClarity = 0;
+
+    if (this._calculateRMS(buffer) < this.threshold) {
+      return { frequency: null, confidence: 0, timestamp };
+    }
+
+    // pitchy needs the exact input length it was built for
+    if (buffer.length !== this.detectPitchMPM.inputLength) {
+      this.detectPitchMPM = PitchyDetector.forFloat32Array(buffer.length);
+    }
+
+    const [pitch, clarity] = this.detectPitchMPM.findPitch(buffer, this.sampleRate);
+    if (!pitch || clarity < this.clarityThreshold) {
+      return { frequency: null, confidence: clarity || 0, timestamp };
+    }
+
+    const frequency = this._validateFrequency(pitch);
+    this.lastClarity = clarity;
+    return { frequency, confidence: frequency ? clarity : 0, timestamp };
+  }
+
+  /**
+   * Get detector info
+   * @returns {object} Detector info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      bufferSize: this.bufferSize,
+      threshold: this.threshold,
+      clarityThreshold: this.clarityThreshold,
+      lastClarity: this.lastClarity,
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.detectPitchMPM = null;
+    super.dispose();
+  }
+}
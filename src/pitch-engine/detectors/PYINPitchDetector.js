@@ -0,0 +1,363 @@
+/**
+ * PYINPitchDetector - Probabilistic YIN with HMM smoothing
+ *
+ * After Mauch & Dixon (2014). Plain YIN picks one period with one fixed
+ * threshold; pYIN sweeps a distribution of thresholds (Beta prior) so every
+ * CMNDF dip becomes a weighted pitch candidate, and the leftover mass is the
+ * probability the frame is unvoiced. An HMM over (pitch bin × voiced /
+ * unvoiced) then tracks the most plausible path: pitch moves a few bins at a
+ * time and voicing rarely flips, which removes octave blips and spurious
+ * onsets without a median filter's lag.
+ *
+ * Live input can't look ahead, so the HMM runs as causal forward filtering
+ * (the per-frame argmax of the forward probabilities) rather than a full
+ * Viterbi back-trace.
+ */
+
+import { BasePitchDetector } from './BasePitchDetector.js';
+import { fft, nextPowerOfTwo } from '../fft.js';
+
+const THRESHOLD_COUNT = 100; // thresholds 0.01 … 1.00
+const BETA_A = 2; // Beta(2, 18): mean threshold 0.1, as in the paper
+const BETA_B = 18;
+const ABSOLUTE_MIN_WEIGHT = 0.01; // mass given to the global minimum when no dip clears a threshold
+
+export class PYINPitchDetector extends BasePitchDetector {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Sample rate in Hz (default: 44100)
+   * @param {number} options.bufferSize - Buffer size for detection (default: 2048)
+   * @param {number} options.minFrequency - Minimum frequency to detect (default: 60)
+   * @param {number} options.maxFrequency - Maximum frequency to detect (default: 1200)
+   * @param {number} options.threshold - RMS threshold for silence detection (default: 0.005)
+   * @param {number} options.binsPerSemitone - HMM pitch resolution (default: 5, i.e. 20 cents)
+   * @param {number} options.maxStepSemitones - Largest pitch move between frames (default: 2)
+   * @param {number} options.voicingSwitchProb - Chance of a voiced/unvoiced flip per frame (default: 0.01)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this._name = 'pyin';
+    this.bufferSize = options.bufferSize || 2048;
+    this.threshold = options.threshold || 0.005;
+    this.binsPerSemitone = options.binsPerSemitone || 5;
+    this.maxStepSemitones = options.maxStepSemitones || 2;
+    this.voicingSwitchProb = options.voicingSwitchProb ?? 0.01;
+
+    // Built in initialize()
+    this.thresholds = null;
+    this.thresholdWeights = null;
+    this.binFrequencies = null;
+    this.transition = null;
+    this.forward = null; // [voiced bins…, unvoiced bins…]
+
+    this.lastVoicedProb = 0;
+  }
+
+  /**
+   * Initialize the detector
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Threshold distribution
+    this.thresholds = new Float64Array(THRESHOLD_COUNT);
+    this.thresholdWeights = new Float64Array(THRESHOLD_COUNT);
+    let total = 0;
+    for (let i = 0; i < THRESHOLD_COUNT; i++) {
+      const t = (i + 1) / THRESHOLD_COUNT;
+      this.thresholds[i] = t;
+      const w = t ** (BETA_A - 1) * (1 - t) ** (BETA_B - 1);
+      this.thresholdWeights[i] = w;
+      total += w;
+    }
+    for (let i = 0; i < THRESHOLD_COUNT; i++) this.thresholdWeights[i] /= total;
+
+    // Pitch bins, log-spaced
+    const binsPerOctave = 12 * this.binsPerSemitone;
+    const binCount =
+      Math.ceil(binsPerOctave * Math.log2(this.maxFrequency / this.minFrequency)) + 1;
+    this.binFrequencies = new Float64Array(binCount);
+    for (let i = 0; i < binCount; i++) {
+      this.binFrequencies[i] = this.minFrequency * 2 ** (i / binsPerOctave);
+    }
+
+    // Triangular pitch-transition kernel
+    const maxStep = Math.round(this.maxStepSemitones * this.binsPerSemitone);
+    this.transition = new Float64Array(2 * maxStep + 1);
+    let kernelTotal = 0;
+    for (let d = -maxStep; d <= maxStep; d++) {
+      const w = maxStep + 1 - Math.abs(d);
+      this.transition[d + maxStep] = w;
+      kernelTotal += w;
+    }
+    for (let i = 0; i < this.transition.length; i++) this.transition[i] /= kernelTotal;
+
+    this._resetForward();
+    this._initialized = true;
+  }
+
+  /**
+   * Detect pitch from audio buffer
+   * @param {Float32Array} buffer - Audio buffer
+   * @returns {{frequency: number|null, confidence: number, timestamp: number}}
+   */
+  detect(buffer) {
+    if (!this._initialized) {
+      throw new Error('Detector not initialized. Call initialize() first.');
+    }
+
+    const timestamp = Date.now();
+
+    if (this._calculateRMS(buffer) < this.threshold) {
+      this._resetForward();
+      this.lastVoicedProb = 0;
+      return { frequency: null, confidence: 0, timestamp };
+    }
+
+    const candidates = this._candidates(buffer);
+    const observation = this._observation(candidates);
+    this._step(observation);
+
+    const binCount = this.binFrequencies.length;
+    let voicedProb = 0;
+    let bestBin = 0;
+    for (let b = 0; b < binCount; b++) {
+      voicedProb += this.forward[b];
+      if (this.forward[b] > this.forward[bestBin]) bestBin = b;
+    }
+    this.lastVoicedProb = voicedProb;
+
+    if (voicedProb < 0.5) {
+      return { frequency: null, confidence: voicedProb, timestamp };
+    }
+
+    // Report the candidate's exact frequency near the winning bin; the bin
+    // centre is only 20-cent accurate
+    const binFreq = this.binFrequencies[bestBin];
+    let frequency = binFreq;
+    let bestDistance = Infinity;
+    for (const c of candidates) {
+      const distance = Math.abs(12 * Math.log2(c.frequency / binFreq));
+      if (distance < bestDistance && distance <= 1) {
+        bestDistance = distance;
+        frequency = c.frequency;
+      }
+    }
+
+    return { frequency: this._validateFrequency(frequency), confidence: voicedProb, timestamp };
+  }
+
+  /**
+   * Reset the HMM belief (pitch and voicing undecided)
+   */
+  reset() {
+    this._resetForward();
+    this.lastVoicedProb = 0;
+  }
+
+  /**
+   * Get detector info
+   * @returns {object} Detector info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      bufferSize: this.bufferSize,
+      threshold: this.threshold,
+      pitchBins: this.binFrequencies?.length ?? 0,
+      lastVoicedProb: this.lastVoicedProb,
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.forward = null;
+    super.dispose();
+  }
+
+  /**
+   * Cumulative mean normalized difference function (YIN steps 2–3). The
+   * difference d(τ) = e(0) + e(τ) − 2r(τ) takes its cross term r from one
+   * FFT correlation instead of an O(N·τ) loop.
+   * @private
+   */
+  _cmndf(buffer, tauMax) {
+    const window = buffer.length - tauMax;
+    const size = nextPowerOfTwo(buffer.length + window);
+    const aRe = new Float64Array(size);
+    const aIm = new Float64Array(size);
+    const bRe = new Float64Array(size);
+    const bIm = new Float64Array(size);
+    for (let i = 0; i < window; i++) aRe[i] = buffer[i];
+    for (let i = 0; i < buffer.length; i++) bRe[i] = buffer[i];
+    fft(aRe, aIm);
+    fft(bRe, bIm);
+    // conj(A)·B, then inverse via conjugate → forward FFT → conjugate
+    for (let k = 0; k < size; k++) {
+      const re = aRe[k] * bRe[k] + aIm[k] * bIm[k];
+      const im = aRe[k] * bIm[k] - aIm[k] * bRe[k];
+      aRe[k] = re;
+      aIm[k] = -im;
+    }
+    fft(aRe, aIm);
+
+    let energy0 = 0;
+    for (let i = 0; i < window; i++) energy0 += buffer[i] * buffer[i];
+    let energyTau = energy0;
+
+    const d = new Float64Array(tauMax + 1);
+    d[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= tauMax; tau++) {
+      // Slide the lagged window's energy one sample along
+      const out = buffer[tau - 1];
+      const incoming = buffer[tau + window - 1];
+      energyTau += incoming * incoming - out * out;
+      const diff = Math.max(0, energy0 + energyTau - (2 * aRe[tau]) / size);
+      running += diff;
+      d[tau] = running > 0 ? (diff * tau) / running : 1;
+    }
+    return d;
+  }
+
+  /**
+   * Weighted pitch candidates from the threshold sweep
+   * @private
+   * @returns {Array<{frequency: number, probability: number}>}
+   */
+  _candidates(buffer) {
+    const tauMin = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+    const tauMax = Math.min(
+      Math.ceil(this.sampleRate / this.minFrequency),
+      Math.floor(buffer.length / 2)
+    );
+    if (tauMax <= tauMin + 1) return [];
+    const d = this._cmndf(buffer, tauMax);
+
+    // Local minima in range, in order of tau
+    const minima = [];
+    let globalMin = tauMin;
+    for (let tau = tauMin; tau < tauMax; tau++) {
+      if (d[tau] < d[globalMin]) globalMin = tau;
+      if (d[tau] < d[tau - 1] && d[tau] <= d[tau + 1]) minima.push(tau);
+    }
+
+    // Each threshold votes for the first (smallest-tau) dip below it. When
+    // no dip clears a threshold, the global minimum gets a token share.
+    const votes = new Map();
+    for (let k = 0; k < THRESHOLD_COUNT; k++) {
+      const threshold = this.thresholds[k];
+      const first = minima.find((tau) => d[tau] < threshold);
+      const weight = this.thresholdWeights[k];
+      if (first === undefined) {
+        votes.set(globalMin, (votes.get(globalMin) ?? 0) + weight * ABSOLUTE_MIN_WEIGHT);
+      } else {
+        votes.set(first, (votes.get(first) ?? 0) + weight);
+      }
+    }
+
+    const candidates = [];
+    for (const [tau, probability] of votes) {
+      const refined = parabolicInterpolation(d, tau);
+      const frequency = this.sampleRate / refined;
+      if (frequency >= this.minFrequency && frequency <= this.maxFrequency) {
+        candidates.push({ frequency, probability });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Observation likelihoods per HMM state
+   * @private
+   */
+  _observation(candidates) {
+    const binCount = this.binFrequencies.length;
+    const obs = new Float64Array(2 * binCount);
+    const binsPerOctave = 12 * this.binsPerSemitone;
+
+    let voicedMass = 0;
+    for (const c of candidates) {
+      const bin = Math.round(binsPerOctave * Math.log2(c.frequency / this.minFrequency));
+      if (bin < 0 || bin >= binCount) continue;
+      obs[bin] += c.probability;
+      voicedMass += c.probability;
+    }
+    const unvoiced = Math.max(0, 1 - voicedMass) / binCount;
+    for (let b = 0; b < binCount; b++) {
+      obs[binCount + b] = unvoiced;
+    }
+    return obs;
+  }
+
+  /**
+   * One forward-algorithm step: predict through the transition model, then
+   * weight by the observation and renormalize
+   * @private
+   */
+  _step(observation) {
+    const binCount = this.binFrequencies.length;
+    const maxStep = (this.transition.length - 1) / 2;
+    const voiced = this.forward.subarray(0, binCount);
+    const unvoiced = this.forward.subarray(binCount);
+    const spreadV = new Float64Array(binCount);
+    const spreadU = new Float64Array(binCount);
+
+    for (let b = 0; b < binCount; b++) {
+      let sv = 0;
+      let su = 0;
+      let weight = 0;
+      for (let d = -maxStep; d <= maxStep; d++) {
+        const from = b + d;
+        if (from < 0 || from >= binCount) continue;
+        const w = this.transition[d + maxStep];
+        sv += voiced[from] * w;
+        su += unvoiced[from] * w;
+        weight += w;
+      }
+      // Renormalize at the edges so mass isn't lost off the ends
+      spreadV[b] = sv / weight;
+      spreadU[b] = su / weight;
+    }
+
+    const stay = 1 - this.voicingSwitchProb;
+    const next = new Float64Array(2 * binCount);
+    let total = 0;
+    for (let b = 0; b < binCount; b++) {
+      const pv = stay * spreadV[b] + this.voicingSwitchProb * spreadU[b];
+      const pu = stay * spreadU[b] + this.voicingSwitchProb * spreadV[b];
+      next[b] = pv * observation[b];
+      next[binCount + b] = pu * observation[binCount + b];
+      total += next[b] + next[binCount + b];
+    }
+
+    if (total <= 0) {
+      this._resetForward();
+      return;
+    }
+    for (let i = 0; i < next.length; i++) next[i] /= total;
+    this.forward = next;
+  }
+
+  /**
+   * @private
+   */
+  _resetForward() {
+    const binCount = this.binFrequencies.length;
+    this.forward = new Float64Array(2 * binCount);
+    // Start undecided on voicing so the first voiced frame can win at once
+    this.forward.fill(1 / (2 * binCount));
+  }
+}
+
+function parabolicInterpolation(d, tau) {
+  if (tau <= 0 || tau >= d.length - 1) return tau;
+  const a = d[tau - 1];
+  const b = d[tau];
+  const c = d[tau + 1];
+  const denominator = a - 2 * b + c;
+  if (denominator === 0) return tau;
+  return tau + (a - c) / (2 * denominator);
+}
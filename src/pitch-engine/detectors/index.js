@@ -0,0 +1,103 @@
+/**
+ * Pitch Detector Registry
+ *
+ * Every detector implements BasePitchDetector (initialize / detect / dispose)
+ * and is created from the same options, so PitchDetector, the offline
+ * analyzer and EvaluationRunner can all pick one by type string.
+ */
+
+import { HybridPitchDetector } from './HybridPitchDetector.js';
+import { PYINPitchDetector } from './PYINPitchDetector.js';
+import { CepstrumPitchDetector } from './CepstrumPitchDetector.js';
+import { MPMPitchDetector } from './MPMPitchDetector.js';
+
+export { BasePitchDetector } from './BasePitchDetector.js';
+export { HybridPitchDetector, PYINPitchDetector, CepstrumPitchDetector, MPMPitchDetector };
+
+/**
+ * Built-in detector types. 'crepe' was removed — it was never a real CREPE
+ * model (a plain autocorrelation stub gated on a TensorFlow.js CDN load) and
+ * the hybrid detector outperforms it; like any unknown stored value it
+ * resolves to hybrid.
+ */
+export const DetectorType = {
+  HYBRID: 'hybrid',
+  PYIN: 'pyin',
+  CEPSTRUM: 'cepstrum',
+  MPM: 'mpm',
+};
+
+export const DEFAULT_DETECTOR_TYPE = DetectorType.HYBRID;
+
+const registry = new Map();
+
+/**
+ * Register a detector type (built-ins are registered below)
+ * @param {string} type - Key stored in settings and passed as options.detector
+ * @param {typeof BasePitchDetector} DetectorClass
+ * @param {object} meta
+ * @param {string} meta.name - Display name
+ * @param {string} meta.description - One-line summary for pickers
+ */
+export function registerDetectorType(type, DetectorClass, { name, description }) {
+  registry.set(type, { type, DetectorClass, name, description });
+}
+
+registerDetectorType(DetectorType.HYBRID, HybridPitchDetector, {
+  name: 'Hybrid (MPM + YIN)',
+  description: 'MPM with YIN fallback, octave correction and median smoothing',
+});
+registerDetectorType(DetectorType.PYIN, PYINPitchDetector, {
+  name: 'pYIN',
+  description: 'Probabilistic YIN with HMM tracking — steadiest on noisy input',
+});
+registerDetectorType(DetectorType.CEPSTRUM, CepstrumPitchDetector, {
+  name: 'Cepstrum',
+  description: 'Harmonic-spacing detector — robust when the fundamental is weak',
+});
+registerDetectorType(DetectorType.MPM, MPMPitchDetector, {
+  name: 'MPM',
+  description: 'Plain McLeod Pitch Method, no smoothing — lowest latency',
+});
+
+/**
+ * Map a stored or requested type onto a registered one
+ * @param {string} type
+ * @returns {string} The type if registered, otherwise the default
+ */
+export function resolveDetectorType(type) {
+  return registry.has(type) ? type : DEFAULT_DETECTOR_TYPE;
+}
+
+/**
+ * Get detector class by type
+ * @param {string} type
+ * @returns {typeof BasePitchDetector|null}
+ */
+export function getDetectorClass(type) {
+  return registry.get(type)?.DetectorClass ?? null;
+}
+
+/**
+ * Create (but don't initialize) a detector. Unknown types fall back to the
+ * default so stale settings never leave the app without a detector.
+ * @param {string} type
+ * @param {object} options - sampleRate, bufferSize, minFrequency, maxFrequency, threshold, …
+ * @returns {BasePitchDetector}
+ */
+export function createDetector(type, options = {}) {
+  const DetectorClass = getDetectorClass(resolveDetectorType(type));
+  return new DetectorClass(options);
+}
+
+/**
+ * Get all registered detector types
+ * @returns {Array<{type: string, name: string, description: string}>}
+ */
+export function getAvailableDetectors() {
+  return Array.from(registry.values(), ({ type, name, description }) => ({
+    type,
+    name,
+    description,
+  }));
+}
@@ -6,6 +6,7 @@
 import { TestSignalGenerator } from './TestSignalGenerator.js';
 import { PitchEvaluator } from './PitchEvaluator.js';
 import { OnsetDetector } from './OnsetDetector.js';
+import { createDetector, getAvailableDetectors } from '../detectors/index.js';
 
 export class EvaluationRunner {
   /**
@@ -39,6 +40,26 @@ export class EvaluationRunner {
     this.detectors.set(name, detector);
   }
 
+  /**
+   * Create, initialize and register detectors from the detector registry,
+   * each under its type name and sized to this runner's frames
+   * @param {Array<string>} [types] - Detector types (default: all registered)
+   * @param {object} [options] - Extra detector options (minFrequency, threshold, …)
+   * @returns {Promise<Array<string>>} The registered names
+   */
+  async registerDetectorTypes(types = getAvailableDetectors().map((d) => d.type), options = {}) {
+    for (const type of types) {
+      const detector = createDetector(type, {
+        sampleRate: this.sampleRate,
+        bufferSize: this.frameSize,
+        ...options,
+      });
+      await detector.initialize();
+      this.registerDetector(type, detector);
+    }
+    return types;
+  }
+
   /**
    * Run a single detector on a buffer and collect detections
    * @param {object} detector - Detector with detect(buffer) method
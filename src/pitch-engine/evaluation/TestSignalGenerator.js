@@ -76,6 +76,44 @@ export class TestSignalGenerator {
     return { buffer, groundTruth };
   }
 
+  /**
+   * Generate simultaneous harmonic tones (simulates a strummed chord)
+   * @param {Array<number>} frequencies - Fundamental of each chord tone in Hz
+   * @param {number} duration - Duration in seconds
+   * @param {Array<number>} harmonicAmplitudes - Relative amplitudes for each tone's harmonics
+   * @param {number} amplitude - Overall amplitude 0-1 (default: 0.8)
+   * @returns {object} { buffer: Float32Array, groundTruth: Array<{time, frequencies}> }
+   */
+  generateChord(frequencies, duration, harmonicAmplitudes = [1, 0.5, 0.33, 0.25, 0.2], amplitude = 0.8) {
+    const numSamples = Math.floor(this.sampleRate * duration);
+    const buffer = new Float32Array(numSamples);
+    const groundTruth = [];
+
+    const totalAmplitude = harmonicAmplitudes.reduce((sum, a) => sum + a, 0) * frequencies.length;
+    const normalizedAmplitudes = harmonicAmplitudes.map(a => a / totalAmplitude);
+    const nyquist = this.sampleRate / 2;
+
+    for (let n = 0; n < frequencies.length; n++) {
+      // Offset each tone's phase so the partials don't all peak together
+      const phase = n * 1.3;
+      for (let h = 0; h < normalizedAmplitudes.length; h++) {
+        const frequency = frequencies[n] * (h + 1);
+        if (frequency >= nyquist) break;
+        const omega = (2 * Math.PI * frequency) / this.sampleRate;
+        for (let i = 0; i < numSamples; i++) {
+          buffer[i] += amplitude * normalizedAmplitudes[h] * Math.sin(omega * i + phase);
+        }
+      }
+    }
+
+    const frameInterval = 0.01;
+    for (let t = 0; t < duration; t += frameInterval) {
+      groundTruth.push({ time: t, frequencies: [...frequencies] });
+    }
+
+    return { buffer, groundTruth };
+  }
+
   /**
    * Generate a musical scale (discrete notes)
    * @param {string} scaleName - Scale name: 'major', 'minor', 'chromatic'
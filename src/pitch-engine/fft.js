@@ -0,0 +1,65 @@
+/**
+ * Minimal FFT helpers shared by the spectral detectors and offline analysis
+ */
+
+/**
+ * In-place iterative radix-2 FFT (size must be a power of two)
+ */
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wr = Math.cos(angle);
+    const wi = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+/**
+ * Hann window coefficients
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+export function hannWindow(size) {
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  }
+  return w;
+}
+
+/**
+ * Smallest power of two ≥ n
+ * @param {number} n
+ * @returns {number}
+ */
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
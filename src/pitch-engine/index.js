@@ -8,10 +8,23 @@ export { PitchDetector, DetectorType } from './PitchDetector.js';
 export { FrequencyConverter } from './FrequencyConverter.js';
 export { AudioAnalyzer } from './AudioAnalyzer.js';
 export { VocalAnalyzer } from './VocalAnalyzer.js';
+export { AUDIO_FILE_ACCEPT, OfflinePitchAnalyzer } from './OfflinePitchAnalyzer.js';
+export { MultiPitchEstimator } from './MultiPitchEstimator.js';
 
-// Detector implementations
-export { BasePitchDetector } from './detectors/BasePitchDetector.js';
-export { HybridPitchDetector } from './detectors/HybridPitchDetector.js';
+// Detector implementations and registry
+export {
+  BasePitchDetector,
+  HybridPitchDetector,
+  PYINPitchDetector,
+  CepstrumPitchDetector,
+  MPMPitchDetector,
+  DEFAULT_DETECTOR_TYPE,
+  registerDetectorType,
+  resolveDetectorType,
+  getDetectorClass,
+  createDetector,
+  getAvailableDetectors,
+} from './detectors/index.js';
 
 // Evaluation framework
 export { TestSignalGenerator } from './evaluation/TestSignalGenerator.js';
@@ -0,0 +1,240 @@
+/**
+ * CapturePipeline - Per-sample capture chain that runs on the audio thread
+ *
+ * The same steps the main-thread path builds from Web Audio nodes and a
+ * setInterval, done in plain JS so it can live inside an
+ * AudioWorkletProcessor: high-pass biquad → automatic gain → ring buffer →
+ * pitch detector every `hopSize` samples. Knows nothing about the worklet
+ * API, so it can be driven directly from tests.
+ */
+
+import { createDetector, resolveDetectorType } from '../detectors/index.js';
+
+export class CapturePipeline {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Sample rate in Hz (default: 44100)
+   * @param {number} options.bufferSize - Detection window in samples (default: 2048)
+   * @param {number} options.hopSize - Samples between detections (default: bufferSize / 4)
+   * @param {string} options.detector - Detector type from DetectorType (default: 'hybrid')
+   * @param {number} options.minFrequency - Minimum frequency to detect (default: 60)
+   * @param {number} options.maxFrequency - Maximum frequency to detect (default: 1200)
+   * @param {number} options.threshold - RMS threshold for silence (default: 0.005)
+   * @param {number} options.highPassFreq - High-pass cutoff in Hz, 0 to bypass (default: 180)
+   * @param {number} options.targetRMS - AGC target level (default: 0.12)
+   * @param {number} options.minGain - AGC floor (default: 1)
+   * @param {number} options.maxGain - AGC ceiling (default: 12)
+   * @param {number} options.agcSpeed - AGC adaptation rate per detection, 0-1 (default: 0.15)
+   * @param {number} options.initialGain - Starting gain (default: 3.5)
+   * @param {boolean} options.includeBuffer - Attach the analysed window to each frame (default: false)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.bufferSize = options.bufferSize || 2048;
+    this.hopSize = options.hopSize || Math.floor(this.bufferSize / 4);
+    this.minFrequency = options.minFrequency || 60;
+    this.maxFrequency = options.maxFrequency || 1200;
+    this.threshold = options.threshold ?? 0.005;
+    this.includeBuffer = !!options.includeBuffer;
+
+    // AGC — same constants and update rule as AudioAnalyzer._updateAGC
+    this.targetRMS = options.targetRMS || 0.12;
+    this.minGain = options.minGain || 1.0;
+    this.maxGain = options.maxGain || 12.0;
+    this.agcSpeed = options.agcSpeed || 0.15;
+    this.gain = options.initialGain || 3.5;
+    this._gainTarget = this.gain;
+    this._gainStep = 0;
+
+    this.highPass = createHighPass(options.highPassFreq ?? 180, this.sampleRate);
+
+    this._ring = new Float32Array(this.bufferSize);
+    this._writeIndex = 0;
+    this._filled = 0;
+    this._sinceHop = 0;
+    this._sampleCount = 0; // samples processed since construction (never reset)
+
+    this.detectorType = null;
+    this.detector = null;
+    this.ready = this.setDetectorType(options.detector);
+  }
+
+  /**
+   * Swap the detection algorithm. The old detector keeps running until the
+   * new one has initialized.
+   * @param {string} type - Detector type from DetectorType
+   * @returns {Promise<void>}
+   */
+  async setDetectorType(type) {
+    const resolved = resolveDetectorType(type);
+    if (resolved === this.detectorType) return;
+    this.detectorType = resolved;
+
+    const detector = createDetector(resolved, {
+      sampleRate: this.sampleRate,
+      bufferSize: this.bufferSize,
+      minFrequency: this.minFrequency,
+      maxFrequency: this.maxFrequency,
+      threshold: this.threshold,
+    });
+    await detector.initialize();
+    if (this.detectorType !== resolved) {
+      // Superseded by another switch while initializing
+      detector.dispose();
+      return;
+    }
+    const previous = this.detector;
+    this.detector = detector;
+    previous?.dispose();
+  }
+
+  /**
+   * Run one block of input through the chain
+   * @param {Float32Array} input - Mono input samples (one render quantum)
+   * @param {Float32Array} [output] - Receives the filtered, gain-adjusted signal
+   * @returns {Array<object>} Pitch frames completed in this block (usually 0 or 1)
+   */
+  process(input, output) {
+    const frames = [];
+    const ring = this._ring;
+    const size = this.bufferSize;
+
+    for (let i = 0; i < input.length; i++) {
+      if (this._gainStep !== 0) {
+        this.gain += this._gainStep;
+        const reached =
+          this._gainStep > 0 ? this.gain >= this._gainTarget : this.gain <= this._gainTarget;
+        if (reached) {
+          this.gain = this._gainTarget;
+          this._gainStep = 0;
+        }
+      }
+
+      const sample = this.highPass(input[i]) * this.gain;
+      if (output) output[i] = sample;
+
+      ring[this._writeIndex] = sample;
+      this._sampleCount++;
+      this._writeIndex = (this._writeIndex + 1) % size;
+      if (this._filled < size) this._filled++;
+
+      if (++this._sinceHop >= this.hopSize) {
+        this._sinceHop = 0;
+        if (this._filled === size) {
+          const frame = this._detect();
+          if (frame) frames.push(frame);
+        }
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * Forget buffered audio and detector state (e.g. after the input was
+   * rerouted) without touching the gain. The sample clock keeps counting,
+   * so frame times stay comparable across a reset.
+   */
+  reset() {
+    this._ring.fill(0);
+    this._writeIndex = 0;
+    this._filled = 0;
+    this._sinceHop = 0;
+    this.highPass.reset();
+    this.detector?.reset?.();
+  }
+
+  dispose() {
+    this.detector?.dispose();
+    this.detector = null;
+  }
+
+  /**
+   * @private
+   */
+  _detect() {
+    if (!this.detector?.isReady) return null;
+
+    // Unroll the ring so the window is in time order
+    const buffer = new Float32Array(this.bufferSize);
+    const tail = this.bufferSize - this._writeIndex;
+    buffer.set(this._ring.subarray(this._writeIndex), 0);
+    buffer.set(this._ring.subarray(0, this._writeIndex), tail);
+
+    const rms = calculateRMS(buffer);
+    this._updateAGC(rms);
+
+    const result = this.detector.detect(buffer);
+    const frequency = result?.frequency ?? null;
+    return {
+      frequency,
+      confidence: frequency ? result.confidence ?? 0 : 0,
+      rms,
+      gain: this.gain,
+      detector: this.detector.name,
+      buffer: this.includeBuffer ? buffer : null,
+      // Absolute index of the sample just past the window, so consumers
+      // can line windows up on one timeline (strobe tuner phase)
+      endSample: this._sampleCount,
+    };
+  }
+
+  /**
+   * Move the gain toward targetRMS, ramped over the next hop so the change
+   * doesn't click
+   * @private
+   */
+  _updateAGC(rms) {
+    if (rms < 0.001) return; // Don't adjust for silence
+
+    const desiredGain = (this.targetRMS / rms) * this.gain;
+    const clampedGain = Math.max(this.minGain, Math.min(this.maxGain, desiredGain));
+    this._gainTarget = this.gain + (clampedGain - this.gain) * this.agcSpeed;
+    this._gainStep = (this._gainTarget - this.gain) / this.hopSize;
+  }
+}
+
+/**
+ * Second-order high-pass matching a Web Audio BiquadFilterNode with
+ * Q = 0.7 (Audio EQ Cookbook; Web Audio reads lowpass/highpass Q in dB)
+ * @returns {function(number): number} Stateful per-sample filter with reset()
+ */
+export function createHighPass(cutoff, sampleRate, qDb = 0.7) {
+  if (!cutoff || cutoff <= 0 || cutoff >= sampleRate / 2) {
+    const bypass = (x) => x;
+    bypass.reset = () => {};
+    return bypass;
+  }
+
+  const w0 = (2 * Math.PI * cutoff) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * 10 ** (qDb / 20));
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cos) / 2 / a0;
+  const b1 = -(1 + cos) / a0;
+  const b2 = b0;
+  const a1 = (-2 * cos) / a0;
+  const a2 = (1 - alpha) / a0;
+
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  const filter = (x) => {
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+  filter.reset = () => {
+    x1 = x2 = y1 = y2 = 0;
+  };
+  return filter;
+}
+
+function calculateRMS(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / buffer.length);
+}
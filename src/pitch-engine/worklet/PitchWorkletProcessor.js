@@ -0,0 +1,79 @@
+/**
+ * PitchWorkletProcessor - AudioWorkletProcessor around CapturePipeline
+ *
+ * Loaded into the AudioWorkletGlobalScope by AudioAnalyzer (bundled with its
+ * imports via Vite's `?worker&url`). Runs the capture chain on the audio
+ * thread, writes the processed signal to its output (for the AnalyserNode
+ * that VocalAnalyzer reads its spectrum from) and posts a message per
+ * detection:
+ *
+ *   → { type: 'ready', detector }
+ *   → { type: 'frame', frequency, confidence, rms, gain, detector, buffer,
+ *       endSample, time }
+ *   ← { type: 'detector', detector }   switch algorithm
+ *   ← { type: 'includeBuffer', include } attach the window to frames or not
+ *   ← { type: 'reset' }                drop buffered audio (input rerouted)
+ *   ← { type: 'stop' }                 let the node be collected
+ */
+
+import { CapturePipeline } from './CapturePipeline.js';
+
+export const PITCH_PROCESSOR_NAME = 'pitch-processor';
+
+export class PitchWorkletProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    // `sampleRate` is a global of the AudioWorkletGlobalScope
+    this.pipeline = new CapturePipeline({ ...options?.processorOptions, sampleRate });
+    this.alive = true;
+
+    this.port.onmessage = (event) => this._onMessage(event.data);
+    this.pipeline.ready.then(() =>
+      this.port.postMessage({ type: 'ready', detector: this.pipeline.detectorType })
+    );
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0]?.[0];
+    const output = outputs[0]?.[0];
+    if (!input) {
+      // Input disconnected (e.g. while drone notches are rewired)
+      output?.fill(0);
+      return this.alive;
+    }
+
+    for (const frame of this.pipeline.process(input, output)) {
+      const message = { type: 'frame', ...frame, time: currentTime };
+      if (frame.buffer) {
+        this.port.postMessage(message, [frame.buffer.buffer]);
+      } else {
+        this.port.postMessage(message);
+      }
+    }
+    return this.alive;
+  }
+
+  _onMessage(message) {
+    switch (message?.type) {
+      case 'detector':
+        this.pipeline.setDetectorType(message.detector).then(() =>
+          this.port.postMessage({ type: 'ready', detector: this.pipeline.detectorType })
+        );
+        break;
+      case 'includeBuffer':
+        this.pipeline.includeBuffer = !!message.include;
+        break;
+      case 'reset':
+        this.pipeline.reset();
+        break;
+      case 'stop':
+        this.alive = false;
+        this.pipeline.dispose();
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+registerProcessor(PITCH_PROCESSOR_NAME, PitchWorkletProcessor);
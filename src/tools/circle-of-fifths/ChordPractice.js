@@ -0,0 +1,255 @@
+/**
+ * ChordPractice — headless "play it back" session for the Circle of Fifths.
+ *
+ * Picks a target (a diatonic chord of the selected key, or a whole
+ * progression from PROGRESSIONS stepped chord by chord), listens to chord
+ * frames from PitchContext and judges the chord the player settles on.
+ *
+ * A chord is judged once it has been recognized the same way for
+ * `holdFrames` consecutive frames — strums ring through several voicings
+ * on the way in, and judging the first frame would punish every attack.
+ * The same chord isn't judged twice in a row until the player lets it ring
+ * out (a null frame) or changes chord, so holding a wrong chord costs one
+ * attempt, not one per frame.
+ *
+ * Accuracy is kept per key ("C major", "F# minor") as { attempts, correct }
+ * and handed to onStatsChange for persistence; the page stores it in
+ * SharedSettings and hands resets back through setStats().
+ */
+
+import { MAJOR_KEYS, diatonicChords, keyName, progressionToChords, tonicSemitone } from './musicTheory.js';
+import { PROGRESSIONS } from './progressions.js';
+import { judgeChord, recognizeChord } from './chordRecognition.js';
+
+export const PRACTICE_SOURCES = ['chords', 'progressions'];
+
+/**
+ * Progressions playable in a key: those written in the key's mode, resolved
+ * to chord descriptors. Progressions using numerals outside the diatonic
+ * table (e.g. Phrygian ♭II) are left out.
+ */
+export function practiceProgressions(pos, mode) {
+  const tonic = tonicSemitone(pos, mode);
+  const accType = MAJOR_KEYS[pos].accType;
+  return PROGRESSIONS
+    .filter((p) => p.mode === mode)
+    .map((p) => ({ name: p.name, chords: progressionToChords(p.numerals, tonic, accType, mode) }))
+    .filter((p) => p.chords.every((c) => c.numeral));
+}
+
+export class ChordPractice {
+  /**
+   * @param {object} options
+   * @param {string} options.source - 'chords' | 'progressions' (default: 'chords')
+   * @param {number} options.holdFrames - Stable frames before judging (default: 5)
+   * @param {object} options.stats - Saved per-key stats { [key]: { attempts, correct } }
+   * @param {function} options.onChange - Called with getState() after every change
+   * @param {function} options.onStatsChange - Called with a new stats object after each judgement
+   * @param {function} options.random - Random source (default: Math.random)
+   * @param {function} options.now - Clock in ms (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.source = PRACTICE_SOURCES.includes(options.source) ? options.source : 'chords';
+    this.holdFrames = options.holdFrames || 5;
+    this.stats = { ...options.stats };
+    this.onChange = options.onChange || null;
+    this.onStatsChange = options.onStatsChange || null;
+    this.random = options.random || Math.random;
+    this.now = options.now || (() => Date.now());
+
+    this.key = null;
+    this.accType = 'sharp';
+    this.diatonic = [];
+    this.progressions = [];
+
+    this.target = null;
+    this.progression = null; // { name, chords, step } in progression mode
+    this.status = 'listening'; // 'listening' | 'correct' | 'wrong'
+    this.heard = null;
+    this.feedback = null;
+
+    this._candidate = null;
+    this._candidateFrames = 0;
+    this._lastJudged = null;
+    this._mutedUntil = 0;
+  }
+
+  /**
+   * Practice in a wheel key; starts a fresh challenge
+   * @param {number} pos - Wheel position 0..11
+   * @param {string} mode - 'major' | 'minor'
+   */
+  setKey(pos, mode) {
+    this.key = keyName(pos, mode);
+    this.accType = MAJOR_KEYS[pos].accType;
+    this.diatonic = diatonicChords(tonicSemitone(pos, mode), this.accType, mode);
+    this.progressions = practiceProgressions(pos, mode);
+    this.nextChallenge();
+  }
+
+  /**
+   * @param {string} source - 'chords' | 'progressions'
+   */
+  setSource(source) {
+    if (!PRACTICE_SOURCES.includes(source) || source === this.source) return;
+    this.source = source;
+    this.nextChallenge();
+  }
+
+  /**
+   * Pick a new target. Never repeats the previous chord or progression
+   * straight away.
+   */
+  nextChallenge() {
+    if (this.source === 'progressions' && this.progressions.length > 0) {
+      const progression = this._pick(this.progressions, this.progression?.name, (p) => p.name);
+      this.progression = { ...progression, step: 0 };
+      this.target = progression.chords[0];
+    } else {
+      this.progression = null;
+      this.target = this._pick(this.diatonic, this.target?.name, (c) => c.name) ?? null;
+    }
+    this._resetAttempt();
+    this._emit();
+  }
+
+  /**
+   * Move on after a correct chord: the next chord of the progression, or a
+   * new challenge
+   */
+  advance() {
+    const p = this.progression;
+    if (p && p.step + 1 < p.chords.length) {
+      p.step += 1;
+      this.target = p.chords[p.step];
+      this._resetAttempt();
+      this._emit();
+      return;
+    }
+    this.nextChallenge();
+  }
+
+  /**
+   * Skip the current target without scoring it
+   */
+  skip() {
+    this.nextChallenge();
+  }
+
+  /**
+   * Ignore chord frames for a while (e.g. while the synth plays the target,
+   * so the mic doesn't judge the speaker)
+   * @param {number} ms
+   */
+  muteFor(ms) {
+    this._mutedUntil = Math.max(this._mutedUntil, this.now() + ms);
+    this._candidate = null;
+    this._candidateFrames = 0;
+  }
+
+  /**
+   * Feed one chord frame from PitchContext.subscribeChords
+   * @param {object|null} frame
+   */
+  handleChordFrame(frame) {
+    if (!this.target || this.status === 'correct') return;
+    if (this.now() < this._mutedUntil) return;
+
+    const chord = frame ? recognizeChord(frame, this.accType) : null;
+    if (!chord) {
+      // Let-ring-out: the same chord may be judged again on the next strum
+      this._candidate = null;
+      this._candidateFrames = 0;
+      this._lastJudged = null;
+      return;
+    }
+
+    const id = `${chord.root}:${chord.template}`;
+    if (this._candidate !== id) {
+      this._candidate = id;
+      this._candidateFrames = 1;
+      return;
+    }
+    this._candidateFrames += 1;
+    if (this._candidateFrames !== this.holdFrames || this._lastJudged === id) return;
+
+    this._lastJudged = id;
+    this.heard = chord;
+    this.feedback = judgeChord(chord, this.target);
+    this.status = this.feedback.correct ? 'correct' : 'wrong';
+    this._record(this.feedback.correct);
+    this._emit();
+  }
+
+  /**
+   * Accuracy in a key
+   * @param {string} key - Key name (default: current key)
+   * @returns {{attempts: number, correct: number, accuracy: number|null}}
+   */
+  getAccuracy(key = this.key) {
+    const { attempts = 0, correct = 0 } = this.stats[key] ?? {};
+    return { attempts, correct, accuracy: attempts > 0 ? correct / attempts : null };
+  }
+
+  /**
+   * Replace the stats (e.g. after they were reset from the sidebar)
+   * @param {object} stats - { [key]: { attempts, correct } }
+   */
+  setStats(stats) {
+    if (stats === this.stats) return;
+    this.stats = stats ?? {};
+    this._emit();
+  }
+
+  /**
+   * Snapshot for rendering
+   */
+  getState() {
+    return {
+      key: this.key,
+      source: this.source,
+      target: this.target,
+      progression: this.progression && {
+        name: this.progression.name,
+        chords: this.progression.chords,
+        step: this.progression.step,
+      },
+      status: this.status,
+      heard: this.heard,
+      feedback: this.feedback,
+      accuracy: this.getAccuracy(),
+    };
+  }
+
+  // ────────────────────────────────────────────────────────────────────
+  // Internals
+  // ────────────────────────────────────────────────────────────────────
+
+  _pick(list, previousId, idOf) {
+    if (list.length === 0) return null;
+    const choices = list.length > 1 ? list.filter((item) => idOf(item) !== previousId) : list;
+    return choices[Math.floor(this.random() * choices.length)];
+  }
+
+  _resetAttempt() {
+    this.status = 'listening';
+    this.heard = null;
+    this.feedback = null;
+    this._candidate = null;
+    this._candidateFrames = 0;
+    this._lastJudged = null;
+  }
+
+  _record(correct) {
+    const { attempts, correct: hits } = this.getAccuracy();
+    this.stats = {
+      ...this.stats,
+      [this.key]: { attempts: attempts + 1, correct: hits + (correct ? 1 : 0) },
+    };
+    this.onStatsChange?.(this.stats);
+  }
+
+  _emit() {
+    this.onChange?.(this.getState());
+  }
+}
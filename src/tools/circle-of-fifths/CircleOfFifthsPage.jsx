@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { ChevronsLeft, ChevronsRight, Settings2 } from 'lucide-react';
 
-import { SharedSettings } from '@/core';
+import { SharedSettings, PitchContext } from '@/core';
 import { Button } from '@/components/ui/button';
 import { Sheet, SheetContent, SheetHeader, SheetTitle } from '@/components/ui/sheet';
 import { trackEvent } from '@/lib/analytics';
@@ -9,7 +9,9 @@ import { trackEvent } from '@/lib/analytics';
 import CircleOfFifths from './CircleOfFifths.jsx';
 import Sidebar from './Sidebar.jsx';
 import { DiatonicChordRow } from './KeyHub.jsx';
+import PracticePanel from './PracticePanel.jsx';
 import { ChordSynth } from './ChordSynth.js';
+import { ChordPractice } from './ChordPractice.js';
 import { diatonicChords as buildDiatonic, MAJOR_KEYS } from './musicTheory.js';
 import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
 
@@ -22,9 +24,16 @@ const SETTINGS_KEYS = [
   'circleShowSecondaryDoms',
   'circleShowTritoneSubs',
   'circleShowParallel',
+  'circlePracticeSource',
+  'circlePracticeStats',
   'settingsCollapsed',
 ];
 
+// How long the mic ignores chords after the synth plays one (chord + release)
+const SYNTH_MUTE_MS = 1800;
+// Pause on a correct chord before the next target appears
+const ADVANCE_DELAY_MS = 900;
+
 export default function CircleOfFifthsPage() {
   const settings = useMemo(() => new SharedSettings(), []);
   const v = useSharedSettingValues(settings, SETTINGS_KEYS);
@@ -40,6 +49,8 @@ export default function CircleOfFifthsPage() {
     parallel: !!v.circleShowParallel,
   }), [v.circleShowSecondaryDoms, v.circleShowTritoneSubs, v.circleShowParallel]);
   const sidebarCollapsed = !!v.settingsCollapsed;
+  const practiceSource = v.circlePracticeSource ?? 'chords';
+  const practiceStats = v.circlePracticeStats;
 
   const synthRef = useRef(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -76,6 +87,97 @@ export default function CircleOfFifthsPage() {
     synthRef.current?.setVolume(volume);
   }, [volume]);
 
+  // ── Play-it-back practice ─────────────────────────────────────────────
+  const practiceRef = useRef(null);
+  const pitchContextRef = useRef(null);
+  const [practiceState, setPracticeState] = useState(null);
+  const [listening, setListening] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [micError, setMicError] = useState(null);
+
+  useEffect(() => {
+    const practice = new ChordPractice({
+      source: settings.get('circlePracticeSource'),
+      stats: settings.get('circlePracticeStats'),
+      onChange: setPracticeState,
+      onStatsChange: (stats) => settings.set('circlePracticeStats', stats),
+    });
+    practiceRef.current = practice;
+    return () => {
+      practiceRef.current = null;
+      pitchContextRef.current?.dispose();
+      pitchContextRef.current = null;
+    };
+  }, [settings]);
+
+  useEffect(() => {
+    practiceRef.current?.setKey(selectedPos, selectedMode);
+  }, [selectedPos, selectedMode]);
+
+  useEffect(() => {
+    practiceRef.current?.setSource(practiceSource);
+  }, [practiceSource]);
+
+  // Stats reset from the sidebar flow back into the session
+  useEffect(() => {
+    practiceRef.current?.setStats(practiceStats ?? {});
+  }, [practiceStats]);
+
+  // Show a correct chord for a moment, then move on
+  useEffect(() => {
+    if (practiceState?.status !== 'correct') return;
+    const t = setTimeout(() => practiceRef.current?.advance(), ADVANCE_DELAY_MS);
+    return () => clearTimeout(t);
+  }, [practiceState]);
+
+  const startListening = async () => {
+    let ctx = pitchContextRef.current;
+    if (!ctx) {
+      ctx = new PitchContext({
+        detector: settings.get('pitchDetector'),
+        updateInterval: 50,
+        threshold: 0.0001,
+        bufferSize: 8192,       // separates guitar chord tones down to low E
+        minFrequency: 60,
+        maxFrequency: 1500,
+        highPassFreq: 30,       // keep the low strings
+        enableVocalAnalysis: false,
+      });
+      ctx.subscribeChords((frame) => practiceRef.current?.handleChordFrame(frame));
+      pitchContextRef.current = ctx;
+    }
+    setStarting(true);
+    setMicError(null);
+    try {
+      await ctx.start();
+      setListening(true);
+      trackEvent('circle_practice_start', { source: practiceSource });
+    } catch (e) {
+      console.error('Failed to start chord practice:', e);
+      setMicError(
+        e?.name === 'NotAllowedError'
+          ? 'Microphone permission denied. Allow microphone access to practice chords.'
+          : 'Could not start the microphone. Try again or check permissions.'
+      );
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const stopListening = () => {
+    pitchContextRef.current?.stop();
+    setListening(false);
+  };
+
+  // Keep the synth's own chords out of the judged input
+  const playAndMute = (chord) => {
+    const synth = synthRef.current;
+    if (!synth) return;
+    practiceRef.current?.muteFor(SYNTH_MUTE_MS);
+    synth.unlock();
+    synth.playChord(chord, { voicing, articulation });
+  };
+
   // Compute the diatonic chord descriptors for the selected key.
   const major = MAJOR_KEYS[selectedPos];
   const tonicSemi = selectedMode === 'major'
@@ -99,18 +201,11 @@ export default function CircleOfFifthsPage() {
       semitones: newTonicSemi,
       type: newMode === 'minor' ? 'minor' : 'major',
     };
-    const synth = synthRef.current;
-    if (synth) {
-      synth.unlock();
-      synth.playChord(tonicChord, { voicing, articulation });
-    }
+    playAndMute(tonicChord);
   };
 
   const handleHubChord = (chord) => {
-    const synth = synthRef.current;
-    if (!synth) return;
-    synth.unlock();
-    synth.playChord(chord, { voicing, articulation });
+    playAndMute(chord);
   };
 
   return (
@@ -154,6 +249,16 @@ export default function CircleOfFifthsPage() {
         <div className="w-full max-w-md px-1 sm:hidden">
           <DiatonicChordRow chords={diatonic} onChordClick={handleHubChord} />
         </div>
+        <PracticePanel
+          state={practiceState}
+          listening={listening}
+          starting={starting}
+          error={micError}
+          onToggleListening={listening ? stopListening : startListening}
+          onSourceChange={(source) => settings.set('circlePracticeSource', source)}
+          onHear={() => practiceState?.target && playAndMute(practiceState.target)}
+          onSkip={() => practiceRef.current?.skip()}
+        />
       </div>
 
       {/* Desktop sidebar */}
@@ -0,0 +1,159 @@
+import { Check, Mic, MicOff, SkipForward, Volume2, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils';
+
+/**
+ * "Play it back" panel under the wheel: start/stop listening, choose chords
+ * or progressions, see the target, what the mic heard, and the key's score.
+ * All state lives in ChordPractice; this only renders its snapshot.
+ */
+export default function PracticePanel({
+  state,
+  listening,
+  starting,
+  error,
+  onToggleListening,
+  onSourceChange,
+  onHear,
+  onSkip,
+}) {
+  const { target, progression, status, heard, feedback, accuracy } = state ?? {};
+
+  return (
+    <div className="flex w-full max-w-md flex-col gap-2 rounded-md border bg-card/40 p-3">
+      <div className="flex items-center justify-between gap-3">
+        <span className="font-mono text-xs uppercase tracking-widest text-muted-foreground">
+          Play it back
+        </span>
+        <SourceToggle value={state?.source ?? 'chords'} onChange={onSourceChange} />
+      </div>
+
+      {!listening && (
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onToggleListening}
+          disabled={starting}
+          className="gap-2"
+        >
+          <Mic className="h-4 w-4" />
+          {starting ? 'Starting microphone…' : 'Practice with your instrument'}
+        </Button>
+      )}
+      {error && <div className="text-xs text-destructive">{error}</div>}
+
+      {listening && target && (
+        <>
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <div className="text-[10px] uppercase tracking-wider text-muted-foreground">
+                Play {target.numeral && <span className="font-mono normal-case">{target.numeral}</span>}
+              </div>
+              <div
+                className={cn(
+                  'text-3xl font-bold leading-none tabular-nums transition-colors',
+                  status === 'correct' && 'text-emerald-400'
+                )}
+                data-testid="practice-target"
+              >
+                {target.name}
+              </div>
+            </div>
+            <div className="flex gap-1">
+              <Button type="button" size="icon" variant="outline" className="h-8 w-8"
+                onClick={onHear} aria-label="Hear the chord">
+                <Volume2 className="h-4 w-4" />
+              </Button>
+              <Button type="button" size="icon" variant="outline" className="h-8 w-8"
+                onClick={onSkip} aria-label="Skip">
+                <SkipForward className="h-4 w-4" />
+              </Button>
+              <Button type="button" size="icon" variant="ghost" className="h-8 w-8"
+                onClick={onToggleListening} aria-label="Stop listening">
+                <MicOff className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+
+          {progression && (
+            <div className="flex flex-wrap items-baseline gap-x-1.5 gap-y-0.5 font-mono text-[11px]">
+              <span className="text-muted-foreground">{progression.name}:</span>
+              {progression.chords.map((c, i) => (
+                <span
+                  key={i}
+                  className={cn(
+                    i < progression.step && 'text-muted-foreground line-through',
+                    i === progression.step && 'font-semibold text-primary'
+                  )}
+                >
+                  {c.name}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="flex min-h-6 items-center gap-2 text-xs">
+            {heard ? (
+              <>
+                <span className="text-muted-foreground">Heard</span>
+                <span className="font-semibold">{heard.name}</span>
+                <Verdict ok={feedback.rootOk} label="Root" />
+                <Verdict ok={feedback.qualityOk} label="Quality" />
+              </>
+            ) : (
+              <span className="text-muted-foreground">Listening…</span>
+            )}
+          </div>
+
+          <div className="text-[11px] text-muted-foreground">
+            {state.key} · {accuracy.attempts === 0
+              ? 'no attempts yet'
+              : `${accuracy.correct}/${accuracy.attempts} correct (${Math.round(accuracy.accuracy * 100)}%)`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function Verdict({ ok, label }) {
+  const Icon = ok ? Check : X;
+  return (
+    <span
+      className={cn(
+        'inline-flex items-center gap-0.5 rounded-full px-1.5 py-0.5 text-[10px] font-semibold',
+        ok ? 'bg-emerald-500/15 text-emerald-400' : 'bg-destructive/10 text-destructive'
+      )}
+    >
+      <Icon className="h-3 w-3" />
+      {label}
+    </span>
+  );
+}
+
+function SourceToggle({ value, onChange }) {
+  const opts = [
+    { id: 'chords', label: 'Chords' },
+    { id: 'progressions', label: 'Progressions' },
+  ];
+  return (
+    <div className="flex rounded-md border bg-background/60 p-0.5">
+      {opts.map((o) => (
+        <button
+          key={o.id}
+          type="button"
+          onClick={() => onChange(o.id)}
+          className={cn(
+            'rounded px-2 py-0.5 text-[11px] font-mono uppercase tracking-wider transition-colors',
+            value === o.id
+              ? 'bg-primary text-primary-foreground'
+              : 'text-muted-foreground hover:text-foreground'
+          )}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
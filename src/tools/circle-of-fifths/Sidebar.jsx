@@ -1,4 +1,4 @@
-import { Volume2 } from 'lucide-react';
+import { RotateCcw, Volume2 } from 'lucide-react';
 
 import {
   Select,
@@ -7,6 +7,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
 import { Label } from '@/components/ui/label';
 import { Separator } from '@/components/ui/separator';
 import { cn } from '@/lib/utils';
@@ -20,6 +21,7 @@ const KEYS = [
   'circleShowSecondaryDoms',
   'circleShowTritoneSubs',
   'circleShowParallel',
+  'circlePracticeStats',
 ];
 
 export default function Sidebar({ settings }) {
@@ -30,6 +32,9 @@ export default function Sidebar({ settings }) {
   const showSec = !!v.circleShowSecondaryDoms;
   const showTri = !!v.circleShowTritoneSubs;
   const showPar = !!v.circleShowParallel;
+  const scores = Object.entries(v.circlePracticeStats ?? {})
+    .filter(([, s]) => s.attempts > 0)
+    .sort((a, b) => b[1].attempts - a[1].attempts);
 
   return (
     <div className="flex flex-col gap-3 p-1">
@@ -102,6 +107,39 @@ export default function Sidebar({ settings }) {
           </div>
         </Field>
       </Section>
+
+      <Separator />
+
+      <Section title="Play-it-back scores">
+        {scores.length === 0 ? (
+          <p className="text-[11px] leading-snug text-muted-foreground">
+            Start practice under the wheel and play the chord shown — accuracy is tracked per key.
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-col gap-0.5 text-xs">
+              {scores.map(([key, s]) => (
+                <div key={key} className="flex items-center justify-between gap-2">
+                  <span>{key}</span>
+                  <span className="font-mono tabular-nums text-muted-foreground">
+                    {s.correct}/{s.attempts} · {Math.round((s.correct / s.attempts) * 100)}%
+                  </span>
+                </div>
+              ))}
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => settings.set('circlePracticeStats', {})}
+              className="h-7 gap-1.5 px-2 text-xs text-muted-foreground"
+            >
+              <RotateCcw className="h-3.5 w-3.5" />
+              Reset scores
+            </Button>
+          </>
+        )}
+      </Section>
     </div>
   );
 }
@@ -0,0 +1,227 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { recognizeChord, judgeChord } from '../chordRecognition.js';
+import { ChordPractice, practiceProgressions } from '../ChordPractice.js';
+import { keyName, tonicSemitone } from '../musicTheory.js';
+import { MultiPitchEstimator } from '../../../pitch-engine/MultiPitchEstimator.js';
+import { TestSignalGenerator } from '../../../pitch-engine/evaluation/TestSignalGenerator.js';
+
+/** Chord frame as PitchContext.subscribeChords delivers it */
+function frame(midiNotes, confidence = 1) {
+  return { notes: midiNotes.map((midiNote) => ({ midiNote, confidence })) };
+}
+
+describe('recognizeChord', () => {
+  it.each([
+    [[48, 52, 55], 'C', 'major'],
+    [[57, 60, 64], 'Am', 'minor'],
+    [[59, 62, 65], 'B°', 'dim'],
+    [[55, 59, 62, 65], 'G7', 'dom'],
+    [[48, 52, 55, 59], 'CM7', 'major'],
+    [[50, 53, 57, 60], 'Dm7', 'minor'],
+    [[40, 47, 52], 'E5', 'power'],
+  ])('names %j as %s', (notes, name, type) => {
+    const chord = recognizeChord(frame(notes));
+    expect(chord.name).toBe(name);
+    expect(chord.type).toBe(type);
+  });
+
+  it('ignores voicing, inversion and doubling', () => {
+    // C/E with a doubled root an octave up
+    expect(recognizeChord(frame([52, 55, 60, 72])).name).toBe('C');
+    // Open-position G: G2 B2 D3 G3 B3 G4
+    expect(recognizeChord(frame([43, 47, 50, 55, 59, 67])).name).toBe('G');
+  });
+
+  it('prefers the triad when only three tones ring', () => {
+    expect(recognizeChord(frame([45, 48, 52])).template).toBe('minor');
+  });
+
+  it('lets a weak stray note lose to the chord', () => {
+    const f = frame([48, 52, 55]);
+    f.notes.push({ midiNote: 62, confidence: 0.2 });
+    expect(recognizeChord(f).name).toBe('C');
+  });
+
+  it('spells with the key signature', () => {
+    expect(recognizeChord(frame([58, 62, 65]), 'flat').name).toBe('Bb');
+    expect(recognizeChord(frame([58, 62, 65]), 'sharp').name).toBe('A#');
+  });
+
+  it('needs at least two pitch classes', () => {
+    expect(recognizeChord(null)).toBeNull();
+    expect(recognizeChord(frame([]))).toBeNull();
+    expect(recognizeChord(frame([45, 57]))).toBeNull();
+  });
+
+  it('recognizes estimator output for a synthetic strum', () => {
+    const generator = new TestSignalGenerator({ sampleRate: 44100 });
+    const estimator = new MultiPitchEstimator({ sampleRate: 44100 });
+    const hz = (m) => 440 * 2 ** ((m - 69) / 12);
+    // D major, open position: D3 A3 D4 F#4
+    const { buffer } = generator.generateChord([50, 57, 62, 66].map(hz), 0.4);
+    const chord = recognizeChord(estimator.detect(buffer.slice(2000, 2000 + 8192)));
+    expect(chord.name).toBe('D');
+  });
+});
+
+describe('judgeChord', () => {
+  const G = { semitones: 7, type: 'major' };
+
+  it('checks root and quality separately', () => {
+    expect(judgeChord(recognizeChord(frame([55, 59, 62])), G)).toEqual({
+      rootOk: true, qualityOk: true, correct: true,
+    });
+    expect(judgeChord(recognizeChord(frame([55, 58, 62])), G)).toEqual({
+      rootOk: true, qualityOk: false, correct: false,
+    });
+    expect(judgeChord(recognizeChord(frame([48, 52, 55])), G)).toEqual({
+      rootOk: false, qualityOk: true, correct: false,
+    });
+  });
+
+  it('treats the seventh as optional', () => {
+    const G7 = { semitones: 7, type: 'dom' };
+    expect(judgeChord(recognizeChord(frame([55, 59, 62])), G7).correct).toBe(true);
+    expect(judgeChord(recognizeChord(frame([55, 59, 62, 65])), G).correct).toBe(true);
+  });
+
+  it('never accepts a power chord quality', () => {
+    const result = judgeChord(recognizeChord(frame([43, 50, 55])), G);
+    expect(result).toMatchObject({ rootOk: true, qualityOk: false });
+  });
+});
+
+describe('practiceProgressions', () => {
+  it('resolves progressions in the key mode and drops non-diatonic ones', () => {
+    const minor = practiceProgressions(0, 'minor'); // A minor
+    expect(minor.length).toBeGreaterThan(0);
+    expect(minor.some((p) => p.name === 'Phrygian metal')).toBe(false);
+    const andalusian = minor.find((p) => p.name === 'Andalusian cadence');
+    expect(andalusian.chords.map((c) => c.name)).toEqual(['Am', 'G', 'F', 'E']);
+    expect(practiceProgressions(1, 'major').every((p) => p.chords.length > 0)).toBe(true);
+  });
+});
+
+describe('musicTheory key helpers', () => {
+  it('names keys and their tonic pitch class', () => {
+    expect(keyName(3, 'major')).toBe('A major');
+    expect(keyName(3, 'minor')).toBe('F# minor');
+    expect(tonicSemitone(3, 'minor')).toBe(6);
+  });
+});
+
+describe('ChordPractice', () => {
+  /** C major session whose random picks are scripted */
+  function session(options = {}) {
+    const onChange = vi.fn();
+    const onStatsChange = vi.fn();
+    let clock = 0;
+    const practice = new ChordPractice({
+      random: () => 0,
+      now: () => clock,
+      holdFrames: 3,
+      onChange,
+      onStatsChange,
+      ...options,
+    });
+    practice.setKey(0, 'major');
+    return { practice, onChange, onStatsChange, tick: (ms) => { clock += ms; } };
+  }
+
+  /** Hold a chord for n frames */
+  function hold(practice, notes, n = 3) {
+    for (let i = 0; i < n; i++) practice.handleChordFrame(frame(notes));
+  }
+
+  it('picks a diatonic chord of the selected key', () => {
+    const { practice } = session();
+    expect(practice.getState()).toMatchObject({ key: 'C major', status: 'listening' });
+    expect(practice.target.name).toBe('C');
+  });
+
+  it('judges a chord only after it has been held', () => {
+    const { practice, onStatsChange } = session();
+    hold(practice, [48, 52, 55], 2);
+    expect(practice.status).toBe('listening');
+
+    practice.handleChordFrame(frame([48, 52, 55]));
+    expect(practice.getState()).toMatchObject({
+      status: 'correct',
+      heard: { name: 'C' },
+      accuracy: { attempts: 1, correct: 1, accuracy: 1 },
+    });
+    expect(onStatsChange).toHaveBeenLastCalledWith({ 'C major': { attempts: 1, correct: 1 } });
+  });
+
+  it('counts a held wrong chord once and re-judges after it rings out', () => {
+    const { practice } = session();
+    hold(practice, [45, 48, 52], 10); // Am for C
+    expect(practice.status).toBe('wrong');
+    expect(practice.getAccuracy().attempts).toBe(1);
+
+    practice.handleChordFrame(null);
+    hold(practice, [45, 48, 52]);
+    expect(practice.getAccuracy()).toMatchObject({ attempts: 2, correct: 0 });
+
+    hold(practice, [48, 52, 55]);
+    expect(practice.status).toBe('correct');
+    expect(practice.getAccuracy()).toMatchObject({ attempts: 3, correct: 1, accuracy: 1 / 3 });
+  });
+
+  it('ignores frames while muted for synth playback', () => {
+    const { practice, tick } = session();
+    practice.muteFor(1000);
+    hold(practice, [48, 52, 55], 5);
+    expect(practice.status).toBe('listening');
+
+    tick(1000);
+    hold(practice, [48, 52, 55]);
+    expect(practice.status).toBe('correct');
+  });
+
+  it('moves to a different chord after a correct answer', () => {
+    const { practice } = session();
+    hold(practice, [48, 52, 55]);
+    practice.advance();
+    expect(practice.status).toBe('listening');
+    expect(practice.target.name).not.toBe('C');
+  });
+
+  it('steps through a progression chord by chord', () => {
+    const { practice } = session({ source: 'progressions' });
+    const { progression } = practice.getState();
+    expect(progression.step).toBe(0);
+    expect(practice.target).toBe(progression.chords[0]);
+
+    const first = progression.chords[0]; // Axis of awesome: C G Am F
+    expect(first.name).toBe('C');
+    hold(practice, [48, 52, 55]);
+    practice.advance();
+    expect(practice.getState().progression.step).toBe(1);
+    expect(practice.target.name).toBe('G');
+  });
+
+  it('switches source and keeps stats per key', () => {
+    const { practice } = session();
+    hold(practice, [48, 52, 55]);
+    practice.setSource('progressions');
+    expect(practice.getState().progression).not.toBeNull();
+
+    practice.setKey(0, 'minor');
+    expect(practice.getState()).toMatchObject({ key: 'A minor', accuracy: { attempts: 0 } });
+    expect(practice.getAccuracy('C major').correct).toBe(1);
+  });
+
+  it('skips without scoring and accepts external stats resets', () => {
+    const { practice, onChange } = session({ stats: { 'C major': { attempts: 4, correct: 3 } } });
+    expect(practice.getAccuracy().accuracy).toBe(0.75);
+
+    practice.skip();
+    expect(practice.getAccuracy().attempts).toBe(4);
+
+    practice.setStats({});
+    expect(practice.getAccuracy()).toEqual({ attempts: 0, correct: 0, accuracy: null });
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ accuracy: expect.objectContaining({ attempts: 0 }) }));
+  });
+});
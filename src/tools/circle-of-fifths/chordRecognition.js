@@ -0,0 +1,104 @@
+/**
+ * Chord recognition for the "play it back" practice mode.
+ *
+ * Turns a PitchContext chord frame (MultiPitchEstimator notes) into a root +
+ * quality by template matching on pitch classes, and judges it against the
+ * target chord descriptor from diatonicChords() / progressionToChords().
+ *
+ * Only pitch classes matter: voicing, inversion and octave doubling (which
+ * the estimator can't always separate anyway) don't change the answer.
+ */
+
+import { spellNote } from './musicTheory.js';
+
+// Interval sets (semitones above the root). `type` is the musicTheory chord
+// type the template belongs to; sevenths also carry their quality suffix.
+export const CHORD_TEMPLATES = [
+  { id: 'major', type: 'major', intervals: [0, 4, 7],     suffix: '' },
+  { id: 'minor', type: 'minor', intervals: [0, 3, 7],     suffix: 'm' },
+  { id: 'dim',   type: 'dim',   intervals: [0, 3, 6],     suffix: '°' },
+  { id: 'aug',   type: 'aug',   intervals: [0, 4, 8],     suffix: '+' },
+  { id: 'dom',   type: 'dom',   intervals: [0, 4, 7, 10], suffix: '7' },
+  { id: 'maj7',  type: 'major', intervals: [0, 4, 7, 11], suffix: 'M7' },
+  { id: 'm7',    type: 'minor', intervals: [0, 3, 7, 10], suffix: 'm7' },
+  { id: 'dim7',  type: 'dim',   intervals: [0, 3, 6, 9],  suffix: '°7' },
+  { id: 'm7b5',  type: 'dim',   intervals: [0, 3, 6, 10], suffix: 'ø7' },
+  { id: 'power', type: 'power', intervals: [0, 7],        suffix: '5' },
+];
+
+// Scoring weights, relative to the frame's total note weight (= 1)
+const MISSING_TONE_PENALTY = 0.15; // per template tone not heard
+const BASS_ROOT_BONUS = 0.1;       // root in the bass breaks inversion ties
+
+/**
+ * Best-matching chord for a chord frame.
+ *   frame: { notes: [{ midiNote, confidence }] } from PitchContext.subscribeChords
+ *   accType: 'sharp' | 'flat' — spelling for the returned name
+ * Returns { root (0..11), type, template, name, score } or null when fewer
+ * than two pitch classes are sounding.
+ */
+export function recognizeChord(frame, accType = 'sharp') {
+  const notes = frame?.notes ?? [];
+  if (notes.length === 0) return null;
+
+  const weights = new Array(12).fill(0);
+  for (const n of notes) weights[pitchClass(n.midiNote)] += n.confidence ?? 1;
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0 || weights.filter((w) => w > 0).length < 2) return null;
+  for (let pc = 0; pc < 12; pc++) weights[pc] /= total;
+
+  const bass = pitchClass(
+    notes.reduce((low, n) => (n.midiNote < low.midiNote ? n : low)).midiNote
+  );
+
+  let best = null;
+  for (let root = 0; root < 12; root++) {
+    for (const template of CHORD_TEMPLATES) {
+      const tones = new Set(template.intervals.map((i) => (root + i) % 12));
+      let score = 0;
+      for (let pc = 0; pc < 12; pc++) {
+        score += tones.has(pc) ? weights[pc] : -weights[pc];
+      }
+      for (const pc of tones) {
+        if (weights[pc] === 0) score -= MISSING_TONE_PENALTY;
+      }
+      if (bass === root) score += BASS_ROOT_BONUS;
+
+      // Ties go to the smaller chord (a triad over a seventh missing a tone)
+      if (!best || score > best.score + 1e-9 ||
+          (Math.abs(score - best.score) <= 1e-9 && tones.size < best.template.intervals.length)) {
+        best = { root, template, score };
+      }
+    }
+  }
+
+  return {
+    root: best.root,
+    type: best.template.type,
+    template: best.template.id,
+    name: spellNote(best.root, accType) + best.template.suffix,
+    score: best.score,
+  };
+}
+
+/**
+ * Judge a recognized chord against a target.
+ *   heard: recognizeChord() result
+ *   target: { semitones (root pc), type } chord descriptor
+ * Quality compares the triad: a G triad counts for G7 and vice versa, since
+ * the seventh is optional on most instruments. A power chord has no third,
+ * so its quality is never right.
+ */
+export function judgeChord(heard, target) {
+  const rootOk = heard.root === target.semitones;
+  const qualityOk = heard.type !== 'power' && triadQuality(heard.type) === triadQuality(target.type);
+  return { rootOk, qualityOk, correct: rootOk && qualityOk };
+}
+
+function triadQuality(type) {
+  return type === 'dom' ? 'major' : type;
+}
+
+function pitchClass(midi) {
+  return ((midi % 12) + 12) % 12;
+}
@@ -53,6 +53,19 @@ export const MINOR_KEYS = [
   { pos: 11, tonic: 'Dm'   },
 ];
 
+/** Display name of a wheel key ("C major", "F#m" → "F# minor"). */
+export function keyName(pos, mode) {
+  return mode === 'minor'
+    ? MINOR_KEYS[pos].tonic.replace('m', '') + ' minor'
+    : MAJOR_KEYS[pos].tonic + ' major';
+}
+
+/** Tonic pitch class of a wheel key (the relative minor sits 3 semitones down). */
+export function tonicSemitone(pos, mode) {
+  const major = MAJOR_KEYS[pos].semitone;
+  return mode === 'minor' ? (major - 3 + 12) % 12 : major;
+}
+
 // Chromatic spellings — first entry is the sharp form, second is the flat form.
 const SHARP_NAMES = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
 const FLAT_NAMES  = ['C','Db','D','Eb','E','F','Gb','G','Ab','A','Bb','B'];
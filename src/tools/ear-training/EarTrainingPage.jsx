@@ -0,0 +1,180 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronsLeft, ChevronsRight, Settings2 } from 'lucide-react';
+
+import { SharedSettings } from '@/core';
+import { Button } from '@/components/ui/button';
+import { Sheet, SheetContent, SheetHeader, SheetTitle } from '@/components/ui/sheet';
+import { trackEvent } from '@/lib/analytics';
+
+import QuizCard from './QuizCard.jsx';
+import Sidebar from './Sidebar.jsx';
+import { EarTrainingQuiz } from './EarTrainingQuiz.js';
+import { QuizPlayer } from './QuizPlayer.js';
+import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
+
+const SETTINGS_KEYS = [
+  'earCategory',
+  'earDifficulty',
+  'earStats',
+  'settingsCollapsed',
+];
+
+export default function EarTrainingPage() {
+  const settings = useMemo(() => new SharedSettings(), []);
+  const v = useSharedSettingValues(settings, SETTINGS_KEYS);
+
+  const category = v.earCategory ?? 'intervals';
+  const difficulty = v.earDifficulty ?? 'beginner';
+  const stats = v.earStats;
+  const sidebarCollapsed = !!v.settingsCollapsed;
+
+  const quizRef = useRef(null);
+  const playerRef = useRef(null);
+  const [quizState, setQuizState] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+
+  useEffect(() => {
+    trackEvent('tool_open', { tool: 'ear-training' });
+    const quiz = new EarTrainingQuiz({
+      category: settings.get('earCategory'),
+      difficulty: settings.get('earDifficulty'),
+      stats: settings.get('earStats'),
+      onChange: setQuizState,
+      onStatsChange: (next) => settings.set('earStats', next),
+    });
+    quizRef.current = quiz;
+    setQuizState(quiz.getState());
+    const player = new QuizPlayer();
+    playerRef.current = player;
+    return () => {
+      quizRef.current = null;
+      player.dispose();
+      playerRef.current = null;
+    };
+  }, [settings]);
+
+  useEffect(() => {
+    quizRef.current?.setCategory(category);
+  }, [category]);
+
+  useEffect(() => {
+    quizRef.current?.setDifficulty(difficulty);
+  }, [difficulty]);
+
+  // Progress resets from the sidebar flow back into the scheduler
+  useEffect(() => {
+    quizRef.current?.setStats(stats ?? {});
+  }, [stats]);
+
+  // Ignore a play's completion if another play started meanwhile
+  const playStampRef = useRef(0);
+  const play = async (question) => {
+    const player = playerRef.current;
+    if (!player || !question) return;
+    const stamp = ++playStampRef.current;
+    setPlaying(true);
+    try {
+      await player.play(question.playback);
+    } catch (e) {
+      console.error('Failed to play question:', e);
+    } finally {
+      if (playStampRef.current === stamp) setPlaying(false);
+    }
+  };
+
+  const askNext = () => {
+    const quiz = quizRef.current;
+    if (!quiz) return;
+    // Unlock synchronously inside the click before anything awaits (iOS)
+    playerRef.current?.unlock();
+    play(quiz.next());
+  };
+
+  const handleStart = () => {
+    trackEvent('ear_training_start', { category, difficulty });
+    askNext();
+  };
+
+  const handleReplay = () => {
+    playerRef.current?.unlock();
+    play(quizRef.current?.question);
+  };
+
+  const handleAnswer = (key) => {
+    quizRef.current?.submit(key);
+  };
+
+  return (
+    <div className="relative flex h-full">
+      {sidebarCollapsed && (
+        <Button
+          variant="outline"
+          size="icon"
+          onClick={() => settings.set('settingsCollapsed', false)}
+          aria-label="Expand settings"
+          className="absolute right-3 top-3 z-10 hidden h-8 w-8 shadow-sm lg:inline-flex"
+        >
+          <ChevronsLeft className="h-4 w-4" />
+        </Button>
+      )}
+
+      {/* Mobile-only Settings button — opens the Sheet drawer */}
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => setSidebarOpen(true)}
+        aria-label="Open settings"
+        className="absolute right-3 top-3 z-10 gap-2 shadow-sm lg:hidden"
+      >
+        <Settings2 className="h-4 w-4" />
+        <span>Settings</span>
+      </Button>
+
+      {/* Main area — quiz card centered */}
+      <div className="no-scrollbar flex flex-1 min-w-0 flex-col items-center justify-center overflow-y-auto p-3 pt-14 sm:p-6 lg:pt-6">
+        <QuizCard
+          state={quizState}
+          playing={playing}
+          onCategoryChange={(id) => settings.set('earCategory', id)}
+          onStart={handleStart}
+          onReplay={handleReplay}
+          onAnswer={handleAnswer}
+          onNext={askNext}
+        />
+      </div>
+
+      {/* Desktop sidebar */}
+      {!sidebarCollapsed && (
+        <aside className="no-scrollbar hidden w-80 shrink-0 overflow-y-auto border-l bg-background lg:block">
+          <div className="flex justify-end px-2 pt-2">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => settings.set('settingsCollapsed', true)}
+              aria-label="Collapse settings"
+              className="text-muted-foreground hover:text-foreground"
+            >
+              <ChevronsRight className="h-4 w-4" />
+            </Button>
+          </div>
+          <div className="px-4 pb-4">
+            <Sidebar settings={settings} />
+          </div>
+        </aside>
+      )}
+
+      {/* Mobile settings drawer */}
+      <Sheet open={sidebarOpen} onOpenChange={setSidebarOpen}>
+        <SheetContent side="right" className="no-scrollbar w-full overflow-y-auto sm:max-w-md">
+          <SheetHeader>
+            <SheetTitle>Settings</SheetTitle>
+          </SheetHeader>
+          <div className="mt-4">
+            <Sidebar settings={settings} />
+          </div>
+        </SheetContent>
+      </Sheet>
+    </div>
+  );
+}
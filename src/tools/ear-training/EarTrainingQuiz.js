@@ -0,0 +1,155 @@
+/**
+ * EarTrainingQuiz — headless quiz session for the Ear Trainer.
+ *
+ * Asks one question at a time from the pool for the current category and
+ * difficulty. The item comes from the SpacedRepetition scheduler, and the
+ * root, key and interval direction are randomized by buildPlayback(). The
+ * page plays `question.playback`, the user answers with an item key, and the
+ * result feeds back into the scheduler.
+ *
+ * Per-item stats are shared across categories and difficulties and handed
+ * to onStatsChange for persistence. The session score (asked / correct) is
+ * in-memory only.
+ */
+
+import { CATEGORIES, DIFFICULTIES, buildPlayback, quizPool } from './quizItems.js';
+import { SpacedRepetition } from './SpacedRepetition.js';
+
+export class EarTrainingQuiz {
+  /**
+   * @param {object} options
+   * @param {string} options.category - 'intervals' | 'chords' | 'cadences' (default: 'intervals')
+   * @param {string} options.difficulty - 'beginner' | 'intermediate' | 'advanced' (default: 'beginner')
+   * @param {object} options.stats - Saved per-item stats (see SpacedRepetition)
+   * @param {function} options.onChange - Called with getState() after every change
+   * @param {function} options.onStatsChange - Called with the new stats object after each answer
+   * @param {function} options.random - Random source (default: Math.random)
+   * @param {function} options.now - Clock in ms (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.category = CATEGORIES.some((c) => c.id === options.category) ? options.category : 'intervals';
+    this.difficulty = DIFFICULTIES[options.difficulty] ? options.difficulty : 'beginner';
+    this.onChange = options.onChange || null;
+    this.onStatsChange = options.onStatsChange || null;
+    this.random = options.random || Math.random;
+    this.scheduler = new SpacedRepetition({
+      stats: options.stats,
+      random: this.random,
+      now: options.now,
+    });
+
+    this.pool = quizPool(this.category, this.difficulty);
+    this.question = null; // { item, playback }
+    this.answer = null;   // { key, correct } once answered
+    this.session = { asked: 0, correct: 0 };
+  }
+
+  /**
+   * @param {string} category - 'intervals' | 'chords' | 'cadences'
+   */
+  setCategory(category) {
+    if (category === this.category || !CATEGORIES.some((c) => c.id === category)) return;
+    this.category = category;
+    this._rebuildPool();
+  }
+
+  /**
+   * @param {string} difficulty - 'beginner' | 'intermediate' | 'advanced'
+   */
+  setDifficulty(difficulty) {
+    if (difficulty === this.difficulty || !DIFFICULTIES[difficulty]) return;
+    this.difficulty = difficulty;
+    this._rebuildPool();
+  }
+
+  /**
+   * Draw the next question
+   * @returns {object|null} The question ({ item, playback })
+   */
+  next() {
+    const id = this.scheduler.pick(this.pool.map((item) => item.id));
+    const item = this.pool.find((i) => i.id === id) ?? null;
+    this.question = item && { item, playback: buildPlayback(item, this.difficulty, this.random) };
+    this.answer = null;
+    this._emit();
+    return this.question;
+  }
+
+  /**
+   * Answer the current question with an item key ("P5", "m7", "I-V-vi-IV").
+   * Only the first answer to a question is scored.
+   * @returns {boolean|null} Whether it was right (null when not answerable)
+   */
+  submit(key) {
+    if (!this.question || this.answer) return null;
+    const correct = key === this.question.item.key;
+    this.answer = { key, correct };
+    this.session = {
+      asked: this.session.asked + 1,
+      correct: this.session.correct + (correct ? 1 : 0),
+    };
+    const stats = this.scheduler.record(this.question.item.id, correct);
+    this.onStatsChange?.(stats);
+    this._emit();
+    return correct;
+  }
+
+  /**
+   * Per-item rows for the current pool: { item, attempts, correct, box, accuracy }
+   */
+  getItemStats() {
+    return this.pool.map((item) => ({
+      item,
+      ...this.scheduler.get(item.id),
+      accuracy: this.scheduler.accuracy(item.id),
+    }));
+  }
+
+  /**
+   * Items in the current pool that need the most work (seen ones only)
+   * @param {number} limit
+   */
+  getWeakItems(limit = 3) {
+    const ids = this.scheduler.weakest(this.pool.map((i) => i.id)).slice(0, limit);
+    return ids.map((id) => this.pool.find((i) => i.id === id));
+  }
+
+  /**
+   * Replace the stats (e.g. after they were reset from the sidebar)
+   */
+  setStats(stats) {
+    if (stats === this.scheduler.stats) return;
+    this.scheduler.setStats(stats);
+    this._emit();
+  }
+
+  /**
+   * Snapshot for rendering
+   */
+  getState() {
+    return {
+      category: this.category,
+      difficulty: this.difficulty,
+      pool: this.pool,
+      question: this.question,
+      answer: this.answer,
+      session: this.session,
+      weak: this.getWeakItems(),
+    };
+  }
+
+  // ────────────────────────────────────────────────────────────────────
+  // Internals
+  // ────────────────────────────────────────────────────────────────────
+
+  _rebuildPool() {
+    this.pool = quizPool(this.category, this.difficulty);
+    this.question = null;
+    this.answer = null;
+    this._emit();
+  }
+
+  _emit() {
+    this.onChange?.(this.getState());
+  }
+}
@@ -0,0 +1,159 @@
+import { Check, Play, RotateCcw, SkipForward, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils';
+
+import { CATEGORIES } from './quizItems.js';
+
+const PROMPTS = {
+  intervals: 'Which interval was that?',
+  chords: 'Which chord quality was that?',
+  cadences: 'Which progression was that?',
+};
+
+/**
+ * The quiz itself: category tabs, play/replay, answer buttons and feedback.
+ * All state lives in EarTrainingQuiz; this only renders its snapshot.
+ */
+export default function QuizCard({ state, playing, onCategoryChange, onStart, onReplay, onAnswer, onNext }) {
+  const { category, pool = [], question, answer, session, weak = [] } = state ?? {};
+
+  return (
+    <div className="flex w-full max-w-xl flex-col gap-4 rounded-lg border bg-card/40 p-4 sm:p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <CategoryToggle value={category ?? 'intervals'} onChange={onCategoryChange} />
+        {session?.asked > 0 && (
+          <span className="font-mono text-xs tabular-nums text-muted-foreground">
+            {session.correct}/{session.asked} this session
+          </span>
+        )}
+      </div>
+
+      {!question ? (
+        <div className="flex flex-col items-center gap-3 py-6 text-center">
+          <p className="text-sm text-muted-foreground">
+            Listen, then pick the answer. Items you miss come back sooner.
+          </p>
+          <Button type="button" size="lg" onClick={onStart} className="gap-2">
+            <Play className="h-4 w-4" />
+            Start
+          </Button>
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <div className="text-sm font-semibold">{PROMPTS[category]}</div>
+              {question.playback.kind === 'interval' && (
+                <div className="text-[11px] capitalize text-muted-foreground">
+                  {question.playback.mode}
+                </div>
+              )}
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={onReplay}
+              disabled={playing}
+              className="gap-1.5"
+            >
+              <RotateCcw className="h-3.5 w-3.5" />
+              Replay
+            </Button>
+          </div>
+
+          <div
+            className={cn(
+              'grid gap-2',
+              category === 'cadences' ? 'grid-cols-1 sm:grid-cols-2' : 'grid-cols-3 sm:grid-cols-4'
+            )}
+          >
+            {pool.map((item) => (
+              <AnswerButton
+                key={item.id}
+                item={item}
+                answer={answer}
+                isAnswer={item.key === question.item.key}
+                onClick={() => onAnswer(item.key)}
+              />
+            ))}
+          </div>
+
+          <div className="flex min-h-9 items-center justify-between gap-3">
+            {answer ? (
+              <span
+                className={cn(
+                  'inline-flex items-center gap-1.5 text-sm font-semibold',
+                  answer.correct ? 'text-emerald-400' : 'text-destructive'
+                )}
+                data-testid="quiz-verdict"
+              >
+                {answer.correct ? <Check className="h-4 w-4" /> : <X className="h-4 w-4" />}
+                {answer.correct ? 'Correct' : `It was ${question.item.name}`}
+              </span>
+            ) : (
+              <span className="text-xs text-muted-foreground">{playing && 'Listen…'}</span>
+            )}
+            {answer && (
+              <Button type="button" size="sm" onClick={onNext} className="gap-1.5">
+                <SkipForward className="h-3.5 w-3.5" />
+                Next
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+
+      {weak.length > 0 && (
+        <div className="text-[11px] text-muted-foreground">
+          Needs work: {weak.map((item) => item.label).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AnswerButton({ item, answer, isAnswer, onClick }) {
+  const chosen = answer?.key === item.key;
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!!answer}
+      title={item.name}
+      className={cn(
+        'flex flex-col items-center justify-center rounded-md border px-2 py-2 text-sm font-semibold transition-colors',
+        !answer && 'bg-background/60 hover:bg-accent',
+        answer && isAnswer && 'border-emerald-500 bg-emerald-500/15 text-emerald-400',
+        answer && chosen && !isAnswer && 'border-destructive bg-destructive/10 text-destructive',
+        answer && !chosen && !isAnswer && 'opacity-50'
+      )}
+    >
+      <span className="font-mono">{item.label}</span>
+      {item.numerals && <span className="text-[10px] font-normal text-muted-foreground">{item.name}</span>}
+    </button>
+  );
+}
+
+function CategoryToggle({ value, onChange }) {
+  return (
+    <div className="flex rounded-md border bg-background/60 p-0.5">
+      {CATEGORIES.map((c) => (
+        <button
+          key={c.id}
+          type="button"
+          onClick={() => onChange(c.id)}
+          className={cn(
+            'rounded px-2.5 py-1 text-[11px] font-mono uppercase tracking-wider transition-colors',
+            value === c.id
+              ? 'bg-primary text-primary-foreground'
+              : 'text-muted-foreground hover:text-foreground'
+          )}
+        >
+          {c.label}
+        </button>
+      ))}
+    </div>
+  );
+}
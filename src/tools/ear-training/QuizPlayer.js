@@ -0,0 +1,60 @@
+/**
+ * QuizPlayer — plays ear-training questions through the existing synths.
+ *
+ * Intervals go through the Vocal Monitor's DroneManager (pure reference
+ * tones, so the interval isn't coloured by chord voicing). Chords and
+ * cadences go through the Circle of Fifths' ChordSynth, whose recipes the
+ * chord qualities are defined against.
+ */
+
+import { DroneManager } from '@/core';
+import { FrequencyConverter } from '@/pitch-engine';
+import { ChordSynth } from '../circle-of-fifths/ChordSynth.js';
+
+const NOTE_SECONDS = 0.8;
+const HARMONIC_SECONDS = 1.4;
+const CADENCE_SECONDS_PER_CHORD = 0.9;
+
+export class QuizPlayer {
+  constructor() {
+    this.synth = new ChordSynth();
+    this.drone = new DroneManager();
+  }
+
+  /**
+   * iOS-safe unlock; call synchronously inside the user gesture
+   */
+  unlock() {
+    this.synth.unlock();
+    this.drone.initialize();
+  }
+
+  /**
+   * Play a question's playback (see buildPlayback). Resolves when done.
+   */
+  async play(playback) {
+    this.stop();
+    if (playback.kind === 'chord') {
+      return this.synth.playChord(playback.chord, { voicing: playback.voicing, articulation: 'block' });
+    }
+    if (playback.kind === 'progression') {
+      return this.synth.playProgression(playback.chords, { secondsPerChord: CADENCE_SECONDS_PER_CHORD });
+    }
+
+    const frequencies = playback.midiNotes.map((m) => FrequencyConverter.midiToFrequency(m));
+    if (playback.mode === 'harmonic') {
+      return Promise.all(frequencies.map((f) => this.drone.playTone(f, HARMONIC_SECONDS)));
+    }
+    return this.drone.playSequence(frequencies.map((frequency) => ({ frequency, duration: NOTE_SECONDS })));
+  }
+
+  stop() {
+    this.synth.stop();
+    this.drone.stopTones();
+  }
+
+  dispose() {
+    this.synth.dispose();
+    this.drone.dispose();
+  }
+}
@@ -0,0 +1,126 @@
+import { RotateCcw } from 'lucide-react';
+
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { cn } from '@/lib/utils';
+
+import { DIFFICULTIES, quizPool } from './quizItems.js';
+import { MAX_BOX } from './SpacedRepetition.js';
+import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
+
+const KEYS = ['earCategory', 'earDifficulty', 'earStats'];
+
+const DIFFICULTY_HINTS = {
+  beginner: 'Wide, consonant intervals going up; major vs minor; major-key progressions in C.',
+  intermediate: 'Adds minor seconds and sixths, descending intervals, dim/aug triads and random keys.',
+  advanced: 'Every interval (also played together), seventh chords and minor-key progressions.',
+};
+
+export default function Sidebar({ settings }) {
+  const v = useSharedSettingValues(settings, KEYS);
+  const category = v.earCategory ?? 'intervals';
+  const difficulty = v.earDifficulty ?? 'beginner';
+  const stats = v.earStats ?? {};
+  const rows = quizPool(category, difficulty).map((item) => ({ item, ...stats[item.id] }));
+  const anyAttempts = Object.values(stats).some((s) => s.attempts > 0);
+
+  return (
+    <div className="flex flex-col gap-3 p-1">
+      <Section title="Quiz">
+        <Field label="Difficulty" hint={DIFFICULTY_HINTS[difficulty]}>
+          <Select
+            value={difficulty}
+            onValueChange={(val) => settings.set('earDifficulty', val)}
+          >
+            <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {Object.entries(DIFFICULTIES).map(([id, d]) => (
+                <SelectItem key={id} value={id}>{d.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </Field>
+      </Section>
+
+      <Separator />
+
+      <Section title="Progress">
+        <div className="flex flex-col gap-0.5 text-xs">
+          {rows.map(({ item, attempts = 0, correct = 0, box = 0 }) => (
+            <div key={item.id} className="flex items-center justify-between gap-2">
+              <span className="truncate" title={item.name}>
+                {item.numerals ? item.label : item.name}
+              </span>
+              <span className="flex shrink-0 items-center gap-2">
+                <span className="font-mono tabular-nums text-muted-foreground">
+                  {attempts === 0 ? '—' : `${correct}/${attempts}`}
+                </span>
+                <BoxMeter box={attempts === 0 ? -1 : box} />
+              </span>
+            </div>
+          ))}
+        </div>
+        <p className="text-[11px] leading-snug text-muted-foreground">
+          Dots fill as an item is answered right in a row; a miss empties them and brings it back sooner.
+        </p>
+        {anyAttempts && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => settings.set('earStats', {})}
+            className="h-7 gap-1.5 px-2 text-xs text-muted-foreground"
+          >
+            <RotateCcw className="h-3.5 w-3.5" />
+            Reset progress
+          </Button>
+        )}
+      </Section>
+    </div>
+  );
+}
+
+function BoxMeter({ box }) {
+  return (
+    <span className="flex gap-0.5" aria-label={box < 0 ? 'Not practiced' : `Level ${box} of ${MAX_BOX}`}>
+      {Array.from({ length: MAX_BOX }, (_, i) => (
+        <span
+          key={i}
+          className={cn(
+            'h-1.5 w-1.5 rounded-full',
+            i < box ? 'bg-primary' : 'bg-muted-foreground/25'
+          )}
+        />
+      ))}
+    </span>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div className="space-y-1.5">
+      <h3 className="text-[11px] font-semibold uppercase tracking-wider text-muted-foreground">
+        {title}
+      </h3>
+      <div className="space-y-1.5">{children}</div>
+    </div>
+  );
+}
+
+function Field({ label, hint, children }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs">{label}</Label>
+      {children}
+      {hint && <p className="text-[11px] leading-snug text-muted-foreground">{hint}</p>}
+    </div>
+  );
+}
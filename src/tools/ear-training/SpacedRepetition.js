@@ -0,0 +1,130 @@
+/**
+ * SpacedRepetition — Leitner-box scheduler for ear-training items.
+ *
+ * Every item sits in a box 0..5. A right answer moves it up one box and
+ * pushes its next review out by that box's interval; a wrong answer drops it
+ * back to box 0, due immediately. Unseen items start in box 0.
+ *
+ * pick() prefers items that are due, and among those the lowest box — so a
+ * missed interval keeps coming back until it's answered right a few times,
+ * while well-known ones only surface every few hours or days. The last few
+ * picks are held back (when the pool allows) so a missed item doesn't come
+ * straight back as the very next question.
+ *
+ * Stats are plain JSON ({ [id]: { attempts, correct, box, due } }) so the
+ * page can persist them in SharedSettings. Every update produces a new
+ * object; the previous one is never mutated.
+ */
+
+// Review delay per box, in ms. Box 0 is "as soon as possible".
+export const BOX_INTERVALS_MS = [
+  0,
+  60 * 1000,               // 1 min
+  10 * 60 * 1000,          // 10 min
+  60 * 60 * 1000,          // 1 h
+  24 * 60 * 60 * 1000,     // 1 day
+  4 * 24 * 60 * 60 * 1000, // 4 days
+];
+
+export const MAX_BOX = BOX_INTERVALS_MS.length - 1;
+
+const EMPTY = { attempts: 0, correct: 0, box: 0, due: 0 };
+
+export class SpacedRepetition {
+  /**
+   * @param {object} options
+   * @param {object} options.stats - Saved stats { [id]: { attempts, correct, box, due } }
+   * @param {number} options.spacing - Recent picks held back (default: 2)
+   * @param {function} options.random - Random source (default: Math.random)
+   * @param {function} options.now - Clock in ms (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.stats = options.stats ?? {};
+    this.spacing = options.spacing ?? 2;
+    this.random = options.random || Math.random;
+    this.now = options.now || (() => Date.now());
+    this.recent = [];
+  }
+
+  /**
+   * Stats for one item (zeros when unseen)
+   */
+  get(id) {
+    return { ...EMPTY, ...this.stats[id] };
+  }
+
+  /**
+   * Accuracy of an item, or null before its first attempt
+   */
+  accuracy(id) {
+    const { attempts, correct } = this.get(id);
+    return attempts > 0 ? correct / attempts : null;
+  }
+
+  /**
+   * Choose the next item to ask
+   * @param {string[]} ids - Item ids in the current pool
+   * @returns {string|null}
+   */
+  pick(ids) {
+    if (ids.length === 0) return null;
+    const hold = Math.min(this.spacing, ids.length - 1);
+    const held = new Set(hold > 0 ? this.recent.slice(-hold) : []);
+    const candidates = ids.filter((id) => !held.has(id));
+
+    const now = this.now();
+    const due = candidates.filter((id) => this.get(id).due <= now);
+
+    let choices;
+    if (due.length > 0) {
+      const lowest = Math.min(...due.map((id) => this.get(id).box));
+      choices = due.filter((id) => this.get(id).box === lowest);
+    } else {
+      // Nothing due: review whatever comes due first
+      const soonest = Math.min(...candidates.map((id) => this.get(id).due));
+      choices = candidates.filter((id) => this.get(id).due === soonest);
+    }
+
+    const id = choices[Math.floor(this.random() * choices.length)];
+    this.recent.push(id);
+    if (this.recent.length > 8) this.recent.shift();
+    return id;
+  }
+
+  /**
+   * Record an answer and reschedule the item
+   * @returns {object} The new stats object
+   */
+  record(id, correct) {
+    const prev = this.get(id);
+    const box = correct ? Math.min(prev.box + 1, MAX_BOX) : 0;
+    this.stats = {
+      ...this.stats,
+      [id]: {
+        attempts: prev.attempts + 1,
+        correct: prev.correct + (correct ? 1 : 0),
+        box,
+        due: this.now() + BOX_INTERVALS_MS[box],
+      },
+    };
+    return this.stats;
+  }
+
+  /**
+   * Weakest items first: lowest box, then lowest accuracy. Unseen items are
+   * left out.
+   * @param {string[]} ids
+   */
+  weakest(ids) {
+    return ids
+      .filter((id) => this.get(id).attempts > 0)
+      .sort((a, b) => this.get(a).box - this.get(b).box || this.accuracy(a) - this.accuracy(b));
+  }
+
+  /**
+   * Replace the stats (e.g. after a reset from the sidebar)
+   */
+  setStats(stats) {
+    this.stats = stats ?? {};
+  }
+}
@@ -0,0 +1,217 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { CADENCES, DIFFICULTIES, buildPlayback, quizPool } from '../quizItems.js';
+import { BOX_INTERVALS_MS, MAX_BOX, SpacedRepetition } from '../SpacedRepetition.js';
+import { EarTrainingQuiz } from '../EarTrainingQuiz.js';
+import { CHORD_RECIPES } from '../../circle-of-fifths/musicTheory.js';
+
+/** Deterministic random source cycling through the given values */
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+describe('quizItems', () => {
+  it('grows the pool with difficulty', () => {
+    for (const category of ['intervals', 'chords', 'cadences']) {
+      const sizes = Object.keys(DIFFICULTIES).map((d) => quizPool(category, d).length);
+      expect(sizes[0]).toBeGreaterThan(1);
+      expect(sizes[1]).toBeGreaterThanOrEqual(sizes[0]);
+      expect(sizes[2]).toBeGreaterThan(sizes[0]);
+    }
+    expect(quizPool('intervals', 'advanced')).toHaveLength(12);
+  });
+
+  it('namespaces stats ids by category', () => {
+    expect(quizPool('intervals', 'beginner')[0]).toMatchObject({ id: 'interval:M2', key: 'M2' });
+    expect(quizPool('chords', 'beginner').map((c) => c.id)).toEqual(['chord:major', 'chord:minor']);
+  });
+
+  it('defines chord qualities against ChordSynth recipes', () => {
+    for (const chord of quizPool('chords', 'advanced')) {
+      expect(CHORD_RECIPES[chord.type][chord.voicing]).toBeDefined();
+    }
+  });
+
+  it('takes distinct diatonic 4-chord cadences from the progression library', () => {
+    const ids = CADENCES.map((c) => c.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toContain('I-V-vi-IV');
+    expect(ids).toContain('i-VII-VI-V');
+    // Phrygian ♭II and "(plays in relative minor)" numerals aren't diatonic
+    expect(CADENCES.some((c) => c.numerals.includes('II'))).toBe(false);
+    expect(CADENCES.find((c) => c.id === 'I-V-vi-IV').name).toBe('Axis of awesome');
+  });
+
+  it('builds playback for every kind of item', () => {
+    const [P5] = quizPool('intervals', 'advanced').filter((i) => i.key === 'P5');
+    expect(buildPlayback(P5, 'beginner', () => 0)).toEqual({
+      kind: 'interval', mode: 'ascending', midiNotes: [48, 55],
+    });
+    // random 0.5 → root F#, second draw picks 'descending' of [asc, desc, harmonic]
+    expect(buildPlayback(P5, 'advanced', () => 0.5)).toEqual({
+      kind: 'interval', mode: 'descending', midiNotes: [61, 54],
+    });
+
+    const m7 = quizPool('chords', 'advanced').find((c) => c.key === 'm7');
+    expect(buildPlayback(m7, 'advanced', () => 0.25)).toEqual({
+      kind: 'chord', chord: { semitones: 3, type: 'minor' }, voicing: 'seventh',
+    });
+
+    const axis = quizPool('cadences', 'beginner').find((c) => c.key === 'I-V-vi-IV');
+    const fixed = buildPlayback(axis, 'beginner', () => 0.5);
+    expect(fixed.chords.map((c) => c.name)).toEqual(['C', 'G', 'Am', 'F']);
+    const moved = buildPlayback(axis, 'advanced', () => 2 / 12);
+    expect(moved.chords.map((c) => c.name)).toEqual(['D', 'A', 'Bm', 'G']);
+  });
+});
+
+describe('SpacedRepetition', () => {
+  function scheduler(options = {}) {
+    let clock = 1_000_000;
+    const srs = new SpacedRepetition({ random: () => 0, now: () => clock, ...options });
+    return { srs, tick: (ms) => { clock += ms; }, now: () => clock };
+  }
+
+  it('moves right answers up a box and schedules them further out', () => {
+    const { srs, now } = scheduler();
+    srs.record('a', true);
+    expect(srs.get('a')).toEqual({ attempts: 1, correct: 1, box: 1, due: now() + BOX_INTERVALS_MS[1] });
+    srs.record('a', true);
+    expect(srs.get('a').box).toBe(2);
+
+    for (let i = 0; i < 10; i++) srs.record('a', true);
+    expect(srs.get('a').box).toBe(MAX_BOX);
+  });
+
+  it('drops a missed item back to box 0, due now', () => {
+    const { srs, now } = scheduler();
+    srs.record('a', true);
+    srs.record('a', true);
+    srs.record('a', false);
+    expect(srs.get('a')).toEqual({ attempts: 3, correct: 2, box: 0, due: now() });
+    expect(srs.accuracy('a')).toBeCloseTo(2 / 3);
+  });
+
+  it('never mutates the stats it was given', () => {
+    const stats = { a: { attempts: 1, correct: 1, box: 1, due: 0 } };
+    const { srs } = scheduler({ stats });
+    const next = srs.record('a', false);
+    expect(next).not.toBe(stats);
+    expect(stats.a.box).toBe(1);
+  });
+
+  it('asks missed items before ones that are known', () => {
+    const { srs, tick } = scheduler({ spacing: 0 });
+    srs.record('known', true);
+    srs.record('missed', false);
+    tick(BOX_INTERVALS_MS[1]); // 'known' is due again too, but in a higher box
+    expect(srs.pick(['known', 'missed'])).toBe('missed');
+  });
+
+  it('keeps items that are not due out of the way', () => {
+    const { srs, tick } = scheduler({ spacing: 0 });
+    srs.record('a', true);
+    srs.record('b', true);
+    srs.record('b', true);
+    expect(srs.pick(['a', 'b', 'c'])).toBe('c'); // unseen → due
+
+    // Nothing due: the soonest review goes first
+    expect(srs.pick(['a', 'b'])).toBe('a');
+    tick(BOX_INTERVALS_MS[2]);
+    expect(srs.pick(['a', 'b'])).toBe('a');
+  });
+
+  it('holds back recent picks so a miss does not repeat straight away', () => {
+    const { srs } = scheduler();
+    const ids = ['a', 'b', 'c', 'd'];
+    const first = srs.pick(ids);
+    srs.record(first, false);
+    const next = [srs.pick(ids), srs.pick(ids)];
+    expect(next).not.toContain(first);
+    expect(srs.pick(ids)).toBe(first);
+  });
+
+  it('orders seen items weakest first', () => {
+    const { srs } = scheduler();
+    srs.record('a', true);
+    srs.record('a', true);
+    srs.record('b', true);
+    srs.record('c', true);
+    srs.record('c', false);
+    expect(srs.weakest(['a', 'b', 'c', 'unseen'])).toEqual(['c', 'b', 'a']);
+  });
+});
+
+describe('EarTrainingQuiz', () => {
+  function quiz(options = {}) {
+    const onChange = vi.fn();
+    const onStatsChange = vi.fn();
+    const q = new EarTrainingQuiz({ random: sequence(0), now: () => 0, onChange, onStatsChange, ...options });
+    return { q, onChange, onStatsChange };
+  }
+
+  it('asks an item from the current pool and scores the first answer', () => {
+    const { q, onStatsChange } = quiz();
+    const question = q.next();
+    expect(question.item.id).toBe('interval:M2');
+    expect(question.playback.kind).toBe('interval');
+
+    expect(q.submit('P5')).toBe(false);
+    expect(q.submit('M2')).toBeNull(); // already answered
+    expect(q.getState()).toMatchObject({
+      answer: { key: 'P5', correct: false },
+      session: { asked: 1, correct: 0 },
+    });
+    expect(onStatsChange).toHaveBeenCalledWith({
+      'interval:M2': { attempts: 1, correct: 0, box: 0, due: 0 },
+    });
+  });
+
+  it('brings a missed item back once the spacing allows', () => {
+    const { q } = quiz();
+    const missed = q.next().item.key;
+    q.submit('wrong');
+    const asked = [];
+    for (let i = 0; i < 3; i++) {
+      const { item } = q.next();
+      asked.push(item.key);
+      q.submit(item.key);
+    }
+    expect(asked.slice(0, 2)).not.toContain(missed);
+    expect(asked[2]).toBe(missed);
+  });
+
+  it('rebuilds the pool on category and difficulty changes', () => {
+    const { q } = quiz();
+    q.next();
+    q.setCategory('chords');
+    expect(q.getState()).toMatchObject({ category: 'chords', question: null });
+    expect(q.pool.map((i) => i.key)).toEqual(['major', 'minor']);
+
+    q.setDifficulty('advanced');
+    expect(q.pool).toHaveLength(8);
+    const { playback } = q.next();
+    expect(playback.kind).toBe('chord');
+  });
+
+  it('reports per-item progress and weak items', () => {
+    const { q } = quiz({
+      stats: {
+        'interval:P5': { attempts: 4, correct: 1, box: 0, due: 0 },
+        'interval:P8': { attempts: 2, correct: 2, box: 2, due: 0 },
+      },
+    });
+    const rows = q.getItemStats();
+    expect(rows).toHaveLength(5);
+    expect(rows.find((r) => r.item.key === 'P5')).toMatchObject({ attempts: 4, accuracy: 0.25 });
+    expect(q.getWeakItems().map((i) => i.key)).toEqual(['P5', 'P8']);
+  });
+
+  it('accepts external stats resets', () => {
+    const { q, onChange } = quiz({ stats: { 'interval:P5': { attempts: 4, correct: 1, box: 0, due: 0 } } });
+    q.setStats({});
+    expect(q.getItemStats().every((r) => r.attempts === 0)).toBe(true);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ weak: [] }));
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { QuizPlayer } from '../QuizPlayer.js';
+
+/** An AudioContext that records every oscillator's start and stop times */
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.destination = {};
+    this.oscillators = [];
+    FakeAudioContext.last = this;
+  }
+  createGain() {
+    const param = { value: 1, setValueAtTime() {}, linearRampToValueAtTime() {}, cancelScheduledValues() {} };
+    return { gain: param, connect() {} };
+  }
+  createOscillator() {
+    const osc = {
+      frequency: {},
+      connect() {},
+      start(when) { osc.startAt = when; },
+      // The last stop() wins, as in Web Audio
+      stop(when) { osc.stopAt = when; },
+    };
+    this.oscillators.push(osc);
+    return osc;
+  }
+  close() { return Promise.resolve(); }
+}
+
+describe('QuizPlayer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('AudioContext', FakeAudioContext);
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('cuts off a melodic interval when the next question plays', () => {
+    const player = new QuizPlayer();
+    player.play({ kind: 'interval', mode: 'melodic', midiNotes: [60, 67] });
+    const ctx = FakeAudioContext.last;
+    const first = [...ctx.oscillators];
+    // Two notes, three partials each; the second note is scheduled ahead
+    expect(first).toHaveLength(6);
+    expect(Math.max(...first.map((o) => o.startAt))).toBeGreaterThan(0.8);
+
+    ctx.currentTime = 0.3;
+    player.play({ kind: 'interval', mode: 'harmonic', midiNotes: [62, 66] });
+    for (const osc of first) expect(osc.stopAt).toBeLessThan(0.4);
+    // The new question's tones play out in full
+    const second = ctx.oscillators.slice(first.length);
+    expect(second).toHaveLength(6);
+    for (const osc of second) expect(osc.stopAt).toBeCloseTo(1.7, 6);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Quiz item catalogue for the Ear Trainer.
+ *
+ * An item is one thing the user learns to recognize — an interval, a chord
+ * quality or a cadence — independent of the key it's played in. Spaced-
+ * repetition stats are kept per item id ("interval:P5", "chord:m7",
+ * "cadence:I-IV-V-V"), so a P5 from C and a P5 from A# count as the same card.
+ *
+ * Chord qualities map straight onto the Circle of Fifths' CHORD_RECIPES
+ * (type + triad/seventh voicing) so ChordSynth can play them unchanged.
+ * Cadences are the distinct short progressions of the PROGRESSIONS library.
+ */
+
+import {
+  MAJOR_DEGREES,
+  MINOR_DEGREES,
+  progressionToChords,
+} from '../circle-of-fifths/musicTheory.js';
+import { PROGRESSIONS } from '../circle-of-fifths/progressions.js';
+
+export const CATEGORIES = [
+  { id: 'intervals', label: 'Intervals' },
+  { id: 'chords', label: 'Chords' },
+  { id: 'cadences', label: 'Cadences' },
+];
+
+export const INTERVALS = [
+  { id: 'm2', semitones: 1,  label: 'm2', name: 'Minor 2nd' },
+  { id: 'M2', semitones: 2,  label: 'M2', name: 'Major 2nd' },
+  { id: 'm3', semitones: 3,  label: 'm3', name: 'Minor 3rd' },
+  { id: 'M3', semitones: 4,  label: 'M3', name: 'Major 3rd' },
+  { id: 'P4', semitones: 5,  label: 'P4', name: 'Perfect 4th' },
+  { id: 'TT', semitones: 6,  label: 'TT', name: 'Tritone' },
+  { id: 'P5', semitones: 7,  label: 'P5', name: 'Perfect 5th' },
+  { id: 'm6', semitones: 8,  label: 'm6', name: 'Minor 6th' },
+  { id: 'M6', semitones: 9,  label: 'M6', name: 'Major 6th' },
+  { id: 'm7', semitones: 10, label: 'm7', name: 'Minor 7th' },
+  { id: 'M7', semitones: 11, label: 'M7', name: 'Major 7th' },
+  { id: 'P8', semitones: 12, label: 'P8', name: 'Octave' },
+];
+
+// `type` + `voicing` select the CHORD_RECIPES entry ChordSynth plays.
+export const CHORD_QUALITIES = [
+  { id: 'major', type: 'major', voicing: 'triad',   label: 'Major', name: 'Major triad' },
+  { id: 'minor', type: 'minor', voicing: 'triad',   label: 'Minor', name: 'Minor triad' },
+  { id: 'dim',   type: 'dim',   voicing: 'triad',   label: 'Dim',   name: 'Diminished triad' },
+  { id: 'aug',   type: 'aug',   voicing: 'triad',   label: 'Aug',   name: 'Augmented triad' },
+  { id: 'maj7',  type: 'major', voicing: 'seventh', label: 'Maj7',  name: 'Major 7th chord' },
+  { id: 'm7',    type: 'minor', voicing: 'seventh', label: 'm7',    name: 'Minor 7th chord' },
+  { id: 'dom7',  type: 'dom',   voicing: 'seventh', label: '7',     name: 'Dominant 7th chord' },
+  { id: 'dim7',  type: 'dim',   voicing: 'seventh', label: 'Dim7',  name: 'Diminished 7th chord' },
+];
+
+/**
+ * Difficulty presets. Each narrows the item pool and the ways an item can
+ * be played:
+ *   intervals      — interval ids in the pool
+ *   intervalModes  — 'ascending' | 'descending' | 'harmonic'
+ *   chords         — chord quality ids in the pool
+ *   cadenceModes   — which progression modes are asked
+ *   randomKey      — transpose cadences to a random key (else C / A minor)
+ */
+export const DIFFICULTIES = {
+  beginner: {
+    label: 'Beginner',
+    intervals: ['M2', 'M3', 'P4', 'P5', 'P8'],
+    intervalModes: ['ascending'],
+    chords: ['major', 'minor'],
+    cadenceModes: ['major'],
+    randomKey: false,
+  },
+  intermediate: {
+    label: 'Intermediate',
+    intervals: ['m2', 'M2', 'm3', 'M3', 'P4', 'P5', 'm6', 'M6', 'P8'],
+    intervalModes: ['ascending', 'descending'],
+    chords: ['major', 'minor', 'dim', 'aug'],
+    cadenceModes: ['major'],
+    randomKey: true,
+  },
+  advanced: {
+    label: 'Advanced',
+    intervals: INTERVALS.map((i) => i.id),
+    intervalModes: ['ascending', 'descending', 'harmonic'],
+    chords: CHORD_QUALITIES.map((c) => c.id),
+    cadenceModes: ['major', 'minor'],
+    randomKey: true,
+  },
+};
+
+// Lowest root for intervals and chords (C3); roots are drawn from the octave
+// above so every question sits in a comfortable listening range.
+const ROOT_MIDI_LOW = 48;
+
+/**
+ * Cadences: 4-chord progressions from PROGRESSIONS built only from the
+ * diatonic triads of their mode, de-duplicated by numerals (several genres
+ * share "I V vi IV"). The first progression's name labels the cadence.
+ */
+export const CADENCES = buildCadences();
+
+function buildCadences() {
+  const seen = new Map();
+  for (const p of PROGRESSIONS) {
+    if (p.bars !== 4) continue;
+    const table = p.mode === 'minor' ? MINOR_DEGREES : MAJOR_DEGREES;
+    if (!p.numerals.every((n) => table.some((d) => d.numeral === n))) continue;
+    const id = p.numerals.join('-');
+    if (seen.has(id)) continue;
+    seen.set(id, {
+      id,
+      mode: p.mode,
+      numerals: p.numerals,
+      label: p.numerals.join('–'),
+      name: p.name,
+    });
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Items in a category at a difficulty, as { id, key, label, name, ... }
+ * where `id` is the namespaced stats id and `key` the catalogue id.
+ */
+export function quizPool(category, difficulty) {
+  const preset = DIFFICULTIES[difficulty] ?? DIFFICULTIES.beginner;
+  if (category === 'chords') {
+    return CHORD_QUALITIES
+      .filter((c) => preset.chords.includes(c.id))
+      .map((c) => ({ ...c, key: c.id, id: `chord:${c.id}` }));
+  }
+  if (category === 'cadences') {
+    return CADENCES
+      .filter((c) => preset.cadenceModes.includes(c.mode))
+      .map((c) => ({ ...c, key: c.id, id: `cadence:${c.id}` }));
+  }
+  return INTERVALS
+    .filter((i) => preset.intervals.includes(i.id))
+    .map((i) => ({ ...i, key: i.id, id: `interval:${i.id}` }));
+}
+
+/**
+ * Turn an item into something playable. `random` picks the root / key and,
+ * for intervals, the direction allowed by the difficulty.
+ * Returns one of:
+ *   { kind: 'interval', mode, midiNotes: [low, high] or [high, low] }
+ *   { kind: 'chord', chord: { semitones, type }, voicing }
+ *   { kind: 'progression', chords: [chord descriptors] }
+ */
+export function buildPlayback(item, difficulty, random = Math.random) {
+  const preset = DIFFICULTIES[difficulty] ?? DIFFICULTIES.beginner;
+  const root = Math.floor(random() * 12);
+
+  if (item.id.startsWith('chord:')) {
+    return { kind: 'chord', chord: { semitones: root, type: item.type }, voicing: item.voicing };
+  }
+
+  if (item.id.startsWith('cadence:')) {
+    const major = preset.randomKey ? root : 0;
+    const tonic = item.mode === 'minor' ? (major + 9) % 12 : major;
+    return {
+      kind: 'progression',
+      chords: progressionToChords(item.numerals, tonic, 'sharp', item.mode),
+    };
+  }
+
+  const modes = preset.intervalModes;
+  const mode = modes[Math.floor(random() * modes.length)];
+  const low = ROOT_MIDI_LOW + root;
+  const high = low + item.semitones;
+  return {
+    kind: 'interval',
+    mode,
+    midiNotes: mode === 'descending' ? [high, low] : [low, high],
+  };
+}
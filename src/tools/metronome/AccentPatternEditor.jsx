@@ -0,0 +1,61 @@
+const BEAT_KIND_CYCLE = ['regular', 'accent', 'silent'];
+
+const SUBDIVISION_LABELS = {
+  2: ['', '&'],
+  3: ['', '·', '·'],
+  4: ['', 'e', '&', 'a'],
+  6: ['', '·', '·', '·', '·', '·'],
+};
+
+/**
+ * One button per accent-pattern cell (beatsPerBar × subdivision); tapping a
+ * cell cycles regular → accent → silent. Shared by the sidebar and the song
+ * editor's sections.
+ */
+export default function AccentPatternEditor({ pattern, beatsPerBar, subdivision, onChange }) {
+  const toggleCell = (idx) => {
+    const next = [...pattern];
+    const cur = next[idx] ?? 'regular';
+    next[idx] = BEAT_KIND_CYCLE[(BEAT_KIND_CYCLE.indexOf(cur) + 1) % BEAT_KIND_CYCLE.length];
+    onChange(next);
+  };
+
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {Array.from({ length: beatsPerBar }, (_, beatIdx) => (
+        <div key={beatIdx} className="flex gap-0.5">
+          {Array.from({ length: subdivision }, (_, subIdx) => {
+            const i = beatIdx * subdivision + subIdx;
+            const kind = pattern[i] ?? 'regular';
+            const label = subdivisionLabel(beatIdx, subIdx, subdivision);
+            return (
+              <button
+                key={subIdx}
+                type="button"
+                onClick={() => toggleCell(i)}
+                className={`h-8 min-w-7 rounded-md border px-1.5 text-[11px] font-mono ${beatButtonClass(kind, subIdx === 0)}`}
+                aria-label={`Beat ${beatIdx + 1}${subIdx === 0 ? '' : ` sub ${subIdx + 1}`} (${kind})`}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function subdivisionLabel(beatIdx, subIdx, subdivision) {
+  if (subIdx === 0) return String(beatIdx + 1);
+  const labels = SUBDIVISION_LABELS[subdivision];
+  return labels?.[subIdx] ?? '·';
+}
+
+function beatButtonClass(kind, isMain) {
+  if (kind === 'accent') return 'border-primary bg-primary/15 text-primary font-bold';
+  if (kind === 'silent') return 'border-dashed text-muted-foreground line-through opacity-60';
+  return isMain
+    ? 'border-input bg-background hover:bg-accent'
+    : 'border-input/60 bg-background/60 text-muted-foreground hover:bg-accent';
+}
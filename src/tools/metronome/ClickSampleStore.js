@@ -0,0 +1,104 @@
+/**
+ * ClickSampleStore — the user's uploaded click sounds, persisted in
+ * IndexedDB. Entries hold already-decoded mono PCM (see
+ * clickSamples.decodeClickSample), so turning one into an AudioBuffer for
+ * a new AudioContext is synchronous and the scheduler never waits:
+ *
+ *   { id, name, sampleRate, regular: Float32Array, accent: Float32Array|null, createdAt }
+ *
+ * Without IndexedDB the sounds live in memory for the page's lifetime.
+ */
+
+import { openDatabase, request } from '@/core/idb.js';
+
+const DB_NAME = 'vocal-trainer-clicks';
+const DB_VERSION = 1;
+const STORE = 'samples';
+
+export class ClickSampleStore {
+  /**
+   * @param {object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] - Defaults to the global one
+   */
+  constructor({ indexedDB = globalThis.indexedDB ?? null } = {}) {
+    this._factory = indexedDB;
+    this._db = null;
+    this._memory = [];
+    this._nextId = 1;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Save an uploaded sound
+   * @param {{ name: string, sampleRate: number, regular: Float32Array, accent?: Float32Array|null }} sample
+   * @returns {Promise<object>} The stored entry, with its id
+   */
+  async add({ name, sampleRate, regular, accent = null }) {
+    if (!(regular instanceof Float32Array) || !regular.length) {
+      throw new Error('A click sound needs a regular sample');
+    }
+    const record = {
+      name: name?.trim() || 'My click',
+      sampleRate,
+      regular,
+      accent,
+      createdAt: Date.now(),
+    };
+    const db = await this._open();
+    if (db) {
+      record.id = await request(db.transaction(STORE, 'readwrite').objectStore(STORE).add(record));
+    } else {
+      record.id = this._nextId++;
+      this._memory.push(record);
+    }
+    this.notifyListeners('add', record);
+    return record;
+  }
+
+  /** @returns {Promise<Array<object>>} Every saved sound, oldest first */
+  async list() {
+    const db = await this._open();
+    const entries = db
+      ? await request(db.transaction(STORE, 'readonly').objectStore(STORE).getAll())
+      : [...this._memory];
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /** Delete one sound */
+  async remove(id) {
+    const db = await this._open();
+    if (db) {
+      await request(db.transaction(STORE, 'readwrite').objectStore(STORE).delete(id));
+    } else {
+      this._memory = this._memory.filter((e) => e.id !== id);
+    }
+    this.notifyListeners('remove', id);
+  }
+
+  /**
+   * Subscribe to changes made through this instance
+   * @param {function} callback - Called with (type, payload)
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(type, payload) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(type, payload);
+      } catch (error) {
+        console.error('Click sample listener error:', error);
+      }
+    });
+  }
+
+  _open() {
+    this._db ??= openDatabase(this._factory, DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    }, 'Click sample store');
+    return this._db;
+  }
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { Trash2, Upload } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { customTimbreKey, decodeClickSample } from './clickSamples.js';
+import { useTimbreList } from './useTimbreList.js';
+
+const INPUT_CLASS =
+  'h-9 w-full min-w-0 rounded-md border border-input bg-background px-2 text-sm';
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * The user's own click sounds: a list with delete buttons and an upload
+ * form taking a regular sample and an optional accent. Files are decoded
+ * and trimmed here (clickSamples.decodeClickSample) and saved to the
+ * ClickSampleStore; the page feeds the store back into the click bank.
+ */
+export default function CustomClickUploader({ store, timbre, onSelect }) {
+  const customs = useTimbreList().filter((t) => t.custom);
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [regularFile, setRegularFile] = useState(null);
+  const [accentFile, setAccentFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const reset = () => {
+    setOpen(false);
+    setName('');
+    setRegularFile(null);
+    setAccentFile(null);
+    setError(null);
+  };
+
+  const save = async () => {
+    if (!regularFile) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const regular = await decodeFile(regularFile);
+      const accent = accentFile ? await decodeFile(accentFile) : null;
+      const entry = await store.add({
+        name: name || regularFile.name.replace(/\.[^.]+$/, ''),
+        sampleRate: regular.sampleRate,
+        regular: regular.samples,
+        accent: accent?.samples ?? null,
+      });
+      onSelect(customTimbreKey(entry.id));
+      reset();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async ({ key, id }) => {
+    try {
+      await store.remove(id);
+      if (key === timbre) onSelect('woodblock');
+    } catch (e) {
+      console.error('Failed to delete click sound:', e);
+    }
+  };
+
+  return (
+    <div className="space-y-1.5">
+      {customs.map((t) => (
+        <div key={t.key} className="flex items-center gap-2 text-xs">
+          <span className="min-w-0 flex-1 truncate">{t.label}</span>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            onClick={() => remove(t)}
+            aria-label={`Delete ${t.label}`}
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+          </Button>
+        </div>
+      ))}
+
+      {open ? (
+        <div className="space-y-2 rounded-md border p-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={regularFile?.name.replace(/\.[^.]+$/, '') ?? 'Name'}
+            className={INPUT_CLASS}
+            aria-label="Sound name"
+          />
+          <FileField label="Regular beat" onChange={setRegularFile} />
+          <FileField label="Accent (optional)" onChange={setAccentFile} />
+          {error && <p className="text-[11px] text-destructive">{error}</p>}
+          <div className="flex justify-end gap-1">
+            <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={reset}>
+              Cancel
+            </Button>
+            <Button size="sm" className="h-7 text-xs" onClick={save} disabled={!regularFile || saving}>
+              {saving ? 'Saving…' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button variant="outline" size="sm" className="h-8 w-full gap-1.5 text-xs" onClick={() => setOpen(true)}>
+          <Upload className="h-3.5 w-3.5" />
+          Upload your own sound
+        </Button>
+      )}
+    </div>
+  );
+}
+
+function FileField({ label, onChange }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-[11px] text-muted-foreground">{label}</Label>
+      <input
+        type="file"
+        accept="audio/*"
+        onChange={(e) => onChange(e.target.files?.[0] ?? null)}
+        className="block w-full text-xs file:mr-2 file:rounded-md file:border-0 file:bg-muted file:px-2 file:py-1 file:text-xs"
+      />
+    </div>
+  );
+}
+
+async function decodeFile(file) {
+  if (file.size > MAX_FILE_BYTES) throw new Error(`${file.name} is too big — clicks should be short`);
+  return decodeClickSample(await file.arrayBuffer());
+}
@@ -0,0 +1,144 @@
+/**
+ * GrooveAnalyzer — swing and per-beat timing feel on top of HitTracker's
+ * hit records.
+ *
+ * Each record carries where it fell in the bar: `beatInBar` (the nearest
+ * expected pulse), `pulsePhase` (signed fraction of a pulse from it,
+ * −0.5…+0.5) and `beatOffsetMs` (the same distance in ms). Hits close
+ * to a pulse feed that position's offset profile; hits near the middle of
+ * a pulse measure swing:
+ *
+ *   pulse:   |1         |2         |3         |4         |
+ *   on-beat  ●·            ●·        ·●          ●        ← |phase| ≤ 0.18
+ *   off-beat       ○          ○          ○          ○     ← 0.4 … 0.72 past the pulse
+ *
+ *   profile: beat 3 averages +14 ms → "pull"; beat 4 −12 ms → "push"
+ *   swing:   off-beats at 0.62 of the pulse → 62% (1.6:1); 50% is straight,
+ *            67% triplet swing. Later positions (a 16th at 0.75) are fills,
+ *            not swing, and are ignored — unless the click itself is set to
+ *            swing that hard (setTargetSwing).
+ *
+ * Every position keeps its own last WINDOW_BARS samples, so the profile
+ * always spans roughly the last 16 bars regardless of how sparse the
+ * playing is. Offsets are measured against the grid, so a uniform lead or
+ * lag (uncalibrated latency) shows as the overall feel, not as one beat.
+ */
+
+const WINDOW_BARS = 16;
+const SWING_SAMPLES = 32;
+const ON_BEAT_PHASE = 0.18;
+const SWING_MIN = 0.4;
+const SWING_MAX = 0.72;
+const MIN_SAMPLES = 3;
+const TENDENCY_MS = 8;
+
+export class GrooveAnalyzer {
+  constructor() {
+    this.beatsPerBar = 4;
+    this.swingMax = SWING_MAX;
+    this.reset();
+  }
+
+  /** Drop all samples */
+  reset() {
+    this.positions = Array.from({ length: this.beatsPerBar }, () => []); // [{ time, offsetMs }]
+    this.swing = []; // [{ time, position }] — fraction of a pulse past the preceding pulse
+  }
+
+  /** A different bar length makes the old positions meaningless */
+  setBeatsPerBar(beatsPerBar) {
+    const n = Math.max(1, beatsPerBar | 0);
+    if (n === this.beatsPerBar) return;
+    this.beatsPerBar = n;
+    this.reset();
+  }
+
+  /**
+   * The swing the click plays (swing.js percent): the off-beat window
+   * stretches to take in a hard swing around it
+   */
+  setTargetSwing(percent) {
+    this.swingMax = Math.max(SWING_MAX, (percent ?? 50) / 100 + 0.05);
+  }
+
+  /**
+   * Feed one HitTracker record. Records without a bar position (no
+   * expected beats yet) are ignored.
+   * @param {{ time: number, beatInBar: number|null, pulsePhase: number|null, beatOffsetMs: number|null }} record
+   */
+  add({ time, beatInBar, pulsePhase, beatOffsetMs }) {
+    if (beatInBar == null || pulsePhase == null) return;
+
+    if (Math.abs(pulsePhase) <= ON_BEAT_PHASE) {
+      const samples = this.positions[beatInBar % this.beatsPerBar];
+      samples.push({ time, offsetMs: beatOffsetMs });
+      if (samples.length > WINDOW_BARS) samples.shift();
+      return;
+    }
+
+    const position = pulsePhase >= 0 ? pulsePhase : 1 + pulsePhase;
+    if (position >= SWING_MIN && position <= this.swingMax) {
+      this.swing.push({ time, position });
+      if (this.swing.length > SWING_SAMPLES) this.swing.shift();
+    }
+  }
+
+  /** Take back a record (HitTracker collapsing a flam into the next hit) */
+  remove({ time }) {
+    this.positions = this.positions.map((samples) => samples.filter((s) => s.time !== time));
+    this.swing = this.swing.filter((s) => s.time !== time);
+  }
+
+  /**
+   * @returns {{
+   *   beats: Array<{ beat: number, count: number, meanMs: number|null, stdMs: number|null,
+   *     tendency: 'push'|'pull'|'center'|null }>,
+   *   meanMs: number|null,
+   *   feel: 'ahead'|'behind'|'centered'|null,
+   *   swing: { percent: number, ratio: number, count: number }|null,
+   * }}
+   *   `tendency` / `feel` stay null until a position has MIN_SAMPLES hits;
+   *   `swing` is null with fewer than MIN_SAMPLES off-beats.
+   */
+  getProfile() {
+    const beats = this.positions.map((samples, beat) => {
+      const count = samples.length;
+      if (count === 0) return { beat, count, meanMs: null, stdMs: null, tendency: null };
+      const meanMs = samples.reduce((s, x) => s + x.offsetMs, 0) / count;
+      const variance = samples.reduce((s, x) => s + (x.offsetMs - meanMs) ** 2, 0) / count;
+      return {
+        beat,
+        count,
+        meanMs,
+        stdMs: Math.sqrt(variance),
+        tendency: count >= MIN_SAMPLES ? tendencyOf(meanMs, 'push', 'pull', 'center') : null,
+      };
+    });
+
+    const all = this.positions.flat();
+    const meanMs = all.length > 0 ? all.reduce((s, x) => s + x.offsetMs, 0) / all.length : null;
+
+    let swing = null;
+    if (this.swing.length >= MIN_SAMPLES) {
+      const position = this.swing.reduce((s, x) => s + x.position, 0) / this.swing.length;
+      swing = {
+        percent: position * 100,
+        ratio: position / (1 - position),
+        count: this.swing.length,
+      };
+    }
+
+    return {
+      beats,
+      meanMs,
+      feel: all.length >= MIN_SAMPLES ? tendencyOf(meanMs, 'ahead', 'behind', 'centered') : null,
+      swing,
+    };
+  }
+}
+
+function tendencyOf(meanMs, early, late, centered) {
+  if (meanMs <= -TENDENCY_MS) return early;
+  if (meanMs >= TENDENCY_MS) return late;
+  return centered;
+}
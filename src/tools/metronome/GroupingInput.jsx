@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+
+import {
+  defaultGrouping,
+  formatGrouping,
+  groupingPresets,
+  parseGrouping,
+} from './tempoMap.js';
+
+/**
+ * Pulse grouping for a meter, typed as "2+2+3" or picked from the usual
+ * twos-and-threes splits. Blank means the meter's default grouping.
+ * @param {string|null} value - Stored grouping text (null = default)
+ * @param {object} sig - TIME_SIGNATURES entry
+ * @param {function} onChange - Receives valid text, or null for the default
+ */
+export default function GroupingInput({ value, sig, onChange }) {
+  const fallback = formatGrouping(defaultGrouping(sig));
+  // Stored value for some typed text (undefined while it's invalid)
+  const toValue = (t) => {
+    if (!t.trim()) return null;
+    const parsed = parseGrouping(t, sig.beatsPerBar);
+    if (!parsed) return undefined;
+    return formatGrouping(parsed) === fallback ? null : formatGrouping(parsed);
+  };
+
+  const [text, setText] = useState(value ?? '');
+  // Follow outside changes, but leave the field alone when it already
+  // means the same thing (typing the default shouldn't blank the input)
+  useEffect(() => {
+    setText((prev) => (toValue(prev) === (value ?? null) ? prev : value ?? ''));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [value, fallback]);
+
+  const invalid = toValue(text) === undefined;
+  const active = value ?? fallback;
+
+  const commit = (next) => {
+    const v = toValue(next);
+    if (v !== undefined) onChange(v);
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <input
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          commit(e.target.value);
+        }}
+        onBlur={() => invalid && setText(value ?? '')}
+        placeholder={fallback}
+        aria-invalid={invalid}
+        className={`h-8 w-full rounded-md border bg-background px-2 font-mono text-sm ${
+          invalid ? 'border-destructive' : 'border-input'
+        }`}
+      />
+      <div className="flex flex-wrap gap-1">
+        {groupingPresets(sig.beatsPerBar).map((preset) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => {
+              setText(preset);
+              commit(preset);
+            }}
+            className={`rounded px-1.5 py-0.5 font-mono text-[11px] transition-colors ${
+              preset === active
+                ? 'bg-primary text-primary-foreground'
+                : 'bg-muted text-muted-foreground hover:text-foreground'
+            }`}
+          >
+            {preset}
+          </button>
+        ))}
+      </div>
+      {invalid && (
+        <p className="text-[11px] text-destructive">
+          Groups must add up to {sig.beatsPerBar}.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -12,13 +12,31 @@
  * Times are AudioContext seconds. Output latency is added to expected
  * beat times so we compare hits against what the user actually heard.
  *
+ * The grid is built on the meter's pulse, not the quarter note: with
+ * gridConfig.beatUnit = 8 the expected beats are eighths (60/bpm · 4/8
+ * apart), which is also what keeps additive meters like 2+2+3 on one
+ * even grid — the groups only decide which pulses are felt as beats.
+ * When scoring against a polyrhythm layer the page feeds that layer's
+ * clicks in as the expected beats and sets gridConfig.pulseRatio to the
+ * main pulses per layer click (4/3 for the 3 in 3-over-4).
+ *
+ * gridConfig.swing shifts the eighth and sixteenth candidates exactly as
+ * the engine shifts its sub-clicks (swing.js), so a swung "&" is on time.
+ *
  * Status (from gridOffsetMs):
  *   onTime — |offset| ≤ tolerances.onTime  (green)
  *   close  — |offset| ≤ tolerances.close   (yellow)
  *   off    — matched but further out       (red)
  *   ghost  — couldn't pair to any beat in MATCH_WINDOW_MS  (red)
+ *
+ * Every record also carries its position in the bar (beatInBar,
+ * pulsePhase, beatOffsetMs) for the GrooveAnalyzer, which the tracker
+ * keeps fed as `groove`.
  */
 
+import { GrooveAnalyzer } from './GrooveAnalyzer.js';
+import { gridSwingPairs, swingFraction } from './swing.js';
+
 const MATCH_WINDOW_MS = 250;
 const MAX_AGE_S = 12;
 
@@ -31,43 +49,71 @@ const FLAM_MAX_GAP_MS_STATIC = 80;
 const FLAM_MIN_RATIO = 0.1; // quieter ≥ 0.1 × louder
 
 /**
- * Effective max gap is capped against a fraction of the beat duration so
+ * Effective max gap is capped against a fraction of the pulse duration so
  * legitimate fast 16ths don't read as flams (e.g. at 200 BPM a 16th is
  * 75ms — within our static 80ms window).
  */
-function flamMaxGapMs(bpm) {
-  const beatDurMs = 60000 / Math.max(20, bpm);
-  return Math.min(FLAM_MAX_GAP_MS_STATIC, beatDurMs / 8);
+function flamMaxGapMs(pulseSeconds) {
+  return Math.min(FLAM_MAX_GAP_MS_STATIC, (pulseSeconds * 1000) / 8);
 }
 
+// Practice subdivisions inside a beat (0…1, straight), besides the beat itself
+const FINE_GRID = [
+  { raw: 0.5, sub: 'eighth' },
+  { raw: 0.25, sub: 'sixteenth' },
+  { raw: 0.75, sub: 'sixteenth' },
+  { raw: 1 / 3, sub: 'triplet' },
+  { raw: 2 / 3, sub: 'triplet' },
+];
+
 export class HitTracker {
   constructor({ outputLatency = 0, tolerances = { onTime: 35, close: 80 } } = {}) {
     this.outputLatency = outputLatency;
     this.tolerances = tolerances;
 
     this.bpm = 120;
-    this.gridConfig = { includeTriplets: false, subdivision: 1 };
+    this.gridConfig = { includeTriplets: false, subdivision: 1, beatUnit: 4, pulseRatio: 1, beatsPerBar: 4, swing: 50 };
 
-    this.expectedBeats = []; // { time, beatIndex, barNumber, isAccent, isSilent, isSkippedBar }
+    this.expectedBeats = []; // { time, beatIndex, barNumber, isGroupStart, isAccent, isSilent, isSkippedBar }
     this.hits = [];
+    // Running tallies since resetTotals(). Unlike `hits` these survive
+    // pruning and reset(), so a whole session can be summarised at the end.
+    this.totals = emptyTotals();
+    // Swing + per-beat feel; follows `hits` (reset with it) but keeps its
+    // own longer window
+    this.groove = new GrooveAnalyzer();
 
     this._ambientEnergy = 0;
   }
 
   setOutputLatency(seconds) { this.outputLatency = seconds; }
   setBpm(bpm) { this.bpm = Math.max(20, Math.min(300, bpm | 0)); }
-  setGridConfig(config) { this.gridConfig = { ...this.gridConfig, ...config }; }
+  setGridConfig(config) {
+    this.gridConfig = { ...this.gridConfig, ...config };
+    this.groove.setBeatsPerBar(this.gridConfig.beatsPerBar);
+    this.groove.setTargetSwing(this.gridConfig.swing);
+  }
+
+  /**
+   * Seconds between expected beats: one beatUnit note at the quarter-note
+   * BPM, stretched by pulseRatio when the beats are a layer's clicks
+   */
+  pulseDuration() {
+    const { beatUnit, pulseRatio } = this.gridConfig;
+    return (60 / this.bpm) * (4 / (beatUnit || 4)) * (pulseRatio || 1);
+  }
 
   /**
    * Engine onBeat → tracker. Silent + skipped beats are tracked too:
    * keeping time when the click is silent is the most important thing
    * to measure, so they're flagged but counted.
    */
-  addExpectedBeat({ time, beatIndex, barNumber, kind, skipped }) {
+  addExpectedBeat({ time, beatIndex, barNumber, kind, skipped, isGroupStart }) {
     this.expectedBeats.push({
       time: time + this.outputLatency,
       beatIndex,
       barNumber,
+      isGroupStart: isGroupStart ?? true,
       isAccent: kind === 'accent',
       isSilent: kind === 'silent' || !!skipped,
       isSkippedBar: !!skipped,
@@ -108,16 +154,24 @@ export class HitTracker {
     let gridOffsetMs = null;
     let gridSubdivision = null;
     let isInBetween = false;
+    let beatInBar = null;
+    let pulsePhase = null;
+    let beatOffsetMs = null;
     if (this.expectedBeats.length > 0) {
-      const beatDur = 60 / this.bpm;
+      const beatDur = this.pulseDuration();
       const latest = this.expectedBeats[this.expectedBeats.length - 1];
       const beatsFromLatest = Math.round((time - latest.time) / beatDur);
       const beatRef = latest.time + beatsFromLatest * beatDur;
       const fracTime = time - beatRef; // |fracTime| ≤ beatDur/2
+      const beatsPerBar = Math.max(1, this.gridConfig.beatsPerBar | 0);
+      beatInBar = (((latest.beatIndex + beatsFromLatest) % beatsPerBar) + beatsPerBar) % beatsPerBar;
+      pulsePhase = fracTime / beatDur;
+      beatOffsetMs = fracTime * 1000;
 
       // Click positions = positions where the engine actually plays a
-      // click, derived from the subdivision setting. Wrap each into ±0.5
-      // of the virtual beat ref.
+      // click, derived from the subdivision (and swing) setting. Wrap each
+      // into ±0.5 of the virtual beat ref.
+      const { swing } = this.gridConfig;
       const subdivision = Math.max(1, this.gridConfig.subdivision | 0);
       const subLabel = subdivision === 2 ? 'eighth'
         : subdivision === 3 ? 'triplet'
@@ -126,7 +180,7 @@ export class HitTracker {
         : 'quarter';
       const clickCandidates = [];
       for (let k = 0; k < subdivision; k++) {
-        const raw = k / subdivision;
+        const raw = swingFraction(k / subdivision, subdivision, swing);
         const frac = raw > 0.5 ? raw - 1 : raw;
         const sub = k === 0 ? 'quarter' : subLabel;
         clickCandidates.push({ frac, sub });
@@ -148,19 +202,19 @@ export class HitTracker {
       // Closest FINE-GRID position (used for the visual color — even
       // hits between clicks should read as the subdivision they aligned
       // with: 8th = lime, 16th = teal, triplet = emerald).
-      const FINE_CANDIDATES = [
-        { frac: 0, sub: 'quarter' },
-        { frac: 0.5, sub: 'eighth' },
-        { frac: -0.5, sub: 'eighth' },
-        { frac: 0.25, sub: 'sixteenth' },
-        { frac: -0.25, sub: 'sixteenth' },
-        { frac: 1 / 3, sub: 'triplet' },
-        { frac: -1 / 3, sub: 'triplet' },
-      ];
+      // Swing moves them in the same pairs as the clicks.
+      const swingPairs = gridSwingPairs(subdivision);
+      const fineCandidates = [{ frac: 0, sub: 'quarter' }];
+      for (const { raw, sub } of FINE_GRID) {
+        const swung = sub === 'triplet' ? raw : swingFraction(raw, swingPairs, swing);
+        const frac = swung > 0.5 ? swung - 1 : swung;
+        fineCandidates.push({ frac, sub });
+        if (Math.abs(Math.abs(frac) - 0.5) < 1e-9) fineCandidates.push({ frac: -frac, sub });
+      }
       let bestFineOff = Infinity;
       let bestFineSub = 'quarter';
       let bestFineFrac = 0;
-      for (const c of FINE_CANDIDATES) {
+      for (const c of fineCandidates) {
         const off = (fracTime - c.frac * beatDur) * 1000;
         if (Math.abs(off) < Math.abs(bestFineOff)) {
           bestFineOff = off;
@@ -230,10 +284,12 @@ export class HitTracker {
       const louder = Math.max(prev.energy, energy);
       const quieter = Math.min(prev.energy, energy);
       const ratio = louder > 0 ? quieter / louder : 0;
-      const maxGap = flamMaxGapMs(this.bpm);
+      const maxGap = flamMaxGapMs(this.pulseDuration());
       if (gapMs >= FLAM_MIN_GAP_MS && gapMs <= maxGap && ratio >= FLAM_MIN_RATIO) {
         hasFlam = true;
-        this.hits.pop(); // earlier hit collapses into this one
+        const collapsed = this.hits.pop(); // earlier hit collapses into this one
+        this._tally(collapsed, -1);
+        this.groove.remove(collapsed);
       }
     }
 
@@ -249,13 +305,27 @@ export class HitTracker {
       gridOffsetMs,
       gridSubdivision,
       clickOffsetMs,
+      beatInBar,
+      pulsePhase,
+      beatOffsetMs,
       status,
     };
     this.hits.push(record);
+    this._tally(record, 1);
+    this.groove.add(record);
     this._prune();
     return record;
   }
 
+  _tally(record, sign) {
+    const t = this.totals;
+    t.hits += sign;
+    if (record.gridOffsetMs == null) return;
+    t.gridHits += sign;
+    t.gridOffsetSum += sign * record.gridOffsetMs;
+    if (record.status === 'onTime') t.onGrid += sign;
+  }
+
   _prune(nowSeconds) {
     const now = nowSeconds ?? this._latest();
     const cutoff = now - MAX_AGE_S;
@@ -273,9 +343,29 @@ export class HitTracker {
   reset() {
     this.expectedBeats = [];
     this.hits = [];
+    this.groove.reset();
     this._ambientEnergy = 0;
   }
 
+  /** Start a new session tally (see getTotals) */
+  resetTotals() {
+    this.totals = emptyTotals();
+  }
+
+  /**
+   * Whole-session stats since the last resetTotals(): every hit counts, not
+   * just the ones still inside the stats window.
+   * @returns {{ hits: number, onGridPct: number|null, avgGridOffsetMs: number|null }}
+   */
+  getTotals() {
+    const { hits, gridHits, onGrid, gridOffsetSum } = this.totals;
+    return {
+      hits,
+      onGridPct: gridHits > 0 ? Math.round((onGrid / gridHits) * 100) : null,
+      avgGridOffsetMs: gridHits > 0 ? Math.round(gridOffsetSum / gridHits) : null,
+    };
+  }
+
   /** Aggregate stats over the last `windowSeconds`. */
   getStats({ now, windowSeconds = 8 } = {}) {
     const ref = now ?? this._latest();
@@ -345,3 +435,7 @@ export class HitTracker {
     };
   }
 }
+
+function emptyTotals() {
+  return { hits: 0, gridHits: 0, onGrid: 0, gridOffsetSum: 0 };
+}
@@ -0,0 +1,119 @@
+import { Plus, Trash2, Volume2 } from 'lucide-react';
+
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import {
+  LAYER_COLORS,
+  LayerMode,
+  MAX_LAYERS,
+  MAX_LAYER_BEATS,
+  MIN_LAYER_BEATS,
+  createLayer,
+  describeLayer,
+} from './polyrhythm.js';
+import { useTimbreList } from './useTimbreList.js';
+
+/**
+ * Polyrhythm / polymeter layers: one card per layer with its mode, number
+ * of beats, click sound and volume. `layers` is the metronomeLayers setting;
+ * the swatch matches the layer's ring on the dial.
+ */
+export default function LayerEditor({ layers, beatsPerBar, onChange }) {
+  const timbres = useTimbreList();
+  const update = (i, patch) => onChange(layers.map((l, j) => (j === i ? { ...l, ...patch } : l)));
+  const remove = (i) => onChange(layers.filter((_, j) => j !== i));
+
+  return (
+    <div className="space-y-1.5">
+      {layers.map((layer, i) => (
+        <div key={layer.id} className="space-y-2 rounded-md border p-2">
+          <div className="flex items-center gap-2">
+            <span
+              className="h-2.5 w-2.5 shrink-0 rounded-full"
+              style={{ background: LAYER_COLORS[i % LAYER_COLORS.length] }}
+            />
+            <span className="flex-1 text-xs font-medium">{describeLayer(layer, beatsPerBar)}</span>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => remove(i)}
+              aria-label={`Remove layer ${i + 1}`}
+              className="h-7 w-7 text-muted-foreground hover:text-foreground"
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </Button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <Select value={layer.mode} onValueChange={(v) => update(i, { mode: v })}>
+              <SelectTrigger className="h-8 text-xs"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value={LayerMode.RHYTHM}>Across the bar</SelectItem>
+                <SelectItem value={LayerMode.METER}>Own cycle</SelectItem>
+              </SelectContent>
+            </Select>
+            <div className="flex items-center gap-1">
+              <Button
+                size="sm"
+                variant="outline"
+                className="h-8"
+                onClick={() => update(i, { beats: Math.max(MIN_LAYER_BEATS, layer.beats - 1) })}
+                disabled={layer.beats <= MIN_LAYER_BEATS}
+              >
+                −
+              </Button>
+              <span className="flex-1 text-center font-mono text-sm">{layer.beats}</span>
+              <Button
+                size="sm"
+                variant="outline"
+                className="h-8"
+                onClick={() => update(i, { beats: Math.min(MAX_LAYER_BEATS, layer.beats + 1) })}
+                disabled={layer.beats >= MAX_LAYER_BEATS}
+              >
+                +
+              </Button>
+            </div>
+          </div>
+          <div className="grid grid-cols-[1fr_1.4fr] items-center gap-2">
+            <Select value={layer.timbre} onValueChange={(v) => update(i, { timbre: v })}>
+              <SelectTrigger className="h-8 text-xs"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {timbres.map((t) => (
+                  <SelectItem key={t.key} value={t.key}>{t.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="flex items-center gap-2">
+              <Volume2 className="h-3.5 w-3.5 text-muted-foreground" />
+              <input
+                type="range"
+                min={0}
+                max={100}
+                value={Math.round(layer.volume * 100)}
+                onChange={(e) => update(i, { volume: e.target.valueAsNumber / 100 })}
+                aria-label={`Layer ${i + 1} volume`}
+                className="w-full accent-primary"
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+      {layers.length < MAX_LAYERS && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onChange([...layers, createLayer(layers[layers.length - 1])])}
+          className="w-full gap-1.5"
+        >
+          <Plus className="h-3.5 w-3.5" />
+          Add layer
+        </Button>
+      )}
+    </div>
+  );
+}
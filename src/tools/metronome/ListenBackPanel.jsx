@@ -2,6 +2,7 @@ import { useEffect, useRef, useState } from 'react';
 import { Headphones } from 'lucide-react';
 
 import { T_MAX } from './sensitivity.js';
+import { gridSwingPairs, swingFraction } from './swing.js';
 
 /**
  * Single unified timeline:
@@ -13,6 +14,8 @@ import { T_MAX } from './sensitivity.js';
  *   • cyan waveform mirrored ± from center
  *   • hit dots colored by `gridOffsetMs` status (on grid / close / off)
  *   • stats: On grid / Click sync / Hit rate / Accents
+ *   • groove strip: per-beat offset profile, overall feel and swing
+ *     (tracker.groove, see GrooveAnalyzer.js)
  *
  * Y-scale is calibrated so amplitude = T_MAX maps to the box edge — at the
  * lowest sensitivity the threshold band fills the whole strip.
@@ -22,6 +25,8 @@ export default function ListenBackPanel({
   getNow,
   isActive,
   bpm,
+  beatUnit = 4,
+  pulseRatio = 1,
   showTriplets,
   onToggleTriplets,
   windowSec = 6,
@@ -34,6 +39,7 @@ export default function ListenBackPanel({
   const wrapRef = useRef(null);
   const [size, setSize] = useState({ w: 600, h: height });
   const [stats, setStats] = useState(null);
+  const [groove, setGroove] = useState(null);
 
   useEffect(() => {
     if (!wrapRef.current) return;
@@ -93,7 +99,9 @@ export default function ListenBackPanel({
       const halfH = (bottom - top) / 2;
       const ampToY = (amp) => Math.min(halfH, (amp / T_MAX) * halfH);
       const tToX = (t) => lanesX + ((t - winStart) / windowSec) * lanesW;
-      const beatDur = 60 / Math.max(20, bpm);
+      // One pulse of the meter (an eighth in 6/8), which is what beats mark —
+      // or one layer click when scoring against a polyrhythm layer
+      const beatDur = (60 / Math.max(20, bpm)) * (4 / beatUnit) * pulseRatio;
 
       // ── Threshold band (sensitivity indicator) — fill only, no border
       const bandY = ampToY(threshold);
@@ -122,6 +130,9 @@ export default function ListenBackPanel({
         if (dash) ctx.setLineDash([]);
       };
       if (beats.length > 0 && bpm > 0) {
+        // Swung like the tracker scores them
+        const { swing, subdivision } = tracker.gridConfig;
+        const at = (frac) => swingFraction(frac, gridSwingPairs(subdivision), swing) * beatDur;
         const anchor = beats[beats.length - 1];
         const beatsBack = Math.ceil((anchor.time - winStart) / beatDur) + 1;
         const beatsForward = Math.ceil((now - anchor.time) / beatDur) + 1;
@@ -129,10 +140,10 @@ export default function ListenBackPanel({
           const bt = anchor.time + i * beatDur;
           // 16ths — dotted, so they read as a finer-grain reference
           // without competing with the solid 8th lines.
-          drawSubLine(bt + 0.25 * beatDur, colors.muted, 0.4, 1, [1, 3]);
-          drawSubLine(bt + 0.75 * beatDur, colors.muted, 0.4, 1, [1, 3]);
+          drawSubLine(bt + at(0.25), colors.muted, 0.4, 1, [1, 3]);
+          drawSubLine(bt + at(0.75), colors.muted, 0.4, 1, [1, 3]);
           // 8th (medium)
-          drawSubLine(bt + 0.5 * beatDur, colors.muted, 0.42, 1.25);
+          drawSubLine(bt + at(0.5), colors.muted, 0.42, 1.25);
           // Triplets (optional, dashed super-accent so they read as alt grid)
           if (showTriplets) {
             drawSubLine(bt + (1 / 3) * beatDur, colors.super, 0.32, 1, [2, 3]);
@@ -182,11 +193,17 @@ export default function ListenBackPanel({
           ctx.globalAlpha = 0.95;
           ctx.lineWidth = 2.5;
           ctx.setLineDash([]);
-        } else {
+        } else if (beat.isGroupStart) {
           ctx.strokeStyle = colors.muted;
           ctx.globalAlpha = 0.85;
           ctx.lineWidth = 1.5;
           ctx.setLineDash([]);
+        } else {
+          // Pulse inside a group (e.g. the "2 3" of a 6/8 "1 2 3")
+          ctx.strokeStyle = colors.muted;
+          ctx.globalAlpha = 0.5;
+          ctx.lineWidth = 1;
+          ctx.setLineDash([]);
         }
         ctx.beginPath();
         ctx.moveTo(x, top + 2);
@@ -267,6 +284,7 @@ export default function ListenBackPanel({
       if (performance.now() - lastStatsTime > 250) {
         lastStatsTime = performance.now();
         setStats(tracker.getStats({ now }));
+        setGroove(tracker.groove.getProfile());
       }
 
       raf = requestAnimationFrame(render);
@@ -274,7 +292,7 @@ export default function ListenBackPanel({
 
     raf = requestAnimationFrame(render);
     return () => cancelAnimationFrame(raf);
-  }, [tracker, getNow, isActive, size.w, size.h, windowSec, threshold, levelBufferRef, bpm, showTriplets]);
+  }, [tracker, getNow, isActive, size.w, size.h, windowSec, threshold, levelBufferRef, bpm, beatUnit, pulseRatio, showTriplets]);
 
   return (
     <div ref={wrapRef} className="w-full">
@@ -317,6 +335,7 @@ export default function ListenBackPanel({
       </div>
 
       <canvas ref={canvasRef} className="block w-full rounded-md" />
+      {groove && <GrooveProfile groove={groove} />}
     </div>
   );
 }
@@ -331,6 +350,99 @@ function InlineStat({ label, value, sub }) {
   );
 }
 
+// Bars clip at ±PROFILE_RANGE_MS; beyond that the number still tells
+const PROFILE_RANGE_MS = 40;
+const PROFILE_H = 44;
+const TENDENCY_COLORS = {
+  push: 'rgb(234, 179, 8)',
+  pull: 'rgb(234, 179, 8)',
+  center: 'rgb(34, 197, 94)',
+};
+const FEEL_LABELS = { ahead: 'ahead of the beat', behind: 'behind the beat', centered: 'centered' };
+
+/**
+ * Per-beat offset profile over the last bars:
+ *
+ *      1      2      3      4
+ *   ───┬──────┬──────┼──────┬───  ← zero = on the grid
+ *      █      │      █      │       bar below = early (push),
+ *             █             ▌       above = late (pull); whisker = ±1σ
+ *    −3ms   +9ms  −12ms   +2ms
+ */
+function GrooveProfile({ groove }) {
+  const { beats, feel, meanMs, swing } = groove;
+  const colW = 100 / beats.length;
+  const mid = PROFILE_H / 2;
+  const y = (ms) => mid + (Math.max(-PROFILE_RANGE_MS, Math.min(PROFILE_RANGE_MS, ms)) / PROFILE_RANGE_MS) * (mid - 2);
+
+  return (
+    <div className="mt-2 flex items-center gap-3 text-[11px] text-muted-foreground">
+      <div className="min-w-0 flex-1">
+        <svg
+          viewBox={`0 0 100 ${PROFILE_H}`}
+          preserveAspectRatio="none"
+          className="h-11 w-full rounded-md bg-muted/40"
+          role="img"
+          aria-label="Per-beat timing offset"
+        >
+          <line x1={0} x2={100} y1={mid} y2={mid} className="stroke-border" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+          {beats.map((b) => {
+            if (b.meanMs == null) return null;
+            const cx = (b.beat + 0.5) * colW;
+            const top = Math.min(mid, y(b.meanMs));
+            const color = TENDENCY_COLORS[b.tendency] ?? 'rgb(148, 163, 184)';
+            return (
+              <g key={b.beat}>
+                <rect
+                  x={cx - colW * 0.2}
+                  width={colW * 0.4}
+                  y={top}
+                  height={Math.max(0.5, Math.abs(y(b.meanMs) - mid))}
+                  fill={color}
+                  fillOpacity={0.8}
+                />
+                <line
+                  x1={cx}
+                  x2={cx}
+                  y1={y(b.meanMs - b.stdMs)}
+                  y2={y(b.meanMs + b.stdMs)}
+                  stroke={color}
+                  strokeWidth={1}
+                  vectorEffect="non-scaling-stroke"
+                />
+              </g>
+            );
+          })}
+        </svg>
+        <div className="flex font-mono tabular-nums text-[10px]">
+          {beats.map((b) => (
+            <span key={b.beat} className="flex-1 text-center" title={`${b.count} hits`}>
+              {b.beat + 1}
+              {b.meanMs != null && ` ${signed(Math.round(b.meanMs))}`}
+              {b.tendency && b.tendency !== 'center' && ` ${b.tendency}`}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="shrink-0 space-y-0.5 text-right font-mono tabular-nums">
+        <div>
+          <span className="text-foreground">
+            {feel ? FEEL_LABELS[feel] : '—'}
+          </span>
+          {feel && meanMs != null && ` ${signed(Math.round(meanMs))}ms`}
+        </div>
+        <div>
+          <span className="text-foreground">
+            {swing ? `${Math.round(swing.percent)}% (${swing.ratio.toFixed(1)}:1)` : '—'}
+          </span>
+          {' '}
+          <span className="text-[10px] uppercase tracking-wider">swing</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function signed(n) {
   return n >= 0 ? `+${n}` : `${n}`;
 }
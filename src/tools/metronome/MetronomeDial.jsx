@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState } from 'react';
 import { Pause, Play } from 'lucide-react';
 
+import { LAYER_COLORS, layerProgress } from './polyrhythm.js';
+
 const MIN_BPM = 30;
 const MAX_BPM = 300;
 const PULSE_MS = 220;
@@ -13,9 +15,13 @@ const DEG_PER_BPM = 6; // dot rotation per BPM step
  *  - Outer measure-visualization ring: one rounded arc per beat. The active
  *    segment fills smoothly as the beat progresses, and on hit its stroke
  *    width swells briefly. Accent beats use the super-accent color (magenta);
- *    regular beats use primary (cyan).
+ *    regular beats use primary (cyan). With a grouping (2+2+3…) the pulses
+ *    of a group sit close together and the groups are spaced apart.
+ *  - One thinner ring per polyrhythm layer inside it, segmented into the
+ *    layer's own beats and filling in step with the main bar (the center
+ *    disc shrinks a little to make room).
  *  - Subtle dots inside the ring that rotate as BPM changes — gives tactile
- *    feedback when scrolling/dragging the dial.
+ *    feedback when scrolling/dragging the dial (hidden while layers show).
  *  - Inner zone is a tap target for play/stop. Drag anywhere on the outer
  *    ring rotates BPM. Click the BPM number to type a tempo directly.
  *  - Small TAP-tempo pill lives inside, just above the play affordance.
@@ -34,6 +40,10 @@ export default function MetronomeDial({
   isSkippedBar,
   timeSig,
   subdivision = 1,
+  beatUnit = 4,
+  grouping = null,
+  layers = [],
+  currentPulse = 0,
 }) {
   const wrapperRef = useRef(null);
   const dragRef = useRef(null);
@@ -149,7 +159,7 @@ export default function MetronomeDial({
   }, [bpm, editing, onBpmChange]);
 
   // Smooth bar progress + per-segment pulse, derived from engine clock
-  const beatDur = 60 / bpm;
+  const beatDur = (60 / bpm) * (4 / beatUnit);
   const now = isRunning && getNow ? getNow() : 0;
   const elapsed = lastBeatTime != null && now > 0 ? Math.max(0, now - lastBeatTime) : 0;
   const fractionInBeat = isRunning ? clamp(elapsed / beatDur, 0, 1) : 0;
@@ -158,18 +168,31 @@ export default function MetronomeDial({
   const cx = size / 2;
   const cy = size / 2;
   const ringR = size / 2 - 6;
-  const innerR = size * 0.4;
+  const innerR = size * (0.4 - 0.025 * layers.length);
 
   const beatGap = 6; // degrees between beats
+  const pulseGap = 4.5; // between pulses of one group
+  const groupGap = 12; // between groups
   const subGap = 3.5; // degrees between subdivisions inside a beat
   const subdivisions = Math.max(1, subdivision | 0);
-  const totalBeatGap = beatGap * beatsPerBar;
+  // Gap after each beat: uniform, or tight inside a group and wide between
+  const groupStarts = groupStartSet(grouping, beatsPerBar);
+  const gapAfter = Array.from({ length: beatsPerBar }, (_, i) => {
+    if (!groupStarts) return beatGap;
+    return groupStarts.has((i + 1) % beatsPerBar) ? groupGap : pulseGap;
+  });
+  const totalBeatGap = gapAfter.reduce((a, b) => a + b, 0);
   const beatDeg = (360 - totalBeatGap) / beatsPerBar;
   const subTotal = beatDeg - (subdivisions - 1) * subGap;
   const subDeg = subTotal / subdivisions;
+  const beatStarts = [];
+  for (let i = 0, deg = -90 + gapAfter[beatsPerBar - 1] / 2; i < beatsPerBar; i++) {
+    beatStarts.push(deg);
+    deg += beatDeg + gapAfter[i];
+  }
 
   const beats = Array.from({ length: beatsPerBar }, (_, i) => {
-    const beatStart = -90 + i * (beatDeg + beatGap) + beatGap / 2;
+    const beatStart = beatStarts[i];
     const beatEnd = beatStart + beatDeg;
     // accentPattern is length = beatsPerBar * subdivision; the main beat
     // sits at index i * subdivision.
@@ -194,6 +217,24 @@ export default function MetronomeDial({
     return { beatStart, beatEnd, isAccent, isSilent, isCurrent, pulse, subs };
   });
 
+  // Layer rings, outermost first, each split into the layer's own beats
+  const layerGap = 4;
+  const layerRings = layers.map((layer, li) => {
+    const progress = isRunning && currentBeat >= 0
+      ? layerProgress(layer, beatsPerBar, currentBeat, fractionInBeat, currentPulse)
+      : 0;
+    const segDeg = (360 - layer.beats * layerGap) / layer.beats;
+    const segments = Array.from({ length: layer.beats }, (_, k) => {
+      const startDeg = -90 + layerGap / 2 + k * (segDeg + layerGap);
+      return { startDeg, endDeg: startDeg + segDeg, fill: clamp(progress - k, 0, 1) };
+    });
+    return {
+      r: ringR - 16 - li * (size * 0.025 + 3),
+      color: LAYER_COLORS[li % LAYER_COLORS.length],
+      segments,
+    };
+  });
+
   // Subtle dots, evenly spaced, rotated by BPM — gives visual feedback when
   // scrolling the dial.
   const dotsRotation = (bpm * DEG_PER_BPM) % 360;
@@ -245,28 +286,64 @@ export default function MetronomeDial({
         />
 
         {/* Rotating dots — anchored to the dial's "face", spin as BPM changes */}
-        <g
-          transform={`rotate(${dotsRotation} ${cx} ${cy})`}
-          opacity={isSkippedBar ? 0.25 : 0.45}
-          style={{ transition: 'transform 100ms linear' }}
-        >
-          {Array.from({ length: ROTATING_DOT_COUNT }, (_, i) => {
-            const angle = (i / ROTATING_DOT_COUNT) * Math.PI * 2 - Math.PI / 2;
-            const x = cx + Math.cos(angle) * dotsR;
-            const y = cy + Math.sin(angle) * dotsR;
-            const isMarker = i === 0; // one slightly stronger dot acts as a "needle"
-            return (
-              <circle
-                key={i}
-                cx={x}
-                cy={y}
-                r={isMarker ? 2.5 : 1.5}
-                fill={isMarker ? 'hsl(var(--super-accent))' : 'hsl(var(--muted-foreground))'}
-                opacity={isMarker ? 0.85 : 0.6}
-              />
-            );
-          })}
-        </g>
+        {layers.length === 0 && (
+          <g
+            transform={`rotate(${dotsRotation} ${cx} ${cy})`}
+            opacity={isSkippedBar ? 0.25 : 0.45}
+            style={{ transition: 'transform 100ms linear' }}
+          >
+            {Array.from({ length: ROTATING_DOT_COUNT }, (_, i) => {
+              const angle = (i / ROTATING_DOT_COUNT) * Math.PI * 2 - Math.PI / 2;
+              const x = cx + Math.cos(angle) * dotsR;
+              const y = cy + Math.sin(angle) * dotsR;
+              const isMarker = i === 0; // one slightly stronger dot acts as a "needle"
+              return (
+                <circle
+                  key={i}
+                  cx={x}
+                  cy={y}
+                  r={isMarker ? 2.5 : 1.5}
+                  fill={isMarker ? 'hsl(var(--super-accent))' : 'hsl(var(--muted-foreground))'}
+                  opacity={isMarker ? 0.85 : 0.6}
+                />
+              );
+            })}
+          </g>
+        )}
+
+        {/* Polyrhythm layer rings */}
+        {layerRings.map((ring, li) => (
+          <g key={`layer-${li}`} opacity={isSkippedBar ? 0.4 : 1}>
+            {ring.segments.map((seg, k) => (
+              <g key={k}>
+                <Arc
+                  cx={cx}
+                  cy={cy}
+                  r={ring.r}
+                  fromDeg={seg.startDeg}
+                  toDeg={seg.endDeg}
+                  stroke="hsl(var(--muted-foreground))"
+                  strokeWidth={k === 0 ? 5 : 4}
+                  opacity={0.18}
+                  strokeLinecap="round"
+                />
+                {seg.fill > 0 && (
+                  <Arc
+                    cx={cx}
+                    cy={cy}
+                    r={ring.r}
+                    fromDeg={seg.startDeg}
+                    toDeg={seg.startDeg + (seg.endDeg - seg.startDeg) * seg.fill}
+                    stroke={ring.color}
+                    strokeWidth={k === 0 ? 5 : 4}
+                    opacity={1}
+                    strokeLinecap="round"
+                  />
+                )}
+              </g>
+            ))}
+          </g>
+        ))}
 
         {/* Outer measure-visualization ring — per-beat group, subdivided.
             On pulse: only the empty track + glow halo swell. The filled
@@ -472,3 +549,19 @@ function Arc({ cx, cy, r, fromDeg, toDeg, stroke, strokeWidth, opacity, strokeLi
 function clamp(v, lo, hi) {
   return Math.max(lo, Math.min(hi, v));
 }
+
+/**
+ * Pulse indices that start a group, or null when there is no grouping to
+ * show (missing, flat, or not matching the bar)
+ */
+function groupStartSet(grouping, beatsPerBar) {
+  if (!grouping || grouping.every((g) => g === 1)) return null;
+  if (grouping.reduce((a, b) => a + b, 0) !== beatsPerBar) return null;
+  const starts = new Set();
+  let at = 0;
+  for (const g of grouping) {
+    starts.add(at);
+    at += g;
+  }
+  return starts;
+}
@@ -7,12 +7,52 @@
  *
  * Beat callbacks fire close to audible time so the UI's beat indicator stays
  * synced with what the user hears.
+ *
+ * With a tempo map (setTempoMap) the scheduler plays a song's sections in
+ * order instead of the single bpm / meter / accent config: every click time
+ * is taken from tempoMap.beatOffset() relative to its section's start, so
+ * ramps and meter changes land exactly where the map says.
+ *
+ * In free tempo an optional TempoTrainer (setTempoTrainer) is asked for the
+ * next tempo at every bar line, which is how the speed-up ramps / ladder
+ * raise the BPM without stopping.
+ *
+ * Polyrhythm / polymeter layers (setLayers) ride on top of whichever config
+ * is active: each main pulse asks polyrhythm.layerHitsInPulse() which layer
+ * clicks fall inside it and schedules them at the same ramp-aware times as
+ * subdivisions, each layer with its own timbre and volume.
+ *
+ * Spoken-count timbres start each word early by its lead-in so the vowel,
+ * not the consonant, lands on the beat. While one is in use the lookahead
+ * and the first beat move out by VOICE_LEAD_S, so those early starts are
+ * still in the future when they're scheduled.
+ *
+ * Voice (voiceCues.js) rides on the same clock: an optional spoken count-in
+ * bar before the first beat, bar numbers or song section names on
+ * downbeats, and speak() for practice-session call-outs. The count-in and
+ * announcements widen the lookahead by VOICE_LEAD_S just as spoken counts do.
+ *
+ * MIDI clock (MidiClock.js): setClockOutputs() sends 24 ticks per quarter
+ * note, timestamped along the same ramp-aware grid as the clicks, with
+ * Start on the first beat and Stop on stop(). With setClockFollow(true)
+ * the engine instead takes its tempo and phase from syncToClock(): every
+ * pulse time is computed from the latest clock anchor, so onBeat times
+ * stay the times the clicks really play and listen-back scores as usual.
+ * Following plays the free-tempo config; songs, the trainer and the
+ * count-in sit out.
  */
 
-import { getClickBuffers } from './clickSamples.js';
+import { getClickBuffers, getCountBuffer, isSpokenTimbre } from './clickSamples.js';
+import { layerHitsInPulse, normalizeLayers } from './polyrhythm.js';
+import { normalizeSwing, swingFraction } from './swing.js';
+import { beatOffset, groupPosition, pulseSeconds, resolveSection, tempoAt } from './tempoMap.js';
+import { AnnounceMode, getVoiceBuffer, numberWords, sectionWords } from './voiceCues.js';
+import { MidiMessage, TICKS_PER_QUARTER, audioToPerformanceMs, performanceMsToAudio } from './MidiClock.js';
 
 const SCHEDULE_INTERVAL_MS = 25;
 const SCHEDULE_AHEAD_S = 0.12;
+const VOICE_LEAD_S = 0.25; // longest lead-in of a spoken count ("three", 165ms) + margin
+const VOICE_GAIN = 0.9;
 
 /**
  * Beat type enum used in accent patterns and onBeat callbacks.
@@ -24,31 +64,62 @@ export const BeatKind = {
 };
 
 export class MetronomeEngine {
-  constructor({ onBeat, onAudioContextChanged } = {}) {
+  constructor({ onBeat, onLayerBeat, onCountIn, onAudioContextChanged, onEnd } = {}) {
     this.onBeat = onBeat ?? (() => {});
+    // One call per layer click: { layer, layerId, time, index, beats, isDownbeat, barNumber, skipped }
+    this.onLayerBeat = onLayerBeat ?? (() => {});
+    // One call per count-in pulse: { time, beatIndex, count, isGroupStart }
+    this.onCountIn = onCountIn ?? (() => {});
     this.onAudioContextChanged = onAudioContextChanged ?? (() => {});
+    // Fires once a non-looping tempo map has played its last bar
+    this.onEnd = onEnd ?? (() => {});
 
     this.audioContext = null;
     this.masterGain = null;
 
     // Live config — mutate via setters
     this.bpm = 120;
+    this.baseBpm = 120; // last setBpm(); a trainer moves `bpm` away from it
     this.beatsPerBar = 4;
-    this.beatUnit = 4; // 4 = quarter; 8 = eighth (affects note value but not scheduling rate yet)
+    this.beatUnit = 4; // 4 = quarter; 8 = eighth — bpm counts quarters, clicks fall on this unit
+    this.grouping = [1, 1, 1, 1]; // pulses per felt beat, sums to beatsPerBar
     this.accentPattern = ['accent', 'regular', 'regular', 'regular']; // length === beatsPerBar
     this.timbre = 'woodblock';
     this.volume = 0.8;
     this.skipPattern = { playBars: 4, skipBars: 0 }; // 0 skip = always play
     this.subdivision = 1; // 1 = quarters, 2 = eighths, 3 = triplets, 4 = sixteenths
     this.subVolume = 0.5; // gain multiplier for subdivisions (relative to main click)
+    this.swing = 50; // % of an eighth / sixteenth pair taken by its first note (swing.js)
+    this.layers = []; // polyrhythm.js layers, played over the main click
+    this.countInBars = 0; // spoken bars before the first beat
+    this.announce = AnnounceMode.OFF;
 
     this.isRunning = false;
     this.nextBeatTime = 0; // AudioContext time of the next scheduled beat
     this.nextBeatIndex = 0; // 0-based index within current bar
     this.barCounter = 0;
+    this.pulseCounter = 0; // main pulses since start — polymeter layers cycle on it
     this.schedulerTimer = null;
 
-    // Pending UI beat events: { time, beatIndex, barNumber, kind }
+    // Tempo map: resolved sections + playback cursor (null = free tempo)
+    this.tempoMap = null; // { sections, loop }
+    this._mapCursor = null; // { section, beat, start }
+    this._mapEndTime = null;
+
+    this.tempoTrainer = null;
+
+    this._countIn = null; // { pulse, total } while counting in
+    this._voiceBusyUntil = -Infinity; // announcements never talk over each other
+
+    // MIDI clock
+    this.clockOutputs = []; // MIDIOutput-likes: send(data, timestampMs)
+    this.clockFollow = false;
+    this._clockAnchor = null; // { time, quarter, bpm } from syncToClock()
+    this._clockStarted = false; // Start sent, Stop owed
+
+    // Pending UI beat events: { time, beatIndex, barNumber, pulse, kind, skipped,
+    //   bpm, beatUnit, groupIndex, isGroupStart } (+ section info with a tempo
+    //   map), interleaved in time order with layer events (those have `layer`)
     this._pendingBeats = [];
     this._uiTimer = null;
   }
@@ -59,11 +130,15 @@ export class MetronomeEngine {
 
   setBpm(bpm) {
     this.bpm = clamp(bpm, 20, 300);
+    this.baseBpm = this.bpm;
   }
 
   setTimeSignature(beatsPerBar, beatUnit) {
     this.beatsPerBar = clamp(beatsPerBar | 0, 1, 16);
-    this.beatUnit = beatUnit | 0;
+    this.beatUnit = beatUnit | 0 || 4;
+    if (this.grouping.reduce((a, b) => a + b, 0) !== this.beatsPerBar) {
+      this.grouping = Array(this.beatsPerBar).fill(1);
+    }
     this._resizePattern();
     if (this.nextBeatIndex >= this.beatsPerBar) this.nextBeatIndex = 0;
   }
@@ -90,11 +165,118 @@ export class MetronomeEngine {
     };
   }
 
+  /**
+   * How the bar's pulses group into felt beats, e.g. [2, 2, 3] for 7/8.
+   * Ignored (flat) unless it adds up to beatsPerBar.
+   */
+  setGrouping(grouping) {
+    const fits = Array.isArray(grouping)
+      && grouping.reduce((a, b) => a + b, 0) === this.beatsPerBar;
+    this.grouping = fits ? [...grouping] : Array(this.beatsPerBar).fill(1);
+  }
+
+  /**
+   * Extra click layers (see polyrhythm.js); [] for just the main click.
+   * Takes effect from the next scheduled pulse.
+   */
+  setLayers(layers) {
+    this.layers = normalizeLayers(layers);
+  }
+
   setSubdivision(n) {
     this.subdivision = clamp(n | 0, 1, 6);
     this._resizePattern();
   }
 
+  /**
+   * Swing the off-beat subdivisions: 50 = straight, 67 = triplet shuffle,
+   * 75 = hard dotted swing. Applies to songs too; triplet subdivisions and
+   * layers stay straight.
+   */
+  setSwing(percent) {
+    this.swing = normalizeSwing(percent);
+  }
+
+  /** Spoken count-in before the first beat: 0 (off), 1 or 2 bars */
+  setCountIn(bars) {
+    this.countInBars = clamp(bars | 0, 0, 2);
+  }
+
+  /**
+   * Say bar numbers or section names on downbeats (AnnounceMode). Section
+   * names need a tempo map; in free tempo SECTIONS is silent.
+   */
+  setAnnouncements(mode) {
+    this.announce = Object.values(AnnounceMode).includes(mode) ? mode : AnnounceMode.OFF;
+  }
+
+  /**
+   * Send MIDI clock to these ports ([] to stop sending). Changed mid-run,
+   * the old ports are stopped and the new ones start at the next bar line.
+   * @param {Array<{ send: function(number[], number): void }>} outputs
+   */
+  setClockOutputs(outputs) {
+    this._stopClockOutputs();
+    this.clockOutputs = outputs ? [...outputs] : [];
+  }
+
+  /**
+   * Take tempo and phase from an external clock (syncToClock) instead of
+   * the bpm setting. Until the first sync after start() nothing plays.
+   */
+  setClockFollow(enabled) {
+    this.clockFollow = !!enabled;
+    this._clockAnchor = null;
+  }
+
+  /**
+   * The external clock says `quarter` quarter notes since its Start fell at
+   * `timeStamp`, at `bpm` (see MidiClockIn.onSync / startSync).
+   * @param {{ quarter: number, timeStamp: number, bpm: number }|null} sync
+   */
+  syncToClock(sync) {
+    if (!sync || !this.clockFollow || !this.isRunning) return;
+    const { quarter, timeStamp, bpm } = sync;
+    const first = !this._clockAnchor;
+    this.bpm = clamp(bpm, 20, 300);
+    this._clockAnchor = { time: performanceMsToAudio(this.audioContext, timeStamp), quarter, bpm };
+    // The downbeat may be only a few ms away: don't wait for the timer
+    if (first) this._scheduler();
+  }
+
+  /**
+   * Follow a song instead of the single bpm / meter config; pass null to go
+   * back to free tempo.
+   * @param {Array<object>|null} sections - tempoMap sections
+   * @param {object} options
+   * @param {boolean} options.loop - Start over after the last section
+   */
+  setTempoMap(sections, { loop = false } = {}) {
+    this.tempoMap = sections?.length
+      ? { sections: sections.map(resolveSection), loop }
+      : null;
+    if (!this.isRunning) return;
+    // Swapped while playing: the new map starts from the top on the next beat
+    this._mapEndTime = null;
+    if (this.nextBeatTime === Infinity) this.nextBeatTime = this.audioContext.currentTime + 0.06 + this._voiceLead();
+    this.nextBeatIndex = 0;
+    this._mapCursor = this.tempoMap && !this.clockFollow
+      ? { section: 0, beat: 0, start: this.nextBeatTime }
+      : null;
+  }
+
+  /**
+   * Let a TempoTrainer change the tempo at bar lines (free tempo only);
+   * null goes back to the plain setBpm() tempo.
+   * @param {import('./TempoTrainer.js').TempoTrainer|null} trainer
+   */
+  setTempoTrainer(trainer) {
+    if (trainer === this.tempoTrainer) return;
+    this.tempoTrainer = trainer;
+    this.bpm = this.baseBpm;
+    if (trainer && this.isRunning) trainer.reset(this.bpm, this.nextBeatTime);
+  }
+
   /**
    * Reshape the accent pattern to length beatsPerBar * subdivision.
    * When growing, new subdivision cells default to regular. When the new
@@ -150,8 +332,21 @@ export class MetronomeEngine {
     this.isRunning = true;
     this.nextBeatIndex = 0;
     this.barCounter = 0;
+    this.pulseCounter = 0;
     // Schedule the first beat slightly in the future so we never miss it
-    this.nextBeatTime = this.audioContext.currentTime + 0.06;
+    // (and, when it's spoken, its lead-in)
+    this.nextBeatTime = this.audioContext.currentTime + 0.06 + this._voiceLead();
+    this._mapCursor = null;
+    this._mapEndTime = null;
+    // Every session climbs from the set tempo again
+    if (this.tempoTrainer) this.bpm = this.baseBpm;
+    this._clockAnchor = null;
+    this._clockStarted = false;
+    const first = this.tempoMap?.sections[0] ?? this;
+    this._countIn = this.countInBars && !this.clockFollow
+      ? { pulse: 0, total: this.countInBars * first.beatsPerBar }
+      : null;
+    if (!this._countIn) this._startClock();
     this._pendingBeats = [];
     this._scheduler();
     this.schedulerTimer = setInterval(() => this._scheduler(), SCHEDULE_INTERVAL_MS);
@@ -161,6 +356,8 @@ export class MetronomeEngine {
   stop() {
     if (!this.isRunning) return;
     this.isRunning = false;
+    this._countIn = null;
+    this._stopClockOutputs();
     if (this.schedulerTimer) {
       clearInterval(this.schedulerTimer);
       this.schedulerTimer = null;
@@ -301,6 +498,21 @@ export class MetronomeEngine {
     this._beepTone(t + 0.18, 1320, 0.2, 0.65);
   }
 
+  /**
+   * Say a phrase (voiceCues.js words) over the click, e.g.
+   * VoicePhrase.NEXT_INTERVAL — right away, or queued behind whatever is
+   * still being said. Works whether or not the metronome runs.
+   * @param {string[]} words
+   * @param {number} [delay] - Seconds from now, e.g. to follow a chime
+   */
+  speak(words, delay = 0) {
+    this._ensureAudio();
+    const ctx = this.audioContext;
+    if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+    const voice = getVoiceBuffer(ctx, words);
+    this._playVoice(voice, Math.max(ctx.currentTime + delay, this._voiceBusyUntil + 0.1));
+  }
+
   /**
    * Subtle "5 seconds to go" cue — a single short low tone. Quieter than
    * playIntervalBeep so it reads as a heads-up rather than a transition.
@@ -339,6 +551,7 @@ export class MetronomeEngine {
     }
     const Ctor = window.AudioContext || window.webkitAudioContext;
     this.audioContext = new Ctor();
+    this._voiceBusyUntil = -Infinity; // a fresh context's clock starts at zero
     this.masterGain = this.audioContext.createGain();
     this.masterGain.gain.value = this.volume;
     this.masterGain.connect(this.audioContext.destination);
@@ -360,24 +573,35 @@ export class MetronomeEngine {
   _scheduler() {
     if (!this.isRunning) return;
     const now = this.audioContext.currentTime;
-    const horizon = now + SCHEDULE_AHEAD_S;
-    const beatDur = 60 / this.bpm;
+    const horizon = now + SCHEDULE_AHEAD_S + this._voiceLead();
+    if (this.clockFollow) {
+      if (!this._clockAnchor) return; // waiting for the external clock
+      this._catchUpClock(now);
+    }
 
     while (this.nextBeatTime < horizon) {
+      if (this._countIn) {
+        this._scheduleCountIn();
+        continue;
+      }
+      // The active config: the current section when following a map
+      const cfg = this._mapCursor ? this.tempoMap.sections[this._mapCursor.section] : this;
       const skipped = this._isSkippedBar(this.barCounter);
-      const subDur = beatDur / this.subdivision;
-      const mainKind = this._kindForCell(this.nextBeatIndex, 0);
+      const mainKind = this._kindForCell(cfg, this.nextBeatIndex, 0);
 
       // Schedule each subdivision cell with its own kind, looked up from
       // accentPattern[beatIndex * subdivision + s]. Sub-clicks (s > 0) get
       // the softer subVolume; the main click (s === 0) stays at full level.
-      for (let s = 0; s < this.subdivision; s++) {
-        const kind = this._kindForCell(this.nextBeatIndex, s);
+      // Swing moves the off-beat cells later inside their pair.
+      for (let s = 0; s < cfg.subdivision; s++) {
+        const kind = this._kindForCell(cfg, this.nextBeatIndex, s);
         if (kind !== BeatKind.SILENT && !skipped) {
           this._scheduleClick(
-            this.nextBeatTime + s * subDur,
+            this._cellTime(swingFraction(s / cfg.subdivision, cfg.subdivision, this.swing)),
             kind,
-            s === 0 ? 1.0 : this.subVolume
+            s === 0 ? 1.0 : this.subVolume,
+            this.timbre,
+            s === 0 ? this.nextBeatIndex + 1 : null
           );
         }
       }
@@ -387,23 +611,279 @@ export class MetronomeEngine {
         time: this.nextBeatTime,
         beatIndex: this.nextBeatIndex,
         barNumber: this.barCounter,
+        pulse: this.pulseCounter,
         kind: mainKind,
         skipped,
+        bpm: this.bpm,
+        beatUnit: cfg.beatUnit,
+        ...groupPosition(cfg.grouping, this.nextBeatIndex),
+        ...(this._mapCursor ? this._sectionInfo(cfg) : {}),
       });
+      if (this.layers.length) this._scheduleLayers(cfg, skipped);
+      if (this.clockOutputs.length) this._sendClock(cfg);
+      if (this.nextBeatIndex === 0 && !skipped && this.announce !== AnnounceMode.OFF) {
+        this._announceBar(cfg);
+      }
 
       // Advance
-      this.nextBeatTime += beatDur;
       this.nextBeatIndex += 1;
-      if (this.nextBeatIndex >= this.beatsPerBar) {
+      this.pulseCounter += 1;
+      if (this.nextBeatIndex >= cfg.beatsPerBar) {
         this.nextBeatIndex = 0;
         this.barCounter += 1;
       }
+      if (this._mapCursor) {
+        if (!this._advanceMap()) break;
+      } else if (this.clockFollow) {
+        this.nextBeatTime = this._clockTime(this.pulseCounter);
+      } else {
+        this.nextBeatTime += pulseSeconds(this.bpm, this.beatUnit);
+        if (this.nextBeatIndex === 0 && this.tempoTrainer) {
+          const next = this.tempoTrainer.onBar({
+            bar: this.barCounter,
+            time: this.nextBeatTime,
+            bpm: this.bpm,
+          });
+          this.bpm = clamp(next, 20, 300);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start the song / trainer clock at nextBeatTime: straight away, or when
+   * the count-in is over.
+   */
+  _startClock() {
+    if (this.clockFollow) return;
+    this._mapCursor = this.tempoMap ? { section: 0, beat: 0, start: this.nextBeatTime } : null;
+    this.tempoTrainer?.reset(this.bpm, this.nextBeatTime);
+  }
+
+  /**
+   * MIDI clock for the pulse about to play: 24 ticks per quarter along the
+   * same (ramp-aware) times as the clicks, led by Start on the first
+   * downbeat so followers begin at the top of a bar.
+   */
+  _sendClock(cfg) {
+    if (!this._clockStarted && this.nextBeatIndex !== 0) return; // followers start on a downbeat
+    const ticks = (TICKS_PER_QUARTER * 4) / cfg.beatUnit;
+    const stamps = [];
+    for (let k = 0; k < ticks; k++) {
+      stamps.push(audioToPerformanceMs(this.audioContext, this._cellTime(k / ticks)));
+    }
+    const start = !this._clockStarted;
+    this._clockStarted = true;
+    this.clockOutputs.forEach((out) => {
+      if (start) out.send([MidiMessage.START], stamps[0] - 1);
+      stamps.forEach((t) => out.send([MidiMessage.CLOCK], t));
+    });
+  }
+
+  _stopClockOutputs() {
+    if (!this._clockStarted) return;
+    // Drop ticks already queued ahead, then stop the followers now
+    this.clockOutputs.forEach((out) => {
+      out.clear?.();
+      out.send([MidiMessage.STOP]);
+    });
+    this._clockStarted = false;
+  }
+
+  /** When pulse `pulse` plays, going by the external clock's last sync */
+  _clockTime(pulse) {
+    const { time, quarter, bpm } = this._clockAnchor;
+    return time + ((pulse * 4) / this.beatUnit - quarter) * (60 / bpm);
+  }
+
+  /**
+   * Re-aim the next pulse at the latest sync. Pulses that should already
+   * have played (the downbeat, when the engine only heard of the Start
+   * after it) are passed over silently so the bar position stays locked
+   * to the clock.
+   */
+  _catchUpClock(now) {
+    this.nextBeatTime = this._clockTime(this.pulseCounter);
+    while (this.nextBeatTime < now + 0.005) {
+      this.nextBeatIndex = (this.nextBeatIndex + 1) % this.beatsPerBar;
+      if (this.nextBeatIndex === 0) this.barCounter += 1;
+      this.pulseCounter += 1;
+      this.nextBeatTime = this._clockTime(this.pulseCounter);
+    }
+  }
+
+  /**
+   * One pulse of the count-in, at the first section's (or the free) tempo
+   * and meter. The felt beats are counted — 6/8 is "one … two …" — and
+   * none of it reaches onBeat, so the tracker and the bar count start with
+   * the music.
+   */
+  _scheduleCountIn() {
+    const countIn = this._countIn;
+    const first = this.tempoMap?.sections[0] ?? this;
+    const beatIndex = countIn.pulse % first.beatsPerBar;
+    const { groupIndex, isGroupStart } = groupPosition(first.grouping, beatIndex);
+    if (isGroupStart) {
+      this._speakOnBeat(numberWords(groupIndex + 1), this.nextBeatTime, beatIndex === 0);
+    }
+    this._pendingBeats.push({
+      countIn: true,
+      time: this.nextBeatTime,
+      beatIndex,
+      count: groupIndex + 1,
+      isGroupStart,
+    });
+    countIn.pulse += 1;
+    this.nextBeatTime += pulseSeconds(this.tempoMap ? first.bpm : this.bpm, first.beatUnit);
+    if (countIn.pulse >= countIn.total) {
+      this._countIn = null;
+      this._startClock();
+    }
+  }
+
+  /**
+   * Downbeat announcement for the bar about to play. Bar numbers count from
+   * the start (from each section's start in a song); section names are
+   * called a bar early, except the first, which is called as it starts.
+   */
+  _announceBar(cfg) {
+    let words = null;
+    if (this.announce === AnnounceMode.BARS) {
+      const bar = this._mapCursor ? Math.floor(this._mapCursor.beat / cfg.beatsPerBar) : this.barCounter;
+      words = numberWords(bar + 1);
+    } else if (this._mapCursor) {
+      const { section, beat } = this._mapCursor;
+      const { sections, loop } = this.tempoMap;
+      if (this.barCounter === 0) {
+        words = sectionWords(cfg.name, section);
+      } else if (Math.floor(beat / cfg.beatsPerBar) === cfg.bars - 1) {
+        const next = section + 1 < sections.length ? section + 1 : loop ? 0 : null;
+        if (next != null) words = sectionWords(sections[next].name, next);
+      }
+    }
+    if (words) this._speakOnBeat(words, this.nextBeatTime, false, { skipIfBusy: true });
+  }
+
+  /**
+   * Start a phrase so its first vowel lands at `when`. With skipIfBusy the
+   * phrase is dropped rather than talking over the previous one (long bar
+   * numbers at fast tempos).
+   */
+  _speakOnBeat(words, when, accent = false, { skipIfBusy = false } = {}) {
+    const voice = getVoiceBuffer(this.audioContext, words, accent);
+    const start = Math.max(0, when - voice.lead);
+    if (skipIfBusy && start < this._voiceBusyUntil) return;
+    this._playVoice(voice, start);
+  }
+
+  _playVoice(voice, start) {
+    const src = this.audioContext.createBufferSource();
+    const g = this.audioContext.createGain();
+    src.buffer = voice.buffer;
+    g.gain.value = VOICE_GAIN;
+    src.connect(g);
+    g.connect(this.masterGain);
+    src.start(start);
+    this._voiceBusyUntil = Math.max(this._voiceBusyUntil, start + voice.duration);
+  }
+
+  /**
+   * Schedule every layer click inside the pulse about to play and queue
+   * their UI events, sorted so the pending queue stays in time order.
+   */
+  _scheduleLayers(cfg, skipped) {
+    const events = [];
+    this.layers.forEach((layer, li) => {
+      for (const hit of layerHitsInPulse(layer, cfg.beatsPerBar, this.nextBeatIndex, this.pulseCounter)) {
+        const time = this._cellTime(hit.fraction);
+        if (!skipped && layer.volume > 0) {
+          this._scheduleClick(
+            time,
+            hit.isDownbeat ? BeatKind.ACCENT : BeatKind.REGULAR,
+            layer.volume,
+            layer.timbre,
+            hit.index + 1
+          );
+        }
+        events.push({
+          layer: li,
+          layerId: layer.id,
+          time,
+          index: hit.index,
+          beats: layer.beats,
+          isDownbeat: hit.isDownbeat,
+          barNumber: this.barCounter,
+          skipped,
+        });
+      }
+    });
+    events.sort((a, b) => a.time - b.time);
+    this._pendingBeats.push(...events);
+  }
+
+  /**
+   * Time of a point `fraction` of a beat after the next beat. In free tempo
+   * beats are evenly spaced; inside a ramp the sub-clicks follow the curve.
+   */
+  _cellTime(fraction) {
+    if (!this._mapCursor) return this.nextBeatTime + fraction * pulseSeconds(this.bpm, this.beatUnit);
+    const { section, beat, start } = this._mapCursor;
+    return start + beatOffset(this.tempoMap.sections[section], beat + fraction);
+  }
+
+  _sectionInfo(section) {
+    const { section: sectionIndex, beat } = this._mapCursor;
+    return {
+      sectionIndex,
+      sectionName: section.name,
+      barInSection: Math.floor(beat / section.beatsPerBar),
+      sectionBars: section.bars,
+      beatsPerBar: section.beatsPerBar,
+      bpm: tempoAt(section, beat),
+    };
+  }
+
+  /**
+   * Move the map cursor one beat on, into the next section when this one is
+   * done. Returns false once a non-looping map has run out.
+   */
+  _advanceMap() {
+    const cursor = this._mapCursor;
+    const { sections, loop } = this.tempoMap;
+    let section = sections[cursor.section];
+    cursor.beat += 1;
+    if (cursor.beat >= section.totalBeats) {
+      // Next section starts exactly where this one's curve ends
+      cursor.start += beatOffset(section, section.totalBeats);
+      cursor.beat = 0;
+      cursor.section += 1;
+      this.nextBeatIndex = 0;
+      if (cursor.section >= sections.length) {
+        if (!loop) {
+          this._mapEndTime = cursor.start;
+          this.nextBeatTime = Infinity;
+          return false;
+        }
+        cursor.section = 0;
+      }
+      section = sections[cursor.section];
     }
+    this.nextBeatTime = cursor.start + beatOffset(section, cursor.beat);
+    return true;
+  }
+
+  /** Extra lookahead while anything is spoken, so words can start early */
+  _voiceLead() {
+    const spoken = this.countInBars > 0
+      || this.announce !== AnnounceMode.OFF
+      || isSpokenTimbre(this.timbre)
+      || this.layers.some((l) => isSpokenTimbre(l.timbre));
+    return spoken ? VOICE_LEAD_S : 0;
   }
 
-  _kindForCell(beatIndex, subInBeat) {
-    const idx = beatIndex * this.subdivision + subInBeat;
-    return this.accentPattern[idx] ?? BeatKind.REGULAR;
+  _kindForCell(cfg, beatIndex, subInBeat) {
+    const idx = beatIndex * cfg.subdivision + subInBeat;
+    return cfg.accentPattern[idx] ?? BeatKind.REGULAR;
   }
 
   _isSkippedBar(barNumber) {
@@ -414,9 +894,21 @@ export class MetronomeEngine {
     return mod >= playBars;
   }
 
-  _scheduleClick(when, kind, gainScale = 1) {
-    const buffers = getClickBuffers(this.audioContext, this.timbre);
-    const buf = kind === BeatKind.ACCENT ? buffers.accent : buffers.regular;
+  /**
+   * @param {number|null} [count] - 1-based beat number; spoken-count
+   *   timbres say it (started early by the word's lead-in), others ignore it
+   */
+  _scheduleClick(when, kind, gainScale = 1, timbre = this.timbre, count = null) {
+    const accent = kind === BeatKind.ACCENT;
+    let buf;
+    if (count != null && isSpokenTimbre(timbre)) {
+      const spoken = getCountBuffer(this.audioContext, count, accent);
+      buf = spoken.buffer;
+      when = Math.max(0, when - spoken.lead);
+    } else {
+      const buffers = getClickBuffers(this.audioContext, timbre);
+      buf = accent ? buffers.accent : buffers.regular;
+    }
     const src = this.audioContext.createBufferSource();
     src.buffer = buf;
     if (gainScale !== 1) {
@@ -440,11 +932,18 @@ export class MetronomeEngine {
     while (this._pendingBeats.length && this._pendingBeats[0].time <= now) {
       const beat = this._pendingBeats.shift();
       try {
-        this.onBeat(beat);
+        if (beat.countIn) this.onCountIn(beat);
+        else if (beat.layer != null) this.onLayerBeat(beat);
+        else this.onBeat(beat);
       } catch (e) {
         console.error('onBeat handler threw:', e);
       }
     }
+    if (this._mapEndTime != null && now >= this._mapEndTime) {
+      this.stop();
+      try { this.onEnd(); } catch (e) { console.error(e); }
+      return;
+    }
     this._uiTimer = requestAnimationFrame(() => this._flushUiBeats());
   }
 }
@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { ChevronsLeft, ChevronsRight, Headphones, Settings2 } from 'lucide-react';
 
-import { SharedSettings } from '@/core';
+import { SharedSettings, PracticeLog } from '@/core';
 import { Sheet, SheetContent, SheetHeader, SheetTitle } from '@/components/ui/sheet';
 import { Button } from '@/components/ui/button';
 
@@ -11,33 +11,38 @@ import { useWakeLock } from '@/lib/useWakeLock';
 import { MetronomeEngine } from './MetronomeEngine.js';
 import { MicListener } from './MicListener.js';
 import { HitTracker } from './HitTracker.js';
+import { ClickSampleStore } from './ClickSampleStore.js';
+import { setCustomTimbres } from './clickSamples.js';
+import { AnnounceMode, VoicePhrase } from './voiceCues.js';
+import { ClockMode, MidiClockIn } from './MidiClock.js';
+import { useMidiAccess } from './useMidiAccess.js';
 import { sensitivityToThreshold, T_MIN } from './sensitivity.js';
 import MetronomeDial from './MetronomeDial.jsx';
 import Sidebar from './Sidebar.jsx';
 import ListenBackPanel from './ListenBackPanel.jsx';
 import PracticeTracker from './PracticeTracker.jsx';
+import SongEditor from './SongEditor.jsx';
+import SongProgress from './SongProgress.jsx';
+import { TempoTrainer } from './TempoTrainer.js';
+import { layerPulseRatio, normalizeLayers } from './polyrhythm.js';
+import { normalizeSwing } from './swing.js';
+import TempoTrainerPanel from './TempoTrainerPanel.jsx';
+import { getTimeSignature, normalizePattern, resolveGrouping, resolveSection } from './tempoMap.js';
 import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
 
-const TIME_SIGNATURES = [
-  { key: '2/4', beatsPerBar: 2, beatUnit: 4 },
-  { key: '3/4', beatsPerBar: 3, beatUnit: 4 },
-  { key: '4/4', beatsPerBar: 4, beatUnit: 4 },
-  { key: '5/4', beatsPerBar: 5, beatUnit: 4 },
-  { key: '6/8', beatsPerBar: 6, beatUnit: 8 },
-  { key: '7/8', beatsPerBar: 7, beatUnit: 8 },
-  { key: '9/8', beatsPerBar: 9, beatUnit: 8 },
-  { key: '12/8', beatsPerBar: 12, beatUnit: 8 },
-];
-
 const SETTINGS_KEYS = [
   'metronomeBpm',
   'metronomeTimeSig',
+  'metronomeGrouping',
   'metronomeAccentPattern',
   'metronomeTimbre',
   'metronomeVolume',
   'metronomeSkipPlay',
   'metronomeSkipSkip',
   'metronomeSubdivision',
+  'metronomeSwing',
+  'metronomeCountIn',
+  'metronomeAnnounce',
   'metronomeListenBack',
   'metronomeListenSensitivity',
   'metronomeGridTriplets',
@@ -45,19 +50,39 @@ const SETTINGS_KEYS = [
   'metronomePracticeEnabled',
   'metronomePracticeSessionMinutes',
   'metronomePracticeIntervalMinutes',
+  'metronomePracticeVoice',
+  'metronomeSongs',
+  'metronomeSongId',
+  'metronomeTrainerEnabled',
+  'metronomeTrainerMode',
+  'metronomeTrainerStepBpm',
+  'metronomeTrainerEveryBars',
+  'metronomeTrainerMaxBpm',
+  'metronomeTrainerThreshold',
+  'metronomeLayers',
+  'metronomeScoreLayer',
+  'metronomeMidiClock',
+  'metronomeMidiPort',
   'settingsCollapsed',
 ];
 
 const TAP_WINDOW = 4;
 const TAP_RESET_MS = 2000;
+// Shorter runs (calibration, a quick listen) stay out of the practice log
+const MIN_LOGGED_RUN_MS = 10_000;
 
 export default function MetronomePage() {
   const settings = useMemo(() => new SharedSettings(), []);
+  const practiceLog = useMemo(() => new PracticeLog(), []);
+  const clickStore = useMemo(() => new ClickSampleStore(), []);
   const values = useSharedSettingValues(settings, SETTINGS_KEYS);
 
   const bpm = values.metronomeBpm ?? 120;
-  const timeSig = TIME_SIGNATURES.find((s) => s.key === values.metronomeTimeSig)
-    ?? TIME_SIGNATURES[2];
+  const timeSig = getTimeSignature(values.metronomeTimeSig);
+  const grouping = useMemo(
+    () => resolveGrouping(values.metronomeGrouping, timeSig),
+    [values.metronomeGrouping, timeSig]
+  );
   const accentPattern = normalizePattern(
     values.metronomeAccentPattern,
     timeSig.beatsPerBar,
@@ -68,6 +93,9 @@ export default function MetronomePage() {
   const playBars = values.metronomeSkipPlay ?? 4;
   const skipBars = values.metronomeSkipSkip ?? 0;
   const subdivision = values.metronomeSubdivision ?? 1;
+  const swing = normalizeSwing(values.metronomeSwing);
+  const countInBars = values.metronomeCountIn ?? 0;
+  const announce = values.metronomeAnnounce ?? AnnounceMode.OFF;
   const listenBack = !!values.metronomeListenBack;
   // Sensitivity is now a 1..100 slider value; coerce legacy raw thresholds.
   const rawSens = values.metronomeListenSensitivity;
@@ -78,19 +106,53 @@ export default function MetronomePage() {
   const practiceEnabled = !!values.metronomePracticeEnabled;
   const practiceSessionMin = Math.max(1, values.metronomePracticeSessionMinutes ?? 10);
   const practiceIntervalMin = Math.max(1, values.metronomePracticeIntervalMinutes ?? 1);
+  const practiceVoice = !!values.metronomePracticeVoice;
   const totalIntervals = Math.max(1, Math.ceil(practiceSessionMin / practiceIntervalMin));
   const intervalDurationSec = practiceIntervalMin * 60;
   const sidebarCollapsed = !!values.settingsCollapsed;
+  const songs = values.metronomeSongs ?? [];
+  const songIndex = songs.findIndex((s) => s.id === values.metronomeSongId);
+  const song = songIndex >= 0 ? songs[songIndex] : null;
+  // The trainer only drives free tempo; a song owns its own tempo
+  const trainerActive = !!values.metronomeTrainerEnabled && !song;
+  const layers = useMemo(() => normalizeLayers(values.metronomeLayers), [values.metronomeLayers]);
+  // Listen-back scores against this layer's clicks instead of the main click
+  const scoreLayer = listenBack
+    ? layers.find((l) => l.id === values.metronomeScoreLayer) ?? null
+    : null;
+  const midiMode = values.metronomeMidiClock ?? ClockMode.OFF;
+  const midiPortId = values.metronomeMidiPort ?? null;
+  const midi = useMidiAccess(midiMode !== ClockMode.OFF);
+  const trainerOptions = {
+    mode: values.metronomeTrainerMode,
+    stepBpm: values.metronomeTrainerStepBpm,
+    everyBars: values.metronomeTrainerEveryBars,
+    maxBpm: values.metronomeTrainerMaxBpm,
+    threshold: values.metronomeTrainerThreshold,
+  };
 
   const [isRunning, setIsRunning] = useState(false);
   const [currentBeat, setCurrentBeat] = useState(-1);
+  const [currentPulse, setCurrentPulse] = useState(0);
   const [lastBeatTime, setLastBeatTime] = useState(null);
   const [isSkippedBar, setIsSkippedBar] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  // Song editor sheet: null = closed, { song } = open (song null for a new one)
+  const [songEditor, setSongEditor] = useState(null);
+  // Section info of the latest beat while a song plays (see SongProgress)
+  const [songPosition, setSongPosition] = useState(null);
+  // Tempo of the latest beat while playing (ramps / trainer move it off `bpm`)
+  const [playingBpm, setPlayingBpm] = useState(null);
+  // Copy of the trainer's log, refreshed whenever it grows
+  const [trainerLog, setTrainerLog] = useState([]);
 
   const engineRef = useRef(null);
   const tapsRef = useRef([]);
   const trackerRef = useRef(null);
+  const trainerRef = useRef(null);
+  const scoreLayerRef = useRef(null); // read by the engine callbacks
+  const runRef = useRef(null); // { startedAt, bpm, endBpm } of the run being logged
+  const logRunRef = useRef(null);
   const micRef = useRef(null);
   const levelBufferRef = useRef([]);
   const calibrationRef = useRef(null); // { beats: [], hits: [] } when active
@@ -112,6 +174,7 @@ export default function MetronomePage() {
   const sessionStartRef = useRef(0); // engine.now() at session start
   const lastIntervalRef = useRef(0); // last interval index we beeped on
   const lastWarnedIntervalRef = useRef(-1); // interval index we already warned for (5s pre-cue)
+  const minutesCuedRef = useRef(false); // "two minutes left" already said this session
 
   // Keep the screen awake while the metronome is playing, listen-back is on,
   // or a practice session is running. Released as soon as everything stops.
@@ -124,18 +187,76 @@ export default function MetronomePage() {
     trackEvent('tool_open', { tool: 'metronome' });
     const tracker = new HitTracker();
     trackerRef.current = tracker;
+    const trainer = new TempoTrainer({
+      getStats: (windowSeconds) => tracker.getStats({ windowSeconds }),
+    });
+    trainerRef.current = trainer;
 
     const engine = new MetronomeEngine({
       onBeat: (beat) => {
+        if (!runRef.current) {
+          // First beat of a run: start a fresh whole-session tally
+          tracker.resetTotals();
+          runRef.current = { startedAt: Date.now(), bpm: beat.bpm };
+        }
+        runRef.current.endBpm = beat.bpm;
         setCurrentBeat(beat.beatIndex);
+        setCurrentPulse(beat.pulse);
         setLastBeatTime(beat.time);
         setIsSkippedBar(beat.skipped);
-        tracker.addExpectedBeat(beat);
+        const scored = scoreLayerRef.current;
+        if (!scored) tracker.addExpectedBeat(beat);
+        setPlayingBpm(beat.bpm);
+        // Songs and the trainer change tempo (and songs the meter) under
+        // the tracker; keep its pulse math current
+        tracker.setBpm(beat.bpm);
+        const barPulses = beat.beatsPerBar ?? engine.beatsPerBar;
+        const pulseRatio = scored ? layerPulseRatio(scored, barPulses) : 1;
+        // A scored layer's clicks count their own cycle
+        const beatsPerBar = scored ? scored.beats : barPulses;
+        const grid = tracker.gridConfig;
+        if (beat.beatUnit !== grid.beatUnit || pulseRatio !== grid.pulseRatio || beatsPerBar !== grid.beatsPerBar) {
+          tracker.setGridConfig({ beatUnit: beat.beatUnit, pulseRatio, beatsPerBar });
+        }
+        if (beat.sectionIndex != null) {
+          setSongPosition({
+            sectionIndex: beat.sectionIndex,
+            barInSection: beat.barInSection,
+            sectionBars: beat.sectionBars,
+          });
+        }
+        if (engine.tempoTrainer) {
+          setTrainerLog((prev) => (prev.length === trainer.log.length && prev[0] === trainer.log[0]
+            ? prev
+            : trainer.log.slice()));
+        }
         // Calibration sample collection — raw scheduled beat times
         if (calibrationRef.current && !beat.skipped && beat.kind !== 'silent') {
           calibrationRef.current.beats.push(beat.time);
         }
       },
+      onLayerBeat: (click) => {
+        if (click.layerId !== scoreLayerRef.current?.id) return;
+        tracker.addExpectedBeat({
+          time: click.time,
+          beatIndex: click.index,
+          barNumber: click.barNumber,
+          kind: click.isDownbeat ? 'accent' : 'regular',
+          skipped: click.skipped,
+        });
+      },
+      onCountIn: (beat) => {
+        // Light the dial through the count-in; the tracker waits for the music
+        setCurrentBeat(beat.beatIndex);
+        setLastBeatTime(beat.time);
+      },
+      onEnd: () => {
+        // A non-looping song ran out
+        setIsRunning(false);
+        setCurrentBeat(-1);
+        setIsSkippedBar(false);
+        setLastBeatTime(null);
+      },
       onAudioContextChanged: () => {
         // Engine recreated its AudioContext — any active mic listener is
         // wired to a now-closed context. Rebuild it.
@@ -145,31 +266,172 @@ export default function MetronomePage() {
     engineRef.current = engine;
 
     return () => {
+      logRunRef.current?.(); // leaving the page mid-run still counts
       engine.dispose();
       engineRef.current = null;
       trackerRef.current = null;
+      trainerRef.current = null;
     };
   }, []);
 
-  // Push every settings change into the engine. Cheap and idempotent.
+  // Practice log: one entry per run of the click, written when it stops
+  logRunRef.current = () => {
+    const run = runRef.current;
+    runRef.current = null;
+    if (!run) return;
+    const durationMs = Date.now() - run.startedAt;
+    if (durationMs < MIN_LOGGED_RUN_MS) return;
+    const totals = trackerRef.current?.getTotals();
+    practiceLog.add({
+      tool: 'metronome',
+      startedAt: run.startedAt,
+      durationMs,
+      bpm: Math.round(run.bpm),
+      endBpm: Math.round(run.endBpm),
+      timeSig: values.metronomeTimeSig,
+      song: song?.name ?? null,
+      hits: totals?.hits ?? 0,
+      onGridPct: totals?.onGridPct ?? null,
+      avgOffsetMs: totals?.avgGridOffsetMs ?? null,
+    }).catch((e) => console.error('Failed to log metronome run:', e));
+  };
+  useEffect(() => {
+    if (!isRunning) logRunRef.current?.();
+  }, [isRunning]);
+
+  // Uploaded click sounds join the timbre list once loaded, and again
+  // whenever one is added or deleted.
+  useEffect(() => {
+    let alive = true;
+    const load = () => clickStore.list()
+      .then((entries) => { if (alive) setCustomTimbres(entries); })
+      .catch((e) => console.error('Failed to load click sounds:', e));
+    load();
+    const unsubscribe = clickStore.subscribe(load);
+    return () => {
+      alive = false;
+      unsubscribe();
+    };
+  }, [clickStore]);
+
+  // Tempo gets its own effect: re-pushing it on unrelated changes (volume,
+  // timbre…) would undo whatever the tempo trainer has climbed to.
+  useEffect(() => {
+    engineRef.current?.setBpm(bpm);
+    trackerRef.current?.setBpm(bpm);
+  }, [bpm]);
+
+  // Push every other settings change into the engine. Cheap and idempotent.
   useEffect(() => {
     const e = engineRef.current;
     if (!e) return;
-    e.setBpm(bpm);
     e.setTimeSignature(timeSig.beatsPerBar, timeSig.beatUnit);
+    e.setGrouping(grouping);
     e.setAccentPattern(accentPattern);
     e.setTimbre(timbre);
     e.setVolume(volume);
     e.setSkipPattern(playBars, skipBars);
     e.setSubdivision(subdivision);
+    e.setSwing(swing);
+    e.setCountIn(countInBars);
+    e.setAnnouncements(announce);
 
     // Tracker also needs to know BPM + grid config for offset math
+    // (subdivision is set below, along with the scored layer)
+    trackerRef.current?.setGridConfig({
+      includeTriplets: showTriplets,
+      beatUnit: timeSig.beatUnit,
+    });
+  }, [
+    timeSig, grouping, accentPattern, timbre, volume, playBars, skipBars, subdivision, swing,
+    countInBars, announce, showTriplets,
+  ]);
+
+  useEffect(() => {
+    engineRef.current?.setLayers(layers);
+  }, [layers]);
+
+  // Switching what listen-back scores against starts a fresh history — old
+  // expected beats belong to the other grid. Layer clicks have no
+  // subdivisions (or swing) of their own.
+  const scoreLayerId = scoreLayer?.id ?? null;
+  useEffect(() => {
     const tracker = trackerRef.current;
-    if (tracker) {
-      tracker.setBpm(bpm);
-      tracker.setGridConfig({ includeTriplets: showTriplets, subdivision });
-    }
-  }, [bpm, timeSig, accentPattern, timbre, volume, playBars, skipBars, subdivision, showTriplets]);
+    if (!tracker) return;
+    if (scoreLayerRef.current?.id !== scoreLayerId) tracker.reset();
+    scoreLayerRef.current = scoreLayer;
+    tracker.setGridConfig({
+      subdivision: scoreLayer ? 1 : subdivision,
+      swing: scoreLayer ? 50 : swing,
+      pulseRatio: scoreLayer ? layerPulseRatio(scoreLayer, timeSig.beatsPerBar) : 1,
+      beatsPerBar: scoreLayer ? scoreLayer.beats : timeSig.beatsPerBar,
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scoreLayerId, scoreLayer?.mode, scoreLayer?.beats, subdivision, swing, timeSig]);
+
+  // The selected setlist song (if any) takes over tempo, meter and accents
+  useEffect(() => {
+    engineRef.current?.setTempoMap(song?.sections ?? null, { loop: !!song?.loop });
+    setSongPosition(null);
+  }, [song]);
+
+  useEffect(() => {
+    if (isRunning) return;
+    setSongPosition(null);
+    setPlayingBpm(null);
+  }, [isRunning]);
+
+  // MIDI clock out: the engine timestamps ticks onto the chosen ports
+  useEffect(() => {
+    const ports = midiMode === ClockMode.SEND
+      ? midi.outputs.filter((o) => !midiPortId || o.id === midiPortId)
+      : [];
+    engineRef.current?.setClockOutputs(ports);
+  }, [midiMode, midiPortId, midi.outputs]);
+
+  // MIDI clock in: the device's Start / Stop drive the transport and its
+  // ticks the tempo and phase
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    const follow = midiMode === ClockMode.FOLLOW;
+    engine.setClockFollow(follow);
+    if (!follow) return;
+    const stopEngine = () => {
+      engine.stop();
+      setIsRunning(false);
+      setCurrentBeat(-1);
+      setIsSkippedBar(false);
+      setLastBeatTime(null);
+    };
+    const clock = new MidiClockIn({
+      onStart: () => {
+        if (engine.isRunning) engine.stop(); // a restart starts the bar over
+        engine.start().then(() => {
+          // Anchor the downbeat on Start: tick 0's own sync comes too late to play it
+          engine.syncToClock(clock.startSync(engine.bpm));
+          setIsRunning(true);
+        }).catch(() => {});
+      },
+      onStop: stopEngine,
+      onSync: (sync) => engine.syncToClock(sync),
+    });
+    const inputs = midi.inputs.filter((i) => !midiPortId || i.id === midiPortId);
+    const onMessage = (e) => clock.handleMessage(e.data, e.timeStamp);
+    inputs.forEach((i) => i.addEventListener('midimessage', onMessage));
+    return () => inputs.forEach((i) => i.removeEventListener('midimessage', onMessage));
+  }, [midiMode, midiPortId, midi.inputs]);
+
+  const trainerKey = JSON.stringify(trainerOptions);
+  useEffect(() => {
+    const engine = engineRef.current;
+    const trainer = trainerRef.current;
+    if (!engine || !trainer) return;
+    trainer.configure(trainerOptions);
+    engine.setTempoTrainer(trainerActive ? trainer : null);
+    if (trainerActive) setTrainerLog(trainer.log.slice());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trainerActive, trainerKey]);
 
   // Manual latency override → tracker. When manualLatencyMs is set, it
   // takes over from audioContext.outputLatency so calibration / typed
@@ -205,6 +467,7 @@ export default function MetronomePage() {
       sessionStartRef.current = engine.now();
       lastIntervalRef.current = 0;
       lastWarnedIntervalRef.current = -1;
+      minutesCuedRef.current = false;
       setIntervalIndex(0);
       setIntervalRemainingSec(intervalDurationSec);
       // Make sure the metronome is playing
@@ -248,6 +511,15 @@ export default function MetronomePage() {
       if (idx > lastIntervalRef.current) {
         lastIntervalRef.current = idx;
         engine.playIntervalBeep();
+        // Spoken once the chime has rung out
+        if (practiceVoice) {
+          engine.speak(idx === totalIntervals - 1 ? VoicePhrase.LAST_INTERVAL : VoicePhrase.NEXT_INTERVAL, 0.45);
+        }
+      }
+      // Only worth saying when there was a good while before it
+      if (practiceVoice && !minutesCuedRef.current && totalDur > 180 && totalDur - elapsed <= 120) {
+        minutesCuedRef.current = true;
+        engine.speak(VoicePhrase.TWO_MINUTES_LEFT);
       }
       // Subtle 5s heads-up before the next transition (or session end).
       // Suppressed for very short intervals where the warning would
@@ -268,7 +540,7 @@ export default function MetronomePage() {
     };
     raf = requestAnimationFrame(tick);
     return () => cancelAnimationFrame(raf);
-  }, [practiceState, practiceSessionMin, intervalDurationSec, totalIntervals]);
+  }, [practiceState, practiceSessionMin, intervalDurationSec, totalIntervals, practiceVoice]);
 
   // If the metronome stops externally during a session, end the session
   useEffect(() => {
@@ -436,9 +708,16 @@ export default function MetronomePage() {
     }
   };
 
-  const handleBpmChange = (next) => settings.set('metronomeBpm', next);
+  const handleBpmChange = (next) => {
+    if (song) return; // the song's sections own the tempo
+    settings.set('metronomeBpm', next);
+  };
 
   const handleTap = () => {
+    if (song) {
+      setTapHint('tempo comes from the song');
+      return;
+    }
     const now = performance.now();
     tapsRef.current.push(now);
     if (tapsRef.current.length > TAP_WINDOW) tapsRef.current.shift();
@@ -591,11 +870,43 @@ export default function MetronomePage() {
     });
   };
 
+  const handleEditSong = (id) => {
+    setSongEditor({ song: songs.find((s) => s.id === id) ?? null });
+    setSidebarOpen(false);
+  };
+
+  const handleSaveSong = (next) => {
+    const exists = songs.some((s) => s.id === next.id);
+    settings.set(
+      'metronomeSongs',
+      exists ? songs.map((s) => (s.id === next.id ? next : s)) : [...songs, next]
+    );
+    settings.set('metronomeSongId', next.id);
+    setSongEditor(null);
+    trackEvent('metronome_song_saved', { sections: next.sections.length });
+  };
+
+  const handleDeleteSong = (id) => {
+    if (values.metronomeSongId === id) settings.set('metronomeSongId', null);
+    settings.set('metronomeSongs', songs.filter((s) => s.id !== id));
+    setSongEditor(null);
+  };
+
   const resetLatency = () => {
     settings.set('metronomeLatencyMs', 12);
     setCalibrationStatus({ kind: 'success', message: 'Reset to default (12ms).' });
   };
 
+  // In song mode the dial shows the section that is playing (or about to)
+  const dialSection = useMemo(
+    () => (song ? resolveSection(song.sections[songPosition?.sectionIndex ?? 0]) : null),
+    [song, songPosition?.sectionIndex]
+  );
+  const dialTimeSig = dialSection
+    ? song.sections[songPosition?.sectionIndex ?? 0].timeSig
+    : timeSig.key;
+  const liveBpm = Math.round(playingBpm ?? dialSection?.bpm ?? bpm);
+
   return (
     <div className="relative flex h-full">
       {sidebarCollapsed && (
@@ -613,19 +924,23 @@ export default function MetronomePage() {
       {/* Main metronome area */}
       <div className="no-scrollbar flex flex-1 min-w-0 flex-col items-center justify-center gap-3 overflow-y-auto p-3 sm:p-4">
         <MetronomeDial
-          bpm={bpm}
+          bpm={liveBpm}
           onBpmChange={handleBpmChange}
           isRunning={isRunning}
           onToggle={handleToggle}
           onTap={handleTap}
-          beatsPerBar={timeSig.beatsPerBar}
-          accentPattern={accentPattern}
+          beatsPerBar={dialSection?.beatsPerBar ?? timeSig.beatsPerBar}
+          accentPattern={dialSection?.accentPattern ?? accentPattern}
           currentBeat={currentBeat}
           lastBeatTime={lastBeatTime}
           getNow={getNow}
           isSkippedBar={isSkippedBar}
-          timeSig={timeSig.key}
-          subdivision={subdivision}
+          timeSig={dialTimeSig}
+          subdivision={dialSection?.subdivision ?? subdivision}
+          beatUnit={dialSection?.beatUnit ?? timeSig.beatUnit}
+          grouping={dialSection?.grouping ?? grouping}
+          layers={layers}
+          currentPulse={currentPulse}
         />
 
         {/* Action row — minimal, no-border affordances styled like the dial's
@@ -655,6 +970,25 @@ export default function MetronomePage() {
           {tapHint && <span className="text-xs text-muted-foreground">{tapHint}</span>}
         </div>
 
+        {song && (
+          <SongProgress
+            song={song}
+            position={songPosition}
+            onPrev={songIndex > 0 ? () => settings.set('metronomeSongId', songs[songIndex - 1].id) : undefined}
+            onNext={songIndex < songs.length - 1 ? () => settings.set('metronomeSongId', songs[songIndex + 1].id) : undefined}
+          />
+        )}
+
+        {trainerActive && (
+          <TempoTrainerPanel
+            log={trainerLog}
+            mode={trainerOptions.mode}
+            maxBpm={trainerOptions.maxBpm ?? 180}
+            threshold={trainerOptions.threshold ?? 80}
+            bpm={liveBpm}
+          />
+        )}
+
         {practiceEnabled && (
           <PracticeTracker
             state={practiceState}
@@ -681,7 +1015,11 @@ export default function MetronomePage() {
               tracker={trackerRef.current}
               getNow={getNow}
               isActive={listenBack}
-              bpm={bpm}
+              bpm={liveBpm}
+              beatUnit={dialSection?.beatUnit ?? timeSig.beatUnit}
+              pulseRatio={scoreLayer
+                ? layerPulseRatio(scoreLayer, dialSection?.beatsPerBar ?? timeSig.beatsPerBar)
+                : 1}
               height={140}
               showTriplets={showTriplets}
               onToggleTriplets={() => settings.set('metronomeGridTriplets', !showTriplets)}
@@ -715,6 +1053,9 @@ export default function MetronomePage() {
               calibrationStatus={calibrationStatus}
               onStartCalibration={startCalibration}
               onResetLatency={resetLatency}
+              onEditSong={handleEditSong}
+              clickStore={clickStore}
+              midi={midi}
             />
           </div>
         </aside>
@@ -734,35 +1075,33 @@ export default function MetronomePage() {
               calibrationStatus={calibrationStatus}
               onStartCalibration={startCalibration}
               onResetLatency={resetLatency}
+              onEditSong={handleEditSong}
+              clickStore={clickStore}
+              midi={midi}
             />
           </div>
         </SheetContent>
       </Sheet>
+
+      {/* Song editor */}
+      <Sheet open={!!songEditor} onOpenChange={(open) => !open && setSongEditor(null)}>
+        <SheetContent side="right" className="no-scrollbar w-full overflow-y-auto sm:max-w-xl">
+          <SheetHeader>
+            <SheetTitle>{songEditor?.song ? 'Edit song' : 'New song'}</SheetTitle>
+          </SheetHeader>
+          <div className="mt-4">
+            {songEditor && (
+              <SongEditor
+                key={songEditor.song?.id ?? 'new'}
+                song={songEditor.song}
+                onSave={handleSaveSong}
+                onDelete={handleDeleteSong}
+                onCancel={() => setSongEditor(null)}
+              />
+            )}
+          </div>
+        </SheetContent>
+      </Sheet>
     </div>
   );
 }
-
-function normalizePattern(value, beatsPerBar, subdivision = 1) {
-  const desired = beatsPerBar * subdivision;
-  if (Array.isArray(value) && value.length === desired) return value;
-  const oldSub = Array.isArray(value) && beatsPerBar > 0
-    ? Math.max(1, Math.round(value.length / beatsPerBar))
-    : 1;
-  const arr = [];
-  for (let i = 0; i < desired; i++) {
-    const beatIdx = Math.floor(i / subdivision);
-    const subInBeat = i % subdivision;
-    let kind;
-    if (subInBeat === 0) {
-      const oldIdx = beatIdx * oldSub;
-      kind = (Array.isArray(value) ? value[oldIdx] : null)
-        ?? (beatIdx === 0 ? 'accent' : 'regular');
-    } else if (oldSub === subdivision && Array.isArray(value)) {
-      kind = value[beatIdx * oldSub + subInBeat] ?? 'regular';
-    } else {
-      kind = 'regular';
-    }
-    arr.push(kind);
-  }
-  return arr;
-}
@@ -0,0 +1,188 @@
+/**
+ * MIDI clock — the 24-pulses-per-quarter-note timing messages drum
+ * machines and DAWs use to stay in step. The engine sends it
+ * (MetronomeEngine.setClockOutputs) and can follow it (syncToClock); this
+ * module holds the message bytes, the Web MIDI plumbing and MidiClockIn,
+ * which turns a stream of incoming ticks into a steady tempo + position:
+ *
+ *   Start   Clock Clock Clock … (24 per quarter) …   Stop
+ *     │       │                                        │
+ *   onStart   tick 0 = the downbeat; every 6 ticks   onStop
+ *             onSync({ quarter, timeStamp, bpm })
+ *
+ * Tick 0's sync only arrives once the downbeat is due, too late to play
+ * it; startSync() places it ahead of time, one tick after Start.
+ *
+ * Tick timestamps arrive with a few ms of jitter, so the tempo and the
+ * tick times handed on are read off a least-squares line through the last
+ * TEMPO_WINDOW ticks rather than taken raw.
+ *
+ * Times are DOMHighResTimeStamps (performance.now() ms), which is what
+ * MIDIMessageEvent.timeStamp and MIDIOutput.send() use; audioToPerformanceMs
+ * and performanceMsToAudio convert to and from an AudioContext's clock at
+ * the moment a sound is heard.
+ */
+
+export const MidiMessage = {
+  CLOCK: 0xf8,
+  START: 0xfa,
+  CONTINUE: 0xfb,
+  STOP: 0xfc,
+};
+
+export const TICKS_PER_QUARTER = 24;
+
+/** Where the metronome's clock comes from / goes (`metronomeMidiClock`) */
+export const ClockMode = {
+  OFF: 'off',
+  SEND: 'send',
+  FOLLOW: 'follow',
+};
+
+const TEMPO_WINDOW = 48; // ticks = two quarters
+const SYNC_EVERY = 6; // ticks = a sixteenth
+const MAX_TICK_GAP_MS = 500; // slower than 5 BPM: the clock was paused
+
+export class MidiClockIn {
+  /**
+   * @param {object} [callbacks]
+   * @param {function(number): void} [callbacks.onStart] - Start or Continue, with its timeStamp
+   * @param {function(): void} [callbacks.onStop]
+   * @param {function({ quarter: number, timeStamp: number, bpm: number }): void} [callbacks.onSync]
+   *   While running: `quarter` quarter notes since Start fell at `timeStamp`
+   */
+  constructor({ onStart, onStop, onSync } = {}) {
+    this.onStart = onStart ?? (() => {});
+    this.onStop = onStop ?? (() => {});
+    this.onSync = onSync ?? (() => {});
+    this.running = false;
+    this.position = -1; // ticks since Start; the first tick is 0
+    this.startedAt = null; // timeStamp of the latest Start / Continue
+    this._ticks = []; // { n, t } for the tempo fit
+    this._count = 0;
+  }
+
+  /** Current tempo estimate, or null until enough ticks have arrived */
+  get bpm() {
+    const fit = this._fit();
+    return fit ? 60000 / (TICKS_PER_QUARTER * fit.slope) : null;
+  }
+
+  /**
+   * Feed one MIDI message (a MIDIMessageEvent's data + timeStamp)
+   * @param {Uint8Array|number[]} data
+   * @param {number} timeStamp - ms, performance.now() clock
+   */
+  handleMessage(data, timeStamp) {
+    switch (data[0]) {
+      case MidiMessage.CLOCK:
+        this._tick(timeStamp);
+        break;
+      case MidiMessage.START:
+      case MidiMessage.CONTINUE:
+        // Continue would resume mid-song; without song position we restart
+        // the bar, which is what a click needs anyway
+        this.running = true;
+        this.position = -1;
+        this.startedAt = timeStamp;
+        this.onStart(timeStamp);
+        break;
+      case MidiMessage.STOP:
+        if (!this.running) break;
+        this.running = false;
+        this.onStop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Where quarter 0 falls after the latest Start: the first Clock, due a
+   * tick later at the current tempo (or `fallbackBpm` while none is known).
+   * Shaped like an onSync payload.
+   * @param {number} fallbackBpm
+   * @returns {{ quarter: number, timeStamp: number, bpm: number }|null} Null unless running
+   */
+  startSync(fallbackBpm) {
+    if (!this.running || this.startedAt == null) return null;
+    const bpm = this.bpm ?? fallbackBpm;
+    return { quarter: 0, timeStamp: this.startedAt + 60000 / (TICKS_PER_QUARTER * bpm), bpm };
+  }
+
+  _tick(timeStamp) {
+    const last = this._ticks.at(-1);
+    if (last && timeStamp - last.t > MAX_TICK_GAP_MS) this._ticks = [];
+    this._ticks.push({ n: this._count++, t: timeStamp });
+    if (this._ticks.length > TEMPO_WINDOW) this._ticks.shift();
+    if (!this.running) return;
+
+    this.position += 1;
+    if (this.position % SYNC_EVERY !== 0) return;
+    const fit = this._fit();
+    if (!fit) return;
+    this.onSync({
+      quarter: this.position / TICKS_PER_QUARTER,
+      timeStamp: fit.at(this._count - 1),
+      bpm: 60000 / (TICKS_PER_QUARTER * fit.slope),
+    });
+  }
+
+  /** Least-squares line t = intercept + slope·n through the recent ticks */
+  _fit() {
+    const ticks = this._ticks;
+    if (ticks.length < SYNC_EVERY) return null;
+    const meanN = ticks.reduce((s, p) => s + p.n, 0) / ticks.length;
+    const meanT = ticks.reduce((s, p) => s + p.t, 0) / ticks.length;
+    let num = 0;
+    let den = 0;
+    for (const p of ticks) {
+      num += (p.n - meanN) * (p.t - meanT);
+      den += (p.n - meanN) ** 2;
+    }
+    const slope = num / den;
+    if (!(slope > 0)) return null;
+    return { slope, at: (n) => meanT + slope * (n - meanN) };
+  }
+}
+
+/**
+ * performance.now() time at which audio scheduled for `time` is heard.
+ * Uses getOutputTimestamp() where the browser has it; otherwise assumes
+ * the reported output latency.
+ * @param {AudioContext} ctx
+ * @param {number} time - AudioContext seconds
+ * @returns {number} ms
+ */
+export function audioToPerformanceMs(ctx, time) {
+  const stamp = ctx.getOutputTimestamp?.();
+  if (stamp?.performanceTime > 0) return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+  return performance.now() + (time - ctx.currentTime + outputLatency(ctx)) * 1000;
+}
+
+/** Inverse of audioToPerformanceMs */
+export function performanceMsToAudio(ctx, ms) {
+  const stamp = ctx.getOutputTimestamp?.();
+  if (stamp?.performanceTime > 0) return stamp.contextTime + (ms - stamp.performanceTime) / 1000;
+  return ctx.currentTime + (ms - performance.now()) / 1000 - outputLatency(ctx);
+}
+
+/**
+ * Ask for Web MIDI. Resolves the MIDIAccess, or throws a message fit to
+ * show the user.
+ * @returns {Promise<MIDIAccess>}
+ */
+export async function requestMidiAccess() {
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    throw new Error('This browser has no Web MIDI — try Chrome or Edge.');
+  }
+  try {
+    return await navigator.requestMIDIAccess();
+  } catch {
+    throw new Error('MIDI access was blocked. Allow it in the site settings to use MIDI clock.');
+  }
+}
+
+function outputLatency(ctx) {
+  return ctx.outputLatency || ctx.baseLatency || 0;
+}
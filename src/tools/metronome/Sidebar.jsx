@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react';
-import { Headphones, Timer, Volume2 } from 'lucide-react';
+import { Cable, Headphones, ListMusic, Pencil, Plus, Timer, TrendingUp, Volume2 } from 'lucide-react';
 
 import {
   Select,
@@ -13,45 +13,62 @@ import { Separator } from '@/components/ui/separator';
 import { Switch } from '@/components/ui/switch';
 import { Button } from '@/components/ui/button';
 import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
-import { TIMBRE_LIST } from './clickSamples.js';
-
-const TIME_SIGNATURES = [
-  { key: '2/4', beatsPerBar: 2, beatUnit: 4 },
-  { key: '3/4', beatsPerBar: 3, beatUnit: 4 },
-  { key: '4/4', beatsPerBar: 4, beatUnit: 4 },
-  { key: '5/4', beatsPerBar: 5, beatUnit: 4 },
-  { key: '6/8', beatsPerBar: 6, beatUnit: 8 },
-  { key: '7/8', beatsPerBar: 7, beatUnit: 8 },
-  { key: '9/8', beatsPerBar: 9, beatUnit: 8 },
-  { key: '12/8', beatsPerBar: 12, beatUnit: 8 },
-];
+import {
+  SUBDIVISIONS,
+  TIME_SIGNATURES,
+  defaultGrouping,
+  formatDuration,
+  groupingPattern,
+  normalizePattern,
+  resolveGrouping,
+  songDuration,
+} from './tempoMap.js';
+import AccentPatternEditor from './AccentPatternEditor.jsx';
+import CustomClickUploader from './CustomClickUploader.jsx';
+import GroupingInput from './GroupingInput.jsx';
+import LayerEditor from './LayerEditor.jsx';
+import { describeLayer, normalizeLayers } from './polyrhythm.js';
+import { MAX_SWING, MIN_SWING, SWING_PRESETS, isSwingable, normalizeSwing } from './swing.js';
+import { TrainerMode } from './TempoTrainer.js';
+import { useTimbreList } from './useTimbreList.js';
+import { AnnounceMode } from './voiceCues.js';
+import { ClockMode } from './MidiClock.js';
+
+const FREE_TEMPO = 'free';
 
 const KEYS = [
   'metronomeTimeSig',
+  'metronomeGrouping',
   'metronomeAccentPattern',
   'metronomeTimbre',
   'metronomeVolume',
   'metronomeSkipPlay',
   'metronomeSkipSkip',
   'metronomeSubdivision',
+  'metronomeSwing',
+  'metronomeCountIn',
+  'metronomeAnnounce',
   'metronomeListenBack',
   'metronomeListenSensitivity',
   'metronomeLatencyMs',
   'metronomePracticeEnabled',
   'metronomePracticeSessionMinutes',
   'metronomePracticeIntervalMinutes',
+  'metronomePracticeVoice',
+  'metronomeSongs',
+  'metronomeSongId',
+  'metronomeTrainerEnabled',
+  'metronomeTrainerMode',
+  'metronomeTrainerStepBpm',
+  'metronomeTrainerEveryBars',
+  'metronomeTrainerMaxBpm',
+  'metronomeTrainerThreshold',
+  'metronomeLayers',
+  'metronomeScoreLayer',
+  'metronomeMidiClock',
+  'metronomeMidiPort',
 ];
 
-const SUBDIVISIONS = [
-  { value: 1, label: 'Quarters (no subdivision)' },
-  { value: 2, label: 'Eighths (×2)' },
-  { value: 3, label: 'Triplets (×3)' },
-  { value: 4, label: 'Sixteenths (×4)' },
-  { value: 6, label: 'Sixtuplets (×6)' },
-];
-
-const BEAT_KIND_CYCLE = ['regular', 'accent', 'silent'];
-
 export default function Sidebar({
   settings,
   calibrating = false,
@@ -59,14 +76,21 @@ export default function Sidebar({
   calibrationStatus = null,
   onStartCalibration,
   onResetLatency,
+  onEditSong,
+  clickStore,
+  midi,
 }) {
   const values = useSharedSettingValues(settings, KEYS);
+  const timbres = useTimbreList();
   const timeSig = values.metronomeTimeSig ?? '4/4';
   const sig = TIME_SIGNATURES.find((s) => s.key === timeSig) ?? TIME_SIGNATURES[2];
   const subdivision = values.metronomeSubdivision ?? 1;
+  const swing = normalizeSwing(values.metronomeSwing);
   const pattern = normalizePattern(values.metronomeAccentPattern, sig.beatsPerBar, subdivision);
   const timbre = values.metronomeTimbre ?? 'woodblock';
   const volume = values.metronomeVolume ?? 0.8;
+  const countInBars = values.metronomeCountIn ?? 0;
+  const announce = values.metronomeAnnounce ?? AnnounceMode.OFF;
   const playBars = values.metronomeSkipPlay ?? 4;
   const skipBars = values.metronomeSkipSkip ?? 0;
   const listenBack = !!values.metronomeListenBack;
@@ -75,6 +99,17 @@ export default function Sidebar({
   const practiceEnabled = !!values.metronomePracticeEnabled;
   const practiceSessionMin = values.metronomePracticeSessionMinutes ?? 10;
   const practiceIntervalMin = values.metronomePracticeIntervalMinutes ?? 1;
+  const practiceVoice = !!values.metronomePracticeVoice;
+  const trainerEnabled = !!values.metronomeTrainerEnabled;
+  const trainerMode = values.metronomeTrainerMode ?? TrainerMode.STEPS;
+  const trainerStep = values.metronomeTrainerStepBpm ?? 5;
+  const trainerEveryBars = values.metronomeTrainerEveryBars ?? 4;
+  const trainerMaxBpm = values.metronomeTrainerMaxBpm ?? 180;
+  const trainerThreshold = values.metronomeTrainerThreshold ?? 80;
+  const layers = normalizeLayers(values.metronomeLayers);
+  const scoreLayer = layers.find((l) => l.id === values.metronomeScoreLayer) ?? null;
+  const midiMode = values.metronomeMidiClock ?? ClockMode.OFF;
+  const midiPortId = values.metronomeMidiPort ?? null;
   // Slider scale 1..100 (high = more sensitive). Older saved values that
   // looked like raw thresholds (≪ 1) get coerced to the middle.
   const rawSens = values.metronomeListenSensitivity;
@@ -84,10 +119,14 @@ export default function Sidebar({
     const next = TIME_SIGNATURES.find((s) => s.key === newKey);
     if (!next) return;
     settings.set('metronomeTimeSig', newKey);
-    settings.set(
-      'metronomeAccentPattern',
-      normalizePattern(pattern, next.beatsPerBar, subdivision)
-    );
+    // A new meter starts from its own default grouping and the accents it implies
+    settings.set('metronomeGrouping', null);
+    settings.set('metronomeAccentPattern', groupingPattern(defaultGrouping(next), subdivision));
+  };
+
+  const setGrouping = (text) => {
+    settings.set('metronomeGrouping', text);
+    settings.set('metronomeAccentPattern', groupingPattern(resolveGrouping(text, sig), subdivision));
   };
 
   const setSubdivisionAndResize = (newSub) => {
@@ -98,68 +137,112 @@ export default function Sidebar({
     );
   };
 
-  const togglePatternCell = (idx) => {
-    const next = [...pattern];
-    const cur = next[idx] ?? 'regular';
-    next[idx] = BEAT_KIND_CYCLE[(BEAT_KIND_CYCLE.indexOf(cur) + 1) % BEAT_KIND_CYCLE.length];
-    settings.set('metronomeAccentPattern', next);
-  };
+  const songs = values.metronomeSongs ?? [];
+  const song = songs.find((s) => s.id === values.metronomeSongId) ?? null;
 
   return (
     <div className="flex flex-col gap-2 p-1">
-      <Section title="Time">
-        <div className="grid grid-cols-2 gap-2">
-          <Field label="Time signature">
-            <Select value={timeSig} onValueChange={setSig}>
-              <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
-              <SelectContent>
-                {TIME_SIGNATURES.map((s) => (
-                  <SelectItem key={s.key} value={s.key}>{s.key}</SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
-          </Field>
+      <Section title="Setlist">
+        <Select
+          value={song?.id ?? FREE_TEMPO}
+          onValueChange={(v) => settings.set('metronomeSongId', v === FREE_TEMPO ? null : v)}
+        >
+          <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value={FREE_TEMPO}>Free tempo (no song)</SelectItem>
+            {songs.map((s) => <SelectItem key={s.id} value={s.id}>{s.name}</SelectItem>)}
+          </SelectContent>
+        </Select>
+        {song && (
+          <p className="text-[11px] leading-snug text-muted-foreground">
+            <ListMusic className="mr-1 inline h-3 w-3" />
+            {song.sections.length} section{song.sections.length === 1 ? '' : 's'} ·{' '}
+            {song.sections.reduce((n, s) => n + s.bars, 0)} bars · {formatDuration(songDuration(song.sections))}
+            {song.loop ? ' · loops' : ''}
+          </p>
+        )}
+        {onEditSong && (
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => onEditSong(null)} className="gap-1.5">
+              <Plus className="h-3.5 w-3.5" />
+              New song
+            </Button>
+            {song && (
+              <Button variant="outline" size="sm" onClick={() => onEditSong(song.id)} className="gap-1.5">
+                <Pencil className="h-3.5 w-3.5" />
+                Edit
+              </Button>
+            )}
+          </div>
+        )}
+      </Section>
 
-          <Field label="Subdivision">
-            <Select
-              value={String(subdivision)}
-              onValueChange={(v) => setSubdivisionAndResize(Number(v))}
-            >
-              <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
-              <SelectContent>
-                {SUBDIVISIONS.map((s) => (
-                  <SelectItem key={s.value} value={String(s.value)}>{s.label}</SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
-          </Field>
-        </div>
+      <Separator />
 
-        <Field label="Accent pattern">
-          <div className="flex flex-wrap gap-1.5">
-            {Array.from({ length: sig.beatsPerBar }, (_, beatIdx) => (
-              <div key={beatIdx} className="flex gap-0.5">
-                {Array.from({ length: subdivision }, (_, subIdx) => {
-                  const i = beatIdx * subdivision + subIdx;
-                  const kind = pattern[i] ?? 'regular';
-                  const label = subdivisionLabel(beatIdx, subIdx, subdivision);
-                  return (
-                    <button
-                      key={subIdx}
-                      type="button"
-                      onClick={() => togglePatternCell(i)}
-                      className={`h-8 min-w-7 rounded-md border px-1.5 text-[11px] font-mono ${beatButtonClass(kind, subIdx === 0)}`}
-                      aria-label={`Beat ${beatIdx + 1}${subIdx === 0 ? '' : ` sub ${subIdx + 1}`} (${kind})`}
-                    >
-                      {label}
-                    </button>
-                  );
-                })}
-              </div>
-            ))}
+      {song ? (
+        <Section title="Time">
+          <p className="text-[11px] leading-snug text-muted-foreground">
+            Tempo, meter, subdivision and accents come from the song&apos;s sections. Pick
+            &ldquo;Free tempo&rdquo; to set them here.
+          </p>
+          <SwingField swing={swing} onChange={(v) => settings.set('metronomeSwing', v)} />
+        </Section>
+      ) : (
+        <Section title="Time">
+          <div className="grid grid-cols-2 gap-2">
+            <Field label="Time signature">
+              <Select value={timeSig} onValueChange={setSig}>
+                <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {TIME_SIGNATURES.map((s) => (
+                    <SelectItem key={s.key} value={s.key}>{s.key}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
+
+            <Field label="Subdivision">
+              <Select
+                value={String(subdivision)}
+                onValueChange={(v) => setSubdivisionAndResize(Number(v))}
+              >
+                <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {SUBDIVISIONS.map((s) => (
+                    <SelectItem key={s.value} value={String(s.value)}>{s.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
           </div>
-        </Field>
-      </Section>
+
+          <SwingField
+            swing={swing}
+            subdivision={subdivision}
+            onChange={(v) => settings.set('metronomeSwing', v)}
+          />
+
+          {sig.beatsPerBar >= 4 && (
+            <Field
+              label="Grouping"
+              hint={sig.beatUnit === 8
+                ? 'Clicks on every eighth; BPM counts quarter notes.'
+                : 'Pulses per felt beat — group starts are accented.'}
+            >
+              <GroupingInput value={values.metronomeGrouping ?? null} sig={sig} onChange={setGrouping} />
+            </Field>
+          )}
+
+          <Field label="Accent pattern">
+            <AccentPatternEditor
+              pattern={pattern}
+              beatsPerBar={sig.beatsPerBar}
+              subdivision={subdivision}
+              onChange={(next) => settings.set('metronomeAccentPattern', next)}
+            />
+          </Field>
+        </Section>
+      )}
 
       <Separator />
 
@@ -169,7 +252,7 @@ export default function Sidebar({
             <Select value={timbre} onValueChange={(v) => settings.set('metronomeTimbre', v)}>
               <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
               <SelectContent>
-                {TIMBRE_LIST.map((t) => (
+                {timbres.map((t) => (
                   <SelectItem key={t.key} value={t.key}>{t.label}</SelectItem>
                 ))}
               </SelectContent>
@@ -189,6 +272,65 @@ export default function Sidebar({
             </div>
           </Field>
         </div>
+        {clickStore && (
+          <CustomClickUploader
+            store={clickStore}
+            timbre={timbre}
+            onSelect={(key) => settings.set('metronomeTimbre', key)}
+          />
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <Field label="Count-in">
+            <Select
+              value={String(countInBars)}
+              onValueChange={(v) => settings.set('metronomeCountIn', Number(v))}
+            >
+              <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="0">Off</SelectItem>
+                <SelectItem value="1">1 bar</SelectItem>
+                <SelectItem value="2">2 bars</SelectItem>
+              </SelectContent>
+            </Select>
+          </Field>
+          <Field label="Announce">
+            <Select value={announce} onValueChange={(v) => settings.set('metronomeAnnounce', v)}>
+              <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value={AnnounceMode.OFF}>Nothing</SelectItem>
+                <SelectItem value={AnnounceMode.BARS}>Bar numbers</SelectItem>
+                <SelectItem value={AnnounceMode.SECTIONS}>Section names</SelectItem>
+              </SelectContent>
+            </Select>
+          </Field>
+        </div>
+        {(countInBars > 0 || announce !== AnnounceMode.OFF) && (
+          <p className="text-[11px] leading-snug text-muted-foreground">
+            {announce === AnnounceMode.SECTIONS && !song
+              ? 'Section names are called out while a song plays.'
+              : 'Spoken by a built-in voice, timed so each word lands on its beat.'}
+          </p>
+        )}
+      </Section>
+
+      <Separator />
+
+      <Section title="Layers">
+        <LayerEditor
+          layers={layers}
+          beatsPerBar={sig.beatsPerBar}
+          onChange={(next) => {
+            settings.set('metronomeLayers', next);
+            if (scoreLayer && !next.some((l) => l.id === scoreLayer.id)) {
+              settings.set('metronomeScoreLayer', null);
+            }
+          }}
+        />
+        {layers.length === 0 && (
+          <p className="text-[11px] leading-snug text-muted-foreground">
+            Add a second click for polyrhythms — e.g. 3 across a 2/4 bar for 3-over-2.
+          </p>
+        )}
       </Section>
 
       <Separator />
@@ -225,6 +367,103 @@ export default function Sidebar({
 
       <Separator />
 
+      <Section title="Tempo trainer">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="trainer-toggle" className="cursor-pointer text-sm">
+            <span className="inline-flex items-center gap-1.5">
+              <TrendingUp className="h-4 w-4" />
+              Speed up automatically
+            </span>
+          </Label>
+          <Switch
+            id="trainer-toggle"
+            checked={trainerEnabled}
+            onCheckedChange={(c) => settings.set('metronomeTrainerEnabled', !!c)}
+          />
+        </div>
+        {trainerEnabled && song && (
+          <p className="text-[11px] leading-snug text-muted-foreground">
+            Paused while a song is selected — the song sets the tempo.
+          </p>
+        )}
+        {trainerEnabled && !song && (
+          <>
+            <Field
+              label="Mode"
+              hint={trainerMode === TrainerMode.LADDER
+                ? 'Climbs only after a clean window; backs off when accuracy drops.'
+                : 'Climbs on a fixed schedule.'}
+            >
+              <Select value={trainerMode} onValueChange={(v) => settings.set('metronomeTrainerMode', v)}>
+                <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={TrainerMode.STEPS}>Every few bars</SelectItem>
+                  <SelectItem value={TrainerMode.LADDER}>Gap-free ladder (listen back)</SelectItem>
+                </SelectContent>
+              </Select>
+            </Field>
+            <div className="grid grid-cols-2 gap-2">
+              <Field label="Step (BPM)">
+                <NumberInput
+                  value={trainerStep}
+                  min={1}
+                  max={20}
+                  onChange={(v) => settings.set('metronomeTrainerStepBpm', v)}
+                />
+              </Field>
+              <Field label="Every (bars)">
+                <NumberInput
+                  value={trainerEveryBars}
+                  min={1}
+                  max={32}
+                  onChange={(v) => settings.set('metronomeTrainerEveryBars', v)}
+                />
+              </Field>
+            </div>
+            <Field label={`Stop at — ${trainerMaxBpm} BPM`}>
+              <input
+                type="range"
+                min={40}
+                max={300}
+                value={trainerMaxBpm}
+                onChange={(e) => settings.set('metronomeTrainerMaxBpm', e.target.valueAsNumber)}
+                className="w-full accent-primary"
+              />
+            </Field>
+            {trainerMode === TrainerMode.LADDER && (
+              <Field
+                label={`Climb at — ${trainerThreshold}% on grid`}
+                hint={listenBack ? null : 'Turn on listen back below so the trainer can hear you.'}
+              >
+                <input
+                  type="range"
+                  min={50}
+                  max={100}
+                  step={5}
+                  value={trainerThreshold}
+                  onChange={(e) => settings.set('metronomeTrainerThreshold', e.target.valueAsNumber)}
+                  className="w-full accent-primary"
+                />
+              </Field>
+            )}
+          </>
+        )}
+      </Section>
+
+      <Separator />
+
+      <Section title="MIDI clock">
+        <MidiClockField
+          mode={midiMode}
+          portId={midiPortId}
+          midi={midi}
+          onModeChange={(v) => settings.set('metronomeMidiClock', v)}
+          onPortChange={(id) => settings.set('metronomeMidiPort', id)}
+        />
+      </Section>
+
+      <Separator />
+
       <Section title="Practice">
         <div className="flex items-center justify-between">
           <Label htmlFor="practice-toggle" className="cursor-pointer text-sm">
@@ -259,6 +498,21 @@ export default function Sidebar({
                 />
               </Field>
             </div>
+            <div className="flex items-center justify-between">
+              <Label htmlFor="practice-voice-toggle" className="cursor-pointer text-xs">
+                Spoken cues
+              </Label>
+              <Switch
+                id="practice-voice-toggle"
+                checked={practiceVoice}
+                onCheckedChange={(c) => settings.set('metronomePracticeVoice', !!c)}
+              />
+            </div>
+            {practiceVoice && (
+              <p className="text-[11px] leading-snug text-muted-foreground">
+                Says &ldquo;next interval&rdquo; after each chime and &ldquo;two minutes left&rdquo; near the end.
+              </p>
+            )}
           </>
         )}
       </Section>
@@ -300,6 +554,24 @@ export default function Sidebar({
             />
           </Field>
         )}
+        {listenBack && layers.length > 0 && (
+          <Field label="Score against">
+            <Select
+              value={scoreLayer?.id ?? 'main'}
+              onValueChange={(v) => settings.set('metronomeScoreLayer', v === 'main' ? null : v)}
+            >
+              <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="main">Main click</SelectItem>
+                {layers.map((l, i) => (
+                  <SelectItem key={l.id} value={l.id}>
+                    Layer {i + 1} · {describeLayer(l, sig.beatsPerBar)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+        )}
 
         <div className="space-y-1">
           <div className="flex items-center gap-2">
@@ -352,34 +624,6 @@ export default function Sidebar({
   );
 }
 
-function normalizePattern(value, beatsPerBar, subdivision = 1) {
-  const desired = beatsPerBar * subdivision;
-  if (Array.isArray(value) && value.length === desired) return value;
-  // Migrate from a different length: try to infer the old subdivision and
-  // copy main-beat marks across; default new cells to regular (or accent
-  // for the first main beat).
-  const oldSub = Array.isArray(value) && beatsPerBar > 0
-    ? Math.max(1, Math.round(value.length / beatsPerBar))
-    : 1;
-  const arr = [];
-  for (let i = 0; i < desired; i++) {
-    const beatIdx = Math.floor(i / subdivision);
-    const subInBeat = i % subdivision;
-    let kind;
-    if (subInBeat === 0) {
-      const oldIdx = beatIdx * oldSub;
-      kind = (Array.isArray(value) ? value[oldIdx] : null)
-        ?? (beatIdx === 0 ? 'accent' : 'regular');
-    } else if (oldSub === subdivision && Array.isArray(value)) {
-      kind = value[beatIdx * oldSub + subInBeat] ?? 'regular';
-    } else {
-      kind = 'regular';
-    }
-    arr.push(kind);
-  }
-  return arr;
-}
-
 function resizeForSubdivision(pattern, beatsPerBar, oldSub, newSub) {
   if (oldSub === newSub) return pattern;
   const next = [];
@@ -398,27 +642,6 @@ function resizeForSubdivision(pattern, beatsPerBar, oldSub, newSub) {
   return next;
 }
 
-const SUBDIVISION_LABELS = {
-  2: ['', '&'],
-  3: ['', '·', '·'],
-  4: ['', 'e', '&', 'a'],
-  6: ['', '·', '·', '·', '·', '·'],
-};
-
-function subdivisionLabel(beatIdx, subIdx, subdivision) {
-  if (subIdx === 0) return String(beatIdx + 1);
-  const labels = SUBDIVISION_LABELS[subdivision];
-  return labels?.[subIdx] ?? '·';
-}
-
-function beatButtonClass(kind, isMain) {
-  if (kind === 'accent') return 'border-primary bg-primary/15 text-primary font-bold';
-  if (kind === 'silent') return 'border-dashed text-muted-foreground line-through opacity-60';
-  return isMain
-    ? 'border-input bg-background hover:bg-accent'
-    : 'border-input/60 bg-background/60 text-muted-foreground hover:bg-accent';
-}
-
 function Section({ title, children }) {
   return (
     <div className="space-y-1.5">
@@ -440,6 +663,99 @@ function Field({ label, hint, children }) {
   );
 }
 
+/**
+ * Send the metronome's tempo to a drum machine, or follow a DAW. Ports come
+ * from useMidiAccess (on the page), so they're listed only once MIDI clock
+ * is switched on.
+ */
+function MidiClockField({ mode, portId, midi, onModeChange, onPortChange }) {
+  const ports = (mode === ClockMode.SEND ? midi?.outputs : midi?.inputs) ?? [];
+  const selected = ports.some((p) => p.id === portId) ? portId : 'all';
+  return (
+    <>
+      <Field label="Clock">
+        <Select value={mode} onValueChange={onModeChange}>
+          <SelectTrigger className="h-9">
+            <span className="inline-flex items-center gap-1.5">
+              <Cable className="h-4 w-4" />
+              <SelectValue />
+            </span>
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ClockMode.OFF}>Off</SelectItem>
+            <SelectItem value={ClockMode.SEND}>Send (be the master)</SelectItem>
+            <SelectItem value={ClockMode.FOLLOW}>Follow (DAW / drum machine)</SelectItem>
+          </SelectContent>
+        </Select>
+      </Field>
+      {mode !== ClockMode.OFF && midi?.error && (
+        <p className="text-[11px] leading-snug text-destructive">{midi.error}</p>
+      )}
+      {mode !== ClockMode.OFF && !midi?.error && (
+        <Field
+          label={mode === ClockMode.SEND ? 'To' : 'From'}
+          hint={mode === ClockMode.SEND
+            ? '24 ticks per beat, with Start and Stop as you play and stop.'
+            : 'Press play on the other device. Its tempo takes over; songs, the tempo trainer and the count-in sit out.'}
+        >
+          {ports.length ? (
+            <Select value={selected} onValueChange={(v) => onPortChange(v === 'all' ? null : v)}>
+              <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Every MIDI port</SelectItem>
+                {ports.map((p) => (
+                  <SelectItem key={p.id} value={p.id}>{p.name || p.id}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ) : (
+            <p className="text-[11px] leading-snug text-muted-foreground">
+              No MIDI {mode === ClockMode.SEND ? 'outputs' : 'inputs'} found — connect one and it shows up here.
+            </p>
+          )}
+        </Field>
+      )}
+    </>
+  );
+}
+
+/**
+ * Swing slider plus one-tap presets. Songs keep their own subdivisions, so
+ * without a `subdivision` there's no hint about what will move.
+ */
+function SwingField({ swing, subdivision, onChange }) {
+  const preset = SWING_PRESETS.find((p) => p.value === Math.round(swing));
+  let hint = null;
+  if (subdivision === 1) hint = 'No off-beats clicked — listen-back still scores your swung eighths.';
+  else if (subdivision != null && !isSwingable(subdivision)) hint = 'Triplet subdivisions always play straight.';
+  return (
+    <Field label={`Swing — ${Math.round(swing)}%${preset ? ` (${preset.label.toLowerCase()})` : ''}`} hint={hint}>
+      <input
+        type="range"
+        min={MIN_SWING}
+        max={MAX_SWING}
+        value={Math.round(swing)}
+        onChange={(e) => onChange(e.target.valueAsNumber)}
+        className="w-full accent-primary"
+        aria-label="Swing"
+      />
+      <div className="flex gap-1">
+        {SWING_PRESETS.map((p) => (
+          <Button
+            key={p.value}
+            size="sm"
+            variant={p.value === Math.round(swing) ? 'secondary' : 'ghost'}
+            onClick={() => onChange(p.value)}
+            className="h-7 flex-1 px-1 text-xs"
+          >
+            {p.label}
+          </Button>
+        ))}
+      </div>
+    </Field>
+  );
+}
+
 /**
  * Number input that lets the user clear the field without snapping back to
  * 0 mid-edit. The local string drives the visible value; we only push to
@@ -0,0 +1,306 @@
+import { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import AccentPatternEditor from './AccentPatternEditor.jsx';
+import GroupingInput from './GroupingInput.jsx';
+import {
+  SUBDIVISIONS,
+  TIME_SIGNATURES,
+  createSection,
+  defaultGrouping,
+  formatDuration,
+  getTimeSignature,
+  groupingPattern,
+  normalizePattern,
+  resolveGrouping,
+  songDuration,
+  validateSong,
+} from './tempoMap.js';
+
+const INPUT_CLASS =
+  'h-9 w-full min-w-0 rounded-md border border-input bg-background px-2 text-sm font-mono';
+
+function blankSong() {
+  return { id: Date.now().toString(36), name: '', loop: false, sections: [createSection()] };
+}
+
+/**
+ * Number fields are edited as strings so they can be cleared mid-edit;
+ * saving turns them back into numbers (blank end tempo = steady).
+ */
+function toDraft(song) {
+  return {
+    ...song,
+    sections: song.sections.map((s) => ({
+      ...s,
+      bars: String(s.bars),
+      bpm: String(s.bpm),
+      endBpm: s.endBpm == null ? '' : String(s.endBpm),
+    })),
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    ...draft,
+    name: draft.name.trim(),
+    sections: draft.sections.map((s) => ({
+      ...s,
+      name: s.name.trim(),
+      bars: Number(s.bars),
+      bpm: Number(s.bpm),
+      endBpm: s.endBpm.trim() === '' ? null : Number(s.endBpm),
+    })),
+  };
+}
+
+/**
+ * Form for creating / editing one setlist song: an ordered list of
+ * sections, each with its own length, tempo (or ramp), meter, subdivision
+ * and accents.
+ * @param {object|null} song - Song to edit (null creates a new one)
+ * @param {function} onSave - Receives the cleaned-up song
+ * @param {function} onDelete - Receives the id (only offered when editing)
+ * @param {function} onCancel
+ */
+export default function SongEditor({ song, onSave, onDelete, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(song ?? blankSong()));
+  const result = useMemo(() => fromDraft(draft), [draft]);
+  const errors = useMemo(() => validateSong(result), [result]);
+  const duration = errors.length === 0 ? songDuration(result.sections) : null;
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const updateSection = (i, patch) =>
+    update({ sections: draft.sections.map((s, j) => (j === i ? { ...s, ...patch } : s)) });
+
+  const addSection = () => {
+    const last = result.sections[result.sections.length - 1];
+    update({ sections: [...draft.sections, toDraft({ sections: [createSection(last)] }).sections[0]] });
+  };
+  const removeSection = (i) => update({ sections: draft.sections.filter((_, j) => j !== i) });
+  const moveSection = (i, delta) => {
+    const next = [...draft.sections];
+    [next[i], next[i + delta]] = [next[i + delta], next[i]];
+    update({ sections: next });
+  };
+
+  const setMeter = (i, patch) => {
+    const section = { ...draft.sections[i], ...patch };
+    const sig = getTimeSignature(section.timeSig);
+    if (patch.timeSig) {
+      // New meter: its default grouping and the accents that come with it
+      updateSection(i, {
+        ...patch,
+        grouping: null,
+        accentPattern: groupingPattern(defaultGrouping(sig), section.subdivision),
+      });
+      return;
+    }
+    updateSection(i, {
+      ...patch,
+      accentPattern: normalizePattern(section.accentPattern, sig.beatsPerBar, section.subdivision),
+    });
+  };
+
+  const setGrouping = (i, grouping) => {
+    const section = draft.sections[i];
+    const sig = getTimeSignature(section.timeSig);
+    updateSection(i, {
+      grouping,
+      accentPattern: groupingPattern(resolveGrouping(grouping, sig), section.subdivision),
+    });
+  };
+
+  return (
+    <div className="flex flex-col gap-4 p-1">
+      <div className="space-y-1.5">
+        <Label htmlFor="song-name" className="text-sm">Song</Label>
+        <input
+          id="song-name"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Song title"
+          className={`${INPUT_CLASS} font-sans`}
+        />
+      </div>
+
+      <div className="flex items-center justify-between">
+        <Label htmlFor="song-loop" className="cursor-pointer text-sm">Loop when finished</Label>
+        <Switch id="song-loop" checked={!!draft.loop} onCheckedChange={(c) => update({ loop: !!c })} />
+      </div>
+
+      {draft.sections.map((section, i) => {
+        const sig = getTimeSignature(section.timeSig);
+        const { beatsPerBar } = sig;
+        return (
+          <div key={i} className="space-y-2 rounded-md border p-3">
+            <div className="flex items-center gap-1">
+              <input
+                value={section.name}
+                onChange={(e) => updateSection(i, { name: e.target.value })}
+                placeholder={`Section ${i + 1}`}
+                aria-label={`Section ${i + 1} name`}
+                className={`${INPUT_CLASS} font-sans font-medium`}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => moveSection(i, -1)}
+                disabled={i === 0}
+                aria-label="Move section up"
+                className="shrink-0 text-muted-foreground hover:text-foreground"
+              >
+                <ArrowUp className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => moveSection(i, 1)}
+                disabled={i === draft.sections.length - 1}
+                aria-label="Move section down"
+                className="shrink-0 text-muted-foreground hover:text-foreground"
+              >
+                <ArrowDown className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => removeSection(i)}
+                disabled={draft.sections.length === 1}
+                aria-label={`Remove section ${i + 1}`}
+                className="shrink-0 text-muted-foreground hover:text-foreground"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+              <SmallField label="Bars">
+                <input
+                  value={section.bars}
+                  onChange={(e) => updateSection(i, { bars: e.target.value })}
+                  inputMode="numeric"
+                  className={INPUT_CLASS}
+                />
+              </SmallField>
+              <SmallField label="BPM">
+                <input
+                  value={section.bpm}
+                  onChange={(e) => updateSection(i, { bpm: e.target.value })}
+                  inputMode="numeric"
+                  className={INPUT_CLASS}
+                />
+              </SmallField>
+              <SmallField label="Ramp to">
+                <input
+                  value={section.endBpm}
+                  onChange={(e) => updateSection(i, { endBpm: e.target.value })}
+                  placeholder="steady"
+                  inputMode="numeric"
+                  className={INPUT_CLASS}
+                />
+              </SmallField>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <SmallField label="Time signature">
+                <Select value={section.timeSig} onValueChange={(v) => setMeter(i, { timeSig: v })}>
+                  <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {TIME_SIGNATURES.map((s) => <SelectItem key={s.key} value={s.key}>{s.key}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </SmallField>
+              <SmallField label="Subdivision">
+                <Select
+                  value={String(section.subdivision)}
+                  onValueChange={(v) => setMeter(i, { subdivision: Number(v) })}
+                >
+                  <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {SUBDIVISIONS.map((s) => (
+                      <SelectItem key={s.value} value={String(s.value)}>{s.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </SmallField>
+            </div>
+
+            {beatsPerBar >= 4 && (
+              <SmallField label="Grouping">
+                <GroupingInput
+                  value={section.grouping ?? null}
+                  sig={sig}
+                  onChange={(g) => setGrouping(i, g)}
+                />
+              </SmallField>
+            )}
+
+            <SmallField label="Accents">
+              <AccentPatternEditor
+                pattern={normalizePattern(section.accentPattern, beatsPerBar, section.subdivision)}
+                beatsPerBar={beatsPerBar}
+                subdivision={section.subdivision}
+                onChange={(next) => updateSection(i, { accentPattern: next })}
+              />
+            </SmallField>
+          </div>
+        );
+      })}
+
+      <Button variant="outline" size="sm" onClick={addSection} className="gap-1.5 self-start">
+        <Plus className="h-3.5 w-3.5" />
+        Add section
+      </Button>
+
+      {errors.length > 0 ? (
+        <ul className="space-y-1 rounded-md bg-destructive/10 px-3 py-2 text-xs text-destructive">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      ) : (
+        <p className="text-xs text-muted-foreground">
+          {result.sections.reduce((n, s) => n + s.bars, 0)} bars · {formatDuration(duration)}
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        {song && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onDelete(song.id)}
+            className="gap-1.5 text-destructive hover:text-destructive"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+            Delete
+          </Button>
+        )}
+        <div className="ml-auto flex gap-2">
+          <Button variant="outline" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" onClick={() => onSave(result)} disabled={errors.length > 0}>
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SmallField({ label, children }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs">{label}</Label>
+      {children}
+    </div>
+  );
+}
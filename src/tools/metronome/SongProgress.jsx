@@ -0,0 +1,72 @@
+import { ChevronLeft, ChevronRight, ListMusic } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+
+/**
+ * Where playback is inside the active setlist song.
+ *
+ *   ♫ SONG TITLE                                  bar 3 of 8
+ *   [ Intro ][ Verse ][▓Chorus▓][ Outro ]
+ *   [ ‹ prev ]                                     [ next › ]
+ *
+ * `position` is the latest beat's section info from the engine (null while
+ * stopped, in which case the first section is shown as upcoming).
+ */
+export default function SongProgress({ song, position, onPrev, onNext }) {
+  const current = position?.sectionIndex ?? -1;
+  const section = song.sections[Math.max(0, current)];
+  const hasNeighbours = !!(onPrev || onNext);
+
+  return (
+    <div className="flex w-full max-w-[36rem] flex-col gap-2">
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span className="inline-flex min-w-0 items-center gap-1.5">
+          <ListMusic className="h-3.5 w-3.5 shrink-0" />
+          <span className="truncate">{song.name}</span>
+        </span>
+        <span className="shrink-0 tabular-nums">
+          {position
+            ? `bar ${position.barInSection + 1} of ${position.sectionBars}`
+            : `${song.sections.length} section${song.sections.length === 1 ? '' : 's'}`}
+        </span>
+      </div>
+
+      <div className="flex w-full gap-1">
+        {song.sections.map((s, i) => (
+          <div
+            key={i}
+            style={{ flexGrow: s.bars }}
+            className={`min-w-0 basis-0 truncate rounded px-1.5 py-0.5 text-center text-[11px] ${
+              i === current
+                ? 'bg-primary text-primary-foreground'
+                : i < current
+                  ? 'bg-muted text-muted-foreground/60'
+                  : 'bg-muted text-muted-foreground'
+            }`}
+            title={`${s.name || `Section ${i + 1}`} · ${s.bars} bars`}
+          >
+            {s.name || i + 1}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex min-h-8 items-center justify-between gap-2">
+        {hasNeighbours && (
+          <Button variant="ghost" size="sm" onClick={onPrev} disabled={!onPrev} className="gap-1 text-muted-foreground">
+            <ChevronLeft className="h-4 w-4" />
+            Prev song
+          </Button>
+        )}
+        <span className="mx-auto text-[11px] text-muted-foreground">
+          {section.endBpm != null ? `${section.bpm} → ${section.endBpm}` : section.bpm} BPM · {section.timeSig}
+        </span>
+        {hasNeighbours && (
+          <Button variant="ghost" size="sm" onClick={onNext} disabled={!onNext} className="gap-1 text-muted-foreground">
+            Next song
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
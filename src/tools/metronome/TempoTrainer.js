@@ -0,0 +1,124 @@
+/**
+ * TempoTrainer — decides when the metronome speeds up.
+ *
+ *   steps  — +stepBpm every `everyBars` bars, up to maxBpm, no questions asked
+ *   ladder — every `everyBars` bars look at the listen-back stats for that
+ *            window: climb a rung when on-grid % ≥ threshold with no gaps
+ *            (nearly every beat hit), back off a rung when accuracy falls
+ *            well below it, otherwise hold. The tempo never drops below
+ *            where the session started.
+ *
+ * MetronomeEngine calls onBar() at each bar boundary while scheduling and
+ * plays the returned tempo from the next downbeat, so there is no pause
+ * between rungs. Every decision is appended to `log` — the session's
+ * BPM / accuracy curve.
+ */
+
+export const TrainerMode = {
+  STEPS: 'steps',
+  LADDER: 'ladder',
+};
+
+// Ladder: fraction of beats that need a hit for a window to count as clean
+const MIN_HIT_RATE = 0.9;
+// Ladder: back off only this many points below the threshold (hysteresis,
+// so one shaky window right at the threshold doesn't bounce the tempo)
+const BACKOFF_MARGIN = 15;
+// Ladder: fewer matched hits than this = not playing, hold
+const MIN_WINDOW_HITS = 4;
+
+const DEFAULTS = {
+  mode: TrainerMode.STEPS,
+  stepBpm: 5,
+  everyBars: 4,
+  maxBpm: 180,
+  threshold: 80,
+};
+
+export class TempoTrainer {
+  /**
+   * @param {object} options - see configure()
+   * @param {function} options.getStats - (windowSeconds) → HitTracker stats;
+   *   only used in ladder mode
+   */
+  constructor({ getStats, ...options } = {}) {
+    this.getStats = getStats ?? (() => null);
+    this.options = { ...DEFAULTS };
+    this.configure(options);
+    this.reset(120);
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} [options.mode] - TrainerMode
+   * @param {number} [options.stepBpm] - Size of one rung
+   * @param {number} [options.everyBars] - Bars per step / evaluation window
+   * @param {number} [options.maxBpm] - Stop climbing here
+   * @param {number} [options.threshold] - Ladder: on-grid % needed to climb
+   */
+  configure(options) {
+    for (const [key, value] of Object.entries(options)) {
+      if (value != null && key in DEFAULTS) this.options[key] = value;
+    }
+  }
+
+  /**
+   * Start a new session from `startBpm`
+   * @param {number} startBpm
+   * @param {number} [time] - AudioContext time of the first downbeat
+   */
+  reset(startBpm, time = 0) {
+    this.startBpm = startBpm;
+    this._barsInWindow = 0;
+    this._windowStart = time;
+    this.log = [{ time, bar: 0, bpm: startBpm, onGridPct: null, hitRate: null, action: 'start' }];
+  }
+
+  /**
+   * A bar just finished.
+   * @param {object} bar
+   * @param {number} bar.bar - Bars completed since start
+   * @param {number} bar.time - AudioContext time of the next downbeat
+   * @param {number} bar.bpm - Tempo the finished bar was played at
+   * @returns {number} Tempo for the next bar
+   */
+  onBar({ bar, time, bpm }) {
+    this._barsInWindow += 1;
+    if (this._barsInWindow < this.options.everyBars) return bpm;
+
+    const windowSeconds = time - this._windowStart;
+    this._barsInWindow = 0;
+    this._windowStart = time;
+
+    const { mode, stepBpm, maxBpm, threshold } = this.options;
+    let next = bpm;
+    let action;
+    let stats = null;
+    if (mode === TrainerMode.LADDER) {
+      stats = this.getStats(windowSeconds);
+      action = ladderAction(stats, threshold);
+    } else {
+      action = 'up';
+    }
+    if (action === 'up') next = Math.max(bpm, Math.min(maxBpm, bpm + stepBpm));
+    if (action === 'down') next = Math.max(this.startBpm, bpm - stepBpm);
+    if (next === bpm && (action === 'up' || action === 'down')) action = 'hold';
+
+    this.log.push({
+      time,
+      bar,
+      bpm: next,
+      onGridPct: stats?.onGridPct ?? null,
+      hitRate: stats?.hitRate ?? null,
+      action,
+    });
+    return next;
+  }
+}
+
+function ladderAction(stats, threshold) {
+  if (!stats || stats.gridHits < MIN_WINDOW_HITS || stats.onGridPct == null) return 'idle';
+  if (stats.onGridPct >= threshold && stats.hitRate >= MIN_HIT_RATE) return 'up';
+  if (stats.onGridPct < threshold - BACKOFF_MARGIN || stats.hitRate < MIN_HIT_RATE / 2) return 'down';
+  return 'hold';
+}
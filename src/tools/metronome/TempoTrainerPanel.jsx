@@ -0,0 +1,115 @@
+import { TrendingUp } from 'lucide-react';
+
+import { TrainerMode } from './TempoTrainer.js';
+
+const W = 360;
+const H = 72;
+
+const ACTION_TEXT = {
+  start: 'starting',
+  up: 'stepped up',
+  down: 'backed off',
+  hold: 'holding',
+  idle: 'waiting for you to play',
+};
+
+/**
+ * BPM / accuracy curve for the current (or last) tempo-trainer session.
+ *
+ *   ↗ TEMPO TRAINER                      112 BPM · peak 115
+ *   ┌──────────────────────────────────────────────┐
+ *   │        ┌──┐  ┌──────            · ·  ·       │  ← BPM (steps)
+ *   │ ───────┘  └──┘                ·    ·        │  ← on-grid % (dots)
+ *   └──────────────────────────────────────────────┘
+ *   bar 24 · stepped up
+ *
+ * `log` is TempoTrainer.log; the threshold line only shows for the ladder.
+ */
+export default function TempoTrainerPanel({ log, mode, maxBpm, threshold, bpm }) {
+  const start = log[0]?.bpm ?? bpm;
+  const last = log[log.length - 1];
+  const peak = Math.max(start, ...log.map((e) => e.bpm));
+  const lastBar = Math.max(8, last?.bar ?? 0);
+  const lo = Math.min(start, peak) - 5;
+  const hi = Math.max(peak, Math.min(maxBpm, peak + 20));
+
+  const x = (bar) => (bar / lastBar) * W;
+  const yBpm = (v) => H - 4 - ((v - lo) / Math.max(1, hi - lo)) * (H - 8);
+  const yPct = (v) => H - 4 - (v / 100) * (H - 8);
+
+  // Step line: each entry's tempo holds until the next entry
+  const points = [];
+  log.forEach((e, i) => {
+    if (i > 0) points.push(`${x(e.bar)},${yBpm(log[i - 1].bpm)}`);
+    points.push(`${x(e.bar)},${yBpm(e.bpm)}`);
+  });
+  if (last) points.push(`${W},${yBpm(last.bpm)}`);
+
+  return (
+    <div className="flex w-full max-w-[36rem] flex-col gap-2">
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span className="inline-flex items-center gap-1.5">
+          <TrendingUp className="h-3.5 w-3.5" />
+          Tempo trainer
+        </span>
+        <span className="tabular-nums">
+          {Math.round(bpm)} BPM{peak > start ? ` · peak ${peak}` : ` → ${maxBpm}`}
+        </span>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        preserveAspectRatio="none"
+        className="h-16 w-full rounded-md bg-muted/40"
+        role="img"
+        aria-label="Tempo and accuracy over the session"
+      >
+        {mode === TrainerMode.LADDER && (
+          <line
+            x1={0}
+            x2={W}
+            y1={yPct(threshold)}
+            y2={yPct(threshold)}
+            className="stroke-super-accent"
+            strokeOpacity={0.5}
+            strokeDasharray="4 4"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+        <polyline
+          points={points.join(' ')}
+          fill="none"
+          className="stroke-primary"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+        {log.map((e) =>
+          e.onGridPct == null ? null : (
+            // Zero-length round-capped line = a dot that the non-uniform
+            // viewBox scaling doesn't squash into an ellipse
+            <line
+              key={e.bar}
+              x1={x(e.bar)}
+              x2={x(e.bar)}
+              y1={yPct(e.onGridPct)}
+              y2={yPct(e.onGridPct)}
+              className="stroke-super-accent"
+              strokeWidth={5}
+              strokeLinecap="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          )
+        )}
+      </svg>
+
+      <div className="flex items-center justify-between text-[11px] text-muted-foreground">
+        <span>{last ? `bar ${last.bar} · ${ACTION_TEXT[last.action]}` : 'ready'}</span>
+        {mode === TrainerMode.LADDER && last?.onGridPct != null && (
+          <span className="tabular-nums">
+            {last.onGridPct}% on grid · {Math.round(last.hitRate * 100)}% hit
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { GrooveAnalyzer } from '../GrooveAnalyzer.js';
+import { HitTracker } from '../HitTracker.js';
+
+// Feed `bars` bars of 4/4 at 120 BPM: each beat is hit at `onBeatMs(beat)`
+// off the click, plus a swung "and" `swing` of the way to the next beat
+function play(tracker, { bars, onBeatMs = () => 0, swing = null }) {
+  for (let i = 0; i < bars * 4; i++) {
+    const t = 10 + i * 0.5;
+    tracker.addExpectedBeat({ time: t, beatIndex: i % 4, barNumber: Math.floor(i / 4), kind: 'regular' });
+    tracker.addHit({ time: t + onBeatMs(i % 4, i) / 1000, energy: 0.1 });
+    if (swing != null) tracker.addHit({ time: t + swing * 0.5, energy: 0.1 });
+  }
+}
+
+describe('GrooveAnalyzer', () => {
+  it('profiles each beat of the bar across bars', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    // Rushing beat 4, dragging beat 2 with some spread
+    play(tracker, { bars: 8, onBeatMs: (beat, i) => (beat === 3 ? -15 : beat === 1 ? 12 + (Math.floor(i / 4) % 2 ? 4 : -4) : 0) });
+
+    const hit = tracker.hits.at(-1);
+    expect(hit.beatInBar).toBe(3);
+    expect(hit.beatOffsetMs).toBeCloseTo(-15, 6);
+    expect(hit.pulsePhase).toBeCloseTo(-0.03, 6);
+
+    const { beats, feel } = tracker.groove.getProfile();
+    expect(beats.map((b) => b.tendency)).toEqual(['center', 'pull', 'center', 'push']);
+    expect(beats[3].meanMs).toBeCloseTo(-15, 6);
+    expect(beats[3].stdMs).toBeCloseTo(0, 6);
+    expect(beats[1].meanMs).toBeCloseTo(12, 6);
+    expect(beats[1].stdMs).toBeCloseTo(4, 6);
+    expect(beats[0].count).toBe(8);
+    expect(feel).toBe('centered');
+  });
+
+  it('measures the swing ratio of the off-beats', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    play(tracker, { bars: 4, swing: 2 / 3 });
+    const { swing, beats } = tracker.groove.getProfile();
+    expect(swing.percent).toBeCloseTo(66.67, 1);
+    expect(swing.ratio).toBeCloseTo(2, 6);
+    // Off-beats don't leak into the on-beat profile
+    expect(beats.every((b) => b.meanMs === 0)).toBe(true);
+
+    const straight = new HitTracker();
+    straight.setBpm(120);
+    play(straight, { bars: 4, swing: 0.5 });
+    expect(straight.groove.getProfile().swing.ratio).toBeCloseTo(1, 6);
+  });
+
+  it('ignores sixteenth fills and keeps a window of bars per beat', () => {
+    const groove = new GrooveAnalyzer();
+    for (let bar = 0; bar < 20; bar++) {
+      groove.add({ time: bar, beatInBar: 0, pulsePhase: bar < 4 ? 0.05 : 0, beatOffsetMs: bar < 4 ? 25 : 0 });
+      groove.add({ time: bar + 0.5, beatInBar: 1, pulsePhase: -0.25, beatOffsetMs: -125 }); // the "a" of 1
+    }
+    const profile = groove.getProfile();
+    expect(profile.beats[0]).toMatchObject({ count: 16, meanMs: 0 }); // the early late hits aged out
+    expect(profile.swing).toBeNull();
+    expect(profile.beats[1].count).toBe(0);
+  });
+
+  it('forgets the old bar when the meter changes', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    play(tracker, { bars: 2 });
+    tracker.setGridConfig({ beatsPerBar: 3 });
+    const { beats, feel } = tracker.groove.getProfile();
+    expect(beats).toHaveLength(3);
+    expect(feel).toBeNull();
+  });
+
+  it('drops a hit collapsed into a flam', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    tracker.addExpectedBeat({ time: 10, beatIndex: 0, barNumber: 0, kind: 'accent' });
+    tracker.addHit({ time: 9.98, energy: 0.1 });
+    tracker.addHit({ time: 10.01, energy: 0.1 });
+    expect(tracker.groove.getProfile().beats[0]).toMatchObject({ count: 1, meanMs: expect.closeTo(10, 6) });
+  });
+});
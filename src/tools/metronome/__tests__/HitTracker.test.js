@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { HitTracker } from '../HitTracker.js';
+
+describe('HitTracker pulse grid', () => {
+  it('scores hits against eighth-note pulses in /8 meters', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    tracker.setGridConfig({ beatUnit: 8 });
+    expect(tracker.pulseDuration()).toBeCloseTo(0.25);
+
+    tracker.addExpectedBeat({ time: 10, beatIndex: 0, barNumber: 0, kind: 'accent', isGroupStart: true });
+    // Next pulse hasn't been emitted yet — projected from the pulse length
+    const hit = tracker.addHit({ time: 10.26, energy: 0.1 });
+    expect(hit.status).toBe('onTime');
+    expect(hit.gridOffsetMs).toBeCloseTo(10, 6);
+  });
+
+  it('keeps quarter-note pulses by default', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    expect(tracker.pulseDuration()).toBeCloseTo(0.5);
+    tracker.addExpectedBeat({ time: 10, beatIndex: 0, barNumber: 0, kind: 'accent' });
+    expect(tracker.expectedBeats[0].isGroupStart).toBe(true);
+    expect(tracker.addHit({ time: 10.26, energy: 0.1 }).status).not.toBe('onTime');
+  });
+});
+
+describe('HitTracker session totals', () => {
+  it('tallies the whole session past pruning and reset()', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    for (let i = 0; i < 60; i++) {
+      tracker.addExpectedBeat({ time: i * 0.5, beatIndex: i % 4, barNumber: Math.floor(i / 4), kind: 'regular' });
+      // Alternate dead-on and 50ms late
+      tracker.addHit({ time: i * 0.5 + (i % 2 ? 0.05 : 0), energy: 0.1 });
+    }
+    expect(tracker.hits.length).toBeLessThan(60); // older hits are pruned…
+    tracker.reset();
+    expect(tracker.getTotals()).toEqual({ hits: 60, onGridPct: 50, avgGridOffsetMs: 25 }); // …but still counted
+
+    tracker.resetTotals();
+    expect(tracker.getTotals()).toEqual({ hits: 0, onGridPct: null, avgGridOffsetMs: null });
+  });
+
+  it('counts a flam once', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    tracker.addExpectedBeat({ time: 10, beatIndex: 0, barNumber: 0, kind: 'accent' });
+    tracker.addHit({ time: 10, energy: 0.1 });
+    expect(tracker.addHit({ time: 10.03, energy: 0.1 }).hasFlam).toBe(true);
+    expect(tracker.getTotals()).toMatchObject({ hits: 1, onGridPct: 100, avgGridOffsetMs: 30 });
+  });
+});
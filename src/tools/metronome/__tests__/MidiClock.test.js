@@ -0,0 +1,212 @@
+import { describe, it, expect, vi } from 'vitest';
+import { MidiClockIn, MidiMessage, audioToPerformanceMs, performanceMsToAudio } from '../MidiClock.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+/** Audio time t is heard at performance time 1000 + t·1000 ms */
+class ClockedAudioContext extends FakeAudioContext {
+  getOutputTimestamp() {
+    return { contextTime: this.currentTime, performanceTime: 1000 + this.currentTime * 1000 };
+  }
+}
+
+const tickMs = (bpm) => 60000 / bpm / 24;
+
+describe('MidiClockIn', () => {
+  it('reads the tempo through tick jitter', () => {
+    const clock = new MidiClockIn();
+    expect(clock.bpm).toBeNull();
+    for (let n = 0; n < 48; n++) {
+      const jitter = n % 2 ? 1.5 : -1.5;
+      clock.handleMessage([MidiMessage.CLOCK], n * tickMs(100) + jitter);
+    }
+    expect(clock.bpm).toBeCloseTo(100, 0);
+  });
+
+  it('reports the position every sixteenth while running', () => {
+    const syncs = [];
+    const onStart = vi.fn();
+    const onStop = vi.fn();
+    const clock = new MidiClockIn({ onStart, onStop, onSync: (s) => syncs.push(s) });
+    for (let n = 0; n < 12; n++) clock.handleMessage([MidiMessage.CLOCK], n * tickMs(120));
+    expect(syncs).toEqual([]); // not started yet
+
+    clock.handleMessage([MidiMessage.START], 12 * tickMs(120) - 1);
+    for (let n = 0; n < 25; n++) clock.handleMessage([MidiMessage.CLOCK], (12 + n) * tickMs(120));
+    clock.handleMessage([MidiMessage.STOP], 40 * tickMs(120));
+    clock.handleMessage([MidiMessage.STOP], 41 * tickMs(120));
+
+    expect(onStart).toHaveBeenCalledExactlyOnceWith(12 * tickMs(120) - 1);
+    expect(onStop).toHaveBeenCalledOnce();
+    expect(syncs.map((s) => s.quarter)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(syncs[4].timeStamp).toBeCloseTo(36 * tickMs(120), 6);
+    expect(syncs[4].bpm).toBeCloseTo(120, 6);
+  });
+
+  it('expects the downbeat a tick after Start', () => {
+    const clock = new MidiClockIn();
+    expect(clock.startSync(100)).toBeNull();
+    clock.handleMessage([MidiMessage.START], 500);
+    // No ticks heard yet: the caller's tempo
+    expect(clock.startSync(100)).toEqual({ quarter: 0, timeStamp: 500 + tickMs(100), bpm: 100 });
+
+    for (let n = 0; n < 24; n++) clock.handleMessage([MidiMessage.CLOCK], 1000 + n * tickMs(120));
+    clock.handleMessage([MidiMessage.START], 2000);
+    expect(clock.startSync(100).timeStamp).toBeCloseTo(2000 + tickMs(120), 6);
+    expect(clock.startSync(100).bpm).toBeCloseTo(120, 6);
+  });
+
+  it('starts the tempo over after a pause', () => {
+    const clock = new MidiClockIn();
+    for (let n = 0; n < 24; n++) clock.handleMessage([MidiMessage.CLOCK], n * tickMs(60));
+    for (let n = 0; n < 24; n++) clock.handleMessage([MidiMessage.CLOCK], 5000 + n * tickMs(150));
+    expect(clock.bpm).toBeCloseTo(150, 6);
+  });
+});
+
+describe('clock conversions', () => {
+  it('round-trips between audio and performance time', () => {
+    const ctx = new ClockedAudioContext();
+    ctx.currentTime = 2;
+    expect(audioToPerformanceMs(ctx, 2.5)).toBeCloseTo(3500, 9);
+    expect(performanceMsToAudio(ctx, 3500)).toBeCloseTo(2.5, 9);
+  });
+});
+
+describe('MetronomeEngine MIDI clock', () => {
+  useFakeAudio(ClockedAudioContext);
+
+  const outputPort = () => {
+    const sent = [];
+    return { sent, send: (data, t) => sent.push([data[0], t]), clear: vi.fn() };
+  };
+
+  it('sends Start on the first downbeat, 24 ticks per quarter, and Stop', async () => {
+    const out = outputPort();
+    const engine = new MetronomeEngine();
+    engine.setBpm(120);
+    engine.setClockOutputs([out]);
+    await engine.start();
+    runUntil(engine, 2);
+    engine.stop();
+
+    const [start, ...rest] = out.sent;
+    const ticks = rest.filter(([m]) => m === MidiMessage.CLOCK).map(([, t]) => t);
+    expect(start[0]).toBe(MidiMessage.START);
+    expect(ticks[0]).toBeCloseTo(1000 + 60, 6); // the first beat
+    expect(start[1]).toBeLessThan(ticks[0]);
+    ticks.slice(1).forEach((t, i) => expect(t - ticks[i]).toBeCloseTo(tickMs(120), 6));
+    expect(out.sent.at(-1)).toEqual([MidiMessage.STOP, undefined]);
+    expect(out.clear).toHaveBeenCalledOnce();
+  });
+
+  it('ticks by the quarter note in eighth-note meters', async () => {
+    const out = outputPort();
+    const engine = new MetronomeEngine();
+    engine.setBpm(120);
+    engine.setTimeSignature(6, 8);
+    engine.setClockOutputs([out]);
+    await engine.start();
+    runUntil(engine, 1);
+    engine.stop();
+
+    const ticks = out.sent.filter(([m]) => m === MidiMessage.CLOCK).map(([, t]) => t);
+    // Still 24 per quarter: 12 per eighth-note pulse
+    expect(ticks.length % 12).toBe(0);
+    ticks.slice(1).forEach((t, i) => expect(t - ticks[i]).toBeCloseTo(tickMs(120), 6));
+  });
+
+  it('waits for a downbeat before sending to ports added mid-run', async () => {
+    const out = outputPort();
+    const engine = new MetronomeEngine();
+    engine.setBpm(120);
+    await engine.start();
+    runUntil(engine, 0.6);
+    engine.setClockOutputs([out]);
+    runUntil(engine, 2.5);
+    engine.stop();
+
+    // Bar two begins at 0.06 + 2s
+    expect(out.sent[0][0]).toBe(MidiMessage.START);
+    expect(out.sent[1][1]).toBeCloseTo(1000 + 2060, 6);
+  });
+
+  it('follows an external clock, beat for beat', async () => {
+    const beats = [];
+    const engine = new MetronomeEngine({ onBeat: (b) => beats.push(b) });
+    engine.setBpm(60);
+    engine.setCountIn(1);
+    engine.setClockFollow(true);
+    await engine.start();
+    runUntil(engine, 0.5);
+    expect(beats).toEqual([]); // nothing until the clock speaks
+
+    // The device pressed Start so that its downbeat is heard at 0.6s, at
+    // 100 BPM; a sync arrives every sixteenth
+    const clock = new MidiClockIn({ onSync: (s) => engine.syncToClock(s) });
+    clock.handleMessage([MidiMessage.START], 0);
+    let n = 0;
+    runUntil(engine, 4, {
+      onTick: (now) => {
+        while (600 + n * tickMs(100) <= now * 1000) {
+          clock.handleMessage([MidiMessage.CLOCK], 1000 + 600 + n * tickMs(100));
+          n += 1;
+        }
+      },
+    });
+    engine.stop();
+
+    expect(engine.bpm).toBeCloseTo(100, 6);
+    expect(beats.length).toBeGreaterThan(3);
+    // Every beat sits on a quarter of the clock, bar position included
+    for (const b of beats) {
+      const quarter = (b.time - 0.6) / 0.6;
+      expect(quarter).toBeCloseTo(b.pulse, 6);
+      expect(b.beatIndex).toBe(b.pulse % 4);
+    }
+  });
+
+  it('plays the first downbeat after Start', async () => {
+    const beats = [];
+    const engine = new MetronomeEngine({ onBeat: (b) => beats.push(b) });
+    engine.setBpm(60);
+    engine.setClockFollow(true);
+    let started = null;
+    const clock = new MidiClockIn({
+      onStart: () => {
+        started = engine.start().then(() => engine.syncToClock(clock.startSync(engine.bpm)));
+      },
+      onSync: (s) => engine.syncToClock(s),
+    });
+
+    // The device's clock already runs at 100 BPM; Start is heard as the
+    // engine starts and its first Clock, the downbeat, a tick later
+    const tick = (n) => 1000 + (n + 1) * tickMs(100);
+    for (let n = -24; n < 0; n++) clock.handleMessage([MidiMessage.CLOCK], tick(n));
+    clock.handleMessage([MidiMessage.START], 1000);
+    await started;
+    const downbeat = (tick(0) - 1000) / 1000;
+    // Scheduled straight away, before tick 0 is in
+    expect(FakeAudioContext.last.clicks[0]).toBeCloseTo(downbeat, 6);
+
+    let n = 0;
+    runUntil(engine, 3, {
+      onTick: (now) => {
+        while (tick(n) <= 1000 + now * 1000) clock.handleMessage([MidiMessage.CLOCK], tick(n++));
+      },
+    });
+    engine.stop();
+
+    expect(beats[0]).toMatchObject({ pulse: 0, beatIndex: 0 });
+    for (const b of beats) expect((b.time - downbeat) / 0.6).toBeCloseTo(b.pulse, 6);
+  });
+
+  it('ignores syncs unless following', async () => {
+    const engine = new MetronomeEngine();
+    engine.setBpm(90);
+    await engine.start();
+    engine.syncToClock({ quarter: 0, timeStamp: 1000, bpm: 140 });
+    engine.stop();
+    expect(engine.bpm).toBe(90);
+  });
+});
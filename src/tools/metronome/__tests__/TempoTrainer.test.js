@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import { TempoTrainer, TrainerMode } from '../TempoTrainer.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+/** Feed `bars` bar lines at 2s apart, returning the tempo after each */
+function playBars(trainer, bars, startBpm) {
+  let bpm = startBpm;
+  const out = [];
+  for (let bar = 1; bar <= bars; bar++) {
+    bpm = trainer.onBar({ bar, time: bar * 2, bpm });
+    out.push(bpm);
+  }
+  return out;
+}
+
+describe('TempoTrainer', () => {
+  it('steps up every N bars and stops at the max', () => {
+    const trainer = new TempoTrainer({ stepBpm: 5, everyBars: 2, maxBpm: 112 });
+    trainer.reset(100);
+    expect(playBars(trainer, 8, 100)).toEqual([100, 105, 105, 110, 110, 112, 112, 112]);
+    expect(trainer.log.map((e) => [e.bar, e.bpm, e.action])).toEqual([
+      [0, 100, 'start'], [2, 105, 'up'], [4, 110, 'up'], [6, 112, 'up'], [8, 112, 'hold'],
+    ]);
+  });
+
+  it('never slows down when the max is below the start tempo', () => {
+    const trainer = new TempoTrainer({ everyBars: 1, maxBpm: 80 });
+    trainer.reset(100);
+    expect(playBars(trainer, 2, 100)).toEqual([100, 100]);
+  });
+
+  it('climbs the ladder only on clean windows and backs off on sloppy ones', () => {
+    const windows = [
+      { gridHits: 8, onGridPct: 90, hitRate: 1 },    // clean → up
+      { gridHits: 8, onGridPct: 75, hitRate: 1 },    // just under → hold
+      { gridHits: 8, onGridPct: 95, hitRate: 0.75 }, // gaps → hold
+      { gridHits: 8, onGridPct: 50, hitRate: 1 },    // sloppy → down
+      { gridHits: 1, onGridPct: 100, hitRate: 0.1 }, // not playing → idle
+      { gridHits: 8, onGridPct: 40, hitRate: 1 },    // sloppy, already at start → hold
+    ];
+    const getStats = vi.fn(() => windows.shift());
+    const trainer = new TempoTrainer({
+      mode: TrainerMode.LADDER, stepBpm: 4, everyBars: 2, threshold: 80, getStats,
+    });
+    trainer.reset(100, 0);
+
+    expect(playBars(trainer, 12, 100)).toEqual([100, 104, 104, 104, 104, 104, 104, 100, 100, 100, 100, 100]);
+    expect(trainer.log.slice(1).map((e) => e.action)).toEqual(['up', 'hold', 'hold', 'down', 'idle', 'hold']);
+    expect(trainer.log[1]).toMatchObject({ bar: 2, bpm: 104, onGridPct: 90, hitRate: 1 });
+    // Each evaluation looks back over exactly its own window
+    expect(getStats).toHaveBeenNthCalledWith(1, 4);
+    expect(getStats).toHaveBeenNthCalledWith(2, 4);
+  });
+
+  it('starts a fresh log on reset and keeps settings it is not given', () => {
+    const trainer = new TempoTrainer({ everyBars: 1 });
+    trainer.reset(90);
+    playBars(trainer, 3, 90);
+    trainer.configure({ stepBpm: 2, maxBpm: undefined });
+    expect(trainer.options).toMatchObject({ stepBpm: 2, maxBpm: 180, everyBars: 1 });
+    trainer.reset(60, 1.5);
+    expect(trainer.log).toEqual([{ time: 1.5, bar: 0, bpm: 60, onGridPct: null, hitRate: null, action: 'start' }]);
+  });
+});
+
+describe('MetronomeEngine with a tempo trainer', () => {
+  useFakeAudio();
+
+  it('changes tempo exactly at the bar line without a gap', async () => {
+    const beats = [];
+    const engine = new MetronomeEngine({ onBeat: (b) => beats.push(b) });
+    engine.setBpm(60);
+    engine.setTempoTrainer(new TempoTrainer({ stepBpm: 60, everyBars: 1, maxBpm: 240 }));
+    await engine.start();
+    runUntil(engine, 7.2);
+    engine.stop();
+
+    // Bar 1 at 60 BPM (1s beats), bar 2 at 120 (0.5s), bar 3 at 180…
+    const gaps = FakeAudioContext.last.clicks.slice(0, 12).map((t, i, a) => (i ? t - a[i - 1] : null)).slice(1);
+    const expected = [1, 1, 1, 1, 0.5, 0.5, 0.5, 0.5, 1 / 3, 1 / 3, 1 / 3];
+    gaps.forEach((g, i) => expect(g).toBeCloseTo(expected[i], 9));
+    expect(beats.map((b) => b.bpm).slice(0, 9)).toEqual([60, 60, 60, 60, 120, 120, 120, 120, 180]);
+  });
+
+  it('starts every session from the set tempo and drops the trainer cleanly', async () => {
+    const engine = new MetronomeEngine();
+    engine.setBpm(100);
+    const trainer = new TempoTrainer({ stepBpm: 10, everyBars: 1 });
+    engine.setTempoTrainer(trainer);
+    await engine.start();
+    runUntil(engine, 5);
+    engine.stop();
+    expect(engine.bpm).toBeGreaterThan(100);
+
+    await engine.start();
+    expect(engine.bpm).toBe(100);
+    expect(trainer.log).toHaveLength(1);
+    runUntil(engine, 10);
+    engine.setTempoTrainer(null);
+    expect(engine.bpm).toBe(100);
+    engine.stop();
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  TIMBRE_LIST,
+  customTimbreKey,
+  getClickBuffers,
+  getCountBuffer,
+  getTimbreList,
+  prepareClickSample,
+  setCustomTimbres,
+  subscribeTimbres,
+} from '../clickSamples.js';
+import { COUNT_WORDS, renderWord } from '../formantVoice.js';
+import { ClickSampleStore } from '../ClickSampleStore.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+const SR = 22050;
+
+describe('built-in timbres', () => {
+  it('offers the sampled kit sounds and spoken counts', () => {
+    const keys = TIMBRE_LIST.map((t) => t.key);
+    expect(keys).toEqual(expect.arrayContaining(['rimshot', 'hihat', 'clave', 'counts']));
+  });
+
+  it('builds a non-silent buffer for every timbre', () => {
+    const ctx = new FakeAudioContext();
+    for (const { key } of TIMBRE_LIST) {
+      const { regular, accent } = getClickBuffers(ctx, key);
+      const peak = (b) => Math.max(...b.getChannelData(0).map(Math.abs));
+      expect(peak(regular), key).toBeGreaterThan(0.05);
+      expect(peak(accent), key).toBeGreaterThan(0.05);
+    }
+  });
+});
+
+describe('spoken counts', () => {
+  it('renders each number with the vowel onset as its lead', () => {
+    const { samples, sampleRate, onsetMs } = renderWord('six');
+    expect(sampleRate).toBe(SR);
+    expect(samples.length / SR).toBeGreaterThan(0.2);
+    expect(samples.length / SR).toBeLessThan(0.8);
+    expect(onsetMs).toBeGreaterThan(40); // the "s"
+    // Quiet fricative before the vowel, loud vowel after it
+    const rms = (from, to) => {
+      let sum = 0;
+      for (let i = from; i < to; i++) sum += samples[i] ** 2;
+      return Math.sqrt(sum / (to - from));
+    };
+    const onset = Math.round((onsetMs / 1000) * SR);
+    expect(rms(onset, onset + 2000)).toBeGreaterThan(2 * rms(0, onset));
+    expect(COUNT_WORDS[0]).toBe('one');
+    expect(COUNT_WORDS).toHaveLength(16);
+  });
+
+  it('caches per context and wraps past sixteen', () => {
+    const ctx = new FakeAudioContext();
+    const first = getCountBuffer(ctx, 1, false);
+    expect(getCountBuffer(ctx, 17, false)).toBe(first);
+    expect(getCountBuffer(ctx, 1, true)).not.toBe(first);
+    expect(first.lead).toBeGreaterThanOrEqual(0);
+  });
+
+  describe('in playback', () => {
+    useFakeAudio();
+
+    it('starts each count early by its lead', async () => {
+      const engine = new MetronomeEngine();
+      engine.setBpm(120);
+      engine.setTimbre('counts');
+      await engine.start();
+      runUntil(engine, 0.9);
+      engine.stop();
+
+      const ctx = FakeAudioContext.last;
+      const { lead } = getCountBuffer(ctx, 2, false);
+      // The first beat waits out the longest lead-in
+      expect(ctx.clicks[1]).toBeCloseTo(0.31 + 0.5 - lead, 9);
+    });
+
+    it('never schedules a word to start in the past', async () => {
+      const engine = new MetronomeEngine();
+      engine.setBpm(240);
+      engine.setTimeSignature(12, 4); // "three", "seven", "twelve" … have the longest leads
+      engine.setTimbre('counts');
+      await engine.start();
+      runUntil(engine, 4);
+      engine.stop();
+
+      const ctx = FakeAudioContext.last;
+      expect(ctx.clicks.length).toBeGreaterThan(12);
+      ctx.clicks.forEach((when, i) => expect(when).toBeGreaterThanOrEqual(ctx.scheduledAt[i]));
+    });
+  });
+});
+
+describe('uploaded sounds', () => {
+  afterEach(() => setCustomTimbres([]));
+
+  const entry = {
+    id: 3,
+    name: 'Snap',
+    sampleRate: 44100,
+    regular: new Float32Array([0.5, -0.4, 0.2]),
+    accent: null,
+  };
+
+  it('joins the timbre list and notifies subscribers', () => {
+    const callback = vi.fn();
+    const unsubscribe = subscribeTimbres(callback);
+    setCustomTimbres([entry]);
+    unsubscribe();
+
+    expect(callback).toHaveBeenCalledOnce();
+    expect(getTimbreList().at(-1)).toEqual({ key: 'custom:3', label: 'Snap', custom: true, id: 3 });
+  });
+
+  it('plays the samples, boosting the regular one when no accent was given', () => {
+    setCustomTimbres([entry]);
+    const ctx = new FakeAudioContext();
+    const { regular, accent } = getClickBuffers(ctx, customTimbreKey(3));
+    expect(regular.getChannelData(0)[0]).toBeCloseTo(0.5, 6);
+    expect(accent.getChannelData(0)[0]).toBeCloseTo(0.6, 6);
+  });
+
+  it('falls back to the woodblock until the sound is loaded', () => {
+    const ctx = new FakeAudioContext();
+    expect(getClickBuffers(ctx, 'custom:99')).toBe(getClickBuffers(ctx, 'woodblock'));
+  });
+
+  it('trims leading silence, mixes to mono and normalizes', () => {
+    const left = new Float32Array(4410);
+    const right = new Float32Array(4410);
+    left[2000] = 0.4;
+    right[2000] = 0.2;
+    left[2100] = 0.1;
+    const out = prepareClickSample([left, right], 44100);
+    // 1ms of attack kept ahead of the hit
+    expect(out[44]).toBeCloseTo(0.85, 6);
+    expect(out.length).toBe(4410 - 2000 + 44);
+    expect(prepareClickSample([new Float32Array(100)], 44100)).toBeNull();
+  });
+
+  it('caps long samples at a second', () => {
+    const long = new Float32Array(44100 * 3).fill(0.5);
+    expect(prepareClickSample([long], 44100)).toHaveLength(44100);
+  });
+});
+
+describe('ClickSampleStore without IndexedDB', () => {
+  it('keeps sounds in memory and reports changes', async () => {
+    const store = new ClickSampleStore({ indexedDB: null });
+    const events = [];
+    store.subscribe((type) => events.push(type));
+
+    const a = await store.add({ name: ' Snap ', sampleRate: 44100, regular: new Float32Array([0.1]) });
+    await store.add({ name: '', sampleRate: 44100, regular: new Float32Array([0.2]) });
+    expect(a.name).toBe('Snap');
+    expect((await store.list()).map((e) => e.name)).toEqual(['Snap', 'My click']);
+
+    await store.remove(a.id);
+    expect(await store.list()).toHaveLength(1);
+    expect(events).toEqual(['add', 'add', 'remove']);
+    await expect(store.add({ name: 'Empty', regular: new Float32Array(0) })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, vi } from 'vitest';
+
+/**
+ * Just enough AudioContext for MetronomeEngine tests: a hand-driven clock
+ * and a record of every click's start time (and of the clock when it was
+ * scheduled, in `scheduledAt`).
+ */
+export class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = {};
+    this.clicks = [];
+    this.scheduledAt = [];
+    FakeAudioContext.last = this;
+  }
+  createGain() { return { gain: { value: 1 }, connect() {} }; }
+  createBuffer(_channels, length) {
+    const data = new Float32Array(length);
+    return { getChannelData: () => data };
+  }
+  createBufferSource() {
+    return {
+      connect() {},
+      start: (when) => {
+        this.clicks.push(when);
+        this.scheduledAt.push(this.currentTime);
+      },
+    };
+  }
+  resume() { return Promise.resolve(); }
+  close() { return Promise.resolve(); }
+}
+
+/**
+ * Run the enclosing suite on fake timers with `Context` standing in for
+ * AudioContext; call it inside the describe block
+ */
+export function useFakeAudio(Context = FakeAudioContext) {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('AudioContext', Context);
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+}
+
+/** Advance the fake clock, running the scheduler and UI flush as it goes */
+export function runUntil(engine, seconds, { onTick } = {}) {
+  const ctx = FakeAudioContext.last;
+  while (ctx.currentTime < seconds && engine.isRunning) {
+    ctx.currentTime = Math.round((ctx.currentTime + 0.02) * 1000) / 1000;
+    engine._scheduler();
+    engine._flushUiBeats();
+    onTick?.(ctx.currentTime);
+  }
+}
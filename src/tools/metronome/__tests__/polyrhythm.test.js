@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LayerMode,
+  describeLayer,
+  layerHitsInPulse,
+  layerProgress,
+  layerPulseRatio,
+  normalizeLayers,
+} from '../polyrhythm.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { HitTracker } from '../HitTracker.js';
+import { beatOffset, createSection, resolveSection } from '../tempoMap.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+const rhythm = (beats) => ({ id: `r${beats}`, mode: LayerMode.RHYTHM, beats, timbre: 'cowbell', volume: 0.7 });
+const meter = (beats) => ({ id: `m${beats}`, mode: LayerMode.METER, beats, timbre: 'beep', volume: 0.7 });
+
+/** Every hit of a layer over one bar, as [pulse, fraction, index] */
+function barHits(layer, beatsPerBar) {
+  const out = [];
+  for (let b = 0; b < beatsPerBar; b++) {
+    for (const h of layerHitsInPulse(layer, beatsPerBar, b, b)) out.push([b, h.fraction, h.index]);
+  }
+  return out;
+}
+
+describe('polyrhythm', () => {
+  it('spreads a rhythm layer evenly across the bar', () => {
+    const threeOverFour = barHits(rhythm(3), 4);
+    expect(threeOverFour.map(([b, , k]) => [b, k])).toEqual([[0, 0], [1, 1], [2, 2]]);
+    expect(threeOverFour[1][1]).toBeCloseTo(1 / 3, 12);
+    expect(threeOverFour[2][1]).toBeCloseTo(2 / 3, 12);
+
+    // 3-over-2: two layer clicks fall inside the first pulse
+    const threeOverTwo = barHits(rhythm(3), 2);
+    expect(threeOverTwo.map(([b, , k]) => [b, k])).toEqual([[0, 0], [0, 1], [1, 2]]);
+    expect(threeOverTwo[1][1]).toBeCloseTo(2 / 3, 12);
+
+    // Coinciding clicks land exactly on the pulse
+    expect(barHits(rhythm(2), 4)).toEqual([[0, 0, 0], [2, 0, 1]]);
+  });
+
+  it('cycles a meter layer on its own downbeat', () => {
+    const layer = meter(5);
+    const downbeats = [];
+    for (let pulse = 0; pulse < 20; pulse++) {
+      const [hit] = layerHitsInPulse(layer, 4, pulse % 4, pulse);
+      expect(hit.fraction).toBe(0);
+      if (hit.isDownbeat) downbeats.push(pulse);
+    }
+    expect(downbeats).toEqual([0, 5, 10, 15]);
+  });
+
+  it('describes, sizes and tracks layers', () => {
+    expect(describeLayer(rhythm(5), 4)).toBe('5 over 4');
+    expect(describeLayer(meter(7), 4)).toBe('7-pulse cycle');
+    expect(layerPulseRatio(rhythm(3), 4)).toBeCloseTo(4 / 3);
+    expect(layerPulseRatio(meter(5), 4)).toBe(1);
+    // Halfway through pulse 2 of 4/4 is 1.875 layer clicks into a 3-layer
+    expect(layerProgress(rhythm(3), 4, 2, 0.5, 6)).toBeCloseTo(1.875);
+    expect(layerProgress(meter(5), 4, 2, 0.5, 6)).toBeCloseTo(1.5);
+  });
+
+  it('cleans up stored layers', () => {
+    const out = normalizeLayers([
+      { id: 'a', mode: 'bogus', beats: 40, volume: 2 },
+      null,
+      { id: 'b', beats: Number.NaN },
+      { id: 'c', mode: LayerMode.METER, beats: 5 },
+      { id: 'd', beats: 3 },
+      { id: 'e', beats: 3 },
+    ]);
+    expect(out.map((l) => [l.id, l.mode, l.beats, l.volume])).toEqual([
+      ['a', 'rhythm', 16, 1],
+      ['c', 'meter', 5, 0.7],
+      ['d', 'rhythm', 3, 0.7],
+    ]);
+    expect(normalizeLayers(undefined)).toEqual([]);
+  });
+});
+
+// ── Scheduler ────────────────────────────────────────────────────────────
+
+describe('MetronomeEngine with layers', () => {
+  useFakeAudio();
+
+  it('plays 3-over-4 on top of the main click', async () => {
+    const beats = [];
+    const layerBeats = [];
+    const order = [];
+    const engine = new MetronomeEngine({
+      onBeat: (b) => { beats.push(b); order.push(b.time); },
+      onLayerBeat: (b) => { layerBeats.push(b); order.push(b.time); },
+    });
+    engine.setBpm(120);
+    engine.setLayers([rhythm(3)]);
+    await engine.start();
+    runUntil(engine, 4.1);
+    engine.stop();
+
+    const t0 = 0.06;
+    const layerTimes = layerBeats.map((b) => b.time);
+    [0, 2 / 3, 4 / 3, 2, 2 + 2 / 3, 2 + 4 / 3].forEach((t, i) => expect(layerTimes[i]).toBeCloseTo(t0 + t, 9));
+    expect(layerBeats.slice(0, 4).map((b) => [b.index, b.isDownbeat, b.barNumber])).toEqual([
+      [0, true, 0], [1, false, 0], [2, false, 0], [0, true, 1],
+    ]);
+    // Main and layer clicks are both scheduled
+    const clicks = FakeAudioContext.last.clicks.filter((t) => t < t0 + 4 - 1e-9);
+    expect(clicks).toHaveLength(8 + 6);
+    // Callbacks still run in time order
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+    expect(beats.map((b) => b.pulse).slice(0, 5)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('places layer clicks on a ramp with the section curve', async () => {
+    const layerBeats = [];
+    const engine = new MetronomeEngine({ onLayerBeat: (b) => layerBeats.push(b) });
+    const ramp = { ...createSection(), bars: 1, bpm: 60, endBpm: 120 };
+    engine.setTempoMap([ramp]);
+    engine.setLayers([rhythm(3)]);
+    await engine.start();
+    runUntil(engine, 5);
+
+    const resolved = resolveSection(ramp);
+    expect(layerBeats).toHaveLength(3);
+    layerBeats.forEach((b, k) => expect(b.time).toBeCloseTo(0.06 + beatOffset(resolved, (k * 4) / 3), 9));
+  });
+
+  it('mutes layers in skipped bars but still reports them', async () => {
+    const layerBeats = [];
+    const engine = new MetronomeEngine({ onLayerBeat: (b) => layerBeats.push(b) });
+    engine.setBpm(120);
+    engine.setSkipPattern(1, 1);
+    engine.setLayers([meter(5)]);
+    await engine.start();
+    runUntil(engine, 4.1);
+    engine.stop();
+
+    // Bar 0 plays (4 main + 4 layer clicks), bar 1 is silent
+    const clicks = FakeAudioContext.last.clicks.filter((t) => t < 0.06 + 4 - 1e-9);
+    expect(clicks).toHaveLength(8);
+    expect(layerBeats.slice(0, 8).map((b) => b.skipped)).toEqual([false, false, false, false, true, true, true, true]);
+    expect(layerBeats.slice(0, 6).map((b) => b.index)).toEqual([0, 1, 2, 3, 4, 0]);
+  });
+});
+
+describe('HitTracker scoring a layer', () => {
+  it('projects the grid by the layer spacing', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    tracker.setGridConfig({ pulseRatio: 4 / 3 });
+    expect(tracker.pulseDuration()).toBeCloseTo(2 / 3);
+
+    tracker.addExpectedBeat({ time: 10, beatIndex: 0, barNumber: 0, kind: 'accent' });
+    // Next 3-over-4 click is 2/3s later — not on any main pulse
+    expect(tracker.addHit({ time: 10 + 2 / 3 + 0.01, energy: 0.1 }).status).toBe('onTime');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSwing, swingFraction } from '../swing.js';
+import { HitTracker } from '../HitTracker.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+describe('swingFraction', () => {
+  it('moves the second eighth of each beat', () => {
+    expect(swingFraction(0.5, 2, 50)).toBe(0.5);
+    expect(swingFraction(0.5, 2, 200 / 3)).toBeCloseTo(2 / 3, 9);
+    expect(swingFraction(0.5, 2, 75)).toBeCloseTo(0.75, 9);
+    expect(swingFraction(0, 2, 75)).toBe(0);
+  });
+
+  it('swings sixteenths in pairs and leaves the "&" alone', () => {
+    expect(swingFraction(0.25, 4, 75)).toBeCloseTo(0.375, 9);
+    expect(swingFraction(0.5, 4, 75)).toBeCloseTo(0.5, 9);
+    expect(swingFraction(0.75, 4, 75)).toBeCloseTo(0.875, 9);
+  });
+
+  it('never swings triplets and clamps the amount', () => {
+    expect(swingFraction(1 / 3, 3, 75)).toBeCloseTo(1 / 3, 9);
+    expect(normalizeSwing(90)).toBe(75);
+    expect(normalizeSwing(null)).toBe(50);
+  });
+});
+
+describe('swung playback', () => {
+  useFakeAudio();
+
+  it('schedules the off-beat eighths late', async () => {
+    const engine = new MetronomeEngine();
+    engine.setBpm(120);
+    engine.setSubdivision(2);
+    engine.setSwing(200 / 3);
+    await engine.start();
+    runUntil(engine, 1.1);
+    engine.stop();
+
+    const clicks = FakeAudioContext.last.clicks.slice(0, 4).map((t) => t - 0.06);
+    [0, 1 / 3, 0.5, 0.5 + 1 / 3].forEach((t, i) => expect(clicks[i]).toBeCloseTo(t, 9));
+  });
+
+  it('scores swung hits as on time', () => {
+    const tracker = new HitTracker();
+    tracker.setBpm(120);
+    tracker.setGridConfig({ subdivision: 2, swing: 200 / 3 });
+    tracker.addExpectedBeat({ time: 10, beatIndex: 0, barNumber: 0, kind: 'accent' });
+    const swung = tracker.addHit({ time: 10 + 1 / 3, energy: 0.1 });
+    expect(swung.status).toBe('onTime');
+    expect(swung.gridSubdivision).toBe('eighth');
+    expect(swung.gridOffsetMs).toBeCloseTo(0, 6);
+
+    // A straight "&" is now late
+    tracker.setGridConfig({ swing: 75 });
+    expect(tracker.addHit({ time: 11.25, energy: 0.1 }).status).toBe('off');
+  });
+});
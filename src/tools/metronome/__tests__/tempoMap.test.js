@@ -0,0 +1,220 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  beatOffset,
+  createSection,
+  defaultGrouping,
+  formatDuration,
+  getTimeSignature,
+  groupPosition,
+  groupingPattern,
+  groupingPresets,
+  normalizePattern,
+  parseGrouping,
+  resolveSection,
+  sectionDuration,
+  songDuration,
+  tempoAt,
+  pulseSeconds,
+  validateSong,
+} from '../tempoMap.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+function section(overrides = {}) {
+  return { ...createSection(), ...overrides };
+}
+
+describe('tempoMap', () => {
+  it('spaces a steady section evenly', () => {
+    const s = resolveSection(section({ bars: 2, bpm: 120 }));
+    expect(s.totalBeats).toBe(8);
+    expect(beatOffset(s, 3)).toBeCloseTo(1.5);
+    expect(sectionDuration(s)).toBeCloseTo(4);
+  });
+
+  it('integrates a linear ramp exactly', () => {
+    const s = resolveSection(section({ bars: 4, bpm: 60, endBpm: 120 }));
+    expect(tempoAt(s, 8)).toBeCloseTo(90);
+    // Sum of many tiny steps at the instantaneous tempo should agree
+    let t = 0;
+    const steps = 16000;
+    for (let i = 0; i < steps; i++) t += (60 / tempoAt(s, (i + 0.5) * 16 / steps)) * (16 / steps);
+    expect(sectionDuration(s)).toBeCloseTo(t, 5);
+    expect(sectionDuration(s)).toBeCloseTo(16 * Math.log(2), 9);
+    // A ramp down mirrors it
+    const down = resolveSection(section({ bars: 4, bpm: 120, endBpm: 60 }));
+    expect(sectionDuration(down)).toBeCloseTo(sectionDuration(s), 9);
+  });
+
+  it('adds section lengths into a song length', () => {
+    const sections = [
+      section({ bars: 4, bpm: 120 }),
+      section({ bars: 2, bpm: 90, timeSig: '3/4' }),
+    ];
+    expect(songDuration(sections)).toBeCloseTo(8 + 4);
+    expect(formatDuration(songDuration(sections))).toBe('0:12');
+    expect(formatDuration(125.4)).toBe('2:05');
+  });
+
+  it('continues a new section from the previous end tempo and meter', () => {
+    const next = createSection({ ...section({ timeSig: '6/8', subdivision: 2 }), bpm: 100, endBpm: 140 });
+    expect(next).toMatchObject({ bpm: 140, endBpm: null, timeSig: '6/8', subdivision: 2 });
+    expect(next.accentPattern).toHaveLength(12);
+  });
+
+  it('keeps main-beat marks when a pattern is refit', () => {
+    const pattern = ['accent', 'silent', 'regular', 'accent'];
+    expect(normalizePattern(pattern, 4, 2)).toEqual([
+      'accent', 'regular', 'silent', 'regular', 'regular', 'regular', 'accent', 'regular',
+    ]);
+    expect(normalizePattern(pattern, 4, 1)).toBe(pattern);
+  });
+
+  it('validates songs', () => {
+    expect(validateSong({ name: 'Ok', sections: [section()] })).toEqual([]);
+    expect(validateSong({
+      name: ' ',
+      sections: [section({ bars: 0 }), section({ bpm: 500, endBpm: 10 })],
+    })).toEqual([
+      'Give the song a name.',
+      'Section 1: bars must be a whole number of at least 1.',
+      'Section 2: tempo must be between 20 and 300 BPM.',
+      'Section 2: end tempo must be between 20 and 300 BPM.',
+    ]);
+    expect(validateSong({ name: 'Empty', sections: [] })).toContain('Add at least one section.');
+  });
+});
+
+describe('meters and groupings', () => {
+  it('groups compound and odd meters the way they are usually felt', () => {
+    const group = (key) => defaultGrouping(getTimeSignature(key));
+    expect(group('4/4')).toEqual([1, 1, 1, 1]);
+    expect(group('3/8')).toEqual([1, 1, 1]);
+    expect(group('6/8')).toEqual([3, 3]);
+    expect(group('12/8')).toEqual([3, 3, 3, 3]);
+    expect(group('5/8')).toEqual([2, 3]);
+    expect(group('7/8')).toEqual([2, 2, 3]);
+  });
+
+  it('parses groupings that fill the bar exactly', () => {
+    expect(parseGrouping('3 + 2 + 2', 7)).toEqual([3, 2, 2]);
+    expect(parseGrouping('2+2+2', 7)).toBeNull();
+    expect(parseGrouping('2+0+5', 7)).toBeNull();
+    expect(parseGrouping('2+x', 7)).toBeNull();
+    expect(parseGrouping('', 7)).toBeNull();
+  });
+
+  it('accents group starts and locates each pulse in its group', () => {
+    expect(groupingPattern([2, 2, 3])).toEqual([
+      'accent', 'regular', 'accent', 'regular', 'accent', 'regular', 'regular',
+    ]);
+    expect(groupingPattern([3, 3], 2).filter((k) => k === 'accent')).toHaveLength(2);
+    // Flat grouping = plain meter with only the downbeat accented
+    expect(groupingPattern([1, 1, 1])).toEqual(['accent', 'regular', 'regular']);
+    expect(groupPosition([2, 2, 3], 4)).toEqual({ groupIndex: 2, isGroupStart: true });
+    expect(groupPosition([2, 2, 3], 6)).toEqual({ groupIndex: 2, isGroupStart: false });
+  });
+
+  it('offers twos-and-threes presets, fewest groups first', () => {
+    expect(groupingPresets(7)).toEqual(['2+2+3', '2+3+2', '3+2+2']);
+    expect(groupingPresets(6)[0]).toBe('3+3');
+  });
+
+  it('counts BPM in quarter notes whatever the beat unit', () => {
+    expect(pulseSeconds(120, 4)).toBeCloseTo(0.5);
+    expect(pulseSeconds(120, 8)).toBeCloseTo(0.25);
+    const s = resolveSection(section({ bars: 1, bpm: 120, timeSig: '7/8' }));
+    expect(beatOffset(s, 7)).toBeCloseTo(1.75);
+    expect(sectionDuration(s)).toBeCloseTo(1.75);
+  });
+});
+
+// ── Scheduler ────────────────────────────────────────────────────────────
+
+describe('MetronomeEngine with a tempo map', () => {
+  useFakeAudio();
+
+  it('plays sections back to back with their own meter and subdivision', async () => {
+    const beats = [];
+    const onEnd = vi.fn();
+    const engine = new MetronomeEngine({ onBeat: (b) => beats.push(b), onEnd });
+    engine.setTempoMap([
+      section({ name: 'A', bars: 1, bpm: 120 }),
+      section({ name: 'B', bars: 1, bpm: 60, timeSig: '3/4', subdivision: 2 }),
+    ]);
+    await engine.start();
+    runUntil(engine, 10);
+
+    const t0 = 0.06;
+    const expected = [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5].map((t) => t0 + t);
+    FakeAudioContext.last.clicks.forEach((t, i) => expect(t).toBeCloseTo(expected[i], 9));
+    expect(FakeAudioContext.last.clicks).toHaveLength(expected.length);
+
+    expect(beats.map((b) => [b.sectionIndex, b.beatIndex])).toEqual([
+      [0, 0], [0, 1], [0, 2], [0, 3], [1, 0], [1, 1], [1, 2],
+    ]);
+    expect(beats[4]).toMatchObject({ sectionName: 'B', barInSection: 0, sectionBars: 1, beatsPerBar: 3, bpm: 60 });
+
+    // Stops by itself when the last bar is over
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(engine.isRunning).toBe(false);
+    expect(FakeAudioContext.last.currentTime).toBeGreaterThanOrEqual(t0 + 5);
+    expect(FakeAudioContext.last.currentTime).toBeLessThan(t0 + 5.1);
+  });
+
+  it('follows a ramp and loops without drifting', async () => {
+    const onEnd = vi.fn();
+    const engine = new MetronomeEngine({ onEnd });
+    const ramp = section({ bars: 2, bpm: 60, endBpm: 120 });
+    engine.setTempoMap([ramp], { loop: true });
+    await engine.start();
+    runUntil(engine, 30);
+    engine.stop();
+
+    const resolved = resolveSection(ramp);
+    const pass = sectionDuration(resolved);
+    const clicks = FakeAudioContext.last.clicks;
+    for (let i = 0; i < clicks.length; i++) {
+      const lap = Math.floor(i / 8);
+      expect(clicks[i]).toBeCloseTo(0.06 + lap * pass + beatOffset(resolved, i % 8), 9);
+    }
+    expect(clicks.length).toBeGreaterThan(24);
+    expect(onEnd).not.toHaveBeenCalled();
+  });
+
+  it('goes back to the free-tempo config when the map is cleared', async () => {
+    const engine = new MetronomeEngine();
+    engine.setBpm(60);
+    engine.setTempoMap([section({ bpm: 200 })]);
+    engine.setTempoMap(null);
+    await engine.start();
+    runUntil(engine, 2.5);
+    engine.stop();
+    expect(FakeAudioContext.last.clicks.slice(0, 3)).toEqual([0.06, 1.06, 2.06]);
+  });
+
+  it('clicks eighths in /8 meters and tags group starts', async () => {
+    const beats = [];
+    const engine = new MetronomeEngine({ onBeat: (b) => beats.push(b) });
+    engine.setBpm(120);
+    engine.setTimeSignature(7, 8);
+    engine.setGrouping([2, 2, 3]);
+    await engine.start();
+    runUntil(engine, 2);
+    engine.stop();
+
+    FakeAudioContext.last.clicks.slice(0, 8).forEach((t, i) => expect(t).toBeCloseTo(0.06 + i * 0.25, 9));
+    expect(beats.slice(0, 8).map((b) => [b.beatIndex, b.groupIndex, b.isGroupStart])).toEqual([
+      [0, 0, true], [1, 0, false], [2, 1, true], [3, 1, false],
+      [4, 2, true], [5, 2, false], [6, 2, false], [0, 0, true],
+    ]);
+    expect(beats[0].beatUnit).toBe(8);
+  });
+
+  it('falls back to a flat grouping that does not fit the meter', () => {
+    const engine = new MetronomeEngine();
+    engine.setTimeSignature(6, 8);
+    engine.setGrouping([2, 2, 3]);
+    expect(engine.grouping).toEqual([1, 1, 1, 1, 1, 1]);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AnnounceMode, VoicePhrase, getVoiceBuffer, numberWords, sectionWords } from '../voiceCues.js';
+import { LEXICON } from '../formantVoice.js';
+import { MetronomeEngine } from '../MetronomeEngine.js';
+import { FakeAudioContext, runUntil, useFakeAudio } from './fakeAudioContext.js';
+
+describe('numberWords', () => {
+  it('says numbers the way a count is said', () => {
+    expect(numberWords(7)).toEqual(['seven']);
+    expect(numberWords(40)).toEqual(['forty']);
+    expect(numberWords(23)).toEqual(['twenty', 'three']);
+    expect(numberWords(100)).toEqual(['one', 'hundred']);
+    expect(numberWords(312)).toEqual(['three', 'hundred', 'twelve']);
+    expect(numberWords(2005)).toEqual(['two', 'thousand', 'five']);
+  });
+
+  it('only uses words the voice can pronounce', () => {
+    for (let n = 1; n < 1200; n += 7) {
+      numberWords(n).forEach((w) => expect(LEXICON[w], `${n}: ${w}`).toBeTruthy());
+    }
+    Object.values(VoicePhrase).flat().forEach((w) => expect(LEXICON[w], w).toBeTruthy());
+  });
+});
+
+describe('sectionWords', () => {
+  it('reads section names, numbers included', () => {
+    expect(sectionWords('Pre-Chorus', 1)).toEqual(['pre', 'chorus']);
+    expect(sectionWords('Verse 2', 3)).toEqual(['verse', 'two']);
+    expect(sectionWords('B', 1)).toEqual(['b']);
+  });
+
+  it('falls back to the position for names it cannot say', () => {
+    expect(sectionWords('Gtr solo', 3)).toEqual(['section', 'four']);
+    expect(sectionWords('', 0)).toEqual(['section', 'one']);
+  });
+});
+
+describe('voice playback', () => {
+  useFakeAudio();
+
+  it('counts in a bar before the first beat', async () => {
+    const beats = [];
+    const counts = [];
+    const engine = new MetronomeEngine({
+      onBeat: (b) => beats.push(b),
+      onCountIn: (b) => counts.push(b.count),
+    });
+    engine.setBpm(120);
+    engine.setCountIn(1);
+    await engine.start();
+    runUntil(engine, 2.5);
+    engine.stop();
+
+    // 0.06 + the voice lead-in, then a 2s count-in bar
+    expect(counts).toEqual([1, 2, 3, 4]);
+    expect(beats[0].time).toBeCloseTo(0.31 + 2, 9);
+    expect(beats[0].barNumber).toBe(0);
+  });
+
+  it('counts the felt beats of compound meters', async () => {
+    const engine = new MetronomeEngine();
+    engine.setBpm(120);
+    engine.setTimeSignature(6, 8);
+    engine.setGrouping([3, 3]);
+    engine.setCountIn(1);
+    const speak = vi.spyOn(engine, '_speakOnBeat');
+    await engine.start();
+    runUntil(engine, 1.5);
+    engine.stop();
+
+    expect(speak.mock.calls.map((c) => c[0])).toEqual([['one'], ['two']]);
+  });
+
+  it('calls each section a bar before it starts', async () => {
+    const engine = new MetronomeEngine();
+    engine.setTempoMap([
+      { name: 'Verse', bars: 2, bpm: 120, timeSig: '4/4' },
+      { name: 'Chorus', bars: 1, bpm: 120, timeSig: '4/4' },
+    ]);
+    engine.setAnnouncements(AnnounceMode.SECTIONS);
+    const speak = vi.spyOn(engine, '_speakOnBeat');
+    await engine.start();
+    runUntil(engine, 7);
+
+    expect(speak.mock.calls.map((c) => [c[0], c[1] - 0.31])).toEqual([
+      [['verse'], 0],
+      [['chorus'], 2],
+    ]);
+  });
+
+  it('drops bar numbers that would talk over the last one', async () => {
+    const engine = new MetronomeEngine();
+    engine.setBpm(300);
+    engine.setTimeSignature(1, 4);
+    engine.setAnnouncements(AnnounceMode.BARS);
+    const play = vi.spyOn(engine, '_playVoice');
+    await engine.start();
+    runUntil(engine, 3);
+    engine.stop();
+
+    const said = play.mock.calls.map(([voice, start]) => [start, start + voice.duration]);
+    expect(said.length).toBeGreaterThan(2);
+    expect(said.length).toBeLessThan(15); // 15 bars went by
+    said.slice(1).forEach(([start], i) => expect(start).toBeGreaterThanOrEqual(said[i][1]));
+  });
+
+  it('queues spoken cues behind each other', () => {
+    const engine = new MetronomeEngine();
+    engine.speak(VoicePhrase.NEXT_INTERVAL);
+    engine.speak(VoicePhrase.TWO_MINUTES_LEFT);
+
+    const ctx = FakeAudioContext.last;
+    const first = getVoiceBuffer(ctx, VoicePhrase.NEXT_INTERVAL);
+    expect(ctx.clicks[0]).toBe(0);
+    expect(ctx.clicks[1]).toBeCloseTo(first.duration + 0.1, 9);
+  });
+});
@@ -1,10 +1,27 @@
 /**
- * Synthesizes short click `AudioBuffer`s for the metronome's click bank.
- * Each timbre has a "regular" and "accent" variant (accent is brighter +
- * slightly louder). Buffers are cached per AudioContext.
+ * The metronome's click bank. Built-in timbres are synthesized into short
+ * `AudioBuffer`s (no audio files shipped); each has a "regular" and
+ * "accent" variant (accent is brighter + slightly louder). Buffers are
+ * cached per AudioContext.
+ *
+ * Two kinds of timbre go beyond a fixed pair of buffers:
+ *
+ *   counts     — spoken "one, two, three…" (voiceCues.js). Main
+ *                beats say their number (getCountBuffer), sub-clicks tick.
+ *   custom:<id> — the user's uploaded samples (ClickSampleStore), handed
+ *                in with setCustomTimbres(). Until they arrive (the store
+ *                loads asynchronously) the woodblock stands in.
  */
 
+import { COUNT_WORDS } from './formantVoice.js';
+import { getVoiceBuffer } from './voiceCues.js';
+
 const SAMPLE_RATE = 44100;
+const CUSTOM_PREFIX = 'custom:';
+
+// Uploads are trimmed to this and normalized to the built-ins' level
+const MAX_CUSTOM_SECONDS = 1;
+const CUSTOM_PEAK = 0.85;
 
 const TIMBRES = {
   woodblock: {
@@ -23,6 +40,23 @@ const TIMBRES = {
     label: 'Cowbell',
     build: buildCowbell,
   },
+  rimshot: {
+    label: 'Rimshot',
+    build: buildRimshot,
+  },
+  hihat: {
+    label: 'Hi-hat',
+    build: buildHihat,
+  },
+  clave: {
+    label: 'Clave',
+    build: buildClave,
+  },
+  counts: {
+    label: 'Spoken counts',
+    build: buildClick, // sub-clicks; main beats use getCountBuffer()
+    spoken: true,
+  },
 };
 
 export const TIMBRE_LIST = Object.entries(TIMBRES).map(([key, t]) => ({
@@ -32,13 +66,22 @@ export const TIMBRE_LIST = Object.entries(TIMBRES).map(([key, t]) => ({
 
 const cache = new WeakMap(); // AudioContext → { [timbre]: { regular, accent } }
 
+// Uploaded sounds by timbre key: { name, sampleRate, regular, accent }
+let customTimbres = new Map();
+const timbreListeners = new Set();
+
 export function getClickBuffers(audioContext, timbreKey) {
-  const timbre = TIMBRES[timbreKey] ?? TIMBRES.woodblock;
-  let perCtx = cache.get(audioContext);
-  if (!perCtx) {
-    perCtx = {};
-    cache.set(audioContext, perCtx);
+  const perCtx = buffersFor(audioContext);
+  if (timbreKey?.startsWith(CUSTOM_PREFIX)) {
+    const custom = customTimbres.get(timbreKey);
+    if (!custom) return getClickBuffers(audioContext, 'woodblock'); // not loaded (yet)
+    perCtx[timbreKey] ??= {
+      regular: pcmBuffer(audioContext, custom.regular, custom.sampleRate),
+      accent: pcmBuffer(audioContext, custom.accent ?? boosted(custom.regular), custom.sampleRate),
+    };
+    return perCtx[timbreKey];
   }
+  const timbre = TIMBRES[timbreKey] ?? TIMBRES.woodblock;
   if (!perCtx[timbreKey]) {
     perCtx[timbreKey] = {
       regular: timbre.build(audioContext, false),
@@ -48,6 +91,129 @@ export function getClickBuffers(audioContext, timbreKey) {
   return perCtx[timbreKey];
 }
 
+/** Whether main beats of this timbre are spoken counts */
+export function isSpokenTimbre(timbreKey) {
+  return !!TIMBRES[timbreKey]?.spoken;
+}
+
+/**
+ * The spoken number for a beat, rendered on first use.
+ * @param {AudioContext} audioContext
+ * @param {number} count - 1-based; wraps past sixteen
+ * @param {boolean} accent - Higher and louder
+ * @returns {{ buffer: AudioBuffer, lead: number }} `lead` = seconds to
+ *   start early so the vowel, not the consonant, lands on the beat
+ */
+export function getCountBuffer(audioContext, count, accent) {
+  const index = (Math.max(1, count) - 1) % COUNT_WORDS.length;
+  return getVoiceBuffer(audioContext, [COUNT_WORDS[index]], accent);
+}
+
+// ── Uploaded sounds ──────────────────────────────────────────────────────
+
+/**
+ * Replace the set of uploaded timbres (ClickSampleStore entries).
+ * @param {Array<{ id: number, name: string, sampleRate: number, regular: Float32Array, accent: Float32Array|null }>} entries
+ */
+export function setCustomTimbres(entries) {
+  customTimbres = new Map(entries.map((e) => [customTimbreKey(e.id), e]));
+  timbreListeners.forEach((callback) => callback());
+}
+
+export function customTimbreKey(id) {
+  return `${CUSTOM_PREFIX}${id}`;
+}
+
+/**
+ * Built-ins followed by the user's uploads
+ * @returns {Array<{ key: string, label: string, custom?: boolean, id?: number }>}
+ */
+export function getTimbreList() {
+  return [
+    ...TIMBRE_LIST,
+    ...[...customTimbres].map(([key, e]) => ({ key, label: e.name, custom: true, id: e.id })),
+  ];
+}
+
+/** Called whenever the uploads change; returns an unsubscribe function */
+export function subscribeTimbres(callback) {
+  timbreListeners.add(callback);
+  return () => timbreListeners.delete(callback);
+}
+
+/**
+ * Decode an uploaded audio file into a click sample. Runs through an
+ * OfflineAudioContext, so it works before the metronome has audio.
+ * @param {ArrayBuffer} bytes - The file's contents
+ * @returns {Promise<{ sampleRate: number, samples: Float32Array }>}
+ * @throws when the browser can't decode it or it's silent
+ */
+export async function decodeClickSample(bytes) {
+  const Ctor = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const ctx = new Ctor(1, 1, SAMPLE_RATE);
+  let audio;
+  try {
+    audio = await ctx.decodeAudioData(bytes);
+  } catch {
+    throw new Error('That file isn’t audio this browser can play');
+  }
+  const channels = Array.from({ length: audio.numberOfChannels }, (_, c) => audio.getChannelData(c));
+  const samples = prepareClickSample(channels, audio.sampleRate);
+  if (!samples) throw new Error('That file is silent');
+  return { sampleRate: audio.sampleRate, samples };
+}
+
+/**
+ * Turn decoded channels into a click: mono, leading silence trimmed so the
+ * hit starts on the beat, at most MAX_CUSTOM_SECONDS with a short fade,
+ * normalized to the built-ins' level. Returns null for silence.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Float32Array|null}
+ */
+export function prepareClickSample(channels, sampleRate) {
+  const length = channels[0]?.length ?? 0;
+  const mono = new Float32Array(length);
+  for (const ch of channels) {
+    for (let i = 0; i < length; i++) mono[i] += ch[i] / channels.length;
+  }
+  let peak = 0;
+  for (let i = 0; i < length; i++) peak = Math.max(peak, Math.abs(mono[i]));
+  if (peak < 1e-4) return null;
+
+  const threshold = peak * 0.05;
+  let start = mono.findIndex((v) => Math.abs(v) >= threshold);
+  start = Math.max(0, start - Math.round(sampleRate * 0.001)); // keep 1ms of attack
+  const end = Math.min(length, start + Math.round(sampleRate * MAX_CUSTOM_SECONDS));
+  const out = mono.slice(start, end);
+
+  const fade = Math.min(out.length, Math.round(sampleRate * 0.02));
+  for (let i = 0; i < fade; i++) out[out.length - 1 - i] *= i / fade;
+  const gain = CUSTOM_PEAK / peak;
+  for (let i = 0; i < out.length; i++) out[i] *= gain;
+  return out;
+}
+
+function buffersFor(audioContext) {
+  let perCtx = cache.get(audioContext);
+  if (!perCtx) {
+    perCtx = {};
+    cache.set(audioContext, perCtx);
+  }
+  return perCtx;
+}
+
+function pcmBuffer(ctx, samples, sampleRate) {
+  const buffer = ctx.createBuffer(1, samples.length, sampleRate);
+  buffer.getChannelData(0).set(samples);
+  return buffer;
+}
+
+/** Accent stand-in when only a regular sample was uploaded */
+function boosted(samples) {
+  return samples.map((v) => Math.max(-1, Math.min(1, v * 1.2)));
+}
+
 // ── Synthesis primitives ─────────────────────────────────────────────────
 
 /**
@@ -131,3 +297,66 @@ function buildCowbell(ctx, accent) {
   }
   return buffer;
 }
+
+/**
+ * Rimshot — a bright noise crack over two short-lived body tones.
+ */
+function buildRimshot(ctx, accent) {
+  const duration = 0.08;
+  const buffer = ctx.createBuffer(1, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+  const data = buffer.getChannelData(0);
+  let hp = 0;
+  let prevNoise = 0;
+  for (let i = 0; i < data.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const noise = Math.random() * 2 - 1;
+    // 1-pole highpass keeps the crack bright
+    hp = 0.7 * (hp + noise - prevNoise);
+    prevNoise = noise;
+    const crack = hp * Math.exp(-90 * t);
+    const body = (Math.sin(2 * Math.PI * 480 * t) * 0.6 + Math.sin(2 * Math.PI * 1750 * t) * 0.4)
+      * Math.exp(-60 * t);
+    data[i] = (crack * 0.55 + body * 0.45) * (accent ? 0.95 : 0.72);
+  }
+  return buffer;
+}
+
+/**
+ * Hi-hat — six inharmonic square waves (the 808 recipe), highpassed.
+ * The accent opens up into a longer wash.
+ */
+function buildHihat(ctx, accent) {
+  const duration = accent ? 0.2 : 0.07;
+  const buffer = ctx.createBuffer(1, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+  const data = buffer.getChannelData(0);
+  const partials = [205.3, 304.4, 369.6, 522.7, 540, 800].map((f) => f * 8.2);
+  const decay = accent ? 22 : 70;
+  let hp = 0;
+  let prev = 0;
+  for (let i = 0; i < data.length; i++) {
+    const t = i / SAMPLE_RATE;
+    let metal = 0;
+    for (const f of partials) metal += Math.sin(2 * Math.PI * f * t) >= 0 ? 1 : -1;
+    const mix = metal / partials.length * 0.6 + (Math.random() * 2 - 1) * 0.4;
+    hp = 0.5 * (hp + mix - prev);
+    prev = mix;
+    data[i] = hp * Math.exp(-decay * t) * (accent ? 0.9 : 0.75);
+  }
+  return buffer;
+}
+
+/**
+ * Clave — a single high, woody sine with a very fast decay.
+ */
+function buildClave(ctx, accent) {
+  const duration = 0.06;
+  const buffer = ctx.createBuffer(1, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+  const data = buffer.getChannelData(0);
+  const freq = accent ? 2800 : 2450;
+  for (let i = 0; i < data.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const env = Math.min(1, t * SAMPLE_RATE / 20) * Math.exp(-55 * t);
+    data[i] = Math.sin(2 * Math.PI * freq * t) * env * (accent ? 0.9 : 0.7);
+  }
+  return buffer;
+}
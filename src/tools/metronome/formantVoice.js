@@ -0,0 +1,387 @@
+/**
+ * formantVoice — a tiny offline speech synthesiser for spoken counts and
+ * voice cues.
+ *
+ * Nothing is recorded or fetched: each word is a phoneme string from
+ * LEXICON, rendered with a Klatt-style cascade formant synthesiser:
+ *
+ *   glottal pulses ─┐
+ *   (falling F0)    ├─► F1 ─► F2 ─► F3 ─► F4 ─┐
+ *   aspiration ─────┘                          ├─► word
+ *   frication noise ─► fricative resonance ────┘
+ *
+ * Every phoneme is a target (formant frequencies + source amplitudes);
+ * the renderer glides between targets, which is what makes consonants
+ * intelligible. Stops expand into closure → burst → aspiration aimed at
+ * the next vowel. The result is robotic but clear, and it is deterministic
+ * (seeded noise), so the same word always renders the same samples.
+ */
+
+const DEFAULT_BW = [80, 100, 160];
+const F4 = 3400;
+
+// ARPAbet-style phonemes. f = [F1, F2, F3] in Hz, `to` = glide target for
+// diphthongs, dur in ms at normal stress.
+const PHONEMES = {
+  IY: { type: 'vowel', f: [280, 2250, 2950], dur: 150 },
+  IH: { type: 'vowel', f: [400, 1920, 2550], dur: 110 },
+  EH: { type: 'vowel', f: [550, 1770, 2490], dur: 130 },
+  AE: { type: 'vowel', f: [680, 1660, 2410], dur: 160 },
+  AH: { type: 'vowel', f: [600, 1170, 2390], dur: 110 },
+  AA: { type: 'vowel', f: [720, 1100, 2440], dur: 160 },
+  AO: { type: 'vowel', f: [580, 880, 2410], dur: 160 },
+  UH: { type: 'vowel', f: [450, 1030, 2240], dur: 110 },
+  UW: { type: 'vowel', f: [310, 940, 2250], dur: 160 },
+  ER: { type: 'vowel', f: [480, 1350, 1650], dur: 150 },
+  AY: { type: 'vowel', f: [700, 1220, 2600], to: [330, 2100, 2850], dur: 230 },
+  EY: { type: 'vowel', f: [480, 1850, 2550], to: [330, 2200, 2850], dur: 190 },
+  OW: { type: 'vowel', f: [560, 1000, 2350], to: [420, 850, 2300], dur: 190 },
+  AW: { type: 'vowel', f: [720, 1250, 2500], to: [420, 900, 2350], dur: 220 },
+  W: { type: 'glide', f: [290, 650, 2200], dur: 60 },
+  Y: { type: 'glide', f: [260, 2070, 3020], dur: 55 },
+  R: { type: 'glide', f: [320, 1100, 1400], dur: 65 },
+  L: { type: 'glide', f: [330, 1050, 2800], dur: 65 },
+  M: { type: 'nasal', f: [250, 1100, 2150], dur: 70 },
+  N: { type: 'nasal', f: [250, 1650, 2550], dur: 70 },
+  NG: { type: 'nasal', f: [250, 2000, 2600], dur: 70 },
+  S: { type: 'fric', af: 0.25, ff: 5600, bf: 1600, dur: 110 },
+  Z: { type: 'fric', af: 0.15, ff: 5600, bf: 1600, voiced: true, dur: 80 },
+  SH: { type: 'fric', af: 0.3, ff: 2800, bf: 1200, dur: 120 },
+  ZH: { type: 'fric', af: 0.15, ff: 2800, bf: 1200, voiced: true, dur: 70 },
+  F: { type: 'fric', af: 0.2, ff: 6500, bf: 5000, dur: 100 },
+  V: { type: 'fric', af: 0.12, ff: 6500, bf: 5000, voiced: true, dur: 65 },
+  TH: { type: 'fric', af: 0.2, ff: 5500, bf: 5000, dur: 100 },
+  DH: { type: 'fric', af: 0.1, ff: 5500, bf: 5000, voiced: true, dur: 50 },
+  HH: { type: 'aspirate', dur: 70 },
+  P: { type: 'stop', closure: 65, burst: 8, af: 0.4, ff: 1000, bf: 2000 },
+  B: { type: 'stop', closure: 55, burst: 6, af: 0.25, ff: 1000, bf: 2000, voiced: true },
+  T: { type: 'stop', closure: 55, burst: 10, af: 0.7, ff: 4500, bf: 2000 },
+  D: { type: 'stop', closure: 45, burst: 7, af: 0.35, ff: 4000, bf: 2000, voiced: true },
+  K: { type: 'stop', closure: 60, burst: 14, af: 0.6, ff: null, bf: 900 },
+  G: { type: 'stop', closure: 50, burst: 10, af: 0.35, ff: null, bf: 900, voiced: true },
+};
+
+// Stress marks on vowels: 1 = primary (longer), 0 = reduced (shorter)
+const STRESS = { 0: 0.6, 1: 1.25, 2: 1 };
+
+export const LEXICON = {
+  one: 'W AH1 N',
+  two: 'T UW1',
+  three: 'TH R IY1',
+  four: 'F AO1 R',
+  five: 'F AY1 V',
+  six: 'S IH1 K S',
+  seven: 'S EH1 V AH0 N',
+  eight: 'EY1 T',
+  nine: 'N AY1 N',
+  ten: 'T EH1 N',
+  eleven: 'IH0 L EH1 V AH0 N',
+  twelve: 'T W EH1 L V',
+  thirteen: 'TH ER1 T IY2 N',
+  fourteen: 'F AO1 R T IY2 N',
+  fifteen: 'F IH1 F T IY2 N',
+  sixteen: 'S IH1 K S T IY2 N',
+  seventeen: 'S EH1 V AH0 N T IY2 N',
+  eighteen: 'EY1 T IY2 N',
+  nineteen: 'N AY1 N T IY2 N',
+  twenty: 'T W EH1 N T IY0',
+  thirty: 'TH ER1 T IY0',
+  forty: 'F AO1 R T IY0',
+  fifty: 'F IH1 F T IY0',
+  sixty: 'S IH1 K S T IY0',
+  seventy: 'S EH1 V AH0 N T IY0',
+  eighty: 'EY1 T IY0',
+  ninety: 'N AY1 N T IY0',
+  hundred: 'HH AH1 N D R AH0 D',
+  thousand: 'TH AW1 Z AH0 N D',
+
+  // Cues (voiceCues.js)
+  bar: 'B AA1 R',
+  section: 'S EH1 K SH AH0 N',
+  next: 'N EH1 K S T',
+  interval: 'IH1 N T ER0 V AH0 L',
+  last: 'L AE1 S T',
+  minute: 'M IH1 N AH0 T',
+  minutes: 'M IH1 N AH0 T S',
+  left: 'L EH1 F T',
+
+  // Common song-section names, and letters for "A", "B"… sections
+  intro: 'IH1 N T R OW2',
+  verse: 'V ER1 S',
+  pre: 'P R IY1',
+  chorus: 'K AO1 R AH0 S',
+  refrain: 'R IH0 F R EY1 N',
+  bridge: 'B R IH1 D ZH',
+  solo: 'S OW1 L OW2',
+  break: 'B R EY1 K',
+  interlude: 'IH1 N T ER0 L UW2 D',
+  outro: 'AW1 T R OW2',
+  coda: 'K OW1 D AH0',
+  ending: 'EH1 N D IH0 NG',
+  end: 'EH1 N D',
+  tag: 'T AE1 G',
+  vamp: 'V AE1 M P',
+  head: 'HH EH1 D',
+  hook: 'HH UH1 K',
+  theme: 'TH IY1 M',
+  drop: 'D R AA1 P',
+  build: 'B IH1 L D',
+  fill: 'F IH1 L',
+  groove: 'G R UW1 V',
+  riff: 'R IH1 F',
+  main: 'M EY1 N',
+  half: 'HH AE1 F',
+  double: 'D AH1 B AH0 L',
+  time: 'T AY1 M',
+  post: 'P OW1 S T',
+  part: 'P AA1 R T',
+  a: 'EY1',
+  b: 'B IY1',
+  c: 'S IY1',
+  d: 'D IY1',
+  e: 'IY1',
+};
+
+/** The number words for counts 1…16 */
+export const COUNT_WORDS = Object.keys(LEXICON).slice(0, 16);
+
+/**
+ * Render several LEXICON words as one phrase — a single breath, so the
+ * pitch falls across the whole phrase rather than restarting per word.
+ * @param {string[]} words
+ * @param {object} [options] - As for renderWord
+ * @returns {{ samples: Float32Array, sampleRate: number, onsetMs: number }}
+ */
+export function renderPhrase(words, options = {}) {
+  const phones = words.flatMap((word) => {
+    if (!LEXICON[word]) throw new Error(`No pronunciation for "${word}"`);
+    return LEXICON[word].split(' ');
+  });
+  return synthesize(phones, options);
+}
+
+/**
+ * Render one word from the LEXICON.
+ * @param {string} word
+ * @param {object} [options]
+ * @param {number} [options.sampleRate=22050] - Plenty for speech, half the work
+ * @param {number} [options.pitch=118] - Starting F0 in Hz; falls ~20% over the word
+ * @param {number} [options.peak=0.8] - Output is normalized to this peak
+ * @returns {{ samples: Float32Array, sampleRate: number, onsetMs: number }}
+ *   `onsetMs` is where the first vowel starts — the moment a listener hears
+ *   as "the beat", so callers start the word that much early.
+ */
+export function renderWord(word, options = {}) {
+  const phones = LEXICON[word];
+  if (!phones) throw new Error(`No pronunciation for "${word}"`);
+  return synthesize(phones.split(' '), options);
+}
+
+/**
+ * Render a phoneme sequence (see PHONEMES; vowels may carry a stress digit)
+ * @param {string[]} phones
+ * @param {object} [options] - As for renderWord
+ * @returns {{ samples: Float32Array, sampleRate: number, onsetMs: number }}
+ */
+export function synthesize(phones, { sampleRate = 22050, pitch = 118, peak = 0.8 } = {}) {
+  const segments = expand(phones);
+  const firstVowel = segments.findIndex((seg) => seg.av === 1);
+  const onsetMs = segments.slice(0, Math.max(0, firstVowel)).reduce((s, seg) => s + seg.dur, 0);
+  const total = segments.reduce((s, seg) => s + seg.dur, 0) + 25; // ms, with a short tail
+  const n = Math.ceil((total / 1000) * sampleRate);
+  const tracks = buildTracks(segments);
+  const out = new Float32Array(n);
+
+  const f1 = resonator(sampleRate);
+  const f2 = resonator(sampleRate);
+  const f3 = resonator(sampleRate);
+  const f4 = resonator(sampleRate);
+  const fric = resonator(sampleRate, true);
+  const noise = seededNoise(0x5eed);
+  const at = tracks.map(() => 0); // per-track keyframe cursors
+  const v = tracks.map(() => 0);
+
+  let phase = 0;
+  let prevFlow = 0;
+  for (let i = 0; i < n; i++) {
+    const ms = (i / sampleRate) * 1000;
+    for (let k = 0; k < tracks.length; k++) {
+      const track = tracks[k];
+      while (at[k] < track.length - 2 && track[at[k] + 1].t <= ms) at[k]++;
+      v[k] = lerpTrack(track, at[k], ms);
+    }
+    const [F1, F2, F3, B1, B2, B3, AV, AH, AF, FF, BF] = v;
+
+    // Glottal flow (Rosenberg pulse), differentiated for lip radiation
+    const f0 = pitch * (1 - 0.2 * (ms / total));
+    phase += f0 / sampleRate;
+    if (phase >= 1) phase -= 1;
+    const flow = phase < 0.4
+      ? 0.5 * (1 - Math.cos((Math.PI * phase) / 0.4))
+      : phase < 0.56 ? Math.cos((Math.PI * (phase - 0.4)) / 0.32) : 0;
+    const voicing = (flow - prevFlow) * 8;
+    prevFlow = flow;
+
+    const excitation = AV * voicing + AH * noise() * 0.12;
+    let y = f1(excitation, F1, B1);
+    y = f2(y, F2, B2);
+    y = f3(y, F3, B3);
+    y = f4(y, F4, 250);
+    if (AF > 0) y += fric(noise() * AF, FF, BF);
+    out[i] = y;
+  }
+
+  let max = 0;
+  for (let i = 0; i < n; i++) max = Math.max(max, Math.abs(out[i]));
+  if (max > 0) {
+    const gain = peak / max;
+    for (let i = 0; i < n; i++) out[i] *= gain;
+  }
+  return { samples: out, sampleRate, onsetMs };
+}
+
+// ── Phonemes → timed targets ─────────────────────────────────────────────
+
+/**
+ * Expand phonemes into segments: { dur, f, to, bw, av, ah, af, ff, bf, trans }.
+ * Consonants borrow formants from the next sonorant so they glide into it.
+ */
+function expand(phones) {
+  const parsed = phones.map((p) => {
+    const m = /^([A-Z]+)([0-2])?$/.exec(p);
+    const ph = m && PHONEMES[m[1]];
+    if (!ph) throw new Error(`Unknown phoneme "${p}"`);
+    return { ...ph, stress: m[2] ?? '2' };
+  });
+
+  const segments = [];
+  parsed.forEach((ph, i) => {
+    const next = parsed.slice(i + 1).find((p) => p.f)?.f
+      ?? parsed.slice(0, i).reverse().find((p) => p.f)?.f
+      ?? [500, 1500, 2500];
+    const initial = i === 0;
+    const base = { f: ph.f ?? next, bw: DEFAULT_BW, av: 0, ah: 0, af: 0, ff: 5000, bf: 2000, trans: 40 };
+
+    switch (ph.type) {
+      case 'vowel':
+        segments.push({ ...base, dur: ph.dur * STRESS[ph.stress], to: ph.to, av: 1 });
+        break;
+      case 'glide':
+        segments.push({ ...base, dur: ph.dur, av: 0.75, trans: 45 });
+        break;
+      case 'nasal':
+        segments.push({ ...base, dur: ph.dur, bw: [120, 300, 400], av: 0.4, trans: 30 });
+        break;
+      case 'fric':
+        segments.push({
+          ...base,
+          f: next,
+          dur: ph.dur,
+          av: ph.voiced ? 0.35 : 0,
+          af: ph.af,
+          ff: ph.ff,
+          bf: ph.bf,
+          trans: 20,
+        });
+        break;
+      case 'aspirate':
+        segments.push({ ...base, f: next, dur: ph.dur, ah: 0.7, trans: 10 });
+        break;
+      case 'stop': {
+        const locus = [200, next[1], next[2]];
+        // Nothing precedes a word-initial closure, so it only needs a moment
+        segments.push({ ...base, f: locus, dur: initial ? 5 : ph.closure, av: ph.voiced ? 0.1 : 0, trans: 20 });
+        segments.push({
+          ...base,
+          f: locus,
+          dur: ph.burst,
+          af: ph.af,
+          ff: ph.ff ?? Math.min(3200, next[1] * 1.15),
+          bf: ph.bf,
+          trans: 5,
+        });
+        if (!ph.voiced) segments.push({ ...base, f: next, dur: 40, ah: 0.55, trans: 30 });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return segments;
+}
+
+/**
+ * Keyframe tracks (one per synth parameter) of { t (ms), v }. Formants
+ * reach each target `trans` ms into its segment and hold (or glide to `to`)
+ * until the next; amplitudes switch over 6 ms.
+ */
+function buildTracks(segments) {
+  const tracks = Array.from({ length: 11 }, () => []);
+  let t = 0;
+  segments.forEach((seg, i) => {
+    const end = seg.to ?? seg.f;
+    const reach = Math.min(seg.trans, seg.dur / 2);
+    const swap = Math.min(6, seg.dur / 2);
+    const params = [
+      // [value at the target, value at the segment end, ms to reach it]
+      [seg.f[0], end[0], reach], [seg.f[1], end[1], reach], [seg.f[2], end[2], reach],
+      [seg.bw[0], seg.bw[0], reach], [seg.bw[1], seg.bw[1], reach], [seg.bw[2], seg.bw[2], reach],
+      [seg.av, seg.av, swap], [seg.ah, seg.ah, swap], [seg.af, seg.af, swap],
+      [seg.ff, seg.ff, swap], [seg.bf, seg.bf, swap],
+    ];
+    params.forEach(([v, vEnd, ramp], k) => {
+      if (i === 0) tracks[k].push({ t: 0, v });
+      tracks[k].push({ t: t + ramp, v });
+      tracks[k].push({ t: t + seg.dur, v: vEnd });
+    });
+    t += seg.dur;
+  });
+  // Sources fade out in the tail; everything else holds its last value
+  for (let k = 6; k < 9; k++) tracks[k].push({ t: t + 15, v: 0 });
+  return tracks;
+}
+
+function lerpTrack(track, idx, ms) {
+  const a = track[idx];
+  const b = track[idx + 1] ?? a;
+  if (ms <= a.t || b.t <= a.t) return a.v;
+  if (ms >= b.t) return b.v;
+  return a.v + ((b.v - a.v) * (ms - a.t)) / (b.t - a.t);
+}
+
+// ── DSP primitives ───────────────────────────────────────────────────────
+
+/**
+ * Two-pole resonator with per-sample frequency / bandwidth. Cascade
+ * formants are normalized to unity gain at DC (as in Klatt); the parallel
+ * fricative one to unity gain at its peak.
+ */
+function resonator(sampleRate, peakNormalized = false) {
+  let y1 = 0;
+  let y2 = 0;
+  return (x, freq, bw) => {
+    const r = Math.exp((-Math.PI * bw) / sampleRate);
+    const theta = (2 * Math.PI * freq) / sampleRate;
+    const B = 2 * r * Math.cos(theta);
+    const C = -r * r;
+    const A = peakNormalized
+      ? (1 - r) * Math.sqrt(1 - 2 * r * Math.cos(2 * theta) + r * r)
+      : 1 - B - C;
+    const y = A * x + B * y1 + C * y2;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+}
+
+/** Deterministic white noise in −1…1 (mulberry32) */
+function seededNoise(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (((t ^ (t >>> 14)) >>> 0) / 4294967296) * 2 - 1;
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Polyrhythm / polymeter click layers — pure model shared by the engine,
+ * the dial and the sidebar.
+ *
+ * A layer plays alongside the main click with its own timbre and volume:
+ *
+ *   rhythm — `beats` clicks spread evenly across one bar of the main meter:
+ *            3 in a 2/4 bar is 3-over-2, 5 in 4/4 is 5-over-4. The first
+ *            layer click always lands on the downbeat.
+ *   meter  — a `beats`-pulse cycle clicked on every main pulse, accented at
+ *            its own downbeat: a 5-cycle over 4/4 drifts a pulse per bar and
+ *            meets the main downbeat again every 20 pulses.
+ *
+ * Positions are expressed in main pulses (fractions of a beat), so the
+ * engine can place layer clicks with the same ramp-aware timing it uses for
+ * subdivisions.
+ */
+
+export const LayerMode = {
+  RHYTHM: 'rhythm',
+  METER: 'meter',
+};
+
+export const MAX_LAYERS = 3;
+// Ring / swatch color per layer slot (dial + sidebar)
+export const LAYER_COLORS = ['rgb(245, 158, 11)', 'rgb(139, 92, 246)', 'rgb(132, 204, 22)'];
+export const MIN_LAYER_BEATS = 1;
+export const MAX_LAYER_BEATS = 16;
+
+/**
+ * A new layer. The first one defaults to 3-over-the-bar on the cowbell;
+ * further layers continue from the previous one.
+ * @param {object|null} previous
+ */
+export function createLayer(previous = null) {
+  return {
+    id: `layer-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    mode: previous?.mode ?? LayerMode.RHYTHM,
+    beats: previous ? Math.min(MAX_LAYER_BEATS, previous.beats + 1) : 3,
+    timbre: previous?.timbre ?? 'cowbell',
+    volume: previous?.volume ?? 0.7,
+  };
+}
+
+/** Drop layers that can't be played and clamp the rest */
+export function normalizeLayers(layers) {
+  if (!Array.isArray(layers)) return [];
+  return layers
+    .filter((l) => l && Number.isFinite(l.beats))
+    .slice(0, MAX_LAYERS)
+    .map((l) => ({
+      ...l,
+      mode: l.mode === LayerMode.METER ? LayerMode.METER : LayerMode.RHYTHM,
+      beats: clamp(Math.round(l.beats), MIN_LAYER_BEATS, MAX_LAYER_BEATS),
+      volume: clamp(l.volume ?? 0.7, 0, 1),
+    }));
+}
+
+/**
+ * Layer clicks that fall within one main pulse.
+ * @param {object} layer
+ * @param {number} beatsPerBar - Main meter
+ * @param {number} beatIndex - Pulse within the main bar
+ * @param {number} pulse - Pulses since start (drives meter cycles)
+ * @returns {Array<{ fraction: number, index: number, isDownbeat: boolean }>}
+ *   `fraction` of the pulse after it starts, `index` within the layer's cycle
+ */
+export function layerHitsInPulse(layer, beatsPerBar, beatIndex, pulse) {
+  if (layer.mode === LayerMode.METER) {
+    const index = pulse % layer.beats;
+    return [{ fraction: 0, index, isDownbeat: index === 0 }];
+  }
+  // Click k sits at k · beatsPerBar / beats pulses into the bar; integer
+  // bounds keep exact coincidences (k = 0, 3-over-… landing on a pulse) exact
+  const n = layer.beats;
+  const hits = [];
+  for (let k = Math.ceil((beatIndex * n) / beatsPerBar); k * beatsPerBar < (beatIndex + 1) * n; k++) {
+    hits.push({ fraction: (k * beatsPerBar) / n - beatIndex, index: k, isDownbeat: k === 0 });
+  }
+  return hits;
+}
+
+/**
+ * Main pulses between two layer clicks — 4/3 for the 3 in 3-over-4. The
+ * HitTracker scales its pulse grid by this when scoring against a layer.
+ */
+export function layerPulseRatio(layer, beatsPerBar) {
+  return layer.mode === LayerMode.METER ? 1 : beatsPerBar / layer.beats;
+}
+
+/**
+ * Where a layer is in its cycle, in layer clicks (fractional), given the
+ * main position. Used by the dial to fill the layer's ring.
+ * @param {number} beatIndex - Pulse within the main bar
+ * @param {number} fraction - 0..1 through that pulse
+ * @param {number} pulse - Pulses since start
+ */
+export function layerProgress(layer, beatsPerBar, beatIndex, fraction, pulse) {
+  if (layer.mode === LayerMode.METER) return (pulse % layer.beats) + fraction;
+  return ((beatIndex + fraction) * layer.beats) / beatsPerBar;
+}
+
+/** "3 over 4", "5-pulse cycle" */
+export function describeLayer(layer, beatsPerBar) {
+  return layer.mode === LayerMode.METER
+    ? `${layer.beats}-pulse cycle`
+    : `${layer.beats} over ${beatsPerBar}`;
+}
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
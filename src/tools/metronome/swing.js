@@ -0,0 +1,66 @@
+/**
+ * Swing — where off-beat subdivisions land, shared by the engine (click
+ * times) and HitTracker (grid candidates). Pure.
+ *
+ * Swing is the percentage of a subdivision pair taken by its first note:
+ *
+ *   50  straight        |1 . . . . & . . . . |
+ *   58  light           |1 . . . . . & . . . |
+ *   67  triplet shuffle |1 . . . . . . & . . |   ♪ ♪ → ♩ ♪ of a triplet
+ *   75  hard / dotted   |1 . . . . . . . & . |   ♪. ♬
+ *
+ * Eighths swing in pairs per beat; sixteenths swing in pairs per eighth
+ * (the "e" and "a" move, the "&" stays put). Triplet and sixtuplet
+ * subdivisions already have their own feel and are never swung.
+ */
+
+export const MIN_SWING = 50;
+export const MAX_SWING = 75;
+
+export const SWING_PRESETS = [
+  { value: 50, label: 'Straight' },
+  { value: 58, label: 'Light' },
+  { value: 67, label: 'Shuffle' },
+  { value: 75, label: 'Hard' },
+];
+
+/** Clamp a stored swing value; anything unusable is straight */
+export function normalizeSwing(swing) {
+  if (!Number.isFinite(swing)) return MIN_SWING;
+  return Math.min(MAX_SWING, Math.max(MIN_SWING, swing));
+}
+
+/** Subdivisions that swing (in pairs) */
+export function isSwingable(subdivision) {
+  return subdivision === 2 || subdivision === 4;
+}
+
+/**
+ * Which pairs swing on the listen-back grid for a click subdivision:
+ * sixteenths when the click plays sixteenths, otherwise eighths (the "&"
+ * you play against a quarter click swings too)
+ */
+export function gridSwingPairs(subdivision) {
+  return subdivision === 4 ? 4 : 2;
+}
+
+/**
+ * Move a point inside the beat to its swung position.
+ * @param {number} fraction - 0…1 of a beat, straight
+ * @param {number} subdivision - Pulses per beat the pairs are made of (2 or 4)
+ * @param {number} swing - 50…75
+ * @returns {number} 0…1 of a beat, swung
+ *
+ * Piecewise-linear inside each pair, so the pair's start and end (and
+ * everything on a coarser grid) stay fixed: with 16ths at 67%, 0.25 → 1/3
+ * and 0.75 → 5/6, while 0, 0.5 and 1 don't move.
+ */
+export function swingFraction(fraction, subdivision, swing) {
+  const s = normalizeSwing(swing) / 100;
+  if (s === 0.5 || !isSwingable(subdivision)) return fraction;
+  const pair = 2 / subdivision;
+  const start = Math.floor(fraction / pair + 1e-9) * pair;
+  const x = (fraction - start) / pair; // 0…1 through the pair
+  const warped = x <= 0.5 ? x * 2 * s : s + (x - 0.5) * 2 * (1 - s);
+  return start + warped * pair;
+}
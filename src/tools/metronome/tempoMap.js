@@ -0,0 +1,298 @@
+/**
+ * tempoMap — song structure for the Metronome.
+ *
+ * A song is a list of sections played back to back:
+ *
+ *   { name, bars, bpm, endBpm, timeSig, subdivision, accentPattern }
+ *
+ * `endBpm` (null = steady) turns the section into a linear ramp: the tempo
+ * moves evenly per beat from `bpm` on the first downbeat to `endBpm` where
+ * the next section starts. Beat times inside a ramp are the exact integral
+ * of that tempo curve (beatOffset), computed from the section start rather
+ * than accumulated beat by beat, so long ramps and long songs never drift.
+ *
+ * Songs live in SharedSettings as { id, name, loop, sections } and form the
+ * setlist, in order. Everything here is pure.
+ *
+ * Meters: BPM always counts quarter notes and the beat unit sets the pulse,
+ * so 6/8 at ♩ = 120 clicks eighths at 240 per minute (pulseSeconds). A
+ * grouping such as [2, 2, 3] splits a bar's pulses into felt beats; group
+ * starts are accented and the dial draws the groups apart. Compound /8
+ * meters group in threes by default, and odd /8 meters in twos ending on a
+ * three (7/8 → 2+2+3).
+ */
+
+export const TIME_SIGNATURES = [
+  { key: '2/4', beatsPerBar: 2, beatUnit: 4 },
+  { key: '3/4', beatsPerBar: 3, beatUnit: 4 },
+  { key: '4/4', beatsPerBar: 4, beatUnit: 4 },
+  { key: '5/4', beatsPerBar: 5, beatUnit: 4 },
+  { key: '3/8', beatsPerBar: 3, beatUnit: 8 },
+  { key: '5/8', beatsPerBar: 5, beatUnit: 8 },
+  { key: '6/8', beatsPerBar: 6, beatUnit: 8 },
+  { key: '7/8', beatsPerBar: 7, beatUnit: 8 },
+  { key: '9/8', beatsPerBar: 9, beatUnit: 8 },
+  { key: '12/8', beatsPerBar: 12, beatUnit: 8 },
+];
+
+export const SUBDIVISIONS = [
+  { value: 1, label: 'Quarters (no subdivision)' },
+  { value: 2, label: 'Eighths (×2)' },
+  { value: 3, label: 'Triplets (×3)' },
+  { value: 4, label: 'Sixteenths (×4)' },
+  { value: 6, label: 'Sixtuplets (×6)' },
+];
+
+export const MIN_BPM = 20;
+export const MAX_BPM = 300;
+
+export function getTimeSignature(key) {
+  return TIME_SIGNATURES.find((s) => s.key === key) ?? TIME_SIGNATURES[2];
+}
+
+/**
+ * Seconds per pulse (one beatUnit note) at a quarter-note tempo
+ */
+export function pulseSeconds(bpm, beatUnit = 4) {
+  return (60 / bpm) * (4 / beatUnit);
+}
+
+/**
+ * How a meter groups its pulses when the user hasn't said otherwise:
+ * /4 meters count every beat, compound /8 meters in threes, other /8
+ * meters in twos with a three at the end (5/8 → 2+3, 7/8 → 2+2+3).
+ */
+export function defaultGrouping(sig) {
+  const n = sig.beatsPerBar;
+  if (sig.beatUnit < 8 || n <= 3) return Array(n).fill(1);
+  if (n % 3 === 0) return Array(n / 3).fill(3);
+  const twos = n % 2 === 0 ? n / 2 : (n - 3) / 2;
+  return [...Array(twos).fill(2), ...(n % 2 === 0 ? [] : [3])];
+}
+
+/**
+ * "2+2+3" → [2, 2, 3]. Returns null unless every part is a positive whole
+ * number and the parts add up to the bar.
+ */
+export function parseGrouping(text, beatsPerBar) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const parts = text.split('+').map((p) => Number(p.trim()));
+  if (parts.some((p) => !Number.isInteger(p) || p < 1)) return null;
+  return parts.reduce((a, b) => a + b, 0) === beatsPerBar ? parts : null;
+}
+
+export function formatGrouping(grouping) {
+  return grouping.join('+');
+}
+
+/**
+ * The grouping in effect for a stored value (text or null = default)
+ */
+export function resolveGrouping(value, sig) {
+  return parseGrouping(value, sig.beatsPerBar) ?? defaultGrouping(sig);
+}
+
+/** True when every pulse is its own group (plain counting, no grouping) */
+export function isFlatGrouping(grouping) {
+  return grouping.every((g) => g === 1);
+}
+
+/**
+ * Group index and whether it starts a group, for a pulse within the bar
+ */
+export function groupPosition(grouping, pulseIndex) {
+  let start = 0;
+  for (let g = 0; g < grouping.length; g++) {
+    if (pulseIndex < start + grouping[g]) return { groupIndex: g, isGroupStart: pulseIndex === start };
+    start += grouping[g];
+  }
+  return { groupIndex: grouping.length - 1, isGroupStart: false };
+}
+
+/**
+ * Accent pattern for a grouping: every group start accented (just the
+ * downbeat when the grouping is flat), everything else regular.
+ */
+export function groupingPattern(grouping, subdivision = 1) {
+  const beatsPerBar = grouping.reduce((a, b) => a + b, 0);
+  if (isFlatGrouping(grouping)) return normalizePattern(null, beatsPerBar, subdivision);
+  const pattern = [];
+  for (let i = 0; i < beatsPerBar; i++) {
+    const { isGroupStart } = groupPosition(grouping, i);
+    for (let s = 0; s < subdivision; s++) {
+      pattern.push(s === 0 && isGroupStart ? 'accent' : 'regular');
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Groupings made of twos and threes that fill the bar — the usual ways to
+ * feel an odd or compound meter — fewest groups first, capped at `limit`
+ */
+export function groupingPresets(beatsPerBar, limit = 6) {
+  const out = [];
+  const build = (left, parts) => {
+    if (left === 0) { out.push(parts); return; }
+    if (left >= 2) build(left - 2, [...parts, 2]);
+    if (left >= 3) build(left - 3, [...parts, 3]);
+  };
+  build(beatsPerBar, []);
+  return out
+    .sort((a, b) => a.length - b.length)
+    .slice(0, limit)
+    .map(formatGrouping);
+}
+
+/**
+ * Fit an accent pattern to beatsPerBar × subdivision cells. Main beats keep
+ * their old marks when the length changes; new cells default to regular
+ * (accent on the downbeat).
+ */
+export function normalizePattern(value, beatsPerBar, subdivision = 1) {
+  const desired = beatsPerBar * subdivision;
+  if (Array.isArray(value) && value.length === desired) return value;
+  // Migrate from a different length: try to infer the old subdivision and
+  // copy main-beat marks across; default new cells to regular (or accent
+  // for the first main beat).
+  const oldSub = Array.isArray(value) && beatsPerBar > 0
+    ? Math.max(1, Math.round(value.length / beatsPerBar))
+    : 1;
+  const arr = [];
+  for (let i = 0; i < desired; i++) {
+    const beatIdx = Math.floor(i / subdivision);
+    const subInBeat = i % subdivision;
+    let kind;
+    if (subInBeat === 0) {
+      const oldIdx = beatIdx * oldSub;
+      kind = (Array.isArray(value) ? value[oldIdx] : null)
+        ?? (beatIdx === 0 ? 'accent' : 'regular');
+    } else if (oldSub === subdivision && Array.isArray(value)) {
+      kind = value[beatIdx * oldSub + subInBeat] ?? 'regular';
+    } else {
+      kind = 'regular';
+    }
+    arr.push(kind);
+  }
+  return arr;
+}
+
+/**
+ * A new section, optionally continuing from the previous one's meter and
+ * (end) tempo
+ */
+export function createSection(previous = null) {
+  const timeSig = previous?.timeSig ?? '4/4';
+  const subdivision = previous?.subdivision ?? 1;
+  return {
+    name: previous ? 'Section' : 'Intro',
+    bars: 8,
+    bpm: previous?.endBpm ?? previous?.bpm ?? 120,
+    endBpm: null,
+    timeSig,
+    grouping: previous?.grouping ?? null,
+    subdivision,
+    accentPattern: groupingPattern(
+      resolveGrouping(previous?.grouping, getTimeSignature(timeSig)),
+      subdivision
+    ),
+  };
+}
+
+/**
+ * Resolve a stored section into what the scheduler needs
+ * @returns {{ name, bars, bpm, endBpm, beatsPerBar, beatUnit, grouping, subdivision, accentPattern, totalBeats }}
+ */
+export function resolveSection(section) {
+  const sig = getTimeSignature(section.timeSig);
+  const subdivision = section.subdivision ?? 1;
+  const bars = Math.max(1, section.bars | 0);
+  const bpm = clamp(section.bpm, MIN_BPM, MAX_BPM);
+  return {
+    name: section.name ?? '',
+    bars,
+    bpm,
+    endBpm: section.endBpm == null ? bpm : clamp(section.endBpm, MIN_BPM, MAX_BPM),
+    beatsPerBar: sig.beatsPerBar,
+    beatUnit: sig.beatUnit,
+    grouping: resolveGrouping(section.grouping, sig),
+    subdivision,
+    accentPattern: normalizePattern(section.accentPattern, sig.beatsPerBar, subdivision),
+    totalBeats: bars * sig.beatsPerBar,
+  };
+}
+
+/**
+ * Instantaneous tempo at a (fractional) beat position inside a resolved
+ * section
+ */
+export function tempoAt(section, beat) {
+  const slope = (section.endBpm - section.bpm) / section.totalBeats;
+  return section.bpm + slope * beat;
+}
+
+/**
+ * Seconds from the section's first downbeat to a (fractional) pulse position.
+ * With tempo linear in pulses, T(b) = ∫ 60 / bpm(x) dx = 60/k · ln(bpm(b) / bpm(0)),
+ * scaled from quarter notes to the section's beat unit.
+ */
+export function beatOffset(section, beat) {
+  const unit = 4 / (section.beatUnit ?? 4);
+  const slope = (section.endBpm - section.bpm) / section.totalBeats;
+  if (Math.abs(slope) < 1e-9) return (unit * 60 * beat) / section.bpm;
+  return unit * (60 / slope) * Math.log(tempoAt(section, beat) / section.bpm);
+}
+
+/**
+ * Length of one section in seconds
+ */
+export function sectionDuration(section) {
+  const resolved = section.totalBeats != null ? section : resolveSection(section);
+  return beatOffset(resolved, resolved.totalBeats);
+}
+
+/**
+ * Length of a whole song (one pass) in seconds
+ */
+export function songDuration(sections) {
+  return sections.reduce((sum, s) => sum + sectionDuration(s), 0);
+}
+
+/**
+ * m:ss for song lengths
+ */
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Problems that would stop a song from playing, as human-readable strings
+ */
+export function validateSong(song) {
+  const errors = [];
+  if (!song?.name?.trim()) errors.push('Give the song a name.');
+  const sections = song?.sections ?? [];
+  if (sections.length === 0) errors.push('Add at least one section.');
+  sections.forEach((section, i) => {
+    const where = `Section ${i + 1}`;
+    if (!Number.isInteger(section.bars) || section.bars < 1) {
+      errors.push(`${where}: bars must be a whole number of at least 1.`);
+    }
+    if (section.grouping && !parseGrouping(section.grouping, getTimeSignature(section.timeSig).beatsPerBar)) {
+      errors.push(`${where}: grouping must add up to ${getTimeSignature(section.timeSig).beatsPerBar}, like 2+2+3.`);
+    }
+    for (const [field, label] of [['bpm', 'tempo'], ['endBpm', 'end tempo']]) {
+      const value = section[field];
+      if (field === 'endBpm' && value == null) continue;
+      if (!Number.isFinite(value) || value < MIN_BPM || value > MAX_BPM) {
+        errors.push(`${where}: ${label} must be between ${MIN_BPM} and ${MAX_BPM} BPM.`);
+      }
+    }
+  });
+  return errors;
+}
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
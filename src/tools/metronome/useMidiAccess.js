@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+
+import { requestMidiAccess } from './MidiClock.js';
+
+const NO_MIDI = { access: null, inputs: [], outputs: [], error: null };
+
+/**
+ * Web MIDI access while `enabled` is true, with the port lists kept up to
+ * date as devices come and go. Access is only requested once MIDI clock is
+ * switched on, so the permission prompt never appears out of the blue.
+ *
+ * @param {boolean} enabled
+ * @returns {{ access: MIDIAccess|null, inputs: MIDIInput[], outputs: MIDIOutput[], error: string|null }}
+ */
+export function useMidiAccess(enabled) {
+  const [state, setState] = useState(NO_MIDI);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let access = null;
+    let cancelled = false;
+    const refresh = () => setState({
+      access,
+      inputs: [...access.inputs.values()],
+      outputs: [...access.outputs.values()],
+      error: null,
+    });
+
+    requestMidiAccess()
+      .then((a) => {
+        if (cancelled) return;
+        access = a;
+        access.addEventListener('statechange', refresh);
+        refresh();
+      })
+      .catch((e) => {
+        if (!cancelled) setState({ ...NO_MIDI, error: e.message });
+      });
+
+    return () => {
+      cancelled = true;
+      access?.removeEventListener('statechange', refresh);
+    };
+  }, [enabled]);
+
+  return enabled ? state : NO_MIDI;
+}
@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+import { getTimbreList, subscribeTimbres } from './clickSamples.js';
+
+/** Built-in timbres plus the user's uploads, re-rendering when they change */
+export function useTimbreList() {
+  const [list, setList] = useState(getTimbreList);
+  useEffect(() => {
+    setList(getTimbreList());
+    return subscribeTimbres(() => setList(getTimbreList()));
+  }, []);
+  return list;
+}
@@ -0,0 +1,100 @@
+/**
+ * voiceCues — what the metronome says and the rendered phrases it says it
+ * with. Phrases are arrays of formantVoice LEXICON words, rendered on first
+ * use and cached per AudioContext, so nothing is fetched and no speech
+ * service is involved:
+ *
+ *   bar 23 of a free run    → ['twenty', 'three']
+ *   section "Pre-chorus"    → ['pre', 'chorus']
+ *   section "Outro (vamp)"  → ['outro', 'vamp']
+ *   section "Gtr solo #2"   → ['section', 'four']   (no pronunciation for
+ *                                                    "gtr": fall back to
+ *                                                    its position)
+ */
+
+import { LEXICON, renderPhrase } from './formantVoice.js';
+
+/** Where the engine's announcements come from (`metronomeAnnounce`) */
+export const AnnounceMode = {
+  OFF: 'off',
+  BARS: 'bars', // bar number on every downbeat (within the section in a song)
+  SECTIONS: 'sections', // song section names, a bar before each starts
+};
+
+/** Practice-session call-outs */
+export const VoicePhrase = {
+  NEXT_INTERVAL: ['next', 'interval'],
+  LAST_INTERVAL: ['last', 'interval'],
+  TWO_MINUTES_LEFT: ['two', 'minutes', 'left'],
+};
+
+const ONES = [
+  null, 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen',
+];
+const TENS = [null, null, 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const cache = new WeakMap(); // AudioContext → { [phrase]: { buffer, lead, duration } }
+
+/**
+ * A whole number as words, the way a count is said: 123 → one hundred
+ * twenty three. Counts past 9999 keep only their last four digits.
+ * @param {number} n - 1 or more
+ * @returns {string[]}
+ */
+export function numberWords(n) {
+  n = Math.max(1, Math.floor(n)) % 10000 || 10000;
+  if (n >= 1000) {
+    const rest = n % 1000;
+    return [...numberWords(Math.floor(n / 1000)), 'thousand', ...(rest ? numberWords(rest) : [])];
+  }
+  if (n >= 100) {
+    const rest = n % 100;
+    return [...numberWords(Math.floor(n / 100)), 'hundred', ...(rest ? numberWords(rest) : [])];
+  }
+  if (n < 20) return [ONES[n]];
+  return [TENS[Math.floor(n / 10)], ...(n % 10 ? [ONES[n % 10]] : [])];
+}
+
+/**
+ * How to say a section's name. Digits are read as numbers; a name with
+ * any word the voice can't pronounce (or no name) becomes "section N".
+ * @param {string} name
+ * @param {number} index - 0-based position in the song
+ * @returns {string[]}
+ */
+export function sectionWords(name, index) {
+  const tokens = (name ?? '').toLowerCase().match(/[a-z]+|\d+/g) ?? [];
+  const words = tokens.flatMap((t) => (/^\d/.test(t) ? numberWords(Number(t)) : [t]));
+  if (words.length && words.every((w) => LEXICON[w])) return words;
+  return ['section', ...numberWords(index + 1)];
+}
+
+/**
+ * A phrase rendered into an AudioBuffer, on first use.
+ * @param {AudioContext} audioContext
+ * @param {string[]} words - LEXICON words
+ * @param {boolean} [accent] - Higher and louder, for downbeats
+ * @returns {{ buffer: AudioBuffer, lead: number, duration: number }}
+ *   `lead` = seconds from the buffer's start to its first vowel — start
+ *   that much early to land the word on a beat
+ */
+export function getVoiceBuffer(audioContext, words, accent = false) {
+  let perCtx = cache.get(audioContext);
+  if (!perCtx) {
+    perCtx = {};
+    cache.set(audioContext, perCtx);
+  }
+  const key = `${words.join(' ')}:${accent ? 'accent' : 'regular'}`;
+  if (!perCtx[key]) {
+    const { samples, sampleRate, onsetMs } = renderPhrase(words, {
+      pitch: accent ? 136 : 116,
+      peak: accent ? 0.9 : 0.72,
+    });
+    const buffer = audioContext.createBuffer(1, samples.length, sampleRate);
+    buffer.getChannelData(0).set(samples);
+    perCtx[key] = { buffer, lead: onsetMs / 1000, duration: samples.length / sampleRate };
+  }
+  return perCtx[key];
+}
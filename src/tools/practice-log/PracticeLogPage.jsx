@@ -0,0 +1,275 @@
+import { useEffect, useMemo, useState } from 'react';
+import { CalendarDays, Clock, Flame, Trash2, Trophy } from 'lucide-react';
+
+import { SharedSettings, PracticeLog } from '@/core';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { trackEvent } from '@/lib/analytics';
+import { cn } from '@/lib/utils';
+import { getTool } from '@/tools/registry';
+
+import TrendChart from './TrendChart.jsx';
+import {
+  TREND_METRICS,
+  computeStreaks,
+  computeTotals,
+  dailySeries,
+  describeSession,
+  formatPracticeTime,
+  seriesChange,
+} from './practiceStats.js';
+import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
+
+const SETTINGS_KEYS = ['practiceLogRangeDays'];
+const RANGES = [7, 30, 90];
+const RECENT_COUNT = 12;
+
+/**
+ * Practice history dashboard: streaks and totals across every tool, a
+ * practice-time chart, per-tool trend charts and the latest sessions.
+ * Sessions are written by the tools themselves (see core/PracticeLog.js).
+ */
+export default function PracticeLogPage() {
+  const settings = useMemo(() => new SharedSettings(), []);
+  const practiceLog = useMemo(() => new PracticeLog(), []);
+  const v = useSharedSettingValues(settings, SETTINGS_KEYS);
+  const rangeDays = RANGES.includes(v.practiceLogRangeDays) ? v.practiceLogRangeDays : 30;
+
+  // null while loading; `now` is pinned per load so day buckets stay stable
+  const [data, setData] = useState(null);
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  useEffect(() => {
+    trackEvent('tool_open', { tool: 'practice-log' });
+    let cancelled = false;
+    const load = () => {
+      practiceLog.list()
+        .then((list) => { if (!cancelled) setData({ entries: list, now: Date.now() }); })
+        .catch((e) => {
+          console.error('Failed to read practice log:', e);
+          if (!cancelled) setData({ entries: [], now: Date.now() });
+        });
+    };
+    load();
+    const unsubscribe = practiceLog.subscribe(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [practiceLog]);
+
+  const entries = data?.entries;
+  const now = data?.now ?? 0;
+  const inRange = useMemo(() => {
+    const since = now - rangeDays * 24 * 60 * 60 * 1000;
+    return (entries ?? []).filter((e) => e.startedAt >= since);
+  }, [entries, now, rangeDays]);
+  const streaks = useMemo(() => computeStreaks(entries ?? [], now), [entries, now]);
+  const totals = useMemo(() => computeTotals(inRange), [inRange]);
+  const timeSeries = useMemo(
+    () => dailySeries(inRange, (e) => e.durationMs / 60000, { days: rangeDays, reduce: 'sum', now }),
+    [inRange, rangeDays, now]
+  );
+
+  const handleClear = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+    setConfirmClear(false);
+    try {
+      await practiceLog.clear();
+    } catch (e) {
+      console.error('Failed to clear practice log:', e);
+    }
+  };
+
+  if (entries == null) return null;
+
+  const recent = entries.slice(-RECENT_COUNT).reverse();
+
+  return (
+    <div className="no-scrollbar h-full overflow-y-auto">
+      <div className="container max-w-4xl space-y-6 py-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h1 className="text-2xl font-semibold tracking-tight">Practice Log</h1>
+            <p className="text-sm text-muted-foreground">
+              Every metronome run, vocal exercise and tuner session, kept on this device.
+            </p>
+          </div>
+          <Select
+            value={String(rangeDays)}
+            onValueChange={(val) => settings.set('practiceLogRangeDays', Number(val))}
+          >
+            <SelectTrigger className="h-9 w-36"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {RANGES.map((d) => (
+                <SelectItem key={d} value={String(d)}>Last {d} days</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+          <StatTile
+            icon={Flame}
+            label="Current streak"
+            value={`${streaks.current} ${streaks.current === 1 ? 'day' : 'days'}`}
+            hint={streaks.current > 0 && !streaks.practicedToday ? 'Practice today to keep it' : null}
+          />
+          <StatTile icon={Trophy} label="Longest streak" value={`${streaks.longest} ${streaks.longest === 1 ? 'day' : 'days'}`} />
+          <StatTile icon={Clock} label="Practice time" value={formatPracticeTime(totals.durationMs)} />
+          <StatTile icon={CalendarDays} label="Sessions" value={totals.sessions} hint={`on ${totals.days} ${totals.days === 1 ? 'day' : 'days'}`} />
+        </div>
+
+        {entries.length === 0 ? (
+          <Card>
+            <CardContent className="p-6 text-sm text-muted-foreground">
+              Nothing logged yet. Play the Metronome, run a Vocal Monitor exercise or tune up
+              with the Tuner and your sessions will show up here.
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            <Card>
+              <CardHeader className="pb-3">
+                <CardTitle className="text-base">Minutes per day</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <TrendChart series={timeSeries} variant="bars" label="Practice minutes per day" />
+              </CardContent>
+            </Card>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              {Object.keys(TREND_METRICS).map((toolId) => (
+                <ToolTrends
+                  key={toolId}
+                  toolId={toolId}
+                  entries={inRange.filter((e) => e.tool === toolId)}
+                  totals={totals.byTool[toolId]}
+                  rangeDays={rangeDays}
+                  now={now}
+                />
+              ))}
+            </div>
+
+            <Card>
+              <CardHeader className="flex-row items-center justify-between space-y-0 pb-3">
+                <CardTitle className="text-base">Recent sessions</CardTitle>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={handleClear}
+                  onBlur={() => setConfirmClear(false)}
+                  className={cn('h-7 gap-1.5 px-2 text-xs', confirmClear ? 'text-destructive' : 'text-muted-foreground')}
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                  {confirmClear ? 'Tap again to clear everything' : 'Clear history'}
+                </Button>
+              </CardHeader>
+              <CardContent className="space-y-1">
+                {recent.map((entry) => (
+                  <div key={entry.id} className="flex items-center gap-3 text-sm">
+                    <span className="w-28 shrink-0 text-xs text-muted-foreground">
+                      {new Date(entry.startedAt).toLocaleString(undefined, {
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                      })}
+                    </span>
+                    <span className="w-28 shrink-0 font-medium">{getTool(entry.tool)?.name ?? entry.tool}</span>
+                    <span className="min-w-0 flex-1 truncate text-muted-foreground">{describeSession(entry)}</span>
+                    <span className="shrink-0 font-mono text-xs tabular-nums">{formatPracticeTime(entry.durationMs)}</span>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function StatTile({ icon: Icon, label, value, hint }) {
+  return (
+    <Card>
+      <CardContent className="space-y-1 p-4">
+        <div className="flex items-center gap-1.5 text-xs text-muted-foreground">
+          <Icon className="h-3.5 w-3.5" />
+          {label}
+        </div>
+        <div className="text-xl font-semibold tabular-nums">{value}</div>
+        {hint && <div className="text-[11px] text-muted-foreground">{hint}</div>}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * One tool's card: sessions and time in the range, plus a trend chart for
+ * the picked metric with its change over the range.
+ */
+function ToolTrends({ toolId, entries, totals, rangeDays, now }) {
+  const tool = getTool(toolId);
+  const metrics = TREND_METRICS[toolId];
+  const [metricKey, setMetricKey] = useState(metrics[0].key);
+  const metric = metrics.find((m) => m.key === metricKey) ?? metrics[0];
+  const series = useMemo(
+    () => dailySeries(entries, metric.value, { days: rangeDays, now }),
+    [entries, metric, rangeDays, now]
+  );
+  const change = seriesChange(series);
+  const improved = change != null && change !== 0 && (change > 0) === (metric.better === 'up');
+  const Icon = tool?.icon;
+
+  return (
+    <Card>
+      <CardHeader className="space-y-1 pb-3">
+        <CardTitle className="flex items-center gap-2 text-base">
+          {Icon && <Icon className="h-4 w-4 text-primary" />}
+          {tool?.name ?? toolId}
+        </CardTitle>
+        <p className="text-xs text-muted-foreground">
+          {totals
+            ? `${totals.sessions} ${totals.sessions === 1 ? 'session' : 'sessions'} · ${formatPracticeTime(totals.durationMs)}`
+            : 'No sessions in this range'}
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <div className="flex flex-wrap gap-1">
+          {metrics.map((m) => (
+            <Button
+              key={m.key}
+              size="sm"
+              variant={m.key === metric.key ? 'secondary' : 'ghost'}
+              onClick={() => setMetricKey(m.key)}
+              className="h-7 px-2 text-xs"
+            >
+              {m.label}
+            </Button>
+          ))}
+        </div>
+        <TrendChart series={series} label={`${tool?.name ?? toolId} ${metric.label} per day`} />
+        <div className="text-[11px] text-muted-foreground">
+          {change == null ? (
+            'Needs two days with data for a trend'
+          ) : (
+            <span className={cn(change !== 0 && (improved ? 'text-emerald-600 dark:text-emerald-400' : 'text-destructive'))}>
+              {change > 0 ? '+' : ''}{Math.round(change)}{metric.unit} over the range
+            </span>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,81 @@
+const W = 360;
+const H = 72;
+
+/**
+ * Daily series from practiceStats.dailySeries as an SVG sparkline.
+ *
+ *   ┌──────────────────────────────────────────────┐
+ *   │             ·───·          ·───·───·         │  ← line joins measured days
+ *   │  ·───·───··        ·                         │    (gaps skip unmeasured days)
+ *   └──────────────────────────────────────────────┘
+ *
+ * `variant="bars"` draws one bar per day instead (practice time).
+ */
+export default function TrendChart({ series, variant = 'line', label }) {
+  const values = series.map((p) => p.value).filter((v) => v != null);
+  const lo = variant === 'bars' ? 0 : Math.min(...values);
+  const hi = Math.max(...values);
+  const span = Math.max(1e-9, hi - lo);
+
+  const step = W / Math.max(1, series.length);
+  const x = (i) => (i + 0.5) * step;
+  // A flat line sits mid-chart rather than on the floor
+  const y = (v) => (hi === lo && variant !== 'bars' ? H / 2 : H - 4 - ((v - lo) / span) * (H - 8));
+
+  const points = series
+    .map((p, i) => (p.value == null ? null : `${x(i)},${y(p.value)}`))
+    .filter(Boolean);
+
+  return (
+    <svg
+      viewBox={`0 0 ${W} ${H}`}
+      preserveAspectRatio="none"
+      className="h-16 w-full rounded-md bg-muted/40"
+      role="img"
+      aria-label={label}
+    >
+      {variant === 'bars'
+        ? series.map((p, i) =>
+          p.value ? (
+            <rect
+              key={p.day}
+              x={i * step + step * 0.15}
+              width={step * 0.7}
+              y={y(p.value)}
+              height={H - 4 - y(p.value)}
+              className="fill-primary"
+              fillOpacity={0.8}
+            />
+          ) : null
+        )
+        : (
+          <>
+            <polyline
+              points={points.join(' ')}
+              fill="none"
+              className="stroke-primary"
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+            />
+            {series.map((p, i) =>
+              p.value == null ? null : (
+                // Zero-length round-capped line = a dot that the non-uniform
+                // viewBox scaling doesn't squash into an ellipse
+                <line
+                  key={p.day}
+                  x1={x(i)}
+                  x2={x(i)}
+                  y1={y(p.value)}
+                  y2={y(p.value)}
+                  className="stroke-primary"
+                  strokeWidth={5}
+                  strokeLinecap="round"
+                  vectorEffect="non-scaling-stroke"
+                />
+              )
+            )}
+          </>
+        )}
+    </svg>
+  );
+}
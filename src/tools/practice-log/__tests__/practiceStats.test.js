@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TREND_METRICS,
+  computeStreaks,
+  computeTotals,
+  dailySeries,
+  dayKey,
+  describeSession,
+  formatPracticeTime,
+  seriesChange,
+} from '../practiceStats.js';
+import { NOW, daysAgo, session } from '../../../core/__tests__/practiceFixtures.js';
+
+describe('practiceStats', () => {
+  it('counts current and longest streaks by calendar day', () => {
+    // Today, yesterday, two days ago; a 4-day run a week earlier
+    const entries = [0, 1, 2, 8, 9, 10, 11].map((n) => session(n));
+    entries.push(session(1, { startedAt: daysAgo(1, 22) })); // two sessions on one day
+    expect(computeStreaks(entries, NOW)).toEqual({ current: 3, longest: 4, practicedToday: true });
+  });
+
+  it('keeps the current streak alive until today is over', () => {
+    const entries = [1, 2].map((n) => session(n));
+    expect(computeStreaks(entries, NOW)).toEqual({ current: 2, longest: 2, practicedToday: false });
+    // Missing yesterday breaks it
+    expect(computeStreaks([session(2)], NOW).current).toBe(0);
+    expect(computeStreaks([], NOW)).toEqual({ current: 0, longest: 0, practicedToday: false });
+  });
+
+  it('totals sessions and time per tool', () => {
+    const totals = computeTotals([
+      session(0),
+      session(3, { durationMs: 120000 }),
+      session(3, { tool: 'tuner', durationMs: 30000 }),
+    ]);
+    expect(totals).toMatchObject({ sessions: 3, durationMs: 210000, days: 2 });
+    expect(totals.byTool.metronome).toEqual({ sessions: 2, durationMs: 180000, lastAt: daysAgo(0) });
+    expect(totals.byTool.tuner.sessions).toBe(1);
+  });
+
+  it('builds one point per day with gaps as null', () => {
+    const entries = [
+      session(0, { onGridPct: 80 }),
+      session(0, { onGridPct: 90 }),
+      session(2, { onGridPct: 60 }),
+      session(3), // listen-back off: not measured
+      session(10, { onGridPct: 10 }), // outside the range
+    ];
+    const onGrid = TREND_METRICS.metronome.find((m) => m.key === 'onGridPct');
+    const series = dailySeries(entries, onGrid.value, { days: 4, now: NOW });
+    expect(series.map((p) => p.day)).toEqual(['2024-03-12', '2024-03-13', '2024-03-14', '2024-03-15']);
+    expect(series.map((p) => p.value)).toEqual([null, 60, null, 85]);
+    expect(seriesChange(series)).toBe(25);
+
+    const minutes = dailySeries(entries, (e) => e.durationMs / 60000, { days: 4, reduce: 'sum', now: NOW });
+    expect(minutes.map((p) => p.value)).toEqual([1, 1, null, 2]);
+    expect(seriesChange([{ day: 'a', value: 3 }, { day: 'b', value: null }])).toBeNull();
+  });
+
+  it('derives per-tool metrics and summaries', () => {
+    const run = { tool: 'vocal-monitor', exercise: 'Major Triad', targets: 8, hits: 6 };
+    expect(TREND_METRICS['vocal-monitor'][0].value(run)).toBe(75);
+    expect(TREND_METRICS.metronome[2].value({ avgOffsetMs: -12 })).toBe(12);
+    expect(describeSession(run)).toBe('Major Triad · 6/8 targets');
+    expect(describeSession({ tool: 'metronome', bpm: 100, endBpm: 120, onGridPct: 84 }))
+      .toBe('100→120 BPM · 84% on grid');
+    expect(describeSession({ tool: 'tuner', instrument: 'guitar', stringsTuned: 1 }))
+      .toBe('guitar · 1 string tuned');
+    expect(describeSession({ tool: 'tuner', instrument: 'custom:x1', instrumentName: 'Baritone', stringsTuned: 6 }))
+      .toBe('Baritone · 6 strings tuned');
+  });
+
+  it('formats days and durations', () => {
+    expect(dayKey(NOW)).toBe('2024-03-15');
+    expect(formatPracticeTime(40000)).toBe('40s');
+    expect(formatPracticeTime(12 * 60000)).toBe('12m');
+    expect(formatPracticeTime(65 * 60000)).toBe('1h 05m');
+  });
+});
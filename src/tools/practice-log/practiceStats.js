@@ -0,0 +1,191 @@
+/**
+ * Pure practice-history math for the dashboard: streaks, totals and daily
+ * trend series over PracticeLog entries. No DOM, no storage — easy to
+ * unit-test. Days are local calendar days.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-tool trend metrics. `value` pulls the number out of one logged
+ * session (null = not measured that session); `unit` is appended as-is;
+ * `better` says which way is an improvement so the dashboard can color
+ * the change.
+ */
+export const TREND_METRICS = {
+  metronome: [
+    { key: 'bpm', label: 'Tempo', unit: ' BPM', better: 'up', value: (e) => e.endBpm ?? e.bpm ?? null },
+    { key: 'onGridPct', label: 'On grid', unit: '%', better: 'up', value: (e) => e.onGridPct ?? null },
+    {
+      key: 'avgOffsetMs',
+      label: 'Timing offset',
+      unit: ' ms',
+      better: 'down',
+      value: (e) => (e.avgOffsetMs != null ? Math.abs(e.avgOffsetMs) : null),
+    },
+  ],
+  'vocal-monitor': [
+    {
+      key: 'hitRate',
+      label: 'Targets hit',
+      unit: '%',
+      better: 'up',
+      value: (e) => (e.targets > 0 ? Math.round((e.hits / e.targets) * 100) : null),
+    },
+    { key: 'avgTimeToHitMs', label: 'Time to hit', unit: ' ms', better: 'down', value: (e) => e.avgTimeToHitMs ?? null },
+  ],
+  tuner: [
+    { key: 'avgAbsCents', label: 'Average deviation', unit: '¢', better: 'down', value: (e) => e.avgAbsCents ?? null },
+    { key: 'stringsTuned', label: 'Strings tuned', unit: '', better: 'up', value: (e) => e.stringsTuned ?? null },
+  ],
+};
+
+/** 'YYYY-MM-DD' of a timestamp in local time */
+export function dayKey(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Whole days since the epoch for a day key (DST-safe) */
+function dayNumber(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Math.round(new Date(y, m - 1, d).getTime() / DAY_MS);
+}
+
+/** Day key `offset` calendar days from `ms` (negative = earlier) */
+function shiftDay(ms, offset) {
+  const d = new Date(ms);
+  return dayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() + offset).getTime());
+}
+
+/**
+ * Consecutive practice days.
+ * @param {Array<{startedAt: number}>} entries
+ * @param {number} [now]
+ * @returns {{ current: number, longest: number, practicedToday: boolean }}
+ *   `current` is still alive on a day you haven't practiced yet if you
+ *   practiced yesterday.
+ */
+export function computeStreaks(entries, now = Date.now()) {
+  const days = new Set(entries.map((e) => dayKey(e.startedAt)));
+  const practicedToday = days.has(dayKey(now));
+
+  let current = 0;
+  for (let offset = practicedToday ? 0 : -1; days.has(shiftDay(now, offset)); offset--) {
+    current++;
+  }
+
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const n of [...days].map(dayNumber).sort((a, b) => a - b)) {
+    run = prev != null && n === prev + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = n;
+  }
+
+  return { current, longest, practicedToday };
+}
+
+/**
+ * Session counts and practice time, overall and per tool.
+ * @param {Array<object>} entries
+ * @returns {{ sessions: number, durationMs: number, days: number,
+ *   byTool: Object<string, { sessions: number, durationMs: number, lastAt: number }> }}
+ */
+export function computeTotals(entries) {
+  const byTool = {};
+  let durationMs = 0;
+  for (const e of entries) {
+    const t = (byTool[e.tool] ??= { sessions: 0, durationMs: 0, lastAt: 0 });
+    t.sessions++;
+    t.durationMs += e.durationMs ?? 0;
+    t.lastAt = Math.max(t.lastAt, e.startedAt);
+    durationMs += e.durationMs ?? 0;
+  }
+  return {
+    sessions: entries.length,
+    durationMs,
+    days: new Set(entries.map((e) => dayKey(e.startedAt))).size,
+    byTool,
+  };
+}
+
+/**
+ * One point per calendar day over the last `days` days (oldest first).
+ * Sessions on the same day are summed (`'sum'`, for practice time) or
+ * averaged (`'mean'`, for scores); days without a value are null.
+ * @param {Array<object>} entries
+ * @param {function(object): (number|null)} valueOf
+ * @param {object} [options]
+ * @param {number} [options.days=30]
+ * @param {'sum'|'mean'} [options.reduce='mean']
+ * @param {number} [options.now]
+ * @returns {Array<{ day: string, value: number|null }>}
+ */
+export function dailySeries(entries, valueOf, { days = 30, reduce = 'mean', now = Date.now() } = {}) {
+  const buckets = new Map();
+  for (const e of entries) {
+    const v = valueOf(e);
+    if (v == null || !Number.isFinite(v)) continue;
+    const key = dayKey(e.startedAt);
+    const b = buckets.get(key) ?? { sum: 0, count: 0 };
+    b.sum += v;
+    b.count++;
+    buckets.set(key, b);
+  }
+
+  const series = [];
+  for (let offset = -(days - 1); offset <= 0; offset++) {
+    const day = shiftDay(now, offset);
+    const b = buckets.get(day);
+    series.push({
+      day,
+      value: b ? (reduce === 'sum' ? b.sum : b.sum / b.count) : null,
+    });
+  }
+  return series;
+}
+
+/**
+ * Change between the first and last measured points of a series, or null
+ * with fewer than two.
+ */
+export function seriesChange(series) {
+  const measured = series.filter((p) => p.value != null);
+  if (measured.length < 2) return null;
+  return measured[measured.length - 1].value - measured[0].value;
+}
+
+/** "1h 05m", "12m", "40s" */
+export function formatPracticeTime(ms) {
+  const totalSec = Math.round(ms / 1000);
+  if (totalSec < 60) return `${totalSec}s`;
+  const totalMin = Math.round(totalSec / 60);
+  if (totalMin < 60) return `${totalMin}m`;
+  return `${Math.floor(totalMin / 60)}h ${String(totalMin % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * One-line summary of a logged session for the history list
+ * @param {object} entry
+ * @returns {string}
+ */
+export function describeSession(entry) {
+  const parts = [];
+  if (entry.tool === 'metronome') {
+    const end = entry.endBpm ?? entry.bpm;
+    parts.push(end !== entry.bpm ? `${entry.bpm}→${end} BPM` : `${entry.bpm} BPM`);
+    if (entry.song) parts.push(entry.song);
+    if (entry.onGridPct != null) parts.push(`${entry.onGridPct}% on grid`);
+  } else if (entry.tool === 'vocal-monitor') {
+    if (entry.exercise) parts.push(entry.exercise);
+    parts.push(`${entry.hits}/${entry.targets} targets`);
+  } else if (entry.tool === 'tuner') {
+    const instrument = entry.instrumentName ?? entry.instrument;
+    if (instrument) parts.push(instrument);
+    parts.push(`${entry.stringsTuned} ${entry.stringsTuned === 1 ? 'string' : 'strings'} tuned`);
+  }
+  return parts.join(' · ');
+}
@@ -1,10 +1,12 @@
 import { lazy } from 'react';
-import { Aperture, AudioLines, CircleGauge, Guitar } from 'lucide-react';
+import { Aperture, AudioLines, CircleGauge, Ear, Guitar, History } from 'lucide-react';
 
 const VocalMonitorPage = lazy(() => import('./vocal-monitor/VocalMonitorPage.jsx'));
 const MetronomePage = lazy(() => import('./metronome/MetronomePage.jsx'));
 const CircleOfFifthsPage = lazy(() => import('./circle-of-fifths/CircleOfFifthsPage.jsx'));
 const TunerPage = lazy(() => import('./tuner/TunerPage.jsx'));
+const EarTrainingPage = lazy(() => import('./ear-training/EarTrainingPage.jsx'));
+const PracticeLogPage = lazy(() => import('./practice-log/PracticeLogPage.jsx'));
 
 export const tools = [
   {
@@ -47,6 +49,26 @@ export const tools = [
     icon: Guitar,
     Component: TunerPage,
   },
+  {
+    id: 'ear-training',
+    path: '/ear-training',
+    name: 'Ear Trainer',
+    tagline: 'Interval, chord and cadence quizzes',
+    description:
+      'Hear an interval, chord quality or progression and name it. Three difficulty levels, and spaced repetition brings back the items you miss until they stick.',
+    icon: Ear,
+    Component: EarTrainingPage,
+  },
+  {
+    id: 'practice-log',
+    path: '/practice-log',
+    name: 'Practice Log',
+    tagline: 'Streaks, totals and progress over time',
+    description:
+      'Your practice history across the tools: daily streaks, total practice time, and trend charts for metronome accuracy and tempo, vocal exercise hit rates, and tuner sessions. Stored on this device only.',
+    icon: History,
+    Component: PracticeLogPage,
+  },
 ];
 
 export function getTool(id) {
@@ -0,0 +1,301 @@
+/**
+ * IntonationCheck — headless guided intonation check for fretted strings.
+ *
+ * For each string in turn the player sounds a reference — the open string
+ * or its 12th-fret harmonic — and then the note fretted at the 12th fret.
+ * A saddle in the right place puts the fretted note exactly an octave
+ * above the open string (i.e. at the harmonic). Fretted sharp means the
+ * speaking length is too short: move the saddle back, away from the neck.
+ * Flat means too long: move it forward.
+ *
+ * Readings go through findClosestString against the notes being asked
+ * for plus every other open string, so playing the wrong string is caught
+ * rather than measured. A reading is taken once `holdFrames` consecutive
+ * frames stay within `spreadCents` of each other (the median of those
+ * frames). After each reading the check waits for the note to stop or be
+ * plucked again before listening for the next one — the harmonic and the
+ * fretted note are the same pitch, and a ringing harmonic mustn't count
+ * as the fretted note.
+ */
+
+import { FrequencyConverter } from '@/pitch-engine';
+import { cents as centsBetween, findClosestString } from './tunerLogic.js';
+
+/** Fretted within this many cents of the reference octave needs no adjustment */
+export const INTONATION_OK_CENTS = 3;
+
+export const IntonationStep = {
+  REFERENCE: 'reference', // open string or 12th-fret harmonic
+  FRETTED: 'fretted',     // 12th fret, fretted
+};
+
+// Frame-to-frame level rise that counts as a fresh pluck
+const PLUCK_RATIO = 1.8;
+// Open strings this close to an expected note are left out as wrong-string candidates
+const SAME_NOTE_CENTS = 5;
+
+/**
+ * Compare a 12th-fret note with its reference
+ * @param {number} referenceHz - Open string × 2, or the 12th-fret harmonic
+ * @param {number} frettedHz - 12th fret, fretted
+ * @returns {{ cents: number, verdict: 'ok'|'sharp'|'flat', advice: string }}
+ */
+export function judgeIntonation(referenceHz, frettedHz) {
+  const cents = centsBetween(frettedHz, referenceHz);
+  if (Math.abs(cents) <= INTONATION_OK_CENTS) {
+    return { cents, verdict: 'ok', advice: 'Intonation is fine — leave the saddle.' };
+  }
+  return cents > 0
+    ? { cents, verdict: 'sharp', advice: 'Fretted note is sharp — move the saddle back, away from the neck.' }
+    : { cents, verdict: 'flat', advice: 'Fretted note is flat — move the saddle forward, toward the neck.' };
+}
+
+export class IntonationCheck {
+  /**
+   * @param {object} options
+   * @param {Array<{midi, noteName, frequency}>} options.strings - Open-string targets (tunings.js)
+   * @param {number} options.holdFrames - Steady frames before a reading is taken (default: 12)
+   * @param {number} options.spreadCents - Most those frames may wander (default: 4)
+   * @param {function} options.onChange - Called with getState() after every change
+   */
+  constructor(options = {}) {
+    this.holdFrames = options.holdFrames || 12;
+    this.spreadCents = options.spreadCents ?? 4;
+    this.onChange = options.onChange || null;
+
+    this.strings = [];
+    this.results = [];
+    this.stringIndex = 0;
+    this.step = IntonationStep.REFERENCE;
+    this.reference = null; // { frequency (the octave), source: 'open'|'harmonic' } for the current string
+    this.heard = null;     // { noteName, cents, expected } of the latest frame
+    this._frames = [];     // { frequency, cents, source } of the current steady run
+    this._armed = true;
+    this._lastRms = 0;
+
+    this.setStrings(options.strings || []);
+  }
+
+  /**
+   * Check a new set of strings; clears the results
+   * @param {Array<{midi, noteName, frequency}>} strings
+   */
+  setStrings(strings) {
+    this.strings = strings;
+    this.results = strings.map(() => null);
+    this.selectString(0);
+  }
+
+  /**
+   * Start (or restart) a string from its reference note
+   * @param {number} index
+   */
+  selectString(index) {
+    this.stringIndex = Math.max(0, Math.min(index, this.strings.length - 1));
+    this.step = IntonationStep.REFERENCE;
+    this.reference = null;
+    this._resetRun();
+    this._armed = true;
+    this._emit();
+  }
+
+  /**
+   * Measure the current string again, dropping its result
+   */
+  redo() {
+    if (this.results[this.stringIndex]) this.results[this.stringIndex] = null;
+    this.selectString(this.stringIndex);
+  }
+
+  /**
+   * Move on to the next string without a result for this one
+   */
+  skip() {
+    this._advance(this.stringIndex + 1);
+  }
+
+  /**
+   * Feed one pitch frame from PitchContext.subscribe
+   * @param {object|null} pitch - { frequency, rms } or null on silence
+   */
+  handleReading(pitch) {
+    const string = this.strings[this.stringIndex];
+    if (!string || this.isDone()) return;
+
+    if (!pitch?.frequency) {
+      // Let-ring-out: the next note may be measured
+      this._armed = true;
+      this._lastRms = 0;
+      if (this._frames.length || this.heard) {
+        this._frames = [];
+        this.heard = null;
+        this._emit();
+      }
+      return;
+    }
+
+    const rms = pitch.rms ?? 0;
+    if (!this._armed && this._lastRms > 0 && rms >= this._lastRms * PLUCK_RATIO) this._armed = true;
+    this._lastRms = rms;
+
+    const expected = this._expected(string);
+    // An open string tuned to the note being asked for (D3 under a Drop D
+    // low string's octave) is that note, not a wrong string
+    const others = this.strings
+      .map((s, i) => ({ ...s, own: i === this.stringIndex, source: 'open' }))
+      .filter((s) => !expected.some((e) => Math.abs(centsBetween(s.frequency, e.frequency)) < SAME_NOTE_CENTS));
+    const match = findClosestString(pitch.frequency, [...expected, ...others]);
+    const target = match.string;
+    const onTarget = target.own && expected.some((e) => e.source === target.source);
+    this.heard = { noteName: target.noteName, cents: match.cents, expected: onTarget };
+
+    if (!this._armed || !onTarget || Math.abs(match.cents) > 50) {
+      this._frames = [];
+      this._emit();
+      return;
+    }
+
+    // One steady run per source: switching between open and harmonic starts over
+    if (this._frames.length && this._frames[0].source !== target.source) this._frames = [];
+    this._frames.push({ frequency: pitch.frequency, cents: match.cents, source: target.source });
+    if (this._frames.length > this.holdFrames) this._frames.shift();
+
+    if (this._frames.length === this.holdFrames && this._spread() <= this.spreadCents) {
+      this._take(string, target.source);
+      return;
+    }
+    this._emit();
+  }
+
+  /**
+   * @returns {boolean} Every string has been measured or skipped past
+   */
+  isDone() {
+    return this.stringIndex >= this.strings.length;
+  }
+
+  /**
+   * Measured strings, in string order
+   * @returns {Array<object>} { index, noteName, reference, referenceSource, fretted, cents, verdict, advice }
+   */
+  getReport() {
+    return this.results.filter(Boolean);
+  }
+
+  /**
+   * Snapshot for rendering
+   */
+  getState() {
+    const string = this.strings[this.stringIndex] ?? null;
+    return {
+      strings: this.strings,
+      stringIndex: this.stringIndex,
+      string,
+      step: this.step,
+      target: string && !this.isDone() ? this._expected(string) : [],
+      reference: this.reference,
+      heard: this.heard,
+      armed: this._armed,
+      progress: this._frames.length / this.holdFrames,
+      results: [...this.results],
+      done: this.isDone(),
+    };
+  }
+
+  // ────────────────────────────────────────────────────────────────────
+  // Internals
+  // ────────────────────────────────────────────────────────────────────
+
+  /** Notes accepted for the current step, as findClosestString candidates */
+  _expected(string) {
+    const octave = {
+      midi: string.midi + 12,
+      noteName: FrequencyConverter.midiToNoteName(string.midi + 12),
+      frequency: string.frequency * 2,
+      own: true,
+    };
+    if (this.step === IntonationStep.FRETTED) return [{ ...octave, source: 'fretted' }];
+    return [
+      { ...string, own: true, source: 'open' },
+      { ...octave, source: 'harmonic' },
+    ];
+  }
+
+  _take(string, source) {
+    const frequency = median(this._frames.map((f) => f.frequency));
+    this._resetRun();
+    this._armed = false;
+
+    if (this.step === IntonationStep.REFERENCE) {
+      this.reference = { frequency: source === 'open' ? frequency * 2 : frequency, source };
+      this.step = IntonationStep.FRETTED;
+      this._emit();
+      return;
+    }
+
+    const judgement = judgeIntonation(this.reference.frequency, frequency);
+    this.results[this.stringIndex] = {
+      index: this.stringIndex,
+      noteName: string.noteName,
+      reference: this.reference.frequency,
+      referenceSource: this.reference.source,
+      fretted: frequency,
+      ...judgement,
+    };
+    // On to the next string still to measure; re-measuring one string of a
+    // finished check doesn't walk through the rest again
+    const next = this.results.findIndex((r, i) => i > this.stringIndex && !r);
+    this._advance(next < 0 ? this.strings.length : next);
+  }
+
+  _advance(index) {
+    this.stringIndex = index;
+    this.step = IntonationStep.REFERENCE;
+    this.reference = null;
+    this._resetRun();
+    this._emit();
+  }
+
+  _resetRun() {
+    this._frames = [];
+    this.heard = null;
+  }
+
+  _spread() {
+    const values = this._frames.map((f) => f.cents);
+    return Math.max(...values) - Math.min(...values);
+  }
+
+  _emit() {
+    this.onChange?.(this.getState());
+  }
+}
+
+/**
+ * Plain-text report for download
+ * @param {object} report - { savedAt, instrument, tuning, results }
+ * @returns {string}
+ */
+export function formatIntonationReport({ savedAt, instrument, tuning, results }) {
+  const lines = [
+    `Intonation report — ${instrument}${tuning ? ` (${tuning})` : ''}`,
+    new Date(savedAt).toLocaleString(),
+    '',
+    'String  Reference            12th fret    Cents   Saddle',
+  ];
+  for (const r of results) {
+    const ref = `${r.reference.toFixed(2)} Hz ${r.referenceSource === 'harmonic' ? '(harm.)' : '(open)'}`;
+    const sign = r.cents > 0 ? '+' : r.cents < 0 ? '−' : ' ';
+    const saddle = r.verdict === 'ok' ? 'OK' : r.verdict === 'sharp' ? 'Move back' : 'Move forward';
+    lines.push(
+      `${r.noteName.padEnd(8)}${ref.padEnd(21)}${`${r.fretted.toFixed(2)} Hz`.padEnd(13)}${`${sign}${Math.abs(r.cents).toFixed(1)}`.padEnd(8)}${saddle}`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,138 @@
+import { Check, RotateCcw, Save, SkipForward, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils';
+
+import { IntonationStep } from './IntonationCheck.js';
+
+/**
+ * Guided intonation check, shown in place of the string row. Prompts for
+ * each string's reference and 12th-fret notes, and builds the report table
+ * as strings are measured. Tapping a row re-measures that string.
+ * @param {object} props
+ * @param {object} props.state - IntonationCheck.getState()
+ * @param {function(number): void} props.onSelectString
+ * @param {function(): void} props.onRedo
+ * @param {function(): void} props.onSkip
+ * @param {function(): void} props.onSave
+ * @param {boolean} props.saved - The report on screen has been saved
+ * @param {function(): void} props.onExit
+ */
+export default function IntonationPanel({ state, onSelectString, onRedo, onSkip, onSave, saved, onExit }) {
+  const { string, step, reference, heard, armed, progress, results, done } = state;
+  const octave = state.target.find((t) => t.source !== 'open');
+  const measured = results.filter(Boolean).length;
+
+  return (
+    <div className="w-full max-w-md space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold">Intonation check</h2>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onExit}
+          aria-label="Leave intonation check"
+          className="h-7 w-7 text-muted-foreground hover:text-foreground"
+        >
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {!done && string && (
+        <div className="space-y-2 rounded-md border bg-background/50 p-3">
+          <p className="text-sm">
+            {step === IntonationStep.REFERENCE ? (
+              <>Play the open <strong>{string.noteName}</strong> string, or touch its 12th-fret harmonic ({octave?.noteName}).</>
+            ) : (
+              <>Now fret the <strong>{string.noteName}</strong> string at the 12th fret ({octave?.noteName}).</>
+            )}
+          </p>
+          {reference && (
+            <p className="text-[11px] text-muted-foreground">
+              Reference: {reference.frequency.toFixed(2)} Hz from the {reference.source === 'harmonic' ? 'harmonic' : 'open string'}
+            </p>
+          )}
+          <div className="flex items-center gap-2">
+            <div className="h-1.5 flex-1 overflow-hidden rounded-full bg-muted">
+              <div className="h-full rounded-full bg-primary transition-[width] duration-75" style={{ width: `${Math.round(progress * 100)}%` }} />
+            </div>
+            <span className="w-40 shrink-0 text-right text-[11px] text-muted-foreground">
+              {!armed
+                ? 'Let it ring out or pluck again…'
+                : heard && !heard.expected
+                  ? `That's ${heard.noteName}`
+                  : progress > 0 ? 'Hold it steady…' : 'Listening…'}
+            </span>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={onRedo} className="gap-1.5">
+              <RotateCcw className="h-3.5 w-3.5" />
+              Start string over
+            </Button>
+            <Button variant="ghost" size="sm" onClick={onSkip} className="gap-1.5">
+              <SkipForward className="h-3.5 w-3.5" />
+              Skip string
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {done && (
+        <p className="text-sm text-muted-foreground">
+          {measured > 0 ? 'All strings checked. Tap a string to measure it again.' : 'No strings measured. Tap a string to start.'}
+        </p>
+      )}
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-[10px] uppercase tracking-wider text-muted-foreground">
+            <th className="py-1 font-medium">String</th>
+            <th className="py-1 text-right font-medium">12th fret</th>
+            <th className="py-1 pl-3 font-medium">Saddle</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((r, i) => (
+            <tr
+              key={i}
+              onClick={() => onSelectString(i)}
+              className={cn(
+                'cursor-pointer border-t hover:bg-muted/40',
+                !done && i === state.stringIndex && 'bg-primary/5'
+              )}
+            >
+              <td className="py-1.5 font-mono">{state.strings[i].noteName}</td>
+              <td className={cn('py-1.5 text-right font-mono tabular-nums', r && verdictClass(r))}>
+                {r ? `${r.cents > 0 ? '+' : r.cents < 0 ? '−' : ''}${Math.abs(r.cents).toFixed(1)}¢` : '—'}
+              </td>
+              <td className="py-1.5 pl-3 text-muted-foreground">
+                {r ? saddleText(r.verdict) : !done && i === state.stringIndex ? 'measuring…' : ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-[11px] leading-snug text-muted-foreground">
+          Sharp at the fret: saddle back, away from the neck. Flat: forward. Retune the open string after each move.
+        </p>
+        <Button size="sm" onClick={onSave} disabled={measured === 0 || saved} className="shrink-0 gap-1.5">
+          {saved ? <Check className="h-3.5 w-3.5" /> : <Save className="h-3.5 w-3.5" />}
+          {saved ? 'Saved' : 'Save report'}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function saddleText(verdict) {
+  if (verdict === 'sharp') return 'Move back';
+  if (verdict === 'flat') return 'Move forward';
+  return 'OK';
+}
+
+function verdictClass(result) {
+  if (result.verdict === 'ok') return 'text-emerald-400';
+  return Math.abs(result.cents) <= 10 ? 'text-amber-400' : 'text-rose-400';
+}
@@ -8,32 +8,74 @@ import {
 import { Switch } from '@/components/ui/switch';
 import { Label } from '@/components/ui/label';
 import { Separator } from '@/components/ui/separator';
+import { Button } from '@/components/ui/button';
+import { Download, Pencil, Plus, Ruler, Trash2 } from 'lucide-react';
+import { downloadFile } from '@/lib/download';
 
+import { getAvailableDetectors } from '../../pitch-engine/index.js';
 import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
-import { getInstruments, getTuningsFor, getDefaultTuning } from './tunings.js';
+import {
+  CUSTOM_INSTRUMENT_PREFIX,
+  getDefaultTuning,
+  getInstruments,
+  getTuningsFor,
+  isCustomInstrument,
+} from './tunings.js';
+import TemperamentField from './TemperamentField.jsx';
+import { formatIntonationReport } from './IntonationCheck.js';
 
 const KEYS = [
   'tunerInstrument',
   'tunerTuning',
   'tunerReferenceA4',
   'tunerAutoDetect',
+  'tunerDisplay',
+  'tunerSteadyReading',
+  'tunerIntonationReports',
+  'tunerCustomInstruments',
+  'pitchDetector',
+];
+
+const DISPLAYS = [
+  { value: 'strip', label: 'Cents strip', hint: 'A needle on a ±50 cent scale, from the pitch detector.' },
+  {
+    value: 'strobe',
+    label: 'Strobe',
+    hint: 'Bands that stand still when in tune and drift sharp → or ← flat, read from the raw signal. Fine to a tenth of a cent on a sustained note.',
+  },
 ];
 
-export default function Sidebar({ settings }) {
+const DETECTORS = getAvailableDetectors();
+
+/**
+ * @param {object} props
+ * @param {SharedSettings} props.settings
+ * @param {function(string|null): void} props.onEditInstrument - Open the
+ *   tuning editor on a custom instrument's saved id, or null for a new one
+ * @param {function(): void|null} props.onStartIntonation - Open the guided
+ *   intonation check (null when the instrument has no strings)
+ */
+export default function Sidebar({ settings, onEditInstrument, onStartIntonation }) {
   const v = useSharedSettingValues(settings, KEYS);
   const instrument = v.tunerInstrument ?? 'guitar';
   const tuning = v.tunerTuning ?? 'standard';
   const referenceA4 = v.tunerReferenceA4 ?? 440;
   const autoDetect = v.tunerAutoDetect ?? true;
+  const display = v.tunerDisplay ?? 'strip';
+  const steadyReading = v.tunerSteadyReading ?? true;
+  const intonationReports = v.tunerIntonationReports ?? [];
+  const detector = v.pitchDetector ?? 'hybrid';
 
-  const instruments = getInstruments();
-  const tunings = getTuningsFor(instrument);
+  const customInstruments = v.tunerCustomInstruments;
+  const instruments = getInstruments(customInstruments);
+  const tunings = getTuningsFor(instrument, customInstruments);
+  const customId = isCustomInstrument(instrument) ? instrument.slice(CUSTOM_INSTRUMENT_PREFIX.length) : null;
 
   const handleInstrument = (val) => {
     settings.set('tunerInstrument', val);
     // Reset tuning to that instrument's default (the previous tuning id may
     // not exist in the new instrument's set).
-    const def = getDefaultTuning(val);
+    const def = getDefaultTuning(val, customInstruments);
     if (def) settings.set('tunerTuning', def);
     // Auto mode is always sane after a switch; manual selection would point
     // at a string that may not exist anymore.
@@ -54,7 +96,7 @@ export default function Sidebar({ settings }) {
           </Select>
         </Field>
 
-        {tunings.length > 1 && (
+        {(tunings.length > 1 || isCustomInstrument(instrument)) && (
           <Field label="Tuning">
             <Select
               value={tuning}
@@ -69,6 +111,47 @@ export default function Sidebar({ settings }) {
             </Select>
           </Field>
         )}
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" size="sm" onClick={() => onEditInstrument(null)} className="gap-1.5">
+            <Plus className="h-3.5 w-3.5" />
+            New instrument
+          </Button>
+          {isCustomInstrument(instrument) && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => onEditInstrument(customId)}
+              className="gap-1.5"
+            >
+              <Pencil className="h-3.5 w-3.5" />
+              Edit tunings
+            </Button>
+          )}
+        </div>
+      </Section>
+
+      <Separator />
+
+      <Section title="Display">
+        <Field hint={DISPLAYS.find((d) => d.value === display)?.hint}>
+          <div className="flex gap-1.5">
+            {DISPLAYS.map((d) => (
+              <button
+                key={d.value}
+                type="button"
+                onClick={() => settings.set('tunerDisplay', d.value)}
+                className={`flex-1 rounded-md border px-2 py-1.5 text-xs transition-colors ${
+                  display === d.value
+                    ? 'border-primary bg-primary/10 text-primary'
+                    : 'border-border text-muted-foreground hover:bg-accent'
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+        </Field>
       </Section>
 
       <Separator />
@@ -89,6 +172,39 @@ export default function Sidebar({ settings }) {
             onCheckedChange={(checked) => settings.set('tunerAutoDetect', checked)}
           />
         </div>
+
+        <div className="flex items-center justify-between rounded-md border bg-background/50 px-3 py-2">
+          <div className="flex flex-col leading-tight">
+            <Label htmlFor="tuner-steady-reading" className="text-xs font-semibold">
+              Steady reading
+            </Label>
+            <span className="text-[11px] text-muted-foreground">
+              Skip each pluck's sharp attack and show the settled pitch
+            </span>
+          </div>
+          <Switch
+            id="tuner-steady-reading"
+            checked={steadyReading}
+            onCheckedChange={(checked) => settings.set('tunerSteadyReading', checked)}
+          />
+        </div>
+
+        <Field
+          label="Algorithm"
+          hint={DETECTORS.find((d) => d.type === detector)?.description}
+        >
+          <Select
+            value={detector}
+            onValueChange={(val) => settings.set('pitchDetector', val)}
+          >
+            <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {DETECTORS.map((d) => (
+                <SelectItem key={d.type} value={d.type}>{d.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </Field>
       </Section>
 
       <Separator />
@@ -126,6 +242,75 @@ export default function Sidebar({ settings }) {
           </div>
         </Field>
       </Section>
+
+      <Separator />
+
+      <Section title="Temperament">
+        <TemperamentField settings={settings} />
+      </Section>
+
+      <Separator />
+
+      <Section title="Intonation">
+        <Field hint="Compares each string's 12th-fret note with its open note or harmonic and tells you which way to move the saddle.">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={onStartIntonation}
+            disabled={!onStartIntonation}
+            className="gap-1.5"
+          >
+            <Ruler className="h-3.5 w-3.5" />
+            Check intonation
+          </Button>
+        </Field>
+        {intonationReports.map((report) => (
+          <IntonationReportRow
+            key={report.id}
+            report={report}
+            onDelete={() =>
+              settings.set('tunerIntonationReports', intonationReports.filter((r) => r.id !== report.id))
+            }
+          />
+        ))}
+      </Section>
+    </div>
+  );
+}
+
+function IntonationReportRow({ report, onDelete }) {
+  const adjust = report.results.filter((r) => r.verdict !== 'ok').length;
+  const download = () => {
+    const date = new Date(report.savedAt).toISOString().slice(0, 10);
+    downloadFile(`intonation-${date}.txt`, formatIntonationReport(report), 'text/plain');
+  };
+
+  return (
+    <div className="flex items-center gap-1 rounded-md border bg-background/50 px-2 py-1.5 text-[11px]">
+      <span className="min-w-0 flex-1 truncate">
+        <span className="font-medium">{report.instrument}</span>
+        <span className="text-muted-foreground">
+          {' '}· {new Date(report.savedAt).toLocaleDateString()} · {adjust === 0 ? 'all OK' : `${adjust} to adjust`}
+        </span>
+      </span>
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={download}
+        aria-label="Download intonation report"
+        className="h-6 w-6 shrink-0 text-muted-foreground hover:text-foreground"
+      >
+        <Download className="h-3.5 w-3.5" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={onDelete}
+        aria-label="Delete intonation report"
+        className="h-6 w-6 shrink-0 text-muted-foreground hover:text-destructive"
+      >
+        <Trash2 className="h-3.5 w-3.5" />
+      </Button>
     </div>
   );
 }
@@ -144,7 +329,7 @@ function Section({ title, children }) {
 function Field({ label, hint, children }) {
   return (
     <div className="space-y-1">
-      <Label className="text-xs">{label}</Label>
+      {label && <Label className="text-xs">{label}</Label>}
       {children}
       {hint && <p className="text-[11px] leading-snug text-muted-foreground">{hint}</p>}
     </div>
@@ -0,0 +1,94 @@
+import { useEffect, useRef } from 'react';
+
+import { centsColor, formatFineCents } from './tunerLogic.js';
+
+// Stripe period of the fundamental's row, in px; row n repeats n times as
+// often, so in-tune partials all drift at the same speed
+const PERIOD = 48;
+
+const READOUT_CLASS = {
+  'in-tune': 'text-emerald-400',
+  close: 'text-amber-400',
+  off: 'text-rose-400',
+  muted: 'text-muted-foreground',
+};
+
+/**
+ * Strobe bands, one row per tracked harmonic. The bands stand still when
+ * the note is in tune and drift right when sharp, left when flat, at the
+ * speed of the difference. Animated straight on the DOM from a
+ * requestAnimationFrame loop — the tracker updates 20 times a second and
+ * the bands move in between, which React state would only slow down.
+ * @param {object} props
+ * @param {StrobeTracker} props.tracker - Fed by the page (tuner/strobe.js)
+ */
+export default function StrobeDisplay({ tracker }) {
+  const rowRefs = useRef([]);
+  const readoutRef = useRef(null);
+
+  useEffect(() => {
+    let raf = 0;
+    let seen = -1;
+    let stamp = 0;
+    const draw = (now) => {
+      // Wall-clock time of the tracker's latest frame
+      if (tracker.frames !== seen) {
+        seen = tracker.frames;
+        stamp = now;
+      }
+      const ahead = (now - stamp) / 1000;
+      tracker.rows.forEach((row, i) => {
+        const el = rowRefs.current[i];
+        if (!el) return;
+        const period = PERIOD / row.harmonic;
+        const offset = tracker.phaseAt(i, ahead) * period;
+        el.style.backgroundPosition = `${offset.toFixed(2)}px 0`;
+        el.style.opacity = row.locked ? String(0.35 + 0.65 * row.level) : '0.12';
+      });
+
+      const readout = readoutRef.current;
+      if (readout) {
+        const cents = tracker.unclocked ? null : tracker.getCents();
+        let text = cents == null ? '— ¢' : `${formatFineCents(cents)}¢`;
+        if (tracker.unclocked) text = 'strobe needs AudioWorklet';
+        if (readout.textContent !== text) readout.textContent = text;
+        const cls = READOUT_CLASS[centsColor(cents)];
+        if (readout.dataset.color !== cls) {
+          readout.dataset.color = cls;
+          readout.className = `font-mono text-sm tabular-nums ${cls}`;
+        }
+      }
+      raf = requestAnimationFrame(draw);
+    };
+    raf = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(raf);
+  }, [tracker]);
+
+  return (
+    <div className="w-full max-w-md">
+      <div className="space-y-1.5 rounded-md border bg-background/50 p-2">
+        {tracker.harmonics.map((harmonic, i) => (
+          <div key={harmonic} className="flex items-center gap-2">
+            <span className="w-6 shrink-0 text-right font-mono text-[10px] text-muted-foreground/70">
+              ×{harmonic}
+            </span>
+            <div
+              ref={(el) => { rowRefs.current[i] = el; }}
+              className="h-6 flex-1 rounded-sm text-foreground"
+              style={{
+                backgroundImage: 'linear-gradient(90deg, currentColor 50%, transparent 50%)',
+                backgroundSize: `${PERIOD / harmonic}px 100%`,
+                opacity: 0.12,
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="mt-1 flex items-baseline justify-between font-mono text-[10px] text-muted-foreground/70">
+        <span>◀ flat</span>
+        <span ref={readoutRef} className="font-mono text-sm tabular-nums text-muted-foreground">— ¢</span>
+        <span>sharp ▶</span>
+      </div>
+    </div>
+  );
+}
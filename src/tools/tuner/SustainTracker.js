@@ -0,0 +1,168 @@
+/**
+ * SustainTracker — attack rejection and a settled reading for the Tuner.
+ *
+ * A plucked string starts sharp: the pluck stretches it, and the pitch
+ * glides down as the swing dies away over the first couple of hundred
+ * milliseconds. A needle that follows every frame jumps around right when
+ * the player is looking at it. This tracker runs the metronome's
+ * OnsetDetector over the raw windows to find each attack, flags the frames
+ * inside the transient so the needle can skip them, and keeps a long-window
+ * estimate over the sustain that follows.
+ *
+ * The long window is a weighted mean in cents. Each frame's weight grows
+ * with how far it is past the attack (1 − e^{−t/settle}), which compensates
+ * for what's left of the glide, and with its level, so the quiet end of the
+ * decay counts for less. Frames far from the window's median are dropped as
+ * octave slips. A new attack, silence, or a jump to another note starts the
+ * window over; bowed and sung notes with no attack to find are weighted by
+ * level alone.
+ */
+
+import { OnsetDetector } from '../metronome/OnsetDetector.js';
+
+export const SustainPhase = {
+  SILENT: 'silent',
+  ATTACK: 'attack',   // inside the transient after an onset
+  SUSTAIN: 'sustain',
+};
+
+// The onset detector is fed in MicListener-sized blocks so a second attack
+// within one hop isn't hidden behind the first
+const ONSET_BLOCK = 1024;
+// A frame this far from the window's median is a different note
+const NOTE_JUMP_CENTS = 50;
+// Frames this far from the median are left out of the estimate
+const OUTLIER_CENTS = 15;
+
+export class SustainTracker {
+  /**
+   * @param {object} options
+   * @param {number} options.attackMs - Transient after an onset that's ignored (default: 200)
+   * @param {number} options.settleMs - Time constant of the post-attack weighting (default: 150)
+   * @param {number} options.windowMs - Length of the long window (default: 1500)
+   * @param {number} options.minFrames - Sustain frames before there's a reading (default: 8)
+   * @param {object} options.onset - OnsetDetector options
+   */
+  constructor(options = {}) {
+    this.attackMs = options.attackMs ?? 200;
+    this.settleMs = options.settleMs ?? 150;
+    this.windowMs = options.windowMs ?? 1500;
+    this.minFrames = options.minFrames ?? 8;
+    this.onsets = new OnsetDetector(options.onset);
+
+    this.phase = SustainPhase.SILENT;
+    this.onsetTime = null; // seconds on the sample clock, null = none heard
+    this.frequency = null; // latest frame outside the transient
+    this.points = [];      // { time, cents, weight } of the current sustain
+    this._lastEnd = null;
+  }
+
+  reset() {
+    this.onsets.reset();
+    this.phase = SustainPhase.SILENT;
+    this.onsetTime = null;
+    this.frequency = null;
+    this.points = [];
+    this._lastEnd = null;
+  }
+
+  /**
+   * Feed one signal frame from PitchContext.subscribeSignal
+   * @param {object} frame - { buffer, sampleRate, endSample, frequency, rms }
+   * @returns {object} getState()
+   */
+  push({ buffer, sampleRate, endSample, frequency, rms }) {
+    if (!buffer || !Number.isFinite(endSample)) return this.getState();
+    const end = endSample / sampleRate;
+
+    // Only the samples this window adds; the windows overlap
+    const fresh = this._lastEnd == null || endSample <= this._lastEnd
+      ? buffer.length
+      : Math.min(buffer.length, endSample - this._lastEnd);
+    this._lastEnd = endSample;
+    const onset = this._detect(buffer.subarray(buffer.length - fresh), end, sampleRate);
+    if (onset) {
+      this.onsetTime = onset.time;
+      this.points = [];
+    }
+
+    if (!frequency) {
+      this.phase = SustainPhase.SILENT;
+      this.frequency = null;
+      this.points = [];
+      return this.getState();
+    }
+
+    const sinceOnset = this.onsetTime == null ? Infinity : (end - this.onsetTime) * 1000;
+    if (sinceOnset < this.attackMs) {
+      this.phase = SustainPhase.ATTACK;
+      return this.getState();
+    }
+
+    const cents = 1200 * Math.log2(frequency / 440);
+    if (this.points.length && Math.abs(cents - this._median()) > NOTE_JUMP_CENTS) this.points = [];
+
+    const settle = 1 - Math.exp(-(sinceOnset - this.attackMs) / this.settleMs);
+    // Fall back to an even weight when the level isn't known
+    const weight = (Number.isFinite(settle) ? settle : 1) * (rms > 0 ? rms : 1);
+    this.points.push({ time: end, cents, weight });
+    const cutoff = end - this.windowMs / 1000;
+    while (this.points[0].time < cutoff) this.points.shift();
+
+    this.phase = SustainPhase.SUSTAIN;
+    this.frequency = frequency;
+    return this.getState();
+  }
+
+  /**
+   * Long-window frequency over the current sustain
+   * @returns {number|null} Hz, null until `minFrames` sustain frames are in
+   */
+  getStableFrequency() {
+    if (this.points.length < this.minFrames) return null;
+    const median = this._median();
+    let sum = 0;
+    let weights = 0;
+    for (const p of this.points) {
+      if (Math.abs(p.cents - median) > OUTLIER_CENTS) continue;
+      sum += p.cents * p.weight;
+      weights += p.weight;
+    }
+    if (weights <= 0) return null;
+    return 440 * 2 ** (sum / weights / 1200);
+  }
+
+  /**
+   * Snapshot for rendering
+   */
+  getState() {
+    return {
+      phase: this.phase,
+      frequency: this.frequency,
+      stableFrequency: this.getStableFrequency(),
+      sustainFrames: this.points.length,
+    };
+  }
+
+  // ────────────────────────────────────────────────────────────────────
+  // Internals
+  // ────────────────────────────────────────────────────────────────────
+
+  /** Latest onset within `samples`, which end at `end` seconds */
+  _detect(samples, end, sampleRate) {
+    let latest = null;
+    for (let start = 0; start < samples.length; start += ONSET_BLOCK) {
+      const stop = Math.min(start + ONSET_BLOCK, samples.length);
+      const blockEnd = end - (samples.length - stop) / sampleRate;
+      const onset = this.onsets.process(samples.subarray(start, stop), blockEnd, sampleRate);
+      if (onset) latest = onset;
+    }
+    return latest;
+  }
+
+  _median() {
+    const sorted = this.points.map((p) => p.cents).sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+}
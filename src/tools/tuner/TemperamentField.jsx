@@ -0,0 +1,212 @@
+import { useMemo, useRef, useState } from 'react';
+import { FileUp, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  TEMPERAMENTS,
+  Temperament,
+  TemperamentType,
+  presetOffsets,
+  temperamentFromSettings,
+} from '@/core';
+import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
+
+const KEYS = ['temperament', 'temperamentTonic', 'temperamentOffsets', 'temperamentScala'];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const SYSTEMS = [
+  ...Object.entries(TEMPERAMENTS).map(([value, t]) => ({ value, label: t.label, description: t.description })),
+  {
+    value: TemperamentType.CUSTOM,
+    label: 'Custom offsets',
+    description: 'Your own table: cents sharp (+) or flat (−) of equal temperament for each note.',
+  },
+  {
+    value: TemperamentType.SCALA,
+    label: 'Scala file',
+    description: 'Any scale from a .scl file, with an optional .kbm keyboard mapping.',
+  },
+];
+
+const INPUT_CLASS =
+  'h-8 w-full min-w-0 rounded-md border border-input bg-background px-1.5 text-xs font-mono';
+
+/**
+ * Temperament picker, shared by the Tuner and Vocal Monitor sidebars (the
+ * setting is shared too): a built-in system and its tonic, a custom
+ * cent-offset table, or an imported Scala scale.
+ * @param {object} props
+ * @param {SharedSettings} props.settings
+ */
+export default function TemperamentField({ settings }) {
+  const v = useSharedSettingValues(settings, KEYS);
+  const type = v.temperament ?? TemperamentType.EQUAL;
+  const tonic = v.temperamentTonic ?? 'C';
+  const offsets = v.temperamentOffsets ?? presetOffsets(TemperamentType.EQUAL);
+  const scala = v.temperamentScala;
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const temperament = useMemo(
+    () => temperamentFromSettings(v),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [v.temperament, v.temperamentTonic, v.temperamentOffsets, v.temperamentScala]
+  );
+
+  const hasTonic = type in TEMPERAMENTS
+    ? type !== TemperamentType.EQUAL
+    : type === TemperamentType.SCALA && scala && !scala.kbm;
+
+  const setOffset = (i, value) => {
+    if (!Number.isFinite(value)) return;
+    settings.set('temperamentOffsets', offsets.map((c, j) => (j === i ? value : c)));
+  };
+
+  // A .scl and/or .kbm: a new .scl drops the old mapping, a lone .kbm
+  // re-maps the scale already loaded
+  const handleFiles = async (fileList) => {
+    const files = [...fileList];
+    const sclFile = files.find((f) => /\.scl$/i.test(f.name));
+    const kbmFile = files.find((f) => /\.kbm$/i.test(f.name));
+    const next = {
+      name: sclFile?.name.replace(/\.scl$/i, '') ?? scala?.name ?? '',
+      scl: sclFile ? await sclFile.text() : scala?.scl,
+      kbm: kbmFile ? await kbmFile.text() : (sclFile ? null : scala?.kbm ?? null),
+    };
+    if (!next.scl) {
+      setError('Choose a .scl scale file (and optionally a .kbm keyboard mapping).');
+      return;
+    }
+    try {
+      Temperament.fromScala(next.scl, next.kbm);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    setError(null);
+    settings.setMultiple({ temperamentScala: next, temperament: TemperamentType.SCALA });
+  };
+
+  return (
+    <div className="space-y-2">
+      <SmallField label="System" hint={SYSTEMS.find((s) => s.value === type)?.description}>
+        <Select value={type} onValueChange={(val) => settings.set('temperament', val)}>
+          <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            {SYSTEMS.map((s) => <SelectItem key={s.value} value={s.value}>{s.label}</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </SmallField>
+
+      {hasTonic && (
+        <SmallField label="Built on">
+          <Select value={tonic} onValueChange={(val) => settings.set('temperamentTonic', val)}>
+            <SelectTrigger className="h-9"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {NOTE_NAMES.map((n) => <SelectItem key={n} value={n}>{n}</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </SmallField>
+      )}
+
+      {type === TemperamentType.CUSTOM && (
+        <SmallField label="Cents from equal temperament">
+          <div className="grid grid-cols-4 gap-1">
+            {NOTE_NAMES.map((n, i) => (
+              <label key={n} className="flex items-center gap-1">
+                <span className="w-5 shrink-0 text-right font-mono text-[11px] text-muted-foreground">{n}</span>
+                <input
+                  type="number"
+                  min={-100}
+                  max={100}
+                  step={0.1}
+                  value={offsets[i] ?? 0}
+                  onChange={(e) => setOffset(i, e.target.valueAsNumber)}
+                  aria-label={`${n} offset in cents`}
+                  className={INPUT_CLASS}
+                />
+              </label>
+            ))}
+          </div>
+          <Select
+            value=""
+            onValueChange={(key) => settings.set('temperamentOffsets', presetOffsets(key, NOTE_NAMES.indexOf(tonic)))}
+          >
+            <SelectTrigger className="h-8 text-xs"><SelectValue placeholder={`Copy a built-in system (on ${tonic})…`} /></SelectTrigger>
+            <SelectContent>
+              {Object.entries(TEMPERAMENTS).map(([key, t]) => <SelectItem key={key} value={key}>{t.label}</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </SmallField>
+      )}
+
+      {type === TemperamentType.SCALA && (
+        <div className="space-y-1.5">
+          {scala?.scl && (
+            <div className="flex items-center gap-1 rounded-md border bg-background/50 px-2 py-1.5 text-[11px]">
+              <span className="min-w-0 flex-1 truncate">
+                <span className="font-medium">{scala.name || temperament.name || 'Scala scale'}</span>
+                <span className="text-muted-foreground">
+                  {' '}· {temperament.steps} notes per {Math.round(temperament.period * 10) / 10}¢
+                  {scala.kbm ? ' · mapped' : ''}
+                </span>
+              </span>
+              {scala.kbm && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => settings.set('temperamentScala', { ...scala, kbm: null })}
+                  aria-label="Remove keyboard mapping"
+                  className="h-6 w-6 shrink-0 text-muted-foreground hover:text-foreground"
+                >
+                  <X className="h-3.5 w-3.5" />
+                </Button>
+              )}
+            </div>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => fileInputRef.current?.click()}
+            className="gap-1.5"
+          >
+            <FileUp className="h-3.5 w-3.5" />
+            {scala?.scl ? 'Load other files' : 'Load .scl / .kbm'}
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".scl,.kbm"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              const files = e.target.files;
+              e.target.value = '';
+              if (files?.length) handleFiles(files).catch((err) => setError(err.message));
+            }}
+          />
+          {error && <p className="text-[11px] leading-snug text-destructive">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SmallField({ label, hint, children }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs">{label}</Label>
+      {children}
+      {hint && <p className="text-[11px] leading-snug text-muted-foreground">{hint}</p>}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
-import { ChevronsLeft, ChevronsRight, Settings2 } from 'lucide-react';
+import { ChevronsLeft, ChevronsRight, Ruler, Settings2 } from 'lucide-react';
 
-import { SharedSettings, PitchContext } from '@/core';
+import { SharedSettings, PitchContext, PracticeLog, temperamentFromSettings } from '@/core';
 import { Button } from '@/components/ui/button';
 import {
   Sheet,
@@ -19,10 +19,21 @@ import {
   tuningStatus,
   IN_TUNE_CENTS,
 } from './tunerLogic.js';
-import { getStrings, isChromatic } from './tunings.js';
+import {
+  customInstrumentId,
+  getInstruments,
+  getStrings,
+  getTuningsFor,
+  isChromatic,
+} from './tunings.js';
+import { StrobeTracker } from './strobe.js';
+import { SustainPhase, SustainTracker } from './SustainTracker.js';
+import { IntonationCheck } from './IntonationCheck.js';
+import IntonationPanel from './IntonationPanel.jsx';
 import TunerVisualizer from './TunerVisualizer.jsx';
 import StringRow from './StringRow.jsx';
 import Sidebar from './Sidebar.jsx';
+import TuningEditor from './TuningEditor.jsx';
 import { useSharedSettingValues } from '../vocal-monitor/useSharedSettings.js';
 
 const SETTINGS_KEYS = [
@@ -32,14 +43,28 @@ const SETTINGS_KEYS = [
   'tunerAutoDetect',
   'tunerSelectedString',
   'settingsCollapsed',
+  'pitchDetector',
+  'tunerCustomInstruments',
+  'tunerDisplay',
+  'tunerSteadyReading',
+  'tunerIntonationReports',
+  'temperament',
+  'temperamentTonic',
+  'temperamentOffsets',
+  'temperamentScala',
 ];
 
 // How many consecutive "in-tune" frames before we stamp a string as tuned.
 // At ~50ms/frame this is about 0.5s of stable detection.
 const IN_TUNE_STREAK = 10;
+// Shorter sessions (opening the page by mistake) stay out of the practice log
+const MIN_LOGGED_SESSION_MS = 10_000;
+// Saved intonation reports kept, newest first
+const MAX_INTONATION_REPORTS = 20;
 
 export default function TunerPage() {
   const settings = useMemo(() => new SharedSettings(), []);
+  const practiceLog = useMemo(() => new PracticeLog(), []);
   const v = useSharedSettingValues(settings, SETTINGS_KEYS);
 
   const instrument = v.tunerInstrument ?? 'guitar';
@@ -48,10 +73,21 @@ export default function TunerPage() {
   const autoDetect = v.tunerAutoDetect ?? true;
   const selectedString = v.tunerSelectedString ?? 0;
   const sidebarCollapsed = !!v.settingsCollapsed;
+  const pitchDetector = v.pitchDetector ?? 'hybrid';
+  const customInstruments = v.tunerCustomInstruments ?? [];
+  const display = v.tunerDisplay ?? 'strip';
+  const steadyReading = v.tunerSteadyReading ?? true;
+  const intonationReports = v.tunerIntonationReports ?? [];
+
+  const temperament = useMemo(
+    () => temperamentFromSettings(v, referenceA4),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [v.temperament, v.temperamentTonic, v.temperamentOffsets, v.temperamentScala, referenceA4]
+  );
 
   const strings = useMemo(
-    () => getStrings(instrument, tuning, referenceA4),
-    [instrument, tuning, referenceA4]
+    () => getStrings(instrument, tuning, referenceA4, temperament, v.tunerCustomInstruments),
+    [instrument, tuning, referenceA4, temperament, v.tunerCustomInstruments]
   );
   const chromatic = isChromatic(instrument);
 
@@ -75,8 +111,10 @@ export default function TunerPage() {
     return { freq, tuned };
   }, []);
 
-  // Pitch detection
+  // Pitch detection. The context is also kept in state so subscriptions
+  // follow it when it's recreated.
   const pitchContextRef = useRef(null);
+  const [pitchContext, setPitchContext] = useState(null);
   const [isRecording, setIsRecording] = useState(!!demo);
   const [starting, setStarting] = useState(false);
   const [error, setError] = useState(null);
@@ -89,16 +127,29 @@ export default function TunerPage() {
   // since the session started. Cleared on Stop or when the tuning changes.
   const [tunedSet, setTunedSet] = useState(() => (demo ? demo.tuned : new Set()));
   const streakRef = useRef({ index: -1, count: 0 });
+  // Practice-log tallies for the current mic session (null in demo mode)
+  const sessionRef = useRef(null);
+  // Strobe display state, fed straight from the raw windows
+  const strobe = useMemo(() => new StrobeTracker(), []);
+  // Attack rejection + the long-window reading over each note's sustain
+  const sustain = useMemo(() => new SustainTracker(), []);
+  const [stableFrequency, setStableFrequency] = useState(null);
+  // Guided intonation check (IntonationCheck) while one is open
+  const intonationRef = useRef(null);
+  const [intonation, setIntonation] = useState(null);
+  const [intonationSavedAs, setIntonationSavedAs] = useState(null);
 
   // UI state
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  // { instrument } while the tuning editor is open (instrument null = new)
+  const [instrumentEditor, setInstrumentEditor] = useState(null);
 
   useWakeLock(isRecording);
 
   useEffect(() => {
     trackEvent('tool_open', { tool: 'tuner' });
     const ctx = new PitchContext({
-      detector: 'hybrid',     // No model load — fast start, plenty accurate for monophonic strings
+      detector: settings.get('pitchDetector'), // shared with the vocal monitor
       updateInterval: 50,
       threshold: 0.0001,
       bufferSize: 4096,
@@ -108,6 +159,7 @@ export default function TunerPage() {
       enableVocalAnalysis: false,
     });
     pitchContextRef.current = ctx;
+    setPitchContext(ctx);
 
     // Auto-start the moment the page mounts. Demo mode skips this so it
     // can render synthetic readings without the mic. iOS Safari requires a
@@ -135,27 +187,95 @@ export default function TunerPage() {
       cancelled = true;
       ctx.dispose?.();
       pitchContextRef.current = null;
+      setPitchContext(null);
+    };
+  }, [demo, settings]);
+
+  // One practice-log entry per mic session, written when the page closes.
+  // Instrument and tuning are read at the end — the last one used is what
+  // the session was for.
+  useEffect(() => {
+    if (!isRecording || demo) return;
+    const session = { startedAt: Date.now(), stringsTuned: 0, readings: 0, absCentsSum: 0 };
+    sessionRef.current = session;
+    return () => {
+      sessionRef.current = null;
+      const durationMs = Date.now() - session.startedAt;
+      if (durationMs < MIN_LOGGED_SESSION_MS) return;
+      practiceLog.add({
+        tool: 'tuner',
+        startedAt: session.startedAt,
+        durationMs,
+        instrument: settings.get('tunerInstrument'),
+        // Custom instruments are logged by name; the id means nothing once deleted
+        instrumentName: getInstruments(settings.get('tunerCustomInstruments'))
+          .find((i) => i.custom && i.id === settings.get('tunerInstrument'))?.label,
+        tuning: settings.get('tunerTuning'),
+        referenceA4: settings.get('tunerReferenceA4'),
+        stringsTuned: session.stringsTuned,
+        avgAbsCents: session.readings > 0
+          ? Math.round(session.absCentsSum / session.readings)
+          : null,
+      }).catch((e) => console.error('Failed to log tuner session:', e));
     };
-  }, [demo]);
+  }, [isRecording, demo, practiceLog, settings]);
+
+  // Swap the algorithm live when it changes in settings
+  useEffect(() => {
+    pitchContextRef.current?.setDetectorType(pitchDetector).catch((e) =>
+      console.error('Failed to switch pitch detector:', e)
+    );
+  }, [pitchDetector]);
 
   // Reset the "tuned" set whenever the tuning shape changes — old indices no
   // longer point at the same notes. We compare against the previous combo
   // (rather than an "is-first-mount" boolean) so React 18 strict-mode's
   // double effect run doesn't wipe the initial state on the second pass.
-  const lastTuningRef = useRef(`${instrument}|${tuning}|${referenceA4}`);
+  // The targets are part of the key since a custom tuning can be edited in
+  // place and a new temperament moves them without changing the notes.
+  const tuningKey = `${instrument}|${tuning}|${referenceA4}|${strings.map((s) => s.frequency.toFixed(2)).join(',')}`;
+  const lastTuningRef = useRef(tuningKey);
   useEffect(() => {
-    const key = `${instrument}|${tuning}|${referenceA4}`;
-    if (lastTuningRef.current === key) return;
-    lastTuningRef.current = key;
+    if (lastTuningRef.current === tuningKey) return;
+    lastTuningRef.current = tuningKey;
     setTunedSet(new Set());
     streakRef.current = { index: -1, count: 0 };
-  }, [instrument, tuning, referenceA4]);
+    intonationRef.current?.setStrings(strings);
+  }, [tuningKey, strings]);
+
+  // Chromatic mode has no strings to check
+  useEffect(() => {
+    if (chromatic) closeIntonation();
+  }, [chromatic]);
+
+  // With the steady reading on, raw windows go through the sustain tracker.
+  // The detector hands each window to signal subscribers before the pitch
+  // frame it produced, so the pitch subscription below already knows
+  // whether it's inside an attack. Off, the tracker sits reset (silent) and
+  // the needle follows every frame.
+  useEffect(() => {
+    if (!pitchContext || !steadyReading) return;
+    sustain.reset();
+    const unsubscribe = pitchContext.subscribeSignal((frame) => {
+      setStableFrequency(sustain.push(frame).stableFrequency);
+    });
+    return () => {
+      unsubscribe();
+      sustain.reset();
+      setStableFrequency(null);
+    };
+  }, [pitchContext, steadyReading, sustain]);
 
   // Subscribe to pitch updates while recording
   useEffect(() => {
-    const ctx = pitchContextRef.current;
+    const ctx = pitchContext;
     if (!ctx) return;
     return ctx.subscribe((pitchData) => {
+      // The intonation check waits for steady runs itself, and needs the
+      // level jump of each pluck to re-arm
+      intonationRef.current?.handleReading(pitchData);
+      // Hold the needle through the pluck's transient
+      if (pitchData && sustain.phase === SustainPhase.ATTACK) return;
       if (!pitchData) {
         setReading(null);
         streakRef.current = { index: -1, count: 0 };
@@ -167,13 +287,24 @@ export default function TunerPage() {
         timestamp: pitchData.timestamp,
       });
     });
-  }, []);
+  }, [pitchContext, sustain]);
 
   // Compute the active string + cents from the reading.
   const view = useMemo(() => {
     const freq = reading?.frequency ?? null;
+    if (intonation && !intonation.done) {
+      // Show the note the intonation check is asking for
+      const match = findClosestString(freq, intonation.target);
+      const target = match?.string ?? intonation.target[0];
+      return {
+        noteName: target.noteName,
+        cents: match?.cents ?? null,
+        targetFrequency: target.frequency,
+        activeIndex: -1,
+      };
+    }
     if (chromatic) {
-      const snap = freq ? nearestSemitone(freq, referenceA4) : null;
+      const snap = freq ? nearestSemitone(freq, referenceA4, temperament) : null;
       return {
         noteName: snap?.noteName ?? '—',
         cents: snap?.cents ?? null,
@@ -200,10 +331,41 @@ export default function TunerPage() {
       targetFrequency: target?.frequency ?? null,
       activeIndex: target ? selectedString : -1,
     };
-  }, [reading, strings, autoDetect, selectedString, referenceA4, chromatic]);
+  }, [reading, strings, autoDetect, selectedString, referenceA4, temperament, chromatic, intonation]);
 
   const status = tuningStatus(view.cents);
 
+  // The settled reading against the same target; a sustain left over from
+  // another string or note isn't shown
+  const stableCents = useMemo(() => {
+    if (!stableFrequency || !view.targetFrequency) return null;
+    const c = centsBetween(stableFrequency, view.targetFrequency);
+    return Math.abs(c) <= 50 ? c : null;
+  }, [stableFrequency, view.targetFrequency]);
+
+  // The strobe needs the raw windows too. PitchContext copies them off the
+  // audio thread only while something subscribes: the strobe while it's
+  // showing, the sustain tracker while the steady reading is on.
+  useEffect(() => {
+    if (!pitchContext || display !== 'strobe') return;
+    strobe.reset();
+    return pitchContext.subscribeSignal((frame) => strobe.push(frame));
+  }, [pitchContext, display, strobe]);
+
+  // Point the strobe at the current target. A dropout (null target) keeps
+  // the last one so the bands pick up where they left off.
+  useEffect(() => {
+    if (view.targetFrequency) strobe.setTarget(view.targetFrequency);
+  }, [view.targetFrequency, strobe]);
+
+  // How close the readings sat to their target, for the practice log
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (!session || view.cents == null) return;
+    session.readings += 1;
+    session.absCentsSum += Math.abs(view.cents);
+  }, [view.cents, reading]);
+
   // Streak tracking — accumulates "in tune" frames per active string and
   // marks the string as tuned in the tunedSet.
   useEffect(() => {
@@ -225,6 +387,7 @@ export default function TunerPage() {
     }
     s.count += 1;
     if (s.count === IN_TUNE_STREAK && !tunedSet.has(idx)) {
+      if (sessionRef.current) sessionRef.current.stringsTuned += 1;
       setTunedSet((prev) => {
         const next = new Set(prev);
         next.add(idx);
@@ -255,11 +418,79 @@ export default function TunerPage() {
     }
   };
 
+  function closeIntonation() {
+    intonationRef.current = null;
+    setIntonation(null);
+    setIntonationSavedAs(null);
+  }
+
+  const handleStartIntonation = () => {
+    intonationRef.current = new IntonationCheck({ strings, onChange: setIntonation });
+    setIntonation(intonationRef.current.getState());
+    setIntonationSavedAs(null);
+    setSidebarOpen(false);
+    trackEvent('tuner_intonation_start', { strings: strings.length });
+  };
+
+  const handleSaveIntonation = () => {
+    const check = intonationRef.current;
+    if (!check) return;
+    const results = check.getReport();
+    const report = {
+      id: Date.now().toString(36),
+      savedAt: Date.now(),
+      // Labels, not ids: the report outlives a deleted custom instrument
+      instrument: getInstruments(customInstruments).find((i) => i.id === instrument)?.label ?? instrument,
+      tuning: getTuningsFor(instrument, customInstruments).find((t) => t.id === tuning)?.label ?? null,
+      results,
+    };
+    settings.set('tunerIntonationReports', [report, ...intonationReports].slice(0, MAX_INTONATION_REPORTS));
+    setIntonationSavedAs(JSON.stringify(intonation.results));
+    trackEvent('tuner_intonation_saved', {
+      strings: results.length,
+      adjust: results.filter((r) => r.verdict !== 'ok').length,
+    });
+  };
+
   const handleStringSelect = (idx) => {
     settings.set('tunerSelectedString', idx);
     settings.set('tunerAutoDetect', false);
   };
 
+  const handleEditInstrument = (id) => {
+    setInstrumentEditor({ instrument: customInstruments.find((i) => i.id === id) ?? null });
+    setSidebarOpen(false);
+  };
+
+  // Saving selects the instrument, keeping the current tuning if it survived
+  const handleSaveInstrument = (next) => {
+    const exists = customInstruments.some((i) => i.id === next.id);
+    settings.set(
+      'tunerCustomInstruments',
+      exists ? customInstruments.map((i) => (i.id === next.id ? next : i)) : [...customInstruments, next]
+    );
+    const id = customInstrumentId(next.id);
+    const keep = instrument === id && next.tunings.some((t) => t.id === tuning);
+    settings.set('tunerInstrument', id);
+    if (!keep) settings.set('tunerTuning', next.tunings[0].id);
+    settings.set('tunerSelectedString', 0);
+    setInstrumentEditor(null);
+    trackEvent('tuner_instrument_saved', {
+      tunings: next.tunings.length,
+      strings: next.tunings[0].midi.length,
+    });
+  };
+
+  const handleDeleteInstrument = (id) => {
+    if (instrument === customInstrumentId(id)) {
+      settings.set('tunerInstrument', 'guitar');
+      settings.set('tunerTuning', 'standard');
+      settings.set('tunerSelectedString', 0);
+    }
+    settings.set('tunerCustomInstruments', customInstruments.filter((i) => i.id !== id));
+    setInstrumentEditor(null);
+  };
+
   return (
     <div className="relative flex h-full">
       {/* Floating mobile-only Settings button (matches Circle of Fifths) */}
@@ -290,12 +521,27 @@ export default function TunerPage() {
           <TunerVisualizer
             noteName={view.noteName}
             cents={view.cents}
+            stableCents={stableCents}
             frequency={reading?.frequency ?? null}
             targetFrequency={view.targetFrequency}
             status={status}
+            display={display}
+            strobe={strobe}
           />
 
-          {!chromatic && strings.length > 0 && (
+          {intonation && (
+            <IntonationPanel
+              state={intonation}
+              onSelectString={(i) => intonationRef.current?.selectString(i)}
+              onRedo={() => intonationRef.current?.redo()}
+              onSkip={() => intonationRef.current?.skip()}
+              onSave={handleSaveIntonation}
+              saved={intonationSavedAs === JSON.stringify(intonation.results)}
+              onExit={closeIntonation}
+            />
+          )}
+
+          {!intonation && !chromatic && strings.length > 0 && (
             <div className="flex w-full flex-col items-center gap-3">
               <StringRow
                 strings={strings}
@@ -311,6 +557,10 @@ export default function TunerPage() {
                   ? 'Auto-detect on — play any string and it will snap to the closest target.'
                   : 'Manual mode — pick a string above; auto-detect re-engages from settings.'}
               </p>
+              <Button variant="ghost" size="sm" onClick={handleStartIntonation} className="gap-1.5 text-muted-foreground">
+                <Ruler className="h-3.5 w-3.5" />
+                Check intonation
+              </Button>
             </div>
           )}
         </div>
@@ -343,7 +593,11 @@ export default function TunerPage() {
             </Button>
           </div>
           <div className="px-4 pb-4">
-            <Sidebar settings={settings} />
+            <Sidebar
+              settings={settings}
+              onEditInstrument={handleEditInstrument}
+              onStartIntonation={chromatic ? null : handleStartIntonation}
+            />
           </div>
         </aside>
       )}
@@ -355,7 +609,32 @@ export default function TunerPage() {
             <SheetTitle>Settings</SheetTitle>
           </SheetHeader>
           <div className="mt-4">
-            <Sidebar settings={settings} />
+            <Sidebar
+              settings={settings}
+              onEditInstrument={handleEditInstrument}
+              onStartIntonation={chromatic ? null : handleStartIntonation}
+            />
+          </div>
+        </SheetContent>
+      </Sheet>
+
+      {/* Tuning editor */}
+      <Sheet open={!!instrumentEditor} onOpenChange={(open) => !open && setInstrumentEditor(null)}>
+        <SheetContent side="right" className="no-scrollbar w-full overflow-y-auto sm:max-w-md">
+          <SheetHeader>
+            <SheetTitle>{instrumentEditor?.instrument ? 'Edit instrument' : 'New instrument'}</SheetTitle>
+          </SheetHeader>
+          <div className="mt-4">
+            {instrumentEditor && (
+              <TuningEditor
+                key={instrumentEditor.instrument?.id ?? 'new'}
+                instrument={instrumentEditor.instrument}
+                referenceA4={referenceA4}
+                onSave={handleSaveInstrument}
+                onDelete={handleDeleteInstrument}
+                onCancel={() => setInstrumentEditor(null)}
+              />
+            )}
           </div>
         </SheetContent>
       </Sheet>
@@ -3,23 +3,30 @@ import { useMemo } from 'react';
 import {
   centsColor,
   centsToStripPosition,
+  formatFineCents,
   splitNoteName,
   tuningStatus,
   IN_TUNE_CENTS,
 } from './tunerLogic.js';
+import StrobeDisplay from './StrobeDisplay.jsx';
 
 /**
- * Big note display + cents strip + status word. The "active" reading is
- * either the closest-string match (auto mode) or the user-selected target
- * (manual mode). When there's no signal we render placeholder dashes so the
- * layout doesn't jump.
+ * Big note display + cents strip (or strobe bands) + status word. The
+ * "active" reading is either the closest-string match (auto mode) or the
+ * user-selected target (manual mode). When there's no signal we render
+ * placeholder dashes so the layout doesn't jump. Once a note has rung for
+ * a moment, the settled long-window reading (SustainTracker) is shown next
+ * to the fast one, as a hollow marker on the strip.
  */
 export default function TunerVisualizer({
   noteName,         // e.g. "D3" — the target note (the string we're tuning, or chromatic snap)
   cents,            // signed cents from target (null = no signal)
+  stableCents = null, // settled cents over the note's sustain (null = not yet)
   frequency,        // current detected frequency (Hz) or null
   targetFrequency,  // target frequency (Hz) or null
   status,           // 'silent' | 'low' | 'in-tune' | 'high'
+  display = 'strip', // 'strip' | 'strobe'
+  strobe = null,    // StrobeTracker for the strobe display
 }) {
   const { letter, octave } = splitNoteName(noteName);
   const colorClass = useMemo(() => {
@@ -30,9 +37,6 @@ export default function TunerVisualizer({
     return 'text-muted-foreground';
   }, [cents]);
 
-  const stripPos = centsToStripPosition(cents);
-  const stripBgPercent = `${(stripPos * 100).toFixed(2)}%`;
-
   // Resolved status text. The tuner auto-starts on mount, so before the
   // first reading we show the same calm "Listening…" placeholder we use
   // for the silent-but-recording state.
@@ -70,6 +74,11 @@ export default function TunerVisualizer({
         </span>
         <span className="font-mono text-sm text-muted-foreground tabular-nums">
           {cents != null ? formatCents(cents) : '— cents'}
+          {stableCents != null && (
+            <span className={stableColorClass(stableCents)}>
+              {'  ·  '}steady {formatFineCents(stableCents)}¢
+            </span>
+          )}
           {frequency != null && targetFrequency != null && (
             <>
               {'  ·  '}
@@ -83,49 +92,67 @@ export default function TunerVisualizer({
         </span>
       </div>
 
-      {/* Cents strip */}
-      <div className="w-full max-w-md">
-        <div className="relative h-7">
-          {/* Tick marks at -50 / -25 / 0 / +25 / +50 */}
-          <div className="absolute inset-0 flex items-center">
-            {[-50, -25, 0, 25, 50].map((c) => {
-              const left = `${((c + 50) / 100) * 100}%`;
-              const isCenter = c === 0;
-              return (
-                <span
-                  key={c}
-                  className={`absolute top-0 h-full w-px ${isCenter ? 'bg-foreground/40' : 'bg-border'}`}
-                  style={{ left }}
-                />
-              );
-            })}
-          </div>
-
-          {/* In-tune band — thin green stripe ±IN_TUNE_CENTS */}
-          <div
-            className="absolute top-1/2 h-2 -translate-y-1/2 rounded-full bg-emerald-500/15"
-            style={{
-              left: `${(50 - IN_TUNE_CENTS)}%`,
-              width: `${IN_TUNE_CENTS * 2}%`,
-            }}
-          />
+      {display === 'strobe' && strobe
+        ? <StrobeDisplay tracker={strobe} />
+        : <CentsStrip cents={cents} stableCents={stableCents} />}
+    </div>
+  );
+}
 
-          {/* Track */}
-          <div className="absolute top-1/2 left-0 h-px w-full -translate-y-1/2 bg-border" />
+function CentsStrip({ cents, stableCents }) {
+  const stripPos = centsToStripPosition(cents);
+  const stripBgPercent = `${(stripPos * 100).toFixed(2)}%`;
 
-          {/* Marker */}
-          {cents != null && (
-            <div
-              className={`absolute top-0 h-full w-1.5 -translate-x-1/2 rounded-full ${markerBgClass(cents)}`}
-              style={{ left: stripBgPercent, transition: 'left 0.08s linear' }}
-            />
-          )}
-        </div>
-        <div className="mt-1 flex justify-between font-mono text-[10px] text-muted-foreground/70">
-          <span>-50¢</span>
-          <span>0</span>
-          <span>+50¢</span>
+  return (
+    <div className="w-full max-w-md">
+      <div className="relative h-7">
+        {/* Tick marks at -50 / -25 / 0 / +25 / +50 */}
+        <div className="absolute inset-0 flex items-center">
+          {[-50, -25, 0, 25, 50].map((c) => {
+            const left = `${((c + 50) / 100) * 100}%`;
+            const isCenter = c === 0;
+            return (
+              <span
+                key={c}
+                className={`absolute top-0 h-full w-px ${isCenter ? 'bg-foreground/40' : 'bg-border'}`}
+                style={{ left }}
+              />
+            );
+          })}
         </div>
+
+        {/* In-tune band — thin green stripe ±IN_TUNE_CENTS */}
+        <div
+          className="absolute top-1/2 h-2 -translate-y-1/2 rounded-full bg-emerald-500/15"
+          style={{
+            left: `${(50 - IN_TUNE_CENTS)}%`,
+            width: `${IN_TUNE_CENTS * 2}%`,
+          }}
+        />
+
+        {/* Track */}
+        <div className="absolute top-1/2 left-0 h-px w-full -translate-y-1/2 bg-border" />
+
+        {/* Settled reading */}
+        {stableCents != null && (
+          <div
+            className={`absolute top-1/2 h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 ${stableBorderClass(stableCents)}`}
+            style={{ left: `${(centsToStripPosition(stableCents) * 100).toFixed(2)}%`, transition: 'left 0.2s ease-out' }}
+          />
+        )}
+
+        {/* Marker */}
+        {cents != null && (
+          <div
+            className={`absolute top-0 h-full w-1.5 -translate-x-1/2 rounded-full ${markerBgClass(cents)}`}
+            style={{ left: stripBgPercent, transition: 'left 0.08s linear' }}
+          />
+        )}
+      </div>
+      <div className="mt-1 flex justify-between font-mono text-[10px] text-muted-foreground/70">
+        <span>-50¢</span>
+        <span>0</span>
+        <span>+50¢</span>
       </div>
     </div>
   );
@@ -139,6 +166,20 @@ function markerBgClass(cents) {
   return 'bg-muted';
 }
 
+function stableColorClass(cents) {
+  const c = centsColor(cents);
+  if (c === 'in-tune') return 'text-emerald-400';
+  if (c === 'close')   return 'text-amber-400';
+  return 'text-rose-400';
+}
+
+function stableBorderClass(cents) {
+  const c = centsColor(cents);
+  if (c === 'in-tune') return 'border-emerald-400';
+  if (c === 'close')   return 'border-amber-400';
+  return 'border-rose-400';
+}
+
 function formatCents(cents) {
   const sign = cents > 0 ? '+' : cents < 0 ? '−' : '';
   return `${sign}${Math.round(Math.abs(cents))} cents`;
@@ -0,0 +1,289 @@
+import { useMemo, useState } from 'react';
+import { Minus, Plus, Trash2 } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  MAX_STRINGS,
+  getTuningPresets,
+  makeString,
+  parseStringNote,
+  validateInstrument,
+} from './tunings.js';
+
+const INPUT_CLASS =
+  'h-9 w-full min-w-0 rounded-md border border-input bg-background px-2 text-sm font-mono';
+
+const PRESETS = getTuningPresets();
+
+function blankInstrument() {
+  return {
+    id: Date.now().toString(36),
+    label: '',
+    tunings: [{ id: 't1', label: 'Standard', midi: PRESETS[0].midi }],
+  };
+}
+
+function nextTuningId(tunings) {
+  const used = tunings.map((t) => Number(t.id.slice(1))).filter(Number.isFinite);
+  return `t${Math.max(0, ...used) + 1}`;
+}
+
+/**
+ * Strings are edited as text (a note name or a MIDI number) so they can be
+ * typed freely; saving reads them back into MIDI numbers.
+ */
+function toDraft(instrument) {
+  return {
+    ...instrument,
+    tunings: instrument.tunings.map((t) => ({
+      ...t,
+      strings: t.midi.map((m) => makeString(m).noteName),
+    })),
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    id: draft.id,
+    label: draft.label.trim(),
+    tunings: draft.tunings.map((t) => ({
+      id: t.id,
+      label: t.label.trim(),
+      midi: t.strings.map(parseStringNote),
+    })),
+  };
+}
+
+/**
+ * Form for creating / editing one custom instrument: a name and one or more
+ * named tunings, each an ordered list of strings (low → high).
+ * @param {object|null} instrument - Saved instrument to edit (null creates a new one)
+ * @param {number} referenceA4 - For the target frequencies shown beside each string
+ * @param {function} onSave - Receives the cleaned-up instrument
+ * @param {function} onDelete - Receives the id (only offered when editing)
+ * @param {function} onCancel
+ */
+export default function TuningEditor({ instrument, referenceA4 = 440, onSave, onDelete, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(instrument ?? blankInstrument()));
+  const result = useMemo(() => fromDraft(draft), [draft]);
+  const errors = useMemo(() => validateInstrument(result), [result]);
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const updateTuning = (i, patch) =>
+    update({ tunings: draft.tunings.map((t, j) => (j === i ? { ...t, ...patch } : t)) });
+  const setStrings = (i, strings) => updateTuning(i, { strings });
+
+  const addTuning = () => {
+    const last = draft.tunings[draft.tunings.length - 1];
+    update({
+      tunings: [
+        ...draft.tunings,
+        { id: nextTuningId(draft.tunings), label: '', strings: last ? [...last.strings] : [] },
+      ],
+    });
+  };
+  const removeTuning = (i) => update({ tunings: draft.tunings.filter((_, j) => j !== i) });
+
+  const applyPreset = (i, key) => {
+    const preset = PRESETS.find((p) => p.key === key);
+    if (preset) setStrings(i, preset.midi.map((m) => makeString(m).noteName));
+  };
+
+  // A new string goes a fourth above the top one (or below the bottom one
+  // for the low side), which is where most instruments put it
+  const addString = (i, where) => {
+    const { strings } = draft.tunings[i];
+    const edge = parseStringNote(where === 'low' ? strings[0] : strings[strings.length - 1]);
+    const midi = edge == null ? 52 : edge + (where === 'low' ? -5 : 5);
+    const name = makeString(midi).noteName;
+    setStrings(i, where === 'low' ? [name, ...strings] : [...strings, name]);
+  };
+
+  const nudgeString = (i, k, delta) => {
+    const midi = parseStringNote(draft.tunings[i].strings[k]);
+    if (midi == null) return;
+    setStrings(i, draft.tunings[i].strings.map((s, j) => (j === k ? makeString(midi + delta).noteName : s)));
+  };
+
+  return (
+    <div className="flex flex-col gap-4 p-1">
+      <div className="space-y-1.5">
+        <Label htmlFor="instrument-name" className="text-sm">Instrument</Label>
+        <input
+          id="instrument-name"
+          value={draft.label}
+          onChange={(e) => update({ label: e.target.value })}
+          placeholder="e.g. 7-string guitar"
+          className={`${INPUT_CLASS} font-sans`}
+        />
+      </div>
+
+      {draft.tunings.map((tuning, i) => {
+        const midi = result.tunings[i].midi;
+        return (
+          <div key={tuning.id} className="space-y-2 rounded-md border p-3">
+            <div className="flex items-center gap-1">
+              <input
+                value={tuning.label}
+                onChange={(e) => updateTuning(i, { label: e.target.value })}
+                placeholder={`Tuning ${i + 1}`}
+                aria-label={`Tuning ${i + 1} name`}
+                className={`${INPUT_CLASS} font-sans font-medium`}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => removeTuning(i)}
+                disabled={draft.tunings.length === 1}
+                aria-label={`Remove tuning ${i + 1}`}
+                className="shrink-0 text-muted-foreground hover:text-foreground"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <SmallField label="Start from">
+              <Select value="" onValueChange={(key) => applyPreset(i, key)}>
+                <SelectTrigger className="h-9"><SelectValue placeholder="Copy a built-in tuning…" /></SelectTrigger>
+                <SelectContent>
+                  {PRESETS.map((p) => <SelectItem key={p.key} value={p.key}>{p.label}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </SmallField>
+
+            <SmallField label="Strings, low → high">
+              <div className="space-y-1">
+                {tuning.strings.map((text, k) => (
+                  <div key={k} className="flex items-center gap-1">
+                    <span className="w-5 shrink-0 text-right font-mono text-[11px] text-muted-foreground">
+                      {k + 1}
+                    </span>
+                    <input
+                      value={text}
+                      onChange={(e) => setStrings(i, tuning.strings.map((s, j) => (j === k ? e.target.value : s)))}
+                      aria-label={`String ${k + 1}`}
+                      className={`${INPUT_CLASS} w-20 shrink-0`}
+                    />
+                    <StringTarget midi={midi[k]} referenceA4={referenceA4} />
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => nudgeString(i, k, -1)}
+                      aria-label={`Lower string ${k + 1} a semitone`}
+                      className="h-8 w-8 shrink-0 text-muted-foreground hover:text-foreground"
+                    >
+                      <Minus className="h-3.5 w-3.5" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => nudgeString(i, k, 1)}
+                      aria-label={`Raise string ${k + 1} a semitone`}
+                      className="h-8 w-8 shrink-0 text-muted-foreground hover:text-foreground"
+                    >
+                      <Plus className="h-3.5 w-3.5" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setStrings(i, tuning.strings.filter((_, j) => j !== k))}
+                      disabled={tuning.strings.length === 1}
+                      aria-label={`Remove string ${k + 1}`}
+                      className="h-8 w-8 shrink-0 text-muted-foreground hover:text-foreground"
+                    >
+                      <Trash2 className="h-3.5 w-3.5" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-2 pt-1">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => addString(i, 'low')}
+                  disabled={tuning.strings.length >= MAX_STRINGS}
+                  className="gap-1.5"
+                >
+                  <Plus className="h-3.5 w-3.5" />
+                  Low string
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => addString(i, 'high')}
+                  disabled={tuning.strings.length >= MAX_STRINGS}
+                  className="gap-1.5"
+                >
+                  <Plus className="h-3.5 w-3.5" />
+                  High string
+                </Button>
+              </div>
+            </SmallField>
+          </div>
+        );
+      })}
+
+      <Button variant="outline" size="sm" onClick={addTuning} className="gap-1.5 self-start">
+        <Plus className="h-3.5 w-3.5" />
+        Add tuning
+      </Button>
+
+      <p className="text-[11px] leading-snug text-muted-foreground">
+        Type a note (E2, F#3, Bb1) or a MIDI number (40 = E2) for each string.
+      </p>
+
+      {errors.length > 0 && (
+        <ul className="space-y-1 rounded-md bg-destructive/10 px-3 py-2 text-xs text-destructive">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+
+      <div className="flex items-center gap-2">
+        {instrument && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onDelete(instrument.id)}
+            className="gap-1.5 text-destructive hover:text-destructive"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+            Delete
+          </Button>
+        )}
+        <div className="ml-auto flex gap-2">
+          <Button variant="outline" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" onClick={() => onSave(result)} disabled={errors.length > 0}>
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** What a string's text resolves to: note name and target frequency */
+function StringTarget({ midi, referenceA4 }) {
+  const target = midi == null ? null : makeString(midi, referenceA4);
+  return (
+    <span className="flex-1 truncate font-mono text-[11px] text-muted-foreground">
+      {target ? `${target.noteName} · ${target.frequency.toFixed(1)} Hz` : '?'}
+    </span>
+  );
+}
+
+function SmallField({ label, children }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs">{label}</Label>
+      {children}
+    </div>
+  );
+}
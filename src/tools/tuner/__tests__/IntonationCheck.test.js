@@ -0,0 +1,155 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import {
+  IntonationCheck,
+  IntonationStep,
+  formatIntonationReport,
+  judgeIntonation,
+} from '../IntonationCheck.js';
+import { getStrings } from '../tunings.js';
+
+const STRINGS = getStrings('guitar', 'standard'); // E2 A2 D3 G3 B3 E4
+
+const at = (frequency, cents) => frequency * 2 ** (cents / 1200);
+
+/** Hold a note for n frames */
+function play(check, frequency, frames = 12, rms = 0.1) {
+  for (let i = 0; i < frames; i++) check.handleReading({ frequency, rms });
+}
+
+function silence(check) {
+  check.handleReading(null);
+}
+
+describe('judgeIntonation', () => {
+  it('says which way to move the saddle', () => {
+    expect(judgeIntonation(164.81, at(164.81, 1))).toMatchObject({ verdict: 'ok' });
+    expect(judgeIntonation(164.81, at(164.81, 8))).toMatchObject({ verdict: 'sharp' });
+    expect(judgeIntonation(164.81, at(164.81, 8)).advice).toMatch(/back, away from the neck/);
+    expect(judgeIntonation(164.81, at(164.81, -6))).toMatchObject({ verdict: 'flat' });
+    expect(judgeIntonation(164.81, at(164.81, -6)).advice).toMatch(/forward, toward the neck/);
+    expect(judgeIntonation(164.81, at(164.81, -6)).cents).toBeCloseTo(-6, 6);
+  });
+});
+
+describe('IntonationCheck', () => {
+  it('measures the open string, then the 12th fret, then moves on', () => {
+    const onChange = vi.fn();
+    const check = new IntonationCheck({ strings: STRINGS, onChange });
+    const e2 = STRINGS[0].frequency;
+
+    play(check, at(e2, -2));
+    expect(check.step).toBe(IntonationStep.FRETTED);
+    expect(check.reference).toMatchObject({ source: 'open' });
+    expect(check.reference.frequency).toBeCloseTo(at(e2, -2) * 2, 6);
+
+    silence(check);
+    play(check, at(e2 * 2, 5));
+    const [result] = check.getReport();
+    expect(result).toMatchObject({ index: 0, noteName: 'E2', referenceSource: 'open', verdict: 'sharp' });
+    expect(result.cents).toBeCloseTo(7, 6);
+    expect(check.stringIndex).toBe(1);
+    expect(onChange.mock.calls.at(-1)[0]).toMatchObject({ stringIndex: 1, step: IntonationStep.REFERENCE });
+  });
+
+  it('takes the 12th-fret harmonic as the reference', () => {
+    const check = new IntonationCheck({ strings: STRINGS });
+    const a3 = STRINGS[1].frequency * 2;
+    check.selectString(1);
+    play(check, at(a3, 1));
+    expect(check.reference).toMatchObject({ source: 'harmonic' });
+    expect(check.reference.frequency).toBeCloseTo(at(a3, 1), 6);
+  });
+
+  it('waits for a fresh note before reading the fretted one', () => {
+    const check = new IntonationCheck({ strings: STRINGS });
+    const a3 = STRINGS[1].frequency * 2;
+    check.selectString(1);
+    play(check, a3);
+
+    // The harmonic keeps ringing at the same pitch: not a fretted reading
+    play(check, a3, 30, 0.08);
+    expect(check.step).toBe(IntonationStep.FRETTED);
+    expect(check.getState().armed).toBe(false);
+
+    // A new pluck without a gap arms it again
+    play(check, at(a3, -4), 12, 0.2);
+    expect(check.getReport()[0]).toMatchObject({ noteName: 'A2', verdict: 'flat' });
+  });
+
+  it('ignores the wrong string and unsteady notes', () => {
+    const check = new IntonationCheck({ strings: STRINGS });
+    play(check, STRINGS[1].frequency, 20); // A string while E is asked for
+    expect(check.step).toBe(IntonationStep.REFERENCE);
+    expect(check.getState().heard).toMatchObject({ noteName: 'A2', expected: false });
+
+    const e2 = STRINGS[0].frequency;
+    for (let i = 0; i < 20; i++) check.handleReading({ frequency: at(e2, i % 2 ? 6 : -6), rms: 0.1 });
+    expect(check.step).toBe(IntonationStep.REFERENCE);
+
+    play(check, e2);
+    expect(check.step).toBe(IntonationStep.FRETTED);
+  });
+
+  it('measures a string whose octave is another open string', () => {
+    // Drop D: the low D's octave is the open D3 string
+    const dropD = getStrings('guitar', 'drop-d');
+    const check = new IntonationCheck({ strings: dropD });
+    const d2 = dropD[0].frequency;
+    play(check, at(d2 * 2, 1)); // harmonic
+    expect(check.reference).toMatchObject({ source: 'harmonic' });
+    silence(check);
+    play(check, at(d2 * 2, -5));
+    expect(check.getReport()[0]).toMatchObject({ index: 0, noteName: 'D2', verdict: 'flat' });
+
+    // Open D: the A string's octave is the open A3
+    const openD = getStrings('guitar', 'open-d');
+    const second = new IntonationCheck({ strings: openD });
+    const a2 = openD[1].frequency;
+    second.selectString(1);
+    play(second, a2);
+    silence(second);
+    play(second, at(a2 * 2, 2));
+    expect(second.getReport()[0]).toMatchObject({ index: 1, verdict: 'ok' });
+  });
+
+  it('skips, re-measures and finishes', () => {
+    const check = new IntonationCheck({ strings: STRINGS.slice(0, 2) });
+    check.skip();
+    expect(check.stringIndex).toBe(1);
+    const a2 = STRINGS[1].frequency;
+    play(check, a2);
+    silence(check);
+    play(check, a2 * 2);
+    expect(check.isDone()).toBe(true);
+    expect(check.getReport()).toHaveLength(1);
+
+    // Re-measuring one string of a finished check finishes again after it
+    check.selectString(1);
+    play(check, a2);
+    silence(check);
+    play(check, at(a2 * 2, 12));
+    expect(check.isDone()).toBe(true);
+    expect(check.getReport()[0]).toMatchObject({ index: 1, verdict: 'sharp' });
+
+    check.selectString(1);
+    check.redo();
+    expect(check.getReport()).toHaveLength(0);
+    expect(check.stringIndex).toBe(1);
+  });
+
+  it('formats a saved report as a text table', () => {
+    const check = new IntonationCheck({ strings: STRINGS });
+    play(check, STRINGS[0].frequency);
+    silence(check);
+    play(check, at(STRINGS[0].frequency * 2, -5.3));
+    const text = formatIntonationReport({
+      savedAt: Date.UTC(2026, 9, 19),
+      instrument: 'Guitar',
+      tuning: 'Standard',
+      results: check.getReport(),
+    });
+    expect(text).toMatch(/^Intonation report — Guitar \(Standard\)/);
+    expect(text).toMatch(/E2\s+164\.81 Hz \(open\)\s+164\.3\d Hz\s+−5\.3\s+Move forward/);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+
+import { SustainPhase, SustainTracker } from '../SustainTracker.js';
+
+const SAMPLE_RATE = 44100;
+const WINDOW = 4096;
+const HOP = 2205; // 50ms, as the tuner runs
+
+const toCents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+/**
+ * A plucked note starting at `at` seconds: decaying, and `glide` cents sharp
+ * on the attack, settling with time constant `tau`. Returns the signal and
+ * its instantaneous frequency per sample.
+ */
+function pluck(frequency, seconds, { at = 0.3, glide = 25, tau = 0.1, amplitude = 0.5, signal, pitch } = {}) {
+  const n = Math.round(seconds * SAMPLE_RATE);
+  signal = signal ?? new Float32Array(n);
+  pitch = pitch ?? new Float32Array(n);
+  let phase = 0;
+  for (let i = Math.round(at * SAMPLE_RATE); i < n; i++) {
+    const t = i / SAMPLE_RATE - at;
+    const f = frequency * 2 ** ((glide * Math.exp(-t / tau)) / 1200);
+    phase += (2 * Math.PI * f) / SAMPLE_RATE;
+    signal[i] = amplitude * Math.exp(-t / 1.5) * Math.sin(phase);
+    pitch[i] = f;
+  }
+  return { signal, pitch };
+}
+
+/** The frames subscribeSignal delivers, with the frequency a detector would report */
+function frames({ signal, pitch }) {
+  const out = [];
+  for (let end = WINDOW; end <= signal.length; end += HOP) {
+    const buffer = signal.subarray(end - WINDOW, end);
+    const center = pitch[end - WINDOW / 2];
+    let sum = 0;
+    for (const x of buffer) sum += x * x;
+    out.push({
+      buffer,
+      sampleRate: SAMPLE_RATE,
+      endSample: end,
+      frequency: center > 0 ? center : null,
+      rms: Math.sqrt(sum / buffer.length),
+    });
+  }
+  return out;
+}
+
+describe('SustainTracker', () => {
+  it('finds the attack and skips the transient', () => {
+    const tracker = new SustainTracker();
+    const states = frames(pluck(110, 1.2)).map((f) => ({
+      end: f.endSample / SAMPLE_RATE,
+      voiced: !!f.frequency,
+      ...tracker.push(f),
+    }));
+
+    expect(tracker.onsetTime).toBeCloseTo(0.3, 2);
+    for (const s of states) {
+      if (!s.voiced) expect(s.phase).toBe(SustainPhase.SILENT);
+      else if (s.end < 0.5) expect(s.phase).toBe(SustainPhase.ATTACK);
+      else expect(s.phase).toBe(SustainPhase.SUSTAIN);
+    }
+    expect(states.filter((s) => s.phase === SustainPhase.ATTACK).length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('settles on the sustained pitch despite the glide', () => {
+    const note = pluck(110, 2.2);
+    const tracker = new SustainTracker();
+    const all = frames(note);
+    all.forEach((f) => tracker.push(f));
+
+    // Averaging every frame keeps some of the attack
+    const voiced = all.filter((f) => f.frequency);
+    const naive = voiced.reduce((sum, f) => sum + toCents(f.frequency, 110), 0) / voiced.length;
+    expect(naive).toBeGreaterThan(1);
+
+    const stable = toCents(tracker.getStableFrequency(), 110);
+    expect(Math.abs(stable)).toBeLessThan(0.1);
+  });
+
+  it('holds back the stable reading until enough sustain is in', () => {
+    const tracker = new SustainTracker({ minFrames: 8 });
+    const all = frames(pluck(196, 1.2));
+    let first = null;
+    for (const f of all) {
+      const { stableFrequency } = tracker.push(f);
+      if (stableFrequency != null && first == null) first = f.endSample / SAMPLE_RATE;
+    }
+    // 0.3s silence + 0.2s attack + 8 frames
+    expect(first).toBeGreaterThan(0.85);
+    expect(first).toBeLessThan(0.95);
+  });
+
+  it('starts over on a new pluck, a new note and silence', () => {
+    // Second pluck of the same string halfway through
+    const note = pluck(110, 2, { glide: 0 });
+    pluck(110, 2, { at: 1.2, glide: 0, amplitude: 0.9, ...note });
+    const tracker = new SustainTracker();
+    const all = frames(note);
+    const before = all.findIndex((f) => f.endSample / SAMPLE_RATE > 1.2);
+    all.slice(0, before).forEach((f) => tracker.push(f));
+    expect(tracker.points.length).toBeGreaterThan(8);
+    expect(tracker.push(all[before]).phase).toBe(SustainPhase.ATTACK);
+    expect(tracker.points).toHaveLength(0);
+
+    // A slide to another note, with no attack to find
+    const slid = new SustainTracker();
+    const steady = frames(pluck(110, 1.5, { glide: 0 }));
+    steady.forEach((f, i) => slid.push(i < 20 ? f : { ...f, frequency: 123.47 }));
+    expect(slid.points).toHaveLength(steady.length - 20);
+    expect(toCents(slid.getStableFrequency(), 123.47)).toBeCloseTo(0, 3);
+
+    slid.push({ ...steady.at(-1), endSample: steady.at(-1).endSample + HOP, frequency: null });
+    expect(slid.getState()).toMatchObject({ phase: SustainPhase.SILENT, frequency: null, stableFrequency: null });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { PitchContext } from '@/core';
+import { StrobeTracker, measurePhase } from '../strobe.js';
+
+const SAMPLE_RATE = 44100;
+const WINDOW = 4096;
+const HOP = 2205; // 50ms, as the tuner runs
+
+/** A tone with the given partials, phase-continuous from sample 0 */
+function tone(frequency, seconds, partials = [1], phase = 0) {
+  const out = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < out.length; i++) {
+    let x = 0;
+    partials.forEach((amp, h) => {
+      x += amp * Math.cos((2 * Math.PI * frequency * (h + 1) * i) / SAMPLE_RATE + phase * (h + 1));
+    });
+    out[i] = 0.3 * x;
+  }
+  return out;
+}
+
+/** Cut a signal into the overlapping windows PitchContext.subscribeSignal delivers */
+function frames(signal, frequency = null) {
+  const out = [];
+  for (let end = WINDOW; end <= signal.length; end += HOP) {
+    out.push({ buffer: signal.subarray(end - WINDOW, end), sampleRate: SAMPLE_RATE, endSample: end, frequency });
+  }
+  return out;
+}
+
+const detuned = (frequency, cents) => frequency * 2 ** (cents / 1200);
+
+describe('measurePhase', () => {
+  it('reads the phase and level of the component at the reference', () => {
+    const signal = tone(220, 0.2, [1], Math.PI / 2);
+    const { phase, amplitude } = measurePhase(signal.subarray(0, WINDOW), WINDOW, SAMPLE_RATE, 220);
+    expect(phase).toBeCloseTo(0.25, 3);
+    expect(amplitude).toBeCloseTo(0.3, 2);
+  });
+
+  it('holds still in tune and climbs when sharp', () => {
+    const inTune = tone(220, 0.2);
+    const sharp = tone(221, 0.2);
+    const at = (signal, end) => measurePhase(signal.subarray(end - WINDOW, end), end, SAMPLE_RATE, 220).phase;
+
+    expect(at(inTune, WINDOW + HOP)).toBeCloseTo(at(inTune, WINDOW), 4);
+    // 1 Hz sharp moves the phase by 1 cycle per second
+    expect(at(sharp, WINDOW + HOP) - at(sharp, WINDOW)).toBeCloseTo(HOP / SAMPLE_RATE, 3);
+  });
+});
+
+describe('StrobeTracker', () => {
+  function track(signal, target, detected = null) {
+    const tracker = new StrobeTracker();
+    tracker.setTarget(target);
+    frames(signal, detected).forEach((f) => tracker.push(f));
+    return tracker;
+  }
+
+  it('resolves a tenth of a cent on a sustained note', () => {
+    for (const cents of [0.1, -0.1, 0.4, -2]) {
+      const frequency = detuned(82.41, cents);
+      const tracker = track(tone(frequency, 1.5, [1, 0.6, 0.3]), 82.41, frequency);
+      expect(tracker.getCents()).toBeCloseTo(cents, 1);
+      expect(Math.abs(tracker.getCents() - cents)).toBeLessThan(0.03);
+    }
+  });
+
+  it('follows a note several cents off without the detector', () => {
+    const frequency = detuned(329.63, 6);
+    const tracker = track(tone(frequency, 1.5), 329.63);
+    expect(tracker.getCents()).toBeCloseTo(6, 1);
+  });
+
+  it('locks only the rows the input has energy in', () => {
+    const pure = track(tone(196, 1), 196, 196);
+    expect(pure.rows.map((r) => r.locked)).toEqual([true, false, false]);
+
+    const rich = track(tone(196, 1, [1, 0.8, 0.5, 0.4]), 196, 196);
+    expect(rich.rows.map((r) => r.locked)).toEqual([true, true, true]);
+    rich.rows.forEach((r) => expect(r.driftHz).toBeCloseTo(0, 2));
+  });
+
+  it('carries the bands on between frames in the drift direction', () => {
+    const flat = track(tone(detuned(110, -3), 1), 110);
+    expect(flat.phaseAt(0, 0.1)).toBeLessThan(flat.phaseAt(0, 0));
+    const sharp = track(tone(detuned(110, 3), 1), 110);
+    expect(sharp.phaseAt(0, 0.1)).toBeGreaterThan(sharp.phaseAt(0, 0));
+  });
+
+  it('lets go far from the target and on silence', () => {
+    const far = track(tone(detuned(440, 45), 1), 440, detuned(440, 45));
+    expect(far.getCents()).toBeNull();
+
+    const silent = track(new Float32Array(SAMPLE_RATE), 110);
+    expect(silent.getCents()).toBeNull();
+  });
+
+  it('starts over when the target moves or the frames break off', () => {
+    const tracker = track(tone(110, 1), 110);
+    expect(tracker.getCents()).not.toBeNull();
+    tracker.setTarget(110.5);
+    expect(tracker.getCents()).toBeNull();
+
+    const signal = tone(110, 2);
+    tracker.setTarget(110);
+    const all = frames(signal);
+    all.slice(0, 10).forEach((f) => tracker.push(f));
+    tracker.push(all[20]);
+    expect(tracker.rows[0].points).toHaveLength(1);
+  });
+
+  it('reads nothing from frames without a sample clock', () => {
+    const tracker = new StrobeTracker();
+    tracker.setTarget(110);
+    frames(tone(110, 1), 110).forEach((f) => tracker.push({ ...f, endSample: null }));
+    expect(tracker.unclocked).toBe(true);
+    expect(tracker.frames).toBe(0);
+    expect(tracker.getCents()).toBeNull();
+
+    // Worklet frames lift it
+    frames(tone(110, 1), 110).forEach((f) => tracker.push(f));
+    expect(tracker.unclocked).toBe(false);
+    expect(tracker.getCents()).toBeCloseTo(0, 1);
+  });
+});
+
+describe('PitchContext signal subscriptions', () => {
+  it('asks for windows only while someone listens', () => {
+    const context = new PitchContext({ enableVocalAnalysis: false });
+    const unsubscribe = context.subscribeSignal(() => {});
+    context.initialize();
+    expect(context.pitchDetector.enableSignal).toBe(true);
+    expect(context.pitchDetector.analyzer.includeBuffer).toBe(true);
+
+    unsubscribe();
+    expect(context.pitchDetector.enableSignal).toBe(false);
+    expect(context.pitchDetector.analyzer.includeBuffer).toBe(false);
+    context.dispose();
+  });
+
+  it('fans windows out and isolates subscriber errors', () => {
+    const context = new PitchContext();
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const received = vi.fn();
+    context.subscribeSignal(() => {
+      throw new Error('boom');
+    });
+    context.subscribeSignal(received);
+
+    const frame = { buffer: new Float32Array(8), sampleRate: SAMPLE_RATE, endSample: 8, frequency: null, rms: 0 };
+    context.handleSignal(frame);
+    expect(received).toHaveBeenCalledWith(frame);
+    expect(errors).toHaveBeenCalled();
+    errors.mockRestore();
+    context.dispose();
+  });
+});
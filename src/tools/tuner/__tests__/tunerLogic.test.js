@@ -7,6 +7,7 @@ import {
   tuningStatus,
   centsColor,
   centsToStripPosition,
+  formatFineCents,
   splitNoteName,
   IN_TUNE_CENTS,
 } from '../tunerLogic.js';
@@ -15,9 +16,14 @@ import {
   getInstruments,
   getTuningsFor,
   getDefaultTuning,
+  getTuningPresets,
   isChromatic,
+  isCustomInstrument,
   midiToFreqAtReference,
+  parseStringNote,
+  validateInstrument,
 } from '../tunings.js';
+import { temperamentFromSettings } from '@/core/Temperament.js';
 
 describe('cents', () => {
   it('returns 0 for identical frequencies', () => {
@@ -96,6 +102,15 @@ describe('nearestSemitone', () => {
     expect(nearestSemitone(null)).toBeNull();
     expect(nearestSemitone(0)).toBeNull();
   });
+
+  it('snaps to the temperament\'s own pitches', () => {
+    const meantone = temperamentFromSettings({ temperament: 'meantone' }, 440);
+    // With A held at 440, meantone E4 sits ~3.4¢ below equal-tempered E4
+    const r = nearestSemitone(329.63, 440, meantone);
+    expect(r.noteName).toBe('E4');
+    expect(r.cents).toBeCloseTo(3.4, 0);
+    expect(r.target).toBeCloseTo(meantone.frequencyOf(60) * 5 / 4, 6); // a pure third over C4
+  });
 });
 
 describe('tuningStatus', () => {
@@ -131,6 +146,14 @@ describe('centsColor', () => {
   });
 });
 
+describe('formatFineCents', () => {
+  it('signs and rounds to a tenth', () => {
+    expect(formatFineCents(0.43)).toBe('+0.4');
+    expect(formatFineCents(-2)).toBe('−2.0');
+    expect(formatFineCents(0.04)).toBe('±0.0');
+  });
+});
+
 describe('centsToStripPosition', () => {
   it('maps -50 to 0, 0 to 0.5, +50 to 1', () => {
     expect(centsToStripPosition(-50)).toBeCloseTo(0, 6);
@@ -188,6 +211,16 @@ describe('tuning presets', () => {
     expect(drop.slice(1).map((s) => s.midi)).toEqual(std.slice(1).map((s) => s.midi));
   });
 
+  it('tunes strings to the temperament, keeping A at the reference', () => {
+    const just = temperamentFromSettings({ temperament: 'just', temperamentTonic: 'E' }, 442);
+    const s = getStrings('guitar', 'standard', 442, just);
+    expect(s[1].frequency).toBeCloseTo(110.5, 6); // A2
+    // E-based just intonation: E4 a pure fourth below A4… and two octaves up from E2
+    expect(s[5].frequency).toBeCloseTo(442 * 3 / 4, 6);
+    expect(s[5].frequency / s[0].frequency).toBeCloseTo(4, 9);
+    expect(s[0].noteName).toBe('E2');
+  });
+
   it('returns no strings for chromatic mode', () => {
     expect(getStrings('chromatic', 'chromatic')).toEqual([]);
     expect(isChromatic('chromatic')).toBe(true);
@@ -214,6 +247,76 @@ describe('tuning presets', () => {
   });
 });
 
+describe('custom instruments', () => {
+  const sevenString = {
+    id: 'x7',
+    label: '7-string guitar',
+    tunings: [
+      { id: 't1', label: 'Standard', midi: [35, 40, 45, 50, 55, 59, 64] }, // B1 E2 A2 D3 G3 B3 E4
+      { id: 't2', label: 'Drop A', midi: [33, 40, 45, 50, 55, 59, 64] },
+      { id: 't3', label: 'Empty', midi: [] },
+    ],
+  };
+
+  it('are listed and resolved like the built-ins', () => {
+    const custom = [sevenString];
+    const listed = getInstruments(custom).at(-1);
+    expect(listed).toEqual({ id: 'custom:x7', label: '7-string guitar', custom: true });
+    expect(isCustomInstrument(listed.id)).toBe(true);
+    expect(isCustomInstrument('guitar')).toBe(false);
+
+    expect(getTuningsFor('custom:x7', custom)).toEqual([
+      { id: 't1', label: 'Standard' },
+      { id: 't2', label: 'Drop A' },
+    ]);
+    expect(getDefaultTuning('custom:x7', custom)).toBe('t1');
+    const strings = getStrings('custom:x7', 't2', 442, null, custom);
+    expect(strings.map((s) => s.noteName)).toEqual(['A1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+    expect(strings[0].frequency).toBeCloseTo(55 * (442 / 440), 6);
+    // Unknown tuning ids fall back to the first one
+    expect(getStrings('custom:x7', 'gone', 440, null, custom)[0].midi).toBe(35);
+  });
+
+  it('are only known to the calls they are passed to', () => {
+    expect(getInstruments([sevenString]).some((i) => i.custom)).toBe(true);
+    expect(getInstruments().some((i) => i.custom)).toBe(false);
+    expect(getStrings('custom:x7', 't1')).toEqual([]);
+    expect(getTuningsFor('custom:x7', [])).toEqual([]);
+  });
+
+  it('reads strings typed as note names or MIDI numbers', () => {
+    expect(parseStringNote('E2')).toBe(40);
+    expect(parseStringNote(' f#3 ')).toBe(54);
+    expect(parseStringNote('Bb1')).toBe(34);
+    expect(parseStringNote('E♭2')).toBe(39);
+    expect(parseStringNote('40')).toBe(40);
+    expect(parseStringNote('H2')).toBeNull();
+    expect(parseStringNote('')).toBeNull();
+  });
+
+  it('explains what stops an instrument from saving', () => {
+    expect(validateInstrument(sevenString)).toEqual(['Empty: add at least one string.']);
+    expect(validateInstrument({
+      label: ' ',
+      tunings: [{ label: 'Low', midi: [12, null] }],
+    })).toEqual([
+      'Give the instrument a name.',
+      'Low, string 1: keep it between B0 and F#6.',
+      'Low, string 2: enter a note like E2 or a MIDI number.',
+    ]);
+  });
+
+  it('offers every built-in tuning as a starting point', () => {
+    const presets = getTuningPresets();
+    expect(presets.find((p) => p.key === 'guitar/dadgad')).toEqual({
+      key: 'guitar/dadgad',
+      label: 'Guitar — DADGAD',
+      midi: [38, 45, 50, 55, 57, 62],
+    });
+    expect(presets.some((p) => p.key.startsWith('chromatic'))).toBe(false);
+  });
+});
+
 describe('midiToFreqAtReference', () => {
   it('A4 (MIDI 69) maps to the reference frequency', () => {
     expect(midiToFreqAtReference(69, 440)).toBeCloseTo(440, 6);
@@ -0,0 +1,223 @@
+/**
+ * Strobe tuner maths. No DOM, no audio — easy to unit-test.
+ *
+ * A mechanical strobe tuner spins a striped disc at the target frequency
+ * and lights it with the input: in tune, the stripes stand still; sharp,
+ * they drift one way, flat the other, at a speed equal to the frequency
+ * difference. Here each analysed window is correlated with a reference
+ * oscillator at the target (one windowed DFT bin, phased to the absolute
+ * sample clock), which gives the input's phase relative to that oscillator.
+ * Successive phases drift at exactly input − target Hz, and a line fitted
+ * through the last fraction of a second of them resolves far finer than
+ * the frame-by-frame detector — a tenth of a cent on a sustained note.
+ *
+ * Each harmonic gets its own row, measured at n × target: on a real
+ * instrument they drift together, except where the string's stiffness
+ * pulls the upper partials sharp.
+ */
+
+/** Harmonics shown as strobe rows, fundamental first */
+export const STROBE_HARMONICS = [1, 2, 4];
+
+/**
+ * Phase of a window relative to a reference oscillator at `frequency`
+ * that started at sample 0.
+ * @param {Float32Array} buffer - Analysed window
+ * @param {number} endSample - Sample clock just past the window
+ * @param {number} sampleRate
+ * @param {number} frequency - Reference frequency in Hz
+ * @returns {{ phase: number, amplitude: number }} phase in cycles (−0.5..0.5),
+ *   amplitude of the component near `frequency` (a sine of peak A reads ≈ A)
+ */
+export function measurePhase(buffer, endSample, sampleRate, frequency) {
+  const n = buffer.length;
+  const step = frequency / sampleRate; // cycles per sample
+  // Reference phase at the first sample, kept small before going to radians
+  const start = endSample - n;
+  const offset = fract(step * start);
+
+  let re = 0;
+  let im = 0;
+  let windowSum = 0;
+  for (let k = 0; k < n; k++) {
+    const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * k) / (n - 1)); // Hann
+    const angle = 2 * Math.PI * fract(offset + step * k);
+    const x = buffer[k] * w;
+    re += x * Math.cos(angle);
+    im -= x * Math.sin(angle);
+    windowSum += w;
+  }
+
+  // Correlating with e^{−iωt} leaves the input's phase minus the
+  // reference's, so a sharp input's phase climbs
+  return {
+    phase: wrapCycles(Math.atan2(im, re) / (2 * Math.PI)),
+    amplitude: (2 * Math.hypot(re, im)) / windowSum,
+  };
+}
+
+/**
+ * Turns successive windows into strobe rows and a fine cents reading.
+ * Feed it every signal frame (PitchContext.subscribeSignal); it forgets its
+ * history when the target changes or the signal breaks off.
+ */
+export class StrobeTracker {
+  /**
+   * @param {object} options
+   * @param {number[]} options.harmonics - Rows to track (default: STROBE_HARMONICS)
+   * @param {number} options.history - Seconds of phase fitted for the reading (default: 0.75)
+   * @param {number} options.minLevel - Row amplitude, relative to the window's
+   *   peak level, below which the row isn't locked (default: 0.15)
+   * @param {number} options.maxGap - Seconds between frames before the phase
+   *   can't be followed across the gap (default: 0.25)
+   */
+  constructor(options = {}) {
+    this.harmonics = options.harmonics || STROBE_HARMONICS;
+    this.history = options.history ?? 0.75;
+    this.minLevel = options.minLevel ?? 0.15;
+    this.maxGap = options.maxGap ?? 0.25;
+
+    this.target = null;
+    this.frames = 0; // frames accepted, so displays can tell when to re-read
+    this.time = null; // sample clock of the latest frame, in seconds
+    this.unclocked = false; // frames arrive without a sample clock (no AudioWorklet)
+    this.rows = [];
+    this.reset();
+  }
+
+  /**
+   * Tune the reference to a new target; drops the history when it moves
+   * @param {number|null} frequency - Hz
+   */
+  setTarget(frequency) {
+    const next = frequency > 0 ? frequency : null;
+    if (next === this.target) return;
+    this.target = next;
+    this.reset();
+  }
+
+  /**
+   * Forget every row's phase history
+   */
+  reset() {
+    this.time = null;
+    this.rows = this.harmonics.map((harmonic) => ({
+      harmonic,
+      phase: 0,      // cycles, unwrapped while locked
+      driftHz: 0,    // fitted rate of phase change
+      level: 0,      // 0..1 amplitude relative to the window's peak level
+      locked: false,
+      points: [],    // { t, phase } within the history window
+    }));
+  }
+
+  /**
+   * Take one signal frame
+   * @param {object} frame - { buffer, sampleRate, endSample, frequency }
+   *   as posted by PitchContext.subscribeSignal
+   */
+  push({ buffer, sampleRate, endSample, frequency = null }) {
+    if (!buffer?.length) return;
+    // The main-thread fallback can't say where a window sits in the
+    // stream, and phase from a guessed position is noise
+    this.unclocked = !Number.isFinite(endSample);
+    if (!this.target || this.unclocked) return;
+
+    const time = endSample / sampleRate;
+    if (this.time != null && (time <= this.time || time - this.time > this.maxGap)) this.reset();
+    const elapsed = this.time == null ? null : time - this.time;
+    this.time = time;
+    this.frames += 1;
+
+    const peak = Math.SQRT2 * rms(buffer);
+    for (const row of this.rows) {
+      const { phase, amplitude } = measurePhase(buffer, endSample, sampleRate, this.target * row.harmonic);
+      row.level = peak > 1e-5 ? Math.min(1, amplitude / peak) : 0;
+
+      // Where the detector says the note is, for unwrapping: the phase
+      // should have moved by about expected × elapsed cycles
+      const expected = frequency ? row.harmonic * (frequency - this.target) : row.driftHz;
+      const followable = elapsed == null || Math.abs(expected * elapsed) < 0.45;
+      if (row.level < this.minLevel || !followable) {
+        row.locked = false;
+        row.points = [];
+        row.driftHz = 0;
+        continue;
+      }
+
+      if (!row.locked || elapsed == null) {
+        row.phase = phase;
+      } else {
+        const predicted = row.phase + expected * elapsed;
+        row.phase = predicted + wrapCycles(phase - predicted);
+      }
+      row.locked = true;
+      row.points.push({ t: time, phase: row.phase });
+      while (row.points.length && time - row.points[0].t > this.history) row.points.shift();
+      row.driftHz = row.points.length >= 3 ? slope(row.points) : expected;
+    }
+  }
+
+  /**
+   * Fine reading from the lowest locked row with enough history, in cents
+   * from the target (null while nothing is locked)
+   * @returns {number|null}
+   */
+  getCents() {
+    if (!this.target) return null;
+    const row = this.rows.find((r) => r.locked && r.points.length >= 3);
+    if (!row) return null;
+    const drift = row.driftHz / row.harmonic;
+    return 1200 * Math.log2((this.target + drift) / this.target);
+  }
+
+  /**
+   * A row's phase `ahead` seconds after the latest frame, carried on at its
+   * fitted drift so the bands move smoothly between frames
+   * @param {number} index - Row index
+   * @param {number} ahead - Seconds (clamped to maxGap)
+   * @returns {number} Cycles
+   */
+  phaseAt(index, ahead = 0) {
+    const row = this.rows[index];
+    if (!row?.locked) return row?.phase ?? 0;
+    return row.phase + row.driftHz * Math.min(Math.max(ahead, 0), this.maxGap);
+  }
+}
+
+/** Wrap cycles into −0.5..0.5 */
+function wrapCycles(x) {
+  return x - Math.round(x);
+}
+
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+function rms(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / buffer.length);
+}
+
+/** Least-squares slope of phase over time, in cycles per second */
+function slope(points) {
+  const n = points.length;
+  const t0 = points[0].t;
+  let st = 0;
+  let sp = 0;
+  for (const p of points) {
+    st += p.t - t0;
+    sp += p.phase;
+  }
+  const mt = st / n;
+  const mp = sp / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    const dt = p.t - t0 - mt;
+    num += dt * (p.phase - mp);
+    den += dt * dt;
+  }
+  return den > 0 ? num / den : 0;
+}
@@ -39,10 +39,13 @@ export function findClosestString(frequency, strings) {
 
 /**
  * For chromatic mode: snap detected frequency to the nearest semitone and
- * compute cents-off using the supplied reference pitch.
+ * compute cents-off using the supplied reference pitch. With a temperament
+ * (core/Temperament.js) the notes are its pitches instead, which already
+ * include the reference.
  */
-export function nearestSemitone(frequency, referenceA4 = 440) {
+export function nearestSemitone(frequency, referenceA4 = 440, temperament = null) {
   if (!frequency) return null;
+  if (temperament) return temperament.nearest(frequency);
   const midiFloat = 69 + 12 * Math.log2(frequency / referenceA4);
   const midi = Math.round(midiFloat);
   const target = midiToFreqAtReference(midi, referenceA4);
@@ -85,6 +88,16 @@ export function centsToStripPosition(centsValue) {
   return (clamped + 50) / 100;
 }
 
+/**
+ * Signed cents to a tenth, for the fine readouts (strobe, settled reading):
+ * "+0.4", "−2.0", "±0.0".
+ */
+export function formatFineCents(centsValue) {
+  const rounded = Math.round(centsValue * 10) / 10;
+  const sign = rounded > 0 ? '+' : rounded < 0 ? '−' : '±';
+  return `${sign}${Math.abs(rounded).toFixed(1)}`;
+}
+
 /**
  * Strip the octave digit from a note name like "F#4" → "F#". Returns the
  * octave separately.
@@ -2,6 +2,10 @@
  * Tuning presets for the tuner. Each instrument has one or more named tunings;
  * a tuning is a list of strings ordered low → high. Each entry carries a
  * MIDI note number; the human-readable name and target frequency are derived.
+ *
+ * Instruments the user builds in the tuning editor (`tunerCustomInstruments`)
+ * are passed to the lookups as their last argument and resolved under
+ * `custom:<id>`, listed and resolved like the built-ins.
  */
 
 import { FrequencyConverter } from '@/pitch-engine';
@@ -10,11 +14,14 @@ import { FrequencyConverter } from '@/pitch-engine';
  * Build a string descriptor from a MIDI note + reference A4.
  * @param {number} midi - MIDI note number (e.g. 40 = E2)
  * @param {number} referenceA4 - Reference frequency for A4 (default 440)
+ * @param {import('@/core/Temperament.js').Temperament|null} [temperament] -
+ *   Tune to this temperament's pitch for the note instead of equal
+ *   temperament (it already carries the reference)
  * @returns {{midi: number, noteName: string, frequency: number}}
  */
-export function makeString(midi, referenceA4 = 440) {
+export function makeString(midi, referenceA4 = 440, temperament = null) {
   const noteName = FrequencyConverter.midiToNoteName(midi);
-  const frequency = midiToFreqAtReference(midi, referenceA4);
+  const frequency = temperament ? temperament.pitchOf(midi) : midiToFreqAtReference(midi, referenceA4);
   return { midi, noteName, frequency };
 }
 
@@ -81,30 +88,140 @@ const TUNINGS = {
   },
 };
 
-export function getInstruments() {
-  return Object.entries(TUNINGS).map(([id, def]) => ({ id, label: def.label }));
+export const CUSTOM_INSTRUMENT_PREFIX = 'custom:';
+
+// The range the tuner listens to (30–1500 Hz): B0 to F#6
+export const MIN_STRING_MIDI = 23;
+export const MAX_STRING_MIDI = 90;
+export const MAX_STRINGS = 12;
+
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/** Instrument id under which a saved custom instrument is registered */
+export function customInstrumentId(id) {
+  return `${CUSTOM_INSTRUMENT_PREFIX}${id}`;
+}
+
+export function isCustomInstrument(instrumentId) {
+  return typeof instrumentId === 'string' && instrumentId.startsWith(CUSTOM_INSTRUMENT_PREFIX);
+}
+
+/**
+ * The user's instruments (the `tunerCustomInstruments` setting) as
+ * [id, definition] entries shaped like TUNINGS. Tunings without strings are
+ * left out; an instrument with none left is too.
+ * @param {Array<{ id: string, label: string, tunings: Array<{ id: string, label: string, midi: number[] }> }>} instruments
+ */
+function customEntries(instruments = []) {
+  return (instruments ?? []).flatMap((inst) => {
+    const tunings = (inst.tunings ?? []).filter((t) => t.midi?.length);
+    if (!tunings.length) return [];
+    return [[customInstrumentId(inst.id), {
+      label: inst.label,
+      tunings: Object.fromEntries(tunings.map((t) => [t.id, { label: t.label, midi: t.midi }])),
+      defaultTuning: tunings[0].id,
+      custom: true,
+    }]];
+  });
+}
+
+function lookup(instrumentId, customInstruments) {
+  if (TUNINGS[instrumentId]) return TUNINGS[instrumentId];
+  if (!isCustomInstrument(instrumentId)) return null;
+  return customEntries(customInstruments).find(([id]) => id === instrumentId)?.[1] ?? null;
 }
 
-export function getTuningsFor(instrumentId) {
-  const def = TUNINGS[instrumentId];
+/**
+ * @param {Array<object>} [customInstruments] - The `tunerCustomInstruments` setting
+ */
+export function getInstruments(customInstruments = []) {
+  return [...Object.entries(TUNINGS), ...customEntries(customInstruments)].map(([id, def]) => ({
+    id,
+    label: def.label,
+    ...(def.custom ? { custom: true } : {}),
+  }));
+}
+
+export function getTuningsFor(instrumentId, customInstruments = []) {
+  const def = lookup(instrumentId, customInstruments);
   if (!def) return [];
   return Object.entries(def.tunings).map(([id, t]) => ({ id, label: t.label }));
 }
 
-export function getDefaultTuning(instrumentId) {
-  return TUNINGS[instrumentId]?.defaultTuning ?? null;
+export function getDefaultTuning(instrumentId, customInstruments = []) {
+  return lookup(instrumentId, customInstruments)?.defaultTuning ?? null;
+}
+
+/**
+ * Every built-in tuning with strings, as starting points for the editor
+ * @returns {Array<{ key: string, label: string, midi: number[] }>}
+ */
+export function getTuningPresets() {
+  return Object.entries(TUNINGS).flatMap(([instId, def]) =>
+    Object.entries(def.tunings)
+      .filter(([, t]) => t.midi.length)
+      .map(([id, t]) => ({ key: `${instId}/${id}`, label: `${def.label} — ${t.label}`, midi: t.midi }))
+  );
+}
+
+/**
+ * Read one string as typed in the editor: a note name (E2, F#3, Bb1, E♭2 —
+ * any case) or a MIDI note number. Returns null for anything else.
+ * @param {string} text
+ * @returns {number|null} MIDI note number
+ */
+export function parseStringNote(text) {
+  const value = String(text ?? '').trim();
+  if (/^\d+$/.test(value)) return Number(value);
+  const match = value.match(/^([a-g])([#♯b♭]?)(\d)$/i);
+  if (!match) return null;
+  const [, letter, accidental, octave] = match;
+  const shift = { '#': 1, '♯': 1, b: -1, B: -1, '♭': -1 }[accidental] ?? 0;
+  return (Number(octave) + 1) * 12 + LETTER_SEMITONES[letter.toUpperCase()] + shift;
+}
+
+/**
+ * Problems with an instrument from the editor, as messages for the user
+ * (empty when it can be saved)
+ * @param {{ label: string, tunings: Array<{ label: string, midi: Array<number|null> }> }} instrument
+ * @returns {string[]}
+ */
+export function validateInstrument(instrument) {
+  const errors = [];
+  if (!instrument?.label?.trim()) errors.push('Give the instrument a name.');
+  const tunings = instrument?.tunings ?? [];
+  if (tunings.length === 0) errors.push('Add at least one tuning.');
+  tunings.forEach((tuning, i) => {
+    const where = tuning.label?.trim() || `Tuning ${i + 1}`;
+    if (!tuning.label?.trim()) errors.push(`Tuning ${i + 1}: give it a name.`);
+    if (tuning.midi.length === 0) errors.push(`${where}: add at least one string.`);
+    if (tuning.midi.length > MAX_STRINGS) errors.push(`${where}: at most ${MAX_STRINGS} strings.`);
+    tuning.midi.forEach((m, j) => {
+      if (m == null) {
+        errors.push(`${where}, string ${j + 1}: enter a note like E2 or a MIDI number.`);
+      } else if (m < MIN_STRING_MIDI || m > MAX_STRING_MIDI) {
+        errors.push(
+          `${where}, string ${j + 1}: keep it between ${FrequencyConverter.midiToNoteName(MIN_STRING_MIDI)} `
+          + `and ${FrequencyConverter.midiToNoteName(MAX_STRING_MIDI)}.`
+        );
+      }
+    });
+  });
+  return errors;
 }
 
 /**
  * Resolve a (instrument, tuning, referenceA4) combo into an array of strings
  * ready for the UI. Returns [] for chromatic mode.
+ * @param {Array<object>} [customInstruments] - The `tunerCustomInstruments`
+ *   setting, for `custom:<id>` instruments
  */
-export function getStrings(instrumentId, tuningId, referenceA4 = 440) {
-  const def = TUNINGS[instrumentId];
+export function getStrings(instrumentId, tuningId, referenceA4 = 440, temperament = null, customInstruments = []) {
+  const def = lookup(instrumentId, customInstruments);
   if (!def) return [];
   const tuning = def.tunings[tuningId] ?? def.tunings[def.defaultTuning];
   if (!tuning || !tuning.midi.length) return [];
-  return tuning.midi.map((m) => makeString(m, referenceA4));
+  return tuning.midi.map((m) => makeString(m, referenceA4, temperament));
 }
 
 export function isChromatic(instrumentId) {
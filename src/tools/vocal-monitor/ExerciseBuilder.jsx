@@ -0,0 +1,313 @@
+import { useMemo, useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { validateCustomExercise } from './exercises/index.js';
+
+const KIND_OPTIONS = [
+  { value: 'degree', label: 'Degree', placeholder: '1' },
+  { value: 'semitone', label: 'Semitones', placeholder: '0' },
+  { value: 'note', label: 'Note', placeholder: 'A4' },
+];
+
+// 'follow' = no lock, the exercise uses whatever scale the user picked
+const SCALE_OPTIONS = [
+  { value: 'follow', label: 'Follow my scale' },
+  { value: 'major', label: 'Major' },
+  { value: 'minor', label: 'Natural Minor' },
+  { value: 'harmonicMinor', label: 'Harmonic Minor' },
+  { value: 'melodicMinor', label: 'Melodic Minor' },
+  { value: 'pentatonic', label: 'Pentatonic Major' },
+  { value: 'blues', label: 'Blues' },
+  { value: 'dorian', label: 'Dorian' },
+  { value: 'mixolydian', label: 'Mixolydian' },
+];
+
+const SUSTAIN_OPTIONS = [200, 300, 500, 800, 1200, 2000];
+const HOLD_OPTIONS = [0.5, 1, 1.5, 2, 3, 4];
+
+const INPUT_CLASS =
+  'h-9 w-full min-w-0 rounded-md border border-input bg-background px-2 text-sm';
+
+function blankTarget(kind = 'degree') {
+  return { kind, value: kind === 'note' ? 'C4' : '1', label: '', hold: 1, sustain: '' };
+}
+
+function blankDefinition() {
+  return {
+    id: Date.now().toString(36),
+    name: '',
+    description: '',
+    scaleType: null,
+    sustainDuration: 300,
+    phases: [{ label: 'Phase 1', targets: [blankTarget()] }],
+  };
+}
+
+/**
+ * Editing works on strings (what's in the inputs); saving converts back to
+ * the numbers CustomExercise expects.
+ */
+function toDraft(definition) {
+  return {
+    ...definition,
+    phases: definition.phases.map((phase) => ({
+      ...phase,
+      targets: phase.targets.map((t) => ({
+        ...t,
+        value: String(t.value),
+        label: t.label ?? '',
+        hold: t.hold ?? 1,
+        sustain: t.sustain != null ? String(t.sustain) : '',
+      })),
+    })),
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    ...draft,
+    name: draft.name.trim(),
+    phases: draft.phases.map((phase) => ({
+      label: phase.label.trim(),
+      targets: phase.targets.map((t) => ({
+        kind: t.kind,
+        value: t.kind === 'note' ? t.value.trim().toUpperCase() : numberOrText(t.value),
+        label: t.label.trim(),
+        hold: t.hold,
+        sustain: t.sustain.trim() === '' ? null : numberOrText(t.sustain),
+      })),
+    })),
+  };
+}
+
+function numberOrText(text) {
+  const trimmed = text.trim();
+  return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : trimmed;
+}
+
+/**
+ * Form for creating / editing one custom exercise.
+ * @param {object|null} definition - Exercise to edit (null creates a new one)
+ * @param {function} onSave - Receives the cleaned-up definition
+ * @param {function} onDelete - Receives the id (only offered when editing)
+ * @param {function} onCancel
+ */
+export default function ExerciseBuilder({ definition, onSave, onDelete, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(definition ?? blankDefinition()));
+  const result = useMemo(() => fromDraft(draft), [draft]);
+  const errors = useMemo(() => validateCustomExercise(result), [result]);
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const updatePhase = (p, patch) =>
+    setDraft((d) => ({
+      ...d,
+      phases: d.phases.map((phase, i) => (i === p ? { ...phase, ...patch } : phase)),
+    }));
+  const updateTarget = (p, t, patch) =>
+    updatePhase(p, {
+      targets: draft.phases[p].targets.map((target, i) => (i === t ? { ...target, ...patch } : target)),
+    });
+
+  const addPhase = () =>
+    update({
+      phases: [...draft.phases, { label: `Phase ${draft.phases.length + 1}`, targets: [blankTarget()] }],
+    });
+  const removePhase = (p) => update({ phases: draft.phases.filter((_, i) => i !== p) });
+
+  const addTarget = (p) => {
+    const targets = draft.phases[p].targets;
+    // New rows continue in the previous row's kind
+    const last = targets[targets.length - 1];
+    updatePhase(p, { targets: [...targets, blankTarget(last?.kind)] });
+  };
+  const removeTarget = (p, t) =>
+    updatePhase(p, { targets: draft.phases[p].targets.filter((_, i) => i !== t) });
+
+  return (
+    <div className="flex flex-col gap-5 p-1">
+      <div className="space-y-1.5">
+        <Label htmlFor="custom-exercise-name" className="text-sm">Name</Label>
+        <input
+          id="custom-exercise-name"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="My warm-up"
+          className={INPUT_CLASS}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1.5">
+          <Label className="text-sm">Scale</Label>
+          <Select
+            value={draft.scaleType ?? 'follow'}
+            onValueChange={(v) => update({ scaleType: v === 'follow' ? null : v })}
+          >
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {SCALE_OPTIONS.map((o) => <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1.5">
+          <Label className="text-sm">Sustain</Label>
+          <Select
+            value={String(draft.sustainDuration)}
+            onValueChange={(v) => update({ sustainDuration: Number(v) })}
+          >
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {SUSTAIN_OPTIONS.map((ms) => <SelectItem key={ms} value={String(ms)}>{ms} ms</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        Degrees count from 1 in the current scale (8 is the octave, 0 the step below the root).
+        Semitones are offsets from the root; notes are fixed pitches like A4. Hold stretches the
+        sustain for one target, or set its sustain in ms outright.
+      </p>
+
+      {draft.phases.map((phase, p) => (
+        <div key={p} className="space-y-3 rounded-md border p-3">
+          <div className="flex items-center gap-2">
+            <input
+              value={phase.label}
+              onChange={(e) => updatePhase(p, { label: e.target.value })}
+              aria-label={`Phase ${p + 1} label`}
+              className={`${INPUT_CLASS} font-medium`}
+            />
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => removePhase(p)}
+              disabled={draft.phases.length === 1}
+              aria-label={`Remove phase ${p + 1}`}
+              className="shrink-0 text-muted-foreground hover:text-foreground"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          <div className="grid grid-cols-[6.5rem_1fr_1fr_4.5rem_4.5rem_2rem] items-center gap-1.5 text-xs text-muted-foreground">
+            <span>Type</span>
+            <span>Value</span>
+            <span>Lyric</span>
+            <span>Hold</span>
+            <span>Sustain</span>
+            <span />
+            {phase.targets.map((target, t) => (
+              <TargetRow
+                key={t}
+                target={target}
+                index={t}
+                onChange={(patch) => updateTarget(p, t, patch)}
+                onRemove={() => removeTarget(p, t)}
+              />
+            ))}
+          </div>
+
+          <Button variant="outline" size="sm" onClick={() => addTarget(p)} className="gap-1.5">
+            <Plus className="h-3.5 w-3.5" />
+            Add target
+          </Button>
+        </div>
+      ))}
+
+      <Button variant="outline" size="sm" onClick={addPhase} className="gap-1.5 self-start">
+        <Plus className="h-3.5 w-3.5" />
+        Add phase
+      </Button>
+
+      {errors.length > 0 && (
+        <ul className="space-y-1 rounded-md bg-destructive/10 px-3 py-2 text-xs text-destructive">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+
+      <div className="flex items-center gap-2">
+        {definition && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onDelete(definition.id)}
+            className="gap-1.5 text-destructive hover:text-destructive"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+            Delete
+          </Button>
+        )}
+        <div className="ml-auto flex gap-2">
+          <Button variant="outline" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" onClick={() => onSave(result)} disabled={errors.length > 0}>
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TargetRow({ target, index, onChange, onRemove }) {
+  const kind = KIND_OPTIONS.find((k) => k.value === target.kind) ?? KIND_OPTIONS[0];
+  return (
+    <>
+      <Select
+        value={target.kind}
+        onValueChange={(v) => onChange({ kind: v, value: blankTarget(v).value })}
+      >
+        <SelectTrigger className="h-9" aria-label={`Target ${index + 1} type`}><SelectValue /></SelectTrigger>
+        <SelectContent>
+          {KIND_OPTIONS.map((k) => <SelectItem key={k.value} value={k.value}>{k.label}</SelectItem>)}
+        </SelectContent>
+      </Select>
+      <input
+        value={target.value}
+        onChange={(e) => onChange({ value: e.target.value })}
+        placeholder={kind.placeholder}
+        aria-label={`Target ${index + 1} value`}
+        className={`${INPUT_CLASS} font-mono`}
+      />
+      <input
+        value={target.label}
+        onChange={(e) => onChange({ label: e.target.value })}
+        placeholder={target.kind === 'degree' ? 'Solfège' : ''}
+        aria-label={`Target ${index + 1} lyric`}
+        className={INPUT_CLASS}
+      />
+      <Select value={String(target.hold)} onValueChange={(v) => onChange({ hold: Number(v) })}>
+        <SelectTrigger className="h-9 px-2" aria-label={`Target ${index + 1} hold`}><SelectValue /></SelectTrigger>
+        <SelectContent>
+          {HOLD_OPTIONS.map((h) => <SelectItem key={h} value={String(h)}>×{h}</SelectItem>)}
+        </SelectContent>
+      </Select>
+      <input
+        value={target.sustain}
+        onChange={(e) => onChange({ sustain: e.target.value })}
+        placeholder="ms"
+        inputMode="numeric"
+        aria-label={`Target ${index + 1} sustain`}
+        className={`${INPUT_CLASS} font-mono`}
+      />
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={onRemove}
+        aria-label={`Remove target ${index + 1}`}
+        className="h-8 w-8 text-muted-foreground hover:text-foreground"
+      >
+        <X className="h-4 w-4" />
+      </Button>
+    </>
+  );
+}
@@ -59,6 +59,13 @@ export class ExerciseEngine {
     // Cents tolerance for matching
     this.centsTolerance = 80;
 
+    // Every target sung at since the last clearExercise(), for the practice
+    // log: { midiNote, label, hit, timeToHitMs, sustainMs }. The open
+    // attempt is the current target once the singer has reached it.
+    this.attempts = [];
+    this._attemptStart = null;
+    this._attemptPeak = 0;
+
     // Rest tracking (for rest targets between ladders)
     this._restStartTime = null;
 
@@ -76,6 +83,7 @@ export class ExerciseEngine {
   startExercise(definition, scaleManager, sustainDuration = 800, startTime = null) {
     // Archive any hit targets from current phases before replacing them
     this._archiveHitTargets();
+    this._closeAttempt();
 
     this.definition = definition;
     this.scaleManager = scaleManager;
@@ -104,6 +112,7 @@ export class ExerciseEngine {
     if (this.state === EngineState.ACTIVE) {
       this.state = EngineState.PAUSED;
     }
+    this._closeAttempt();
 
     // Reset to beginning but keep hit targets for review
     this.currentPhaseIndex = 0;
@@ -155,6 +164,10 @@ export class ExerciseEngine {
     this.hitEffects = [];
     this.hitHistory = [];
     this.definition = null;
+
+    this.attempts = [];
+    this._attemptStart = null;
+    this._attemptPeak = 0;
   }
 
   /**
@@ -206,6 +219,12 @@ export class ExerciseEngine {
       return;
     }
 
+    // The target is now the one being sung at
+    if (this._attemptStart == null) {
+      this._attemptStart = currentTime;
+      this._attemptPeak = 0;
+    }
+
     // Check if pitch matches target
     if (!pitchData || !pitchData.frequency) {
       // No pitch detected - check grace period
@@ -222,6 +241,7 @@ export class ExerciseEngine {
 
       // Accumulate sustain in measured wall time
       this.sustainAccumulated += frameDelta;
+      this._attemptPeak = Math.max(this._attemptPeak, this.sustainAccumulated);
 
       // Check if sustained long enough (targets may override the duration,
       // e.g. phrase-ending notes in melodies hold longer)
@@ -309,6 +329,9 @@ export class ExerciseEngine {
     target.hitFrequency = pitchData?.frequency;
     target.hitAnimationStart = currentTime;
     this.targetHitTime = currentTime;
+
+    this.attempts.push(this._attempt(target, true, currentTime));
+    this._attemptStart = null;
     this.sustainAccumulated = 0;
     this.lastMatchTime = null;
 
@@ -323,6 +346,57 @@ export class ExerciseEngine {
     this.hitEffects = this.hitEffects.filter(e => currentTime - e.time < 3000);
   }
 
+  /**
+   * Snapshot of the open attempt on `target`
+   */
+  _attempt(target, hit, currentTime) {
+    return {
+      midiNote: target.midiNote,
+      label: target.label,
+      hit,
+      timeToHitMs: hit ? Math.round(currentTime - this._attemptStart) : null,
+      sustainMs: Math.round(hit ? this.sustainAccumulated : this._attemptPeak),
+    };
+  }
+
+  /**
+   * Record the current target as missed if the singer had reached it
+   */
+  _closeAttempt() {
+    if (this._attemptStart == null) return;
+    const target = this.getCurrentTarget();
+    if (target && !target.rest) this.attempts.push(this._attempt(target, false));
+    this._attemptStart = null;
+  }
+
+  /**
+   * Hits and misses since the last clearExercise(). A target counts as a
+   * miss when the run ended (or restarted) while it was being sung at.
+   * @returns {{targets: number, hits: number, misses: number, avgTimeToHitMs: number|null,
+   *   avgSustainMs: number|null, attempts: Array<object>}|null} null before any target was reached
+   */
+  getRunSummary() {
+    const attempts = [...this.attempts];
+    const target = this.getCurrentTarget();
+    if (this._attemptStart != null && target && !target.rest) {
+      attempts.push(this._attempt(target, false));
+    }
+    if (attempts.length === 0) return null;
+
+    const hits = attempts.filter((a) => a.hit);
+    const mean = (list, key) => (list.length > 0
+      ? Math.round(list.reduce((sum, a) => sum + a[key], 0) / list.length)
+      : null);
+    return {
+      targets: attempts.length,
+      hits: hits.length,
+      misses: attempts.length - hits.length,
+      avgTimeToHitMs: mean(hits, 'timeToHitMs'),
+      avgSustainMs: mean(hits, 'sustainMs'),
+      attempts,
+    };
+  }
+
   /**
    * Advance to next target
    */
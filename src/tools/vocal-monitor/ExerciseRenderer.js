@@ -148,7 +148,7 @@ export class ExerciseRenderer {
     const popDuration = 200; // ms
     if (isHit && target.hitAnimationStart != null) {
       const elapsed = currentTime - target.hitAnimationStart;
-      if (elapsed < popDuration) {
+      if (elapsed >= 0 && elapsed < popDuration) {
         // Ease out bounce: scale up then back to 1
         const t = elapsed / popDuration;
         const bounce = Math.sin(t * Math.PI) * 0.3; // peaks at 0.3 (130% scale)
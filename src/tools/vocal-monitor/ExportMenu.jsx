@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from 'react';
+import { Download } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+
+const FORMATS = [
+  { id: 'midi', label: 'MIDI', hint: 'Notes + pitch-bend for a DAW' },
+  { id: 'csv', label: 'CSV', hint: 'Per-frame pitch, RMS, vibrato, HNR' },
+  { id: 'json', label: 'JSON', hint: 'Frames, key changes, exercise hits' },
+];
+
+export default function ExportMenu({ onExport }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    window.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      window.removeEventListener('pointerdown', onPointerDown);
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [open]);
+
+  return (
+    <div ref={rootRef} className="relative">
+      <Button
+        variant="outline"
+        onClick={() => setOpen((o) => !o)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download className="h-4 w-4" />
+        Export
+      </Button>
+      {open && (
+        <div
+          role="menu"
+          className="absolute left-0 top-full z-20 mt-1 w-64 rounded-md border bg-popover p-1 text-popover-foreground shadow-md"
+        >
+          {FORMATS.map((format) => (
+            <button
+              key={format.id}
+              type="button"
+              role="menuitem"
+              onClick={() => {
+                setOpen(false);
+                onExport(format.id);
+              }}
+              className="flex w-full flex-col items-start rounded-sm px-2 py-1.5 text-left text-sm hover:bg-accent hover:text-accent-foreground"
+            >
+              <span className="font-medium">{format.label}</span>
+              <span className="text-xs text-muted-foreground">{format.hint}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
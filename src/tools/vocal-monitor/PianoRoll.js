@@ -1,6 +1,11 @@
 /**
  * PianoRoll - Piano roll component for the Vocal Monitor
  * Renders piano keys on the left side and provides pitch-to-Y mapping
+ *
+ * With a 12-note temperament set (see core/Temperament.js) each key's row
+ * and grid line sit at that note's tempered pitch, so a well-tuned just
+ * third lands in the middle of its row. Other scales keep the 12 rows and
+ * add a line per scale pitch.
  */
 
 import { FrequencyConverter } from '../../pitch-engine/index.js';
@@ -10,6 +15,7 @@ export class PianoRoll {
     // Piano roll dimensions
     this.keyboardWidth = 80; // Width of piano keys sidebar (increased for labels)
     this.noteHeight = 0; // Calculated based on range
+    this.temperament = null; // null = equal temperament; set by the renderer
 
     // Note names for display
     this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -138,7 +144,7 @@ export class PianoRoll {
     for (let midi = pitchRangeMin; midi < pitchRangeMax; midi++) {
       const noteIndex = midi % 12;
       const isBlackKey = [1, 3, 6, 8, 10].includes(noteIndex);
-      const y = this.midiToY(midi, height, pitchRangeMin, pitchRangeMax);
+      const y = this.rowY(midi, height, pitchRangeMin, pitchRangeMax);
       const isPressed = midi === pressedKey;
 
       if (!isBlackKey) {
@@ -155,7 +161,7 @@ export class PianoRoll {
     for (let midi = pitchRangeMin; midi < pitchRangeMax; midi++) {
       const noteIndex = midi % 12;
       const isBlackKey = [1, 3, 6, 8, 10].includes(noteIndex);
-      const y = this.midiToY(midi, height, pitchRangeMin, pitchRangeMax);
+      const y = this.rowY(midi, height, pitchRangeMin, pitchRangeMax);
       const isPressed = midi === pressedKey;
 
       if (isBlackKey) {
@@ -180,7 +186,7 @@ export class PianoRoll {
       const noteIndex = midi % 12;
       const octave = Math.floor(midi / 12) - 1;
       const isBlackKey = [1, 3, 6, 8, 10].includes(noteIndex);
-      const y = this.midiToY(midi, height, pitchRangeMin, pitchRangeMax);
+      const y = this.rowY(midi, height, pitchRangeMin, pitchRangeMax);
       const centerY = y - this.noteHeight / 2;
 
       // Get note name
@@ -252,7 +258,7 @@ export class PianoRoll {
     // Highlight all notes
     for (let midi = pitchRangeMin; midi < pitchRangeMax; midi++) {
       const pitchClass = midi % 12;
-      const y = this.midiToY(midi, height, pitchRangeMin, pitchRangeMax);
+      const y = this.rowY(midi, height, pitchRangeMin, pitchRangeMax);
       const intervalFromRoot = (pitchClass - rootPitchClass + 12) % 12;
 
       if (scalePitchClasses.has(pitchClass)) {
@@ -332,7 +338,7 @@ export class PianoRoll {
       // Highlight all notes for this segment
       for (let midi = pitchRangeMin; midi < pitchRangeMax; midi++) {
         const pitchClass = midi % 12;
-        const y = this.midiToY(midi, height, pitchRangeMin, pitchRangeMax);
+        const y = this.rowY(midi, height, pitchRangeMin, pitchRangeMax);
         const intervalFromRoot = (pitchClass - rootPitchClass + 12) % 12;
 
         if (scalePitchClasses.has(pitchClass)) {
@@ -374,7 +380,7 @@ export class PianoRoll {
     }
 
     for (let midi = pitchRangeMin; midi <= pitchRangeMax; midi++) {
-      const y = this.midiToY(midi, height, pitchRangeMin, pitchRangeMax);
+      const y = this.rowY(midi, height, pitchRangeMin, pitchRangeMax);
       const noteIndex = midi % 12;
 
       // Bold line for Do (root of current scale) — keep blue accent (works in both modes)
@@ -398,6 +404,54 @@ export class PianoRoll {
       ctx.lineTo(x + width, y);
       ctx.stroke();
     }
+
+    if (this.temperament && !this.temperament.isTwelveTone) {
+      this.renderScaleSteps(ctx, x, width, height, pitchRangeMin, pitchRangeMax);
+    }
+  }
+
+  /**
+   * Dashed line through the centre of every pitch of a non-12-note scale,
+   * labelled with its degree at the right edge
+   */
+  renderScaleSteps(ctx, x, width, height, pitchRangeMin, pitchRangeMax) {
+    const low = FrequencyConverter.midiToFrequency(pitchRangeMin);
+    const high = FrequencyConverter.midiToFrequency(pitchRangeMax);
+    const steps = this.temperament.pitchesBetween(low, high);
+
+    ctx.save();
+    ctx.setLineDash?.([4, 4]);
+    ctx.strokeStyle = this.theme?.gridLineStrong ?? 'rgba(0, 0, 0, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = this.theme?.textMuted ?? '#888';
+    ctx.font = '9px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    for (const step of steps) {
+      // Rows are centred half a note above their MIDI number (see rowY)
+      const midiFloat = FrequencyConverter.frequencyToMidi(step.frequency) + 0.5;
+      const y = this.midiToY(midiFloat, height, pitchRangeMin, pitchRangeMax);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + width, y);
+      ctx.stroke();
+      ctx.fillText(step.noteName, x + width - 4, y - 1);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Y of the bottom edge of a key's row: midiToY shifted by how far the
+   * temperament moves that note from equal temperament
+   * @param {number} midi
+   * @param {number} height - Canvas height
+   * @param {number} pitchRangeMin
+   * @param {number} pitchRangeMax
+   * @returns {number}
+   */
+  rowY(midi, height, pitchRangeMin, pitchRangeMax) {
+    const shift = this.temperament?.isTwelveTone ? this.temperament.offsetCents(midi) / 100 : 0;
+    return this.midiToY(midi + shift, height, pitchRangeMin, pitchRangeMax);
   }
 
   /**
@@ -17,6 +17,7 @@ export default function PitchCanvas({ services, onControllerReady, onStateChange
       scaleManager: services.scaleManager,
       pitchContext: services.pitchContext,
       droneManager: services.droneManager,
+      practiceLog: services.practiceLog,
       onStateChange: (state) => {
         if (cancelled) return;
         setJumpVisible(state.jumpToFrontVisible);
@@ -0,0 +1,299 @@
+/**
+ * PitchExporter - Turns a Vocal Monitor pitch trace into files.
+ *
+ *   MIDI — Standard MIDI File (format 0). The trace is segmented into notes;
+ *          the deviation from each note's centre is written as pitch-bend so
+ *          scoops, drift and vibrato survive the import.
+ *   CSV  — one row per detected frame (time, frequency, cents, RMS, vibrato,
+ *          HNR) for spreadsheets.
+ *   JSON — the frames plus the derived notes, the ScaleTimeline key segments
+ *          and exercise hit results.
+ *
+ * Everything here is pure: functions take plain pitchHistory arrays and
+ * return strings / bytes. Turning them into downloads is up to the caller.
+ */
+
+import { FrequencyConverter } from '../../pitch-engine/index.js';
+
+// MIDI timing: 480 ticks per quarter at 120 BPM → 0.96 ticks per ms
+const TICKS_PER_QUARTER = 480;
+const MICROS_PER_QUARTER = 500000;
+const TICKS_PER_MS = (TICKS_PER_QUARTER * 1000) / MICROS_PER_QUARTER;
+
+// Pitch-bend range written via RPN 0 — wide enough for scoops into a note
+const BEND_RANGE_SEMITONES = 2;
+const BEND_CENTER = 8192;
+
+// Note segmentation
+const MAX_FRAME_GAP_MS = 150; // silence longer than this ends a note
+const NOTE_CHANGE_SEMITONES = 0.7; // sustained distance from the note that starts a new one
+const NOTE_CHANGE_FRAMES = 3; // …for this many frames (~100ms at 30Hz)
+const MIN_NOTE_MS = 60; // shorter blips are dropped
+
+const CSV_COLUMNS = [
+  'time_ms',
+  'frequency_hz',
+  'midi',
+  'note',
+  'cents',
+  'rms',
+  'normalized_rms',
+  'confidence',
+  'vibrato_rate_hz',
+  'vibrato_extent_cents',
+  'hnr',
+];
+
+/**
+ * Group frames into notes. A note ends at a gap in the trace or when the
+ * pitch stays more than ~a semitone away for a few frames (so vibrato and
+ * short scoops stay inside one note).
+ * @param {Array} pitchHistory - VocalMonitorState.pitchHistory
+ * @returns {Array<{startTime: number, endTime: number, midiNote: number, velocity: number, frames: Array}>}
+ */
+export function segmentNotes(pitchHistory) {
+  const notes = [];
+  let frames = [];
+  let anchor = null; // rounded MIDI the current note is built around
+  let drift = [];
+
+  const flush = (endFrames) => {
+    if (endFrames.length > 0) notes.push(buildNote(endFrames));
+  };
+
+  for (const point of pitchHistory) {
+    if (!point.frequency) continue;
+    const exact = FrequencyConverter.frequencyToMidi(point.frequency);
+    const last = frames[frames.length - 1];
+
+    if (last && point.time - last.time > MAX_FRAME_GAP_MS) {
+      flush([...frames, ...drift]);
+      frames = [];
+      drift = [];
+      anchor = null;
+    }
+
+    if (anchor === null) {
+      anchor = Math.round(exact);
+      frames.push(point);
+      continue;
+    }
+
+    if (Math.abs(exact - anchor) > NOTE_CHANGE_SEMITONES) {
+      drift.push(point);
+      if (drift.length >= NOTE_CHANGE_FRAMES) {
+        flush(frames);
+        frames = drift;
+        drift = [];
+        anchor = Math.round(FrequencyConverter.frequencyToMidi(frames[0].frequency));
+      }
+    } else {
+      frames.push(...drift, point);
+      drift = [];
+    }
+  }
+  flush([...frames, ...drift]);
+
+  return notes.filter((note) => note.endTime - note.startTime >= MIN_NOTE_MS);
+}
+
+function buildNote(frames) {
+  const midis = frames.map((p) => FrequencyConverter.frequencyToMidi(p.frequency)).sort((a, b) => a - b);
+  const median = midis[Math.floor(midis.length / 2)];
+  const loudness = frames.reduce((sum, p) => sum + (p.normalizedRMS ?? 0.5), 0) / frames.length;
+  const last = frames[frames.length - 1];
+  return {
+    startTime: frames[0].time,
+    // Extend the last frame by one nominal frame so single-frame notes have length
+    endTime: last.time + 33,
+    midiNote: Math.round(median),
+    velocity: clamp(Math.round(40 + loudness * 87), 1, 127),
+    frames,
+  };
+}
+
+/**
+ * Encode the trace as a format-0 Standard MIDI File
+ * @param {Array} pitchHistory
+ * @param {object} [options]
+ * @param {string} [options.trackName]
+ * @param {number} [options.channel] - 0-15
+ * @returns {Uint8Array}
+ */
+export function toMidi(pitchHistory, { trackName = 'Vocal Monitor', channel = 0 } = {}) {
+  const events = []; // { tick, order, bytes } — order breaks ties (note-off before note-on)
+  const at = (ms) => Math.max(0, Math.round(ms * TICKS_PER_MS));
+  const status = (high) => high | (channel & 0x0f);
+
+  const bend = (semitones) => {
+    const value = clamp(
+      Math.round(BEND_CENTER + (semitones / BEND_RANGE_SEMITONES) * BEND_CENTER),
+      0,
+      16383
+    );
+    return [status(0xe0), value & 0x7f, (value >> 7) & 0x7f];
+  };
+
+  for (const note of segmentNotes(pitchHistory)) {
+    const startTick = at(note.startTime);
+    events.push({ tick: startTick, order: 1, bytes: bend(0) });
+    events.push({ tick: startTick, order: 2, bytes: [status(0x90), note.midiNote, note.velocity] });
+
+    let lastBend = null;
+    for (const frame of note.frames) {
+      const offset = clamp(
+        FrequencyConverter.frequencyToMidi(frame.frequency) - note.midiNote,
+        -BEND_RANGE_SEMITONES,
+        BEND_RANGE_SEMITONES
+      );
+      const bytes = bend(offset);
+      const value = bytes[1] | (bytes[2] << 7);
+      if (value === lastBend) continue;
+      lastBend = value;
+      events.push({ tick: at(frame.time), order: 3, bytes });
+    }
+
+    events.push({ tick: at(note.endTime), order: 0, bytes: [status(0x80), note.midiNote, 0] });
+  }
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const track = [];
+  const name = Array.from(new TextEncoder().encode(trackName));
+  track.push(0x00, 0xff, 0x03, ...writeVarLen(name.length), ...name);
+  track.push(
+    0x00, 0xff, 0x51, 0x03,
+    (MICROS_PER_QUARTER >> 16) & 0xff, (MICROS_PER_QUARTER >> 8) & 0xff, MICROS_PER_QUARTER & 0xff
+  );
+  // RPN 0 (pitch-bend sensitivity) = BEND_RANGE_SEMITONES, then null the RPN
+  track.push(
+    0x00, status(0xb0), 101, 0,
+    0x00, status(0xb0), 100, 0,
+    0x00, status(0xb0), 6, BEND_RANGE_SEMITONES,
+    0x00, status(0xb0), 38, 0,
+    0x00, status(0xb0), 101, 127,
+    0x00, status(0xb0), 100, 127
+  );
+
+  let lastTick = 0;
+  for (const event of events) {
+    track.push(...writeVarLen(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  }
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // MThd
+    0, 0, 0, 6,
+    0, 0, // format 0
+    0, 1, // one track
+    (TICKS_PER_QUARTER >> 8) & 0xff, TICKS_PER_QUARTER & 0xff,
+  ];
+  const trackHeader = [
+    0x4d, 0x54, 0x72, 0x6b, // MTrk
+    (track.length >>> 24) & 0xff, (track.length >>> 16) & 0xff,
+    (track.length >>> 8) & 0xff, track.length & 0xff,
+  ];
+  return Uint8Array.from([...header, ...trackHeader, ...track]);
+}
+
+/**
+ * One CSV row per detected frame
+ * @param {Array} pitchHistory
+ * @returns {string}
+ */
+export function toCsv(pitchHistory) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const frame of pitchHistory.map(toFrame)) {
+    rows.push(
+      [
+        frame.time,
+        round(frame.frequency, 2),
+        round(frame.midi, 3),
+        frame.note ?? '',
+        round(frame.cents, 1),
+        round(frame.rms, 5),
+        round(frame.normalizedRMS, 3),
+        round(frame.confidence, 3),
+        round(frame.vibratoRate, 2),
+        round(frame.vibratoExtent, 1),
+        round(frame.hnr, 3),
+      ].join(',')
+    );
+  }
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Full JSON export: frames, derived notes, key segments and exercise hits
+ * @param {object} params
+ * @param {Array} params.pitchHistory
+ * @param {ScaleTimeline} params.scaleTimeline
+ * @param {Array} [params.exerciseHits] - Hit targets (SessionRecorder.exerciseHits)
+ * @returns {string}
+ */
+export function toJson({ pitchHistory, scaleTimeline, exerciseHits = [] }) {
+  const durationMs = pitchHistory.length > 0 ? pitchHistory[pitchHistory.length - 1].time : 0;
+  const doc = {
+    format: 'flappynote-pitch-trace',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    durationMs,
+    keySegments: scaleTimeline.getSegmentsInRange(0, Math.max(durationMs, 1)),
+    notes: segmentNotes(pitchHistory).map(({ frames: _frames, ...note }) => ({
+      ...note,
+      noteName: FrequencyConverter.midiToNoteName(note.midiNote),
+    })),
+    exerciseHits: exerciseHits
+      .filter((hit) => hit.hitTime != null)
+      .sort((a, b) => a.hitTime - b.hitTime)
+      .map((hit) => ({
+        time: hit.hitTime,
+        midiNote: hit.midiNote,
+        noteName: FrequencyConverter.midiToNoteName(hit.midiNote),
+        label: hit.label ?? null,
+        lyric: hit.lyric ?? null,
+        sungFrequency: hit.hitFrequency ?? null,
+      })),
+    frames: pitchHistory.map(toFrame),
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * Normalize a pitchHistory point into the exported frame shape. Points
+ * recorded before vibrato/HNR were stored fall back to what's derivable.
+ */
+function toFrame(point) {
+  return {
+    time: point.time,
+    frequency: point.frequency,
+    midi: FrequencyConverter.frequencyToMidi(point.frequency),
+    note: point.noteName ?? null,
+    cents: point.centsOff ?? 0,
+    rms: point.rms ?? 0,
+    normalizedRMS: point.normalizedRMS ?? 0,
+    confidence: point.confidence ?? 0,
+    vibratoRate: point.vibratoRate ?? 0,
+    vibratoExtent: point.vibratoExtent ?? 0,
+    hnr: point.hnr ?? 1 - (point.breathiness ?? 0.5),
+  };
+}
+
+function writeVarLen(value) {
+  const bytes = [value & 0x7f];
+  let v = value >> 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80);
+    v >>= 7;
+  }
+  return bytes;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,61 @@
+import { Pause, Play, VolumeX, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { Tooltip, TooltipContent, TooltipTrigger } from '@/components/ui/tooltip';
+
+export default function ReplayBar({ replay, onToggle, onSeek, onExit }) {
+  const { position, duration, isPlaying, hasAudio } = replay;
+
+  return (
+    <div className="flex min-w-0 flex-1 items-center gap-2">
+      <Button
+        variant="outline"
+        size="icon"
+        onClick={onToggle}
+        aria-label={isPlaying ? 'Pause replay' : 'Play replay'}
+      >
+        {isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+      </Button>
+
+      <input
+        type="range"
+        min={0}
+        max={Math.max(1, Math.round(duration))}
+        value={Math.round(position)}
+        onChange={(e) => onSeek(e.target.valueAsNumber)}
+        aria-label="Replay position"
+        className="w-full min-w-0 accent-primary"
+      />
+
+      <span className="shrink-0 font-mono text-xs tabular-nums text-muted-foreground">
+        {formatTime(position)} / {formatTime(duration)}
+      </span>
+
+      {!hasAudio && (
+        <Tooltip>
+          <TooltipTrigger asChild>
+            <VolumeX className="h-4 w-4 shrink-0 text-muted-foreground" />
+          </TooltipTrigger>
+          <TooltipContent>No audio was recorded — pitch trace only</TooltipContent>
+        </Tooltip>
+      )}
+
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={onExit}
+        aria-label="Exit replay"
+        className="text-muted-foreground hover:text-foreground"
+      >
+        <X className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+}
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
@@ -0,0 +1,223 @@
+/**
+ * SessionPlayer - Replays a SessionRecorder snapshot on the piano roll.
+ *
+ * Owns the replay playhead (monitor time, ms) and one audio element per
+ * recorded clip. While a clip covers the playhead its audio clock is the
+ * master — position = clip.startMs + audio.currentTime — so the trace never
+ * drifts from what you hear. Between clips, or for pitch-only sessions, the
+ * playhead advances on the wall clock.
+ *
+ * Pure logic apart from the audio elements, which come from an injectable
+ * factory so tests can drive it without a browser.
+ */
+
+import { ScaleTimeline } from './ScaleTimeline.js';
+import { EngineState } from './ExerciseEngine.js';
+
+// Max distance (ms) between the playhead and the last pitch frame for the
+// current-pitch indicator to show — a few frames at the ~30Hz update rate
+const CURRENT_PITCH_WINDOW_MS = 100;
+
+export class SessionPlayer {
+  /**
+   * @param {object} session - From SessionRecorder.buildSession()
+   * @param {object} [options]
+   * @param {function} [options.createAudio] - clip → HTMLAudioElement-like ({ play, pause, currentTime, ended })
+   * @param {function} [options.now] - Wall clock in ms (default performance.now)
+   */
+  constructor(session, { createAudio, now } = {}) {
+    this.session = session;
+    this.position = 0;
+    this.isPlaying = false;
+
+    this.scaleTimeline = new ScaleTimeline();
+    this.scaleTimeline.reset(session.initialKey.rootNote, session.initialKey.scaleType);
+    for (const change of session.keyChanges) {
+      this.scaleTimeline.addKeyChange(change.time, change.rootNote, change.scaleType);
+    }
+
+    this._createAudio = createAudio ?? createAudioElement;
+    this._now = now ?? (() => performance.now());
+    this._audio = new Map(); // clip → audio element
+    this._activeClip = null;
+    this._lastTick = null;
+  }
+
+  get duration() {
+    return this.session.durationMs;
+  }
+
+  get hasAudio() {
+    return this.session.clips.length > 0;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.position >= this.duration) this.position = 0;
+    this.isPlaying = true;
+    this._lastTick = this._now();
+    this._startClipAtPosition();
+  }
+
+  pause() {
+    this.isPlaying = false;
+    this._lastTick = null;
+    this._releaseClip();
+  }
+
+  toggle() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Move the playhead. Keeps playing if it was playing.
+   * @param {number} timeMs - Monitor time to jump to (clamped to the session)
+   */
+  seek(timeMs) {
+    this.position = Math.max(0, Math.min(this.duration, timeMs));
+    this._releaseClip();
+    if (this.isPlaying) {
+      this._lastTick = this._now();
+      this._startClipAtPosition();
+    }
+  }
+
+  /**
+   * Advance the playhead — call once per animation frame
+   * @returns {number} Current position in ms
+   */
+  tick() {
+    if (!this.isPlaying) return this.position;
+
+    const now = this._now();
+    const clip = this._activeClip;
+    const audio = clip ? this._audio.get(clip) : null;
+
+    if (audio && !audio.ended) {
+      this.position = clip.startMs + audio.currentTime * 1000;
+      if (this.position >= clip.startMs + clip.durationMs) this._releaseClip();
+    } else {
+      if (clip) this._releaseClip();
+      this.position += now - this._lastTick;
+    }
+    this._lastTick = now;
+
+    if (this.position >= this.duration) {
+      this.position = this.duration;
+      this.pause();
+    } else if (!this._activeClip) {
+      this._startClipAtPosition();
+    }
+    return this.position;
+  }
+
+  /**
+   * Build a render state shaped like VocalMonitorState.getState(), with the
+   * viewport centred on the playhead so past and upcoming trace are visible.
+   * @param {object} liveState - VocalMonitorState.getState() (pitch range, RMS bounds)
+   * @returns {object}
+   */
+  getRenderState(liveState) {
+    const { viewportWidth } = liveState;
+    const viewportStart = Math.max(0, this.position - viewportWidth / 2);
+    const viewportEnd = viewportStart + viewportWidth;
+    const history = this.session.pitchHistory;
+
+    const currentPitch = this._pitchAtPosition();
+    return {
+      ...liveState,
+      pitchHistory: history.filter((p) => p.time >= viewportStart && p.time <= viewportEnd),
+      currentPitch,
+      isSinging: currentPitch !== null,
+      isRecording: false,
+      isReplaying: true,
+      isAutoScrolling: true,
+      currentTime: this.position,
+      viewportStart,
+    };
+  }
+
+  /**
+   * Exercise hits as a paused engine state, so ExerciseRenderer draws them
+   * like the review view after stopping a live session
+   * @returns {object|null}
+   */
+  getExerciseState() {
+    if (this.session.exerciseHits.length === 0) return null;
+    return {
+      engineState: EngineState.PAUSED,
+      phases: [],
+      currentPhase: { targets: [] },
+      currentTargetIndex: -1,
+      sustainDuration: this.session.sustainDuration,
+      sustainFraction: 0,
+      hitEffects: [],
+      hitHistory: this.session.exerciseHits,
+    };
+  }
+
+  dispose() {
+    this.pause();
+    for (const audio of this._audio.values()) {
+      audio.pause();
+      audio.dispose?.();
+    }
+    this._audio.clear();
+  }
+
+  _pitchAtPosition() {
+    const history = this.session.pitchHistory;
+    // Binary search for the last frame at or before the playhead
+    let lo = 0;
+    let hi = history.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (history[mid].time <= this.position) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (found < 0) return null;
+    const point = history[found];
+    return this.position - point.time <= CURRENT_PITCH_WINDOW_MS ? point : null;
+  }
+
+  _clipAtPosition() {
+    return this.session.clips.find(
+      (clip) => this.position >= clip.startMs && this.position < clip.startMs + clip.durationMs
+    ) ?? null;
+  }
+
+  _startClipAtPosition() {
+    const clip = this._clipAtPosition();
+    if (!clip) return;
+    let audio = this._audio.get(clip);
+    if (!audio) {
+      audio = this._createAudio(clip);
+      this._audio.set(clip, audio);
+    }
+    audio.currentTime = (this.position - clip.startMs) / 1000;
+    const playing = audio.play();
+    playing?.catch?.((err) => console.warn('SessionPlayer: audio playback failed', err));
+    this._activeClip = clip;
+  }
+
+  _releaseClip() {
+    if (!this._activeClip) return;
+    this._audio.get(this._activeClip)?.pause();
+    this._activeClip = null;
+  }
+}
+
+function createAudioElement(clip) {
+  const url = URL.createObjectURL(clip.blob);
+  const audio = new Audio(url);
+  audio.preload = 'auto';
+  audio.setAttribute('playsinline', '');
+  audio.dispose = () => URL.revokeObjectURL(url);
+  return audio;
+}
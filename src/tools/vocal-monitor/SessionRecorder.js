@@ -0,0 +1,211 @@
+/**
+ * SessionRecorder - Captures a Vocal Monitor session for later replay.
+ *
+ * Audio is recorded per start/stop span ("clip") with MediaRecorder on the
+ * same microphone stream the pitch detector reads. Each clip is stamped with
+ * the monitor time it started at, so it lines up with pitchHistory even when
+ * the user stops and starts again without clearing.
+ *
+ * Exercise hits are collected here as well: ExerciseEngine.clearExercise()
+ * wipes its own hitHistory on stop, so the controller hands the engine over
+ * before every clear.
+ */
+
+import { TargetState } from './ExerciseEngine.js';
+
+// Preference order — Chrome/Firefox record webm/opus, Safari only mp4/aac
+const MIME_CANDIDATES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/mp4',
+  'audio/ogg;codecs=opus',
+];
+
+// Ask MediaRecorder for a chunk every second so a crash mid-session still
+// leaves most of the audio in memory
+const TIMESLICE_MS = 1000;
+
+export class SessionRecorder {
+  constructor() {
+    this.clips = []; // [{ startMs, durationMs, blob }]
+    this.exerciseHits = [];
+
+    this._mediaRecorder = null;
+    this._stream = null;
+    this._chunks = [];
+    this._clipStartMs = 0;
+    this._generation = 0; // bumped on clear() so late onstop events are dropped
+  }
+
+  /**
+   * Whether this browser can record audio at all
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined';
+  }
+
+  get isCapturing() {
+    return this._mediaRecorder !== null;
+  }
+
+  get hasAudio() {
+    return this.clips.length > 0;
+  }
+
+  /**
+   * Begin recording a clip from the microphone stream
+   * @param {MediaStream|null} stream - Live mic stream (PitchContext.getMediaStream())
+   * @param {number} startMs - Monitor time the clip starts at
+   * @returns {boolean} True if audio capture started (pitch-only otherwise)
+   */
+  startClip(stream, startMs) {
+    if (this._mediaRecorder || !stream || !SessionRecorder.isSupported()) return false;
+
+    const mimeType = pickMimeType();
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    } catch (err) {
+      console.warn('SessionRecorder: MediaRecorder unavailable, recording pitch only', err);
+      return false;
+    }
+
+    this._stream = stream;
+    this._chunks = [];
+    this._clipStartMs = startMs;
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) this._chunks.push(e.data);
+    };
+    recorder.start(TIMESLICE_MS);
+    this._mediaRecorder = recorder;
+    return true;
+  }
+
+  /**
+   * Finish the current clip. Call before the mic stream is torn down —
+   * MediaRecorder stops on its own when the tracks end.
+   * @param {number} endMs - Monitor time the clip ends at
+   * @returns {Promise<object|null>} The stored clip, or null if nothing was captured
+   */
+  stopClip(endMs) {
+    const recorder = this._mediaRecorder;
+    if (!recorder) return Promise.resolve(null);
+    this._mediaRecorder = null;
+    this._stream = null;
+
+    const chunks = this._chunks;
+    const startMs = this._clipStartMs;
+    const generation = this._generation;
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        if (generation !== this._generation || chunks.length === 0) {
+          resolve(null);
+          return;
+        }
+        const clip = {
+          startMs,
+          durationMs: Math.max(0, endMs - startMs),
+          blob: new Blob(chunks, { type: recorder.mimeType || chunks[0].type }),
+        };
+        this.clips.push(clip);
+        resolve(clip);
+      };
+
+      if (recorder.state === 'inactive') {
+        finish();
+      } else {
+        recorder.onstop = finish;
+        recorder.stop();
+      }
+    });
+  }
+
+  /**
+   * Add existing audio as a clip — an imported file replays like a recording
+   * @param {Blob} blob - Encoded audio
+   * @param {number} startMs - Monitor time the audio starts at
+   * @param {number} durationMs
+   */
+  importClip(blob, startMs, durationMs) {
+    this.clips.push({ startMs, durationMs, blob });
+  }
+
+  /**
+   * Copy hit targets out of the exercise engine (archived history plus any
+   * hits still sitting in the live phases). Duplicates are skipped, so it's
+   * safe to call repeatedly.
+   * @param {ExerciseEngine} exerciseEngine
+   */
+  captureExerciseHits(exerciseEngine) {
+    const seen = new Set(this.exerciseHits.map(hitKey));
+    const candidates = [...exerciseEngine.hitHistory];
+    for (const phase of exerciseEngine.phases) {
+      for (const target of phase.targets) {
+        if (target.state === TargetState.HIT) candidates.push(target);
+      }
+    }
+    for (const target of candidates) {
+      if (target.hitTime == null) continue;
+      const key = hitKey(target);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      this.exerciseHits.push({ ...target, state: TargetState.HIT });
+    }
+  }
+
+  /**
+   * Snapshot everything needed to replay the session
+   * @param {object} params
+   * @param {Array} params.pitchHistory - VocalMonitorState.pitchHistory
+   * @param {ScaleTimeline} params.scaleTimeline
+   * @param {number} params.sustainDuration - Exercise sustain (hit-block width)
+   * @returns {object} Session snapshot
+   */
+  buildSession({ pitchHistory, scaleTimeline, sustainDuration = 200 }) {
+    const lastPitchMs = pitchHistory.length > 0 ? pitchHistory[pitchHistory.length - 1].time : 0;
+    const lastClipMs = this.clips.reduce(
+      (max, clip) => Math.max(max, clip.startMs + clip.durationMs),
+      0
+    );
+    return {
+      pitchHistory: pitchHistory.slice(),
+      initialKey: { ...scaleTimeline.initialKey },
+      keyChanges: scaleTimeline.getAllKeyChanges(),
+      exerciseHits: this.exerciseHits.map((hit) => ({ ...hit })),
+      sustainDuration,
+      clips: this.clips.slice(),
+      durationMs: Math.max(lastPitchMs, lastClipMs),
+    };
+  }
+
+  /**
+   * Drop all recorded clips and hits. If a clip is in flight it's discarded
+   * and a fresh one starts at monitor time 0 (clear() rewinds the monitor
+   * clock) — container chunks can't be trimmed from the front.
+   */
+  clear() {
+    this._generation++;
+    this.clips = [];
+    this.exerciseHits = [];
+
+    const recorder = this._mediaRecorder;
+    if (!recorder) return;
+    const stream = this._stream;
+    this._mediaRecorder = null;
+    this._stream = null;
+    recorder.ondataavailable = null;
+    if (recorder.state !== 'inactive') recorder.stop();
+    this.startClip(stream, 0);
+  }
+}
+
+function pickMimeType() {
+  if (typeof MediaRecorder.isTypeSupported !== 'function') return null;
+  return MIME_CANDIDATES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+function hitKey(target) {
+  return `${target.hitTime}:${target.midiNote}`;
+}
@@ -1,4 +1,5 @@
-import { Lock } from 'lucide-react';
+import { useRef } from 'react';
+import { FileMusic, Lock, Pencil, Plus, Trash2 } from 'lucide-react';
 
 import {
   Select,
@@ -13,9 +14,12 @@ import { Switch } from '@/components/ui/switch';
 import { Label } from '@/components/ui/label';
 import { Separator } from '@/components/ui/separator';
 import { Badge } from '@/components/ui/badge';
-import { FrequencyConverter } from '../../pitch-engine/index.js';
+import { Button } from '@/components/ui/button';
+import { FrequencyConverter, getAvailableDetectors } from '../../pitch-engine/index.js';
 import { useSharedSettingValues } from './useSharedSettings.js';
 import { ROLLING_KEY_LOWS, ROLLING_KEY_HIGHS } from './rollingKeyOptions.js';
+import { CUSTOM_PREFIX, IMPORTED_MELODY_PREFIX, MELODY_FILE_ACCEPT } from './exercises/index.js';
+import TemperamentField from '../tuner/TemperamentField.jsx';
 
 const ROOT_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 const ROOT_NOTE_LABELS = {
@@ -136,6 +140,8 @@ const SETTINGS_KEYS = [
   'exerciseEnabled',
   'exerciseType',
   'exerciseShowLyrics',
+  'customExercises',
+  'importedMelodies',
   'rollingKeyEnabled',
   'rollingKeyLowestRoot',
   'rollingKeyHighestRoot',
@@ -144,10 +150,13 @@ const SETTINGS_KEYS = [
   'vmRhythmEnabled',
   'vmRhythmBpm',
   'vmRhythmVolume',
+  'pitchDetector',
 ];
 
 const RHYTHM_BPM_OPTIONS = [50, 60, 70, 80, 90, 100, 110, 120, 130, 140, 160, 180];
 
+const DETECTORS = getAvailableDetectors();
+
 export default function Sidebar({
   settings,
   scaleLocked,
@@ -157,8 +166,12 @@ export default function Sidebar({
   exerciseRange,
   effectiveRollingKeyLowest,
   effectiveRollingKeyHighest,
+  onEditExercise,
+  onImportMelody,
+  onRemoveMelody,
 }) {
   const values = useSharedSettingValues(settings, SETTINGS_KEYS);
+  const melodyInputRef = useRef(null);
 
   const set = (key) => (value) => settings.set(key, value);
   const setBool = (key) => (checked) => settings.set(key, !!checked);
@@ -190,6 +203,22 @@ export default function Sidebar({
     scaleLocked && lockedScaleType && lockedScaleType !== values.scaleType;
   const showNowIn = rollingRootDiffers || lockedScaleDiffers;
 
+  const customExercises = values.customExercises ?? [];
+  const importedMelodies = values.importedMelodies ?? [];
+  const exerciseGroups = [
+    ...EXERCISE_GROUPS,
+    {
+      label: 'Imported Songs',
+      options: importedMelodies.map((m) => ({ value: `${IMPORTED_MELODY_PREFIX}${m.id}`, label: m.name })),
+    },
+    {
+      label: 'Custom',
+      options: customExercises.map((e) => ({ value: `${CUSTOM_PREFIX}${e.id}`, label: e.name })),
+    },
+  ].filter((g) => g.options.length > 0);
+  const editingCustom = values.exerciseType?.startsWith(CUSTOM_PREFIX);
+  const importedSelected = values.exerciseType?.startsWith(IMPORTED_MELODY_PREFIX);
+
   return (
     <div className="flex flex-col gap-6 p-1">
       {showNowIn && (
@@ -318,7 +347,7 @@ export default function Sidebar({
               <Select value={values.exerciseType} onValueChange={set('exerciseType')}>
                 <SelectTrigger><SelectValue /></SelectTrigger>
                 <SelectContent>
-                  {EXERCISE_GROUPS.map((g) => (
+                  {exerciseGroups.map((g) => (
                     <SelectGroup key={g.label}>
                       <SelectLabel>{g.label}</SelectLabel>
                       {g.options.map((o) => <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}
@@ -328,6 +357,62 @@ export default function Sidebar({
               </Select>
             </Field>
 
+            {onEditExercise && (
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => onEditExercise(null)} className="gap-1.5">
+                  <Plus className="h-3.5 w-3.5" />
+                  New custom
+                </Button>
+                {editingCustom && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => onEditExercise(values.exerciseType.slice(CUSTOM_PREFIX.length))}
+                    className="gap-1.5"
+                  >
+                    <Pencil className="h-3.5 w-3.5" />
+                    Edit
+                  </Button>
+                )}
+              </div>
+            )}
+
+            {onImportMelody && (
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => melodyInputRef.current?.click()}
+                  className="gap-1.5"
+                >
+                  <FileMusic className="h-3.5 w-3.5" />
+                  Import song
+                </Button>
+                {importedSelected && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => onRemoveMelody(values.exerciseType.slice(IMPORTED_MELODY_PREFIX.length))}
+                    className="gap-1.5"
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                    Remove
+                  </Button>
+                )}
+                <input
+                  ref={melodyInputRef}
+                  type="file"
+                  accept={MELODY_FILE_ACCEPT}
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = '';
+                    if (file) onImportMelody(file);
+                  }}
+                />
+              </div>
+            )}
+
             <ToggleRow
               id="show-lyrics"
               label="Show Solfège"
@@ -380,6 +465,31 @@ export default function Sidebar({
           </>
         )}
       </Section>
+
+      <Separator />
+
+      <Section title="Temperament">
+        <TemperamentField settings={settings} />
+        <p className="text-xs text-muted-foreground">
+          Tunes the piano-roll rows, piano keys and drone. Exercise targets stay in equal temperament.
+        </p>
+      </Section>
+
+      <Separator />
+
+      <Section title="Detection">
+        <Field label="Pitch Detector">
+          <Select value={values.pitchDetector} onValueChange={set('pitchDetector')}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {DETECTORS.map((d) => <SelectItem key={d.type} value={d.type}>{d.name}</SelectItem>)}
+            </SelectContent>
+          </Select>
+          <p className="text-xs text-muted-foreground">
+            {DETECTORS.find((d) => d.type === values.pitchDetector)?.description}
+          </p>
+        </Field>
+      </Section>
     </div>
   );
 }
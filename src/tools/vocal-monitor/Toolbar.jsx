@@ -1,18 +1,35 @@
-import { Eraser, Play, RotateCcw, Settings2, Square } from 'lucide-react';
+import { useRef } from 'react';
+import { Eraser, FileAudio, History, Play, RotateCcw, Settings2, Square } from 'lucide-react';
 
 import { Button } from '@/components/ui/button';
 import { Tooltip, TooltipContent, TooltipTrigger } from '@/components/ui/tooltip';
+import { AUDIO_FILE_ACCEPT } from '@/pitch-engine';
+
+import ExportMenu from './ExportMenu.jsx';
+import ReplayBar from './ReplayBar.jsx';
 
 export default function Toolbar({
   isRecording,
   starting,
   canRestart,
+  canReplay,
+  replay,
   onStart,
   onStop,
   onClear,
   onRestart,
+  onReplay,
+  onReplayToggle,
+  onReplaySeek,
+  onReplayExit,
+  onExport,
+  analyzeProgress,
+  onOpenFile,
   onOpenSettings,
 }) {
+  const fileInputRef = useRef(null);
+  const analyzing = analyzeProgress != null;
+
   return (
     <div className="flex items-center gap-2 border-b bg-background/60 p-2 backdrop-blur">
       {isRecording ? (
@@ -49,6 +66,57 @@ export default function Toolbar({
         </Tooltip>
       )}
 
+      {replay ? (
+        <ReplayBar
+          replay={replay}
+          onToggle={onReplayToggle}
+          onSeek={onReplaySeek}
+          onExit={onReplayExit}
+        />
+      ) : (
+        canReplay && (
+          <>
+            <Button variant="outline" onClick={onReplay}>
+              <History className="h-4 w-4" />
+              Replay
+            </Button>
+            <ExportMenu onExport={onExport} />
+          </>
+        )
+      )}
+
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={analyzing || isRecording}
+            aria-label="Analyze audio file"
+            className="text-muted-foreground hover:text-foreground"
+          >
+            <FileAudio className="h-4 w-4" />
+          </Button>
+        </TooltipTrigger>
+        <TooltipContent>Analyze a recording (WAV, MP3, OGG) — or drop it on the roll</TooltipContent>
+      </Tooltip>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={AUDIO_FILE_ACCEPT}
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) onOpenFile(file);
+        }}
+      />
+      {analyzing && (
+        <span className="text-sm tabular-nums text-muted-foreground">
+          Analyzing… {Math.round(analyzeProgress * 100)}%
+        </span>
+      )}
+
       <div className="ml-auto flex items-center gap-2 lg:hidden">
         <Button variant="outline" size="sm" onClick={onOpenSettings}>
           <Settings2 className="h-4 w-4" />
@@ -14,30 +14,54 @@
  *
  * All async drone ops are serialized through a single Promise queue so rapid
  * toggles can't race into ghost / missing oscillators.
+ *
+ * Replay: while stopped, the session (pitch trace, key changes, exercise hits
+ * and mic audio captured by SessionRecorder) can be replayed. A SessionPlayer
+ * then drives the render loop instead of the live monitor state.
  */
 
 import { VocalMonitorState } from './VocalMonitorState.js';
 import { VocalMonitorRenderer } from './VocalMonitorRenderer.js';
 import { ExerciseEngine } from './ExerciseEngine.js';
-import { createExercise } from './exercises/index.js';
+import {
+  createExercise,
+  registerCustomExercises,
+  registerImportedMelodies,
+  CUSTOM_PREFIX,
+  IMPORTED_MELODY_PREFIX,
+} from './exercises/index.js';
 import { ScaleTimeline } from './ScaleTimeline.js';
 import { RollingKeyManager } from './RollingKeyManager.js';
-import { FrequencyConverter } from '../../pitch-engine/index.js';
+import { FrequencyConverter, OfflinePitchAnalyzer } from '../../pitch-engine/index.js';
 import { ROLLING_KEY_LOWS, ROLLING_KEY_HIGHS } from './rollingKeyOptions.js';
 import { MetronomeEngine } from '../metronome/MetronomeEngine.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { temperamentFromSettings } from '../../core/Temperament.js';
+import { SessionPlayer } from './SessionPlayer.js';
+import { toMidi, toCsv, toJson } from './PitchExporter.js';
 
 const LOWS_MIDI = ROLLING_KEY_LOWS.map((n) => FrequencyConverter.noteNameToMidi(n));
 const HIGHS_MIDI = ROLLING_KEY_HIGHS.map((n) => FrequencyConverter.noteNameToMidi(n));
 const ROLLING_FLOOR_MIDI = LOWS_MIDI[0];
 const ROLLING_CEILING_MIDI = HIGHS_MIDI[HIGHS_MIDI.length - 1];
 
+const EXPORT_FORMATS = {
+  midi: { extension: 'mid', mimeType: 'audio/midi' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+};
+
+// Replay progress is pushed to React at ~10Hz, not every frame
+const REPLAY_EMIT_INTERVAL_MS = 100;
+
 export class VocalMonitorController {
-  constructor({ canvas, settings, scaleManager, pitchContext, droneManager, onStateChange }) {
+  constructor({ canvas, settings, scaleManager, pitchContext, droneManager, practiceLog, onStateChange }) {
     this.canvas = canvas;
     this.settings = settings;
     this.scaleManager = scaleManager;
     this.pitchContext = pitchContext;
     this.droneManager = droneManager;
+    this.practiceLog = practiceLog ?? null;
     this.onStateChange = onStateChange ?? (() => {});
 
     this.renderer = null;
@@ -46,6 +70,7 @@ export class VocalMonitorController {
     this.scaleTimeline = new ScaleTimeline();
     this.rollingKeyManager = new RollingKeyManager();
     this.exerciseDefinition = null;
+    this._runStartedAt = null; // wall clock of the exercise run being logged
 
     // Ephemeral overrides (null = use settings value)
     this._lockedScaleType = null;
@@ -55,6 +80,11 @@ export class VocalMonitorController {
     this.isRecording = false;
     this.recordingStartTime = null;
 
+    // Session capture + replay (sessionPlayer is non-null while replaying)
+    this.sessionRecorder = new SessionRecorder();
+    this.sessionPlayer = null;
+    this._lastReplayEmit = 0;
+
     // Render-loop derived flags (cached so we only emit on change)
     this.animationId = null;
     this._lastJumpToFrontVisible = false;
@@ -164,6 +194,8 @@ export class VocalMonitorController {
     this.renderer = new VocalMonitorRenderer(this.canvas);
     await this.renderer.initialize();
 
+    registerCustomExercises(this.settings.get('customExercises'));
+    registerImportedMelodies(this.settings.get('importedMelodies'));
     this.exerciseDefinition = createExercise(
       this.settings.get('exerciseType') || 'ascendingMajorLadder'
     );
@@ -179,6 +211,7 @@ export class VocalMonitorController {
     // Push effective values into ScaleManager / monitorState
     const root = this.effectiveRootNote;
     const scale = this.effectiveScaleType;
+    this._syncTemperament();
     this.scaleManager.setRootNote(root);
     this.scaleManager.setScaleType(scale);
     this.scaleTimeline.setInitialKey(root, scale);
@@ -201,15 +234,11 @@ export class VocalMonitorController {
     if (this.animationId) cancelAnimationFrame(this.animationId);
     this.animationId = null;
 
-    if (this.isRecording) {
-      // Tear down recording state synchronously, then await drone in queue
-      this.exerciseEngine.clearExercise();
-      this.pitchContext.stop();
-      this.pitchContext.disableDroneCancellation?.();
-      this.monitorState.stop();
-      this.isRecording = false;
-      this.recordingStartTime = null;
-    }
+    this.sessionPlayer?.dispose();
+    this.sessionPlayer = null;
+
+    // Tear down recording state synchronously, then await drone in queue
+    if (this.isRecording) this._endRecording();
 
     // Wait for any pending drone ops, then enqueue a final stop
     await this._enqueueDrone(() => this._droneOff());
@@ -239,6 +268,8 @@ export class VocalMonitorController {
       throw new Error('Microphone API is unavailable in this browser.');
     }
 
+    this.exitReplay();
+
     // Pre-flight: if exercise mode is enabled, reset rolling key + apply lock + sync
     const exerciseEnabled = this.settings.get('exerciseEnabled');
     if (exerciseEnabled && this.rollingKeyManager.isRolling()) {
@@ -257,6 +288,10 @@ export class VocalMonitorController {
     this.monitorState.start();
     this.isRecording = true;
     this.recordingStartTime = Date.now();
+    this.sessionRecorder.startClip(
+      this.pitchContext.getMediaStream?.(),
+      this.monitorState.currentTime
+    );
 
     // Drone — if already playing (toggled while stopped) just enable cancellation;
     // otherwise enqueue a fresh start.
@@ -284,21 +319,16 @@ export class VocalMonitorController {
   async stop() {
     if (!this.isRecording) return;
 
-    this.exerciseEngine.clearExercise();
-    this.pitchContext.stop();
-    this.pitchContext.disableDroneCancellation?.();
-
+    await this._endRecording();
     await this._enqueueDrone(() => this._droneOff());
     this._rhythmOff();
-
-    this.monitorState.stop();
-    this.isRecording = false;
-    this.recordingStartTime = null;
     this._emitState();
   }
 
   clear() {
+    this.exitReplay();
     this.monitorState.clear();
+    this.sessionRecorder.clear();
 
     if (this.rollingKeyManager.isRolling()) {
       this.rollingKeyManager.reset();
@@ -308,6 +338,7 @@ export class VocalMonitorController {
     this.scaleTimeline.clear();
     this.scaleTimeline.setInitialKey(this.effectiveRootNote, this.effectiveScaleType);
 
+    this._logExerciseRun();
     this.exerciseEngine.clearExercise();
     this._syncScale();
     this._emitState();
@@ -339,6 +370,145 @@ export class VocalMonitorController {
     this._emitState();
   }
 
+  // ──────────────────────────────────────────────────────────────────────
+  // Session replay
+  // ──────────────────────────────────────────────────────────────────────
+
+  /**
+   * Whether there is a stopped session to replay
+   * @returns {boolean}
+   */
+  get canReplay() {
+    return !this.isRecording && this.monitorState.pitchHistory.length > 0;
+  }
+
+  /**
+   * Switch the piano roll to replay the recorded session from the start
+   */
+  enterReplay() {
+    if (this.sessionPlayer || !this.canReplay) return;
+    const sustainDuration = this.exerciseDefinition?.sustainDuration || 200;
+    const session = this.sessionRecorder.buildSession({
+      pitchHistory: this.monitorState.pitchHistory,
+      scaleTimeline: this.scaleTimeline,
+      sustainDuration,
+    });
+    this.sessionPlayer = new SessionPlayer(session);
+    this.sessionPlayer.play();
+    this._emitState();
+  }
+
+  /**
+   * Leave replay and return to the live view
+   */
+  exitReplay() {
+    if (!this.sessionPlayer) return;
+    this.sessionPlayer.dispose();
+    this.sessionPlayer = null;
+    this._emitState();
+  }
+
+  toggleReplayPlayback() {
+    if (!this.sessionPlayer) return;
+    this.sessionPlayer.toggle();
+    this._emitState();
+  }
+
+  /**
+   * @param {number} timeMs - Monitor time to move the replay playhead to
+   */
+  seekReplay(timeMs) {
+    if (!this.sessionPlayer) return;
+    this.sessionPlayer.seek(timeMs);
+    this._emitState();
+  }
+
+  // ──────────────────────────────────────────────────────────────────────
+  // Offline file analysis
+  // ──────────────────────────────────────────────────────────────────────
+
+  /**
+   * Decode an audio file and draw its pitch trace as if it had been sung
+   * live. Replaces the current session; the file becomes the replay audio.
+   * @param {File|Blob} file - WAV/MP3/OGG (anything the browser decodes)
+   * @param {object} [options]
+   * @param {function} [options.onProgress] - 0..1 during analysis
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{durationMs: number, voicedFrames: number}>}
+   */
+  async analyzeFile(file, { onProgress, signal } = {}) {
+    if (this.isRecording) await this.stop();
+    this.exitReplay();
+
+    const {
+      detector,
+      bufferSize,
+      updateInterval,
+      threshold,
+      minFrequency,
+      maxFrequency,
+      highPassFreq,
+    } = this.pitchContext.options ?? {};
+    const { samples, sampleRate, duration } = await OfflinePitchAnalyzer.decode(
+      await file.arrayBuffer(),
+      { highPassFreq }
+    );
+    const analyzer = new OfflinePitchAnalyzer({
+      detector,
+      sampleRate,
+      bufferSize,
+      hopMs: updateInterval,
+      threshold,
+      minFrequency,
+      maxFrequency,
+    });
+    const frames = await analyzer.analyze(samples, { onProgress, signal });
+
+    const durationMs = duration * 1000;
+    this.exerciseEngine.clearExercise();
+    this.sessionRecorder.clear();
+    this.sessionRecorder.importClip(file, 0, durationMs);
+    this.scaleTimeline.clear();
+    this.scaleTimeline.setInitialKey(this.effectiveRootNote, this.effectiveScaleType);
+    this.monitorState.loadFrames(frames, durationMs);
+    this._emitState();
+
+    return { durationMs, voicedFrames: frames.filter((f) => f.pitch).length };
+  }
+
+  // ──────────────────────────────────────────────────────────────────────
+  // Export
+  // ──────────────────────────────────────────────────────────────────────
+
+  /**
+   * Encode the current pitch trace for download
+   * @param {'midi'|'csv'|'json'} format
+   * @returns {{filename: string, mimeType: string, data: Uint8Array|string}}
+   */
+  exportTrace(format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+    const pitchHistory = this.monitorState.pitchHistory;
+    let data;
+    if (format === 'midi') {
+      data = toMidi(pitchHistory);
+    } else if (format === 'csv') {
+      data = toCsv(pitchHistory);
+    } else {
+      // Pick up hits still live in the engine (mid-session export)
+      this.sessionRecorder.captureExerciseHits(this.exerciseEngine);
+      data = toJson({
+        pitchHistory,
+        scaleTimeline: this.scaleTimeline,
+        exerciseHits: this.sessionRecorder.exerciseHits,
+      });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    return { filename: `vocal-monitor-${stamp}.${spec.extension}`, mimeType: spec.mimeType, data };
+  }
+
   // ──────────────────────────────────────────────────────────────────────
   // Settings subscription — pure side-effects, NEVER writes back
   // ──────────────────────────────────────────────────────────────────────
@@ -367,6 +537,14 @@ export class VocalMonitorController {
         this._enqueueDrone(() => (value ? this._droneOn() : this._droneOff()));
         break;
 
+      case 'temperament':
+      case 'temperamentTonic':
+      case 'temperamentOffsets':
+      case 'temperamentScala':
+        this._syncTemperament();
+        this._droneUpdateFrequency();
+        break;
+
       case 'droneMode':
         this._enqueueDrone(() => this._droneSwitchMode());
         break;
@@ -390,20 +568,36 @@ export class VocalMonitorController {
         this._rhythmEngine?.setVolume(value ?? 0.5);
         break;
 
+      case 'pitchDetector':
+        this.pitchContext.setDetectorType?.(value)?.catch?.((err) =>
+          console.error('Failed to switch pitch detector:', err)
+        );
+        break;
+
       case 'exerciseEnabled':
         if (value) this._enableExercise();
         else this._disableExercise();
         break;
 
       case 'exerciseType':
-        this.exerciseDefinition = createExercise(value);
-        this._applyScaleLock();
-        // New exercise may have a different reach → re-clamp rolling-key bounds
-        this._configureRollingKey();
-        this._restartExerciseIfActive();
-        this._emitState();
+        this._loadExercise(value);
         break;
 
+      case 'customExercises': {
+        registerCustomExercises(value);
+        // Pick up edits to the custom exercise currently in use
+        const type = this.settings.get('exerciseType');
+        if (type?.startsWith(CUSTOM_PREFIX)) this._loadExercise(type);
+        break;
+      }
+
+      case 'importedMelodies': {
+        registerImportedMelodies(value);
+        const type = this.settings.get('exerciseType');
+        if (type?.startsWith(IMPORTED_MELODY_PREFIX)) this._loadExercise(type);
+        break;
+      }
+
       case 'rollingKeyEnabled':
         this.rollingKeyManager.configure({ mode: value ? 'rolling' : 'static' });
         if (value) {
@@ -464,6 +658,15 @@ export class VocalMonitorController {
     this._droneUpdateFrequency();
   }
 
+  /**
+   * Tune ScaleManager (and with it the drone, piano keys and piano-roll
+   * rows) to the shared temperament setting. The Vocal Monitor stays at
+   * A4 = 440 Hz; only the tuner has a reference-pitch setting.
+   */
+  _syncTemperament() {
+    this.scaleManager.setTemperament(temperamentFromSettings(this.settings.getAll()));
+  }
+
   _applyScaleLock() {
     const required = this.exerciseDefinition?.locksScale?.()
       ? this.exerciseDefinition.getRequiredScaleType()
@@ -524,6 +727,15 @@ export class VocalMonitorController {
   // Exercise lifecycle
   // ──────────────────────────────────────────────────────────────────────
 
+  _loadExercise(type) {
+    this.exerciseDefinition = createExercise(type);
+    this._applyScaleLock();
+    // New exercise may have a different reach → re-clamp rolling-key bounds
+    this._configureRollingKey();
+    this._restartExerciseIfActive();
+    this._emitState();
+  }
+
   _enableExercise() {
     this._applyScaleLock();
     // Effective rolling-key bounds depend on exerciseEnabled — reconfigure
@@ -542,6 +754,8 @@ export class VocalMonitorController {
   }
 
   _disableExercise() {
+    this.sessionRecorder.captureExerciseHits(this.exerciseEngine);
+    this._logExerciseRun();
     this.exerciseEngine.clearExercise();
     this._releaseScaleLock();
     // Bounds revert to user's saved values — reconfigure
@@ -556,6 +770,7 @@ export class VocalMonitorController {
 
   _startEngine() {
     if (!this.exerciseDefinition) return;
+    this._runStartedAt ??= Date.now();
     const sustain = this.exerciseDefinition.sustainDuration || 200;
     this.exerciseEngine.startExercise(
       this.exerciseDefinition,
@@ -565,6 +780,48 @@ export class VocalMonitorController {
     );
   }
 
+  /**
+   * Tear down a recording without waiting on anything, for stop() and
+   * dispose() alike. Hits and the practice-log entry are captured before
+   * clearExercise() wipes them, and the clip is stopped before the pitch
+   * context ends the mic tracks the recorder is reading; it ends on the
+   * monitor's clock, as startClip() began on it. Resolves with the clip once
+   * the recorder hands over its last chunk.
+   * @returns {Promise<object|null>}
+   */
+  _endRecording() {
+    this.isRecording = false;
+    this.recordingStartTime = null;
+    this.sessionRecorder.captureExerciseHits(this.exerciseEngine);
+    this._logExerciseRun();
+    const clip = this.sessionRecorder.stopClip(Date.now() - this.monitorState.startTime);
+
+    this.exerciseEngine.clearExercise();
+    this.pitchContext.stop();
+    this.pitchContext.disableDroneCancellation?.();
+    this.monitorState.stop();
+    return clip;
+  }
+
+  /**
+   * Append the run that is ending to the practice log. Call before
+   * clearExercise(), which drops the engine's attempts.
+   */
+  _logExerciseRun() {
+    const startedAt = this._runStartedAt;
+    this._runStartedAt = null;
+    const run = this.exerciseEngine.getRunSummary();
+    if (!run || !this.practiceLog || startedAt == null) return;
+    this.practiceLog.add({
+      tool: 'vocal-monitor',
+      startedAt,
+      durationMs: Date.now() - startedAt,
+      exercise: this.exerciseDefinition?.name ?? null,
+      rootNote: this.effectiveRootNote,
+      ...run,
+    }).catch((err) => console.error('Failed to log exercise run:', err));
+  }
+
   _handleExerciseCycleComplete() {
     if (!this.rollingKeyManager.isRolling()) return;
 
@@ -600,8 +857,8 @@ export class VocalMonitorController {
     }
     const frequency = this.scaleManager.getFrequency(0);
     if (this.settings.get('droneMode') === 'chord') {
-      const chordType = this.effectiveScaleType.includes('minor') ? 'minor' : 'major';
-      await this.droneManager.startChordDrone(frequency, chordType);
+      const { chordType, intervals } = this._droneChord();
+      await this.droneManager.startChordDrone(frequency, chordType, intervals);
     } else {
       await this.droneManager.startDrone(frequency);
     }
@@ -624,20 +881,38 @@ export class VocalMonitorController {
     if (!this.droneManager.getIsDronePlaying()) return;
     const frequency = this.scaleManager.getFrequency(0);
     if (this.settings.get('droneMode') === 'chord') {
-      const chordType = this.effectiveScaleType.includes('minor') ? 'minor' : 'major';
-      await this.droneManager.switchToChordDrone(frequency, chordType);
+      const { chordType, intervals } = this._droneChord();
+      await this.droneManager.switchToChordDrone(frequency, chordType, intervals);
     } else {
       await this.droneManager.switchToRootDrone(frequency);
     }
   }
 
+  /**
+   * Triad the chord drone plays over the root: its quality from the scale,
+   * its third and fifth as the temperament tunes them from that root.
+   */
+  _droneChord() {
+    const chordType = this.effectiveScaleType.includes('minor') ? 'minor' : 'major';
+    const temperament = this.scaleManager.temperament;
+    if (!temperament) return { chordType, intervals: null };
+    const rootMidi = FrequencyConverter.noteNameToMidi(this.scaleManager.getRootNote());
+    return {
+      chordType,
+      intervals: {
+        third: temperament.intervalCents(rootMidi, chordType === 'minor' ? 3 : 4),
+        fifth: temperament.intervalCents(rootMidi, 7),
+      },
+    };
+  }
+
   /** Synchronous drone-frequency update; only acts if drone is playing. */
   _droneUpdateFrequency() {
     if (!this.droneManager.getIsDronePlaying()) return;
     const frequency = this.scaleManager.getFrequency(0);
     if (this.droneManager.isInChordMode()) {
-      const chordType = this.effectiveScaleType.includes('minor') ? 'minor' : 'major';
-      this.droneManager.updateChordDroneFrequency(frequency, chordType);
+      const { chordType, intervals } = this._droneChord();
+      this.droneManager.updateChordDroneFrequency(frequency, chordType, intervals);
     } else {
       this.droneManager.updateDroneFrequency(frequency);
     }
@@ -691,6 +966,10 @@ export class VocalMonitorController {
 
   _renderFrame() {
     if (!this.renderer) return;
+    if (this.sessionPlayer) {
+      this._renderReplayFrame();
+      return;
+    }
     const state = this.monitorState.getState();
     const exerciseState =
       this.exerciseEngine.state !== 'idle' ? this.exerciseEngine.getState() : null;
@@ -715,8 +994,33 @@ export class VocalMonitorController {
     }
   }
 
+  _renderReplayFrame() {
+    const player = this.sessionPlayer;
+    const wasPlaying = player.isPlaying;
+    player.tick();
+    this.renderer.render(
+      player.getRenderState(this.monitorState.getState()),
+      this.scaleManager,
+      this.pressedKey,
+      player.getExerciseState(),
+      this.settings.get('exerciseShowLyrics'),
+      player.scaleTimeline,
+      null
+    );
+
+    const now = performance.now();
+    if (
+      wasPlaying !== player.isPlaying ||
+      (player.isPlaying && now - this._lastReplayEmit >= REPLAY_EMIT_INTERVAL_MS)
+    ) {
+      this._lastReplayEmit = now;
+      this._emitState();
+    }
+  }
+
   _emitState() {
     const exerciseEnabled = this.settings.get('exerciseEnabled');
+    const player = this.sessionPlayer;
     this.onStateChange({
       isRecording: this.isRecording,
       jumpToFrontVisible: this._lastJumpToFrontVisible,
@@ -727,6 +1031,16 @@ export class VocalMonitorController {
       exerciseRange: exerciseEnabled ? this._getExerciseRange() : null,
       effectiveRollingKeyLowest: this.effectiveRollingKeyLowest,
       effectiveRollingKeyHighest: this.effectiveRollingKeyHighest,
+      isReplaying: player !== null,
+      canReplay: this.canReplay,
+      replay: player
+        ? {
+            position: player.position,
+            duration: player.duration,
+            isPlaying: player.isPlaying,
+            hasAudio: player.hasAudio,
+          }
+        : null,
     });
   }
 
@@ -792,7 +1106,7 @@ export class VocalMonitorController {
       const dims = this.renderer.getDimensions();
       const timeDelta =
         -deltaX * (this.monitorState.viewportWidth / (dims.width - keyboardWidth));
-      this.monitorState.scrollViewport(timeDelta);
+      this._scrollOrSeek(timeDelta);
     };
 
     const onWindowMouseUp = () => {
@@ -812,7 +1126,7 @@ export class VocalMonitorController {
     const onWheel = (e) => {
       e.preventDefault();
       const timeDelta = (e.deltaX !== 0 ? e.deltaX : e.deltaY) * 5;
-      this.monitorState.scrollViewport(timeDelta);
+      this._scrollOrSeek(timeDelta);
     };
 
     const onTouchStart = (e) => {
@@ -860,7 +1174,7 @@ export class VocalMonitorController {
         const dims = this.renderer.getDimensions();
         const timeDelta =
           -deltaX * (this.monitorState.viewportWidth / (dims.width - keyboardWidth));
-        this.monitorState.scrollViewport(timeDelta);
+        this._scrollOrSeek(timeDelta);
       }
     };
 
@@ -893,6 +1207,18 @@ export class VocalMonitorController {
     };
   }
 
+  /**
+   * Horizontal drag/wheel: scroll the live viewport, or scrub while replaying
+   * (the replay viewport is centred on the playhead, so both feel the same)
+   */
+  _scrollOrSeek(timeDelta) {
+    if (this.sessionPlayer) {
+      this.seekReplay(this.sessionPlayer.position + timeDelta);
+    } else {
+      this.monitorState.scrollViewport(timeDelta);
+    }
+  }
+
   _yToMidi(y, height, pitchMin, pitchMax) {
     const range = pitchMax - pitchMin;
     return pitchMin + (1 - y / height) * range;
@@ -902,10 +1228,15 @@ export class VocalMonitorController {
   // Piano keyboard tone playback (shares TonePlayer's audio context)
   // ──────────────────────────────────────────────────────────────────────
 
+  /** A piano key sounds at its row's pitch in the current temperament */
+  _keyFrequency(midiNote) {
+    return this.scaleManager.temperament?.pitchOf(midiNote) ?? 440 * Math.pow(2, (midiNote - 69) / 12);
+  }
+
   startPianoKey(midiNote) {
     this.stopPianoKey();
     this.pressedKey = midiNote;
-    const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
+    const frequency = this._keyFrequency(midiNote);
 
     this.droneManager.tonePlayer.initialize();
     const ctx = this.droneManager.tonePlayer.audioContext;
@@ -950,7 +1281,7 @@ export class VocalMonitorController {
       return;
     }
     const ctx = this.droneManager.tonePlayer.audioContext;
-    const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
+    const frequency = this._keyFrequency(midiNote);
     const glideTime = 0.05;
     this.currentToneOscillator.frequency.cancelScheduledValues(ctx.currentTime);
     this.currentToneOscillator.frequency.setValueAtTime(
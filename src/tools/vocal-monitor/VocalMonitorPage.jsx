@@ -1,15 +1,19 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { ChevronsLeft, ChevronsRight } from 'lucide-react';
 
-import { SharedSettings, PitchContext, DroneManager, ScaleManager } from '@/core';
+import { SharedSettings, PitchContext, DroneManager, ScaleManager, PracticeLog } from '@/core';
+import { OfflinePitchAnalyzer } from '@/pitch-engine';
 import { Sheet, SheetContent, SheetHeader, SheetTitle } from '@/components/ui/sheet';
 import { Button } from '@/components/ui/button';
 import { trackEvent } from '@/lib/analytics';
+import { downloadFile } from '@/lib/download';
 import { useWakeLock } from '@/lib/useWakeLock';
 
 import PitchCanvas from './PitchCanvas.jsx';
 import Toolbar from './Toolbar.jsx';
 import Sidebar from './Sidebar.jsx';
+import ExerciseBuilder from './ExerciseBuilder.jsx';
+import { CUSTOM_PREFIX, IMPORTED_MELODY_PREFIX, importMelodyFile } from './exercises/index.js';
 import { useSharedSettingsValue } from './useSharedSettings.js';
 
 export default function VocalMonitorPage() {
@@ -24,10 +28,16 @@ export default function VocalMonitorPage() {
   const [exerciseRange, setExerciseRange] = useState(null);
   const [effectiveRollingKeyLowest, setEffectiveRollingKeyLowest] = useState(null);
   const [effectiveRollingKeyHighest, setEffectiveRollingKeyHighest] = useState(null);
+  const [canReplay, setCanReplay] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [analyzeProgress, setAnalyzeProgress] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
   const [exerciseEnabled, setExerciseEnabled] = useState(
     () => services.settings.get('exerciseEnabled')
   );
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  // null = closed, { definition } = open (definition null for a new exercise)
+  const [builder, setBuilder] = useState(null);
   const [error, setError] = useState(null);
   const sidebarCollapsed = useSharedSettingsValue(services.settings, 'settingsCollapsed');
 
@@ -70,6 +80,96 @@ export default function VocalMonitorPage() {
     }
   };
 
+  const handleReplay = () => {
+    controllerRef.current?.enterReplay();
+    trackEvent('session_replay', { tool: 'vocal-monitor' });
+  };
+
+  const handleOpenFile = async (file) => {
+    const controller = controllerRef.current;
+    if (!controller || analyzeProgress != null) return;
+    setError(null);
+    setAnalyzeProgress(0);
+    try {
+      const { voicedFrames } = await controller.analyzeFile(file, {
+        onProgress: setAnalyzeProgress,
+      });
+      if (voicedFrames === 0) setError('No pitched audio was found in that file.');
+      trackEvent('file_analyze', { tool: 'vocal-monitor' });
+    } catch (e) {
+      console.error('Failed to analyze audio file:', e);
+      setError(`Could not decode that file (${String(e?.message ?? e).replace(/\.$/, '')}). Try a WAV, MP3 or OGG recording.`);
+    } finally {
+      setAnalyzeProgress(null);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    const file = [...(e.dataTransfer.files ?? [])].find((f) => OfflinePitchAnalyzer.isAudioFile(f));
+    if (file && !isRecording) handleOpenFile(file);
+  };
+
+  const handleEditExercise = (id) => {
+    const saved = services.settings.get('customExercises') ?? [];
+    setSidebarOpen(false);
+    setBuilder({ definition: saved.find((e) => e.id === id) ?? null });
+  };
+
+  const handleSaveExercise = (definition) => {
+    const saved = services.settings.get('customExercises') ?? [];
+    const exists = saved.some((e) => e.id === definition.id);
+    services.settings.set(
+      'customExercises',
+      exists ? saved.map((e) => (e.id === definition.id ? definition : e)) : [...saved, definition]
+    );
+    // Registered by the controller above — now it can be selected
+    services.settings.set('exerciseType', `${CUSTOM_PREFIX}${definition.id}`);
+    setBuilder(null);
+    if (!exists) trackEvent('custom_exercise_create', { tool: 'vocal-monitor' });
+  };
+
+  const handleDeleteExercise = (id) => {
+    // Move off the exercise before it disappears from the registry
+    if (services.settings.get('exerciseType') === `${CUSTOM_PREFIX}${id}`) {
+      services.settings.set('exerciseType', 'ascendingMajorLadder');
+    }
+    const saved = services.settings.get('customExercises') ?? [];
+    services.settings.set('customExercises', saved.filter((e) => e.id !== id));
+    setBuilder(null);
+  };
+
+  const handleImportMelody = async (file) => {
+    setError(null);
+    try {
+      const melody = { id: Date.now().toString(36), ...(await importMelodyFile(file)) };
+      const saved = services.settings.get('importedMelodies') ?? [];
+      services.settings.set('importedMelodies', [...saved, melody]);
+      services.settings.set('exerciseType', `${IMPORTED_MELODY_PREFIX}${melody.id}`);
+      trackEvent('melody_import', { tool: 'vocal-monitor', notes: melody.notes.length });
+    } catch (e) {
+      console.error('Failed to import melody:', e);
+      setError(`Could not import that song: ${e.message}`);
+    }
+  };
+
+  const handleRemoveMelody = (id) => {
+    if (services.settings.get('exerciseType') === `${IMPORTED_MELODY_PREFIX}${id}`) {
+      services.settings.set('exerciseType', 'ascendingMajorLadder');
+    }
+    const saved = services.settings.get('importedMelodies') ?? [];
+    services.settings.set('importedMelodies', saved.filter((m) => m.id !== id));
+  };
+
+  const handleExport = (format) => {
+    const controller = controllerRef.current;
+    if (!controller) return;
+    const { filename, data, mimeType } = controller.exportTrace(format);
+    downloadFile(filename, data, mimeType);
+    trackEvent('pitch_export', { tool: 'vocal-monitor', format });
+  };
+
   return (
     <div className="flex h-full flex-col">
       <Toolbar
@@ -80,6 +180,15 @@ export default function VocalMonitorPage() {
         onStop={() => controllerRef.current?.stop()}
         onClear={() => controllerRef.current?.clear()}
         onRestart={() => controllerRef.current?.restart()}
+        canReplay={canReplay}
+        replay={replay}
+        onReplay={handleReplay}
+        onReplayToggle={() => controllerRef.current?.toggleReplayPlayback()}
+        onReplaySeek={(ms) => controllerRef.current?.seekReplay(ms)}
+        onReplayExit={() => controllerRef.current?.exitReplay()}
+        onExport={handleExport}
+        analyzeProgress={analyzeProgress}
+        onOpenFile={handleOpenFile}
         onOpenSettings={() => setSidebarOpen(true)}
       />
 
@@ -90,7 +199,23 @@ export default function VocalMonitorPage() {
       )}
 
       <div className="relative flex flex-1 overflow-hidden">
-        <div className="flex flex-1 min-w-0 p-3">
+        <div
+          className="relative flex flex-1 min-w-0 p-3"
+          onDragOver={(e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            setDragActive(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+          }}
+          onDrop={handleDrop}
+        >
+          {dragActive && (
+            <div className="pointer-events-none absolute inset-3 z-10 flex items-center justify-center rounded-md border-2 border-dashed border-primary bg-background/70 text-sm font-medium">
+              Drop an audio file to analyze it
+            </div>
+          )}
           <PitchCanvas
             services={services}
             onControllerReady={(c) => {
@@ -105,6 +230,8 @@ export default function VocalMonitorPage() {
               setExerciseRange(state.exerciseRange);
               setEffectiveRollingKeyLowest(state.effectiveRollingKeyLowest);
               setEffectiveRollingKeyHighest(state.effectiveRollingKeyHighest);
+              setCanReplay(state.canReplay);
+              setReplay(state.replay);
             }}
           />
         </div>
@@ -144,6 +271,9 @@ export default function VocalMonitorPage() {
                 exerciseRange={exerciseRange}
                 effectiveRollingKeyLowest={effectiveRollingKeyLowest}
                 effectiveRollingKeyHighest={effectiveRollingKeyHighest}
+                onEditExercise={handleEditExercise}
+                onImportMelody={handleImportMelody}
+                onRemoveMelody={handleRemoveMelody}
               />
             </div>
           </aside>
@@ -165,10 +295,31 @@ export default function VocalMonitorPage() {
               exerciseRange={exerciseRange}
               effectiveRollingKeyLowest={effectiveRollingKeyLowest}
               effectiveRollingKeyHighest={effectiveRollingKeyHighest}
+              onEditExercise={handleEditExercise}
+              onImportMelody={handleImportMelody}
+              onRemoveMelody={handleRemoveMelody}
             />
           </div>
         </SheetContent>
       </Sheet>
+
+      <Sheet open={!!builder} onOpenChange={(open) => !open && setBuilder(null)}>
+        <SheetContent side="right" className="no-scrollbar w-full overflow-y-auto sm:max-w-xl">
+          <SheetHeader>
+            <SheetTitle>{builder?.definition ? 'Edit exercise' : 'New exercise'}</SheetTitle>
+          </SheetHeader>
+          {builder && (
+            <div className="mt-4">
+              <ExerciseBuilder
+                definition={builder.definition}
+                onSave={handleSaveExercise}
+                onDelete={handleDeleteExercise}
+                onCancel={() => setBuilder(null)}
+              />
+            </div>
+          )}
+        </SheetContent>
+      </Sheet>
     </div>
   );
 }
@@ -183,13 +334,15 @@ function createServices() {
     updateInterval: 30,
     threshold: 0.0001,
     bufferSize: 4096,
+    detector: settings.get('pitchDetector'),
   });
 
   const droneManager = new DroneManager();
+  const practiceLog = new PracticeLog();
 
   // ScaleManager is kept in sync by VocalMonitorController via _syncScale,
   // which uses effective (not raw settings) values so rolling-key and scale-lock
   // overrides apply consistently.
 
-  return { settings, scaleManager, pitchContext, droneManager };
+  return { settings, scaleManager, pitchContext, droneManager, practiceLog };
 }
@@ -112,6 +112,7 @@ export class VocalMonitorRenderer {
     this.theme = getCanvasTheme();
     this.pianoRoll.theme = this.theme;
     this.exerciseRenderer.theme = this.theme;
+    this.pianoRoll.temperament = scaleManager?.temperament ?? null;
 
     this.ctx.save();
     this.ctx.scale(this.dpr, this.dpr);
@@ -564,7 +565,7 @@ export class VocalMonitorRenderer {
    * Render playhead line
    */
   renderPlayhead(x, width, state) {
-    if (!state.isRecording) return;
+    if (!state.isRecording && !state.isReplaying) return;
 
     const { currentTime, viewportStart, viewportWidth } = state;
     const normalizedX = (currentTime - viewportStart) / viewportWidth;
@@ -96,11 +96,11 @@ export class VocalMonitorState {
   /**
    * Handle pitch detected
    * @param {object|null} pitchData
+   * @param {number} now - Wall-clock ms of the frame (offline imports pass file time)
    */
-  onPitchDetected(pitchData) {
+  onPitchDetected(pitchData, now = Date.now()) {
     if (!this.isRecording) return;
 
-    const now = Date.now();
     const elapsedTime = now - this.startTime;
 
     this.currentTime = elapsedTime;
@@ -142,6 +142,9 @@ export class VocalMonitorState {
         stability: vocalAnalysis?.stability ?? 1.0,
         brightness: vocalAnalysis?.spectralCentroid ?? 0.5,
         breathiness: 1 - (vocalAnalysis?.hnr ?? 0.5), // Invert HNR so higher = more breathy
+        hnr: vocalAnalysis?.hnr ?? 0.5,
+        vibratoRate: vocalAnalysis?.vibrato?.rate ?? 0, // Hz, 0 when no vibrato
+        vibratoExtent: vocalAnalysis?.vibrato?.extent ?? 0, // cents
         // Scale context for timeline-aware rendering
         scaleContext: this.currentScaleContext ? { ...this.currentScaleContext } : null,
       });
@@ -162,6 +165,29 @@ export class VocalMonitorState {
     }
   }
 
+  /**
+   * Replace the history with frames analysed offline (e.g. from an uploaded
+   * file). Frames run through the same path as live input — octave
+   * correction, adaptive RMS range, vocal analysis fields — with their file
+   * time as the monitor time.
+   * @param {Array<{time: number, pitch: object|null}>} frames - OfflinePitchAnalyzer output
+   * @param {number} durationMs - Length of the source audio
+   */
+  loadFrames(frames, durationMs) {
+    this.clear();
+    this.startTime = 0;
+    this.isRecording = true;
+    this.isAutoScrolling = false;
+    for (const frame of frames) {
+      this.onPitchDetected(frame.pitch, frame.time);
+    }
+    this.isRecording = false;
+    this.currentTime = Math.max(this.currentTime, durationMs);
+    this.currentPitch = null;
+    this.isSinging = false;
+    this.viewportStart = 0;
+  }
+
   /**
    * Correct octave jumps and harmonic detection errors in pitch detection
    * @param {object} pitchData - Original pitch data
@@ -0,0 +1,129 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { ScaleManager } from '../../../core/ScaleManager.js';
+import { FrequencyConverter } from '../../../pitch-engine/index.js';
+import { TargetState } from '../ExerciseEngine.js';
+import {
+  CustomExercise,
+  ExerciseRegistry,
+  createExercise,
+  registerCustomExercises,
+  validateCustomExercise,
+} from '../exercises/index.js';
+
+const scaleManager = new ScaleManager('C4', 'major');
+const rootMidi = FrequencyConverter.noteNameToMidi('C4');
+
+function definition(targets, extra = {}) {
+  return { id: 'x', name: 'Test', phases: [{ label: 'One', targets }], ...extra };
+}
+
+function targetsOf(def) {
+  return new CustomExercise(def).generatePhases(scaleManager).flatMap((p) => p.targets);
+}
+
+describe('CustomExercise', () => {
+  it('resolves degrees, semitone offsets and absolute notes', () => {
+    const targets = targetsOf(definition([
+      { kind: 'degree', value: 3 },
+      { kind: 'semitone', value: 6 },
+      { kind: 'note', value: 'A4' },
+    ]));
+    expect(targets.map((t) => t.midiNote - rootMidi)).toEqual([4, 6, 9]);
+    expect(targets[0]).toMatchObject({ label: 'Mi', scaleDegree: 2, degreeNumber: 3, state: TargetState.WAITING });
+    expect(targets[1].scaleDegree).toBe(-1);
+    expect(targets[2].frequency).toBeCloseTo(440);
+  });
+
+  it('wraps degrees past either end of the scale into the next octave', () => {
+    const targets = targetsOf(definition([
+      { kind: 'degree', value: 8 },
+      { kind: 'degree', value: 10 },
+      { kind: 'degree', value: 0 },
+      { kind: 'degree', value: -2 },
+    ]));
+    expect(targets.map((t) => t.midiNote - rootMidi)).toEqual([12, 16, -1, -5]);
+    expect(targets[0].label).toBe('Do');
+  });
+
+  it('follows the scale it is given', () => {
+    const minor = new ScaleManager('C4', 'minor');
+    const [target] = new CustomExercise(definition([{ kind: 'degree', value: 3 }])).generatePhases(minor)[0].targets;
+    expect(target.midiNote - rootMidi).toBe(3);
+  });
+
+  it('uses lyrics, hold multipliers and sustain overrides per target', () => {
+    const targets = targetsOf(definition([
+      { kind: 'degree', value: 1, label: 'Ma' },
+      { kind: 'degree', value: 5, hold: 2 },
+      { kind: 'degree', value: 1, hold: 2, sustain: 750 },
+      { kind: 'semitone', value: 0 },
+    ], { sustainDuration: 400 }));
+    expect(targets[0]).toMatchObject({ label: 'Ma', lyric: 'Ma' });
+    expect(targets[0].sustainDuration).toBeUndefined();
+    expect(targets[1].sustainDuration).toBe(800);
+    expect(targets[2].sustainDuration).toBe(750);
+    expect(targets[3].label).toBe('');
+  });
+
+  it('skips empty phases and locks the scale only when asked', () => {
+    const exercise = new CustomExercise({
+      id: 'x',
+      name: 'Two',
+      phases: [
+        { label: 'A', targets: [{ kind: 'degree', value: 1 }] },
+        { label: 'Empty', targets: [] },
+      ],
+    });
+    expect(exercise.generatePhases(scaleManager).map((p) => p.label)).toEqual(['A']);
+    expect(exercise.locksScale()).toBe(false);
+    expect(new CustomExercise(definition([], { scaleType: 'minor' })).getRequiredScaleType()).toBe('minor');
+  });
+});
+
+describe('validateCustomExercise', () => {
+  it('accepts a usable definition', () => {
+    expect(validateCustomExercise(definition([{ kind: 'note', value: 'C#3', hold: 1.5 }]))).toEqual([]);
+  });
+
+  it('reports every problem with where it is', () => {
+    const errors = validateCustomExercise({
+      name: ' ',
+      phases: [{ label: 'A', targets: [
+        { kind: 'degree', value: 2.5 },
+        { kind: 'note', value: 'Bb4' },
+        { kind: 'semitone', value: 3, hold: 0 },
+        { kind: 'chord', value: 1 },
+      ] }],
+    });
+    expect(errors).toEqual([
+      'Give the exercise a name.',
+      'Phase 1, target 1: degree must be a whole number.',
+      'Phase 1, target 2: "Bb4" isn\'t a note name like A4 or C#3.',
+      'Phase 1, target 3: hold must be positive.',
+      'Phase 1, target 4: unknown target type.',
+    ]);
+  });
+
+  it('needs at least one target', () => {
+    expect(validateCustomExercise(definition([]))).toContain('Add at least one target.');
+  });
+});
+
+describe('registerCustomExercises', () => {
+  afterEach(() => registerCustomExercises([]));
+
+  it('registers definitions under custom:<id> next to the built-ins', () => {
+    registerCustomExercises([definition([{ kind: 'degree', value: 1 }], { id: 'abc', name: 'Mine' })]);
+    const exercise = createExercise('custom:abc');
+    expect(exercise.name).toBe('Mine');
+    expect(exercise.generatePhases(scaleManager)[0].targets[0].midiNote).toBe(rootMidi);
+    expect(ExerciseRegistry.ascendingMajorLadder).toBeDefined();
+  });
+
+  it('replaces the previous set', () => {
+    registerCustomExercises([definition([], { id: 'a' }), definition([], { id: 'b' })]);
+    registerCustomExercises([definition([], { id: 'b', name: 'Renamed' })]);
+    expect(createExercise('custom:a')).toBeNull();
+    expect(createExercise('custom:b').name).toBe('Renamed');
+  });
+});
@@ -419,6 +419,32 @@ describe('ExerciseEngine', () => {
       expect(state.currentPhaseIndex).toBe(0);
       expect(state.currentTargetIndex).toBe(0);
     });
+
+    it('should summarise hits and misses for the practice log', () => {
+      expect(engine.getRunSummary()).toBeNull();
+
+      // Target 0 is reached on the first frame and held from there
+      let t = hitCurrentTarget(0);
+      t += 300;
+      engine.processFrame(null, t);
+
+      // Target 1: a brief match, then the wrong note until the run stops
+      const target = engine.getCurrentTarget();
+      engine.processFrame({ frequency: FrequencyConverter.midiToFrequency(target.midiNote) }, t);
+      engine.processFrame({ frequency: FrequencyConverter.midiToFrequency(target.midiNote + 3) }, t + 400);
+
+      const live = engine.getRunSummary();
+      expect(live).toMatchObject({ targets: 2, hits: 1, misses: 1, avgTimeToHitMs: 99, avgSustainMs: 132 });
+      expect(live.attempts[1]).toMatchObject({ midiNote: target.midiNote, hit: false, timeToHitMs: null });
+      expect(live.attempts[1].sustainMs).toBeGreaterThan(0);
+
+      // Stopping closes the open attempt once; the summary doesn't double count it
+      engine.stopExercise();
+      expect(engine.getRunSummary()).toMatchObject({ targets: 2, hits: 1, misses: 1 });
+
+      engine.clearExercise();
+      expect(engine.getRunSummary()).toBeNull();
+    });
   });
 
   describe('State and progress', () => {
@@ -0,0 +1,158 @@
+/**
+ * Tests for PitchExporter (note segmentation, MIDI/CSV/JSON encoding)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { segmentNotes, toMidi, toCsv, toJson } from '../PitchExporter.js';
+import { ScaleTimeline } from '../ScaleTimeline.js';
+import { FrequencyConverter } from '../../../pitch-engine/index.js';
+
+// Frames every 30ms; `cents(t)` offsets the pitch from `midi`
+function sing(midi, fromMs, toMs, cents = () => 0) {
+  const frames = [];
+  for (let t = fromMs; t <= toMs; t += 30) {
+    const exact = midi + cents(t) / 100;
+    frames.push({
+      time: t,
+      frequency: FrequencyConverter.midiToFrequency(exact),
+      rms: 0.02,
+      normalizedRMS: 0.5,
+      confidence: 0.9,
+      noteName: FrequencyConverter.midiToNoteName(midi),
+      centsOff: cents(t),
+      hnr: 0.8,
+      vibratoRate: 5.5,
+      vibratoExtent: 40,
+    });
+  }
+  return frames;
+}
+
+// Minimal SMF reader: returns channel events with absolute ticks
+function readMidi(bytes) {
+  const view = new DataView(bytes.buffer);
+  const division = view.getUint16(12);
+  const trackLength = view.getUint32(18);
+  const events = [];
+  let i = 22;
+  const end = 22 + trackLength;
+  let tick = 0;
+  while (i < end) {
+    let delta = 0;
+    let b;
+    do {
+      b = bytes[i++];
+      delta = (delta << 7) | (b & 0x7f);
+    } while (b & 0x80);
+    tick += delta;
+    const status = bytes[i++];
+    if (status === 0xff) {
+      const type = bytes[i++];
+      const len = bytes[i++];
+      events.push({ tick, type: 'meta', meta: type, data: bytes.slice(i, i + len) });
+      i += len;
+    } else {
+      const kind = status & 0xf0;
+      events.push({ tick, type: kind, data: [bytes[i], bytes[i + 1]] });
+      i += 2;
+    }
+  }
+  return { division, events };
+}
+
+describe('segmentNotes', () => {
+  it('should keep vibrato inside one note', () => {
+    const frames = sing(60, 0, 1500, (t) => 40 * Math.sin((2 * Math.PI * 5.5 * t) / 1000));
+    const notes = segmentNotes(frames);
+    expect(notes).toHaveLength(1);
+    expect(notes[0].midiNote).toBe(60);
+  });
+
+  it('should start a new note on a sustained pitch change', () => {
+    const notes = segmentNotes([...sing(60, 0, 600), ...sing(64, 630, 1200)]);
+    expect(notes.map((n) => n.midiNote)).toEqual([60, 64]);
+    expect(notes[1].startTime).toBe(630);
+  });
+
+  it('should split notes across gaps in the trace', () => {
+    const notes = segmentNotes([...sing(60, 0, 600), ...sing(60, 1000, 1600)]);
+    expect(notes).toHaveLength(2);
+  });
+
+  it('should drop very short blips', () => {
+    expect(segmentNotes(sing(60, 0, 0))).toHaveLength(0);
+  });
+});
+
+describe('toMidi', () => {
+  it('should write a format-0 file with one track', () => {
+    const bytes = toMidi(sing(60, 0, 600));
+    expect(String.fromCharCode(...bytes.slice(0, 4))).toBe('MThd');
+    expect(String.fromCharCode(...bytes.slice(14, 18))).toBe('MTrk');
+    const { division, events } = readMidi(bytes);
+    expect(division).toBe(480);
+    expect(events[events.length - 1]).toMatchObject({ type: 'meta', meta: 0x2f });
+  });
+
+  it('should write note on/off pairs at the sung times', () => {
+    const { events } = readMidi(toMidi([...sing(60, 0, 600), ...sing(67, 1000, 1600)]));
+    const ons = events.filter((e) => e.type === 0x90);
+    const offs = events.filter((e) => e.type === 0x80);
+    expect(ons.map((e) => e.data[0])).toEqual([60, 67]);
+    expect(offs).toHaveLength(2);
+    // 1000ms at 120 BPM / 480 PPQ = 960 ticks
+    expect(ons[1].tick).toBe(960);
+  });
+
+  it('should encode pitch deviation as pitch-bend', () => {
+    const { events } = readMidi(toMidi(sing(60, 0, 600, () => 30)));
+    const bends = events
+      .filter((e) => e.type === 0xe0)
+      .map((e) => e.data[0] | (e.data[1] << 7));
+    // +30 cents with a ±2 semitone range → 0.15 of the way up
+    expect(bends).toContain(8192 + Math.round(0.15 * 8192));
+  });
+});
+
+describe('toCsv', () => {
+  it('should write a header and one row per frame', () => {
+    const lines = toCsv(sing(69, 0, 90)).trim().split('\n');
+    expect(lines[0]).toBe(
+      'time_ms,frequency_hz,midi,note,cents,rms,normalized_rms,confidence,vibrato_rate_hz,vibrato_extent_cents,hnr'
+    );
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe('0,440,69,A4,0,0.02,0.5,0.9,5.5,40,0.8');
+  });
+
+  it('should derive HNR from breathiness for older frames', () => {
+    const [, row] = toCsv([{ time: 0, frequency: 440, breathiness: 0.25 }]).trim().split('\n');
+    expect(row.split(',').pop()).toBe('0.75');
+  });
+});
+
+describe('toJson', () => {
+  it('should include key segments, notes, hits and frames', () => {
+    const timeline = new ScaleTimeline();
+    timeline.setInitialKey('C3', 'major');
+    timeline.addKeyChange(700, 'D3', 'major');
+    const pitchHistory = [...sing(60, 0, 600), ...sing(62, 800, 1400)];
+    const doc = JSON.parse(
+      toJson({
+        pitchHistory,
+        scaleTimeline: timeline,
+        exerciseHits: [
+          { midiNote: 62, hitTime: 1200, lyric: 'Re', hitFrequency: 293.7 },
+          { midiNote: 60, hitTime: 400, label: 'Do' },
+        ],
+      })
+    );
+
+    expect(doc.format).toBe('flappynote-pitch-trace');
+    expect(doc.keySegments.map((s) => s.rootNote)).toEqual(['C3', 'D3']);
+    expect(doc.notes.map((n) => n.noteName)).toEqual(['C4', 'D4']);
+    expect(doc.notes[0].frames).toBeUndefined();
+    expect(doc.exerciseHits.map((h) => h.time)).toEqual([400, 1200]);
+    expect(doc.exerciseHits[1]).toMatchObject({ lyric: 'Re', sungFrequency: 293.7 });
+    expect(doc.frames).toHaveLength(pitchHistory.length);
+  });
+});
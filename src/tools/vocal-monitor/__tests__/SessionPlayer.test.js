@@ -0,0 +1,242 @@
+/**
+ * Tests for SessionRecorder snapshots and SessionPlayer replay clock
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SessionRecorder } from '../SessionRecorder.js';
+import { SessionPlayer } from '../SessionPlayer.js';
+import { ScaleTimeline } from '../ScaleTimeline.js';
+import { TargetState } from '../ExerciseEngine.js';
+
+function makeHistory(fromMs, toMs, step = 30) {
+  const points = [];
+  for (let t = fromMs; t <= toMs; t += step) {
+    points.push({ time: t, frequency: 220, midiNote: 57, cents: 0 });
+  }
+  return points;
+}
+
+function makeSession(overrides = {}) {
+  return {
+    pitchHistory: makeHistory(0, 9990),
+    initialKey: { rootNote: 'C3', scaleType: 'major' },
+    keyChanges: [],
+    exerciseHits: [],
+    sustainDuration: 200,
+    clips: [],
+    durationMs: 9990,
+    ...overrides,
+  };
+}
+
+// Minimal HTMLAudioElement stand-in driven by the test
+function fakeAudioFactory(created) {
+  return (clip) => {
+    const audio = {
+      clip,
+      currentTime: 0,
+      ended: false,
+      playing: false,
+      play() {
+        this.playing = true;
+        return Promise.resolve();
+      },
+      pause() {
+        this.playing = false;
+      },
+    };
+    created.push(audio);
+    return audio;
+  };
+}
+
+describe('SessionRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    recorder = new SessionRecorder();
+  });
+
+  it('should not capture audio without a stream', () => {
+    expect(recorder.startClip(null, 0)).toBe(false);
+    expect(recorder.isCapturing).toBe(false);
+  });
+
+  it('should collect hits from history and live phases without duplicates', () => {
+    const engine = {
+      hitHistory: [{ midiNote: 60, hitTime: 1000, state: TargetState.HIT }],
+      phases: [
+        {
+          targets: [
+            { midiNote: 62, hitTime: 2000, state: TargetState.HIT },
+            { midiNote: 64, hitTime: null, state: TargetState.WAITING },
+          ],
+        },
+      ],
+    };
+
+    recorder.captureExerciseHits(engine);
+    recorder.captureExerciseHits(engine);
+
+    expect(recorder.exerciseHits.map((h) => h.midiNote)).toEqual([60, 62]);
+  });
+
+  it('should snapshot pitch history and key changes', () => {
+    const timeline = new ScaleTimeline();
+    timeline.setInitialKey('D3', 'minor');
+    timeline.addKeyChange(3000, 'E3', 'minor');
+    const history = makeHistory(0, 5000);
+
+    const session = recorder.buildSession({ pitchHistory: history, scaleTimeline: timeline });
+    history.push({ time: 6000, frequency: 220 });
+
+    expect(session.pitchHistory).toHaveLength(history.length - 1);
+    expect(session.initialKey).toEqual({ rootNote: 'D3', scaleType: 'minor' });
+    expect(session.keyChanges).toHaveLength(1);
+    expect(session.durationMs).toBe(4980);
+  });
+
+  it('should extend the duration to cover recorded clips', () => {
+    recorder.clips.push({ startMs: 0, durationMs: 7000, blob: null });
+    const session = recorder.buildSession({
+      pitchHistory: makeHistory(0, 5000),
+      scaleTimeline: new ScaleTimeline(),
+    });
+    expect(session.durationMs).toBe(7000);
+  });
+
+  it('should drop clips and hits on clear', () => {
+    recorder.clips.push({ startMs: 0, durationMs: 1000, blob: null });
+    recorder.exerciseHits.push({ midiNote: 60, hitTime: 500 });
+    recorder.clear();
+    expect(recorder.hasAudio).toBe(false);
+    expect(recorder.exerciseHits).toHaveLength(0);
+  });
+});
+
+describe('SessionPlayer', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  it('should rebuild the scale timeline from the snapshot', () => {
+    const player = new SessionPlayer(
+      makeSession({ keyChanges: [{ time: 4000, rootNote: 'G3', scaleType: 'major' }] }),
+      { now: clock }
+    );
+    expect(player.scaleTimeline.getKeyAtTime(1000).rootNote).toBe('C3');
+    expect(player.scaleTimeline.getKeyAtTime(5000).rootNote).toBe('G3');
+  });
+
+  it('should advance on the wall clock when there is no audio', () => {
+    const player = new SessionPlayer(makeSession(), { now: clock });
+    player.play();
+    now = 500;
+    expect(player.tick()).toBe(500);
+  });
+
+  it('should stop at the end of the session', () => {
+    const player = new SessionPlayer(makeSession(), { now: clock });
+    player.play();
+    now = 20000;
+    player.tick();
+    expect(player.position).toBe(9990);
+    expect(player.isPlaying).toBe(false);
+  });
+
+  it('should restart from the beginning when played at the end', () => {
+    const player = new SessionPlayer(makeSession(), { now: clock });
+    player.seek(9990);
+    player.play();
+    expect(player.position).toBe(0);
+  });
+
+  it('should clamp seeks to the session', () => {
+    const player = new SessionPlayer(makeSession(), { now: clock });
+    player.seek(-100);
+    expect(player.position).toBe(0);
+    player.seek(50000);
+    expect(player.position).toBe(9990);
+  });
+
+  it('should follow the audio clock inside a clip', () => {
+    const created = [];
+    const session = makeSession({ clips: [{ startMs: 2000, durationMs: 5000, blob: null }] });
+    const player = new SessionPlayer(session, { now: clock, createAudio: fakeAudioFactory(created) });
+
+    player.seek(3000);
+    player.play();
+    expect(created).toHaveLength(1);
+    expect(created[0].currentTime).toBe(1);
+    expect(created[0].playing).toBe(true);
+
+    // Audio ran slightly slower than the wall clock — audio wins
+    created[0].currentTime = 1.4;
+    now = 500;
+    expect(player.tick()).toBe(3400);
+  });
+
+  it('should start a clip when the playhead reaches it', () => {
+    const created = [];
+    const session = makeSession({ clips: [{ startMs: 1000, durationMs: 2000, blob: null }] });
+    const player = new SessionPlayer(session, { now: clock, createAudio: fakeAudioFactory(created) });
+
+    player.play();
+    expect(created).toHaveLength(0);
+    now = 1000;
+    player.tick();
+    expect(created).toHaveLength(1);
+    expect(created[0].playing).toBe(true);
+  });
+
+  it('should pause the audio when seeking outside the clip', () => {
+    const created = [];
+    const session = makeSession({ clips: [{ startMs: 0, durationMs: 2000, blob: null }] });
+    const player = new SessionPlayer(session, { now: clock, createAudio: fakeAudioFactory(created) });
+
+    player.play();
+    player.seek(5000);
+    expect(created[0].playing).toBe(false);
+    expect(player.isPlaying).toBe(true);
+  });
+
+  it('should centre the viewport on the playhead', () => {
+    const player = new SessionPlayer(makeSession(), { now: clock });
+    player.seek(6000);
+    const state = player.getRenderState({ viewportWidth: 4000, pitchRangeMin: 48 });
+
+    expect(state.viewportStart).toBe(4000);
+    expect(state.currentTime).toBe(6000);
+    expect(state.isReplaying).toBe(true);
+    expect(state.isRecording).toBe(false);
+    expect(state.pitchRangeMin).toBe(48);
+    expect(state.pitchHistory.every((p) => p.time >= 4000 && p.time <= 8000)).toBe(true);
+  });
+
+  it('should only show a current pitch near sung frames', () => {
+    const session = makeSession({
+      pitchHistory: [...makeHistory(0, 1000), ...makeHistory(3000, 4000)],
+    });
+    const player = new SessionPlayer(session, { now: clock });
+
+    player.seek(500);
+    expect(player.getRenderState({ viewportWidth: 4000 }).isSinging).toBe(true);
+    player.seek(2000);
+    const gap = player.getRenderState({ viewportWidth: 4000 });
+    expect(gap.isSinging).toBe(false);
+    expect(gap.currentPitch).toBeNull();
+  });
+
+  it('should expose recorded hits as a paused exercise state', () => {
+    const hits = [{ midiNote: 60, hitTime: 1000, state: TargetState.HIT }];
+    const player = new SessionPlayer(makeSession({ exerciseHits: hits }), { now: clock });
+    const state = player.getExerciseState();
+    expect(state.engineState).toBe('paused');
+    expect(state.hitHistory).toEqual(hits);
+
+    expect(new SessionPlayer(makeSession(), { now: clock }).getExerciseState()).toBeNull();
+  });
+});
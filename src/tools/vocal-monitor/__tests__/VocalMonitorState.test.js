@@ -122,4 +122,30 @@ describe('VocalMonitorState', () => {
       expect(Math.round(currentMidi)).toBe(60);
     });
   });
+
+  describe('offline frames', () => {
+    const c4 = (time) => ({
+      time,
+      pitch: { frequency: 261.63, confidence: 0.9, noteName: 'C4', midiNote: 60, centsOff: 0, rms: 0.02 },
+    });
+
+    it('should stamp loaded frames with their file time', () => {
+      state.loadFrames([c4(15), { time: 45, pitch: null }, c4(75), c4(105)], 2000);
+
+      expect(state.pitchHistory.map((p) => p.time)).toEqual([15, 75, 105]);
+      expect(state.isRecording).toBe(false);
+      expect(state.currentTime).toBe(2000);
+      expect(state.viewportStart).toBe(0);
+    });
+
+    it('should replace the existing history', () => {
+      state.start();
+      state.onPitchDetected(c4(0).pitch);
+      state.stop();
+
+      state.loadFrames([c4(500)], 1000);
+      expect(state.pitchHistory).toHaveLength(1);
+      expect(state.pitchHistory[0].time).toBe(500);
+    });
+  });
 });
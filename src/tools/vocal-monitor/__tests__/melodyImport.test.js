@@ -0,0 +1,221 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { ScaleManager } from '../../../core/ScaleManager.js';
+import { FrequencyConverter } from '../../../pitch-engine/index.js';
+import {
+  MELODIES,
+  createExercise,
+  importMelodyFile,
+  parseMidiMelody,
+  parseMusicXmlMelody,
+  registerImportedMelodies,
+} from '../exercises/index.js';
+
+// ── MusicXML fixtures ────────────────────────────────────────────────────
+
+function xmlNote({ step, octave, alter, duration = 1, lyric, tie, rest, chord, voice }) {
+  return `<note>
+    ${chord ? '<chord/>' : ''}
+    ${rest ? '<rest/>' : `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`}
+    <duration>${duration}</duration>
+    ${voice ? `<voice>${voice}</voice>` : ''}
+    ${tie ? `<tie type="${tie}"/>` : ''}
+    ${lyric ? `<lyric number="1"><syllabic>single</syllabic><text>${lyric}</text></lyric>` : ''}
+  </note>`;
+}
+
+function musicXml(notes, { fifths = 0, mode = 'major', title = 'Test Song' } = {}) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <work><work-title>${title}</work-title></work>
+  <part-list><score-part id="P1"><part-name>Voice</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>1</divisions><key><fifths>${fifths}</fifths><mode>${mode}</mode></key></attributes>
+      ${notes.map(xmlNote).join('\n')}
+    </measure>
+  </part>
+</score-partwise>`;
+}
+
+// ── MIDI fixtures ────────────────────────────────────────────────────────
+
+function varLen(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  return bytes;
+}
+
+function meta(type, text) {
+  const data = [...new TextEncoder().encode(text)];
+  return [0xff, type, ...varLen(data.length), ...data];
+}
+
+/** Events: [deltaTicks, ...bytes] */
+function track(events) {
+  const body = events.flatMap(([delta, ...bytes]) => [...varLen(delta), ...bytes]);
+  body.push(0x00, 0xff, 0x2f, 0x00);
+  const len = body.length;
+  return [0x4d, 0x54, 0x72, 0x6b, (len >>> 24) & 0xff, (len >>> 16) & 0xff, (len >>> 8) & 0xff, len & 0xff, ...body];
+}
+
+function midiFile(tracks, division = 480) {
+  return new Uint8Array([
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6,
+    0, tracks.length > 1 ? 1 : 0, 0, tracks.length, division >> 8, division & 0xff,
+    ...tracks.flat(),
+  ]);
+}
+
+/** A sung note: lyric (optional) then note on/off one beat apart */
+function sung(midi, lyric, beats = 1, gap = 0) {
+  return [
+    ...(lyric != null ? [[gap, ...meta(0x05, lyric)]] : []),
+    [lyric != null ? 0 : gap, 0x90, midi, 100],
+    [480 * beats, 0x80, midi, 0],
+  ];
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('parseMusicXmlMelody', () => {
+  it('turns lyric-carrying notes into offsets from the key tonic', () => {
+    // G major: G4 A4 B4 G4(held)
+    const melody = parseMusicXmlMelody(musicXml([
+      { step: 'G', octave: 4, lyric: 'Do' },
+      { step: 'A', octave: 4, lyric: 're' },
+      { step: 'B', octave: 4, lyric: 'mi' },
+      { step: 'G', octave: 4, duration: 3, lyric: 'do' },
+    ], { fifths: 1 }));
+    expect(melody).toEqual({
+      name: 'Test Song',
+      scaleType: 'major',
+      notes: [
+        { s: 0, l: 'Do' }, { s: 2, l: 're' }, { s: 4, l: 'mi' }, { s: 0, l: 'do', hold: 3 },
+      ],
+    });
+  });
+
+  it('puts the tonic nearest the lowest note so pickups come out negative', () => {
+    // Happy Birthday opening in C: G3 G3 A3 G3 C4 B3
+    const melody = parseMusicXmlMelody(musicXml([
+      { step: 'G', octave: 3, lyric: 'Hap' },
+      { step: 'G', octave: 3, lyric: 'py' },
+      { step: 'A', octave: 3, lyric: 'birth' },
+      { step: 'G', octave: 3, lyric: 'day' },
+      { step: 'C', octave: 4, lyric: 'to' },
+      { step: 'B', octave: 3, duration: 2, lyric: 'you' },
+    ]));
+    expect(melody.notes.map((n) => n.s)).toEqual(MELODIES.happyBirthday.notes.slice(0, 6).map((n) => n.s));
+  });
+
+  it('folds ties and melismas into the syllable and skips chords, rests and other voices', () => {
+    const melody = parseMusicXmlMelody(musicXml([
+      { step: 'A', octave: 4, lyric: 'La', tie: 'start' },
+      { step: 'A', octave: 4, tie: 'stop' },
+      { step: 'C', octave: 5, chord: true },
+      { step: 'B', octave: 4, lyric: 'ah' },
+      { step: 'C', octave: 5 },
+      { rest: true },
+      { step: 'E', octave: 3, voice: 2, lyric: 'bass' },
+      { step: 'A', octave: 4, duration: 4, lyric: 'end' },
+    ], { fifths: 0, mode: 'minor' }));
+    expect(melody.scaleType).toBe('minor');
+    expect(melody.notes).toEqual([
+      { s: 0, l: 'La' }, { s: 2, l: 'ah' }, { s: 0, l: 'end', hold: 2 },
+    ]);
+  });
+
+  it('handles accidentals and keeps every note when there are no lyrics', () => {
+    const melody = parseMusicXmlMelody(musicXml([
+      { step: 'B', octave: 3, alter: -1 },
+      { step: 'C', octave: 4 },
+    ], { fifths: -2 }), { name: 'Fallback' });
+    expect(melody.notes).toEqual([{ s: 0, l: '' }, { s: 2, l: '' }]);
+  });
+
+  it('rejects files that are not MusicXML', () => {
+    expect(() => parseMusicXmlMelody('<nope')).toThrow(/valid MusicXML/);
+    expect(() => parseMusicXmlMelody('<score-partwise/>')).toThrow(/No part/);
+  });
+});
+
+describe('parseMidiMelody', () => {
+  it('reads notes with lyric meta events and the key signature', () => {
+    const file = midiFile([track([
+      [0, ...meta(0x03, 'Lullaby')],
+      [0, 0xff, 0x59, 0x02, 0x02, 0x00], // D major
+      ...sung(62, 'Sleep'),
+      ...sung(66, 'lit'),
+      ...sung(69, 'tle', 2),
+      ...sung(62, 'one', 1, 480), // after a beat's rest
+    ])]);
+    expect(parseMidiMelody(file)).toEqual({
+      name: 'Lullaby',
+      scaleType: 'major',
+      notes: [{ s: 0, l: 'Sleep' }, { s: 4, l: 'lit' }, { s: 7, l: 'tle', hold: 2 }, { s: 0, l: 'one' }],
+    });
+  });
+
+  it('takes the melody from the lyric track and the top note of overlaps', () => {
+    const accompaniment = track([[0, 0x91, 48, 90], [1920, 0x81, 48, 0], [0, 0x91, 43, 90], [1920, 0x81, 43, 0]]);
+    const voice = track([
+      [0, 0xff, 0x59, 0x02, 0x00, 0x00], // C major
+      [0, ...meta(0x05, 'Oh')],
+      [0, 0x90, 60, 100], [0, 0x90, 64, 100], // harmony note under the lyric
+      [480, 0x80, 60, 0], [0, 0x80, 64, 0],
+      ...sung(67, 'yes/'),
+      [0, 0x90, 65, 100], [480, 0x80, 65, 0], // melisma on "yes"
+    ]);
+    const melody = parseMidiMelody(midiFile([accompaniment, voice]), { name: 'Duet' });
+    expect(melody.name).toBe('Duet');
+    expect(melody.notes).toEqual([{ s: 4, l: 'Oh' }, { s: 7, l: 'yes', hold: 2 }]);
+  });
+
+  it('reads karaoke text events and ignores drums', () => {
+    const file = midiFile([
+      track([[0, ...meta(0x01, '@KMIDI KARAOKE FILE')]]),
+      track([
+        [0, 0x99, 36, 100], [10, 0x89, 36, 0],
+        [0, ...meta(0x01, '\\Hel')],
+        [0, 0x90, 69, 100], [470, 0x80, 69, 0],
+        [0, ...meta(0x01, 'lo')],
+        [0, 0x90, 72, 100], [480, 0x80, 72, 0],
+      ]),
+    ]);
+    expect(parseMidiMelody(file).notes.map((n) => n.l)).toEqual(['Hel', 'lo']);
+  });
+
+  it('rejects files that are not MIDI or have no notes', () => {
+    expect(() => parseMidiMelody(new Uint8Array([1, 2, 3, 4]))).toThrow(/isn't a MIDI file/);
+    expect(() => parseMidiMelody(midiFile([track([])]))).toThrow(/No notes/);
+  });
+});
+
+describe('imported melodies as exercises', () => {
+  afterEach(() => registerImportedMelodies([]));
+
+  it('picks the parser from the file extension', async () => {
+    const file = new File([musicXml([{ step: 'C', octave: 4, lyric: 'Hi' }])], 'song.musicxml');
+    await expect(importMelodyFile(file)).resolves.toMatchObject({ notes: [{ s: 0, l: 'Hi' }] });
+    await expect(importMelodyFile(new File([''], 'song.mxl'))).rejects.toThrow(/Compressed/);
+    await expect(importMelodyFile(new File([''], 'song.pdf'))).rejects.toThrow(/Unsupported/);
+  });
+
+  it('registers imported songs as MelodyExercises under imported:<id>', () => {
+    const melody = parseMusicXmlMelody(musicXml([
+      { step: 'E', octave: 4, lyric: 'One' },
+      { step: 'G', octave: 4, duration: 2, lyric: 'two' },
+    ]));
+    registerImportedMelodies([{ id: 'abc', ...melody }]);
+    const exercise = createExercise('imported:abc');
+    expect(exercise.name).toBe('Test Song');
+
+    const targets = exercise.generatePhases(new ScaleManager('D4', 'major'))[0].targets;
+    const root = FrequencyConverter.noteNameToMidi('D4');
+    expect(targets.map((t) => [t.midiNote - root, t.lyric])).toEqual([[4, 'One'], [7, 'two']]);
+    expect(targets[1].sustainDuration).toBe(2 * exercise.sustainDuration);
+
+    registerImportedMelodies([]);
+    expect(createExercise('imported:abc')).toBeNull();
+  });
+});
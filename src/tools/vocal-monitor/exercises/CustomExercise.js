@@ -0,0 +1,152 @@
+/**
+ * CustomExercise - user-authored exercise built from a plain definition
+ * (edited in the Exercise Builder, stored in SharedSettings.customExercises).
+ *
+ * Definition:
+ *   {
+ *     id, name, description?,
+ *     scaleType: null | scale key   — null follows the user's scale; a key locks it
+ *     sustainDuration: ms           — default hold time for every target
+ *     phases: [{ label, targets: [{ kind, value, label?, hold?, sustain? }] }]
+ *   }
+ *
+ * Target kinds:
+ *   'degree'   — 1-based scale degree of the current scale. Numbers past the
+ *                top wrap into the next octave (8 = octave in a 7-note scale),
+ *                0 and below step down (0 = the 7th below the root).
+ *   'semitone' — semitone offset from the root, scale-independent
+ *   'note'     — absolute note name ("A4"), ignores the root entirely
+ *
+ * `label` is the lyric/solfège shown on the target (defaults to the degree's
+ * solfège, or empty). `hold` multiplies the exercise sustain for that target
+ * and `sustain` (ms) overrides it outright.
+ */
+
+import { BaseExercise } from './BaseExercise.js';
+import { FrequencyConverter } from '../../../pitch-engine/index.js';
+import { TargetState } from '../ExerciseEngine.js';
+
+export const CUSTOM_PREFIX = 'custom:';
+
+export const TARGET_KINDS = ['degree', 'semitone', 'note'];
+
+const DEFAULT_SUSTAIN_MS = 300;
+
+export class CustomExercise extends BaseExercise {
+  /**
+   * @param {object} definition - See module docs
+   */
+  constructor(definition) {
+    super();
+    this.definition = definition;
+    this.name = definition.name || 'Untitled exercise';
+    this.description = definition.description || 'Custom exercise';
+    this.scaleType = definition.scaleType || null;
+    this.sustainDuration = definition.sustainDuration || DEFAULT_SUSTAIN_MS;
+  }
+
+  generatePhases(scaleManager) {
+    const rootMidi = FrequencyConverter.noteNameToMidi(scaleManager.getRootNote());
+    // The octave entry (interval 12) is the next octave's degree 1, not a degree of its own
+    const degrees = scaleManager.getAllDegrees().filter((d) => d.interval < 12);
+
+    return this.definition.phases
+      .filter((phase) => phase.targets.length > 0)
+      .map((phase) => ({
+        label: phase.label,
+        targets: phase.targets.map((target) => this._buildTarget(target, rootMidi, degrees)),
+      }));
+  }
+
+  _buildTarget(target, rootMidi, degrees) {
+    const resolved = resolveTarget(target, rootMidi, degrees);
+    const label = target.label || resolved.label || '';
+    let sustainDuration = null;
+    if (target.sustain > 0) sustainDuration = target.sustain;
+    else if (target.hold > 0 && target.hold !== 1) sustainDuration = this.sustainDuration * target.hold;
+
+    return {
+      midiNote: resolved.midiNote,
+      frequency: FrequencyConverter.midiToFrequency(resolved.midiNote),
+      label,
+      lyric: label,
+      scaleDegree: resolved.scaleDegree,
+      degreeNumber: resolved.scaleDegree + 1,
+      state: TargetState.WAITING,
+      ...(sustainDuration ? { sustainDuration } : {}),
+    };
+  }
+}
+
+/**
+ * Resolve one target spec to a MIDI note (+ the scale degree and its
+ * solfège for 'degree' targets; scaleDegree is -1 otherwise)
+ */
+export function resolveTarget(target, rootMidi, degrees) {
+  if (target.kind === 'note') {
+    return { midiNote: FrequencyConverter.noteNameToMidi(target.value), scaleDegree: -1 };
+  }
+  if (target.kind === 'semitone') {
+    return { midiNote: rootMidi + Number(target.value), scaleDegree: -1 };
+  }
+  const index = Number(target.value) - 1;
+  const octave = Math.floor(index / degrees.length);
+  const degree = degrees[index - octave * degrees.length];
+  return {
+    midiNote: rootMidi + degree.interval + 12 * octave,
+    scaleDegree: degree.degree,
+    label: degree.label,
+  };
+}
+
+/**
+ * Problems that would stop a definition from generating targets, as
+ * human-readable strings (empty when the definition is usable)
+ * @param {object} definition
+ * @returns {string[]}
+ */
+export function validateCustomExercise(definition) {
+  const errors = [];
+  if (!definition?.name?.trim()) errors.push('Give the exercise a name.');
+  const phases = definition?.phases ?? [];
+  if (!phases.some((p) => p.targets?.length > 0)) errors.push('Add at least one target.');
+
+  phases.forEach((phase, p) => {
+    (phase.targets ?? []).forEach((target, t) => {
+      const where = `Phase ${p + 1}, target ${t + 1}`;
+      if (!TARGET_KINDS.includes(target.kind)) {
+        errors.push(`${where}: unknown target type.`);
+      } else if (target.kind === 'note') {
+        if (!isNoteName(target.value)) {
+          errors.push(`${where}: "${target.value}" isn't a note name like A4 or C#3.`);
+        }
+      } else if (!Number.isInteger(Number(target.value)) || target.value === '') {
+        errors.push(`${where}: ${target.kind === 'degree' ? 'degree' : 'offset'} must be a whole number.`);
+      }
+      if (target.hold != null && !(target.hold > 0)) errors.push(`${where}: hold must be positive.`);
+      if (target.sustain != null && !(target.sustain > 0)) errors.push(`${where}: sustain must be positive.`);
+    });
+  });
+  return errors;
+}
+
+function isNoteName(value) {
+  try {
+    FrequencyConverter.noteNameToMidi(String(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build a CustomExercise subclass bound to one definition, so the registry's
+ * `new ExerciseClass()` convention keeps working.
+ */
+export function customExerciseClass(definition) {
+  return class BoundCustomExercise extends CustomExercise {
+    constructor() {
+      super(definition);
+    }
+  };
+}
@@ -10,6 +10,9 @@ import { TargetState } from '../ExerciseEngine.js';
 
 const BASE_SUSTAIN_MS = 250;
 
+// Registry key prefix for melodies imported from MusicXML / MIDI files
+export const IMPORTED_MELODY_PREFIX = 'imported:';
+
 export class MelodyExercise extends BaseExercise {
   /**
    * @param {object} melody - { name, scaleType, notes: [{ s, l, hold? }] }
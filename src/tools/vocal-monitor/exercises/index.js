@@ -40,8 +40,23 @@ export {
 } from './PassaggioExercises.js';
 
 // Melody (sing-along) exercises
-export { MelodyExercise, melodyExerciseClass } from './MelodyExercise.js';
+export { MelodyExercise, melodyExerciseClass, IMPORTED_MELODY_PREFIX } from './MelodyExercise.js';
 export { MELODIES } from './melodies.js';
+export {
+  importMelodyFile,
+  parseMusicXmlMelody,
+  parseMidiMelody,
+  MELODY_FILE_ACCEPT,
+} from './melodyImport.js';
+
+// User-authored exercises (Exercise Builder)
+export {
+  CustomExercise,
+  customExerciseClass,
+  validateCustomExercise,
+  CUSTOM_PREFIX,
+  TARGET_KINDS,
+} from './CustomExercise.js';
 
 // Legacy export for backwards compatibility
 export { AscendingMajorLadder as ScaleDegreePatternExercise } from './AscendingMajorLadder.js';
@@ -73,8 +88,9 @@ import {
   OctaveBounceExercise,
   DescendingSirenExercise,
 } from './PassaggioExercises.js';
-import { melodyExerciseClass } from './MelodyExercise.js';
+import { melodyExerciseClass, IMPORTED_MELODY_PREFIX } from './MelodyExercise.js';
 import { MELODIES } from './melodies.js';
+import { customExerciseClass, CUSTOM_PREFIX } from './CustomExercise.js';
 
 export const ExerciseRegistry = {
   // Ladders
@@ -123,6 +139,34 @@ export const ExerciseRegistry = {
   ),
 };
 
+/**
+ * Register the user's custom exercises under `custom:<id>`, replacing any
+ * previously registered set (call again whenever the saved list changes)
+ * @param {Array<object>} definitions - CustomExercise definitions
+ */
+export function registerCustomExercises(definitions = []) {
+  for (const key of Object.keys(ExerciseRegistry)) {
+    if (key.startsWith(CUSTOM_PREFIX)) delete ExerciseRegistry[key];
+  }
+  for (const definition of definitions) {
+    ExerciseRegistry[`${CUSTOM_PREFIX}${definition.id}`] = customExerciseClass(definition);
+  }
+}
+
+/**
+ * Register melodies imported from files under `imported:<id>`, replacing
+ * any previously registered set
+ * @param {Array<object>} melodies - { id, name, scaleType, notes } (see melodyImport.js)
+ */
+export function registerImportedMelodies(melodies = []) {
+  for (const key of Object.keys(ExerciseRegistry)) {
+    if (key.startsWith(IMPORTED_MELODY_PREFIX)) delete ExerciseRegistry[key];
+  }
+  for (const melody of melodies) {
+    ExerciseRegistry[`${IMPORTED_MELODY_PREFIX}${melody.id}`] = melodyExerciseClass(melody);
+  }
+}
+
 /**
  * Get exercise class by key
  * @param {string} key - Exercise type key
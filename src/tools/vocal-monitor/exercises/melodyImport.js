@@ -0,0 +1,415 @@
+/**
+ * melodyImport - Turns MusicXML (with lyrics) and Standard MIDI Files (with
+ * lyric meta events) into the melody format of melodies.js, so imported
+ * repertoire runs through MelodyExercise like the built-in songs.
+ *
+ * Both parsers reduce the file to one monophonic line of
+ * { midi, duration, lyric } events; toMelodyNotes() then does the shared part:
+ *
+ *   - Notes without a syllable continue the previous syllable (melismas,
+ *     tied-over notes) and are folded into it, the same simplification the
+ *     hand-transcribed catalogue makes. Songs without any lyrics keep every
+ *     note, with empty labels.
+ *   - Pitches become semitone offsets from the tonic. The tonic octave is the
+ *     one closest to the lowest note, so pickups below do come out negative
+ *     (Happy Birthday starts on -5) like they do in MELODIES.
+ *   - Notes at least 1.5× the typical note length get a `hold` multiplier.
+ *
+ * The key comes from the file's key signature (MusicXML <key>, MIDI 0x59
+ * meta); without one the last note is taken as the tonic of a major key.
+ *
+ * Everything here is pure apart from importMelodyFile(), which reads a File.
+ */
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Notes this much longer than the median become phrase holds
+const HOLD_THRESHOLD = 1.5;
+const MAX_HOLD = 4;
+
+const MIDI_EXTENSIONS = ['mid', 'midi', 'kar'];
+const MUSICXML_EXTENSIONS = ['xml', 'musicxml'];
+
+/**
+ * File picker `accept` list for the importer
+ */
+export const MELODY_FILE_ACCEPT = [...MIDI_EXTENSIONS, ...MUSICXML_EXTENSIONS]
+  .map((ext) => `.${ext}`)
+  .join(',');
+
+/**
+ * Read a MusicXML or MIDI file chosen by the user
+ * @param {File} file
+ * @returns {Promise<{ name: string, scaleType: string, notes: Array<{s: number, l: string, hold?: number}> }>}
+ */
+export async function importMelodyFile(file) {
+  const ext = file.name.split('.').pop().toLowerCase();
+  const fallbackName = file.name.replace(/\.[^.]+$/, '');
+  if (ext === 'mxl') {
+    throw new Error('Compressed MusicXML (.mxl) isn\'t supported — export uncompressed .musicxml instead.');
+  }
+  if (MIDI_EXTENSIONS.includes(ext)) {
+    return parseMidiMelody(await file.arrayBuffer(), { name: fallbackName });
+  }
+  if (MUSICXML_EXTENSIONS.includes(ext)) {
+    return parseMusicXmlMelody(await file.text(), { name: fallbackName });
+  }
+  throw new Error(`Unsupported file type ".${ext}" — use MusicXML or MIDI.`);
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// MusicXML
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the first part of a partwise MusicXML score
+ * @param {string} xml
+ * @param {object} options
+ * @param {string} options.name - Used when the score has no title
+ */
+export function parseMusicXmlMelody(xml, { name = 'Imported song' } = {}) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('This file isn\'t valid MusicXML.');
+  }
+  const part = doc.getElementsByTagName('part')[0];
+  if (!part) throw new Error('No part found in this MusicXML file.');
+
+  const title = text(doc.querySelector('work > work-title')) || text(doc.querySelector('movement-title'));
+  let key = null;
+  let voice = null;
+  const events = [];
+  let tying = false;
+
+  for (const note of part.getElementsByTagName('note')) {
+    // Only the top line: chord tones and grace notes don't get their own
+    // target, and other voices / staves are accompaniment
+    if (child(note, 'chord') || child(note, 'grace')) continue;
+    const noteVoice = text(child(note, 'voice')) || '1';
+    voice ??= noteVoice;
+    if (noteVoice !== voice) continue;
+    const duration = Number(text(child(note, 'duration'))) || 0;
+    const pitch = child(note, 'pitch');
+
+    if (!pitch) {
+      tying = false;
+      // Rests keep the phrase timing but never become targets
+      events.push({ midi: null, duration, lyric: null });
+      continue;
+    }
+
+    key ??= keyBefore(note);
+    const midi = pitchToMidi(pitch);
+    const ties = [...note.getElementsByTagName('tie')].map((t) => t.getAttribute('type'));
+    const lyric = lyricText(note);
+
+    if (tying && ties.includes('stop') && lyric == null) {
+      events[events.length - 1].duration += duration;
+    } else {
+      events.push({ midi, duration, lyric });
+    }
+    tying = ties.includes('start');
+  }
+
+  return toMelodyNotes(events, { name: title || name, key });
+}
+
+function pitchToMidi(pitch) {
+  const step = text(child(pitch, 'step'));
+  const alter = Math.round(Number(text(child(pitch, 'alter'))) || 0);
+  const octave = Number(text(child(pitch, 'octave')));
+  return (octave + 1) * 12 + STEP_SEMITONES[step] + alter;
+}
+
+function lyricText(note) {
+  // First verse only
+  const lyric = [...note.getElementsByTagName('lyric')]
+    .find((l) => (l.getAttribute('number') ?? '1') === '1');
+  if (!lyric) return null;
+  const words = [...lyric.getElementsByTagName('text')].map((t) => t.textContent).join('');
+  return cleanLyric(words);
+}
+
+/**
+ * The key signature in force at a note: the last <key> in its measure or an
+ * earlier one. Returns { fifths, mode } or null.
+ */
+function keyBefore(note) {
+  let measure = note.parentElement;
+  while (measure) {
+    const keys = measure.getElementsByTagName('key');
+    if (keys.length > 0) {
+      const el = keys[keys.length - 1];
+      return {
+        fifths: Number(text(child(el, 'fifths'))) || 0,
+        mode: text(child(el, 'mode')) === 'minor' ? 'minor' : 'major',
+      };
+    }
+    measure = measure.previousElementSibling;
+  }
+  return null;
+}
+
+function child(el, tag) {
+  return [...el.children].find((c) => c.tagName === tag) ?? null;
+}
+
+function text(el) {
+  return el?.textContent.trim() ?? '';
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// MIDI
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a Standard MIDI File. The melody is the track that carries the
+ * lyrics (or, when lyrics live in a track of their own, the track with the
+ * most notes); where notes overlap the highest one wins.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {object} options
+ * @param {string} options.name - Used when the file has no track name
+ */
+export function parseMidiMelody(buffer, { name = 'Imported song' } = {}) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const { tracks, division } = readMidiFile(bytes);
+
+  // Karaoke (.kar) files carry syllables as text events, flagged by an
+  // "@KMIDI KARAOKE FILE"-style header
+  const karaoke = tracks.some((t) => t.texts.some((e) => e.text.startsWith('@')));
+  for (const track of tracks) {
+    const source = track.lyrics.length > 0 || !karaoke
+      ? track.lyrics
+      : track.texts.filter((e) => !e.text.startsWith('@'));
+    track.lyrics = source
+      .map((e) => ({ tick: e.tick, text: cleanLyric(e.text) }))
+      .filter((e) => e.text);
+  }
+
+  const lyrics = tracks.flatMap((t) => t.lyrics);
+  const withNotes = tracks.filter((t) => t.notes.length > 0);
+  if (withNotes.length === 0) throw new Error('No notes found in this MIDI file.');
+  const lyricTrack = withNotes.find((t) => t.lyrics.length > 0);
+  const melody = lyricTrack
+    ?? withNotes.reduce((best, t) => (t.notes.length > best.notes.length ? t : best));
+
+  const notes = monophonic(melody.notes);
+  const key = tracks.map((t) => t.key).find(Boolean) ?? null;
+  const title = tracks.map((t) => t.name).find(Boolean);
+
+  // Each syllable goes to the first free note starting at (or just before) it
+  const tolerance = Math.max(1, Math.round(division / 8));
+  const lyricAt = new Array(notes.length).fill(null);
+  let cursor = 0;
+  for (const lyric of [...lyrics].sort((a, b) => a.tick - b.tick)) {
+    while (cursor < notes.length && notes[cursor].tick < lyric.tick - tolerance) cursor++;
+    if (cursor >= notes.length) break;
+    lyricAt[cursor] = lyric.text;
+    cursor++;
+  }
+
+  const events = [];
+  notes.forEach((note, i) => {
+    const gap = i > 0 ? note.tick - (notes[i - 1].tick + notes[i - 1].duration) : 0;
+    if (gap > 0) events.push({ midi: null, duration: gap, lyric: null });
+    events.push({ midi: note.midi, duration: note.duration, lyric: lyricAt[i] });
+  });
+
+  return toMelodyNotes(events, { name: title || name, key });
+}
+
+/**
+ * Minimal SMF reader: per track, the notes (tick, midi, duration), lyric
+ * and text events, key signature and track name. Tempo is irrelevant here —
+ * only relative durations are used.
+ */
+function readMidiFile(bytes) {
+  if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'MThd') {
+    throw new Error('This file isn\'t a MIDI file.');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+  if (division & 0x8000) throw new Error('SMPTE-timed MIDI files aren\'t supported.');
+
+  const tracks = [];
+  let pos = 8 + view.getUint32(4);
+  for (let t = 0; t < trackCount && pos + 8 <= bytes.length; t++) {
+    const length = view.getUint32(pos + 4);
+    if (String.fromCharCode(...bytes.subarray(pos, pos + 4)) === 'MTrk') {
+      tracks.push(readTrack(bytes, pos + 8, pos + 8 + length));
+    }
+    pos += 8 + length;
+  }
+  return { tracks, division };
+}
+
+function readTrack(bytes, start, end) {
+  const track = { notes: [], lyrics: [], texts: [], key: null, name: null };
+  const open = new Map(); // "channel:note" → note being held
+  let pos = start;
+  let tick = 0;
+  let status = 0;
+
+  const readVarLen = () => {
+    let value = 0;
+    let b;
+    do {
+      b = bytes[pos++];
+      value = (value << 7) | (b & 0x7f);
+    } while (b & 0x80 && pos < end);
+    return value;
+  };
+
+  const noteOff = (channel, midi) => {
+    const note = open.get(`${channel}:${midi}`);
+    if (!note) return;
+    note.duration = tick - note.tick;
+    open.delete(`${channel}:${midi}`);
+  };
+
+  while (pos < end) {
+    tick += readVarLen();
+    let byte = bytes[pos];
+    if (byte & 0x80) {
+      pos++;
+    } else {
+      byte = status; // running status
+    }
+
+    if (byte === 0xff) {
+      const type = bytes[pos++];
+      const length = readVarLen();
+      const data = bytes.subarray(pos, pos + length);
+      pos += length;
+      if (type === 0x05) track.lyrics.push({ tick, text: decodeText(data) });
+      else if (type === 0x01) track.texts.push({ tick, text: decodeText(data) });
+      else if (type === 0x03 && !track.name) track.name = decodeText(data).trim();
+      else if (type === 0x59 && !track.key) {
+        track.key = { fifths: (data[0] << 24) >> 24, mode: data[1] === 1 ? 'minor' : 'major' };
+      }
+      continue;
+    }
+    if (byte === 0xf0 || byte === 0xf7) {
+      pos += readVarLen();
+      continue;
+    }
+
+    status = byte;
+    const kind = byte & 0xf0;
+    const channel = byte & 0x0f;
+    const a = bytes[pos++];
+    const b = kind === 0xc0 || kind === 0xd0 ? 0 : bytes[pos++];
+    // Channel 10 is drums, never a melody
+    if (channel === 9) continue;
+
+    if (kind === 0x90 && b > 0) {
+      noteOff(channel, a);
+      const note = { tick, midi: a, duration: 0 };
+      open.set(`${channel}:${a}`, note);
+      track.notes.push(note);
+    } else if (kind === 0x80 || kind === 0x90) {
+      noteOff(channel, a);
+    }
+  }
+  for (const note of open.values()) note.duration = tick - note.tick;
+  return track;
+}
+
+// Lyrics are UTF-8 in newer files and Latin-1 in older ones
+function decodeText(data) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(data);
+  } catch {
+    return new TextDecoder('latin1').decode(data);
+  }
+}
+
+/**
+ * One note at a time: overlapping notes keep the highest, and a held note is
+ * cut short where the next one starts.
+ */
+function monophonic(notes) {
+  const sorted = [...notes].sort((a, b) => a.tick - b.tick || b.midi - a.midi);
+  const line = [];
+  for (const note of sorted) {
+    const prev = line[line.length - 1];
+    if (prev && prev.tick === note.tick) continue;
+    if (prev && prev.tick + prev.duration > note.tick) prev.duration = note.tick - prev.tick;
+    line.push({ ...note });
+  }
+  return line;
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Shared
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Turn a monophonic event list into a melody definition
+ * @param {Array<{midi: number|null, duration: number, lyric: string|null}>} events - null midi = rest
+ * @param {object} options
+ * @param {string} options.name
+ * @param {{fifths: number, mode: string}|null} options.key - Key signature, if the file has one
+ * @returns {{ name: string, scaleType: string, notes: Array<{s: number, l: string, hold?: number}> }}
+ */
+export function toMelodyNotes(events, { name, key = null }) {
+  const hasLyrics = events.some((e) => e.lyric);
+  const sung = [];
+  let last = null;
+  for (const event of events) {
+    if (event.midi == null) {
+      last = null;
+      continue;
+    }
+    if (hasLyrics && !event.lyric && last) {
+      // Melisma / continuation: the syllable just carries on
+      last.duration += event.duration;
+      continue;
+    }
+    last = { midi: event.midi, duration: event.duration, lyric: event.lyric ?? '' };
+    sung.push(last);
+  }
+  if (sung.length === 0) throw new Error('No sung notes found in this file.');
+
+  const scaleType = key?.mode === 'minor' ? 'minor' : 'major';
+  const tonicClass = key
+    ? mod(key.fifths * 7 + (scaleType === 'minor' ? 9 : 0), 12)
+    : mod(sung[sung.length - 1].midi, 12);
+  const lowest = Math.min(...sung.map((n) => n.midi));
+  // Nearest tonic to the lowest note; ties go to the lower one
+  const below = lowest - mod(lowest - tonicClass, 12);
+  const tonic = lowest - below <= below + 12 - lowest ? below : below + 12;
+
+  const typical = median(sung.map((n) => n.duration).filter((d) => d > 0));
+
+  return {
+    name,
+    scaleType,
+    notes: sung.map((n) => {
+      const note = { s: n.midi - tonic, l: n.lyric };
+      const ratio = typical > 0 ? n.duration / typical : 1;
+      if (ratio >= HOLD_THRESHOLD) note.hold = Math.min(MAX_HOLD, Math.round(ratio * 2) / 2);
+      return note;
+    }),
+  };
+}
+
+/**
+ * Tidy a lyric syllable: karaoke line / paragraph marks, hyphens and
+ * underscores (syllable continuation) and surrounding whitespace go.
+ */
+function cleanLyric(raw) {
+  return raw.replace(/[\\/\r\n]/g, '').replace(/^[-_\s]+|[-_\s]+$/g, '');
+}
+
+// Lower median, so a short song's one long note still stands out
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
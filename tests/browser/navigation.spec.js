@@ -9,11 +9,11 @@ test.beforeEach(async ({ page }) => {
   });
 });
 
-test('index lists all four tools', async ({ page }) => {
+test('index lists all five tools', async ({ page }) => {
   await page.goto('/');
 
   await expect(page.getByRole('heading', { name: 'Music practice tools' })).toBeVisible();
-  for (const name of ['Vocal Monitor', 'Metronome', 'Circle of Fifths', 'Tuner']) {
+  for (const name of ['Vocal Monitor', 'Metronome', 'Circle of Fifths', 'Tuner', 'Ear Trainer']) {
     await expect(page.getByText(name, { exact: true })).toBeVisible();
   }
 });
@@ -24,6 +24,8 @@ test('navigating to each tool renders it and back returns to the index', async (
     { name: 'Metronome', path: '/metronome', probe: () => page.getByRole('button', { name: /start metronome/i }) },
     { name: 'Circle of Fifths', path: '/circle-of-fifths', probe: () => page.locator('svg').first() },
     { name: 'Tuner', path: '/tuner', probe: () => page.getByText(/Listening|In tune|Low|High/).first() },
+    { name: 'Ear Trainer', path: '/ear-training', probe: () => page.getByRole('button', { name: 'Start' }) },
+    { name: 'Practice Log', path: '/practice-log', probe: () => page.getByText('Current streak') },
   ];
 
   for (const tool of toolChecks) {